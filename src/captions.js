@@ -0,0 +1,681 @@
+/**
+ * Closed Captions
+ * CEA-608 and CEA-708 captions carried in the video stream
+ *
+ * ATSC A/53 puts caption data into the video elementary stream: H.264 and
+ * H.265 SEI messages (user_data_registered_itu_t_t35) and MPEG-2 picture
+ * user data, tagged 'GA94'. Each holds cc_data triplets: CEA-608 byte
+ * pairs for the two line-21 fields (CC1/CC2 on field 1, CC3/CC4 on
+ * field 2) and CEA-708 DTVCC packets for up to 63 caption services.
+ *
+ * The decoders follow what is on screen and turn each change into a cue:
+ * pop-on captions appear whole at end-of-caption, roll-up and paint-on
+ * text appears from its first character once the next control code
+ * arrives. Colors, fonts and positions are not kept.
+ *
+ * @module captions
+ */
+
+import { TSParser, getNalType } from './parsers/mpegts.js';
+import { removeEmulationPrevention } from './muxers/mp4.js';
+import { formatTimestamp } from './webvtt.js';
+
+// ============================================
+// Caption Data
+// ============================================
+
+/**
+ * cc_data() triplets of an ATSC A/53 user data structure
+ * @param {Uint8Array} data - From the user identifier ('GA94') on
+ * @returns {Uint8Array|null}
+ */
+function readGa94(data) {
+  if (data.length < 7 || data[0] !== 0x47 || data[1] !== 0x41 || data[2] !== 0x39 || data[3] !== 0x34) return null;
+  // user_data_type_code 3 is cc_data; then process_cc_data_flag and cc_count, and em_data
+  if (data[4] !== 0x03 || !(data[5] & 0x40)) return null;
+  const count = Math.min(data[5] & 0x1F, Math.floor((data.length - 7) / 3));
+  return data.subarray(7, 7 + count * 3);
+}
+
+/**
+ * Caption data in one NAL unit: the cc_data triplets (marker/valid/type
+ * byte and two data bytes each) of H.264/H.265 SEI or MPEG-2 user data
+ * @param {Uint8Array} nalUnit - NAL unit (MPEG-2: start code unit) without start code
+ * @param {number} streamType - MPEG-TS stream type of the video stream
+ * @returns {Uint8Array|null} cc_count * 3 bytes, or null without caption data
+ */
+export function extractCcData(nalUnit, streamType) {
+  if (streamType === 0x02) {
+    return nalUnit[0] === 0xB2 ? readGa94(nalUnit.subarray(1)) : null;
+  }
+  const isHevc = streamType === 0x24;
+  // SEI: H.264 type 6, H.265 prefix SEI type 39
+  if (getNalType(nalUnit, streamType) !== (isHevc ? 39 : 6)) return null;
+
+  const sei = removeEmulationPrevention(nalUnit.subarray(isHevc ? 2 : 1));
+  const found = [];
+  let pos = 0;
+  // sei_message()s up to the rbsp trailing bits
+  while (pos + 1 < sei.length) {
+    let payloadType = 0, payloadSize = 0;
+    while (sei[pos] === 0xFF) payloadType += sei[pos++];
+    payloadType += sei[pos++];
+    while (sei[pos] === 0xFF) payloadSize += sei[pos++];
+    payloadSize += sei[pos++];
+    if (pos + payloadSize > sei.length) break;
+    // user_data_registered_itu_t_t35: country 0xB5 (US), provider 0x0031 (ATSC)
+    if (payloadType === 4 && payloadSize > 3 && sei[pos] === 0xB5 && sei[pos + 1] === 0x00 && sei[pos + 2] === 0x31) {
+      const ccData = readGa94(sei.subarray(pos + 3, pos + payloadSize));
+      if (ccData) found.push(ccData);
+    }
+    pos += payloadSize;
+  }
+  if (found.length <= 1) return found[0] || null;
+  const joined = new Uint8Array(found.reduce((sum, part) => sum + part.length, 0));
+  let offset = 0;
+  for (const part of found) { joined.set(part, offset); offset += part.length; }
+  return joined;
+}
+
+// ============================================
+// Cues
+// ============================================
+
+/**
+ * Cue list of one caption channel, fed with what is on screen over time
+ */
+class CueList {
+  constructor() {
+    this.cues = [];
+    this.current = null;
+  }
+
+  /**
+   * Show text from `time` on (empty: nothing shown)
+   * @param {string} text
+   * @param {number} time - Seconds
+   */
+  show(text, time) {
+    if (text === (this.current ? this.current.text : '')) return;
+    if (this.current && time > this.current.start) {
+      this.cues.push({ start: this.current.start, end: time, text: this.current.text });
+    }
+    this.current = text ? { start: time, text } : null;
+  }
+}
+
+/** Text of a screen or window: its non-empty rows, trimmed, top to bottom */
+function rowsText(rows) {
+  return rows.map(row => row.join('').trim()).filter(Boolean).join('\n');
+}
+
+// ============================================
+// CEA-608
+// ============================================
+
+const CEA608_ROWS = 15;
+const CEA608_COLUMNS = 32;
+
+// Characters of the basic set that differ from ASCII
+const CEA608_BASIC = { 0x2A: 'á', 0x5C: 'é', 0x5E: 'í', 0x5F: 'ó', 0x60: 'ú', 0x7B: 'ç', 0x7C: '÷', 0x7D: 'Ñ', 0x7E: 'ñ', 0x7F: '█' };
+// Special characters (0x11 0x30-0x3F; 0x39 is a transparent space)
+const CEA608_SPECIAL = '®°½¿™¢£♪à èâêîôû';
+// Extended characters (0x12 and 0x13, 0x20-0x3F)
+const CEA608_EXTENDED = {
+  0x12: 'ÁÉÓÚÜü‘¡*’—©℠•“”ÀÂÇÈÊËëÎÏïÔÙùÛ«»',
+  0x13: 'ÃãÍÌìÒòÕõ{}\\^_|~ÄäÖöß¥¤│ÅåØø┌┐└┘'
+};
+// Preamble address code rows (1-based), by the first byte's low 3 bits
+// and bit 5 of the second
+const PAC_ROWS = [[11, 11], [1, 2], [3, 4], [12, 13], [14, 15], [5, 6], [7, 8], [9, 10]];
+
+const blankScreen = () => Array.from({ length: CEA608_ROWS }, () => new Array(CEA608_COLUMNS).fill(' '));
+
+/**
+ * One CEA-608 caption channel (CC1-CC4): displayed and non-displayed
+ * memory, the cursor and the caption mode
+ */
+class Cea608Channel {
+  constructor() {
+    this.cueList = new CueList();
+    this.mode = null; // 'pop-on', 'roll-up', 'paint-on' or 'text' (text service, ignored)
+    this.displayed = blankScreen();
+    this.nonDisplayed = blankScreen();
+    this.row = CEA608_ROWS - 1;
+    this.column = 0;
+    this.rollUpRows = 2;
+    this.changedAt = null; // Time of the first on-screen change not yet in a cue
+  }
+
+  /** Memory that characters go to: non-displayed for pop-on captions */
+  get memory() {
+    return this.mode === 'pop-on' ? this.nonDisplayed : this.displayed;
+  }
+
+  /** Show on-screen changes made by characters since the last control code */
+  flush() {
+    if (this.changedAt === null) return;
+    this.cueList.show(rowsText(this.displayed), this.changedAt);
+    this.changedAt = null;
+  }
+
+  update(time) {
+    this.cueList.show(rowsText(this.displayed), time);
+  }
+
+  write(char, time) {
+    if (this.mode === null || this.mode === 'text') return;
+    this.memory[this.row][this.column] = char;
+    if (this.column < CEA608_COLUMNS - 1) this.column++;
+    if (this.memory === this.displayed && this.changedAt === null) this.changedAt = time;
+  }
+
+  /** A basic character (0x20-0x7F) */
+  character(code, time) {
+    this.write(CEA608_BASIC[code] ?? String.fromCharCode(code), time);
+  }
+
+  /**
+   * A control code pair, its first byte mapped to data channel 1 (0x10-0x17)
+   */
+  control(b1, b2, time) {
+    if ((b1 === 0x14 || b1 === 0x15) && b2 >= 0x20 && b2 <= 0x2F) {
+      this.flush();
+      this.command(b2, time);
+    } else if (b2 >= 0x40) {
+      this.flush();
+      this.preamble(b1, b2, time);
+    } else if (b1 === 0x17 && b2 >= 0x21 && b2 <= 0x23) {
+      // Tab offsets TO1-TO3
+      this.column = Math.min(CEA608_COLUMNS - 1, this.column + (b2 - 0x20));
+    } else if (b1 === 0x11 && b2 >= 0x20 && b2 <= 0x2F) {
+      // Mid-row style change: shown as a space
+      this.write(' ', time);
+    } else if (b1 === 0x11 && b2 >= 0x30 && b2 <= 0x3F) {
+      this.write(CEA608_SPECIAL[b2 - 0x30], time);
+    } else if ((b1 === 0x12 || b1 === 0x13) && b2 >= 0x20 && b2 <= 0x3F) {
+      // Extended characters replace the basic character sent before them
+      if (this.column > 0) this.column--;
+      this.write(CEA608_EXTENDED[b1][b2 - 0x20], time);
+    }
+  }
+
+  /** Miscellaneous control codes */
+  command(code, time) {
+    const memory = this.memory;
+    switch (code) {
+      case 0x20: // RCL: resume caption loading
+        this.mode = 'pop-on';
+        break;
+      case 0x21: // BS: backspace
+        if (this.column > 0) memory[this.row][--this.column] = ' ';
+        break;
+      case 0x24: // DER: delete to end of row
+        memory[this.row].fill(' ', this.column);
+        break;
+      case 0x25: case 0x26: case 0x27: // RU2-RU4: roll-up captions
+        if (this.mode !== 'roll-up') {
+          this.displayed = blankScreen();
+          this.nonDisplayed = blankScreen();
+          this.row = CEA608_ROWS - 1;
+        }
+        this.mode = 'roll-up';
+        this.rollUpRows = code - 0x23;
+        this.column = 0;
+        // Rows above the new roll-up window are erased
+        for (let r = 0; r <= this.row - this.rollUpRows; r++) this.displayed[r].fill(' ');
+        break;
+      case 0x29: // RDC: resume direct captioning
+        this.mode = 'paint-on';
+        break;
+      case 0x2A: case 0x2B: // TR, RTD: text service
+        this.mode = 'text';
+        break;
+      case 0x2C: // EDM: erase displayed memory
+        this.displayed = blankScreen();
+        break;
+      case 0x2D: // CR: carriage return, rolls roll-up captions up a row
+        if (this.mode === 'roll-up') {
+          const top = Math.max(0, this.row - this.rollUpRows + 1);
+          for (let r = top; r < this.row; r++) this.displayed[r] = this.displayed[r + 1];
+          this.displayed[this.row] = new Array(CEA608_COLUMNS).fill(' ');
+          if (top > 0) this.displayed[top - 1].fill(' ');
+        }
+        this.column = 0;
+        break;
+      case 0x2E: // ENM: erase non-displayed memory
+        this.nonDisplayed = blankScreen();
+        break;
+      case 0x2F: // EOC: end of caption, flips the memories
+        [this.displayed, this.nonDisplayed] = [this.nonDisplayed, this.displayed];
+        this.mode = 'pop-on';
+        break;
+    }
+    this.update(time);
+  }
+
+  /** Preamble address code: moves the cursor to a row and indent */
+  preamble(b1, b2, time) {
+    const row = PAC_ROWS[b1 & 0x07][b2 & 0x20 ? 1 : 0] - 1;
+    // Roll-up captions move along with their base row
+    if (this.mode === 'roll-up' && row !== this.row) {
+      const moved = blankScreen();
+      for (let i = 0; i < this.rollUpRows; i++) {
+        if (row - i >= 0 && this.row - i >= 0) moved[row - i] = this.displayed[this.row - i];
+      }
+      this.displayed = moved;
+      this.update(time);
+    }
+    this.row = row;
+    this.column = b2 & 0x10 ? ((b2 & 0x0E) >> 1) * 4 : 0;
+  }
+
+  finish(time) {
+    this.flush();
+    this.cueList.show('', time);
+  }
+}
+
+/**
+ * Byte pairs of one line-21 field, routed to its two data channels
+ */
+class Cea608Field {
+  /**
+   * @param {Cea608Channel[]} channels - Data channels 1 and 2
+   */
+  constructor(channels) {
+    this.channels = channels;
+    this.channel = 0;
+    this.lastControl = -1;
+    this.inXds = false;
+  }
+
+  push(b1, b2, time) {
+    // Strip the odd parity bits
+    b1 &= 0x7F;
+    b2 &= 0x7F;
+    if (b1 === 0 && b2 === 0) return;
+
+    if (b1 >= 0x10 && b1 <= 0x1F) {
+      this.inXds = false;
+      // Control codes are sent twice; the repeat is ignored
+      const code = (b1 << 8) | b2;
+      if (code === this.lastControl) {
+        this.lastControl = -1;
+        return;
+      }
+      this.lastControl = code;
+      this.channel = b1 & 0x08 ? 1 : 0;
+      this.channels[this.channel].control(b1 & 0xF7, b2, time);
+      return;
+    }
+    this.lastControl = -1;
+
+    // Extended data services (field 2) run from a start code to the checksum
+    if (b1 >= 0x01 && b1 <= 0x0F) {
+      this.inXds = b1 !== 0x0F;
+      return;
+    }
+    if (this.inXds || b1 < 0x20) return;
+
+    const channel = this.channels[this.channel];
+    channel.character(b1, time);
+    if (b2 >= 0x20) channel.character(b2, time);
+  }
+}
+
+// ============================================
+// CEA-708
+// ============================================
+
+// G2 characters (after EXT1) that have a text equivalent
+const CEA708_G2 = {
+  0x20: ' ', 0x21: ' ', 0x25: '…', 0x2A: 'Š', 0x2C: 'Œ', 0x30: '█', 0x31: '‘', 0x32: '’', 0x33: '“', 0x34: '”',
+  0x35: '•', 0x39: '™', 0x3A: 'š', 0x3C: 'œ', 0x3D: '℠', 0x3F: 'Ÿ', 0x76: '⅛', 0x77: '⅜', 0x78: '⅝', 0x79: '⅞',
+  0x7A: '│', 0x7B: '┐', 0x7C: '└', 0x7D: '─', 0x7E: '┘', 0x7F: '┌'
+};
+// Parameter bytes of the C1 commands 0x80-0x9F
+const CEA708_C1_PARAMS = [0, 0, 0, 0, 0, 0, 0, 0, 1, 1, 1, 1, 1, 1, 0, 0, 2, 3, 2, 0, 0, 0, 0, 4, 6, 6, 6, 6, 6, 6, 6, 6];
+
+/**
+ * One CEA-708 caption service: up to eight windows with their text
+ */
+class Cea708Service {
+  constructor() {
+    this.cueList = new CueList();
+    this.windows = new Array(8).fill(null);
+    this.currentWindow = null;
+    this.changedAt = null;
+  }
+
+  displayText() {
+    return this.windows
+      .filter(window => window && window.visible)
+      .sort((a, b) => a.priority - b.priority)
+      .map(window => rowsText(window.rows))
+      .filter(Boolean)
+      .join('\n');
+  }
+
+  flush() {
+    if (this.changedAt === null) return;
+    this.cueList.show(this.displayText(), this.changedAt);
+    this.changedAt = null;
+  }
+
+  write(char, time) {
+    const window = this.windows[this.currentWindow];
+    if (!window) return;
+    window.rows[window.row][window.column++] = char;
+    if (window.visible && this.changedAt === null) this.changedAt = time;
+  }
+
+  /**
+   * Decode one service block
+   * @param {Uint8Array} block
+   * @param {number} time - Seconds
+   */
+  decode(block, time) {
+    let i = 0;
+    while (i < block.length) {
+      const code = block[i++];
+      if (code >= 0x20 && code <= 0x7F) {
+        this.write(code === 0x7F ? '♪' : String.fromCharCode(code), time);
+      } else if (code >= 0xA0) {
+        // G1: ISO 8859-1
+        this.write(String.fromCharCode(code), time);
+      } else if (code === 0x10) {
+        // EXT1: G2/G3 characters, or C2/C3 codes to skip
+        const ext = block[i++];
+        if (ext === undefined) break;
+        if (ext >= 0x20 && ext <= 0x7F) {
+          if (CEA708_G2[ext]) this.write(CEA708_G2[ext], time);
+        } else if (ext === 0xA0) {
+          this.write('[CC]', time);
+        } else if (ext < 0x20) {
+          i += ext >> 3;
+        } else if (ext < 0x90) {
+          i += ext < 0x88 ? 4 : 5;
+        } else if (ext < 0xA0) {
+          i += 1 + ((block[i] ?? 0) & 0x3F);
+        }
+      } else if (code < 0x20) {
+        // C0: 0x11-0x17 take one parameter byte, 0x18-0x1F two
+        if (code >= 0x18) i += 2;
+        else if (code >= 0x11) i++;
+        else if (code !== 0x00) this.command(code, [], time);
+      } else {
+        const params = block.subarray(i, i + CEA708_C1_PARAMS[code - 0x80]);
+        i += CEA708_C1_PARAMS[code - 0x80];
+        if (i > block.length) break;
+        this.command(code, params, time);
+      }
+    }
+  }
+
+  /**
+   * Windows selected by a command's bitmap parameter
+   */
+  selected(bitmap) {
+    return this.windows.map((window, id) => (bitmap & (1 << id)) ? window : null).filter(Boolean);
+  }
+
+  command(code, params, time) {
+    this.flush();
+    const window = this.windows[this.currentWindow];
+    switch (code) {
+      case 0x03: // ETX: end of text
+        break;
+      case 0x08: // BS: backspace
+        if (window && window.column > 0) window.rows[window.row][--window.column] = ' ';
+        break;
+      case 0x0C: // FF: form feed, clears the window
+        if (window) clearWindow(window);
+        break;
+      case 0x0D: // CR: carriage return, scrolls at the last row
+        if (window) {
+          window.column = 0;
+          if (window.row < window.rowCount - 1) {
+            window.row++;
+          } else {
+            window.rows.shift();
+            window.rows.push([]);
+          }
+        }
+        break;
+      case 0x0E: // HCR: horizontal carriage return, clears the row
+        if (window) {
+          window.rows[window.row] = [];
+          window.column = 0;
+        }
+        break;
+      case 0x88: // CLW: clear windows
+        for (const selected of this.selected(params[0])) clearWindow(selected);
+        break;
+      case 0x89: // DSW: display windows
+        for (const selected of this.selected(params[0])) selected.visible = true;
+        break;
+      case 0x8A: // HDW: hide windows
+        for (const selected of this.selected(params[0])) selected.visible = false;
+        break;
+      case 0x8B: // TGW: toggle windows
+        for (const selected of this.selected(params[0])) selected.visible = !selected.visible;
+        break;
+      case 0x8C: // DLW: delete windows
+        for (let id = 0; id < 8; id++) {
+          if (params[0] & (1 << id)) this.windows[id] = null;
+        }
+        break;
+      case 0x8F: // RST: reset
+        this.windows.fill(null);
+        this.currentWindow = null;
+        break;
+      case 0x92: // SPL: set pen location
+        if (window) {
+          window.row = Math.min(params[0] & 0x0F, window.rowCount - 1);
+          window.column = params[1] & 0x3F;
+        }
+        break;
+      default:
+        if (code >= 0x80 && code <= 0x87) {
+          // CW0-CW7: set current window
+          this.currentWindow = code - 0x80;
+        } else if (code >= 0x98) {
+          this.defineWindow(code - 0x98, params);
+        }
+    }
+    this.cueList.show(this.displayText(), time);
+  }
+
+  /** DF0-DF7: create a window, or update one keeping its text */
+  defineWindow(id, params) {
+    const rowCount = (params[3] & 0x0F) + 1;
+    const window = this.windows[id] || { rows: [], row: 0, column: 0 };
+    window.visible = !!(params[0] & 0x20);
+    window.priority = params[0] & 0x07;
+    window.rowCount = rowCount;
+    while (window.rows.length < rowCount) window.rows.push([]);
+    window.rows.length = rowCount;
+    window.row = Math.min(window.row, rowCount - 1);
+    this.windows[id] = window;
+    this.currentWindow = id;
+  }
+
+  finish(time) {
+    this.flush();
+    this.cueList.show('', time);
+  }
+}
+
+function clearWindow(window) {
+  window.rows = window.rows.map(() => []);
+  window.row = 0;
+  window.column = 0;
+}
+
+/**
+ * DTVCC packets, assembled from cc_data and split into service blocks
+ */
+class Cea708Decoder {
+  constructor() {
+    this.services = new Map();
+    this.packet = null;
+  }
+
+  /**
+   * @param {number} ccType - 3 starts a packet, 2 continues it
+   */
+  push(ccType, b1, b2, time) {
+    if (ccType === 3) {
+      // A packet cut short still gets decoded
+      if (this.packet) this.decodePacket(this.packet, time);
+      this.packet = [b1, b2];
+    } else if (this.packet) {
+      this.packet.push(b1, b2);
+    } else {
+      return;
+    }
+    const sizeCode = this.packet[0] & 0x3F;
+    const size = sizeCode === 0 ? 128 : sizeCode * 2;
+    if (this.packet.length >= size) {
+      this.decodePacket(this.packet.slice(0, size), time);
+      this.packet = null;
+    }
+  }
+
+  decodePacket(packet, time) {
+    const data = new Uint8Array(packet);
+    let pos = 1;
+    while (pos < data.length) {
+      let serviceNumber = data[pos] >> 5;
+      const blockSize = data[pos++] & 0x1F;
+      if (serviceNumber === 0 || blockSize === 0) break;
+      // Extended service numbers (7-63) follow in the next byte
+      if (serviceNumber === 7) serviceNumber = data[pos++] & 0x3F;
+      if (!this.services.has(serviceNumber)) this.services.set(serviceNumber, new Cea708Service());
+      this.services.get(serviceNumber).decode(data.subarray(pos, pos + blockSize), time);
+      pos += blockSize;
+    }
+  }
+
+  finish(time) {
+    if (this.packet) this.decodePacket(this.packet, time);
+    this.packet = null;
+    for (const service of this.services.values()) service.finish(time);
+  }
+}
+
+// ============================================
+// Caption Tracks
+// ============================================
+
+/**
+ * Captions of one CEA-608 channel or CEA-708 service
+ */
+export class CaptionTrack {
+  /**
+   * @param {string} channel - 'CC1'-'CC4' (CEA-608) or 'SERVICE1'-'SERVICE63' (CEA-708)
+   * @param {Array<{start: number, end: number, text: string}>} cues - Times in seconds
+   */
+  constructor(channel, cues) {
+    this.channel = channel;
+    this.type = channel.startsWith('CC') ? '608' : '708';
+    this.cues = cues;
+  }
+
+  /**
+   * @returns {string} WebVTT document
+   */
+  toWebVtt() {
+    const escape = text => text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+    return 'WEBVTT\n\n' + this.cues
+      .map(cue => `${formatTimestamp(cue.start, '.')} --> ${formatTimestamp(cue.end, '.')}\n${escape(cue.text)}\n`)
+      .join('\n');
+  }
+
+  /**
+   * @returns {string} SubRip document
+   */
+  toSrt() {
+    return this.cues
+      .map((cue, i) => `${i + 1}\n${formatTimestamp(cue.start, ',')} --> ${formatTimestamp(cue.end, ',')}\n${cue.text}\n`)
+      .join('\n');
+  }
+}
+
+/**
+ * Decode the captions carried in video access units
+ *
+ * @param {Array<{nalUnits: Uint8Array[], pts: number}>} videoAccessUnits - TSParser access units (decode order)
+ * @param {number} streamType - MPEG-TS stream type of the video stream
+ * @param {number} [origin] - 90kHz time that becomes 0 (default: the first frame's presentation time)
+ * @returns {CaptionTrack[]} Channels and services that have cues: CC1-CC4, then services by number
+ */
+export function collectCaptions(videoAccessUnits, streamType, origin) {
+  if (videoAccessUnits.length === 0) return [];
+  let firstPts = Infinity, lastPts = -Infinity;
+  for (const au of videoAccessUnits) {
+    firstPts = Math.min(firstPts, au.pts);
+    lastPts = Math.max(lastPts, au.pts);
+  }
+  if (origin === undefined) origin = firstPts;
+
+  // Caption data comes in decode order and plays in presentation order
+  const units = [];
+  for (const au of videoAccessUnits) {
+    for (const nalUnit of au.nalUnits) {
+      const ccData = extractCcData(nalUnit, streamType);
+      if (ccData) units.push({ pts: au.pts, ccData });
+    }
+  }
+  units.sort((a, b) => a.pts - b.pts);
+
+  const channels = [0, 1, 2, 3].map(() => new Cea608Channel());
+  const fields = [new Cea608Field(channels.slice(0, 2)), new Cea608Field(channels.slice(2, 4))];
+  const dtvcc = new Cea708Decoder();
+  for (const { pts, ccData } of units) {
+    const time = (pts - origin) / 90000;
+    for (let i = 0; i + 2 < ccData.length; i += 3) {
+      // marker bits, cc_valid, cc_type
+      if (!(ccData[i] & 0x04)) continue;
+      const ccType = ccData[i] & 0x03;
+      if (ccType < 2) fields[ccType].push(ccData[i + 1], ccData[i + 2], time);
+      else dtvcc.push(ccType, ccData[i + 1], ccData[i + 2], time);
+    }
+  }
+
+  // Captions still on screen last until the end of the video
+  const last = videoAccessUnits[videoAccessUnits.length - 1];
+  const frameDuration = videoAccessUnits.length > 1 ? Math.abs(last.dts - videoAccessUnits[videoAccessUnits.length - 2].dts) : 3003;
+  const end = (lastPts + frameDuration - origin) / 90000;
+  channels.forEach(channel => channel.finish(end));
+  dtvcc.finish(end);
+
+  const tracks = channels.map((channel, i) => new CaptionTrack(`CC${i + 1}`, channel.cueList.cues));
+  for (const number of [...dtvcc.services.keys()].sort((a, b) => a - b)) {
+    tracks.push(new CaptionTrack(`SERVICE${number}`, dtvcc.services.get(number).cueList.cues));
+  }
+  return tracks.filter(track => track.cues.length > 0);
+}
+
+/**
+ * Extract CEA-608/708 closed captions from MPEG-TS data
+ * Cue times are in seconds from the first video frame.
+ *
+ * @param {Uint8Array} tsData - MPEG-TS data
+ * @param {object} [options]
+ * @param {number} [options.program] - Program number (default: first in the PAT)
+ * @returns {CaptionTrack[]} One track per channel/service with captions
+ *
+ * @example
+ * const [cc1] = extractCaptions(tsData);
+ * const vtt = cc1.toWebVtt();
+ */
+export function extractCaptions(tsData, options = {}) {
+  const parser = new TSParser({ program: options.program });
+  parser.parse(tsData);
+  parser.finalize();
+  return collectCaptions(parser.videoAccessUnits, parser.videoStreamType);
+}
+
+export default extractCaptions;
@@ -0,0 +1,732 @@
+/**
+ * MPEG-DASH Support
+ * Parse MPD manifests, select representations and download their
+ * segments for the regular fMP4 converters
+ *
+ * Segments are addressed by SegmentTemplate ($Number$ or $Time$, from a
+ * duration or a SegmentTimeline), SegmentList, or SegmentBase (one file
+ * whose sidx box at indexRange lists the segments). Representations
+ * inherit BaseURL and segment information from their AdaptationSet and
+ * Period. Multi-period MPDs are stitched into one MP4.
+ *
+ * Static (VOD) MPDs, and dynamic ones whose segments are listed in a
+ * SegmentTimeline. DRM-protected representations (ContentProtection)
+ * are rejected.
+ *
+ * @module dash
+ */
+
+import {
+  toAbsoluteUrl, fetchSegment, findRendition, findVariant, heightLabel, selectSegments, downloadSegments, createDownloadOptions
+} from './hls.js';
+import { fetchWithRetry } from './hls-fetch.js';
+import { muxAudioRendition } from './hls-audio.js';
+import { stitchTs } from './mpegts/index.js';
+import { stitchFmp4 } from './fmp4/index.js';
+import { parseBoxes, findBox, parseSidx } from './fmp4/utils.js';
+
+// ── XML ───────────────────────────────────────────────────
+
+const XML_ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'" };
+
+function decodeEntities(text) {
+  return text.replace(/&(?:#[xX]([0-9a-fA-F]+)|#(\d+)|(amp|lt|gt|quot|apos));/g, (_, hex, dec, name) =>
+    hex ? String.fromCodePoint(parseInt(hex, 16)) : dec ? String.fromCodePoint(parseInt(dec)) : XML_ENTITIES[name]);
+}
+
+/** Element name without its namespace prefix */
+function localName(name) {
+  return name.slice(name.indexOf(':') + 1);
+}
+
+/**
+ * Parse XML into a tree of elements
+ * Enough for MPDs: comments, processing instructions and DOCTYPEs are
+ * skipped, namespace prefixes dropped from element names.
+ *
+ * @param {string} text - XML document
+ * @returns {{name: string, attributes: object, children: Array, text: string}|null} Root element
+ */
+function parseXml(text) {
+  const document = { name: '#document', attributes: {}, children: [], text: '' };
+  const stack = [document];
+  const token = /<!--[\s\S]*?-->|<!\[CDATA\[([\s\S]*?)\]\]>|<![^>]*>|<\?[\s\S]*?\?>|<\/\s*([^\s>]+)\s*>|<([^\s/>]+)((?:[^>"']|"[^"]*"|'[^']*')*?)(\/?)>|([^<]+)/g;
+
+  let match;
+  while ((match = token.exec(text)) !== null) {
+    const [, cdata, closing, name, attributeText, selfClosing, characters] = match;
+    const current = stack[stack.length - 1];
+    if (cdata !== undefined) {
+      current.text += cdata;
+    } else if (characters !== undefined) {
+      current.text += decodeEntities(characters);
+    } else if (closing) {
+      const index = stack.findLastIndex(element => element.name === localName(closing));
+      if (index > 0) stack.length = index;
+    } else if (name) {
+      const attributes = {};
+      for (const [, key, double, single] of attributeText.matchAll(/([^\s=]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g)) {
+        attributes[key] = decodeEntities(double ?? single);
+      }
+      const element = { name: localName(name), attributes, children: [], text: '' };
+      current.children.push(element);
+      if (!selfClosing) stack.push(element);
+    }
+  }
+  return document.children[0] || null;
+}
+
+function childElements(element, name) {
+  return element ? element.children.filter(child => child.name === name) : [];
+}
+
+function childElement(element, name) {
+  return element?.children.find(child => child.name === name) || null;
+}
+
+// ── MPD attributes ────────────────────────────────────────
+
+/**
+ * ISO 8601 duration (PT1H2M3.5S) in seconds
+ * @returns {number|null} null when absent or malformed
+ */
+function parseDuration(value) {
+  const match = value?.match(/^P(?:([\d.]+)Y)?(?:([\d.]+)M)?(?:([\d.]+)D)?(?:T(?:([\d.]+)H)?(?:([\d.]+)M)?(?:([\d.]+)S)?)?$/);
+  if (!match) return null;
+  const [years, months, days, hours, minutes, seconds] = match.slice(1).map(part => parseFloat(part || '0'));
+  return years * 31536000 + months * 2592000 + days * 86400 + hours * 3600 + minutes * 60 + seconds;
+}
+
+/**
+ * Byte range attribute ("first-last", inclusive)
+ * @returns {{ offset: number, length: number }}
+ */
+function parseRange(value) {
+  const [first, last] = value.split('-').map(Number);
+  return { offset: first, length: last - first + 1 };
+}
+
+/**
+ * Fill a SegmentTemplate URL: $RepresentationID$, $Number$, $Time$ and
+ * $Bandwidth$, with optional width (`$Number%05d$`); `$$` is a dollar sign
+ */
+function fillTemplate(template, values) {
+  return template.replace(/\$(\w*)(?:%0(\d+)d)?\$/g, (match, name, width) => {
+    if (name === '') return '$';
+    if (values[name] === undefined) return match;
+    return width ? String(values[name]).padStart(parseInt(width), '0') : String(values[name]);
+  });
+}
+
+/** BaseURL of an element, resolved against its parent's */
+function resolveBaseUrl(element, baseUrl) {
+  const base = childElement(element, 'BaseURL');
+  return base ? toAbsoluteUrl(base.text.trim(), baseUrl) : baseUrl;
+}
+
+// ── Representations ───────────────────────────────────────
+
+const ADDRESSING = ['SegmentTemplate', 'SegmentList', 'SegmentBase'];
+
+/**
+ * Segment information of a representation: the kind given at the most
+ * specific level, with attributes merged from Period to Representation and
+ * each child element taken from the most specific level that has it
+ */
+function resolveAddressing(levels) {
+  const kind = [...levels].reverse()
+    .map(level => ADDRESSING.find(name => childElement(level, name)))
+    .find(Boolean);
+  if (!kind) return null;
+
+  const elements = levels.map(level => childElement(level, kind)).filter(Boolean);
+  const innermost = (name) => elements.map(element => childElement(element, name)).filter(Boolean).pop() || null;
+  return {
+    kind,
+    attributes: Object.assign({}, ...elements.map(element => element.attributes)),
+    timeline: innermost('SegmentTimeline'),
+    initialization: innermost('Initialization'),
+    segmentUrls: elements.map(element => childElements(element, 'SegmentURL')).filter(list => list.length > 0).pop() || []
+  };
+}
+
+/**
+ * A representation from an MPD AdaptationSet
+ */
+class DashRepresentation {
+  constructor({ id, contentType, mimeType, codecs, bandwidth, width, height, frameRate, language, label, role, audioChannels, encrypted, addressing }) {
+    this.id = id;
+    this.contentType = contentType;        // 'video' | 'audio' | 'text'
+    this.mimeType = mimeType || null;
+    this.codecs = codecs || null;
+    this.bandwidth = bandwidth;
+    this.width = width || null;
+    this.height = height || null;
+    this.resolution = width && height ? `${width}x${height}` : null;
+    this.frameRate = frameRate || null;    // e.g. '30000/1001'
+    this.language = language || null;      // AdaptationSet lang, e.g. 'en'
+    this.role = role || null;              // Role value, e.g. 'main', 'alternate'
+    this.audioChannels = audioChannels || null;
+    this.encrypted = !!encrypted;          // has ContentProtection (DRM)
+    this.name = label || this._generateName();
+    this._addressing = addressing;         // segment information, see resolveSegments()
+  }
+
+  _generateName() {
+    if (this.resolution) return this.resolution;
+    if (this.bandwidth) return `${Math.round(this.bandwidth / 1000)}kbps`;
+    return this.id;
+  }
+
+  /** Bandwidth in kbps */
+  get kbps() {
+    return Math.round(this.bandwidth / 1000);
+  }
+
+  /** Bandwidth in Mbps */
+  get mbps() {
+    return (this.bandwidth / 1000000).toFixed(2);
+  }
+}
+
+/**
+ * Representation of a later period that continues the chosen one: the
+ * same id, else the closest bandwidth with the same content type and language
+ */
+function matchRepresentation(representations, chosen) {
+  const candidates = representations.filter(r =>
+    r.contentType === chosen.contentType && (!chosen.language || r.language === chosen.language));
+  return candidates.find(r => r.id === chosen.id) ||
+    candidates.reduce((best, r) =>
+      !best || Math.abs(r.bandwidth - chosen.bandwidth) < Math.abs(best.bandwidth - chosen.bandwidth) ? r : best, null);
+}
+
+/**
+ * Represents a parsed MPD with its periods and representations
+ */
+class DashStream {
+  constructor(mpdUrl, { type, duration, periods }) {
+    this.mpdUrl = mpdUrl;
+    this.type = type;           // 'static' | 'dynamic'
+    this.duration = duration;   // mediaPresentationDuration in seconds, or null
+    this.periods = periods;     // [{ id, start, duration, representations }]
+    this._selectedVariant = null;
+    this._selectedAudio = null;
+  }
+
+  /** Representations of the first period */
+  get representations() {
+    return this.periods[0]?.representations || [];
+  }
+
+  /** Video representations sorted by bandwidth (highest first) */
+  get qualities() {
+    return this.representations.filter(r => r.contentType === 'video').sort((a, b) => b.bandwidth - a.bandwidth);
+  }
+
+  /** Audio representations sorted by bandwidth (highest first) */
+  get audioRepresentations() {
+    return this.representations.filter(r => r.contentType === 'audio').sort((a, b) => b.bandwidth - a.bandwidth);
+  }
+
+  /** Get the highest quality video representation */
+  get highest() {
+    return this.qualities[0] || null;
+  }
+
+  /** Get the lowest quality video representation */
+  get lowest() {
+    const q = this.qualities;
+    return q[q.length - 1] || null;
+  }
+
+  /** Currently selected video representation */
+  get selected() {
+    return this._selectedVariant || this.highest;
+  }
+
+  /**
+   * Audio representation played with the video: the selected one, else
+   * the highest bandwidth one with Role "main", else the highest bandwidth
+   */
+  get selectedAudio() {
+    if (this._selectedAudio) return this._selectedAudio;
+    const audio = this.audioRepresentations;
+    return audio.find(r => r.role === 'main') || audio[0] || null;
+  }
+
+  /**
+   * Select a video representation
+   * @param {string|number|DashRepresentation|object} selector - 'highest', 'lowest', bandwidth number,
+   *   representation id, resolution ('1920x1080'), height label ('720p'), representation object,
+   *   or quality criteria as for HlsStream.select()
+   * @returns {DashStream} this for chaining
+   */
+  select(selector) {
+    if (selector === 'highest') {
+      this._selectedVariant = this.highest;
+    } else if (selector === 'lowest') {
+      this._selectedVariant = this.lowest;
+    } else if (typeof selector === 'number') {
+      // Find by bandwidth (closest match)
+      this._selectedVariant = this.qualities.reduce((best, r) =>
+        Math.abs(r.bandwidth - selector) < Math.abs(best.bandwidth - selector) ? r : best
+      );
+    } else if (selector instanceof DashRepresentation) {
+      this._selectedVariant = selector;
+    } else if (typeof selector === 'string' && this.qualities.some(r => r.id === selector)) {
+      // Ids come first: a representation may be called '720p'
+      this._selectedVariant = this.qualities.find(r => r.id === selector);
+    } else if (heightLabel(selector)) {
+      this._selectedVariant = findVariant(this.qualities, heightLabel(selector));
+    } else if (typeof selector === 'string' && selector.includes('x')) {
+      // Match by resolution string like "1920x1080"
+      const representation = this.qualities.find(r => r.resolution === selector);
+      if (!representation) {
+        throw new Error(`No quality matches ${selector} (available: ${this.qualities.map(r => r.name).join(', ')})`);
+      }
+      this._selectedVariant = representation;
+    } else if (selector && typeof selector === 'object') {
+      this._selectedVariant = findVariant(this.qualities, selector);
+    } else {
+      throw new Error(`Unknown quality: ${selector} (expected 'highest', 'lowest', a bandwidth, a representation id, 'WxH', 'NNNp' or criteria)`);
+    }
+    return this;
+  }
+
+  /**
+   * Select audio by language ('en' also matches 'en-US'), Label, or representation
+   * @param {string|DashRepresentation} selector
+   * @returns {DashStream} this for chaining
+   */
+  selectAudio(selector) {
+    this._selectedAudio = selector instanceof DashRepresentation
+      ? selector
+      : findRendition(this.audioRepresentations, selector, 'audio');
+    return this;
+  }
+}
+
+// ── MPD parsing ───────────────────────────────────────────
+
+/**
+ * Parse an MPD document
+ * @param {string} text - MPD XML
+ * @param {string} url - MPD URL, for resolving relative BaseURLs and segment URLs
+ * @returns {{ type: string, duration: number|null, periods: Array<{id: string|null, start: number,
+ *   duration: number, representations: DashRepresentation[]}> }}
+ */
+function parseMpdText(text, url) {
+  const mpd = parseXml(text);
+  if (mpd?.name !== 'MPD') {
+    throw new Error('Invalid MPD: no MPD element found');
+  }
+  const type = mpd.attributes.type || 'static';
+  const duration = parseDuration(mpd.attributes.mediaPresentationDuration);
+  const mpdBaseUrl = resolveBaseUrl(mpd, url);
+
+  // Remote (xlink) periods aren't resolved
+  const periodElements = childElements(mpd, 'Period').filter(period => !period.attributes['xlink:href']);
+  const starts = [];
+  for (const [i, period] of periodElements.entries()) {
+    const previous = periodElements[i - 1];
+    starts.push(parseDuration(period.attributes.start) ??
+      (i === 0 ? 0 : starts[i - 1] + (parseDuration(previous.attributes.duration) ?? NaN)));
+  }
+
+  const periods = periodElements.map((period, i) => {
+    const start = Number.isNaN(starts[i]) ? 0 : starts[i];
+    const end = starts[i + 1] ?? duration ?? Infinity;
+    const periodDuration = parseDuration(period.attributes.duration) ?? (end - start);
+    const periodBaseUrl = resolveBaseUrl(period, mpdBaseUrl);
+
+    const representations = [];
+    for (const set of childElements(period, 'AdaptationSet')) {
+      const setBaseUrl = resolveBaseUrl(set, periodBaseUrl);
+      for (const rep of childElements(set, 'Representation')) {
+        const attrs = { ...set.attributes, ...rep.attributes };
+        const mimeType = attrs.mimeType || null;
+        const contentType = set.attributes.contentType || mimeType?.split('/')[0] ||
+          (/^(avc|hvc|hev|vp0|av01)/.test(attrs.codecs || '') ? 'video' : /^(mp4a|ac-3|ec-3|opus)/.test(attrs.codecs || '') ? 'audio' : 'text');
+        const channels = childElement(rep, 'AudioChannelConfiguration') || childElement(set, 'AudioChannelConfiguration');
+        representations.push(new DashRepresentation({
+          id: rep.attributes.id,
+          contentType: contentType === 'application' ? 'text' : contentType,
+          mimeType,
+          codecs: attrs.codecs,
+          bandwidth: parseInt(rep.attributes.bandwidth || '0'),
+          width: attrs.width ? parseInt(attrs.width) : null,
+          height: attrs.height ? parseInt(attrs.height) : null,
+          frameRate: attrs.frameRate,
+          language: attrs.lang,
+          label: (childElement(rep, 'Label') || childElement(set, 'Label'))?.text.trim() || null,
+          role: childElement(set, 'Role')?.attributes.value,
+          audioChannels: channels?.attributes.value,
+          encrypted: childElements(set, 'ContentProtection').length + childElements(rep, 'ContentProtection').length > 0,
+          addressing: {
+            ...resolveAddressing([period, set, rep]),
+            baseUrl: resolveBaseUrl(rep, setBaseUrl),
+            periodStart: start,
+            periodDuration
+          }
+        }));
+      }
+    }
+    return { id: period.attributes.id ?? null, start, duration: periodDuration, representations };
+  });
+
+  if (periods.length === 0) {
+    throw new Error('Invalid MPD: no periods found');
+  }
+  return { type, duration, periods };
+}
+
+/**
+ * Parse a DASH manifest from URL
+ * @param {string} url - MPD URL
+ * @param {object} [options] - Options
+ * @param {function} [options.onProgress] - Progress callback
+ * @param {AbortSignal} [options.signal] - Cancels the request (also timeout, retries as for parseHls)
+ * @returns {Promise<DashStream>}
+ */
+async function parseDash(url, options = {}) {
+  const log = options.onProgress || (() => {});
+
+  log('Fetching manifest...');
+  const response = await fetchWithRetry(url, {}, options);
+  if (!response.ok) {
+    throw new Error(`Failed to fetch manifest: ${response.status} ${response.statusText}`);
+  }
+  const stream = new DashStream(url, parseMpdText(await response.text(), url));
+  log(`Found ${stream.qualities.length} video and ${stream.audioRepresentations.length} audio representations`);
+  return stream;
+}
+
+// ── Segments ──────────────────────────────────────────────
+
+function createSegment(url, byteRange, startTime, duration) {
+  return { url, byteRange, startTime, duration, endTime: startTime + duration };
+}
+
+/**
+ * Expand a SegmentTimeline into { time, duration } entries (timescale units)
+ * A negative repeat count runs to the next S element or the period end.
+ */
+function timelineEntries(timeline, periodEnd) {
+  const entries = [];
+  const items = childElements(timeline, 'S');
+  let time = 0;
+  items.forEach((s, i) => {
+    const duration = Number(s.attributes.d);
+    if (s.attributes.t !== undefined) time = Number(s.attributes.t);
+    let repeat = parseInt(s.attributes.r || '0');
+    if (repeat < 0) {
+      const until = items[i + 1]?.attributes.t !== undefined ? Number(items[i + 1].attributes.t) : periodEnd;
+      if (!Number.isFinite(until)) {
+        throw new Error('Invalid MPD: SegmentTimeline repeats to the period end, but the period has no duration');
+      }
+      repeat = Math.ceil((until - time) / duration) - 1;
+    }
+    for (let j = 0; j <= repeat; j++) {
+      entries.push({ time, duration });
+      time += duration;
+    }
+  });
+  return entries;
+}
+
+/**
+ * { time, duration } entries of a SegmentTemplate or SegmentList
+ * (timescale units, presentationTimeOffset included)
+ */
+function addressingEntries(addressing, count = Infinity) {
+  const { attributes, timeline, periodDuration } = addressing;
+  const timescale = Number(attributes.timescale || 1);
+  const offset = Number(attributes.presentationTimeOffset || 0);
+  if (timeline) return timelineEntries(timeline, offset + periodDuration * timescale);
+
+  const duration = Number(attributes.duration || 0) || periodDuration * timescale;
+  if (!Number.isFinite(count)) {
+    if (!attributes.duration) throw new Error('Invalid MPD: SegmentTemplate needs a duration or a SegmentTimeline');
+    if (!Number.isFinite(periodDuration)) throw new Error('Live DASH without a SegmentTimeline is not supported');
+    count = Math.ceil(periodDuration * timescale / duration - 1e-6);
+  }
+  const total = periodDuration * timescale;
+  return Array.from({ length: count }, (_, i) => ({
+    time: offset + i * duration,
+    duration: Number.isFinite(total) ? Math.min(duration, total - i * duration) : duration
+  }));
+}
+
+/**
+ * Init segment from an Initialization element (sourceURL and/or range)
+ */
+function initializationOf(addressing) {
+  const init = addressing.initialization?.attributes;
+  if (!init) return null;
+  return {
+    url: init.sourceURL ? toAbsoluteUrl(init.sourceURL, addressing.baseUrl) : addressing.baseUrl,
+    byteRange: init.range ? parseRange(init.range) : null
+  };
+}
+
+/**
+ * Segments of a SegmentBase representation, from the sidx at indexRange
+ * Without an indexRange the whole file is one segment.
+ */
+async function indexedSegments(addressing, options) {
+  const { attributes, baseUrl, periodStart, periodDuration } = addressing;
+  if (!attributes.indexRange) {
+    const duration = Number.isFinite(periodDuration) ? periodDuration : 0;
+    return { segments: [createSegment(baseUrl, null, periodStart, duration)], init: initializationOf(addressing) };
+  }
+
+  const indexRange = parseRange(attributes.indexRange);
+  const response = await fetchSegment(baseUrl, indexRange, options);
+  if (!response.ok) {
+    throw new Error(`Segment index failed: ${response.status}`);
+  }
+  const sidx = findBox(parseBoxes(new Uint8Array(await response.arrayBuffer())), 'sidx');
+  if (!sidx) {
+    throw new Error('Invalid MPD: no sidx box at indexRange');
+  }
+  const { timescale, earliestPresentationTime, references } = parseSidx(sidx.data);
+  if (references.some(ref => ref.type === 1)) {
+    throw new Error('Hierarchical segment indexes (sidx referencing sidx) are not supported');
+  }
+
+  // Offsets count from the end of the sidx box
+  const anchor = indexRange.offset + sidx.offset + sidx.size;
+  const offset = Number(attributes.presentationTimeOffset || 0) / Number(attributes.timescale || 1);
+  let time = earliestPresentationTime;
+  const segments = references.map(ref => {
+    const segment = createSegment(baseUrl, { offset: anchor + ref.offset, length: ref.size },
+      periodStart + time / timescale - offset, ref.duration / timescale);
+    time += ref.duration;
+    return segment;
+  });
+
+  // The init segment usually comes right before the index
+  const init = initializationOf(addressing) || { url: baseUrl, byteRange: { offset: 0, length: indexRange.offset } };
+  return { segments, init };
+}
+
+/**
+ * Resolve a representation's segments on the presentation timeline
+ * SegmentBase representations fetch their sidx for this.
+ *
+ * @param {DashRepresentation} representation
+ * @param {object} [options] - { signal, timeout, retries } for the sidx request
+ * @returns {Promise<{ segments: Array<{url: string, byteRange: object|null, startTime: number, duration: number, endTime: number}>,
+ *   initSegmentUrl: string|null, initSegmentByteRange: object|null, timeOffset: number }>}
+ *   timeOffset is the presentation time of media time 0 (period start less presentationTimeOffset)
+ */
+async function resolveSegments(representation, options = {}) {
+  const addressing = representation._addressing;
+  const { kind, attributes, baseUrl, periodStart } = addressing;
+  const timescale = Number(attributes?.timescale || 1);
+  const offset = Number(attributes?.presentationTimeOffset || 0);
+  let segments;
+  let init;
+
+  if (kind === 'SegmentTemplate') {
+    if (!attributes.media) throw new Error('Invalid MPD: SegmentTemplate without a media attribute');
+    const values = { RepresentationID: representation.id, Bandwidth: representation.bandwidth };
+    const startNumber = attributes.startNumber !== undefined ? parseInt(attributes.startNumber) : 1;
+    segments = addressingEntries(addressing).map((entry, i) => createSegment(
+      toAbsoluteUrl(fillTemplate(attributes.media, { ...values, Number: startNumber + i, Time: entry.time }), baseUrl),
+      null,
+      periodStart + (entry.time - offset) / timescale,
+      entry.duration / timescale
+    ));
+    init = attributes.initialization
+      ? { url: toAbsoluteUrl(fillTemplate(attributes.initialization, values), baseUrl), byteRange: null }
+      : initializationOf(addressing);
+  } else if (kind === 'SegmentList') {
+    const entries = addressingEntries(addressing, addressing.segmentUrls.length);
+    segments = addressing.segmentUrls.map((element, i) => {
+      const { media, mediaRange } = element.attributes;
+      const entry = entries[Math.min(i, entries.length - 1)];
+      return createSegment(
+        media ? toAbsoluteUrl(media, baseUrl) : baseUrl,
+        mediaRange ? parseRange(mediaRange) : null,
+        periodStart + (entry.time - offset) / timescale,
+        entry.duration / timescale
+      );
+    });
+    init = initializationOf(addressing);
+  } else {
+    // SegmentBase, or a bare BaseURL: one indexed file
+    ({ segments, init } = await indexedSegments({ attributes: {}, ...addressing }, options));
+  }
+
+  return {
+    segments,
+    initSegmentUrl: init?.url || null,
+    initSegmentByteRange: init?.byteRange || null,
+    timeOffset: periodStart - offset / timescale
+  };
+}
+
+// ── Download ──────────────────────────────────────────────
+
+/**
+ * Download a DASH stream's segments
+ * The selected video representation and audio representation are
+ * downloaded with their init segments and muxed into one fMP4; segments
+ * of several periods are stitched into an MP4, one period after another.
+ *
+ * @param {DashStream|string} source - DashStream object or MPD URL
+ * @param {object} [options] - Options
+ * @param {string|number|object} [options.quality] - Video, as for DashStream.select()
+ * @param {string|DashRepresentation|false} [options.audio] - Audio by language or Label (default: Role "main"); false for video only
+ * @param {number} [options.maxSegments] - Max segments to download (default: all)
+ * @param {number} [options.startTime] - Start time in seconds (downloads segments that overlap)
+ * @param {number} [options.endTime] - End time in seconds
+ * @param {function} [options.onProgress] - Progress callback
+ * @param {AbortSignal} [options.signal] - Cancels the download (also concurrency, retries, timeout
+ *   and skipFailedSegments, as for downloadHls)
+ * @returns {Promise<Uint8Array>} fMP4 data (MP4 when the segments span several periods)
+ */
+async function downloadDash(source, options = {}) {
+  const log = options.onProgress || (() => {});
+
+  let stream = source;
+  if (typeof source === 'string') {
+    stream = await parseDash(source, options);
+  }
+  if (options.quality) {
+    stream.select(options.quality);
+  }
+  if (options.audio) {
+    stream.selectAudio(options.audio);
+  }
+
+  const video = stream.selected;
+  const audio = options.audio === false ? null : stream.selectedAudio;
+  if (!video && !audio) {
+    throw new Error('No video or audio representations found in MPD');
+  }
+  if (video) log(`Selected: ${video.name} (${video.kbps} kbps)`);
+  if (audio) log(`Audio: ${audio.name}`);
+
+  // Periods overlapping the requested range, with their segments
+  const startTime = options.startTime || 0;
+  const endTime = options.endTime !== undefined ? options.endTime : Infinity;
+  const periods = await Promise.all(stream.periods
+    .filter(period => period.start + period.duration > startTime && period.start < endTime)
+    .map(async period => {
+      const [primary, secondary] = [video || audio, video && audio].map(chosen => {
+        if (!chosen) return null;
+        const representation = matchRepresentation(period.representations, chosen);
+        if (!representation) {
+          throw new Error(`Period ${period.id ?? period.start} has no ${chosen.contentType} representation`);
+        }
+        if (representation.encrypted) {
+          throw new Error('DRM-protected DASH (ContentProtection) is not supported');
+        }
+        return representation;
+      });
+      const [media, audioMedia] = await Promise.all([
+        resolveSegments(primary, options),
+        secondary ? resolveSegments(secondary, options) : null
+      ]);
+      return { media, audioMedia };
+    }));
+
+  // Time range and maxSegments apply across periods
+  const selected = selectSegments(periods.flatMap((period, index) =>
+    period.media.segments.map(segment => ({ ...segment, period: index }))), options);
+  if (selected.length === 0) {
+    throw new Error('No segments found in MPD');
+  }
+  const hasTimeRange = options.startTime !== undefined || options.endTime !== undefined;
+  if (hasTimeRange) {
+    log(`Time range: ${startTime}s-${endTime}s → segments ${selected[0].startTime.toFixed(1)}s-${selected[selected.length - 1].endTime.toFixed(1)}s`);
+  }
+
+  const parts = periods.map((period, index) => {
+    const segments = selected.filter(segment => segment.period === index);
+    if (segments.length === 0) return null;
+    // Audio covering the same stretch as the video
+    const audioSegments = period.audioMedia ? selectSegments(period.audioMedia.segments, {
+      startTime: segments[0].startTime,
+      endTime: segments[segments.length - 1].endTime
+    }) : [];
+    if (period.audioMedia && audioSegments.length === 0) {
+      throw new Error('No audio segments found in MPD');
+    }
+    return { ...period, segments, audioSegments };
+  }).filter(Boolean);
+
+  const totalSegments = parts.reduce((sum, part) => sum + part.segments.length + part.audioSegments.length, 0);
+  log(`Downloading ${totalSegments} segment${totalSegments > 1 ? 's' : ''}...`);
+
+  let completedSegments = 0;
+  const onSegment = () => {
+    completedSegments++;
+    const percent = Math.round((completedSegments / totalSegments) * 50); // Download is 0-50%
+    log(`Downloading: ${percent}%`, { phase: 'download', percent, segment: completedSegments, totalSegments });
+  };
+  const downloadOptions = createDownloadOptions(options);
+  const buffers = await Promise.all(parts.map(async part => {
+    const [videoData, audioData] = await Promise.all([
+      downloadSegments({ ...part.media, segments: part.segments }, downloadOptions, onSegment),
+      part.audioMedia ? downloadSegments({ ...part.audioMedia, segments: part.audioSegments }, downloadOptions, onSegment) : null
+    ]);
+    return audioData ? muxAudioRendition(videoData, audioData) : videoData;
+  }));
+
+  let combined = buffers[0];
+  if (buffers.length > 1) {
+    log('Stitching periods...');
+    combined = buffers[0][0] === 0x47
+      ? stitchTs(buffers, { discontinuitySequences: buffers.map((_, i) => i) })
+      : stitchFmp4(buffers);
+  }
+
+  const { gaps } = downloadOptions;
+  if (gaps.length) {
+    gaps.sort((a, b) => a.startTime - b.startTime);
+    log(`Skipped ${gaps.length} failed segment${gaps.length > 1 ? 's' : ''}`);
+  }
+
+  log(`Downloaded ${(combined.length / 1024 / 1024).toFixed(2)} MB`, { phase: 'download', percent: 50 });
+
+  // Same metadata as HLS downloads, so toMp4() can clip precisely. A single
+  // fMP4 period keeps its decode times, which follow the MPD timeline;
+  // MPEG-TS and stitched periods start at zero with the first segment.
+  const keepsMediaTime = buffers.length === 1 && combined[0] !== 0x47;
+  combined._hlsTimeRange = hasTimeRange ? {
+    requestedStart: startTime,
+    requestedEnd: options.endTime,
+    actualStart: keepsMediaTime
+      ? parts[0].media.timeOffset
+      : selected.find(seg => !gaps.some(gap => gap.url === seg.url && gap.startTime === seg.startTime))?.startTime ?? 0,
+    actualEnd: selected[selected.length - 1].endTime
+  } : null;
+  if (gaps.length) combined._hlsGaps = gaps;
+
+  return combined;
+}
+
+/**
+ * Check if a URL looks like a DASH manifest
+ * @param {string} url - URL to check
+ * @returns {boolean}
+ */
+function isDashUrl(url) {
+  if (typeof url !== 'string') return false;
+  const lower = url.toLowerCase();
+  return /\.mpd(?:[?#]|$)/.test(lower) || lower.includes('format=mpd');
+}
+
+export {
+  DashStream,
+  DashRepresentation,
+  parseDash,
+  parseMpdText,
+  downloadDash,
+  resolveSegments,
+  isDashUrl
+};
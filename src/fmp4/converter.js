@@ -16,7 +16,10 @@ import {
     parseTfdt,
     parseTrun,
     getMovieTimescale,
+    createChunkOffsetBox,
+    assembleMp4,
 } from './utils.js';
+import { smartCut } from '../smart-cut.js';
 
 function createFullBox(type, version, flags, ...payloads) {
     const header = new Uint8Array(4);
@@ -310,6 +313,146 @@ function applyClipToTracks(tracks, options = {}) {
     return clipped;
 }
 
+const VIDEO_CONFIG_BOXES = { avc1: 'avcC', avc3: 'avcC', hvc1: 'hvcC', hev1: 'hvcC' };
+
+/**
+ * First sample entry of a video track, with its decoder configuration
+ * @returns {{entry: object, configType: string, format: 'avc'|'hevc', description: Uint8Array, width: number, height: number}|null}
+ */
+function findVideoSampleEntry(moovBox, trackId) {
+    for (const trak of parseChildBoxes(moovBox)) {
+        if (trak.type !== 'trak') continue;
+        const trakChildren = parseChildBoxes(trak);
+        const tkhd = findBox(trakChildren, 'tkhd');
+        const view = new DataView(tkhd.data.buffer, tkhd.data.byteOffset, tkhd.data.byteLength);
+        if ((tkhd.data[8] === 0 ? view.getUint32(20) : view.getUint32(28)) !== trackId) continue;
+
+        const minf = findBox(parseChildBoxes(findBox(trakChildren, 'mdia')), 'minf');
+        const stsd = findBox(parseChildBoxes(findBox(parseChildBoxes(minf), 'stbl')), 'stsd');
+        const entry = stsd && parseChildBoxes(stsd, 16)[0];
+        const configType = entry && VIDEO_CONFIG_BOXES[entry.type];
+        const config = configType && findBox(parseChildBoxes(entry, 86), configType);
+        if (!config) return null;
+        const entryView = new DataView(entry.data.buffer, entry.data.byteOffset, entry.data.byteLength);
+        return {
+            entry,
+            configType,
+            format: configType === 'avcC' ? 'avc' : 'hevc',
+            description: config.data.subarray(8),
+            width: entryView.getUint16(32),
+            height: entryView.getUint16(34),
+        };
+    }
+    return null;
+}
+
+/**
+ * Copy of a video sample entry with another decoder configuration
+ */
+function createVideoSampleEntry(source, description) {
+    const children = parseChildBoxes(source.entry, 86).map((child) =>
+        child.type === source.configType ? createBox(source.configType, description) : child.data,
+    );
+    return createBox(source.entry.type, source.entry.data.subarray(8, 86), ...children);
+}
+
+/**
+ * Smart-cut the clipped video track so it starts exactly at the requested
+ * time (see smart-cut.js), then clip the other tracks from the cut rather
+ * than from the keyframe. Re-encoded samples carry their bytes (`data`)
+ * and use a second sample description holding the encoder's configuration.
+ *
+ * @param {Map} tracks - Unclipped tracks
+ * @param {Map} clipped - Result of applyClipToTracks()
+ * @param {object} moovBox - Source moov (for the video sample entry)
+ * @param {Uint8Array} sourceMdat - Data the samples' byteOffsets point into
+ * @param {object} options - Clip options ({ startTime, endTime, reencode })
+ * @returns {Promise<Map>} Clipped tracks
+ */
+async function applySmartCut(tracks, clipped, moovBox, sourceMdat, options = {}) {
+    const video = [...clipped.values()].find((track) => track.handlerType === 'vide');
+    if (!video || !video.mediaTime) return clipped;
+
+    const source = findVideoSampleEntry(moovBox, video.trackId);
+    if (!source) throw new Error('Precise clipping supports H.264 and H.265 video only');
+
+    const frames = video.samples.map((sample) => ({
+        data: sourceMdat.subarray(sample.byteOffset, sample.byteOffset + sample.size),
+        pts: sample.pts,
+        dts: sample.dts,
+        duration: sample.duration,
+        keyframe: isSyncSample(sample),
+        sample,
+    }));
+    const config = {
+        format: source.format,
+        description: source.description,
+        width: source.width,
+        height: source.height,
+        timescale: video.timescale,
+    };
+    const cut = await smartCut(frames, config, video.mediaTime, options);
+    if (!cut) return clipped;
+
+    // Rebase to the first decoded sample; the edit list skips the decode delay
+    const baseDts = cut.frames.length ? cut.frames[0].dts : 0;
+    const lastDuration = video.samples[video.samples.length - 1].duration || 0;
+    const samples = cut.frames.map((frame, i) => {
+        if (!frame.reencoded) {
+            const sample = cloneSample(frame.sample);
+            sample.dts -= baseDts;
+            sample.pts -= baseDts;
+            return sample;
+        }
+        const next = cut.frames[i + 1];
+        return {
+            duration: next ? next.dts - frame.dts : lastDuration,
+            size: frame.data.byteLength,
+            flags: frame.keyframe ? 0x02000000 : 0x01010000,
+            compositionTimeOffset: frame.pts - frame.dts,
+            dts: frame.dts - baseDts,
+            pts: frame.pts - baseDts,
+            byteOffset: 0,
+            data: frame.data,
+            sampleDescriptionIndex: 2,
+        };
+    });
+
+    const startSec = Number.isFinite(options.startTime) ? Math.max(0, options.startTime) : 0;
+    const cutSec = (Math.round(startSec * video.timescale) - video.mediaTime + cut.cutPts) / video.timescale;
+    const endSec = Number.isFinite(options.endTime) ? Math.max(cutSec, options.endTime) : Infinity;
+    const mediaTime = cut.cutPts - baseDts;
+    const available = Math.max(0, sumSampleDurations(samples) - mediaTime);
+
+    const result = new Map();
+    result.set(video.trackId, {
+        ...video,
+        samples,
+        mediaTime,
+        playbackDuration: Number.isFinite(endSec) ? Math.min(Math.round((endSec - cutSec) * video.timescale), available) : available,
+        chunkOffsets: [],
+        sampleEntries: cut.description ? [createVideoSampleEntry(source, cut.description)] : [],
+    });
+
+    // Other tracks start at the cut, with nothing to skip
+    for (const [trackId, track] of tracks) {
+        if (trackId === video.trackId || !track.samples.length) continue;
+        const startTick = Math.round(cutSec * track.timescale);
+        const endTick = Number.isFinite(endSec) ? Math.round(endSec * track.timescale) : Infinity;
+        const clip = clipNonVideoSamples(track.samples, startTick, endTick);
+        if (!clip.samples.length) continue;
+        result.set(trackId, {
+            ...track,
+            samples: clip.samples,
+            mediaTime: 0,
+            playbackDuration: clip.playbackDuration,
+            chunkOffsets: [],
+        });
+    }
+
+    return result;
+}
+
 function collectTrackSamples(boxes, trackMetadata, trexDefaults) {
     const tracks = new Map();
     const mdatChunks = [];
@@ -324,14 +467,14 @@ function collectTrackSamples(boxes, trackMetadata, trexDefaults) {
             let nextMdatOffset = -1;
             for (let j = i + 1; j < boxes.length; j++) {
                 if (boxes[j].type === 'mdat') {
-                    nextMdatOffset = boxes[j].offset;
+                    nextMdatOffset = boxes[j].offset + boxes[j].headerSize;
                     break;
                 }
                 if (boxes[j].type === 'moof') break;
             }
             if (nextMdatOffset < 0) continue;
 
-            const mdatContentStartAbs = nextMdatOffset + 8;
+            const mdatContentStartAbs = nextMdatOffset;
 
             for (const child of moofChildren) {
                 if (child.type !== 'traf') continue;
@@ -394,7 +537,7 @@ function collectTrackSamples(boxes, trackMetadata, trexDefaults) {
                 }
             }
         } else if (box.type === 'mdat') {
-            const data = box.data.subarray(8);
+            const data = box.data.subarray(box.headerSize);
             mdatChunks.push({ data, offset: combinedMdatOffset });
             combinedMdatOffset += data.byteLength;
         }
@@ -430,14 +573,28 @@ function rebuildMdatContent(tracks, trackOrder, sourceMdat) {
             continue;
         }
 
-        track.chunkOffsets = [{ offset: writeOffset, sampleCount: track.samples.length }];
+        // One chunk per run of samples sharing a sample description
+        track.chunkOffsets = [];
         for (const sample of track.samples) {
-            const start = sample.byteOffset || 0;
-            const end = start + (sample.size || 0);
-            if (start < 0 || end > sourceMdat.byteLength) {
-                throw new Error(`Invalid sample byte range for track ${trackId}: ${start}-${end}`);
+            const sampleDescriptionIndex = sample.sampleDescriptionIndex || 1;
+            const chunk = track.chunkOffsets[track.chunkOffsets.length - 1];
+            if (!chunk || chunk.sampleDescriptionIndex !== sampleDescriptionIndex) {
+                track.chunkOffsets.push({ offset: writeOffset, sampleCount: 1, sampleDescriptionIndex });
+            } else {
+                chunk.sampleCount++;
+            }
+
+            // Re-encoded samples (precise clipping) carry their own bytes
+            if (sample.data) {
+                mdatData.set(sample.data, writeOffset);
+            } else {
+                const start = sample.byteOffset || 0;
+                const end = start + (sample.size || 0);
+                if (start < 0 || end > sourceMdat.byteLength) {
+                    throw new Error(`Invalid sample byte range for track ${trackId}: ${start}-${end}`);
+                }
+                mdatData.set(sourceMdat.subarray(start, end), writeOffset);
             }
-            mdatData.set(sourceMdat.subarray(start, end), writeOffset);
             sample.byteOffset = writeOffset;
             writeOffset += sample.size || 0;
         }
@@ -500,12 +657,22 @@ function rebuildMdhd(mdhdBox, trackInfo) {
     return data;
 }
 
+/**
+ * stsd with further sample entries appended (referenced as index 2, 3, ...)
+ */
+function appendSampleEntries(stsdBox, entries) {
+    const header = stsdBox.data.slice(8, 16);
+    const view = new DataView(header.buffer);
+    view.setUint32(4, view.getUint32(4) + entries.length);
+    return createBox('stsd', header, stsdBox.data.subarray(16, stsdBox.size), ...entries);
+}
+
 function rebuildStbl(stblBox, trackInfo) {
     const stblChildren = parseChildBoxes(stblBox);
     const newParts = [];
     for (const child of stblChildren) {
         if (child.type === 'stsd') {
-            newParts.push(child.data);
+            newParts.push(trackInfo?.sampleEntries?.length ? appendSampleEntries(child, trackInfo.sampleEntries) : child.data);
             break;
         }
     }
@@ -544,20 +711,12 @@ function rebuildStbl(stblBox, trackInfo) {
 
     // stsc
     const stscEntries = [];
-    if (chunkOffsets.length > 0) {
-        let currentSampleCount = chunkOffsets[0].sampleCount;
-        let firstChunk = 1;
-        for (let i = 1; i <= chunkOffsets.length; i++) {
-            const sampleCount = i < chunkOffsets.length ? chunkOffsets[i].sampleCount : -1;
-            if (sampleCount !== currentSampleCount) {
-                stscEntries.push({
-                    firstChunk,
-                    samplesPerChunk: currentSampleCount,
-                    sampleDescriptionIndex: 1,
-                });
-                firstChunk = i + 1;
-                currentSampleCount = sampleCount;
-            }
+    for (let i = 0; i < chunkOffsets.length; i++) {
+        const samplesPerChunk = chunkOffsets[i].sampleCount;
+        const sampleDescriptionIndex = chunkOffsets[i].sampleDescriptionIndex || 1;
+        const last = stscEntries[stscEntries.length - 1];
+        if (!last || last.samplesPerChunk !== samplesPerChunk || last.sampleDescriptionIndex !== sampleDescriptionIndex) {
+            stscEntries.push({ firstChunk: i + 1, samplesPerChunk, sampleDescriptionIndex });
         }
     }
     const stscData = new Uint8Array(8 + stscEntries.length * 12);
@@ -583,14 +742,8 @@ function rebuildStbl(stblBox, trackInfo) {
     }
     newParts.push(createBox('stsz', stszData));
 
-    // stco
-    const stcoData = new Uint8Array(8 + chunkOffsets.length * 4);
-    const stcoView = new DataView(stcoData.buffer);
-    stcoView.setUint32(4, chunkOffsets.length);
-    for (let i = 0; i < chunkOffsets.length; i++) {
-        stcoView.setUint32(8 + i * 4, chunkOffsets[i].offset || 0);
-    }
-    newParts.push(createBox('stco', stcoData));
+    // stco (co64 past 4 GB)
+    newParts.push(createChunkOffsetBox(chunkOffsets.map((chunk) => chunk.offset || 0)));
 
     // ctts
     const hasCtts = samples.some((sample) => sample.compositionTimeOffset);
@@ -705,59 +858,50 @@ function rebuildTrak(trakBox, trackInfoMap, maxMovieDuration) {
     return createBox('trak', ...newParts);
 }
 
-function updateStcoOffsets(output, ftypSize, moovSize) {
-    const mdatContentOffset = ftypSize + moovSize + 8;
-    const view = new DataView(output.buffer, output.byteOffset, output.byteLength);
-
-    function scan(start, end) {
-        let position = start;
-        while (position + 8 <= end) {
-            const size = view.getUint32(position);
-            if (size < 8) break;
-            const type = String.fromCharCode(
-                output[position + 4],
-                output[position + 5],
-                output[position + 6],
-                output[position + 7],
-            );
-
-            if (type === 'stco') {
-                const entryCount = view.getUint32(position + 12);
-                for (let i = 0; i < entryCount; i++) {
-                    const entryPos = position + 16 + i * 4;
-                    const relativeOffset = view.getUint32(entryPos);
-                    view.setUint32(entryPos, mdatContentOffset + relativeOffset);
-                }
-            } else if (['moov', 'trak', 'mdia', 'minf', 'stbl'].includes(type)) {
-                scan(position + 8, position + size);
-            }
-
-            position += size;
-        }
-    }
-
-    scan(0, output.byteLength);
-}
-
-/**
- * Convert fragmented MP4 to standard MP4
- * @param {Uint8Array} fmp4Data - fMP4 data
- * @param {object} [options] - Optional clip settings
- * @param {number} [options.startTime] - Clip start time (seconds)
- * @param {number} [options.endTime] - Clip end time (seconds)
- * @returns {Uint8Array} Standard MP4 data
- */
 // Shared rebuild functions — also used by mp4-clip.js for standard MP4 clipping
 export {
+    extractTrackMetadata,
     applyClipToTracks,
+    applySmartCut,
     rebuildMdatContent,
     calculateMovieDuration,
     rebuildTrak,
     rebuildMvhd,
-    updateStcoOffsets,
 };
 
+/**
+ * Convert fragmented MP4 to standard MP4
+ * @param {Uint8Array} fmp4Data - fMP4 data
+ * @param {object} [options] - Optional clip settings
+ * @param {number} [options.startTime] - Clip start time (seconds)
+ * @param {number} [options.endTime] - Clip end time (seconds)
+ * @returns {Uint8Array} Standard MP4 data
+ */
 export function convertFmp4ToMp4(fmp4Data, options = {}) {
+    if (options.precise) {
+        throw new Error('Precise clipping re-encodes asynchronously: use convertFmp4ToMp4Precise() or toMp4()');
+    }
+    const { clippedTracks, build } = prepareFmp4(fmp4Data, options);
+    return build(clippedTracks);
+}
+
+/**
+ * Convert fragmented MP4 to standard MP4, starting exactly at startTime by
+ * re-encoding the frames up to the next keyframe (see smart-cut.js)
+ * @param {Uint8Array} fmp4Data - fMP4 data
+ * @param {object} [options] - convertFmp4ToMp4 options, plus:
+ * @param {function} [options.reencode] - Re-encoding hook (default: WebCodecs)
+ * @returns {Promise<Uint8Array>} Standard MP4 data
+ */
+export async function convertFmp4ToMp4Precise(fmp4Data, options = {}) {
+    const { tracks, clippedTracks, moov, combinedMdat, build } = prepareFmp4(fmp4Data, options);
+    return build(await applySmartCut(tracks, clippedTracks, moov, combinedMdat, options));
+}
+
+/**
+ * Collect and clip an fMP4's samples; build() writes the standard MP4
+ */
+function prepareFmp4(fmp4Data, options) {
     const boxes = parseBoxes(fmp4Data);
     const ftyp = findBox(boxes, 'ftyp');
     const moov = findBox(boxes, 'moov');
@@ -775,31 +919,29 @@ export function convertFmp4ToMp4(fmp4Data, options = {}) {
         throw new Error('Clip range produced no samples');
     }
 
-    const rebuiltMdat = rebuildMdatContent(clippedTracks, trackOrder, combinedMdat);
-    const maxMovieDuration = calculateMovieDuration(clippedTracks, movieTimescale);
-
-    const moovChildren = parseChildBoxes(moov);
-    const newMoovParts = [];
-    for (const child of moovChildren) {
-        if (child.type === 'mvex') continue;
-        if (child.type === 'trak') {
-            const trak = rebuildTrak(child, clippedTracks, maxMovieDuration);
-            if (trak) newMoovParts.push(trak);
-        } else if (child.type === 'mvhd') {
-            newMoovParts.push(rebuildMvhd(child, maxMovieDuration));
-        } else {
-            newMoovParts.push(child.data);
+    const build = (clipped) => {
+        const rebuiltMdat = rebuildMdatContent(clipped, trackOrder, combinedMdat);
+        const maxMovieDuration = calculateMovieDuration(clipped, movieTimescale);
+
+        const moovChildren = parseChildBoxes(moov);
+        const newMoovParts = [];
+        for (const child of moovChildren) {
+            if (child.type === 'mvex') continue;
+            if (child.type === 'trak') {
+                const trak = rebuildTrak(child, clipped, maxMovieDuration);
+                if (trak) newMoovParts.push(trak);
+            } else if (child.type === 'mvhd') {
+                newMoovParts.push(rebuildMvhd(child, maxMovieDuration));
+            } else {
+                newMoovParts.push(child.data);
+            }
         }
-    }
 
-    const newMoov = createBox('moov', ...newMoovParts);
-    const newMdat = createBox('mdat', rebuiltMdat);
-    const output = new Uint8Array(ftyp.size + newMoov.byteLength + newMdat.byteLength);
-    output.set(ftyp.data, 0);
-    output.set(newMoov, ftyp.size);
-    output.set(newMdat, ftyp.size + newMoov.byteLength);
-    updateStcoOffsets(output, ftyp.size, newMoov.byteLength);
-    return output;
+        const newMoov = createBox('moov', ...newMoovParts);
+        return assembleMp4(ftyp.data, newMoov, rebuiltMdat);
+    };
+
+    return { tracks, clippedTracks, moov, combinedMdat, build };
 }
 
 export default convertFmp4ToMp4;
@@ -8,7 +8,7 @@
  * @module fmp4
  */
 
-export { convertFmp4ToMp4 } from './converter.js';
+export { convertFmp4ToMp4, convertFmp4ToMp4Precise } from './converter.js';
 export { stitchFmp4 } from './stitcher.js';
 
 // Re-export utilities for advanced use cases
@@ -20,6 +20,7 @@ export {
     parseTfhd,
     parseTfdt,
     parseTrun,
+    parseSidx,
     extractTrackIds,
     getMovieTimescale
 } from './utils.js';
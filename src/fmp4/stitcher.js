@@ -4,44 +4,7 @@
  * Pure JavaScript - no dependencies
  */
 
-// ============================================
-// Box Utilities (shared with fmp4-to-mp4.js)
-// ============================================
-
-function parseBoxes(data, offset = 0, end = data.byteLength) {
-  const boxes = [];
-  const view = new DataView(data.buffer, data.byteOffset, data.byteLength);
-  while (offset < end) {
-    if (offset + 8 > end) break;
-    const size = view.getUint32(offset);
-    const type = String.fromCharCode(data[offset + 4], data[offset + 5], data[offset + 6], data[offset + 7]);
-    if (size === 0 || size < 8) break;
-    boxes.push({ type, offset, size, data: data.subarray(offset, offset + size) });
-    offset += size;
-  }
-  return boxes;
-}
-
-function findBox(boxes, type) {
-  for (const box of boxes) if (box.type === type) return box;
-  return null;
-}
-
-function parseChildBoxes(box, headerSize = 8) {
-  return parseBoxes(box.data, headerSize, box.size);
-}
-
-function createBox(type, ...payloads) {
-  let size = 8;
-  for (const p of payloads) size += p.byteLength;
-  const result = new Uint8Array(size);
-  const view = new DataView(result.buffer);
-  view.setUint32(0, size);
-  result[4] = type.charCodeAt(0); result[5] = type.charCodeAt(1); result[6] = type.charCodeAt(2); result[7] = type.charCodeAt(3);
-  let offset = 8;
-  for (const p of payloads) { result.set(p, offset); offset += p.byteLength; }
-  return result;
-}
+import { parseBoxes, findBox, parseChildBoxes, createBox, createChunkOffsetBox, assembleMp4 } from './utils.js';
 
 // ============================================
 // Fragment Parsing
@@ -58,14 +21,15 @@ function parseTfhd(tfhdData, trexDefaults = {}) {
   let defaultSampleDuration = trexDefaults.defaultSampleDuration || 0;
   let defaultSampleSize = trexDefaults.defaultSampleSize || 0;
   let defaultSampleFlags = trexDefaults.defaultSampleFlags || 0;
+  let sampleDescriptionIndex = trexDefaults.defaultSampleDescriptionIndex || 1;
 
   if (flags & 0x1) { baseDataOffset = Number(view.getBigUint64(offset)); offset += 8; }
-  if (flags & 0x2) offset += 4; // sample description index
+  if (flags & 0x2) { sampleDescriptionIndex = view.getUint32(offset); offset += 4; }
   if (flags & 0x8) { defaultSampleDuration = view.getUint32(offset); offset += 4; }
   if (flags & 0x10) { defaultSampleSize = view.getUint32(offset); offset += 4; }
   if (flags & 0x20) { defaultSampleFlags = view.getUint32(offset); offset += 4; }
 
-  return { trackId, flags, baseDataOffset, defaultSampleDuration, defaultSampleSize, defaultSampleFlags };
+  return { trackId, flags, baseDataOffset, sampleDescriptionIndex, defaultSampleDuration, defaultSampleSize, defaultSampleFlags };
 }
 
 /**
@@ -200,7 +164,17 @@ function rebuildMdhd(mdhdBox, trackInfo, maxDuration) {
 function rebuildStbl(stblBox, trackInfo) {
   const stblChildren = parseChildBoxes(stblBox);
   const newParts = [];
-  for (const child of stblChildren) if (child.type === 'stsd') { newParts.push(child.data); break; }
+  const extraEntries = trackInfo?.extraEntries || [];
+  for (const child of stblChildren) {
+    if (child.type !== 'stsd') continue;
+    if (extraEntries.length === 0) { newParts.push(child.data); break; }
+    // Sample entries from later init segments go after the original ones
+    const header = child.data.slice(8, 16);
+    const view = new DataView(header.buffer);
+    view.setUint32(4, view.getUint32(4) + extraEntries.length);
+    newParts.push(createBox('stsd', header, child.data.subarray(16), ...extraEntries));
+    break;
+  }
   const samples = trackInfo?.samples || [];
   const chunkOffsets = trackInfo?.chunkOffsets || [];
 
@@ -224,11 +198,13 @@ function rebuildStbl(stblBox, trackInfo) {
   const stscEntries = [];
   if (chunkOffsets.length > 0) {
     let currentSampleCount = chunkOffsets[0].sampleCount, firstChunk = 1;
+    let currentIndex = chunkOffsets[0].sampleDescriptionIndex || 1;
     for (let i = 1; i <= chunkOffsets.length; i++) {
       const sampleCount = i < chunkOffsets.length ? chunkOffsets[i].sampleCount : -1;
-      if (sampleCount !== currentSampleCount) {
-        stscEntries.push({ firstChunk, samplesPerChunk: currentSampleCount, sampleDescriptionIndex: 1 });
-        firstChunk = i + 1; currentSampleCount = sampleCount;
+      const index = i < chunkOffsets.length ? chunkOffsets[i].sampleDescriptionIndex || 1 : -1;
+      if (sampleCount !== currentSampleCount || index !== currentIndex) {
+        stscEntries.push({ firstChunk, samplesPerChunk: currentSampleCount, sampleDescriptionIndex: currentIndex });
+        firstChunk = i + 1; currentSampleCount = sampleCount; currentIndex = index;
       }
     }
   } else stscEntries.push({ firstChunk: 1, samplesPerChunk: samples.length, sampleDescriptionIndex: 1 });
@@ -247,13 +223,9 @@ function rebuildStbl(stblBox, trackInfo) {
   for (const s of samples) { stszView.setUint32(off, s.size || 0); off += 4; }
   newParts.push(createBox('stsz', stszData));
 
-  // stco
-  const numChunks = chunkOffsets.length || 1;
-  const stcoData = new Uint8Array(8 + numChunks * 4);
-  const stcoView = new DataView(stcoData.buffer);
-  stcoView.setUint32(4, numChunks);
-  for (let i = 0; i < numChunks; i++) stcoView.setUint32(8 + i * 4, chunkOffsets[i]?.offset || 0);
-  newParts.push(createBox('stco', stcoData));
+  // stco (co64 past 4 GB)
+  const offsets = chunkOffsets.length > 0 ? chunkOffsets.map(c => c.offset || 0) : [0];
+  newParts.push(createChunkOffsetBox(offsets));
 
   // ctts
   const hasCtts = samples.some(s => s.compositionTimeOffset);
@@ -409,26 +381,76 @@ function rebuildTrak(trakBox, trackIdMap, movieTimescale) {
   return createBox('trak', ...newParts);
 }
 
-function updateStcoOffsets(output, ftypSize, moovSize) {
-  const mdatContentOffset = ftypSize + moovSize + 8;
-  const view = new DataView(output.buffer, output.byteOffset, output.byteLength);
-  function scan(start, end) {
-    let pos = start;
-    while (pos + 8 <= end) {
-      const size = view.getUint32(pos);
-      if (size < 8) break;
-      const type = String.fromCharCode(output[pos + 4], output[pos + 5], output[pos + 6], output[pos + 7]);
-      if (type === 'stco') {
-        const entryCount = view.getUint32(pos + 12);
-        for (let i = 0; i < entryCount; i++) {
-          const entryPos = pos + 16 + i * 4;
-          view.setUint32(entryPos, mdatContentOffset + view.getUint32(entryPos));
-        }
-      } else if (['moov', 'trak', 'mdia', 'minf', 'stbl'].includes(type)) scan(pos + 8, pos + size);
-      pos += size;
+// ============================================
+// Init Segment Changes
+// ============================================
+
+function bytesEqual(a, b) {
+  if (a.byteLength !== b.byteLength) return false;
+  for (let i = 0; i < a.byteLength; i++) if (a[i] !== b[i]) return false;
+  return true;
+}
+
+/**
+ * Sample entries and media timescale of each trak in a moov, in trak order
+ */
+function extractTrackDescriptions(moovBox) {
+  const descriptions = [];
+  for (const trak of parseChildBoxes(moovBox)) {
+    if (trak.type !== 'trak') continue;
+    const mdia = findBox(parseChildBoxes(trak), 'mdia');
+    const mdiaChildren = mdia ? parseChildBoxes(mdia) : [];
+    const mdhd = findBox(mdiaChildren, 'mdhd');
+    const minf = findBox(mdiaChildren, 'minf');
+    const stbl = minf && findBox(parseChildBoxes(minf), 'stbl');
+    const stsd = stbl && findBox(parseChildBoxes(stbl), 'stsd');
+
+    let timescale = 0;
+    if (mdhd) {
+      const view = new DataView(mdhd.data.buffer, mdhd.data.byteOffset, mdhd.data.byteLength);
+      timescale = mdhd.data[8] === 0 ? view.getUint32(20) : view.getUint32(28);
     }
+    descriptions.push({ timescale, entries: stsd ? parseChildBoxes(stsd, 16).map(entry => entry.data) : [] });
   }
-  scan(0, output.byteLength);
+  return descriptions;
+}
+
+/**
+ * Map a later init segment (e.g. after an HLS discontinuity) onto the first
+ * one. Its traks match the first moov's by position; their sample entries
+ * are appended to the track's stsd unless an identical entry exists, and
+ * sample timing is rescaled when the media timescale differs.
+ *
+ * @returns {{ trackKeys: Map, sampleDescriptionIndexes: Map, timescaleRatios: Map }}
+ *   Keyed by the later moov's track ID → first moov's track ID, and by the
+ *   first moov's track ID → combined stsd index per local index / duration multiplier
+ */
+function mapInitSegment(moovBox, firstTrackIds, firstDescriptions, tracks) {
+  const trackIds = extractTrackIds(moovBox);
+  const descriptions = extractTrackDescriptions(moovBox);
+  const mapping = { trackKeys: new Map(), sampleDescriptionIndexes: new Map(), timescaleRatios: new Map() };
+
+  trackIds.forEach((trackId, position) => {
+    const key = firstTrackIds[position];
+    if (key === undefined) return;
+    if (!tracks.has(key)) tracks.set(key, { samples: [], chunkOffsets: [], extraEntries: [] });
+    const track = tracks.get(key);
+    const first = firstDescriptions[position];
+
+    const indexes = descriptions[position].entries.map(entry => {
+      const known = [...first.entries, ...track.extraEntries];
+      const existing = known.findIndex(e => bytesEqual(e, entry));
+      if (existing >= 0) return existing + 1;
+      track.extraEntries.push(entry);
+      return known.length + 1;
+    });
+
+    mapping.trackKeys.set(trackId, key);
+    mapping.sampleDescriptionIndexes.set(key, indexes);
+    const { timescale } = descriptions[position];
+    mapping.timescaleRatios.set(key, timescale && first.timescale ? first.timescale / timescale : 1);
+  });
+  return mapping;
 }
 
 // ============================================
@@ -439,7 +461,9 @@ function updateStcoOffsets(output, ftypSize, moovSize) {
  * Stitch multiple fMP4 segments into a single standard MP4
  * 
  * @param {(Uint8Array | ArrayBuffer)[]} segments - Array of fMP4 segment data
- *        Each segment can be self-contained (init+data) or just data (moof/mdat)
+ *        Each segment can be self-contained (init+data) or just data (moof/mdat).
+ *        A segment starting with a different init (e.g. after an HLS
+ *        discontinuity) adds its sample descriptions for the fragments that follow.
  * @param {Object} [options] - Stitch options
  * @param {Uint8Array | ArrayBuffer} [options.init] - Optional separate init segment data (ftyp/moov)
  * @returns {Uint8Array} Standard MP4 data
@@ -476,6 +500,10 @@ export function stitchFmp4(segments, options = {}) {
   let moov = null;
   let originalTrackIds = [];
   let trexDefaults = new Map(); // trackId -> default sample values from trex
+  let firstDescriptions = null;
+  // Init that later fragments belong to, and how it maps onto the first (null: the first itself)
+  let activeMoov = null;
+  let initMapping = null;
 
   // Process init segment if provided separately
   if (initData) {
@@ -487,6 +515,8 @@ export function stitchFmp4(segments, options = {}) {
     }
     originalTrackIds = extractTrackIds(moov);
     trexDefaults = extractTrexDefaults(moov);
+    firstDescriptions = extractTrackDescriptions(moov);
+    activeMoov = moov.data;
   }
 
   // Process each segment
@@ -506,6 +536,12 @@ export function stitchFmp4(segments, options = {}) {
       moov = segMoov;
       originalTrackIds = extractTrackIds(moov);
       trexDefaults = extractTrexDefaults(moov);
+      firstDescriptions = extractTrackDescriptions(moov);
+      activeMoov = moov.data;
+    } else if (segMoov && !bytesEqual(segMoov.data, activeMoov)) {
+      initMapping = mapInitSegment(segMoov, originalTrackIds, firstDescriptions, tracks);
+      trexDefaults = extractTrexDefaults(segMoov);
+      activeMoov = segMoov.data;
     }
 
     // Process fragment boxes (moof + mdat pairs)
@@ -522,7 +558,7 @@ export function stitchFmp4(segments, options = {}) {
         for (let j = i + 1; j < boxes.length; j++) {
           if (boxes[j].type === 'mdat') {
             nextMdat = boxes[j];
-            nextMdatOffset = boxes[j].offset;
+            nextMdatOffset = boxes[j].offset + boxes[j].headerSize;
             break;
           }
           if (boxes[j].type === 'moof') break;
@@ -545,20 +581,35 @@ export function stitchFmp4(segments, options = {}) {
               const tfhd = parseTfhd(tfhdBox.data, trackTrexDefaults);
               const { samples, dataOffset } = parseTrun(trunBox.data, tfhd);
 
-              if (!tracks.has(tfhd.trackId)) {
-                tracks.set(tfhd.trackId, { samples: [], chunkOffsets: [] });
+              // Fragments after a changed init use the first init's track IDs
+              const key = initMapping ? initMapping.trackKeys.get(tfhd.trackId) : tfhd.trackId;
+              if (key === undefined) continue;
+              if (!tracks.has(key)) {
+                tracks.set(key, { samples: [], chunkOffsets: [], extraEntries: [] });
+              }
+              const track = tracks.get(key);
+
+              let sampleDescriptionIndex = tfhd.sampleDescriptionIndex;
+              if (initMapping) {
+                sampleDescriptionIndex = initMapping.sampleDescriptionIndexes.get(key)[sampleDescriptionIndex - 1] || 1;
+                const ratio = initMapping.timescaleRatios.get(key);
+                if (ratio !== 1) {
+                  for (const s of samples) {
+                    s.duration = Math.round(s.duration * ratio);
+                    s.compositionTimeOffset = Math.round(s.compositionTimeOffset * ratio);
+                  }
+                }
               }
-              const track = tracks.get(tfhd.trackId);
 
               // Calculate chunk offset within combined mdat
-              const chunkOffset = combinedMdatOffset + (moofStart + dataOffset) - (nextMdatOffset + 8);
-              track.chunkOffsets.push({ offset: chunkOffset, sampleCount: samples.length });
+              const chunkOffset = combinedMdatOffset + (moofStart + dataOffset) - nextMdatOffset;
+              track.chunkOffsets.push({ offset: chunkOffset, sampleCount: samples.length, sampleDescriptionIndex });
               track.samples.push(...samples);
             }
           }
         }
       } else if (box.type === 'mdat') {
-        const mdatContent = box.data.subarray(8);
+        const mdatContent = box.data.subarray(box.headerSize);
         mdatChunks.push({ data: mdatContent, offset: combinedMdatOffset });
         combinedMdatOffset += mdatContent.byteLength;
       }
@@ -628,18 +679,7 @@ export function stitchFmp4(segments, options = {}) {
   newMoovParts.push(...rebuiltTraks);
 
   const newMoov = createBox('moov', ...newMoovParts);
-  const newMdat = createBox('mdat', combinedMdat);
-
-  // Assemble output
-  const output = new Uint8Array(ftyp.size + newMoov.byteLength + newMdat.byteLength);
-  output.set(ftyp.data, 0);
-  output.set(newMoov, ftyp.size);
-  output.set(newMdat, ftyp.size + newMoov.byteLength);
-
-  // Fix stco offsets
-  updateStcoOffsets(output, ftyp.size, newMoov.byteLength);
-
-  return output;
+  return assembleMp4(ftyp.data, newMoov, combinedMdat);
 }
 
 /**
@@ -11,22 +11,60 @@
 // Box Parsing
 // ============================================
 
+/** Largest box size or chunk offset a 32-bit field can hold */
+export const MAX_UINT32 = 0xFFFFFFFF;
+
+/** Boxes that lead from moov down to the chunk offset tables */
+const CHUNK_OFFSET_PATH = ['moov', 'trak', 'mdia', 'minf', 'stbl'];
+
+/**
+ * Read a 64-bit big-endian unsigned integer
+ * Exact up to 2^53, far beyond any file held in memory.
+ * @param {DataView} view
+ * @param {number} offset
+ * @returns {number}
+ */
+export function readUint64(view, offset) {
+    return view.getUint32(offset) * 0x100000000 + view.getUint32(offset + 4);
+}
+
+/**
+ * Write a 64-bit big-endian unsigned integer
+ * @param {DataView} view
+ * @param {number} offset
+ * @param {number} value - Non-negative integer up to 2^53
+ */
+export function writeUint64(view, offset, value) {
+    view.setUint32(offset, Math.floor(value / 0x100000000));
+    view.setUint32(offset + 4, value % 0x100000000);
+}
+
 /**
  * Parse top-level or nested boxes from MP4 data
+ * Handles 64-bit sizes (size 1 + largesize) and boxes that extend to the
+ * end of the data (size 0). `headerSize` is 16 for largesize boxes, else 8.
  * @param {Uint8Array} data - Data buffer
  * @param {number} offset - Start offset
  * @param {number} end - End offset
- * @returns {Array<{type: string, offset: number, size: number, data: Uint8Array}>}
+ * @returns {Array<{type: string, offset: number, size: number, headerSize: number, data: Uint8Array}>}
  */
 export function parseBoxes(data, offset = 0, end = data.byteLength) {
     const boxes = [];
     const view = new DataView(data.buffer, data.byteOffset, data.byteLength);
     while (offset < end) {
         if (offset + 8 > end) break;
-        const size = view.getUint32(offset);
+        let size = view.getUint32(offset);
+        let headerSize = 8;
         const type = String.fromCharCode(data[offset + 4], data[offset + 5], data[offset + 6], data[offset + 7]);
-        if (size === 0 || size < 8) break;
-        boxes.push({ type, offset, size, data: data.subarray(offset, offset + size) });
+        if (size === 1) {
+            if (offset + 16 > end) break;
+            size = readUint64(view, offset + 8);
+            headerSize = 16;
+        } else if (size === 0) {
+            size = end - offset;
+        }
+        if (size < headerSize) break;
+        boxes.push({ type, offset, size, headerSize, data: data.subarray(offset, offset + size) });
         offset += size;
     }
     return boxes;
@@ -46,11 +84,11 @@ export function findBox(boxes, type) {
 /**
  * Parse child boxes within a container box
  * @param {object} box - Parent box
- * @param {number} headerSize - Header size (8 for regular, 12 for fullbox)
+ * @param {number} headerSize - Header size (8 for regular, 12 for fullbox); a largesize parent adds 8
  * @returns {Array} Array of child boxes
  */
 export function parseChildBoxes(box, headerSize = 8) {
-    return parseBoxes(box.data, headerSize, box.size);
+    return parseBoxes(box.data, headerSize + (box.headerSize || 8) - 8, box.size);
 }
 
 /**
@@ -77,6 +115,104 @@ export function createBox(type, ...payloads) {
     return result;
 }
 
+// ============================================
+// Large Files
+// ============================================
+
+/**
+ * Create an stco box, or co64 when an offset needs more than 32 bits
+ * @param {number[]} offsets - Chunk offsets
+ * @param {boolean} [large] - Force co64 (default: only when needed)
+ * @returns {Uint8Array}
+ */
+export function createChunkOffsetBox(offsets, large = offsets.some(offset => offset > MAX_UINT32)) {
+    const entrySize = large ? 8 : 4;
+    const data = new Uint8Array(8 + offsets.length * entrySize);
+    const view = new DataView(data.buffer);
+    view.setUint32(4, offsets.length);
+    offsets.forEach((offset, i) => {
+        if (large) writeUint64(view, 8 + i * 8, offset);
+        else view.setUint32(8 + i * 4, offset);
+    });
+    return createBox(large ? 'co64' : 'stco', data);
+}
+
+/**
+ * Create an mdat box header, with a 64-bit largesize when the box won't fit in 32 bits
+ * @param {number} payloadSize - Size of the mdat payload in bytes
+ * @returns {Uint8Array} 8 or 16 bytes
+ */
+export function createMdatHeader(payloadSize) {
+    const large = payloadSize + 8 > MAX_UINT32;
+    const header = new Uint8Array(large ? 16 : 8);
+    const view = new DataView(header.buffer);
+    view.setUint32(0, large ? 1 : payloadSize + 8);
+    header.set([0x6D, 0x64, 0x61, 0x74], 4); // 'mdat'
+    if (large) writeUint64(view, 8, payloadSize + 16);
+    return header;
+}
+
+/**
+ * Rewrite every stco under a box as co64
+ * @param {object} box - Parsed box (moov or one of its descendants)
+ * @returns {Uint8Array} Rebuilt box
+ */
+function upgradeChunkOffsets(box) {
+    if (box.type === 'stco') {
+        const view = new DataView(box.data.buffer, box.data.byteOffset, box.data.byteLength);
+        const offsets = [];
+        for (let i = 0; i < view.getUint32(12); i++) offsets.push(view.getUint32(16 + i * 4));
+        return createChunkOffsetBox(offsets, true);
+    }
+    if (CHUNK_OFFSET_PATH.includes(box.type)) {
+        return createBox(box.type, ...parseChildBoxes(box).map(upgradeChunkOffsets));
+    }
+    return box.data;
+}
+
+/**
+ * Add a constant to every stco/co64 entry under the given boxes
+ * @param {Uint8Array} data - Box data (e.g. a moov)
+ * @param {number} delta - Value to add
+ */
+function shiftChunkOffsets(data, delta) {
+    for (const box of parseBoxes(data)) {
+        const view = new DataView(box.data.buffer, box.data.byteOffset, box.data.byteLength);
+        if (box.type === 'stco') {
+            for (let i = 0; i < view.getUint32(12); i++) view.setUint32(16 + i * 4, view.getUint32(16 + i * 4) + delta);
+        } else if (box.type === 'co64') {
+            for (let i = 0; i < view.getUint32(12); i++) writeUint64(view, 16 + i * 8, readUint64(view, 16 + i * 8) + delta);
+        } else if (CHUNK_OFFSET_PATH.includes(box.type)) {
+            shiftChunkOffsets(box.data.subarray(box.headerSize, box.size), delta);
+        }
+    }
+}
+
+/**
+ * Assemble ftyp + moov + mdat into a standard MP4
+ * The moov's chunk offsets are relative to the mdat payload and become
+ * file offsets here. Files over 4 GB get co64 chunk offsets, and mdat a
+ * 64-bit size when it needs one.
+ * @param {Uint8Array} ftyp - ftyp box
+ * @param {Uint8Array} moov - moov box with payload-relative stco/co64 entries
+ * @param {Uint8Array} mdatPayload - Sample data
+ * @returns {Uint8Array} MP4 file
+ */
+export function assembleMp4(ftyp, moov, mdatPayload) {
+    if (ftyp.byteLength + moov.byteLength + 8 + mdatPayload.byteLength > MAX_UINT32) {
+        moov = upgradeChunkOffsets(parseBoxes(moov)[0]);
+    }
+    const mdatHeader = createMdatHeader(mdatPayload.byteLength);
+    const payloadStart = ftyp.byteLength + moov.byteLength + mdatHeader.byteLength;
+    const output = new Uint8Array(payloadStart + mdatPayload.byteLength);
+    output.set(ftyp, 0);
+    output.set(moov, ftyp.byteLength);
+    output.set(mdatHeader, ftyp.byteLength + moov.byteLength);
+    output.set(mdatPayload, payloadStart);
+    shiftChunkOffsets(output.subarray(ftyp.byteLength, ftyp.byteLength + moov.byteLength), payloadStart);
+    return output;
+}
+
 // ============================================
 // Fragment Box Parsing
 // ============================================
@@ -163,6 +299,51 @@ export function parseTrun(trunData, defaults = {}) {
     return { samples, dataOffset, flags };
 }
 
+/**
+ * Parse sidx (segment index) box
+ * Reference offsets are relative to the first byte after the sidx box.
+ * @param {Uint8Array} sidxData - sidx box data
+ * @returns {{timescale: number, earliestPresentationTime: number, firstOffset: number,
+ *   references: Array<{type: number, offset: number, size: number, duration: number, startsWithSap: boolean}>}}
+ *   type is 0 for media, 1 for another sidx
+ */
+export function parseSidx(sidxData) {
+    const view = new DataView(sidxData.buffer, sidxData.byteOffset, sidxData.byteLength);
+    const version = sidxData[8];
+    const timescale = view.getUint32(16);
+    let offset = 20;
+    let earliestPresentationTime, firstOffset;
+    if (version === 0) {
+        earliestPresentationTime = view.getUint32(offset);
+        firstOffset = view.getUint32(offset + 4);
+        offset += 8;
+    } else {
+        earliestPresentationTime = readUint64(view, offset);
+        firstOffset = readUint64(view, offset + 8);
+        offset += 16;
+    }
+    const referenceCount = view.getUint16(offset + 2);
+    offset += 4;
+
+    const references = [];
+    let position = firstOffset;
+    for (let i = 0; i < referenceCount; i++) {
+        const typeAndSize = view.getUint32(offset);
+        const size = typeAndSize & 0x7FFFFFFF;
+        references.push({
+            type: typeAndSize >>> 31,
+            offset: position,
+            size,
+            duration: view.getUint32(offset + 4),
+            startsWithSap: (sidxData[offset + 8] & 0x80) !== 0
+        });
+        position += size;
+        offset += 12;
+    }
+
+    return { timescale, earliestPresentationTime, firstOffset, references };
+}
+
 // ============================================
 // Track ID Extraction
 // ============================================
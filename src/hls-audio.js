@@ -0,0 +1,313 @@
+/**
+ * HLS Alternate Audio Muxing
+ *
+ * Combines a video-only rendition with the audio from an
+ * #EXT-X-MEDIA:TYPE=AUDIO playlist into a single stream that the
+ * regular converters can handle:
+ *
+ * - MPEG-TS video + MPEG-TS or packed ADTS audio → MPEG-TS (H.264 + AAC)
+ * - fMP4 video + fMP4 audio → fMP4 with both tracks in one moov
+ *
+ * @module hls-audio
+ */
+
+import { TSParser } from './parsers/mpegts.js';
+import { TSMuxer } from './muxers/mpegts.js';
+import { isKeyframe, extractSpsPps, buildAdtsHeader, adtsObjectType } from './mpegts/stitcher.js';
+import { parseBoxes, findBox, parseChildBoxes, createBox, extractTrackIds } from './fmp4/utils.js';
+
+const ID3_TIMESTAMP_OWNER = 'com.apple.streaming.transportStreamTimestamp';
+
+// ── packed audio ──────────────────────────────────────────
+
+function isId3(data, i) {
+  return data[i] === 0x49 && data[i + 1] === 0x44 && data[i + 2] === 0x33;
+}
+
+function syncSafe(data, i) {
+  return (data[i] << 21) | (data[i + 1] << 14) | (data[i + 2] << 7) | data[i + 3];
+}
+
+/**
+ * Read the 33-bit MPEG-TS timestamp from an ID3 PRIV frame
+ * @returns {number|null} 90kHz timestamp, or null if the tag has none
+ */
+function readId3Timestamp(tag) {
+  let pos = 10;
+  while (pos + 10 <= tag.length) {
+    const id = String.fromCharCode(tag[pos], tag[pos + 1], tag[pos + 2], tag[pos + 3]);
+    const size = syncSafe(tag, pos + 4);
+    if (!id.trim() || size <= 0) break;
+    const body = tag.subarray(pos + 10, pos + 10 + size);
+    if (id === 'PRIV') {
+      const ownerEnd = body.indexOf(0);
+      const owner = String.fromCharCode(...body.subarray(0, ownerEnd));
+      if (owner === ID3_TIMESTAMP_OWNER && body.length >= ownerEnd + 9) {
+        const ts = body.subarray(ownerEnd + 1);
+        return (ts[3] & 0x01) * 0x100000000 + ((ts[4] << 24) >>> 0) + (ts[5] << 16) + (ts[6] << 8) + ts[7];
+      }
+    }
+    pos += 10 + size;
+  }
+  return null;
+}
+
+/**
+ * Parse packed audio (raw ADTS with ID3 timestamp tags, e.g. .aac segments)
+ * Each segment starts with an ID3 tag carrying the PTS of its first frame.
+ *
+ * @param {Uint8Array} data - One or more concatenated packed audio segments
+ * @param {TSParser} parser - Parser that receives the audio frames
+ * @returns {TSParser} The parser, finalized
+ */
+function parsePackedAudio(data, parser) {
+  let pts = null;
+  let i = 0;
+
+  while (i + 7 <= data.length) {
+    if (isId3(data, i) && i + 10 <= data.length) {
+      const footer = data[i + 5] & 0x10 ? 10 : 0;
+      const size = 10 + syncSafe(data, i + 6) + footer;
+      const timestamp = readId3Timestamp(data.subarray(i, i + size));
+      if (timestamp !== null) pts = parser.unwrapTimestamp(timestamp);
+      i += size;
+      continue;
+    }
+
+    // Run of back-to-back ADTS frames up to the next ID3 tag
+    let end = i;
+    while (end + 7 <= data.length && data[end] === 0xFF && (data[end + 1] & 0xF6) === 0xF0) {
+      const frameLength = ((data[end + 3] & 0x03) << 11) | (data[end + 4] << 3) | ((data[end + 5] & 0xE0) >> 5);
+      if (frameLength < 7) break;
+      end += frameLength;
+    }
+    if (end === i) {
+      i++;
+      continue;
+    }
+
+    // Untimed audio before any tag starts at zero
+    if (pts === null && parser.lastAudioPts === null) pts = 0;
+    parser.processAudioPayload(data.subarray(i, Math.min(end, data.length)), pts);
+    pts = null;
+    i = end;
+  }
+
+  parser.audioStreamType = 0x0F;
+  parser.finalize();
+  return parser;
+}
+
+// ── MPEG-TS ───────────────────────────────────────────────
+
+/**
+ * Replace the audio of a TS stream with a separate audio rendition
+ * Audio from before the first video frame is dropped, so the output
+ * timeline starts with the video.
+ *
+ * @param {Uint8Array} videoTs - Video rendition (MPEG-TS, H.264)
+ * @param {Uint8Array} audioData - Audio rendition (MPEG-TS or packed ADTS)
+ * @returns {Uint8Array} MPEG-TS with H.264 on PID 0x101 and AAC on PID 0x102
+ */
+function muxTsAudio(videoTs, audioData) {
+  const video = new TSParser();
+  video.parse(videoTs);
+  video.finalize();
+
+  if (video.videoAccessUnits.length === 0) {
+    throw new Error('Alternate audio: no video frames found in the video rendition');
+  }
+  if (video.videoStreamType !== 0x1B) {
+    throw new Error('Alternate audio renditions are supported with H.264 MPEG-TS video only');
+  }
+
+  // Share the rollover reference so both renditions unwrap to the same timeline
+  const audio = new TSParser();
+  audio.timestampReference = video.timestampReference;
+  if (audioData[0] === 0x47) {
+    audio.parse(audioData);
+    audio.finalize();
+  } else {
+    parsePackedAudio(audioData, audio);
+  }
+
+  const objectType = adtsObjectType(audio.audioConfig, 'Alternate audio renditions are supported with AAC audio only');
+  if (audio.audioAccessUnits.length === 0) {
+    throw new Error('Alternate audio: no AAC frames found in the audio rendition');
+  }
+
+  // finalize() rebased each rendition to zero; restore absolute timestamps
+  const videoOffset = video.debug.timestampOffset || 0;
+  const audioOffset = audio.debug.timestampOffset || 0;
+  const videoStart = video.videoAccessUnits.reduce((min, au) => Math.min(min, au.dts), Infinity) + videoOffset;
+
+  const muxer = new TSMuxer();
+  const { sps, pps } = extractSpsPps(video.videoAccessUnits);
+  if (sps && pps) muxer.setSpsPps(sps, pps);
+  muxer.setHasAudio(true);
+
+  const sampleRate = audio.audioSampleRate || 48000;
+  const channels = audio.audioChannels || 2;
+  for (const au of audio.audioAccessUnits) {
+    const pts = au.pts + audioOffset;
+    if (pts < videoStart) continue;
+    const header = buildAdtsHeader(au.data.length, sampleRate, channels, objectType);
+    const frame = new Uint8Array(header.length + au.data.length);
+    frame.set(header, 0);
+    frame.set(au.data, header.length);
+    muxer.addAudioSample(frame, pts);
+  }
+  for (const au of video.videoAccessUnits) {
+    // The muxer writes its own access unit delimiter
+    const nalUnits = au.nalUnits.filter(nal => (nal[0] & 0x1F) !== 9);
+    muxer.addVideoNalUnits(nalUnits, isKeyframe(au, 0x1B), au.pts + videoOffset, au.dts + videoOffset);
+  }
+  muxer.flush();
+  return muxer.build();
+}
+
+// ── fMP4 ──────────────────────────────────────────────────
+
+function readTrackId(tkhd) {
+  const view = new DataView(tkhd.data.buffer, tkhd.data.byteOffset, tkhd.data.byteLength);
+  return tkhd.data[8] === 0 ? view.getUint32(20) : view.getUint32(28);
+}
+
+/**
+ * Copy a trak box with a new track ID
+ */
+function renumberTrak(trakBox, trackId) {
+  const trak = trakBox.data.slice();
+  const view = new DataView(trak.buffer);
+  const tkhd = findBox(parseChildBoxes(trakBox), 'tkhd');
+  if (!tkhd) throw new Error('Alternate audio: trak without tkhd');
+  view.setUint32(tkhd.offset + (tkhd.data[8] === 0 ? 20 : 28), trackId);
+  return trak;
+}
+
+/**
+ * Copy a moof box with its track fragments moved to a new track ID
+ * An explicit base data offset is shifted by the moof's change of position.
+ */
+function renumberMoof(moofBox, trackIdMap, shift) {
+  const moof = moofBox.data.slice();
+  const view = new DataView(moof.buffer);
+  for (const traf of parseChildBoxes(moofBox)) {
+    if (traf.type !== 'traf') continue;
+    const tfhd = findBox(parseChildBoxes(traf), 'tfhd');
+    if (!tfhd) continue;
+    const pos = traf.offset + tfhd.offset;
+    const trackId = trackIdMap.get(view.getUint32(pos + 12));
+    if (trackId !== undefined) view.setUint32(pos + 12, trackId);
+    if (moof[pos + 11] & 0x01) {
+      view.setBigUint64(pos + 16, view.getBigUint64(pos + 16) + BigInt(shift));
+    }
+  }
+  return moof;
+}
+
+/**
+ * Add the tracks of an fMP4 audio rendition to an fMP4 video rendition
+ * Audio traks and trex boxes join the video moov under fresh track IDs;
+ * audio fragments follow the video fragments.
+ *
+ * @param {Uint8Array} videoFmp4 - Video init segment + fragments
+ * @param {Uint8Array} audioFmp4 - Audio init segment + fragments
+ * @returns {Uint8Array} fMP4 with both renditions' tracks
+ */
+function muxFmp4Audio(videoFmp4, audioFmp4) {
+  const videoBoxes = parseBoxes(videoFmp4);
+  const audioBoxes = parseBoxes(audioFmp4);
+  const videoMoov = findBox(videoBoxes, 'moov');
+  const audioMoov = findBox(audioBoxes, 'moov');
+  if (!videoMoov || !audioMoov) {
+    throw new Error('Alternate audio: fMP4 renditions need an init segment (#EXT-X-MAP)');
+  }
+
+  let nextTrackId = Math.max(0, ...extractTrackIds(videoMoov)) + 1;
+  const trackIdMap = new Map();
+  const audioTraks = [];
+  const audioTrexes = [];
+
+  const audioChildren = parseChildBoxes(audioMoov);
+  for (const child of audioChildren) {
+    if (child.type !== 'trak') continue;
+    const tkhd = findBox(parseChildBoxes(child), 'tkhd');
+    if (!tkhd) continue;
+    trackIdMap.set(readTrackId(tkhd), nextTrackId);
+    audioTraks.push(renumberTrak(child, nextTrackId));
+    nextTrackId++;
+  }
+  const audioMvex = findBox(audioChildren, 'mvex');
+  for (const child of audioMvex ? parseChildBoxes(audioMvex) : []) {
+    if (child.type !== 'trex') continue;
+    const trex = child.data.slice();
+    const view = new DataView(trex.buffer);
+    const trackId = trackIdMap.get(view.getUint32(12));
+    if (trackId === undefined) continue;
+    view.setUint32(12, trackId);
+    audioTrexes.push(trex);
+  }
+
+  // Video moov with the audio traks appended and next_track_ID bumped
+  const moovParts = [];
+  for (const child of parseChildBoxes(videoMoov)) {
+    if (child.type === 'mvex') continue;
+    if (child.type === 'mvhd') {
+      const mvhd = child.data.slice();
+      new DataView(mvhd.buffer).setUint32(mvhd.length - 4, nextTrackId);
+      moovParts.push(mvhd);
+    } else {
+      moovParts.push(child.data);
+    }
+  }
+  moovParts.push(...audioTraks);
+  const videoMvex = findBox(parseChildBoxes(videoMoov), 'mvex');
+  const mvexChildren = videoMvex ? parseChildBoxes(videoMvex).map(c => c.data) : [];
+  moovParts.push(createBox('mvex', ...mvexChildren, ...audioTrexes));
+  const moov = createBox('moov', ...moovParts);
+
+  const parts = [];
+  let size = 0;
+  const push = (bytes) => { parts.push(bytes); size += bytes.length; };
+
+  for (const box of videoBoxes) {
+    if (box.type === 'moov') push(moov);
+    else push(box.data);
+  }
+  for (const box of audioBoxes) {
+    if (box.type === 'ftyp' || box.type === 'moov') continue;
+    if (box.type === 'moof') push(renumberMoof(box, trackIdMap, size - box.offset));
+    else push(box.data);
+  }
+
+  const output = new Uint8Array(size);
+  let offset = 0;
+  for (const part of parts) {
+    output.set(part, offset);
+    offset += part.length;
+  }
+  return output;
+}
+
+// ── entry point ───────────────────────────────────────────
+
+/**
+ * Mux a downloaded alternate audio rendition into the video rendition
+ *
+ * @param {Uint8Array} videoData - Combined video segments (with init segment for fMP4)
+ * @param {Uint8Array} audioData - Combined audio segments (with init segment for fMP4)
+ * @returns {Uint8Array} Single stream in the video rendition's container
+ */
+export function muxAudioRendition(videoData, audioData) {
+  if (videoData[0] === 0x47) {
+    return muxTsAudio(videoData, audioData);
+  }
+  const audioType = String.fromCharCode(audioData[4], audioData[5], audioData[6], audioData[7]);
+  if (audioType !== 'ftyp' && audioType !== 'moov') {
+    throw new Error('Alternate audio: fMP4 video needs an fMP4 audio rendition');
+  }
+  return muxFmp4Audio(videoData, audioData);
+}
+
+export { parsePackedAudio };
@@ -6,10 +6,27 @@
  * playlist, picks the overlapping segments, and computes the timing
  * offsets for the player.
  *
+ * The clipped playlists keep the tags of the segments they list (init
+ * segments, keys, byte ranges, dates, cues) and the master playlist the
+ * source's variant attributes, with the alternate audio renditions
+ * clipped alongside (`getAudioPlaylist()`, served as audio-N.m3u8).
+ *
+ * With `mode: 'trim-edges'`, the first and last segments are downloaded
+ * and remuxed to end at the requested times instead (MPEG-TS with
+ * TSMuxer, fMP4 with createFragment()); they're served from memory with
+ * `getSegment()` / `getInitSegment()`, the segments between them stay
+ * CDN URLs. Video can't start between keyframes without re-encoding, so
+ * the first segment starts at the keyframe before `startTime` and
+ * `prerollDuration` shrinks to the rest of that GOP. Variants the
+ * remuxers can't write (say H.265 in MPEG-TS) keep whole segments.
+ *
  * The result includes:
  * - `prerollDuration` — seek here on load (skip keyframe preroll)
  * - `playbackEnd` — pause here (end of requested clip)
  * - `duration` — the requested clip length (for UI)
+ * - `cues` — ad markers and date ranges inside the clip
+ * - `subtitles` — with options.subtitles, the subtitle cues inside the
+ *   clip (the playlists then carry the WebVTT rendition as well)
  *
  * @module hls-clip
  *
@@ -26,12 +43,322 @@
  * });
  */
 
-import { parseHls, parsePlaylistText } from './hls.js';
+import {
+  parseHls, parsePlaylistText, toAbsoluteUrl, segmentStartTime, downloadSubtitles, createDownloadOptions,
+  fetchSegments, fetchInitSegment, fragmentStartTimes
+} from './hls.js';
+import { fetchWithRetry } from './hls-fetch.js';
+import { parseM3u8, M3U8, M3U8Segment, M3U8Variant } from './m3u8.js';
+import { parseSource, muxTsSegments } from './hls-package.js';
+import { createInitSegment, createFragment } from './muxers/fmp4.js';
+import { collectSampleDescriptions } from './muxers/mp4.js';
+import { isKeyframe } from './parsers/mpegts.js';
+import { adtsObjectType } from './mpegts/stitcher.js';
+
+const SUBTITLE_GROUP = 'subs';
+
+/** RFC 6381 codecs of video tracks; variants without one keep whole segments in trim-edges mode */
+const VIDEO_CODEC = /^(avc|hvc|hev|dv|mp4v|av01|vp0?9)/;
+
+/**
+ * Fetch a media playlist as timed segments plus its M3U8 model
+ * @returns {Promise<{url: string, segments: HlsSegment[], playlist: M3U8}>}
+ */
+async function loadMediaPlaylist(url, label, options) {
+  const resp = await fetchWithRetry(url, {}, options);
+  if (!resp.ok) throw new Error(`Failed to fetch ${label} playlist: ${resp.status}`);
+  const text = await resp.text();
+  return { url, segments: parsePlaylistText(text, url).segments, playlist: parseM3u8(text) };
+}
+
+/**
+ * VOD playlist of the segments overlapping the clip, with original CDN URLs
+ * Segments keep their tags - keys, init segment, dates, cues, vendor tags -
+ * and their media sequence numbers, which AES-128 keys without an IV
+ * decrypt with. URIs are made absolute and byte ranges explicit.
+ *
+ * @param {{url: string, segments: HlsSegment[], playlist: M3U8}} media - loadMediaPlaylist() result
+ * @returns {{playlist: M3U8, segments: HlsSegment[]}} The clipped playlist and its timed segments
+ */
+function clipMediaPlaylist(media, startTime, endTime) {
+  const { url, segments, playlist: source } = media;
+  const first = segments.findIndex(seg => seg.endTime > startTime && seg.startTime < endTime);
+  const overlapping = first === -1 ? [] : segments.slice(first).filter(seg => seg.startTime < endTime);
+  if (!overlapping.length) return { playlist: null, segments: [] };
+
+  // Keys and maps are shared by the segments they apply to: resolve each once
+  const resolved = new Map();
+  const absolute = attrs => attrs.URI ? { ...attrs, URI: toAbsoluteUrl(attrs.URI, url) } : attrs;
+  const resolve = (value, fn) => {
+    if (!resolved.has(value)) resolved.set(value, fn(value));
+    return resolved.get(value);
+  };
+
+  const playlist = new M3U8();
+  playlist.independentSegments = source.independentSegments;
+  playlist.iFramesOnly = source.iFramesOnly;
+  playlist.defines = [...source.defines];
+  playlist.tags = [...source.tags];
+  playlist.playlistType = 'VOD';
+  playlist.mediaSequence = overlapping[0].mediaSequence;
+  if (overlapping[0].discontinuitySequence > 0) playlist.discontinuitySequence = overlapping[0].discontinuitySequence;
+  playlist.endList = true;
+
+  playlist.segments = overlapping.map((timed, i) => {
+    const segment = source.segments[first + i];
+    return new M3U8Segment({
+      ...segment,
+      uri: timed.url,
+      byteRange: timed.byteRange ? { length: timed.byteRange.length, offset: timed.byteRange.offset } : null,
+      // The sequence number already counts a discontinuity at the first segment
+      discontinuity: i > 0 && segment.discontinuity,
+      keys: resolve(segment.keys, keys => keys.map(absolute)),
+      map: segment.map && resolve(segment.map, absolute),
+      parts: []
+    });
+  });
+
+  // Wall-clock time from an earlier segment's #EXT-X-PROGRAM-DATE-TIME
+  const [head] = playlist.segments;
+  if (!head.programDateTime && overlapping[0].programDateTime !== null) {
+    head.programDateTime = new Date(overlapping[0].programDateTime).toISOString();
+  }
+
+  playlist.targetDuration = Math.ceil(Math.max(...overlapping.map(seg => seg.duration)));
+  playlist.version = Math.max(source.version || 3, requiredVersion(playlist));
+  return { playlist, segments: overlapping };
+}
+
+/**
+ * Lowest protocol version for the tags of a media playlist: EXT-X-MAP
+ * needs 6, KEYFORMAT 5, EXT-X-BYTERANGE and I-frame playlists 4,
+ * decimal durations 3
+ */
+function requiredVersion(playlist) {
+  const { segments } = playlist;
+  if (segments.some(seg => seg.map)) return 6;
+  if (segments.some(seg => seg.keys.some(key => key.KEYFORMAT || key.KEYFORMATVERSIONS))) return 5;
+  if (playlist.iFramesOnly || segments.some(seg => seg.byteRange)) return 4;
+  return 3;
+}
+
+/**
+ * Segment list for the result: duration, original URL and byte range
+ */
+function clipSegmentList(segments) {
+  return segments.map(seg => ({ duration: seg.duration, url: seg.url, byteRange: seg.byteRange || null, isBoundary: false }));
+}
+
+// ── trim-edges ────────────────────────────────────────────
+
+function concatBytes(parts) {
+  const result = new Uint8Array(parts.reduce((sum, p) => sum + p.byteLength, 0));
+  let offset = 0;
+  for (const p of parts) { result.set(p, offset); offset += p.byteLength; }
+  return result;
+}
+
+/**
+ * Access units of a downloaded segment on the source's 90kHz clock
+ * TSParser and the fMP4 conversion start each track at zero; adding the
+ * offsets back lines the remuxed segment up with the CDN segments next to it.
+ *
+ * @param {Uint8Array} data - Decrypted segment
+ * @param {Uint8Array|null} init - Its EXT-X-MAP init segment (fMP4)
+ * @returns {object} TSParser-shaped access units
+ */
+function parseEdgeSegment(data, init) {
+  let parsed, videoOffset, audioOffset;
+  if (data[0] === 0x47) {
+    parsed = parseSource(data, {});
+    if ((parsed.videoStreamType || 0x1B) !== 0x1B) {
+      throw new Error('trim-edges remuxes MPEG-TS segments with H.264 video and AAC audio only');
+    }
+    adtsObjectType(parsed.audioConfig, 'trim-edges remuxes MPEG-TS segments with H.264 video and AAC audio only');
+    videoOffset = audioOffset = parsed.debug.timestampOffset || 0;
+  } else {
+    const fmp4 = init ? concatBytes([init, data]) : data;
+    const times = fragmentStartTimes(fmp4);
+    parsed = parseSource(fmp4, {});
+    videoOffset = times.get('vide') || 0;
+    audioOffset = times.get('soun') || 0;
+  }
+  for (const au of parsed.videoAccessUnits) { au.pts += videoOffset; au.dts += videoOffset; }
+  for (const au of parsed.audioAccessUnits) au.pts += audioOffset;
+  return parsed;
+}
+
+/**
+ * Cut parsed access units to [from, to) on the 90kHz clock
+ * Video starts at the last keyframe at or before `from` (the frames
+ * before it can't be decoded without it), and audio with it. Frames
+ * from `to` on are dropped in decode order, keeping any that an earlier
+ * B-frame references.
+ *
+ * @returns {object} TSParser-shaped access units, and `start`: the 90kHz time of the first frame
+ */
+function trimAccessUnits(parsed, from, to) {
+  const video = parsed.videoAccessUnits;
+  const streamType = parsed.videoStreamType || 0x1B;
+  let first = 0;
+  let last = -1;
+  for (let i = 0; i < video.length; i++) {
+    if (video[i].pts <= from && isKeyframe(video[i], streamType)) first = i;
+    if (video[i].pts < to) last = i;
+  }
+  if (last < first) throw new Error('No video frames inside the clip range');
+
+  const start = video[first].pts;
+  return {
+    videoAccessUnits: video.slice(first, last + 1),
+    audioAccessUnits: parsed.audioAccessUnits.filter(au => au.pts >= start && au.pts < to),
+    videoStreamType: streamType,
+    audioSampleRate: parsed.audioSampleRate,
+    audioChannels: parsed.audioChannels,
+    audioFrameSize: parsed.audioFrameSize,
+    audioConfig: parsed.audioConfig,
+    start
+  };
+}
+
+/**
+ * One init segment for the trimmed fMP4 segments of a variant, and a
+ * fragment per trimmed segment (more where its parameter sets change),
+ * decode times kept on the source timeline
+ *
+ * @param {object[]} edges - trimAccessUnits() results
+ * @returns {{ init: Uint8Array, data: Uint8Array[] }}
+ */
+function muxFmp4Edges(edges) {
+  const [{ videoStreamType: streamType, audioSampleRate, audioChannels, audioConfig }] = edges;
+  const sampleRate = audioSampleRate || 48000;
+  const { descriptions, runs } = collectSampleDescriptions(edges.flatMap(edge => edge.videoAccessUnits), streamType);
+  if (descriptions.length === 0 || descriptions.some(d => !d.sps || !d.pps)) {
+    throw new Error('Video stream has no SPS/PPS - cannot build fMP4 init segment');
+  }
+  const runIndexAt = (i) => runs.findLast(run => run.start <= i).index;
+
+  const init = createInitSegment({
+    sampleDescriptions: descriptions,
+    videoCodec: streamType === 0x24 ? 'hevc' : 'avc',
+    audioSampleRate: sampleRate,
+    audioChannels: audioChannels || 2,
+    audioConfig: audioConfig ?? null,
+    hasAudio: edges.some(edge => edge.audioAccessUnits.length > 0)
+  });
+
+  let offset = 0;
+  let sequenceNumber = 1;
+  const data = edges.map(edge => {
+    const video = edge.videoAccessUnits;
+    const starts = [0, ...runs.map(run => run.start - offset).filter(i => i > 0 && i < video.length)];
+    const fragments = starts.map((start, f) => {
+      const videoSamples = video.slice(start, starts[f + 1] ?? video.length);
+      const startDts = f > 0 ? videoSamples[0].dts : -Infinity;
+      const endDts = f + 1 < starts.length ? video[starts[f + 1]].dts : Infinity;
+      const audioSamples = edge.audioAccessUnits.filter(au => au.pts >= startDts && au.pts < endDts);
+      return createFragment({
+        videoSamples,
+        audioSamples,
+        sequenceNumber: sequenceNumber++,
+        videoTimescale: 90000,
+        audioTimescale: sampleRate,
+        videoBaseTime: videoSamples[0].dts,
+        audioBaseTime: audioSamples.length > 0 ? Math.round(audioSamples[0].pts * sampleRate / 90000) : 0,
+        audioSampleDuration: edge.audioFrameSize || 1024,
+        videoStreamType: streamType,
+        sampleDescriptionIndex: runIndexAt(offset + start) + 1
+      });
+    });
+    offset += video.length;
+    return concatBytes(fragments);
+  });
+  return { init, data };
+}
+
+/**
+ * Download the clip's first and last segments where they cross the
+ * range, remux them to start at the keyframe before `startTime` and end
+ * at `endTime`, and put them in `playlist` as `${name}-segment-N.ts`
+ * (or .m4s, with `${name}-init.mp4`). Served from memory, they're clear
+ * and carry exact durations; the segments between keep their CDN URLs.
+ *
+ * Segments that can't be remuxed (MPEG-TS other than H.264 with AAC, or
+ * video without parameter sets) leave the playlist alone and return null.
+ *
+ * @param {HlsSegment[]} overlapping - Timed segments of the clipped playlist
+ * @param {M3U8} playlist - Clipped playlist, edited in place
+ * @param {string} name - Prefix of the generated files
+ * @returns {Promise<{init: Uint8Array|null, data: Map<number, Uint8Array>, start: number}|null>}
+ *   The generated files by segment index, and where the clip's video now starts (seconds)
+ */
+async function trimEdges(overlapping, playlist, name, options, downloadOptions) {
+  const { startTime, endTime } = options;
+  const last = overlapping.length - 1;
+  const indices = [...new Set([0, last])].filter(i =>
+    (i === 0 && overlapping[i].startTime < startTime) || (i === last && overlapping[i].endTime > endTime));
+  if (indices.length === 0) return { init: null, data: new Map(), start: overlapping[0].startTime };
+
+  const segments = indices.map(i => overlapping[i]);
+  const buffers = await fetchSegments(segments, { ...downloadOptions, skipFailedSegments: false }, () => {});
+  const inits = new Map();
+  for (const seg of segments) {
+    if (seg.map && !inits.has(seg.map)) inits.set(seg.map, await fetchInitSegment(seg.map, downloadOptions));
+  }
+
+  const fmp4 = buffers[0][0] !== 0x47;
+  let edges, init, data;
+  try {
+    edges = segments.map((seg, e) => {
+      const parsed = parseEdgeSegment(buffers[e], seg.map ? inits.get(seg.map) : null);
+      // The segment's earliest frame is where the playlist says it starts
+      const origin = parsed.videoAccessUnits.reduce((min, au) => Math.min(min, au.pts), Infinity);
+      const tick = (time) => origin + Math.round((time - seg.startTime) * 90000);
+      const edge = trimAccessUnits(parsed,
+        seg.startTime < startTime ? tick(startTime) : -Infinity,
+        seg.endTime > endTime ? tick(endTime) : Infinity);
+      edge.startTime = seg.startTime + (edge.start - origin) / 90000;
+      edge.endTime = Math.min(seg.endTime, endTime);
+      return edge;
+    });
+    ({ init, data } = fmp4
+      ? muxFmp4Edges(edges)
+      : { init: null, data: edges.map(edge => muxTsSegments(edge, [{ videoStart: 0, videoEnd: edge.videoAccessUnits.length }])[0]) });
+  } catch (err) {
+    // Codecs the remuxers can't write: the variant keeps its whole segments
+    options.onProgress?.(`Keeping whole segments: ${err.message}`);
+    return null;
+  }
+
+  const map = init && { URI: `${name}-init.mp4` };
+  indices.forEach((index, e) => {
+    const segment = playlist.segments[index];
+    const trimmed = edges[e].startTime - overlapping[index].startTime;
+    playlist.segments[index] = new M3U8Segment({
+      ...segment,
+      uri: `${name}-segment-${index}.${fmp4 ? 'm4s' : 'ts'}`,
+      duration: edges[e].endTime - edges[e].startTime,
+      byteRange: null,
+      keys: [],
+      map,
+      programDateTime: segment.programDateTime && trimmed > 0
+        ? new Date(Date.parse(segment.programDateTime) + trimmed * 1000).toISOString()
+        : segment.programDateTime,
+      bitrate: null
+    });
+  });
+
+  return {
+    init,
+    data: new Map(indices.map((index, e) => [index, data[e]])),
+    start: indices[0] === 0 ? edges[0].startTime : overlapping[0].startTime
+  };
+}
 
 // ── HlsClipResult ─────────────────────────────────────────
 
 class HlsClipResult {
-  constructor({ variants, duration, startTime, endTime, prerollDuration, mediaDuration }) {
+  constructor({ variants, duration, startTime, endTime, prerollDuration, mediaDuration, cues = [], subtitles = null, renditions = [], master = null }) {
     this._variants = variants;
     /** Requested clip duration in seconds. */
     this.duration = duration;
@@ -44,42 +371,97 @@ class HlsClipResult {
     this.mediaDuration = mediaDuration;
     /** The time at which the player should pause (preroll + requested duration). */
     this.playbackEnd = prerollDuration + duration;
+    /** #EXT-X-CUE-OUT/-IN and #EXT-X-DATERANGE cues starting inside the clip;
+     *  `time` is on the source timeline, `clipTime` relative to `startTime`. */
+    this.cues = cues;
+    this._subtitles = subtitles;
+    /** Subtitle cues inside the clip (SubtitleTrack[], times relative to `startTime`);
+     *  empty unless clipHls() was given options.subtitles. */
+    this.subtitles = subtitles ? [subtitles.track] : [];
+    // #EXT-X-MEDIA attributes of the clipped variants' audio and caption
+    // groups; clipped audio playlists are served as audio-N.m3u8
+    this._renditions = renditions;
+    this._master = master;
   }
 
   get variantCount() {
     return this._variants.length;
   }
 
+  /** Alternate audio renditions with their own (clipped) media playlist */
+  get audioCount() {
+    return this._renditions.filter(r => r.playlist).length;
+  }
+
   get masterPlaylist() {
-    if (this._variants.length === 1) return this.getMediaPlaylist(0);
-    let m3u8 = '#EXTM3U\n';
-    for (let i = 0; i < this._variants.length; i++) {
-      const v = this._variants[i];
-      const res = v.resolution ? `,RESOLUTION=${v.resolution}` : '';
-      m3u8 += `#EXT-X-STREAM-INF:BANDWIDTH=${v.bandwidth}${res}\n`;
-      m3u8 += `variant-${i}.m3u8\n`;
+    if (this._variants.length === 1 && !this._subtitles && !this._renditions.length) return this.getMediaPlaylist(0);
+    const master = new M3U8({ type: 'master' });
+    master.version = this._master?.version ?? null;
+    master.independentSegments = this._master?.independentSegments ?? false;
+    master.renditions = this._renditions.map(r => r.attributes);
+    if (this._subtitles) {
+      const { name, language } = this._subtitles.rendition;
+      master.renditions.push({
+        TYPE: 'SUBTITLES', 'GROUP-ID': SUBTITLE_GROUP, NAME: name || language || 'Subtitles',
+        LANGUAGE: language || null, DEFAULT: 'YES', AUTOSELECT: 'YES', URI: 'subtitles.m3u8'
+      });
     }
-    return m3u8;
+    master.variants = this._variants.map((v, i) => new M3U8Variant({
+      uri: `variant-${i}.m3u8`,
+      attributes: { ...v.attributes, SUBTITLES: this._subtitles ? SUBTITLE_GROUP : null }
+    }));
+    return master.toString();
   }
 
   getMediaPlaylist(variantIndex = 0) {
     const variant = this._variants[variantIndex];
     if (!variant) throw new Error(`Variant ${variantIndex} not found`);
+    return variant.playlist.toString();
+  }
 
-    const maxDur = Math.max(...variant.segments.map(s => s.duration));
+  /**
+   * Init segment of a variant's trimmed fMP4 segments (served as
+   * variant-N-init.mp4); null for MPEG-TS or without mode: 'trim-edges'
+   * @returns {Uint8Array|null}
+   */
+  getInitSegment(variantIndex = 0) {
+    const variant = this._variants[variantIndex];
+    if (!variant) throw new Error(`Variant ${variantIndex} not found`);
+    return variant.init;
+  }
 
-    let m3u8 = '#EXTM3U\n';
-    m3u8 += '#EXT-X-VERSION:3\n';
-    m3u8 += `#EXT-X-TARGETDURATION:${Math.ceil(maxDur)}\n`;
-    m3u8 += '#EXT-X-PLAYLIST-TYPE:VOD\n';
-    m3u8 += '#EXT-X-MEDIA-SEQUENCE:0\n';
+  /**
+   * A segment trimmed by mode: 'trim-edges' (served under its playlist
+   * URI, variant-N-segment-M.ts or .m4s); the other segments play from
+   * their CDN URLs
+   * @returns {Uint8Array}
+   */
+  getSegment(variantIndex, segmentIndex) {
+    const variant = this._variants[variantIndex];
+    if (!variant) throw new Error(`Variant ${variantIndex} not found`);
+    const segment = variant.segments[segmentIndex];
+    if (!segment) throw new Error(`Segment ${segmentIndex} not found`);
+    if (!segment.isBoundary) throw new Error(`Segment ${segmentIndex} is not generated - it plays from ${segment.url}`);
+    return segment.data;
+  }
 
-    for (const seg of variant.segments) {
-      m3u8 += `#EXTINF:${seg.duration.toFixed(6)},\n`;
-      m3u8 += `${seg.url}\n`;
-    }
-    m3u8 += '#EXT-X-ENDLIST\n';
-    return m3u8;
+  /**
+   * Media playlist of an alternate audio rendition (served as audio-N.m3u8
+   * next to the variant playlists)
+   */
+  getAudioPlaylist(index = 0) {
+    const rendition = this._renditions.filter(r => r.playlist)[index];
+    if (!rendition) throw new Error(`Audio rendition ${index} not found`);
+    return rendition.playlist.toString();
+  }
+
+  /**
+   * Media playlist of the subtitle rendition's WebVTT segments (served as
+   * subtitles.m3u8 next to the variant playlists)
+   */
+  getSubtitlePlaylist() {
+    if (!this._subtitles) throw new Error('No subtitles - pass options.subtitles to clipHls()');
+    return this._subtitles.playlist.toString();
   }
 }
 
@@ -89,76 +471,116 @@ class HlsClipResult {
  * Clip an HLS stream to a time range.
  *
  * All segments use original CDN URLs. No downloading, no re-muxing.
- * The player handles frame accuracy via seek and pause.
+ * The player handles frame accuracy via seek and pause - or, with
+ * mode: 'trim-edges', the first and last segments are remuxed to the
+ * range and served from memory.
  *
  * @param {string} source - HLS URL (master or media playlist)
  * @param {object} options
  * @param {number} options.startTime - Start time in seconds
  * @param {number} options.endTime - End time in seconds
- * @param {string|number} [options.quality] - 'highest', 'lowest', or bandwidth
+ * @param {string|number|object} [options.quality] - Variant to clip, as for HlsStream.select() (default: all)
+ * @param {'trim-edges'} [options.mode] - Download and remux the segments crossing the range's
+ *   start and end. Alternate audio, subtitles and variants the remuxers can't write (MPEG-TS
+ *   other than H.264 with AAC) keep whole segments.
+ * @param {boolean|string} [options.subtitles] - Subtitle rendition to include: true for the DEFAULT,
+ *   or a language or NAME. Its WebVTT and the first video segment are downloaded to time the cues.
+ * @param {function} [options.keyLoader] - (uri, key) => key bytes for encrypted streams
+ * @param {AbortSignal} [options.signal] - Cancels the playlist (and subtitle) requests
+ * @param {number} [options.retries] - Retries per request (default: 2)
+ * @param {number} [options.timeout] - Milliseconds a request attempt may go without receiving data (default: 30000)
  * @param {function} [options.onProgress] - Progress callback
  * @returns {Promise<HlsClipResult>}
  */
 export async function clipHls(source, options = {}) {
-  const { startTime, endTime, quality, onProgress: log = () => {} } = options;
+  const { startTime, endTime, quality, mode, onProgress: log = () => {} } = options;
   if (startTime === undefined || endTime === undefined) {
     throw new Error('clipHls requires both startTime and endTime');
   }
+  if (mode !== undefined && mode !== 'trim-edges') {
+    throw new Error(`Unknown clip mode: ${mode} (expected 'trim-edges')`);
+  }
+  const downloadOptions = mode === 'trim-edges' ? createDownloadOptions(options) : null;
 
   log('Parsing HLS playlist...');
-  const stream = typeof source === 'string' ? await parseHls(source, { onProgress: log }) : source;
+  const stream = typeof source === 'string' ? await parseHls(source, { ...options, onProgress: log }) : source;
 
   let variantsToProcess = [];
   if (stream.isMaster) {
     const sorted = stream.qualities;
     if (quality === 'highest') variantsToProcess = [sorted[0]];
     else if (quality === 'lowest') variantsToProcess = [sorted[sorted.length - 1]];
-    else if (typeof quality === 'number') { stream.select(quality); variantsToProcess = [stream.selected]; }
+    else if (quality !== undefined) { stream.select(quality); variantsToProcess = [stream.selected]; }
     else variantsToProcess = sorted;
   } else {
-    variantsToProcess = [{ url: null, bandwidth: 0, resolution: null, _segments: stream.segments }];
+    variantsToProcess = [{ url: stream.masterUrl, bandwidth: 0, resolution: null }];
   }
 
   log(`Processing ${variantsToProcess.length} variant(s)...`);
 
+  // Master playlist tags, for the variants' attributes and renditions
+  const master = stream.isMaster
+    ? stream.playlist || (await loadMediaPlaylist(stream.masterUrl, 'master', options)).playlist
+    : null;
+
   const variants = [];
   let prerollDuration = 0;
+  let cues = [];
+  let originSegment = null;
 
   for (let vi = 0; vi < variantsToProcess.length; vi++) {
     const variant = variantsToProcess[vi];
     log(`Variant ${vi}: ${variant.resolution || variant.bandwidth || 'default'}`);
 
-    let segments;
-    if (variant._segments) {
-      segments = variant._segments;
+    let media;
+    if (!stream.isMaster) {
+      media = stream.playlist
+        ? { url: stream.masterUrl, segments: stream.segments, playlist: stream.playlist }
+        : await loadMediaPlaylist(stream.masterUrl, 'media', options);
     } else {
-      const resp = await fetch(variant.url);
-      if (!resp.ok) throw new Error(`Failed to fetch media playlist: ${resp.status}`);
-      const parsed = parsePlaylistText(await resp.text(), variant.url);
-      segments = parsed.segments;
+      media = await loadMediaPlaylist(variant.url, 'media', options);
     }
 
-    if (!segments.length) throw new Error('No segments found');
+    if (!media.segments.length) throw new Error('No segments found');
 
-    // Find segments that overlap the clip range
-    const overlapping = segments.filter(seg => seg.endTime > startTime && seg.startTime < endTime);
+    // Segments that overlap the clip range, with their tags
+    const { playlist, segments: overlapping } = clipMediaPlaylist(media, startTime, endTime);
     if (!overlapping.length) throw new Error('No segments overlap the clip range');
 
     const firstSeg = overlapping[0];
-    const lastSeg = overlapping[overlapping.length - 1];
 
-    // Preroll: time from the first segment's start to the requested startTime.
+    // Every #EXT-X-STREAM-INF attribute of the source variant; alternate
+    // video and subtitle groups aren't clipped along
+    const source = master?.variants.find(v => toAbsoluteUrl(v.uri, stream.masterUrl) === variant.url);
+    const attributes = source
+      ? { ...source.attributes, VIDEO: null, SUBTITLES: null }
+      : { BANDWIDTH: variant.bandwidth || 0, RESOLUTION: variant.resolution || null, CODECS: variant.codecs || null };
+
+    const hasVideo = !attributes.CODECS || attributes.CODECS.split(',').some(codec => VIDEO_CODEC.test(codec.trim()));
+    let trimmed = null;
+    if (downloadOptions && hasVideo) {
+      log('Trimming the first and last segments...');
+      trimmed = await trimEdges(overlapping, playlist, `variant-${vi}`, options, downloadOptions);
+    }
+
+    // Preroll: time from the first segment's start (or, trimmed, its
+    // keyframe before startTime) to the requested startTime.
     // The first segment starts at a keyframe (HLS spec requirement).
     // The player seeks past this to reach the requested start.
     if (vi === 0) {
-      prerollDuration = Math.max(0, startTime - firstSeg.startTime);
+      prerollDuration = Math.max(0, startTime - (trimmed ? trimmed.start : firstSeg.startTime));
+      originSegment = firstSeg;
+      cues = overlapping
+        .flatMap(seg => seg.cues || [])
+        .filter(cue => cue.time >= startTime && cue.time < endTime)
+        .sort((a, b) => a.time - b.time)
+        .map(cue => ({ ...cue, clipTime: cue.time - startTime }));
     }
 
-    // Build segment list — all original CDN URLs
-    const clipSegments = overlapping.map(seg => ({
-      duration: seg.duration,
-      url: seg.url,
-    }));
+    // Build segment list — original CDN URLs, except for trimmed segments
+    const clipSegments = clipSegmentList(overlapping).map((seg, i) => trimmed?.data.has(i)
+      ? { duration: playlist.segments[i].duration, url: playlist.segments[i].uri, byteRange: null, isBoundary: true, data: trimmed.data.get(i) }
+      : seg);
 
     const totalDuration = clipSegments.reduce((sum, s) => sum + s.duration, 0);
     log(`Clip ready: ${totalDuration.toFixed(2)}s (${clipSegments.length} segments, preroll: ${prerollDuration.toFixed(2)}s)`);
@@ -166,10 +588,19 @@ export async function clipHls(source, options = {}) {
     variants.push({
       bandwidth: variant.bandwidth || 0,
       resolution: variant.resolution || null,
+      attributes,
       segments: clipSegments,
+      playlist,
+      init: trimmed?.init || null,
     });
   }
 
+  const renditions = master ? await clipRenditions(master, stream.masterUrl, variants, options, log) : [];
+
+  const subtitles = options.subtitles && stream.isMaster
+    ? await clipSubtitles(stream.selectSubtitles(options.subtitles).selectedSubtitles, originSegment, options, log)
+    : null;
+
   const mediaDuration = variants.length > 0
     ? variants[0].segments.reduce((sum, s) => sum + s.duration, 0)
     : endTime - startTime;
@@ -181,8 +612,71 @@ export async function clipHls(source, options = {}) {
     endTime,
     prerollDuration,
     mediaDuration,
+    cues,
+    subtitles,
+    renditions,
+    master,
   });
 }
 
+/**
+ * Audio and closed-caption renditions of the clipped variants' groups
+ * Audio with its own media playlist is clipped to the same range and
+ * renamed audio-N.m3u8; muxed audio and in-band captions are kept as is.
+ *
+ * @param {M3U8} master - Source master playlist
+ * @returns {Promise<Array<{attributes: object, playlist: M3U8|null}>>}
+ */
+async function clipRenditions(master, masterUrl, variants, options, log) {
+  const { startTime, endTime } = options;
+  const groups = {
+    AUDIO: new Set(variants.map(v => v.attributes.AUDIO).filter(Boolean)),
+    'CLOSED-CAPTIONS': new Set(variants.map(v => v.attributes['CLOSED-CAPTIONS']).filter(g => g && g !== 'NONE'))
+  };
+
+  const renditions = [];
+  let audioIndex = 0;
+  for (const attrs of master.renditions) {
+    if (!groups[attrs.TYPE]?.has(attrs['GROUP-ID'])) continue;
+    if (attrs.TYPE !== 'AUDIO' || !attrs.URI) {
+      renditions.push({ attributes: attrs, playlist: null });
+      continue;
+    }
+
+    log(`Audio: ${attrs.NAME || attrs.LANGUAGE}`);
+    const media = await loadMediaPlaylist(toAbsoluteUrl(attrs.URI, masterUrl), 'audio', options);
+    const { playlist } = clipMediaPlaylist(media, startTime, endTime);
+    if (!playlist) throw new Error(`No ${attrs.NAME || 'audio'} segments overlap the clip range`);
+    renditions.push({ attributes: { ...attrs, URI: `audio-${audioIndex++}.m3u8` }, playlist });
+  }
+  return renditions;
+}
+
+/**
+ * Subtitle segments overlapping the clip, and their cues inside it
+ * The first video segment is downloaded to tie the WebVTT's MPEG-TS
+ * clock (X-TIMESTAMP-MAP) to the playlist timeline.
+ *
+ * @param {HlsRendition|null} rendition - Selected subtitle rendition
+ * @param {HlsSegment} originSegment - First video segment of the clip
+ * @returns {Promise<{rendition, playlist, segments, track}|null>}
+ */
+async function clipSubtitles(rendition, originSegment, options, log) {
+  if (!rendition) return null;
+  const { startTime, endTime } = options;
+  log(`Subtitles: ${rendition.name || rendition.language}`);
+
+  const downloadOptions = createDownloadOptions(options);
+  const [media, pts] = await Promise.all([
+    loadMediaPlaylist(rendition.url, 'subtitle', options),
+    segmentStartTime(originSegment, downloadOptions)
+  ]);
+  const origin = { pts, time: originSegment.startTime };
+  const track = await downloadSubtitles(rendition, media, { startTime, endTime }, origin, downloadOptions);
+
+  const { playlist, segments } = clipMediaPlaylist(media, startTime, endTime);
+  return { rendition, playlist, segments: clipSegmentList(segments), track: track.slice(startTime, endTime) };
+}
+
 export { HlsClipResult };
 export default clipHls;
@@ -0,0 +1,235 @@
+/**
+ * HLS Segment Decryption
+ *
+ * AES-128: whole-segment AES-CBC with PKCS7 padding.
+ * SAMPLE-AES: H.264 and AAC payloads inside MPEG-TS, decrypted in place
+ * and remuxed to a clear transport stream.
+ *
+ * Uses WebCrypto (browsers, Node 19+), falling back to node:crypto's
+ * webcrypto on older Node versions.
+ *
+ * @module hls-decrypt
+ */
+
+import { TSParser, getCodecInfo } from './parsers/mpegts.js';
+import { TSMuxer } from './muxers/mpegts.js';
+import { removeEmulationPrevention } from './muxers/mp4.js';
+import { isKeyframe, extractSpsPps, buildAdtsHeader } from './mpegts/stitcher.js';
+import { fetchWithRetry } from './hls-fetch.js';
+
+// ── crypto helpers ────────────────────────────────────────
+
+let subtlePromise = null;
+
+function getSubtle() {
+  if (!subtlePromise) {
+    subtlePromise = globalThis.crypto?.subtle
+      ? Promise.resolve(globalThis.crypto.subtle)
+      : import('node:crypto').then(m => m.webcrypto.subtle);
+  }
+  return subtlePromise;
+}
+
+async function importAesKey(keyBytes) {
+  const subtle = await getSubtle();
+  return subtle.importKey('raw', keyBytes, { name: 'AES-CBC' }, false, ['encrypt', 'decrypt']);
+}
+
+/**
+ * Decrypt AES-CBC data that has no PKCS7 padding
+ * WebCrypto always strips padding, so append the block that a padded
+ * encryption would have produced after the last ciphertext block.
+ */
+async function decryptCbcNoPadding(cryptoKey, iv, data) {
+  const subtle = await getSubtle();
+  const lastBlock = data.subarray(data.length - 16);
+  const padBlock = new Uint8Array(await subtle.encrypt({ name: 'AES-CBC', iv: lastBlock }, cryptoKey, new Uint8Array(0)));
+  const padded = new Uint8Array(data.length + 16);
+  padded.set(data, 0);
+  padded.set(padBlock.subarray(0, 16), data.length);
+  return new Uint8Array(await subtle.decrypt({ name: 'AES-CBC', iv }, cryptoKey, padded));
+}
+
+/**
+ * IV for segments whose key tag has no IV attribute: the media sequence
+ * number as a 128-bit big-endian integer
+ * @param {number} sequence - Segment media sequence number
+ * @returns {Uint8Array}
+ */
+export function ivFromSequence(sequence) {
+  const iv = new Uint8Array(16);
+  const view = new DataView(iv.buffer);
+  view.setUint32(8, Math.floor(sequence / 0x100000000));
+  view.setUint32(12, sequence >>> 0);
+  return iv;
+}
+
+/**
+ * Decrypt a whole AES-128 segment
+ * @param {Uint8Array} data - Encrypted segment
+ * @param {Uint8Array} keyBytes - 16-byte key
+ * @param {Uint8Array} iv - 16-byte IV
+ * @returns {Promise<Uint8Array>}
+ */
+export async function decryptAes128(data, keyBytes, iv) {
+  const subtle = await getSubtle();
+  const cryptoKey = await importAesKey(keyBytes);
+  return new Uint8Array(await subtle.decrypt({ name: 'AES-CBC', iv }, cryptoKey, data));
+}
+
+// ── SAMPLE-AES ────────────────────────────────────────────
+
+/**
+ * Decrypt one H.264 NAL unit
+ * Slices (types 1 and 5) over 48 bytes are protected: 32 clear bytes, then
+ * one encrypted 16-byte block out of every 160 bytes, with the final
+ * 16 bytes or less left clear. Emulation prevention is applied after
+ * encryption, so it's removed first.
+ */
+async function decryptAvcNal(nal, cryptoKey, iv) {
+  const nalType = nal[0] & 0x1F;
+  if ((nalType !== 1 && nalType !== 5) || nal.length <= 48) return nal;
+
+  const data = removeEmulationPrevention(nal).slice();
+  const positions = [];
+  for (let pos = 32; pos < data.length - 16; pos += 160) positions.push(pos);
+
+  const encrypted = new Uint8Array(positions.length * 16);
+  positions.forEach((pos, i) => encrypted.set(data.subarray(pos, pos + 16), i * 16));
+  const decrypted = await decryptCbcNoPadding(cryptoKey, iv, encrypted);
+  positions.forEach((pos, i) => data.set(decrypted.subarray(i * 16, i * 16 + 16), pos));
+  return data;
+}
+
+/**
+ * Decrypt one raw AAC frame: 16 clear bytes, then every whole 16-byte
+ * block, with the trailing partial block left clear
+ */
+async function decryptAacFrame(frame, cryptoKey, iv) {
+  if (frame.length <= 16) return frame;
+  const end = frame.length - (frame.length % 16);
+  const data = frame.slice();
+  data.set(await decryptCbcNoPadding(cryptoKey, iv, frame.subarray(16, end)), 16);
+  return data;
+}
+
+/**
+ * Decrypt a SAMPLE-AES MPEG-TS segment (H.264 + AAC)
+ * Every NAL unit and audio frame restarts CBC with the same key and IV.
+ *
+ * @param {Uint8Array} tsData - Encrypted transport stream
+ * @param {Uint8Array} keyBytes - 16-byte key
+ * @param {Uint8Array} iv - 16-byte IV
+ * @returns {Promise<Uint8Array>} Clear transport stream (H.264 PID 0x101, AAC PID 0x102)
+ */
+export async function decryptSampleAesTs(tsData, keyBytes, iv) {
+  const cryptoKey = await importAesKey(keyBytes);
+  const parser = new TSParser();
+  parser.parse(tsData);
+  parser.finalize();
+
+  if (parser.videoStreamType === 0x24) {
+    throw new Error('SAMPLE-AES decryption supports H.264 and AAC only');
+  }
+  // Audio is rewritten as ADTS, so anything but AAC would be mislabelled.
+  // SAMPLE-AES AC-3 (0xC1) and E-AC-3 (0xC2) aren't picked up as audio at all.
+  const streams = parser.programs.find(p => p.number === parser.programNumber)?.streams || [];
+  const dolby = streams.find(stream => stream.streamType === 0xC1 || stream.streamType === 0xC2);
+  if (dolby || (parser.audioStreamType && parser.audioStreamType !== 0x0F && parser.audioStreamType !== 0xCF)) {
+    const codec = dolby ? (dolby.streamType === 0xC1 ? 'AC-3' : 'E-AC-3') : getCodecInfo(parser.audioStreamType).name;
+    throw new Error(`SAMPLE-AES supports AAC audio only (found ${codec})`);
+  }
+
+  // finalize() rebased timestamps to zero; restore them so segments stay contiguous
+  const offset = parser.debug.timestampOffset || 0;
+
+  for (const au of parser.videoAccessUnits) {
+    au.nalUnits = await Promise.all(au.nalUnits.map(nal => decryptAvcNal(nal, cryptoKey, iv)));
+  }
+  for (const au of parser.audioAccessUnits) {
+    au.data = await decryptAacFrame(au.data, cryptoKey, iv);
+  }
+
+  const muxer = new TSMuxer();
+  const { sps, pps } = extractSpsPps(parser.videoAccessUnits);
+  if (sps && pps) muxer.setSpsPps(sps, pps);
+  muxer.setHasAudio(parser.audioAccessUnits.length > 0);
+
+  const sampleRate = parser.audioSampleRate || 48000;
+  const channels = parser.audioChannels || 2;
+  for (const au of parser.audioAccessUnits) {
+    const header = buildAdtsHeader(au.data.length, sampleRate, channels);
+    const frame = new Uint8Array(header.length + au.data.length);
+    frame.set(header, 0);
+    frame.set(au.data, header.length);
+    muxer.addAudioSample(frame, au.pts + offset);
+  }
+  for (const au of parser.videoAccessUnits) {
+    // The muxer writes its own access unit delimiter
+    const nalUnits = au.nalUnits.filter(nal => (nal[0] & 0x1F) !== 9);
+    muxer.addVideoNalUnits(nalUnits, isKeyframe(au, 0x1B), au.pts + offset, au.dts + offset);
+  }
+  muxer.flush();
+  return muxer.build();
+}
+
+// ── segment entry point ───────────────────────────────────
+
+/**
+ * Load (and cache) the key bytes for an HlsKey
+ */
+async function loadKey(key, options) {
+  const cache = options.keyCache || new Map();
+  const cacheKey = key.uri || '';
+  if (!cache.has(cacheKey)) {
+    if (!options.keyLoader && key.keyFormat !== 'identity') {
+      throw new Error(`Unsupported HLS key format "${key.keyFormat}" - pass options.keyLoader to supply the key`);
+    }
+    const loader = options.keyLoader || (async (uri) => {
+      const response = await fetchWithRetry(uri, {}, options);
+      if (!response.ok) {
+        throw new Error(`Failed to fetch key: ${response.status} ${response.statusText}`);
+      }
+      return response.arrayBuffer();
+    });
+    cache.set(cacheKey, Promise.resolve(loader(key.uri, key)).then(bytes => {
+      const keyBytes = bytes instanceof Uint8Array ? bytes : new Uint8Array(bytes);
+      if (keyBytes.length !== 16) {
+        throw new Error(`Invalid AES-128 key: expected 16 bytes, got ${keyBytes.length}`);
+      }
+      return keyBytes;
+    }));
+  }
+  return cache.get(cacheKey);
+}
+
+/**
+ * Decrypt a downloaded segment according to its #EXT-X-KEY
+ *
+ * @param {Uint8Array} data - Segment bytes as downloaded
+ * @param {{ key: HlsKey|null, mediaSequence: number }} segment - HlsSegment (or init segment info)
+ * @param {object} [options]
+ * @param {function} [options.keyLoader] - (uri, key) => Uint8Array|ArrayBuffer (or a Promise of one)
+ * @param {Map} [options.keyCache] - Shared cache of key URI → key bytes
+ * @param {AbortSignal} [options.signal] - Cancels the default key request (also timeout, retries)
+ * @returns {Promise<Uint8Array>} Clear segment bytes
+ */
+export async function decryptSegment(data, segment, options = {}) {
+  const key = segment.key;
+  if (!key) return data;
+
+  const keyBytes = await loadKey(key, options);
+  const iv = key.iv || ivFromSequence(segment.mediaSequence);
+
+  switch (key.method) {
+    case 'AES-128':
+      return decryptAes128(data, keyBytes, iv);
+    case 'SAMPLE-AES':
+      if (data[0] !== 0x47) {
+        throw new Error('SAMPLE-AES decryption is only supported for MPEG-TS segments');
+      }
+      return decryptSampleAesTs(data, keyBytes, iv);
+    default:
+      throw new Error(`Unsupported HLS encryption method: ${key.method}`);
+  }
+}
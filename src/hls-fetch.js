@@ -0,0 +1,196 @@
+/**
+ * Resilient HLS/DASH Requests
+ *
+ * fetch() with a per-request timeout, retries with exponential backoff
+ * and cancellation through an AbortSignal, plus a limiter capping how
+ * many segment requests run at once.
+ *
+ * @module hls-fetch
+ */
+
+const DEFAULT_TIMEOUT = 30000; // 30 seconds per attempt
+const DEFAULT_RETRIES = 2;
+const DEFAULT_RETRY_DELAY = 500; // ms before the first retry, doubled after each
+const DEFAULT_CONCURRENCY = 6; // what browsers allow per host over HTTP/1.1
+
+/**
+ * Whether a failed response is worth retrying: request timeouts, rate
+ * limits and server errors. Other 4xx responses won't get better.
+ */
+function isRetryable(status) {
+  return status === 408 || status === 429 || status >= 500;
+}
+
+/**
+ * Wait, rejecting as soon as the signal aborts
+ */
+function sleep(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) return reject(signal.reason);
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(signal.reason);
+    };
+    const timer = setTimeout(() => {
+      signal?.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+    signal?.addEventListener('abort', onAbort, { once: true });
+  });
+}
+
+/**
+ * A response whose body has already been read, with the parts of the
+ * Response interface callers use
+ */
+function bufferedResponse(response, bytes) {
+  return {
+    ok: response.ok,
+    status: response.status,
+    statusText: response.statusText,
+    headers: response.headers,
+    url: response.url,
+    body: null,
+    async arrayBuffer() { return bytes.slice().buffer; },
+    async text() { return new TextDecoder().decode(bytes); },
+    async json() { return JSON.parse(new TextDecoder().decode(bytes)); }
+  };
+}
+
+/**
+ * Read a response body, calling `onProgress` for every chunk
+ * Responses without a readable stream (e.g. test doubles) are read whole.
+ */
+async function readBody(response, onProgress) {
+  if (typeof response.body?.getReader !== 'function') return new Uint8Array(await response.arrayBuffer());
+  const reader = response.body.getReader();
+  const chunks = [];
+  let size = 0;
+  while (true) {
+    const { done, value } = await reader.read();
+    if (done) break;
+    onProgress();
+    chunks.push(value);
+    size += value.byteLength;
+  }
+  const bytes = new Uint8Array(size);
+  let offset = 0;
+  for (const chunk of chunks) { bytes.set(chunk, offset); offset += chunk.byteLength; }
+  return bytes;
+}
+
+/**
+ * One fetch() attempt, aborted by the caller's signal or after `timeout` ms
+ * without progress
+ * The body is read within the attempt, so a stalled body times out (and is
+ * retried) like stalled headers. The timeout restarts with every chunk: a
+ * slow download that keeps going is never cut off, however long it takes.
+ * A response about to be retried has its body cancelled instead, freeing
+ * the connection. With `stream`, the response comes back as soon as its
+ * headers do: the timeout stops there, the signal keeps covering the body.
+ */
+async function fetchOnce(url, init, signal, timeout, { retrying, stream }) {
+  const controller = new AbortController();
+  const onAbort = () => controller.abort(signal.reason);
+  signal?.addEventListener('abort', onAbort, { once: true });
+  let timer = null;
+  const restartTimer = () => {
+    clearTimeout(timer);
+    if (timeout > 0) timer = setTimeout(() => controller.abort(), timeout);
+  };
+  restartTimer();
+  let streaming = false;
+
+  try {
+    const response = await fetch(url, { ...init, signal: controller.signal });
+    if (retrying && isRetryable(response.status)) {
+      response.body?.cancel().catch(() => {});
+      return response;
+    }
+    if (stream) {
+      streaming = true;
+      return response;
+    }
+    restartTimer();
+    return bufferedResponse(response, await readBody(response, restartTimer));
+  } catch (err) {
+    signal?.throwIfAborted();
+    if (controller.signal.aborted) {
+      throw new Error(`Fetch timeout after ${timeout}ms: ${url}`);
+    }
+    throw err;
+  } finally {
+    clearTimeout(timer);
+    if (!streaming) signal?.removeEventListener('abort', onAbort);
+  }
+}
+
+/**
+ * fetch() with a timeout, retries and cancellation
+ * Network errors, timeouts and 408/429/5xx responses are retried, waiting
+ * retryDelay, then twice that, and so on. The last failed response is
+ * returned for the caller to check, like fetch() would.
+ *
+ * The timeout covers each attempt until its body has been read, restarting
+ * whenever a chunk arrives: the response comes back with the body
+ * buffered, unless options.stream asks for it unread.
+ *
+ * @param {string} url
+ * @param {RequestInit} [init] - fetch() options such as headers
+ * @param {object} [options]
+ * @param {AbortSignal} [options.signal] - Cancels the request and any pending retry
+ * @param {number} [options.timeout=30000] - Milliseconds an attempt may go without progress (0 for none)
+ * @param {number} [options.retries=2] - Attempts after the first
+ * @param {number} [options.retryDelay=500] - Milliseconds before the first retry
+ * @param {boolean} [options.stream=false] - Return once the headers arrive, for reading
+ *   response.body as it downloads; the timeout then only covers the headers
+ * @returns {Promise<Response>}
+ */
+export async function fetchWithRetry(url, init = {}, options = {}) {
+  const { signal, stream = false } = options;
+  const timeout = options.timeout ?? DEFAULT_TIMEOUT;
+  const retries = options.retries ?? DEFAULT_RETRIES;
+  const retryDelay = options.retryDelay ?? DEFAULT_RETRY_DELAY;
+
+  for (let attempt = 0; ; attempt++) {
+    signal?.throwIfAborted();
+    const retrying = attempt < retries;
+    try {
+      const response = await fetchOnce(url, init, signal, timeout, { retrying, stream });
+      if (!retrying || !isRetryable(response.status)) return response;
+    } catch (err) {
+      if (signal?.aborted || !retrying) throw err;
+    }
+    await sleep(retryDelay * 2 ** attempt, signal);
+  }
+}
+
+/**
+ * Limit how many tasks run at once
+ * @param {number} [concurrency=6]
+ * @returns {function(function(): Promise): Promise} Runs a task once a slot is free
+ */
+export function createLimiter(concurrency = DEFAULT_CONCURRENCY) {
+  if (!(concurrency >= 1)) {
+    throw new Error(`Invalid concurrency: ${concurrency} (expected 1 or more)`);
+  }
+  const queue = [];
+  let active = 0;
+
+  const next = () => {
+    if (active >= concurrency || !queue.length) return;
+    active++;
+    const { task, resolve, reject } = queue.shift();
+    Promise.resolve().then(task).then(resolve, reject).finally(() => {
+      active--;
+      next();
+    });
+  };
+
+  return (task) => new Promise((resolve, reject) => {
+    queue.push({ task, resolve, reject });
+    next();
+  });
+}
+
+export default fetchWithRetry;
@@ -0,0 +1,397 @@
+/**
+ * HLS/DASH Packager
+ *
+ * Cuts an in-memory MP4 or MPEG-TS into VOD segments at keyframes and
+ * writes everything a player needs next to them: master and media
+ * playlists, the init segment (fMP4/CMAF) and a DASH manifest. Nothing
+ * is re-encoded - segments are remuxed from the source samples.
+ *
+ * MPEG-TS sources keep their codecs (H.264, H.265, MPEG-2 video; AAC,
+ * MP3, AC-3, E-AC-3 audio). MP4 sources are read with MP4Parser, which
+ * knows H.264 and AAC. TS segments are written for H.264 with AAC.
+ *
+ * @module hls-package
+ *
+ * @example
+ * const pkg = packageHls(mp4Data, { segmentDuration: 4 });
+ * for (const file of pkg.files) {
+ *   await upload(`clips/42/${file.name}`, file.data, file.contentType);
+ * }
+ * // clips/42/master.m3u8 (HLS) or clips/42/manifest.mpd (DASH)
+ */
+
+import { TSParser, isKeyframe } from './parsers/mpegts.js';
+import { MP4Parser, findBox, buildSegments } from './parsers/mp4.js';
+import { convertFmp4ToMp4 } from './fmp4/index.js';
+import { createFragmentedMp4 } from './muxers/fmp4.js';
+import { TSMuxer } from './muxers/mpegts.js';
+import {
+  collectSampleDescriptions, buildAvcC, buildHvcC, parseSPS, parseHevcSPS, parseMpeg2SequenceHeader
+} from './muxers/mp4.js';
+import { extractSpsPps, buildAdtsHeader, adtsObjectType } from './mpegts/stitcher.js';
+import { codecString } from './smart-cut.js';
+
+const DEFAULT_SEGMENT_DURATION = 4; // seconds
+
+const CONTENT_TYPES = {
+  m3u8: 'application/vnd.apple.mpegurl',
+  mpd: 'application/dash+xml',
+  mp4: 'video/mp4',
+  m4s: 'video/iso.segment',
+  ts: 'video/mp2t'
+};
+
+// ── source parsing ────────────────────────────────────────
+
+/**
+ * MP4 samples as TSParser-shaped access units, with the avcC parameter
+ * sets in front of every keyframe like an MPEG-TS source carries them
+ * MP4Parser only reads avcC, so H.265 (hvcC) sources have no codec config
+ * and are rejected here.
+ * @param {MP4Parser} mp4
+ */
+function mp4AccessUnits(mp4) {
+  const config = mp4.videoCodecConfig;
+  if (!config) {
+    throw new Error('Packaging MP4 sources supports H.264 video only - convert MPEG-TS sources directly');
+  }
+  if (mp4.hasAudio && !mp4.audioCodecConfig) {
+    throw new Error('Packaging MP4 sources supports AAC audio only');
+  }
+
+  const { sps, pps, nalLengthSize } = config;
+  const videoAccessUnits = mp4.getSampleData(mp4.getVideoSamples()).map(sample => {
+    const nalUnits = [];
+    let pos = 0;
+    while (pos + nalLengthSize <= sample.data.length) {
+      let length = 0;
+      for (let i = 0; i < nalLengthSize; i++) length = length * 256 + sample.data[pos + i];
+      pos += nalLengthSize;
+      nalUnits.push(sample.data.subarray(pos, pos + length));
+      pos += length;
+    }
+    if (sample.isKeyframe && !nalUnits.some(nalUnit => (nalUnit[0] & 0x1F) === 7)) {
+      nalUnits.unshift(...sps, ...pps);
+    }
+    return { nalUnits, pts: Math.round(sample.pts * 90000), dts: Math.round(sample.dts * 90000) };
+  });
+
+  const audioAccessUnits = mp4.getSampleData(mp4.getAudioSamples())
+    .map(sample => ({ data: sample.data, pts: Math.round(sample.dts * 90000) }));
+
+  return {
+    videoAccessUnits,
+    audioAccessUnits,
+    videoStreamType: 0x1B,
+    audioSampleRate: mp4.audioCodecConfig?.sampleRate || null,
+    audioChannels: mp4.audioCodecConfig?.channels || null,
+    audioConfig: null,
+    metadataEvents: []
+  };
+}
+
+/**
+ * Parse MPEG-TS, MP4 or fMP4 data into TSParser-shaped access units
+ */
+function parseSource(data, options) {
+  if (data[0] === 0x47) {
+    const parser = new TSParser({ program: options.program });
+    parser.parse(data);
+    parser.finalize();
+    if (parser.videoAccessUnits.length === 0) {
+      throw new Error('No supported video frames found in MPEG-TS stream.');
+    }
+    return parser;
+  }
+  const mp4 = findBox(data, 'moof') ? convertFmp4ToMp4(data) : data;
+  return mp4AccessUnits(new MP4Parser(mp4));
+}
+
+// ── codec information ─────────────────────────────────────
+
+/**
+ * RFC 6381 codecs and dimensions of the first sample description
+ */
+function describeStreams(parsed) {
+  const streamType = parsed.videoStreamType || 0x1B;
+  const { descriptions } = collectSampleDescriptions(parsed.videoAccessUnits, streamType);
+  const d = descriptions[0];
+  if (!d?.sps) throw new Error('Video stream has no SPS - cannot describe it in a playlist');
+
+  let video, dimensions;
+  if (streamType === 0x24) {
+    video = codecString('hevc', buildHvcC(d.vps ? [d.vps] : [], [d.sps], [d.pps]).subarray(8));
+    dimensions = parseHevcSPS(d.sps);
+  } else if (streamType === 0x02) {
+    dimensions = parseMpeg2SequenceHeader(d.sps, d.pps);
+    video = `mp4v.${dimensions.objectType.toString(16)}`;
+  } else {
+    video = codecString('avc', buildAvcC(d.sps, d.pps).subarray(8));
+    dimensions = parseSPS(d.sps);
+  }
+
+  const codecs = [video];
+  if (parsed.audioAccessUnits.length > 0) {
+    const config = parsed.audioConfig;
+    if (!config) codecs.push('mp4a.40.2');
+    else if (config.codec === 'aac') codecs.push(`mp4a.40.${config.objectType}`);
+    else if (config.codec === 'mpeg') codecs.push(`mp4a.${config.objectType.toString(16).toUpperCase()}`);
+    else codecs.push(config.codec);
+  }
+  return { codecs: codecs.join(','), width: dimensions.width, height: dimensions.height };
+}
+
+// ── segment muxing ────────────────────────────────────────
+
+function concatBytes(parts) {
+  const result = new Uint8Array(parts.reduce((sum, p) => sum + p.byteLength, 0));
+  let offset = 0;
+  for (const p of parts) { result.set(p, offset); offset += p.byteLength; }
+  return result;
+}
+
+/**
+ * Init segment plus one CMAF segment per packaging segment. A segment
+ * holds more than one fragment only where the sample description changes
+ * inside it.
+ */
+function muxFmp4Segments(parsed, segments) {
+  const { init, fragments, starts } = createFragmentedMp4(parsed, {
+    fragmentStarts: segments.map(segment => segment.videoStart)
+  });
+  const data = segments.map(segment => concatBytes(fragments.filter((_, i) =>
+    starts[i] >= segment.videoStart && starts[i] < segment.videoEnd)));
+  return { init, data };
+}
+
+/**
+ * One MPEG-TS file per packaging segment, keeping the source timestamps.
+ * Audio goes with the segment whose video it precedes.
+ */
+function muxTsSegments(parsed, segments) {
+  const unsupported = "TS segments support H.264 video with AAC audio - package with format: 'fmp4'";
+  if ((parsed.videoStreamType || 0x1B) !== 0x1B) throw new Error(unsupported);
+  const objectType = adtsObjectType(parsed.audioConfig, unsupported);
+  const videoAUs = parsed.videoAccessUnits;
+  const audioAUs = parsed.audioAccessUnits;
+  const { sps, pps } = extractSpsPps(videoAUs);
+  const sampleRate = parsed.audioSampleRate || 48000;
+  const channels = parsed.audioChannels || 2;
+
+  let audioIndex = 0;
+  return segments.map((segment, s) => {
+    const muxer = new TSMuxer();
+    if (sps && pps) muxer.setSpsPps(sps, pps);
+    muxer.setHasAudio(audioAUs.length > 0);
+
+    const endDts = s + 1 < segments.length ? videoAUs[segments[s + 1].videoStart].dts : Infinity;
+    while (audioIndex < audioAUs.length && audioAUs[audioIndex].pts < endDts) {
+      const au = audioAUs[audioIndex++];
+      muxer.addAudioSample(concatBytes([buildAdtsHeader(au.data.length, sampleRate, channels, objectType), au.data]), au.pts);
+    }
+    for (let i = segment.videoStart; i < segment.videoEnd; i++) {
+      const au = videoAUs[i];
+      muxer.addVideoNalUnits(au.nalUnits, isKeyframe(au, 0x1B), au.pts, au.dts);
+    }
+
+    muxer.flush();
+    return muxer.build();
+  });
+}
+
+// ── manifests ─────────────────────────────────────────────
+
+/** ISO 8601 duration, e.g. PT12.345S */
+function isoDuration(seconds) {
+  return `PT${Number(seconds.toFixed(3))}S`;
+}
+
+/**
+ * SegmentTimeline entries, with runs of equal durations folded into r
+ * @param {Array<{t: number, d: number}>} entries
+ */
+function segmentTimeline(entries) {
+  const runs = [];
+  for (const { t, d } of entries) {
+    const last = runs[runs.length - 1];
+    if (last && last.d === d && last.t + last.d * (last.r + 1) === t) last.r++;
+    else runs.push({ t, d, r: 0 });
+  }
+  return runs.map(({ t, d, r }, i) => {
+    const start = i === 0 || runs[i - 1].t + runs[i - 1].d * (runs[i - 1].r + 1) !== t ? ` t="${t}"` : '';
+    return `            <S${start} d="${d}"${r > 0 ? ` r="${r}"` : ''}/>\n`;
+  }).join('');
+}
+
+// ── HlsPackage ────────────────────────────────────────────
+
+/**
+ * Files of a packaged stream. Segment and init names are relative, so
+ * the files work from wherever they are uploaded together.
+ */
+class HlsPackage {
+  constructor({ format, segments, init, codecs, width, height, timeline }) {
+    /** 'ts' or 'fmp4' */
+    this.format = format;
+    /** Media segments: [{ name, data, startTime, duration }], times in seconds from the first frame */
+    this.segments = segments;
+    /** fMP4 init segment (init.mp4), or null for TS */
+    this.init = init;
+    /** RFC 6381 codecs of the stream, e.g. 'avc1.64001f,mp4a.40.2' */
+    this.codecs = codecs;
+    this.width = width;
+    this.height = height;
+    /** Total duration in seconds */
+    this.duration = segments.reduce((sum, segment) => sum + segment.duration, 0);
+    this._timeline = timeline;
+  }
+
+  /** Peak segment bitrate in bits per second (BANDWIDTH) */
+  get bandwidth() {
+    return Math.round(Math.max(...this.segments.map(s => s.data.byteLength * 8 / s.duration)));
+  }
+
+  /** Average bitrate in bits per second (AVERAGE-BANDWIDTH) */
+  get averageBandwidth() {
+    const bytes = this.segments.reduce((sum, s) => sum + s.data.byteLength, 0);
+    return Math.round(bytes * 8 / this.duration);
+  }
+
+  /** Master playlist (master.m3u8) */
+  get masterPlaylist() {
+    const resolution = this.width && this.height ? `,RESOLUTION=${this.width}x${this.height}` : '';
+    let m3u8 = '#EXTM3U\n';
+    m3u8 += `#EXT-X-VERSION:${this.format === 'fmp4' ? 6 : 3}\n`;
+    m3u8 += '#EXT-X-INDEPENDENT-SEGMENTS\n';
+    m3u8 += `#EXT-X-STREAM-INF:BANDWIDTH=${this.bandwidth},AVERAGE-BANDWIDTH=${this.averageBandwidth},CODECS="${this.codecs}"${resolution}\n`;
+    m3u8 += 'playlist.m3u8\n';
+    return m3u8;
+  }
+
+  /** Media playlist (playlist.m3u8) */
+  get mediaPlaylist() {
+    const maxDur = Math.max(...this.segments.map(s => s.duration));
+    // EXT-X-MAP outside an I-frame playlist needs protocol version 6
+    let m3u8 = '#EXTM3U\n';
+    m3u8 += `#EXT-X-VERSION:${this.format === 'fmp4' ? 6 : 3}\n`;
+    m3u8 += `#EXT-X-TARGETDURATION:${Math.ceil(maxDur)}\n`;
+    m3u8 += '#EXT-X-PLAYLIST-TYPE:VOD\n';
+    m3u8 += '#EXT-X-MEDIA-SEQUENCE:0\n';
+    if (this.init) m3u8 += '#EXT-X-MAP:URI="init.mp4"\n';
+    for (const segment of this.segments) {
+      m3u8 += `#EXTINF:${segment.duration.toFixed(6)},\n${segment.name}\n`;
+    }
+    m3u8 += '#EXT-X-ENDLIST\n';
+    return m3u8;
+  }
+
+  /**
+   * DASH manifest (manifest.mpd) for the same init and media segments:
+   * one representation, with the audio muxed into the video segments
+   */
+  get dashManifest() {
+    if (this.format !== 'fmp4') {
+      throw new Error("DASH manifests need fMP4 segments - package with format: 'fmp4'");
+    }
+    const maxDur = Math.max(...this.segments.map(s => s.duration));
+    const size = this.width && this.height ? ` width="${this.width}" height="${this.height}"` : '';
+    let mpd = '<?xml version="1.0" encoding="UTF-8"?>\n';
+    mpd += `<MPD xmlns="urn:mpeg:dash:schema:mpd:2011" profiles="urn:mpeg:dash:profile:isoff-live:2011" type="static" mediaPresentationDuration="${isoDuration(this.duration)}" minBufferTime="${isoDuration(Math.ceil(maxDur))}">\n`;
+    mpd += '  <Period id="0" start="PT0S">\n';
+    mpd += '    <AdaptationSet contentType="video" mimeType="video/mp4" segmentAlignment="true" startWithSAP="1">\n';
+    mpd += `      <Representation id="0" codecs="${this.codecs}" bandwidth="${this.bandwidth}"${size}>\n`;
+    mpd += `        <SegmentTemplate timescale="90000" presentationTimeOffset="${this._timeline[0].t}" initialization="init.mp4" media="segment$Number$.m4s" startNumber="0">\n`;
+    mpd += '          <SegmentTimeline>\n';
+    mpd += segmentTimeline(this._timeline);
+    mpd += '          </SegmentTimeline>\n';
+    mpd += '        </SegmentTemplate>\n';
+    mpd += '      </Representation>\n';
+    mpd += '    </AdaptationSet>\n';
+    mpd += '  </Period>\n';
+    mpd += '</MPD>\n';
+    return mpd;
+  }
+
+  /**
+   * Every file of the package: [{ name, data, contentType }], data a
+   * string for playlists and manifests, Uint8Array for media
+   */
+  get files() {
+    const file = (name, data) => ({ name, data, contentType: CONTENT_TYPES[name.split('.').pop()] });
+    const files = [file('master.m3u8', this.masterPlaylist), file('playlist.m3u8', this.mediaPlaylist)];
+    if (this.format === 'fmp4') files.push(file('manifest.mpd', this.dashManifest), file('init.mp4', this.init));
+    for (const segment of this.segments) files.push(file(segment.name, segment.data));
+    return files;
+  }
+}
+
+// ── main ──────────────────────────────────────────────────
+
+/**
+ * Package MP4 or MPEG-TS data for VOD playback over HLS or DASH.
+ *
+ * Segments start at keyframes, combining GOPs up to segmentDuration
+ * (see buildSegments). Everything happens in memory.
+ *
+ * @param {Uint8Array|ArrayBuffer} data - MP4, fMP4 or MPEG-TS data
+ * @param {object} [options]
+ * @param {number} [options.segmentDuration=4] - Target segment duration in seconds
+ * @param {'fmp4'|'ts'} [options.format='fmp4'] - Segment format: fMP4/CMAF (HLS and DASH) or MPEG-TS (HLS only)
+ * @param {number} [options.program] - MPEG-TS program number (default: the first one)
+ * @returns {HlsPackage}
+ */
+export function packageHls(data, options = {}) {
+  const uint8 = data instanceof ArrayBuffer ? new Uint8Array(data) : data;
+  const format = options.format || 'fmp4';
+  if (format !== 'fmp4' && format !== 'ts') {
+    throw new Error(`Unknown package format: ${format} (expected 'fmp4' or 'ts')`);
+  }
+  const segmentDuration = options.segmentDuration || DEFAULT_SEGMENT_DURATION;
+
+  const parsed = parseSource(uint8, options);
+  const videoAUs = parsed.videoAccessUnits;
+  const streamType = parsed.videoStreamType || 0x1B;
+
+  // Sample table for buildSegments: presentation times in seconds from the
+  // first frame. The first access unit starts a segment even if it isn't a keyframe.
+  const origin = videoAUs.reduce((min, au) => Math.min(min, au.pts), Infinity);
+  const lastDuration = videoAUs.length > 1 ? videoAUs[videoAUs.length - 1].dts - videoAUs[videoAUs.length - 2].dts : 3003;
+  const samples = videoAUs.map((au, index) => ({
+    index,
+    time: (au.pts - origin) / 90000,
+    duration: (index + 1 < videoAUs.length ? videoAUs[index + 1].dts - au.dts : lastDuration) / 90000,
+    isKeyframe: index === 0 || isKeyframe(au, streamType)
+  }));
+  const segments = buildSegments(samples, segmentDuration);
+
+  const extension = format === 'fmp4' ? 'm4s' : 'ts';
+  const { init, data: segmentData } = format === 'fmp4'
+    ? muxFmp4Segments(parsed, segments)
+    : { init: null, data: muxTsSegments(parsed, segments) };
+
+  // SegmentTimeline: earliest presentation time of each segment on the
+  // fragments' media timeline (decode times were shifted to start at >= 0)
+  const shift = Math.min(0, videoAUs[0].dts);
+  const timeline = segments.map(segment => {
+    let t = Infinity;
+    for (let i = segment.videoStart; i < segment.videoEnd; i++) t = Math.min(t, videoAUs[i].pts - shift);
+    return { t, d: Math.round(segment.duration * 90000) };
+  });
+  for (let i = 0; i + 1 < timeline.length; i++) timeline[i].d = timeline[i + 1].t - timeline[i].t;
+
+  return new HlsPackage({
+    format,
+    segments: segments.map((segment, i) => ({
+      name: `segment${i}.${extension}`,
+      data: segmentData[i],
+      startTime: segment.startTime,
+      duration: segment.duration
+    })),
+    init,
+    ...describeStreams(parsed),
+    timeline
+  });
+}
+
+export { HlsPackage, parseSource, muxTsSegments };
+export default packageHls;
@@ -0,0 +1,192 @@
+/**
+ * HLS Live Recorder
+ * Polls a live or event playlist and records its segments to MP4
+ *
+ * The media playlist is reloaded every target duration (half of it when
+ * nothing new appeared), and segments are de-duplicated by media sequence
+ * number. A playlist whose sequence numbers went back below the last
+ * recorded one (e.g. after an encoder restart) starts over, after a
+ * discontinuity. Recording stops after the requested duration, when the
+ * playlist gets #EXT-X-ENDLIST, when the AbortSignal fires (cancelling the
+ * requests in flight), or when a reload or segment still fails after its
+ * retries; whatever was recorded is then stitched into one MP4. Timestamps
+ * are rebased at discontinuities (e.g. ad breaks), and a changed
+ * EXT-X-MAP adds its sample descriptions.
+ *
+ * @module hls-record
+ */
+
+import { HlsStream, fetchMediaPlaylist, fetchSegment } from './hls.js';
+import { decryptSegment } from './hls-decrypt.js';
+import { stitchTs } from './mpegts/index.js';
+import { stitchFmp4 } from './fmp4/index.js';
+
+/**
+ * Wait, returning early when the signal aborts
+ */
+function sleep(ms, signal) {
+  return new Promise(resolve => {
+    if (signal?.aborted) return resolve();
+    const done = () => {
+      clearTimeout(timer);
+      signal?.removeEventListener('abort', done);
+      resolve();
+    };
+    const timer = setTimeout(done, ms);
+    signal?.addEventListener('abort', done, { once: true });
+  });
+}
+
+/**
+ * Whether two EXT-X-MAP tags (from different playlist loads) name the same init segment
+ */
+function sameMap(a, b) {
+  return !!b && a.url === b.url && a.byteRange?.offset === b.byteRange?.offset;
+}
+
+async function fetchBytes(url, byteRange, label, options) {
+  const response = await fetchSegment(url, byteRange, options);
+  if (!response.ok) {
+    throw new Error(`${label} failed: ${response.status}`);
+  }
+  return new Uint8Array(await response.arrayBuffer());
+}
+
+/**
+ * Record a live HLS stream
+ *
+ * @param {HlsStream|string} source - HlsStream object or playlist URL
+ * @param {object} [options]
+ * @param {number} [options.duration] - Seconds to record (whole segments; default: until ENDLIST or abort)
+ * @param {AbortSignal} [options.signal] - Stops recording; the segments so far are still returned
+ * @param {boolean} [options.fromStart=false] - Record every segment in the first playlist load instead of starting at the live edge
+ * @param {string|number|object} [options.quality] - Variant, as for HlsStream.select() (default: highest)
+ * @param {'mp4'|'fmp4'} [options.output='mp4'] - Output for MPEG-TS streams (see stitchTs)
+ * @param {function} [options.keyLoader] - (uri, key) => key bytes for encrypted streams
+ * @param {number} [options.retries] - Retries per request (default: 2)
+ * @param {number} [options.timeout] - Milliseconds a request attempt may go without receiving data (default: 30000)
+ * @param {function} [options.onProgress] - Progress callback
+ * @returns {Promise<Uint8Array>} MP4 data
+ */
+export async function recordHls(source, options = {}) {
+  const log = options.onProgress || (() => {});
+  const { signal } = options;
+  const maxDuration = options.duration ?? Infinity;
+  const fetchOptions = { signal, timeout: options.timeout, retries: options.retries, retryDelay: options.retryDelay };
+
+  // A media playlist URL's first load doubles as the first poll
+  let stream = source;
+  let pending = null;
+  if (typeof source === 'string') {
+    const playlist = await fetchMediaPlaylist(source, 'live', fetchOptions);
+    stream = new HlsStream(source, playlist.variants);
+    stream.renditions = playlist.renditions;
+    if (!stream.isMaster) pending = playlist;
+  }
+  if (options.quality) {
+    stream.select(options.quality);
+  }
+  const playlistUrl = stream.isMaster ? stream.selected.url : stream.masterUrl;
+
+  const decryptOptions = { ...fetchOptions, keyLoader: options.keyLoader, keyCache: new Map() };
+  const recorded = [];
+  const discontinuitySequences = [];
+  let recordedDuration = 0;
+  let lastSequence = -1;
+  // Added to discontinuity sequences after a media sequence reset, so the
+  // segments that follow form a new run for the stitcher
+  let discontinuityOffset = 0;
+  let currentMap = null;
+  let firstLoad = true;
+
+  // A failure ends the recording with the segments already recorded
+  const stop = (err) => {
+    if (recorded.length === 0 && !signal?.aborted) throw err;
+    if (!signal?.aborted) log(`Recording stopped: ${err.message}`);
+  };
+
+  let stopped = false;
+  while (!signal?.aborted && recordedDuration < maxDuration) {
+    let playlist = pending;
+    pending = null;
+    if (!playlist) {
+      try {
+        playlist = await fetchMediaPlaylist(playlistUrl, 'media', fetchOptions);
+      } catch (err) {
+        stop(err);
+        break;
+      }
+    }
+
+    const newest = playlist.segments.at(-1);
+    if (newest && newest.mediaSequence < lastSequence) {
+      log(`Media sequence went back from ${lastSequence} to ${newest.mediaSequence} - continuing after a discontinuity`);
+      lastSequence = -1;
+      currentMap = null;
+      discontinuityOffset = discontinuitySequences.at(-1) + 1 - playlist.segments[0].discontinuitySequence;
+    }
+    let fresh = playlist.segments.filter(seg => seg.mediaSequence > lastSequence);
+
+    // Join a live stream at its newest segment
+    if (firstLoad && !playlist.endList && !options.fromStart) {
+      fresh = fresh.slice(-1);
+    }
+    firstLoad = false;
+
+    for (const seg of fresh) {
+      if (signal?.aborted || recordedDuration >= maxDuration) break;
+      let data;
+      try {
+        data = await fetchBytes(seg.url, seg.byteRange, `Segment ${seg.mediaSequence}`, fetchOptions);
+        if (seg.key) {
+          data = await decryptSegment(data, seg, decryptOptions);
+        }
+        // fMP4: the init segment goes in front of the first segment using it
+        if (seg.map && !sameMap(seg.map, currentMap)) {
+          let init = await fetchBytes(seg.map.url, seg.map.byteRange, 'Init segment', fetchOptions);
+          if (seg.map.key) {
+            init = await decryptSegment(init, { key: seg.map.key, mediaSequence: 0 }, decryptOptions);
+          }
+          currentMap = seg.map;
+          const withInit = new Uint8Array(init.length + data.length);
+          withInit.set(init, 0);
+          withInit.set(data, init.length);
+          data = withInit;
+        }
+      } catch (err) {
+        stop(err);
+        stopped = true;
+        break;
+      }
+      recorded.push(data);
+      discontinuitySequences.push(seg.discontinuitySequence + discontinuityOffset);
+      recordedDuration += seg.duration;
+      lastSequence = seg.mediaSequence;
+      const percent = Number.isFinite(maxDuration) ? Math.min(100, Math.round(recordedDuration / maxDuration * 100)) : undefined;
+      log(`Recorded ${recordedDuration.toFixed(1)}s`, { phase: 'download', percent, segment: recorded.length });
+    }
+
+    if (stopped) break;
+    if (playlist.endList) {
+      log('Stream ended');
+      break;
+    }
+    if (signal?.aborted || recordedDuration >= maxDuration) break;
+
+    // Reload after a target duration, or half of one when the playlist hadn't changed
+    const targetDuration = playlist.targetDuration || 6;
+    await sleep((fresh.length > 0 ? targetDuration : targetDuration / 2) * 1000, signal);
+  }
+
+  if (recorded.length === 0) {
+    throw new Error('recordHls: no segments recorded');
+  }
+
+  log(`Stitching ${recorded.length} segments...`, { phase: 'convert', percent: 0 });
+  if (recorded[0][0] === 0x47) {
+    return stitchTs(recorded, { output: options.output, discontinuitySequences });
+  }
+  return stitchFmp4(recorded);
+}
+
+export default recordHls;
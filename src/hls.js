@@ -3,15 +3,34 @@
  * Handles master playlists, variant selection, and segment downloading
  */
 
+import { decryptSegment } from './hls-decrypt.js';
+import { fetchWithRetry, createLimiter } from './hls-fetch.js';
+import { muxAudioRendition } from './hls-audio.js';
+import { stitchTs } from './mpegts/index.js';
+import { stitchFmp4 } from './fmp4/index.js';
+import { TSParser, parseScte35 } from './parsers/mpegts.js';
+import { parseBoxes, findBox, parseChildBoxes, parseTfhd, parseTfdt } from './fmp4/utils.js';
+import { extractTrackMetadata } from './fmp4/converter.js';
+import { mergeWebVttSegments, SubtitleTrack } from './webvtt.js';
+import { parseM3u8 } from './m3u8.js';
+
 /**
  * Represents a quality variant in an HLS stream
  */
 class HlsVariant {
-  constructor({ bandwidth, resolution, codecs, url, name }) {
+  constructor({ bandwidth, resolution, codecs, url, name, audioGroup, subtitleGroup, frameRate, hdcpLevel, videoRange }) {
     this.bandwidth = bandwidth;
     this.resolution = resolution;
+    const [width, height] = resolution ? resolution.split('x').map(Number) : [];
+    this.width = width || null;
+    this.height = height || null;
     this.codecs = codecs;
     this.url = url;
+    this.audioGroup = audioGroup || null; // GROUP-ID of the #EXT-X-MEDIA audio renditions it plays with
+    this.subtitleGroup = subtitleGroup || null; // GROUP-ID of its #EXT-X-MEDIA subtitle renditions
+    this.frameRate = frameRate || null;   // FRAME-RATE, e.g. 29.97
+    this.hdcpLevel = hdcpLevel || null;   // HDCP-LEVEL: 'TYPE-0', 'TYPE-1' or 'NONE'
+    this.videoRange = videoRange || null; // VIDEO-RANGE: 'SDR', 'HLG' or 'PQ'
     this.name = name || this._generateName();
   }
 
@@ -32,6 +51,110 @@ class HlsVariant {
   }
 }
 
+/**
+ * Represents an alternate rendition from an #EXT-X-MEDIA tag
+ */
+class HlsRendition {
+  constructor({ type, group, language, name, isDefault, autoselect, channels, url }) {
+    this.type = type;                    // 'AUDIO' | 'SUBTITLES' | 'CLOSED-CAPTIONS' | 'VIDEO'
+    this.group = group;                  // GROUP-ID, referenced by variants
+    this.language = language || null;    // e.g. 'en', 'es-MX'
+    this.name = name;
+    this.default = !!isDefault;
+    this.autoselect = !!autoselect;
+    this.channels = channels || null;    // e.g. '2', '6'
+    this.url = url || null;              // null when the audio is muxed into the variant
+  }
+}
+
+/**
+ * Rendition matching a language ('en' also matches 'en-US') or NAME
+ * @param {HlsRendition[]} renditions
+ * @param {string} selector
+ * @param {string} kind - 'audio' or 'subtitle', used in errors
+ * @returns {HlsRendition}
+ */
+function findRendition(renditions, selector, kind) {
+  const wanted = String(selector).toLowerCase();
+  const rendition =
+    renditions.find(r => r.language?.toLowerCase() === wanted) ||
+    renditions.find(r => r.language?.toLowerCase().split('-')[0] === wanted) ||
+    renditions.find(r => r.name?.toLowerCase() === wanted);
+  if (!rendition) {
+    const available = renditions.map(r => r.language || r.name).join(', ') || 'none';
+    throw new Error(`No ${kind} rendition matches "${selector}" (available: ${available})`);
+  }
+  return rendition;
+}
+
+/**
+ * Rendition of a variant's group: the chosen one (or one with the same
+ * language), else the group's DEFAULT, else its first entry
+ * @param {HlsRendition[]} group
+ * @param {HlsRendition|null} chosen
+ * @returns {HlsRendition}
+ */
+function pickFromGroup(group, chosen) {
+  const match = chosen && (
+    group.find(r => r === chosen) ||
+    group.find(r => r.language === chosen.language && r.name === chosen.name) ||
+    group.find(r => r.language === chosen.language)
+  );
+  return match || group.find(r => r.default) || group[0];
+}
+
+/** Codec families for quality criteria: 'hvc1' also matches hev1, 'avc1' avc3 */
+const CODEC_FAMILIES = { avc1: 'avc', avc3: 'avc', hvc1: 'hevc', hev1: 'hevc', dvh1: 'dvh', dvhe: 'dvh' };
+
+/**
+ * Frame rate as a number, from a number or an 'N/D' string (DASH)
+ */
+function parseFrameRate(value) {
+  if (typeof value === 'number' || value === null || value === undefined) return value ?? null;
+  const [num, den = 1] = String(value).split('/').map(Number);
+  return num / den;
+}
+
+/**
+ * Highest bandwidth variant meeting every given criterion
+ * Variants missing what a criterion looks at (no RESOLUTION for maxHeight,
+ * no CODECS for codecs, ...) don't qualify.
+ *
+ * @param {Array<HlsVariant|DashRepresentation>} variants
+ * @param {object} criteria
+ * @param {number} [criteria.maxHeight] - Tallest allowed picture, in lines
+ * @param {number} [criteria.minHeight] - Shortest allowed picture
+ * @param {number} [criteria.maxBandwidth] - Highest allowed BANDWIDTH, in bits/s
+ * @param {string} [criteria.codecs] - Video codec: 'avc1', 'hvc1', ... (the sample entry prefix of CODECS)
+ * @param {number} [criteria.frameRate] - Frame rate, rounded (30 also matches 29.97)
+ * @returns {HlsVariant|DashRepresentation}
+ */
+function findVariant(variants, criteria) {
+  const { maxHeight, minHeight, maxBandwidth, codecs, frameRate } = criteria;
+  const family = codec => CODEC_FAMILIES[codec] || codec;
+  const matches = variants.filter(v =>
+    (maxHeight === undefined || (v.height && v.height <= maxHeight)) &&
+    (minHeight === undefined || (v.height && v.height >= minHeight)) &&
+    (maxBandwidth === undefined || v.bandwidth <= maxBandwidth) &&
+    (codecs === undefined || (v.codecs || '').split(',').some(c => family(c.trim().split('.')[0]) === family(codecs))) &&
+    (frameRate === undefined || Math.round(parseFrameRate(v.frameRate)) === Math.round(frameRate))
+  );
+  if (matches.length === 0) {
+    const available = variants.map(v => v.name).join(', ');
+    throw new Error(`No quality matches ${JSON.stringify(criteria)} (available: ${available})`);
+  }
+  return matches.reduce((best, v) => v.bandwidth > best.bandwidth ? v : best);
+}
+
+/**
+ * Quality criteria for a 'NNNp' label (the tallest variant up to NNN lines),
+ * or null if the selector isn't one
+ */
+function heightLabel(selector) {
+  const match = typeof selector === 'string' && selector.match(/^(\d+)p$/i);
+  return match ? { maxHeight: parseInt(match[1]) } : null;
+}
+
 /**
  * Represents a parsed HLS stream with quality variants
  */
@@ -40,8 +163,87 @@ class HlsStream {
     this.masterUrl = masterUrl;
     this.variants = variants;
     this.iframeVariants = [];
+    this.renditions = [];
     this.segments = segments;
+    this.playlist = null; // M3U8 model of the playlist, with every tag (see m3u8.js)
     this._selectedVariant = null;
+    this._selectedAudio = null;
+    this._selectedSubtitles = null;
+  }
+
+  /** Alternate audio renditions (#EXT-X-MEDIA:TYPE=AUDIO) */
+  get audioRenditions() {
+    return this.renditions.filter(r => r.type === 'AUDIO');
+  }
+
+  /**
+   * Audio rendition played with the selected variant
+   * The explicitly selected rendition (or one with the same language) from the
+   * variant's audio group, else the group's DEFAULT, else its first entry.
+   * Null when the variant carries its own audio.
+   */
+  get selectedAudio() {
+    const variant = this.selected;
+    const group = variant?.audioGroup
+      ? this.audioRenditions.filter(r => r.group === variant.audioGroup)
+      : [];
+    if (group.length === 0) return this._selectedAudio?.url ? this._selectedAudio : null;
+
+    const rendition = pickFromGroup(group, this._selectedAudio);
+    return rendition.url ? rendition : null;
+  }
+
+  /**
+   * Select an audio rendition
+   * @param {string|HlsRendition} selector - Language ('en' also matches 'en-US'), NAME, or rendition object
+   * @returns {HlsStream} this for chaining
+   */
+  selectAudio(selector) {
+    if (selector instanceof HlsRendition) {
+      this._selectedAudio = selector;
+      return this;
+    }
+    this._selectedAudio = findRendition(this.audioRenditions, selector, 'audio');
+    return this;
+  }
+
+  /** Subtitle renditions (#EXT-X-MEDIA:TYPE=SUBTITLES) */
+  get subtitleRenditions() {
+    return this.renditions.filter(r => r.type === 'SUBTITLES');
+  }
+
+  /**
+   * Subtitle rendition for the selected variant, once subtitles are
+   * selected: the chosen rendition (or one with the same language) from
+   * the variant's subtitle group, else the group's DEFAULT, else its
+   * first entry. Null when none are selected or the variant has none.
+   */
+  get selectedSubtitles() {
+    const chosen = this._selectedSubtitles;
+    if (!chosen) return null;
+    const variant = this.selected;
+    const group = variant?.subtitleGroup
+      ? this.subtitleRenditions.filter(r => r.group === variant.subtitleGroup)
+      : [];
+    if (group.length === 0) return chosen instanceof HlsRendition && chosen.url ? chosen : null;
+
+    const rendition = pickFromGroup(group, chosen instanceof HlsRendition ? chosen : null);
+    return rendition.url ? rendition : null;
+  }
+
+  /**
+   * Select a subtitle rendition (subtitles are left out until one is selected)
+   * @param {boolean|string|HlsRendition} selector - true for the variant's DEFAULT, a language
+   *   ('en' also matches 'en-US'), NAME, or rendition object; false for none
+   * @returns {HlsStream} this for chaining
+   */
+  selectSubtitles(selector) {
+    if (selector === true || selector === false || selector instanceof HlsRendition) {
+      this._selectedSubtitles = selector || null;
+      return this;
+    }
+    this._selectedSubtitles = findRendition(this.subtitleRenditions, selector, 'subtitle');
+    return this;
   }
 
   /** Whether this is a master playlist with multiple qualities */
@@ -72,10 +274,14 @@ class HlsStream {
 
   /**
    * Select a quality variant
-   * @param {string|number|HlsVariant} selector - 'highest', 'lowest', bandwidth number, or variant object
+   * @param {string|number|HlsVariant|object} selector - 'highest', 'lowest', bandwidth number,
+   *   resolution ('1920x1080'), height label ('720p': the tallest up to 720 lines), variant object,
+   *   or criteria for findVariant() ({ maxHeight, minHeight, maxBandwidth, codecs, frameRate })
    * @returns {HlsStream} this for chaining
    */
   select(selector) {
+    // A media playlist is its only quality
+    if (!this.isMaster) return this;
     if (selector === 'highest') {
       this._selectedVariant = this.highest;
     } else if (selector === 'lowest') {
@@ -87,9 +293,19 @@ class HlsStream {
       );
     } else if (selector instanceof HlsVariant) {
       this._selectedVariant = selector;
+    } else if (heightLabel(selector)) {
+      this._selectedVariant = findVariant(this.variants, heightLabel(selector));
     } else if (typeof selector === 'string' && selector.includes('x')) {
       // Match by resolution string like "1920x1080"
-      this._selectedVariant = this.variants.find(v => v.resolution === selector) || this.highest;
+      const variant = this.variants.find(v => v.resolution === selector);
+      if (!variant) {
+        throw new Error(`No quality matches ${selector} (available: ${this.variants.map(v => v.name).join(', ')})`);
+      }
+      this._selectedVariant = variant;
+    } else if (selector && typeof selector === 'object') {
+      this._selectedVariant = findVariant(this.variants, selector);
+    } else {
+      throw new Error(`Unknown quality: ${selector} (expected 'highest', 'lowest', a bandwidth, 'WxH', 'NNNp' or criteria)`);
     }
     return this;
   }
@@ -105,6 +321,61 @@ function toAbsoluteUrl(relative, base) {
   return new URL(relative, base).href;
 }
 
+/**
+ * Parse an attribute list (KEY=value,KEY="quoted, value",...)
+ * @param {string} text - Everything after the tag's colon
+ * @returns {object} Attribute names mapped to raw values (quotes removed)
+ */
+function parseAttributeList(text) {
+  const attrs = {};
+  const re = /([A-Z0-9-]+)=("[^"]*"|[^,]*)/g;
+  let match;
+  while ((match = re.exec(text)) !== null) {
+    const value = match[2];
+    attrs[match[1]] = value.startsWith('"') ? value.slice(1, -1) : value;
+  }
+  return attrs;
+}
+
+/**
+ * HlsVariant fields shared by #EXT-X-STREAM-INF and #EXT-X-I-FRAME-STREAM-INF
+ * @param {object} attrs - parseAttributeList() result
+ */
+function variantAttributes(attrs) {
+  return {
+    bandwidth: parseInt(attrs.BANDWIDTH || '0'),
+    resolution: /^\d+x\d+$/.test(attrs.RESOLUTION || '') ? attrs.RESOLUTION : null,
+    codecs: attrs.CODECS || null,
+    hdcpLevel: attrs['HDCP-LEVEL'],
+    videoRange: attrs['VIDEO-RANGE']
+  };
+}
+
+/**
+ * Parse a hexadecimal IV attribute (0x...) into 16 bytes
+ */
+function parseIv(hex) {
+  const digits = hex.replace(/^0x/i, '').padStart(32, '0');
+  const iv = new Uint8Array(16);
+  for (let i = 0; i < 16; i++) {
+    iv[i] = parseInt(digits.substr(i * 2, 2), 16);
+  }
+  return iv;
+}
+
+/**
+ * Encryption parameters from an #EXT-X-KEY tag
+ */
+class HlsKey {
+  constructor({ method, uri, iv, keyFormat, keyFormatVersions }) {
+    this.method = method;                      // 'AES-128' | 'SAMPLE-AES' | ...
+    this.uri = uri || null;                    // Absolute key URI
+    this.iv = iv || null;                      // Uint8Array(16), or null to derive from media sequence
+    this.keyFormat = keyFormat || 'identity';
+    this.keyFormatVersions = keyFormatVersions || null;
+  }
+}
+
 /**
  * Represents a segment with duration info
  */
@@ -114,23 +385,140 @@ class HlsSegment {
     this.duration = duration;
     this.startTime = startTime;
     this.endTime = startTime + duration;
+    this.mediaSequence = 0;
+    this.key = null; // HlsKey when the segment is encrypted
+    this.byteRange = null; // { offset, length } for #EXT-X-BYTERANGE sub-ranges
+    this.discontinuity = false; // preceded by #EXT-X-DISCONTINUITY
+    this.discontinuitySequence = 0; // timestamps are only continuous within one sequence
+    this.map = null; // { url, byteRange, key } of the #EXT-X-MAP in effect (fMP4)
+    this.programDateTime = null; // ms since the epoch, from #EXT-X-PROGRAM-DATE-TIME
+    this.cues = []; // ad markers and date ranges starting in this segment (see parseCues)
+  }
+}
+
+/**
+ * Hex attribute (0x...) as bytes
+ */
+function parseHex(hex) {
+  const digits = hex.replace(/^0x/i, '');
+  const bytes = new Uint8Array(digits.length >> 1);
+  for (let i = 0; i < bytes.length; i++) bytes[i] = parseInt(digits.substr(i * 2, 2), 16);
+  return bytes;
+}
+
+/**
+ * A cue from #EXT-X-CUE-OUT, #EXT-X-CUE-IN or #EXT-X-DATERANGE
+ * type is 'cue-out'/'cue-in' for ad breaks (DATERANGE: SCTE35-OUT/-IN),
+ * 'scte35' for other SCTE35-CMD date ranges and 'daterange' otherwise;
+ * payload holds the SCTE-35 splice_info_section, scte35 its parsed form.
+ * @returns {{ time: number, type: string, duration: number|null, id: string|null,
+ *   payload: Uint8Array|null, scte35: object|null, attributes: object|null }}
+ */
+function createCue(time, type, { duration = null, id = null, payload = null, attributes = null } = {}) {
+  return { time, type, duration, id, payload, scte35: payload ? parseScte35(payload) : null, attributes };
+}
+
+/**
+ * Place #EXT-X-DATERANGE cues on the playlist timeline through the
+ * segments' #EXT-X-PROGRAM-DATE-TIME; without one they can't be placed
+ * and are left out
+ */
+function placeDateRanges(dateRanges, segments) {
+  const dated = segments.filter(segment => segment.programDateTime !== null);
+  if (dated.length === 0) return;
+  for (const attrs of dateRanges) {
+    const start = Date.parse(attrs['START-DATE']);
+    if (Number.isNaN(start)) continue;
+    const anchor = dated.findLast(segment => segment.programDateTime <= start) || dated[0];
+    const time = anchor.startTime + (start - anchor.programDateTime) / 1000;
+    const scte35 = attrs['SCTE35-OUT'] ? ['cue-out', attrs['SCTE35-OUT']]
+      : attrs['SCTE35-IN'] ? ['cue-in', attrs['SCTE35-IN']]
+      : attrs['SCTE35-CMD'] ? ['scte35', attrs['SCTE35-CMD']]
+      : ['daterange', null];
+    const duration = attrs.DURATION ?? attrs['PLANNED-DURATION'];
+    const cue = createCue(time, scte35[0], {
+      duration: duration !== undefined ? parseFloat(duration) : null,
+      id: attrs.ID ?? null,
+      payload: scte35[1] ? parseHex(scte35[1]) : null,
+      attributes: attrs
+    });
+    const segment = segments.find(seg => time < seg.endTime) || segments[segments.length - 1];
+    segment.cues.push(cue);
   }
 }
 
+/**
+ * Parse a byte range value: "<length>[@<offset>]"
+ * @param {string} value - e.g. "75232@0"
+ * @param {number} defaultOffset - Offset when none is given (end of the previous range)
+ * @returns {{ offset: number, length: number }}
+ */
+function parseByteRange(value, defaultOffset = 0) {
+  const [length, offset] = value.split('@');
+  return {
+    offset: offset !== undefined ? parseInt(offset) : defaultOffset,
+    length: parseInt(length)
+  };
+}
+
+/**
+ * Fetch a segment, or just its byte range
+ * Servers that ignore Range and send the whole file are sliced locally.
+ * @param {string} url - Segment URL
+ * @param {{ offset: number, length: number }|null} byteRange - Sub-range to fetch
+ * @param {object} [options] - { signal, timeout, retries } for fetchWithRetry()
+ * @returns {Promise<Response|{ ok: boolean, status: number, arrayBuffer: function }>}
+ */
+async function fetchSegment(url, byteRange = null, options = {}) {
+  if (!byteRange) return fetchWithRetry(url, {}, options);
+
+  const { offset, length } = byteRange;
+  const response = await fetchWithRetry(url, {
+    headers: { Range: `bytes=${offset}-${offset + length - 1}` }
+  }, options);
+  if (!response.ok || response.status === 206) return response;
+
+  // 200: full body despite the Range header
+  return {
+    ok: true,
+    status: 200,
+    statusText: response.statusText,
+    async arrayBuffer() {
+      const full = await response.arrayBuffer();
+      return full.slice(offset, offset + length);
+    }
+  };
+}
+
 /**
  * Parse an HLS playlist text
  * @param {string} text - Playlist content
  * @param {string} baseUrl - Base URL for resolving relative paths
- * @returns {{ variants: HlsVariant[], segments: HlsSegment[] }}
+ * @returns {{ variants: HlsVariant[], renditions: HlsRendition[], segments: HlsSegment[], targetDuration: number|null, endList: boolean }}
  */
 function parsePlaylistText(text, baseUrl) {
   const lines = text.split('\n').map(l => l.trim());
   const variants = [];
   const iframeVariants = [];
+  const renditions = [];
   const segments = [];
   let initSegmentUrl = null;
+  let initSegmentKey = null;
+  let initSegmentByteRange = null;
   let currentDuration = 0;
+  let currentByteRange = null;
+  let lastRange = null; // { url, end } of the previous sub-range segment
   let runningTime = 0;
+  let mediaSequence = 0;
+  let targetDuration = null;
+  let endList = false;
+  let currentKey = null;
+  let currentMap = null;
+  let discontinuitySequence = 0;
+  let discontinuity = false;
+  let programDateTime = null;
+  let pendingCues = []; // #EXT-X-CUE-OUT/-IN for the next segment
+  const dateRanges = [];
   const isMaster = lines.some(l => l.startsWith('#EXT-X-STREAM-INF'));
 
   for (let i = 0; i < lines.length; i++) {
@@ -138,18 +526,16 @@ function parsePlaylistText(text, baseUrl) {
 
     // Parse master playlist variants
     if (line.startsWith('#EXT-X-STREAM-INF:')) {
-      const attrs = line.substring(18);
-      const bandwidth = parseInt(attrs.match(/BANDWIDTH=(\d+)/)?.[1] || '0');
-      const resolution = attrs.match(/RESOLUTION=(\d+x\d+)/)?.[1] || null;
-      const codecs = attrs.match(/CODECS="([^"]+)"/)?.[1] || null;
+      const attrs = parseAttributeList(line.substring(18));
 
       // Next non-comment line is the URL
       let urlLine = lines[i + 1];
       if (urlLine && !urlLine.startsWith('#')) {
         variants.push(new HlsVariant({
-          bandwidth,
-          resolution,
-          codecs,
+          ...variantAttributes(attrs),
+          audioGroup: attrs.AUDIO,
+          subtitleGroup: attrs.SUBTITLES,
+          frameRate: attrs['FRAME-RATE'] ? parseFloat(attrs['FRAME-RATE']) : null,
           url: toAbsoluteUrl(urlLine, baseUrl)
         }));
       }
@@ -157,30 +543,111 @@ function parsePlaylistText(text, baseUrl) {
 
     // Parse I-frame-only variants (URI is inline in the tag)
     if (line.startsWith('#EXT-X-I-FRAME-STREAM-INF:')) {
-      const attrs = line.substring(26);
-      const bandwidth = parseInt(attrs.match(/BANDWIDTH=(\d+)/)?.[1] || '0');
-      const resolution = attrs.match(/RESOLUTION=(\d+x\d+)/)?.[1] || null;
-      const codecs = attrs.match(/CODECS="([^"]+)"/)?.[1] || null;
-      const uri = attrs.match(/URI="([^"]+)"/)?.[1];
-      if (uri) {
+      const attrs = parseAttributeList(line.substring(26));
+      if (attrs.URI) {
         iframeVariants.push(new HlsVariant({
-          bandwidth,
-          resolution,
-          codecs,
-          url: toAbsoluteUrl(uri, baseUrl)
+          ...variantAttributes(attrs),
+          url: toAbsoluteUrl(attrs.URI, baseUrl)
         }));
       }
     }
 
+    // Parse alternate renditions
+    // Example: #EXT-X-MEDIA:TYPE=AUDIO,GROUP-ID="aac",LANGUAGE="en",NAME="English",DEFAULT=YES,URI="audio/en.m3u8"
+    if (line.startsWith('#EXT-X-MEDIA:')) {
+      const attrs = parseAttributeList(line.substring(13));
+      renditions.push(new HlsRendition({
+        type: attrs.TYPE,
+        group: attrs['GROUP-ID'],
+        language: attrs.LANGUAGE,
+        name: attrs.NAME,
+        isDefault: attrs.DEFAULT === 'YES',
+        autoselect: attrs.AUTOSELECT === 'YES',
+        channels: attrs.CHANNELS,
+        url: attrs.URI ? toAbsoluteUrl(attrs.URI, baseUrl) : null
+      }));
+    }
+
     // Parse CMAF init segment for fMP4 playlists
-    // Example: #EXT-X-MAP:URI="init.m4s"
+    // Example: #EXT-X-MAP:URI="init.m4s",BYTERANGE="720@0"
     if (line.startsWith('#EXT-X-MAP:')) {
-      const match = line.match(/URI="([^"]+)"/);
-      if (match?.[1]) {
-        initSegmentUrl = toAbsoluteUrl(match[1], baseUrl);
+      const attrs = parseAttributeList(line.substring(11));
+      if (attrs.URI) {
+        initSegmentUrl = toAbsoluteUrl(attrs.URI, baseUrl);
+        initSegmentKey = currentKey;
+        initSegmentByteRange = attrs.BYTERANGE ? parseByteRange(attrs.BYTERANGE) : null;
+        currentMap = { url: initSegmentUrl, byteRange: initSegmentByteRange, key: initSegmentKey };
       }
     }
 
+    // Sub-range of the next segment's URI; without an offset it
+    // continues where the previous sub-range of the same file ended
+    // Example: #EXT-X-BYTERANGE:75232@0
+    if (line.startsWith('#EXT-X-BYTERANGE:')) {
+      currentByteRange = line.substring(17);
+    }
+
+    if (line.startsWith('#EXT-X-MEDIA-SEQUENCE:')) {
+      mediaSequence = parseInt(line.substring(22)) || 0;
+    }
+
+    // Discontinuity sequence number of the first segment in the playlist
+    if (line.startsWith('#EXT-X-DISCONTINUITY-SEQUENCE:')) {
+      discontinuitySequence = parseInt(line.substring(30)) || 0;
+    }
+
+    // Timestamps (and possibly encoding parameters) change at the next segment
+    if (line === '#EXT-X-DISCONTINUITY') {
+      discontinuity = true;
+    }
+
+    // Wall-clock time of the next segment's first sample
+    // Example: #EXT-X-PROGRAM-DATE-TIME:2024-05-01T10:00:00.000Z
+    if (line.startsWith('#EXT-X-PROGRAM-DATE-TIME:')) {
+      const time = Date.parse(line.substring(25));
+      programDateTime = Number.isNaN(time) ? null : time;
+    }
+
+    // Ad break markers at the next segment
+    // Example: #EXT-X-CUE-OUT:30 or #EXT-X-CUE-OUT:DURATION=30, then #EXT-X-CUE-IN
+    if (line.startsWith('#EXT-X-CUE-OUT') && !line.startsWith('#EXT-X-CUE-OUT-CONT')) {
+      const value = line.substring(15);
+      const duration = parseFloat(value.includes('=') ? parseAttributeList(value).DURATION : value);
+      pendingCues.push({ type: 'cue-out', duration: Number.isNaN(duration) ? null : duration });
+    }
+    if (line === '#EXT-X-CUE-IN') {
+      pendingCues.push({ type: 'cue-in', duration: null });
+    }
+
+    // Example: #EXT-X-DATERANGE:ID="ad1",START-DATE="2024-05-01T10:00:10Z",DURATION=30,SCTE35-OUT=0xFC30...
+    if (line.startsWith('#EXT-X-DATERANGE:')) {
+      dateRanges.push(parseAttributeList(line.substring(17)));
+    }
+
+    if (line.startsWith('#EXT-X-TARGETDURATION:')) {
+      targetDuration = parseFloat(line.substring(22)) || null;
+    }
+
+    // No more segments will be added (VOD, or a finished live/event stream)
+    if (line === '#EXT-X-ENDLIST') {
+      endList = true;
+    }
+
+    // Encryption applies to every following segment until the next key tag
+    // Example: #EXT-X-KEY:METHOD=AES-128,URI="key.bin",IV=0x0123...
+    if (line.startsWith('#EXT-X-KEY:')) {
+      const attrs = parseAttributeList(line.substring(11));
+      currentKey = attrs.METHOD && attrs.METHOD !== 'NONE'
+        ? new HlsKey({
+          method: attrs.METHOD,
+          uri: attrs.URI ? toAbsoluteUrl(attrs.URI, baseUrl) : null,
+          iv: attrs.IV ? parseIv(attrs.IV) : null,
+          keyFormat: attrs.KEYFORMAT,
+          keyFormatVersions: attrs.KEYFORMATVERSIONS
+        })
+        : null;
+    }
+
     // Parse segment duration
     if (line.startsWith('#EXTINF:')) {
       const match = line.match(/#EXTINF:([\d.]+)/);
@@ -191,18 +658,45 @@ function parsePlaylistText(text, baseUrl) {
     if (line && !line.startsWith('#')) {
       // It's a segment URL
       if (!isMaster) {
-        segments.push(new HlsSegment(
+        const segment = new HlsSegment(
           toAbsoluteUrl(line, baseUrl),
           currentDuration,
           runningTime
-        ));
+        );
+        segment.mediaSequence = mediaSequence + segments.length;
+        segment.key = currentKey;
+        segment.map = currentMap;
+        if (discontinuity) {
+          segment.discontinuity = true;
+          discontinuitySequence++;
+          discontinuity = false;
+        }
+        segment.discontinuitySequence = discontinuitySequence;
+        // Later segments' wall-clock times follow from their durations
+        segment.programDateTime = programDateTime;
+        if (programDateTime !== null) programDateTime += currentDuration * 1000;
+        segment.cues = pendingCues.map(cue => createCue(segment.startTime, cue.type, { duration: cue.duration }));
+        pendingCues = [];
+        if (currentByteRange) {
+          const continues = lastRange && lastRange.url === segment.url;
+          segment.byteRange = parseByteRange(currentByteRange, continues ? lastRange.end : 0);
+          lastRange = { url: segment.url, end: segment.byteRange.offset + segment.byteRange.length };
+          currentByteRange = null;
+        }
+        segments.push(segment);
         runningTime += currentDuration;
         currentDuration = 0;
       }
     }
   }
 
-  return { variants, iframeVariants, segments, initSegmentUrl };
+  placeDateRanges(dateRanges, segments);
+
+  return {
+    variants, iframeVariants, renditions, segments,
+    initSegmentUrl, initSegmentKey, initSegmentByteRange,
+    targetDuration, endList
+  };
 }
 
 /**
@@ -212,48 +706,347 @@ function parsePlaylistText(text, baseUrl) {
  * @param {string} url - HLS playlist URL
  * @param {object} [options] - Options
  * @param {function} [options.onProgress] - Progress callback
+ * @param {AbortSignal} [options.signal] - Cancels the request
+ * @param {number} [options.timeout] - Request timeout in ms (default: 30000)
+ * @param {number} [options.retries] - Retries for network errors and 408/429/5xx (default: 2)
  * @returns {Promise<HlsStream>}
  */
 async function parseHls(url, options = {}) {
   const log = options.onProgress || (() => {});
   
   log('Fetching playlist...');
-  const response = await fetch(url);
+  const response = await fetchWithRetry(url, {}, options);
   if (!response.ok) {
     throw new Error(`Failed to fetch playlist: ${response.status} ${response.statusText}`);
   }
   
   const text = await response.text();
-  const { variants, iframeVariants, segments, initSegmentUrl } = parsePlaylistText(text, url);
+  const { variants, iframeVariants, renditions, segments, initSegmentUrl, initSegmentKey, initSegmentByteRange } = parsePlaylistText(text, url);
+  // Playlists missing the #EXTM3U header still download, but have no model
+  const playlist = /^\uFEFF?\s*#EXTM3U/.test(text) ? parseM3u8(text) : null;
 
   if (variants.length > 0) {
     // Master playlist
     log(`Found ${variants.length} quality variants`);
     const stream = new HlsStream(url, variants);
     stream.iframeVariants = iframeVariants;
+    stream.renditions = renditions;
+    stream.playlist = playlist;
     return stream;
   } else if (segments.length > 0) {
     // Media playlist (no variants)
     log(`Found ${segments.length} segments`);
     const stream = new HlsStream(url, [], segments);
     stream.initSegmentUrl = initSegmentUrl;
+    stream.initSegmentKey = initSegmentKey;
+    stream.initSegmentByteRange = initSegmentByteRange;
+    stream.playlist = playlist;
     return stream;
   } else {
     throw new Error('Invalid HLS playlist: no variants or segments found');
   }
 }
 
+/**
+ * Fetch and parse a media playlist
+ * @param {string} url - Media playlist URL
+ * @param {string} label - What the playlist is for, used in errors
+ * @param {object} [options] - { signal, timeout, retries } for fetchWithRetry()
+ */
+async function fetchMediaPlaylist(url, label, options = {}) {
+  const response = await fetchWithRetry(url, {}, options);
+  if (!response.ok) {
+    throw new Error(`Failed to fetch ${label} playlist: ${response.status}`);
+  }
+  return parsePlaylistText(await response.text(), url);
+}
+
+/**
+ * Segments overlapping the requested time range, capped at maxSegments
+ */
+function selectSegments(segments, options) {
+  let selected = segments;
+  if (options.startTime !== undefined || options.endTime !== undefined) {
+    const startTime = options.startTime || 0;
+    const endTime = options.endTime !== undefined ? options.endTime : Infinity;
+    selected = segments.filter(seg => seg.endTime > startTime && seg.startTime < endTime);
+  }
+  // Limit segments if specified (applied after time filtering)
+  if (options.maxSegments && selected.length > options.maxSegments) {
+    selected = selected.slice(0, options.maxSegments);
+  }
+  return selected;
+}
+
+/**
+ * Settings shared by every request of one download
+ * Keys are fetched once per URI and shared by every segment that uses
+ * them, and one limiter caps segment requests across renditions. With
+ * skipFailedSegments, segments that still fail after their retries are
+ * recorded in `gaps` instead of failing the download.
+ *
+ * @param {object} [options] - downloadHls() options
+ * @returns {object} { keyLoader, keyCache, signal, timeout, retries, retryDelay, limit, skipFailedSegments, gaps }
+ */
+function createDownloadOptions(options = {}) {
+  return {
+    keyLoader: options.keyLoader,
+    keyCache: new Map(),
+    signal: options.signal,
+    timeout: options.timeout,
+    retries: options.retries,
+    retryDelay: options.retryDelay,
+    limit: createLimiter(options.concurrency),
+    skipFailedSegments: !!options.skipFailedSegments,
+    gaps: []
+  };
+}
+
+/**
+ * Download and decrypt segments, keeping them separate
+ * Skipped segments (see createDownloadOptions) come back as null. Once one
+ * segment fails the download, the ones still queued aren't requested.
+ * @returns {Promise<Array<Uint8Array|null>>}
+ */
+function fetchSegments(segments, downloadOptions, onSegment) {
+  const limit = downloadOptions.limit || (task => task());
+  let failure = null;
+  return Promise.all(
+    segments.map((seg, i) => limit(async () => {
+      if (failure) throw failure;
+      const url = seg.url || seg; // Handle both HlsSegment objects and plain URLs
+      try {
+        const resp = await fetchSegment(url, seg.byteRange, downloadOptions);
+        if (!resp.ok) {
+          throw new Error(`Segment ${i + 1} failed: ${resp.status}`);
+        }
+        let buffer = new Uint8Array(await resp.arrayBuffer());
+        if (seg.key) {
+          buffer = await decryptSegment(buffer, seg, downloadOptions);
+        }
+        onSegment();
+        return buffer;
+      } catch (err) {
+        if (!downloadOptions.skipFailedSegments || downloadOptions.signal?.aborted) {
+          failure = failure || err;
+          throw err;
+        }
+        downloadOptions.gaps.push({ url, startTime: seg.startTime, endTime: seg.endTime, error: err.message });
+        onSegment();
+        return null;
+      }
+    }))
+  );
+}
+
+/**
+ * Download and decrypt an EXT-X-MAP init segment
+ * @param {{ url: string, byteRange: object|null, key: HlsKey|null }} map
+ * @returns {Promise<Uint8Array>}
+ */
+async function fetchInitSegment(map, downloadOptions) {
+  const initResp = await fetchSegment(map.url, map.byteRange, downloadOptions);
+  if (!initResp.ok) {
+    throw new Error(`Init segment failed: ${initResp.status}`);
+  }
+  let initBytes = new Uint8Array(await initResp.arrayBuffer());
+  if (map.key) {
+    // EXT-X-MAP under an AES-128 key must carry an explicit IV
+    initBytes = await decryptSegment(initBytes, { key: map.key, mediaSequence: 0 }, downloadOptions);
+  }
+  return initBytes;
+}
+
+/**
+ * Download, decrypt and concatenate one rendition's segments
+ * An EXT-X-MAP init segment is prepended so fMP4 data starts with ftyp+moov.
+ *
+ * @param {object} media - { segments, initSegmentUrl, initSegmentKey, initSegmentByteRange }
+ * @param {object} downloadOptions - From createDownloadOptions()
+ * @param {function} onSegment - Called after each segment completes
+ * @returns {Promise<Uint8Array>}
+ */
+async function downloadSegments(media, downloadOptions, onSegment) {
+  const buffers = (await fetchSegments(media.segments, downloadOptions, onSegment)).filter(Boolean);
+  if (!buffers.length) {
+    throw new Error('Every segment failed to download');
+  }
+
+  if (media.initSegmentUrl) {
+    buffers.unshift(await fetchInitSegment({
+      url: media.initSegmentUrl,
+      byteRange: media.initSegmentByteRange,
+      key: media.initSegmentKey
+    }, downloadOptions));
+  }
+
+  return concatBuffers(buffers);
+}
+
+/**
+ * Download segments spanning several discontinuity sequences and stitch
+ * them into an MP4, rebasing timestamps at each discontinuity
+ * fMP4 segments get their EXT-X-MAP init wherever it changes.
+ *
+ * @returns {Promise<Uint8Array>} MP4 data
+ */
+async function downloadDiscontinuousSegments(segments, downloadOptions, onSegment) {
+  const fetched = await fetchSegments(segments, downloadOptions, onSegment);
+  // Skipped segments drop out; the stitcher rebases what remains
+  segments = segments.filter((seg, i) => fetched[i]);
+  const buffers = fetched.filter(Boolean);
+  if (!buffers.length) {
+    throw new Error('Every segment failed to download');
+  }
+
+  if (buffers[0][0] === 0x47) {
+    return stitchTs(buffers, { discontinuitySequences: segments.map(seg => seg.discontinuitySequence) });
+  }
+
+  const inits = new Map();
+  let currentMap = null;
+  for (let i = 0; i < segments.length; i++) {
+    const { map } = segments[i];
+    if (!map || map === currentMap) continue;
+    currentMap = map;
+    const cacheKey = `${map.url}@${map.byteRange?.offset ?? ''}`;
+    if (!inits.has(cacheKey)) inits.set(cacheKey, await fetchInitSegment(map, downloadOptions));
+    buffers[i] = concatBuffers([inits.get(cacheKey), buffers[i]]);
+  }
+  return stitchFmp4(buffers);
+}
+
+/**
+ * Concatenate buffers into one Uint8Array
+ */
+function concatBuffers(buffers) {
+  const totalSize = buffers.reduce((sum, buf) => sum + buf.length, 0);
+  const combined = new Uint8Array(totalSize);
+  let offset = 0;
+  for (const buf of buffers) {
+    combined.set(buf, offset);
+    offset += buf.length;
+  }
+  return combined;
+}
+
+/**
+ * 90kHz time at which downloaded media starts once converted: the lowest
+ * MPEG-TS timestamp (as TSParser normalizes them; the first megabyte is
+ * enough to find it), or the video track's first fMP4 decode time
+ * @param {Uint8Array} data - TS, or fMP4 with its init segment
+ * @returns {number}
+ */
+function mediaStartTime(data) {
+  if (data[0] === 0x47) {
+    const parser = new TSParser({ allAudio: true });
+    parser.parse(data.subarray(0, Math.min(data.length, 188 * 5600)));
+    parser.finalize();
+    return parser.debug.timestampOffset || 0;
+  }
+
+  const times = fragmentStartTimes(data);
+  return times.get('vide') ?? times.values().next().value ?? 0;
+}
+
+/**
+ * First decode time of each track in fMP4 data, in 90kHz ticks
+ * @param {Uint8Array} data - fMP4 with its init segment
+ * @returns {Map<string, number>} Handler type ('vide', 'soun', ...) to time, in fragment order
+ */
+function fragmentStartTimes(data) {
+  const times = new Map();
+  const boxes = parseBoxes(data);
+  const moov = findBox(boxes, 'moov');
+  if (!moov) return times;
+  const { trackMetadata } = extractTrackMetadata(moov);
+  for (const moof of boxes.filter(box => box.type === 'moof')) {
+    for (const traf of parseChildBoxes(moof).filter(box => box.type === 'traf')) {
+      const children = parseChildBoxes(traf);
+      const tfhd = findBox(children, 'tfhd');
+      const tfdt = findBox(children, 'tfdt');
+      if (!tfhd || !tfdt) continue;
+      const track = trackMetadata.get(parseTfhd(tfhd.data).trackId);
+      const handlerType = track?.handlerType || 'unknown';
+      if (times.has(handlerType)) continue;
+      times.set(handlerType, Math.round(parseTfdt(tfdt.data) * 90000 / (track?.timescale || 90000)));
+    }
+  }
+  return times;
+}
+
+/**
+ * mediaStartTime() of one segment, fetched with its EXT-X-MAP
+ * @param {HlsSegment} segment
+ * @param {object} downloadOptions - From createDownloadOptions()
+ * @returns {Promise<number>}
+ */
+async function segmentStartTime(segment, downloadOptions) {
+  // The subtitle clock can't be tied to a skipped segment
+  const [data] = await fetchSegments([segment], { ...downloadOptions, skipFailedSegments: false }, () => {});
+  const init = segment.map ? await fetchInitSegment(segment.map, downloadOptions) : null;
+  return mediaStartTime(init ? concatBuffers([init, data]) : data);
+}
+
+/**
+ * Download a WebVTT subtitle playlist's segments in the requested range
+ * and merge their cues
+ * X-TIMESTAMP-MAP puts cues on the MPEG-TS clock; `origin` ties that
+ * clock to the timeline the cues are returned on.
+ *
+ * @param {HlsRendition} rendition - Subtitle rendition
+ * @param {object} media - Its parsed media playlist
+ * @param {object} options - { startTime, endTime, maxSegments }
+ * @param {{ pts: number, time: number }} origin - 90kHz media time and the seconds it maps to
+ * @param {object} downloadOptions - From createDownloadOptions()
+ * @returns {Promise<SubtitleTrack>}
+ */
+async function downloadSubtitles(rendition, media, options, origin, downloadOptions) {
+  const segments = selectSegments(media.segments, options);
+  const buffers = (await fetchSegments(segments, downloadOptions, () => {})).filter(Boolean);
+  const decoder = new TextDecoder();
+  const cues = mergeWebVttSegments(buffers.map(buffer => decoder.decode(buffer)), origin.pts)
+    .map(cue => ({ ...cue, start: cue.start + origin.time, end: cue.end + origin.time }));
+  return new SubtitleTrack({ language: rendition.language, name: rendition.name, cues });
+}
+
 /**
  * Download segments from an HLS stream
+ * When the selected variant plays with an alternate audio rendition
+ * (#EXT-X-MEDIA:TYPE=AUDIO), its playlist is downloaded alongside the
+ * video and muxed in.
+ *
+ * Segments normally come back as one concatenated TS or fMP4 stream. When
+ * they span an #EXT-X-DISCONTINUITY, they're stitched into an MP4 instead,
+ * with timestamps rebased at each discontinuity and one sample description
+ * per set of codec parameters.
+ *
+ * With options.subtitles, the WebVTT subtitle rendition is downloaded too
+ * and attached as `_hlsSubtitles` (SubtitleTrack[]), its cues timed from
+ * the start of the returned data.
+ *
+ * Segments download `concurrency` at a time, each retried on network
+ * errors, timeouts and 408/429/5xx responses. With skipFailedSegments, a
+ * segment that still fails is left out and its time range recorded in
+ * `_hlsGaps` ({ url, startTime, endTime, error }[], playlist times).
  * 
  * @param {HlsStream|string} source - HlsStream object or URL
  * @param {object} [options] - Options
- * @param {string|number} [options.quality] - 'highest', 'lowest', or bandwidth number
+ * @param {string|number|object} [options.quality] - Variant, as for HlsStream.select()
+ * @param {string|HlsRendition|false} [options.audio] - Audio rendition by language or NAME (default: the group's DEFAULT); false for video only
+ * @param {boolean|string|HlsRendition} [options.subtitles] - Subtitle rendition: true for the group's DEFAULT,
+ *   or a language or NAME (default: none)
  * @param {number} [options.maxSegments] - Max segments to download (default: all)
  * @param {number} [options.startTime] - Start time in seconds (downloads segments that overlap)
  * @param {number} [options.endTime] - End time in seconds
  * @param {function} [options.onProgress] - Progress callback
- * @returns {Promise<Uint8Array>} Combined segment data
+ * @param {function} [options.keyLoader] - (uri, key) => key bytes for encrypted streams (default: fetch uri)
+ * @param {AbortSignal} [options.signal] - Cancels the download
+ * @param {number} [options.concurrency] - Segment requests in flight at once (default: 6)
+ * @param {number} [options.retries] - Retries per request (default: 2, backing off from 500ms)
+ * @param {number} [options.timeout] - Milliseconds a request attempt may go without receiving data (default: 30000)
+ * @param {boolean} [options.skipFailedSegments] - Leave out segments that keep failing instead of throwing
+ * @returns {Promise<Uint8Array>} Combined segment data (MP4 when the segments span a discontinuity)
  */
 async function downloadHls(source, options = {}) {
   const log = options.onProgress || (() => {});
@@ -268,108 +1061,127 @@ async function downloadHls(source, options = {}) {
   if (options.quality) {
     stream.select(options.quality);
   }
+  if (options.audio) {
+    stream.selectAudio(options.audio);
+  }
+  if (options.subtitles) {
+    stream.selectSubtitles(options.subtitles);
+  }
 
   // Get segments
-  let segments = stream.segments;
-  let initSegmentUrl = stream.initSegmentUrl || null;
+  let media = {
+    segments: stream.segments,
+    initSegmentUrl: stream.initSegmentUrl || null,
+    initSegmentKey: stream.initSegmentKey || null,
+    initSegmentByteRange: stream.initSegmentByteRange || null
+  };
+  let audioMedia = null;
+  let subtitles = null;
+  let subtitleMedia = null;
   
   // If master playlist, fetch the selected variant's media playlist
+  // (and its audio and subtitle renditions', in parallel)
   if (stream.isMaster && stream.selected) {
     const variant = stream.selected;
     log(`Selected: ${variant.name} (${variant.kbps} kbps)`);
-    
-    const mediaResponse = await fetch(variant.url);
-    if (!mediaResponse.ok) {
-      throw new Error(`Failed to fetch media playlist: ${mediaResponse.status}`);
+
+    const audio = options.audio === false ? null : stream.selectedAudio;
+    if (audio) {
+      log(`Audio: ${audio.name || audio.language}`);
     }
-    
-    const mediaText = await mediaResponse.text();
-    const { segments: mediaSegments, initSegmentUrl: mediaInit } = parsePlaylistText(mediaText, variant.url);
-    segments = mediaSegments;
-    initSegmentUrl = mediaInit || null;
+    subtitles = stream.selectedSubtitles;
+    if (subtitles) {
+      log(`Subtitles: ${subtitles.name || subtitles.language}`);
+    }
+    [media, audioMedia, subtitleMedia] = await Promise.all([
+      fetchMediaPlaylist(variant.url, 'media', options),
+      audio ? fetchMediaPlaylist(audio.url, 'audio', options) : null,
+      subtitles ? fetchMediaPlaylist(subtitles.url, 'subtitle', options) : null
+    ]);
   }
 
-  if (!segments || segments.length === 0) {
+  if (!media.segments || media.segments.length === 0) {
     throw new Error('No segments found in playlist');
   }
 
   // Filter by time range if specified
-  let toDownload = segments;
   const hasTimeRange = options.startTime !== undefined || options.endTime !== undefined;
+  const toDownload = selectSegments(media.segments, options);
   
-  if (hasTimeRange) {
-    const startTime = options.startTime || 0;
-    const endTime = options.endTime !== undefined ? options.endTime : Infinity;
-    
-    // Find segments that overlap with the time range
-    toDownload = segments.filter(seg => seg.endTime > startTime && seg.startTime < endTime);
-    
-    if (toDownload.length > 0) {
-      const actualStart = toDownload[0].startTime;
-      const actualEnd = toDownload[toDownload.length - 1].endTime;
-      log(`Time range: ${startTime}s-${endTime}s → segments ${actualStart.toFixed(1)}s-${actualEnd.toFixed(1)}s`);
-    }
+  if (hasTimeRange && toDownload.length > 0) {
+    const actualStart = toDownload[0].startTime;
+    const actualEnd = toDownload[toDownload.length - 1].endTime;
+    log(`Time range: ${options.startTime || 0}s-${options.endTime ?? Infinity}s → segments ${actualStart.toFixed(1)}s-${actualEnd.toFixed(1)}s`);
   }
 
-  // Limit segments if specified (applied after time filtering)
-  if (options.maxSegments && toDownload.length > options.maxSegments) {
-    toDownload = toDownload.slice(0, options.maxSegments);
+  const audioToDownload = audioMedia ? selectSegments(audioMedia.segments, options) : [];
+  if (audioMedia && audioToDownload.length === 0) {
+    throw new Error('No segments found in audio playlist');
+  }
+
+  const discontinuous = new Set(toDownload.map(seg => seg.discontinuitySequence)).size > 1;
+  if (discontinuous && audioMedia) {
+    throw new Error('Alternate audio renditions are not supported across discontinuities - pass audio: false');
+  }
+  if (discontinuous && subtitleMedia) {
+    throw new Error('Subtitle renditions are not supported across discontinuities');
   }
   
-  const totalSegments = toDownload.length;
+  const totalSegments = toDownload.length + audioToDownload.length;
   log(`Downloading ${totalSegments} segment${totalSegments > 1 ? 's' : ''}...`);
 
+  const downloadOptions = createDownloadOptions(options);
+  if (toDownload.some(seg => seg.key)) {
+    log(`Decrypting ${toDownload[0].key?.method || 'encrypted'} segments`);
+  }
+
   // Download segments with progress tracking
   let completedSegments = 0;
-  const buffers = await Promise.all(
-    toDownload.map(async (seg, i) => {
-      const url = seg.url || seg; // Handle both HlsSegment objects and plain URLs
-      const resp = await fetch(url);
-      if (!resp.ok) {
-        throw new Error(`Segment ${i + 1} failed: ${resp.status}`);
-      }
-      const buffer = new Uint8Array(await resp.arrayBuffer());
-      completedSegments++;
-      const percent = Math.round((completedSegments / totalSegments) * 50); // Download is 0-50%
-      log(`Downloading: ${percent}%`, { phase: 'download', percent, segment: completedSegments, totalSegments });
-      return buffer;
-    })
-  );
-
-  // If CMAF/fMP4 playlist includes an init segment, prepend it so the combined
-  // buffer starts with ftyp+moov and conversion can succeed.
-  let initBytes = null;
-  if (initSegmentUrl) {
-    log('Downloading init segment...', { phase: 'download', percent: 0 });
-    const initResp = await fetch(initSegmentUrl);
-    if (!initResp.ok) {
-      throw new Error(`Init segment failed: ${initResp.status}`);
+  const onSegment = () => {
+    completedSegments++;
+    const percent = Math.round((completedSegments / totalSegments) * 50); // Download is 0-50%
+    log(`Downloading: ${percent}%`, { phase: 'download', percent, segment: completedSegments, totalSegments });
+  };
+  let combined;
+  if (discontinuous) {
+    log('Stitching across discontinuities...');
+    combined = await downloadDiscontinuousSegments(toDownload, downloadOptions, onSegment);
+  } else {
+    const [videoData, audioData] = await Promise.all([
+      downloadSegments({ ...media, segments: toDownload }, downloadOptions, onSegment),
+      audioMedia ? downloadSegments({ ...audioMedia, segments: audioToDownload }, downloadOptions, onSegment) : null
+    ]);
+    combined = videoData;
+    if (audioData) {
+      log('Muxing audio rendition...');
+      combined = muxAudioRendition(videoData, audioData);
     }
-    initBytes = new Uint8Array(await initResp.arrayBuffer());
   }
 
-  // Combine into single buffer
-  const totalSize = buffers.reduce((sum, buf) => sum + buf.length, 0) + (initBytes ? initBytes.length : 0);
-  const combined = new Uint8Array(totalSize);
-  let offset = 0;
-  if (initBytes) {
-    combined.set(initBytes, offset);
-    offset += initBytes.length;
+  const { gaps } = downloadOptions;
+  if (gaps.length) {
+    gaps.sort((a, b) => a.startTime - b.startTime);
+    log(`Skipped ${gaps.length} failed segment${gaps.length > 1 ? 's' : ''}`);
   }
-  for (const buf of buffers) {
-    combined.set(buf, offset);
-    offset += buf.length;
+
+  let subtitleTracks = null;
+  if (subtitleMedia) {
+    const origin = { pts: mediaStartTime(combined), time: 0 };
+    subtitleTracks = [await downloadSubtitles(subtitles, subtitleMedia, options, origin, downloadOptions)];
+    log(`Subtitles: ${subtitleTracks[0].cues.length} cues`);
   }
 
-  log(`Downloaded ${(totalSize / 1024 / 1024).toFixed(2)} MB`, { phase: 'download', percent: 50 });
+  log(`Downloaded ${(combined.length / 1024 / 1024).toFixed(2)} MB`, { phase: 'download', percent: 50 });
   
   // Return with metadata for precise clipping
   combined._hlsTimeRange = hasTimeRange ? {
     requestedStart: options.startTime || 0,
     requestedEnd: options.endTime,
-    actualStart: toDownload[0]?.startTime || 0,
+    actualStart: toDownload.find(seg => !gaps.some(gap => gap.url === seg.url && gap.startTime === seg.startTime))?.startTime || 0,
     actualEnd: toDownload[toDownload.length - 1]?.endTime || 0
   } : null;
+  if (subtitleTracks) combined._hlsSubtitles = subtitleTracks;
+  if (gaps.length) combined._hlsGaps = gaps;
   
   return combined;
 }
@@ -388,10 +1200,25 @@ function isHlsUrl(url) {
 export { 
   HlsStream, 
   HlsVariant, 
+  HlsRendition,
   HlsSegment,
+  HlsKey,
   parseHls, 
   downloadHls, 
   isHlsUrl,
   parsePlaylistText,
-  toAbsoluteUrl
+  toAbsoluteUrl,
+  fetchSegment,
+  fetchMediaPlaylist,
+  createDownloadOptions,
+  fetchSegments,
+  fetchInitSegment,
+  fragmentStartTimes,
+  segmentStartTime,
+  downloadSubtitles,
+  findRendition,
+  findVariant,
+  heightLabel,
+  selectSegments,
+  downloadSegments
 };
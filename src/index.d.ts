@@ -18,23 +18,244 @@ declare module '@invintusmedia/tomp4' {
     download(filename?: string): void;
     /** Get as ArrayBuffer */
     toArrayBuffer(): ArrayBuffer;
+    /** Split fragmented output (output: 'fmp4') into init segment and fragments */
+    getSegments(): { init: Uint8Array; fragments: Uint8Array[] };
+    /** HLS subtitle renditions (options.subtitles), timed like the MP4 */
+    subtitles: SubtitleTrack[];
+    /** HLS/DASH segments left out by options.skipFailedSegments */
+    gaps: SegmentGap[];
+  }
+
+  /** A segment that failed every retry and was skipped (times on the playlist timeline) */
+  export interface SegmentGap {
+    url: string;
+    startTime: number;
+    endTime: number;
+    /** Why the last attempt failed */
+    error: string;
+  }
+
+  /** Request settings for playlists, manifests, keys and segments */
+  export interface FetchOptions {
+    /** Cancels every request, including pending retries */
+    signal?: AbortSignal;
+    /** Milliseconds a request attempt may go without receiving data (default: 30000) */
+    timeout?: number;
+    /** Retries for network errors, timeouts and 408/429/5xx responses, backing off from 500ms (default: 2) */
+    retries?: number;
   }
 
   export interface HlsVariant {
     url: string;
     bandwidth: number;
     resolution?: string;
-    width?: number;
-    height?: number;
+    width: number | null;
+    height: number | null;
     codecs?: string;
+    /** GROUP-ID of the audio renditions this variant plays with */
+    audioGroup: string | null;
+    /** GROUP-ID of the subtitle renditions this variant plays with */
+    subtitleGroup: string | null;
+    /** FRAME-RATE, e.g. 29.97 */
+    frameRate: number | null;
+    hdcpLevel: 'TYPE-0' | 'TYPE-1' | 'NONE' | null;
+    videoRange: 'SDR' | 'HLG' | 'PQ' | null;
   }
 
+  /** Quality criteria: the highest bandwidth variant meeting all of them is selected */
+  export interface QualityCriteria {
+    maxHeight?: number;
+    minHeight?: number;
+    /** Bits per second */
+    maxBandwidth?: number;
+    /** Video codec by sample entry: 'avc1' (also avc3), 'hvc1' (also hev1), ... */
+    codecs?: 'avc1' | 'hvc1' | string;
+    /** Rounded: 30 also matches 29.97 */
+    frameRate?: number;
+  }
+
+  /** Alternate rendition from #EXT-X-MEDIA */
+  export interface HlsRendition {
+    type: 'AUDIO' | 'SUBTITLES' | 'CLOSED-CAPTIONS' | 'VIDEO' | string;
+    group: string;
+    language: string | null;
+    name: string;
+    default: boolean;
+    autoselect: boolean;
+    channels: string | null;
+    /** Media playlist URL, or null when the audio is muxed into the variant */
+    url: string | null;
+  }
+
+  /** Encryption parameters from #EXT-X-KEY */
+  export interface HlsKey {
+    method: 'AES-128' | 'SAMPLE-AES' | string;
+    uri: string | null;
+    iv: Uint8Array | null;
+    keyFormat: string;
+    keyFormatVersions: string | null;
+  }
+
+  /** Supplies key bytes for an encrypted stream (e.g. from a license server) */
+  export type HlsKeyLoader = (uri: string, key: HlsKey) => Uint8Array | ArrayBuffer | Promise<Uint8Array | ArrayBuffer>;
+
   export interface HlsStream {
     masterUrl: string;
     variants: HlsVariant[];
     qualities: string[];
-    select(quality: string | number): HlsStream;
+    /** Select video: 'highest', 'lowest', bandwidth, resolution ('1920x1080'), height label ('720p'), variant, or criteria */
+    select(quality: string | number | HlsVariant | QualityCriteria): HlsStream;
     segments: string[];
+    renditions: HlsRendition[];
+    /** Alternate audio renditions (#EXT-X-MEDIA:TYPE=AUDIO) */
+    audioRenditions: HlsRendition[];
+    /** Audio rendition played with the selected variant (null if its audio is muxed in) */
+    selectedAudio: HlsRendition | null;
+    /** Select audio by language ('en' also matches 'en-US'), NAME, or rendition */
+    selectAudio(selector: string | HlsRendition): HlsStream;
+    /** Subtitle renditions (#EXT-X-MEDIA:TYPE=SUBTITLES) */
+    subtitleRenditions: HlsRendition[];
+    /** Subtitle rendition for the selected variant (null unless subtitles are selected) */
+    selectedSubtitles: HlsRendition | null;
+    /** Select subtitles: true for the DEFAULT, a language ('en' also matches 'en-US'), NAME, or rendition; false for none */
+    selectSubtitles(selector: boolean | string | HlsRendition): HlsStream;
+    /** The playlist with every tag (null if it lacks the #EXTM3U header) */
+    playlist: M3U8 | null;
+  }
+
+  /** #EXT-X-... attribute list: values as written (quotes removed); numbers are accepted when writing */
+  export type M3U8Attributes = Record<string, string | number>;
+
+  /** Media segment with the tags that apply to it */
+  export class M3U8Segment {
+    constructor(fields?: Partial<M3U8Segment>);
+    /** As written, possibly relative to the playlist */
+    uri: string;
+    /** #EXTINF seconds */
+    duration: number;
+    /** #EXTINF text after the comma */
+    title: string;
+    /** #EXT-X-BYTERANGE; a null offset continues the previous range of the same URI */
+    byteRange: { length: number; offset: number | null } | null;
+    discontinuity: boolean;
+    /** #EXT-X-KEY tags in effect, one per KEYFORMAT; written again where the array changes */
+    keys: M3U8Attributes[];
+    /** #EXT-X-MAP in effect; written again where the object changes */
+    map: M3U8Attributes | null;
+    /** #EXT-X-PROGRAM-DATE-TIME as written */
+    programDateTime: string | null;
+    dateRanges: M3U8Attributes[];
+    gap: boolean;
+    /** #EXT-X-BITRATE in effect (kbit/s) */
+    bitrate: number | null;
+    /** #EXT-X-PART (low-latency HLS) */
+    parts: M3U8Attributes[];
+    /** Other tags and comments before the segment, verbatim */
+    tags: string[];
+  }
+
+  /** Master playlist variant: #EXT-X-STREAM-INF and its URI */
+  export class M3U8Variant {
+    constructor(fields?: Partial<M3U8Variant>);
+    uri: string;
+    attributes: M3U8Attributes;
+    /** Other tags and comments before the variant, verbatim */
+    tags: string[];
+  }
+
+  /** Editable master or media playlist that writes back every tag it was parsed with */
+  export class M3U8 {
+    constructor(options?: { type?: 'master' | 'media' });
+    type: 'master' | 'media';
+    readonly isMaster: boolean;
+    version: number | null;
+    independentSegments: boolean;
+    start: M3U8Attributes | null;
+    defines: M3U8Attributes[];
+    /** Other tags and comments before the first segment or variant, verbatim */
+    tags: string[];
+    /** Other tags and comments after the last segment or variant, verbatim */
+    trailingTags: string[];
+    /** #EXT-X-MEDIA */
+    renditions: M3U8Attributes[];
+    variants: M3U8Variant[];
+    /** #EXT-X-I-FRAME-STREAM-INF (URI is an attribute) */
+    iframeVariants: M3U8Attributes[];
+    sessionData: M3U8Attributes[];
+    sessionKeys: M3U8Attributes[];
+    contentSteering: M3U8Attributes | null;
+    targetDuration: number | null;
+    mediaSequence: number | null;
+    discontinuitySequence: number | null;
+    playlistType: 'VOD' | 'EVENT' | null;
+    iFramesOnly: boolean;
+    serverControl: M3U8Attributes | null;
+    partInf: M3U8Attributes | null;
+    skip: M3U8Attributes | null;
+    segments: M3U8Segment[];
+    preloadHints: M3U8Attributes[];
+    renditionReports: M3U8Attributes[];
+    endList: boolean;
+    /** Total segment duration in seconds */
+    readonly duration: number;
+    /** Write the playlist */
+    toString(): string;
+  }
+
+  /** Parse an HLS playlist into an editable M3U8 (URIs stay as written) */
+  export function parseM3u8(text: string): M3U8;
+
+  /** Representation from a DASH manifest */
+  export interface DashRepresentation {
+    id: string;
+    contentType: 'video' | 'audio' | 'text' | string;
+    mimeType: string | null;
+    codecs: string | null;
+    bandwidth: number;
+    width: number | null;
+    height: number | null;
+    resolution: string | null;
+    frameRate: string | null;
+    /** AdaptationSet lang, e.g. 'en' */
+    language: string | null;
+    /** Role value, e.g. 'main' */
+    role: string | null;
+    audioChannels: string | null;
+    /** Has ContentProtection (DRM) - downloads reject these */
+    encrypted: boolean;
+    name: string;
+    kbps: number;
+    mbps: string;
+  }
+
+  export interface DashPeriod {
+    id: string | null;
+    /** Start in seconds */
+    start: number;
+    duration: number | null;
+    representations: DashRepresentation[];
+  }
+
+  export interface DashStream {
+    mpdUrl: string;
+    type: 'static' | 'dynamic';
+    /** mediaPresentationDuration in seconds */
+    duration: number | null;
+    periods: DashPeriod[];
+    /** Representations of the first period */
+    representations: DashRepresentation[];
+    /** Video representations, highest bandwidth first */
+    qualities: DashRepresentation[];
+    audioRepresentations: DashRepresentation[];
+    highest: DashRepresentation | null;
+    lowest: DashRepresentation | null;
+    selected: DashRepresentation | null;
+    /** Selected audio, else Role "main", else the highest bandwidth */
+    selectedAudio: DashRepresentation | null;
+    /** Select video: 'highest', 'lowest', bandwidth, id, resolution ('1920x1080'), height label ('720p'), representation, or criteria */
+    select(selector: string | number | DashRepresentation | QualityCriteria): DashStream;
+    /** Select audio by language ('en' also matches 'en-US'), Label, or representation */
+    selectAudio(selector: string | DashRepresentation): DashStream;
   }
 
   export interface ProgressInfo {
@@ -48,21 +269,134 @@ declare module '@invintusmedia/tomp4' {
     totalSegments?: number;
   }
 
-  export interface ToMp4Options {
+  export interface ToMp4Options extends FetchOptions {
     /** Progress callback - receives message string and optional progress info */
     onProgress?: (message: string, info?: ProgressInfo) => void;
     /** Suggested filename for downloads */
     filename?: string;
-    /** HLS quality: 'highest', 'lowest', or bandwidth number */
-    quality?: 'highest' | 'lowest' | number;
+    /** HLS/DASH quality: 'highest', 'lowest', bandwidth, '720p', criteria, or a DASH representation id */
+    quality?: 'highest' | 'lowest' | number | string | QualityCriteria;
+    /** HLS audio rendition by language or NAME (default: the DEFAULT rendition), or DASH audio by language or Label; false for video only */
+    audio?: string | HlsRendition | DashRepresentation | false;
+    /** HLS subtitle rendition: true for the DEFAULT, or a language or NAME. Written as a tx3g track (MPEG-TS segments, MP4 output) and returned as mp4.subtitles */
+    subtitles?: boolean | string | HlsRendition;
     /** Max HLS segments to download */
     maxSegments?: number;
-    /** Start time in seconds (snaps to nearest keyframe) */
+    /** Start time in seconds (snaps to nearest keyframe, hidden by an edit list, unless precise) */
     startTime?: number;
     /** End time in seconds */
     endTime?: number;
+    /** Start exactly at startTime by re-encoding the frames up to the next keyframe (smart cut; toMp4() only, as it is async) */
+    precise?: boolean;
+    /** Re-encodes the partial GOP for precise clipping (default: WebCodecs, browser-only) */
+    reencode?: ReencodeHook;
+    /** Sample entry for H.265 output: 'hvc1' (default, parameter sets in hvcC) or 'hev1' (in-band) */
+    hevcSampleEntry?: 'hvc1' | 'hev1';
+    /** 'fmp4' writes an init segment plus one fragment per GOP (MPEG-TS sources) */
+    output?: 'mp4' | 'fmp4';
+    /** Key loader for encrypted HLS (default: fetch the #EXT-X-KEY URI) */
+    keyLoader?: HlsKeyLoader;
+    /** HLS/DASH segment requests in flight at once (default: 6) */
+    concurrency?: number;
+    /** Leave out HLS/DASH segments that keep failing instead of throwing; they're listed in mp4.gaps */
+    skipFailedSegments?: boolean;
+    /** MPEG-TS program number (default: the first program in the PAT) */
+    program?: number;
+    /** MPEG-TS audio tracks to include: 'all' (default), 'first', or ISO 639 languages / PIDs */
+    audioTracks?: 'all' | 'first' | Array<string | number>;
+    /** Write CEA-608/708 captions as a tx3g subtitle track: true for the first channel found, or 'CC1'-'CC4' / 'SERVICE1'-'SERVICE63' (MP4 output) */
+    captions?: boolean | string;
+    /** Clipping MP4 input: receives the ID3 tags of its timed metadata track inside the clip */
+    onCues?: (cues: Mp4Cue[]) => void;
+  }
+
+  /** One video frame as MP4 sample data (length-prefixed NAL units) */
+  export interface SmartCutFrame {
+    data: Uint8Array;
+    /** Presentation time, in the request's timescale */
+    pts: number;
+    /** Decode time, in the request's timescale */
+    dts: number;
+    duration?: number;
+    keyframe: boolean;
   }
 
+  export interface ReencodeRequest {
+    format: 'avc' | 'hevc';
+    /** RFC 6381 codec string, e.g. 'avc1.64001f' */
+    codec: string;
+    /** avcC/hvcC payload the frames decode with */
+    description: Uint8Array;
+    width: number;
+    height: number;
+    timescale: number;
+    /** The GOP holding the clip start, in decode order from its keyframe */
+    frames: SmartCutFrame[];
+    /** Frames with pts >= startPts are to be re-encoded */
+    startPts: number;
+  }
+
+  export interface ReencodeResult {
+    /** avcC/hvcC payload of the re-encoded frames */
+    description: Uint8Array;
+    /** Re-encoded frames without B-frames (decode order = presentation order), the first a keyframe */
+    frames: Array<{ data: Uint8Array; pts: number; keyframe: boolean }>;
+  }
+
+  /** Re-encodes the start of a precise clip, e.g. with ffmpeg outside the browser */
+  export type ReencodeHook = (request: ReencodeRequest) => Promise<ReencodeResult>;
+
+  /** Temporary storage for sample data during streaming conversion */
+  export interface SampleSink {
+    write(chunk: Uint8Array): void | Promise<void>;
+    read(): AsyncIterable<Uint8Array>;
+  }
+
+  export interface TsStreamOptions {
+    /** Progress callback - receives message string and optional progress info */
+    onProgress?: (message: string, info?: ProgressInfo) => void;
+    /** Creates storage for one track's sample data (default: createMemorySink, which holds all of it in memory) */
+    createSink?: () => SampleSink;
+    /** Sample entry for H.265 output: 'hvc1' (default) or 'hev1' */
+    hevcSampleEntry?: 'hvc1' | 'hev1';
+    /** MPEG-TS program number (default: the first program in the PAT) */
+    program?: number;
+  }
+
+  export interface TsStreamResult {
+    /** The MP4 file: ftyp + moov + mdat */
+    stream: ReadableStream<Uint8Array>;
+    /** Total size of the MP4 in bytes */
+    size: number;
+  }
+
+  /** Convert an MPEG-TS byte stream to MP4 without buffering the whole input */
+  export function convertTsStreamToMp4(
+    source: ReadableStream<Uint8Array> | AsyncIterable<Uint8Array>,
+    options?: TsStreamOptions
+  ): Promise<TsStreamResult>;
+
+  /** In-memory SampleSink (the default for convertTsStreamToMp4) */
+  export function createMemorySink(): SampleSink;
+
+  export interface RecordHlsOptions extends FetchOptions {
+    /** Seconds to record, in whole segments (default: until #EXT-X-ENDLIST or abort) */
+    duration?: number;
+    /** Stops recording and cancels requests in flight; the segments recorded so far are still returned */
+    signal?: AbortSignal;
+    /** Record every segment of the first playlist load instead of starting at the live edge */
+    fromStart?: boolean;
+    quality?: 'highest' | 'lowest' | number | string | QualityCriteria;
+    /** Output for MPEG-TS streams */
+    output?: 'mp4' | 'fmp4';
+    keyLoader?: HlsKeyLoader;
+    filename?: string;
+    onProgress?: (message: string, info?: ProgressInfo) => void;
+  }
+
+  /** Record a live HLS stream to MP4 */
+  export function recordHls(input: string | HlsStream, options?: RecordHlsOptions): Promise<Uint8Array>;
+
   export interface ThumbnailOptions {
     /** Time in seconds to capture (default ~0.15) */
     time?: number;
@@ -78,7 +412,7 @@ declare module '@invintusmedia/tomp4' {
     hlsQuality?: 'lowest' | 'highest';
   }
 
-  export interface ThumbnailsOptions {
+  export interface ThumbnailsOptions extends FetchOptions {
     /** Times in seconds to capture */
     times: number[];
     /** Resize output to this width (default 80) */
@@ -127,6 +461,42 @@ declare module '@invintusmedia/tomp4' {
     time: number;
   }
 
+  /** ID3 tag (stream type 0x15) or SCTE-35 splice (0x86) from an MPEG-TS stream */
+  export interface TimedEvent {
+    /** Elementary stream PID */
+    pid: number;
+    /** 90 kHz timestamp on the normalized timeline (SCTE-35: the splice time) */
+    pts: number;
+    /** pts in seconds */
+    time: number;
+    type: 'id3' | 'scte35';
+    /** ID3 tag, or the splice_info_section */
+    payload: Uint8Array;
+    /** Parsed splice_info_section (SCTE-35 only) */
+    scte35?: {
+      command: string;
+      commandType: number;
+      ptsAdjustment: number;
+      spliceTime: number | null;
+      eventId: number | null;
+      cancel: boolean;
+      outOfNetwork: boolean | null;
+      /** break_duration in 90 kHz ticks */
+      duration: number | null;
+      autoReturn: boolean | null;
+    };
+  }
+
+  /** ID3 tag of an MP4 timed metadata track */
+  export interface Mp4Cue {
+    /** Seconds on the source timeline */
+    time: number;
+    /** Seconds from startTime */
+    clipTime: number;
+    type: 'id3';
+    payload: Uint8Array;
+  }
+
   export interface AnalysisResult {
     /** Total duration in seconds */
     duration: number;
@@ -146,6 +516,98 @@ declare module '@invintusmedia/tomp4' {
     audioSampleRate: number | null;
     /** Audio channel count */
     audioChannels: number | null;
+    /** Every audio stream of the analyzed program */
+    audioTracks: TsAudioTrackInfo[];
+    /** Program number that was analyzed */
+    program: number | null;
+    /** Programs listed in the PAT, with their streams */
+    programs: TsProgram[];
+    /** ID3 and SCTE-35 events in presentation order */
+    events: TimedEvent[];
+  }
+
+  export interface CaptionCue {
+    /** Start time in seconds */
+    start: number;
+    /** End time in seconds */
+    end: number;
+    /** Caption text, rows separated by newlines */
+    text: string;
+  }
+
+  /** Captions of one CEA-608 channel or CEA-708 service */
+  export class CaptionTrack {
+    /** 'CC1'-'CC4' (CEA-608) or 'SERVICE1'-'SERVICE63' (CEA-708) */
+    readonly channel: string;
+    readonly type: '608' | '708';
+    readonly cues: CaptionCue[];
+    toWebVtt(): string;
+    toSrt(): string;
+  }
+
+  export interface SubtitleCue {
+    /** Cue identifier, if any */
+    id?: string | null;
+    /** Start time in seconds */
+    start: number;
+    /** End time in seconds */
+    end: number;
+    /** WebVTT cue settings, e.g. 'line:90% align:start' */
+    settings?: string;
+    /** Cue text with its WebVTT markup */
+    text: string;
+  }
+
+  /** Subtitles of one language, e.g. an HLS subtitle rendition */
+  export class SubtitleTrack {
+    constructor(info: { language?: string | null; name?: string | null; cues: SubtitleCue[] });
+    readonly language: string | null;
+    readonly name: string | null;
+    readonly cues: SubtitleCue[];
+    /** Cues between startTime and endTime, cut to that range with startTime as 0 */
+    slice(startTime: number, endTime?: number): SubtitleTrack;
+    toWebVtt(): string;
+    /** SubRip, without WebVTT markup */
+    toSrt(): string;
+  }
+
+  /** Parse a WebVTT document (times in seconds) */
+  export function parseWebVtt(text: string): {
+    cues: SubtitleCue[];
+    timestampMap: { mpegts: number; local: number } | null;
+  };
+
+  /** Extract CEA-608/708 closed captions from MPEG-TS video (times from the first video frame) */
+  export function extractCaptions(data: Uint8Array, options?: { program?: number }): CaptionTrack[];
+
+  export interface TsStream {
+    /** Elementary stream PID */
+    pid: number;
+    /** MPEG-TS stream type */
+    streamType: number;
+    /** Codec name */
+    codec: string;
+    /** ISO 639-2 language from the PMT, e.g. 'eng' */
+    language: string | null;
+  }
+
+  export interface TsProgram {
+    /** Program number */
+    number: number;
+    /** PID of the program's PMT */
+    pmtPid: number;
+    /** Elementary streams in PMT order */
+    streams: TsStream[];
+  }
+
+  export interface TsAudioTrackInfo {
+    pid: number;
+    codec: string;
+    language: string | null;
+    /** Number of audio frames */
+    frames: number;
+    sampleRate: number | null;
+    channels: number | null;
   }
 
   export interface MP4Sample {
@@ -286,7 +748,7 @@ declare module '@invintusmedia/tomp4' {
     duration: number;
   }
 
-  export interface RemoteMp4Options {
+  export interface RemoteMp4Options extends FetchOptions {
     /** Target segment duration in seconds (default 4) */
     segmentDuration?: number;
     /** Progress callback */
@@ -357,13 +819,66 @@ declare module '@invintusmedia/tomp4' {
     getSegment(index: number): Promise<Uint8Array>;
   }
 
+  export interface PackageHlsOptions {
+    /** Target segment duration in seconds (default 4); segments start at keyframes */
+    segmentDuration?: number;
+    /** 'fmp4' (CMAF, HLS and DASH - the default) or 'ts' (HLS only, H.264/AAC) */
+    format?: 'fmp4' | 'ts';
+    /** MPEG-TS program number (default: the first one) */
+    program?: number;
+  }
+
+  export interface PackageFile {
+    /** Relative file name, e.g. 'master.m3u8' or 'segment0.m4s' */
+    name: string;
+    /** Text for playlists and manifests, bytes for media */
+    data: string | Uint8Array;
+    contentType: string;
+  }
+
+  export interface PackageSegment {
+    name: string;
+    data: Uint8Array;
+    /** Seconds from the first frame */
+    startTime: number;
+    duration: number;
+  }
+
+  /** HLS/DASH package of an in-memory MP4 or MPEG-TS */
+  export class HlsPackage {
+    readonly format: 'fmp4' | 'ts';
+    readonly segments: PackageSegment[];
+    /** init.mp4 (fMP4), or null for TS */
+    readonly init: Uint8Array | null;
+    /** RFC 6381 codecs, e.g. 'avc1.64001f,mp4a.40.2' */
+    readonly codecs: string;
+    readonly width: number;
+    readonly height: number;
+    /** Duration in seconds */
+    readonly duration: number;
+    /** Peak segment bitrate (bits per second) */
+    readonly bandwidth: number;
+    readonly averageBandwidth: number;
+    /** master.m3u8 */
+    readonly masterPlaylist: string;
+    /** playlist.m3u8 */
+    readonly mediaPlaylist: string;
+    /** manifest.mpd (throws for TS packages) */
+    readonly dashManifest: string;
+    /** Every file: playlists, manifest, init segment and media segments */
+    readonly files: PackageFile[];
+  }
+
+  /** Package MP4, fMP4 or MPEG-TS data for HLS/DASH VOD playback */
+  export function packageHls(data: Uint8Array | ArrayBuffer, options?: PackageHlsOptions): HlsPackage;
+
   /**
    * Convert video to MP4
-   * @param input - URL, HLS stream, or video data
+   * @param input - URL, HLS or DASH stream, or video data
    * @param options - Conversion options
    */
   function toMp4(
-    input: string | Uint8Array | ArrayBuffer | Blob | HlsStream,
+    input: string | Uint8Array | ArrayBuffer | Blob | HlsStream | DashStream,
     options?: ToMp4Options
   ): Promise<Mp4Result>;
 
@@ -372,10 +887,16 @@ declare module '@invintusmedia/tomp4' {
     const version: string;
 
     /** Convert MPEG-TS data to MP4 */
-    function fromTs(data: Uint8Array | ArrayBuffer, options?: ToMp4Options): Mp4Result;
+    function fromTs(data: Uint8Array | ArrayBuffer, options?: Omit<ToMp4Options, 'precise' | 'reencode'>): Mp4Result;
+
+    /** Convert a large MPEG-TS URL or byte stream to MP4 chunk by chunk */
+    function fromTsStream(
+      source: string | ReadableStream<Uint8Array> | AsyncIterable<Uint8Array>,
+      options?: TsStreamOptions & FetchOptions
+    ): Promise<TsStreamResult>;
 
     /** Convert fMP4 data to MP4 */
-    function fromFmp4(data: Uint8Array | ArrayBuffer, options?: ToMp4Options): Mp4Result;
+    function fromFmp4(data: Uint8Array | ArrayBuffer, options?: Omit<ToMp4Options, 'precise' | 'reencode'>): Mp4Result;
 
     /** Detect format of video data */
     function detectFormat(data: Uint8Array): 'mpegts' | 'fmp4' | 'mp4' | 'unknown';
@@ -390,7 +911,7 @@ declare module '@invintusmedia/tomp4' {
     function isStandardMp4(data: Uint8Array): boolean;
 
     /** Parse HLS playlist */
-    function parseHls(url: string): Promise<HlsStream>;
+    function parseHls(url: string, options?: FetchOptions & { onProgress?: (message: string) => void }): Promise<HlsStream>;
 
     /** Download and combine HLS segments */
     function downloadHls(
@@ -401,8 +922,39 @@ declare module '@invintusmedia/tomp4' {
     /** Check if URL is an HLS playlist */
     function isHlsUrl(url: string): boolean;
 
+    /** Parse playlist text into an editable M3U8 that writes back every tag */
+    function parseM3u8(text: string): M3U8;
+
+    /** Parse a DASH manifest (.mpd) */
+    function parseDash(url: string, options?: FetchOptions & { onProgress?: (message: string) => void }): Promise<DashStream>;
+
+    /** Download the selected DASH representations, muxing separate audio in */
+    function downloadDash(
+      input: string | DashStream,
+      options?: ToMp4Options
+    ): Promise<Uint8Array>;
+
+    /** Check if URL is a DASH manifest */
+    function isDashUrl(url: string): boolean;
+
+    /** Decrypt one downloaded HLS segment (AES-128, or SAMPLE-AES in MPEG-TS) */
+    function decryptSegment(
+      data: Uint8Array,
+      segment: { key: HlsKey | null; mediaSequence: number },
+      options?: { keyLoader?: HlsKeyLoader; keyCache?: Map<string, Promise<Uint8Array>> }
+    ): Promise<Uint8Array>;
+
+    /** Record a live HLS stream, reloading its playlist until the duration, ENDLIST or abort */
+    function recordHls(input: string | HlsStream, options?: RecordHlsOptions): Promise<Mp4Result>;
+
     /** Analyze MPEG-TS data without converting */
-    function analyze(data: Uint8Array): AnalysisResult;
+    function analyze(data: Uint8Array, options?: { program?: number }): AnalysisResult;
+
+    /** Extract CEA-608/708 closed captions from MPEG-TS data */
+    function extractCaptions(data: Uint8Array | ArrayBuffer, options?: { program?: number }): CaptionTrack[];
+
+    /** Parse a WebVTT document */
+    const parseWebVtt: typeof import('@invintusmedia/tomp4').parseWebVtt;
 
     /** MP4 Parser for local files */
     const MP4Parser: typeof import('@invintusmedia/tomp4').MP4Parser;
@@ -410,6 +962,9 @@ declare module '@invintusmedia/tomp4' {
     /** Remote MP4 parser for on-demand HLS serving */
     const RemoteMp4: typeof import('@invintusmedia/tomp4').RemoteMp4;
 
+    /** Package MP4, fMP4 or MPEG-TS data for HLS/DASH: playlists, manifest, init and segments */
+    function packageHls(data: Uint8Array | ArrayBuffer, options?: PackageHlsOptions): HlsPackage;
+
     /** 
      * Stitch multiple fMP4 segments into a single MP4
      * For live streams saved as 4-second fMP4 chunks
@@ -419,6 +974,16 @@ declare module '@invintusmedia/tomp4' {
       options?: StitchFmp4Options
     ): Mp4Result;
 
+    /** Stitch MPEG-TS segments into a single MP4 (or fragmented MP4) */
+    function stitchTs(
+      segments: (Uint8Array | ArrayBuffer)[],
+      options?: {
+        output?: 'mp4' | 'fmp4';
+        /** HLS discontinuity sequence per segment: segments sharing one keep their original spacing */
+        discontinuitySequences?: number[];
+      }
+    ): Mp4Result;
+
     /**
      * Extract a single frame as an image (browser-only).
      * For HLS inputs, downloads a minimal range and remuxes to MP4 before capture.
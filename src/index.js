@@ -19,30 +19,47 @@
  * console.log(hls.qualities); // Available qualities
  * const mp4 = await toMp4(hls.select('720p'));
  * 
+ * // DASH works the same way
+ * const mp4 = await toMp4('https://example.com/manifest.mpd');
+ * 
+ * // Package a clip for HLS/DASH (playlists, init and segments in memory)
+ * const pkg = toMp4.packageHls(mp4Data, { segmentDuration: 4 });
+ * 
  * ═══════════════════════════════════════════════════════════════
  * SUPPORTED (remuxing only - no transcoding)
  * ═══════════════════════════════════════════════════════════════
  * 
- * Containers:  MPEG-TS (.ts), fMP4 (.m4s), HLS (.m3u8)
- * Video:       H.264/AVC, H.265/HEVC
- * Audio:       AAC, AAC-LATM
+ * Containers:  MPEG-TS (.ts), fMP4 (.m4s), HLS (.m3u8), DASH (.mpd)
+ * Video:       H.264/AVC, H.265/HEVC, MPEG-2
+ * Audio:       AAC, AAC-LATM, MP3 (MPEG-1/2 Audio), AC-3, E-AC-3
+ * Captions:    CEA-608/708 → WebVTT, SRT, tx3g track
+ * Subtitles:   HLS WebVTT renditions → tx3g track, WebVTT, SRT
  * 
- * NOT SUPPORTED: MPEG-1/2 Video, MP3, AC-3 (require transcoding)
+ * NOT SUPPORTED: MPEG-1 Video (requires transcoding)
  */
 
-import { convertTsToMp4, analyzeTsData } from './ts-to-mp4.js';
-import { convertFmp4ToMp4, stitchFmp4 } from './fmp4/index.js';
-import { clipMp4 } from './mp4-clip.js';
+import { convertTsToMp4, convertTsToMp4Precise, convertTsStreamToMp4, createMemorySink, analyzeTsData } from './ts-to-mp4.js';
+import { convertFmp4ToMp4, convertFmp4ToMp4Precise, stitchFmp4, parseBoxes } from './fmp4/index.js';
+import { clipMp4, clipMp4Precise } from './mp4-clip.js';
 import { clipHls, HlsClipResult } from './hls-clip.js';
+import { packageHls, HlsPackage } from './hls-package.js';
 import { stitchTs, concatTs } from './mpegts/index.js';
-import { parseHls, downloadHls, isHlsUrl, HlsStream, HlsVariant } from './hls.js';
+import { parseHls, downloadHls, isHlsUrl, HlsStream, HlsVariant, HlsRendition, HlsKey } from './hls.js';
+import { parseDash, downloadDash, isDashUrl, DashStream, DashRepresentation } from './dash.js';
+import { decryptSegment } from './hls-decrypt.js';
+import { fetchWithRetry } from './hls-fetch.js';
+import { parseM3u8, M3U8, M3U8Segment, M3U8Variant } from './m3u8.js';
+import { recordHls } from './hls-record.js';
 import { transcode, isWebCodecsSupported } from './transcode.js';
 import { TSMuxer } from './muxers/mpegts.js';
 import { MP4Muxer } from './muxers/mp4.js';
+import { splitFragmentedMp4 } from './muxers/fmp4.js';
 import { TSParser } from './parsers/mpegts.js';
 import { MP4Parser } from './parsers/mp4.js';
 import { RemoteMp4 } from './remote/index.js';
 import { thumbnail, thumbnails, ImageResult } from './thumbnail.js';
+import { extractCaptions, CaptionTrack } from './captions.js';
+import { parseWebVtt, SubtitleTrack } from './webvtt.js';
 
 /**
  * Result object returned by toMp4()
@@ -56,6 +73,10 @@ class Mp4Result {
   constructor(data, filename = 'video.mp4') {
     this.data = data;
     this.filename = filename;
+    /** HLS subtitle renditions (options.subtitles) as SubtitleTracks, timed like the MP4 */
+    this.subtitles = [];
+    /** HLS/DASH segments left out by options.skipFailedSegments: { url, startTime, endTime, error } in playlist time */
+    this.gaps = [];
     this._url = null;
     this._blob = null;
   }
@@ -121,6 +142,15 @@ class Mp4Result {
   toArrayBuffer() {
     return this.data.buffer.slice(this.data.byteOffset, this.data.byteOffset + this.data.byteLength);
   }
+
+  /**
+   * Split fragmented output (output: 'fmp4') into init segment and fragments,
+   * e.g. for appending to a MediaSource SourceBuffer one at a time
+   * @returns {{ init: Uint8Array, fragments: Uint8Array[] }}
+   */
+  getSegments() {
+    return splitFragmentedMp4(this.data);
+  }
 }
 
 // ============================================
@@ -146,18 +176,8 @@ function isStandardMp4(data) {
   if (data.length < 12) return false;
   const type = String.fromCharCode(data[4], data[5], data[6], data[7]);
   if (type !== 'ftyp') return false;
-  let offset = 0;
-  const view = new DataView(data.buffer, data.byteOffset, data.byteLength);
-  let hasMoov = false, hasMoof = false;
-  while (offset + 8 <= data.length) {
-    const size = view.getUint32(offset);
-    if (size < 8) break;
-    const boxType = String.fromCharCode(data[offset + 4], data[offset + 5], data[offset + 6], data[offset + 7]);
-    if (boxType === 'moov') hasMoov = true;
-    if (boxType === 'moof') hasMoof = true;
-    offset += size;
-  }
-  return hasMoov && !hasMoof;
+  const types = parseBoxes(data).map(box => box.type);
+  return types.includes('moov') && !types.includes('moof');
 }
 
 function detectFormat(data) {
@@ -177,13 +197,13 @@ function convertData(data, options = {}) {
 
   switch (format) {
     case 'mpegts':
-      return convertTsToMp4(uint8, options);
+      return options.precise ? convertTsToMp4Precise(uint8, options) : convertTsToMp4(uint8, options);
     case 'fmp4':
-      return convertFmp4ToMp4(uint8, options);
+      return options.precise ? convertFmp4ToMp4Precise(uint8, options) : convertFmp4ToMp4(uint8, options);
     case 'mp4':
       // Clip if time range specified, otherwise pass through
       if (options.startTime !== undefined || options.endTime !== undefined) {
-        return clipMp4(uint8, options);
+        return options.precise ? clipMp4Precise(uint8, options) : clipMp4(uint8, options);
       }
       return uint8;
     default:
@@ -191,6 +211,65 @@ function convertData(data, options = {}) {
   }
 }
 
+/** Join downloaded chunks into one array */
+function joinChunks(chunks) {
+  const data = new Uint8Array(chunks.reduce((sum, chunk) => sum + chunk.length, 0));
+  let offset = 0;
+  for (const chunk of chunks) {
+    data.set(chunk, offset);
+    offset += chunk.length;
+  }
+  return data;
+}
+
+/**
+ * Fetch a media URL. MPEG-TS is converted while it downloads (see
+ * convertTsStreamToMp4) unless the options need all of the input at once:
+ * clipping, fragmented output, captions or picking audio tracks. Anything
+ * else is buffered for convertData().
+ * @returns {Promise<{data: Uint8Array}|{mp4: Uint8Array}>} The input, or the converted MP4
+ */
+async function fetchMedia(url, options) {
+  const response = await fetchWithRetry(url, {}, { ...options, stream: true });
+  if (!response.ok) {
+    throw new Error(`Failed to fetch: ${response.status} ${response.statusText}`);
+  }
+  if (!response.body) return { data: new Uint8Array(await response.arrayBuffer()) };
+
+  // Read enough to tell MPEG-TS (two sync bytes 188 apart) from MP4
+  const reader = response.body.getReader();
+  const head = [];
+  let headLength = 0;
+  let done = false;
+  while (!done && headLength < 2 * 188 + 1) {
+    const chunk = await reader.read();
+    done = chunk.done;
+    if (!done) {
+      head.push(chunk.value);
+      headLength += chunk.value.length;
+    }
+  }
+  async function* chunks() {
+    yield* head;
+    while (!done) {
+      const chunk = await reader.read();
+      done = chunk.done;
+      if (!done) yield chunk.value;
+    }
+  }
+
+  const needsWholeInput = options.startTime !== undefined || options.endTime !== undefined ||
+    options.output === 'fmp4' || options.captions || (options.audioTracks && options.audioTracks !== 'all');
+  if (!needsWholeInput && isMpegTs(joinChunks(head))) {
+    const { stream } = await convertTsStreamToMp4(chunks(), options);
+    return { mp4: new Uint8Array(await new Response(stream).arrayBuffer()) };
+  }
+
+  const buffered = [];
+  for await (const chunk of chunks()) buffered.push(chunk);
+  return { data: joinChunks(buffered) };
+}
+
 // ============================================
 // Main API
 // ============================================
@@ -198,12 +277,27 @@ function convertData(data, options = {}) {
 /**
  * Convert video to MP4
  * 
- * @param {string | Uint8Array | ArrayBuffer | Blob | HlsStream} input - URL, HLS stream, or video data
+ * @param {string | Uint8Array | ArrayBuffer | Blob | HlsStream | DashStream} input - URL, HLS or DASH stream, or video data
  * @param {object} [options] - Options
  * @param {function} [options.onProgress] - Progress callback
  * @param {string} [options.filename] - Suggested filename for downloads
- * @param {string|number} [options.quality] - HLS quality: 'highest', 'lowest', or bandwidth
- * @param {number} [options.maxSegments] - Max HLS segments to download (default: all)
+ * @param {string|number|object} [options.quality] - HLS/DASH quality: 'highest', 'lowest', bandwidth, '720p', criteria such as
+ *   { maxHeight: 720, codecs: 'avc1' } (see HlsStream.select), or a DASH representation id
+ * @param {string|HlsRendition|DashRepresentation|false} [options.audio] - HLS audio rendition or DASH audio representation by
+ *   language or name (default: the playlist's DEFAULT, the MPD's main audio)
+ * @param {boolean|string|HlsRendition} [options.subtitles] - HLS subtitle rendition: true for the DEFAULT, or a
+ *   language or name. Written as a tx3g track (MPEG-TS segments, MP4 output) and returned as mp4.subtitles
+ * @param {number} [options.maxSegments] - Max HLS/DASH segments to download (default: all)
+ * @param {'mp4'|'fmp4'} [options.output] - 'fmp4' for fragmented output from TS sources (see Mp4Result.getSegments)
+ * @param {function} [options.keyLoader] - (uri, key) => key bytes for encrypted HLS (default: fetch the key URI)
+ * @param {AbortSignal} [options.signal] - Cancels the download
+ * @param {number} [options.concurrency] - HLS/DASH segment requests in flight at once (default: 6)
+ * @param {number} [options.retries] - Retries for network errors, timeouts and 408/429/5xx responses (default: 2)
+ * @param {number} [options.timeout] - Milliseconds a request attempt may go without receiving data (default: 30000)
+ * @param {boolean} [options.skipFailedSegments] - Leave out HLS/DASH segments that keep failing and list them in mp4.gaps
+ * @param {boolean} [options.precise] - Start exactly at startTime by re-encoding the frames up to the next
+ *   keyframe, instead of starting at the keyframe and relying on an edit list
+ * @param {function} [options.reencode] - Re-encoding hook for precise clipping (default: WebCodecs, browser-only)
  * @returns {Promise<Mp4Result>} - Result object with download(), toURL(), etc.
  * 
  * @example
@@ -211,7 +305,7 @@ function convertData(data, options = {}) {
  * const mp4 = await toMp4('https://example.com/stream.m3u8');
  * mp4.download('my-video.mp4');
  * 
- * // From segment URL
+ * // From segment URL (MPEG-TS is converted as it downloads)
  * const mp4 = await toMp4('https://example.com/video.ts');
  * 
  * // From data
@@ -238,6 +332,17 @@ async function toMp4(input, options = {}) {
       quality: options.quality || 'highest'
     });
   }
+  // Handle DashStream object
+  else if (input instanceof DashStream) {
+    if (!options.filename) {
+      const urlPart = (input.mpdUrl || '').split('/').pop()?.split('?')[0];
+      filename = urlPart ? urlPart.replace('.mpd', '.mp4') : 'video.mp4';
+    }
+    data = await downloadDash(input, {
+      ...options,
+      quality: options.quality || 'highest'
+    });
+  }
   // Handle URL strings
   else if (typeof input === 'string') {
     // Check if it's an HLS URL
@@ -250,14 +355,19 @@ async function toMp4(input, options = {}) {
         ...options,
         quality: options.quality || 'highest'
       });
+    } else if (isDashUrl(input)) {
+      if (!options.filename) {
+        const urlPart = input.split('/').pop()?.split('?')[0];
+        filename = urlPart ? urlPart.replace('.mpd', '.mp4') : 'video.mp4';
+      }
+      data = await downloadDash(input, {
+        ...options,
+        quality: options.quality || 'highest'
+      });
     } else {
       // Regular URL - fetch it directly
       log('Fetching...');
-      const response = await fetch(input);
-      if (!response.ok) {
-        throw new Error(`Failed to fetch: ${response.status} ${response.statusText}`);
-      }
-      data = new Uint8Array(await response.arrayBuffer());
+      const fetched = await fetchMedia(input, options);
 
       if (!options.filename) {
         const urlFilename = input.split('/').pop()?.split('?')[0];
@@ -265,6 +375,8 @@ async function toMp4(input, options = {}) {
           filename = urlFilename.replace(/\.(ts|m4s)$/i, '') + '.mp4';
         }
       }
+      if (fetched.mp4) return new Mp4Result(fetched.mp4, filename);
+      data = fetched.data;
     }
   }
   // Handle Blob
@@ -280,10 +392,10 @@ async function toMp4(input, options = {}) {
     data = input;
   }
   else {
-    throw new Error('Input must be a URL string, HlsStream, Uint8Array, ArrayBuffer, or Blob');
+    throw new Error('Input must be a URL string, HlsStream, DashStream, Uint8Array, ArrayBuffer, or Blob');
   }
 
-  // Adjust clip times if we downloaded HLS with a time range
+  // Adjust clip times if we downloaded HLS or DASH with a time range
   // The downloaded segments have been normalized to start at 0,
   // so we need to adjust the requested clip times accordingly
   let convertOptions = { ...options };
@@ -298,20 +410,39 @@ async function toMp4(input, options = {}) {
     log(`Adjusted clip: ${convertOptions.startTime?.toFixed(2) || 0}s - ${convertOptions.endTime?.toFixed(2) || '∞'}s (offset: -${segmentStart.toFixed(2)}s)`);
   }
 
+  // Subtitles are timed from the start of the downloaded data, like the clip times
+  const subtitles = data._hlsSubtitles || [];
+  convertOptions.subtitles = options.output === 'fmp4' ? [] : subtitles;
+
   // Convert
   log('Converting...');
-  const mp4Data = convertData(data, convertOptions);
+  const mp4Data = await convertData(data, convertOptions);
 
-  return new Mp4Result(mp4Data, filename);
+  const result = new Mp4Result(mp4Data, filename);
+  result.subtitles = subtitles.map(track => track.slice(convertOptions.startTime || 0, convertOptions.endTime));
+  result.gaps = data._hlsGaps || [];
+  return result;
 }
 
 // Attach utilities to main function
 toMp4.fromTs = (data, options) => new Mp4Result(convertTsToMp4(data instanceof ArrayBuffer ? new Uint8Array(data) : data, options));
 toMp4.fromFmp4 = (data, options = {}) => new Mp4Result(convertFmp4ToMp4(data instanceof ArrayBuffer ? new Uint8Array(data) : data, options));
+toMp4.fromTsStream = async (source, options = {}) => {
+  // URL: stream the response body instead of buffering it
+  if (typeof source === 'string') {
+    const response = await fetchWithRetry(source, {}, { ...options, stream: true });
+    if (!response.ok) {
+      throw new Error(`Failed to fetch: ${response.status} ${response.statusText}`);
+    }
+    source = response.body;
+  }
+  return convertTsStreamToMp4(source, options);
+};
 toMp4.clipMp4 = (data, options = {}) => new Mp4Result(clipMp4(data instanceof ArrayBuffer ? new Uint8Array(data) : data, options));
 toMp4.clipHls = clipHls;
+toMp4.packageHls = packageHls;
 toMp4.stitchFmp4 = (segments, options) => new Mp4Result(stitchFmp4(segments, options));
-toMp4.stitchTs = (segments) => new Mp4Result(stitchTs(segments));
+toMp4.stitchTs = (segments, options) => new Mp4Result(stitchTs(segments, options));
 toMp4.concatTs = concatTs;
 toMp4.detectFormat = detectFormat;
 toMp4.isMpegTs = isMpegTs;
@@ -322,9 +453,19 @@ toMp4.isStandardMp4 = isStandardMp4;
 toMp4.parseHls = parseHls;
 toMp4.downloadHls = downloadHls;
 toMp4.isHlsUrl = isHlsUrl;
+toMp4.decryptSegment = decryptSegment;
+toMp4.parseM3u8 = parseM3u8;
+toMp4.recordHls = async (source, options = {}) => new Mp4Result(await recordHls(source, options), options.filename);
+
+// DASH utilities
+toMp4.parseDash = parseDash;
+toMp4.downloadDash = downloadDash;
+toMp4.isDashUrl = isDashUrl;
 
 // Analysis utilities
 toMp4.analyze = analyzeTsData;
+toMp4.extractCaptions = (data, options) => extractCaptions(data instanceof ArrayBuffer ? new Uint8Array(data) : data, options);
+toMp4.parseWebVtt = parseWebVtt;
 
 // Transcoding (browser-only, uses WebCodecs)
 toMp4.transcode = transcode;
@@ -347,14 +488,25 @@ export {
   toMp4,
   Mp4Result,
   convertTsToMp4,
+  convertTsToMp4Precise,
+  convertTsStreamToMp4,
+  createMemorySink,
   convertFmp4ToMp4,
+  convertFmp4ToMp4Precise,
   clipMp4,
+  clipMp4Precise,
   clipHls,
   HlsClipResult,
+  packageHls,
+  HlsPackage,
   stitchFmp4,
   stitchTs,
   concatTs,
   analyzeTsData,
+  extractCaptions,
+  CaptionTrack,
+  parseWebVtt,
+  SubtitleTrack,
   detectFormat,
   isMpegTs,
   isFmp4,
@@ -364,6 +516,19 @@ export {
   isHlsUrl,
   HlsStream,
   HlsVariant,
+  HlsRendition,
+  HlsKey,
+  parseM3u8,
+  M3U8,
+  M3U8Segment,
+  M3U8Variant,
+  parseDash,
+  downloadDash,
+  isDashUrl,
+  DashStream,
+  DashRepresentation,
+  decryptSegment,
+  recordHls,
   // Transcoding (browser-only)
   transcode,
   isWebCodecsSupported,
@@ -0,0 +1,460 @@
+/**
+ * HLS Playlist Object Model
+ * Parses master and media playlists into objects that can be edited and
+ * written back out with toString(), keeping every tag
+ *
+ * Tags of RFC 8216 (and the low-latency ones of its second edition) get
+ * fields; attribute lists stay plain objects of the values as written,
+ * so `variant.attributes.BANDWIDTH` is the string '2800000'. Any other
+ * line - vendor tags like #EXT-X-CUE-OUT, comments - is kept verbatim in
+ * the `tags` of the segment or variant it comes before, or of the
+ * playlist when it comes before all of them.
+ *
+ * Playlist-wide tags are written back in the order they were parsed in,
+ * a segment's tags in a fixed order (the usual one: DISCONTINUITY, KEY,
+ * MAP, PROGRAM-DATE-TIME, DATERANGE, others, EXTINF, BYTERANGE), so most
+ * playlists come back byte for byte and the rest with the same tags.
+ *
+ * @module m3u8
+ *
+ * @example
+ * const playlist = parseM3u8(text);
+ * playlist.segments = playlist.segments.slice(10, 20);
+ * playlist.mediaSequence += 10;
+ * const clipped = playlist.toString(); // keys, maps, dates and custom tags included
+ */
+
+/**
+ * Attributes written without quotes: enumerated strings, numbers, hex
+ * and resolutions. Everything else is a quoted string - except
+ * CLOSED-CAPTIONS=NONE, and vendor (X-) attributes, which keep what
+ * they were parsed with.
+ */
+const UNQUOTED_ATTRIBUTES = new Set([
+  'TYPE', 'DEFAULT', 'AUTOSELECT', 'FORCED', 'METHOD', 'IV', 'BANDWIDTH',
+  'AVERAGE-BANDWIDTH', 'SCORE', 'RESOLUTION', 'FRAME-RATE', 'HDCP-LEVEL',
+  'VIDEO-RANGE', 'TIME-OFFSET', 'PRECISE', 'DURATION', 'PLANNED-DURATION',
+  'END-ON-NEXT', 'SCTE35-CMD', 'SCTE35-OUT', 'SCTE35-IN', 'CAN-SKIP-UNTIL',
+  'CAN-SKIP-DATERANGES', 'HOLD-BACK', 'PART-HOLD-BACK', 'CAN-BLOCK-RELOAD',
+  'PART-TARGET', 'SKIPPED-SEGMENTS', 'INDEPENDENT', 'GAP', 'LAST-MSN',
+  'LAST-PART', 'BYTERANGE-START', 'BYTERANGE-LENGTH', 'BIT-DEPTH', 'SAMPLE-RATE'
+]);
+
+/** Whether each attribute was parsed from a quoted string (for vendor attributes) */
+const QUOTED = Symbol('quoted');
+
+/** EXTINF durations as written, reused while the duration is unchanged */
+const durationText = new WeakMap();
+
+/** Order of the playlist's header tags as parsed, kept when writing */
+const headerOrder = new WeakMap();
+
+// ============================================
+// Attribute lists
+// ============================================
+
+/**
+ * Parse an attribute list (KEY=value,KEY="quoted, value",...)
+ * @param {string} text - Everything after the tag's colon
+ * @returns {object} Attribute names mapped to values as written (quotes removed)
+ */
+export function parseAttributes(text) {
+  const attrs = {};
+  const quoted = new Map();
+  const re = /([A-Z0-9-]+)=("[^"]*"|[^,]*)/g;
+  let match;
+  while ((match = re.exec(text)) !== null) {
+    const value = match[2];
+    quoted.set(match[1], value.startsWith('"'));
+    attrs[match[1]] = value.startsWith('"') ? value.slice(1, -1) : value;
+  }
+  Object.defineProperty(attrs, QUOTED, { value: quoted });
+  return attrs;
+}
+
+function isQuoted(attrs, name, value) {
+  if (UNQUOTED_ATTRIBUTES.has(name)) return false;
+  if (name === 'CLOSED-CAPTIONS') return value !== 'NONE';
+  if (name.startsWith('X-') && attrs[QUOTED]?.has(name)) return attrs[QUOTED].get(name);
+  return typeof value !== 'number';
+}
+
+/**
+ * Write an attribute list, leaving out null and undefined values
+ * @param {object} attrs
+ * @returns {string}
+ */
+export function formatAttributes(attrs) {
+  return Object.entries(attrs)
+    .filter(([, value]) => value !== null && value !== undefined)
+    .map(([name, value]) => isQuoted(attrs, name, value) ? `${name}="${value}"` : `${name}=${value}`)
+    .join(',');
+}
+
+// ============================================
+// Playlist items
+// ============================================
+
+/**
+ * A media segment and the tags that apply to it
+ * keys, map and bitrate are the ones in effect, so segments can be
+ * sliced and reordered freely: the tags are written again wherever they
+ * change. keys and map are compared by identity - segments parsed under
+ * one #EXT-X-KEY share the array - and bitrate by value.
+ */
+export class M3U8Segment {
+  constructor({
+    uri, duration = 0, title = '', byteRange = null, discontinuity = false,
+    keys = [], map = null, programDateTime = null, dateRanges = [],
+    gap = false, bitrate = null, parts = [], tags = []
+  } = {}) {
+    this.uri = uri;
+    this.duration = duration;         // #EXTINF seconds
+    this.title = title;               // #EXTINF text after the comma
+    this.byteRange = byteRange;       // { length, offset } from #EXT-X-BYTERANGE; offset null continues the previous range
+    this.discontinuity = discontinuity;
+    this.keys = keys;                 // #EXT-X-KEY attributes in effect (one per KEYFORMAT)
+    this.map = map;                   // #EXT-X-MAP attributes in effect
+    this.programDateTime = programDateTime; // #EXT-X-PROGRAM-DATE-TIME as written
+    this.dateRanges = dateRanges;     // #EXT-X-DATERANGE attributes
+    this.gap = gap;                   // #EXT-X-GAP
+    this.bitrate = bitrate;           // #EXT-X-BITRATE kbit/s in effect
+    this.parts = parts;               // #EXT-X-PART attributes (low-latency HLS)
+    this.tags = tags;                 // Other lines before the segment, verbatim
+  }
+}
+
+/**
+ * A master playlist variant: #EXT-X-STREAM-INF and the URI after it
+ */
+export class M3U8Variant {
+  constructor({ uri, attributes = {}, tags = [] } = {}) {
+    this.uri = uri;
+    this.attributes = attributes;     // #EXT-X-STREAM-INF attributes (BANDWIDTH, CODECS, ...)
+    this.tags = tags;                 // Other lines before the variant, verbatim
+  }
+}
+
+// ============================================
+// Playlist
+// ============================================
+
+/**
+ * Master or media playlist
+ * Fields of the other kind stay empty. Single tags are null when absent,
+ * attribute-list tags are attribute objects.
+ */
+export class M3U8 {
+  constructor({ type = 'media' } = {}) {
+    this.type = type;                 // 'master' | 'media'
+    this.version = null;              // #EXT-X-VERSION
+    this.independentSegments = false; // #EXT-X-INDEPENDENT-SEGMENTS
+    this.start = null;                // #EXT-X-START
+    this.defines = [];                // #EXT-X-DEFINE
+    this.tags = [];                   // Other lines before the first segment or variant, verbatim
+    this.trailingTags = [];           // Other lines after the last one, verbatim
+
+    // Master playlists
+    this.renditions = [];             // #EXT-X-MEDIA
+    this.variants = [];               // M3U8Variant[]
+    this.iframeVariants = [];         // #EXT-X-I-FRAME-STREAM-INF (URI is an attribute)
+    this.sessionData = [];            // #EXT-X-SESSION-DATA
+    this.sessionKeys = [];            // #EXT-X-SESSION-KEY
+    this.contentSteering = null;      // #EXT-X-CONTENT-STEERING
+
+    // Media playlists
+    this.targetDuration = null;       // #EXT-X-TARGETDURATION seconds
+    this.mediaSequence = null;        // #EXT-X-MEDIA-SEQUENCE (0 when absent)
+    this.discontinuitySequence = null; // #EXT-X-DISCONTINUITY-SEQUENCE
+    this.playlistType = null;         // #EXT-X-PLAYLIST-TYPE: 'VOD' | 'EVENT'
+    this.iFramesOnly = false;         // #EXT-X-I-FRAMES-ONLY
+    this.serverControl = null;        // #EXT-X-SERVER-CONTROL
+    this.partInf = null;              // #EXT-X-PART-INF
+    this.skip = null;                 // #EXT-X-SKIP
+    this.segments = [];               // M3U8Segment[]
+    this.preloadHints = [];           // #EXT-X-PRELOAD-HINT
+    this.renditionReports = [];       // #EXT-X-RENDITION-REPORT
+    this.endList = false;             // #EXT-X-ENDLIST
+  }
+
+  get isMaster() {
+    return this.type === 'master';
+  }
+
+  /** Total segment duration in seconds */
+  get duration() {
+    return this.segments.reduce((sum, segment) => sum + segment.duration, 0);
+  }
+
+  /**
+   * Write the playlist
+   * @returns {string}
+   */
+  toString() {
+    const lines = ['#EXTM3U'];
+    const header = headerTags(this);
+    const order = new Set([...(headerOrder.get(this) || []), ...header.keys()]);
+    for (const name of order) lines.push(...(header.get(name) || []));
+    lines.push(...this.tags);
+
+    if (this.isMaster) {
+      for (const attrs of this.renditions) lines.push(`#EXT-X-MEDIA:${formatAttributes(attrs)}`);
+      for (const variant of this.variants) {
+        lines.push(...variant.tags, `#EXT-X-STREAM-INF:${formatAttributes(variant.attributes)}`, variant.uri);
+      }
+      for (const attrs of this.iframeVariants) lines.push(`#EXT-X-I-FRAME-STREAM-INF:${formatAttributes(attrs)}`);
+      lines.push(...this.trailingTags);
+      return lines.join('\n') + '\n';
+    }
+
+    if (this.skip) lines.push(`#EXT-X-SKIP:${formatAttributes(this.skip)}`);
+    let previous = null;
+    for (const segment of this.segments) {
+      writeSegment(segment, previous, lines);
+      previous = segment;
+    }
+
+    lines.push(...this.trailingTags);
+    for (const attrs of this.preloadHints) lines.push(`#EXT-X-PRELOAD-HINT:${formatAttributes(attrs)}`);
+    for (const attrs of this.renditionReports) lines.push(`#EXT-X-RENDITION-REPORT:${formatAttributes(attrs)}`);
+    if (this.endList) lines.push('#EXT-X-ENDLIST');
+    return lines.join('\n') + '\n';
+  }
+}
+
+/**
+ * Lines of the tags that describe the whole playlist, by tag name in
+ * the order they're written when the playlist wasn't parsed
+ * @returns {Map<string, string[]>}
+ */
+function headerTags(playlist) {
+  const value = (name, field) => field !== null && field !== undefined ? [`${name}:${field}`] : [];
+  const flag = (name, set) => set ? [name] : [];
+  const attributes = (name, list) => [].concat(list ?? []).map(attrs => `${name}:${formatAttributes(attrs)}`);
+  const common = [
+    ['#EXT-X-INDEPENDENT-SEGMENTS', flag('#EXT-X-INDEPENDENT-SEGMENTS', playlist.independentSegments)],
+    ['#EXT-X-START', attributes('#EXT-X-START', playlist.start)],
+    ['#EXT-X-DEFINE', attributes('#EXT-X-DEFINE', playlist.defines)]
+  ];
+
+  if (playlist.isMaster) {
+    return new Map([
+      ['#EXT-X-VERSION', value('#EXT-X-VERSION', playlist.version)],
+      ...common,
+      ['#EXT-X-CONTENT-STEERING', attributes('#EXT-X-CONTENT-STEERING', playlist.contentSteering)],
+      ['#EXT-X-SESSION-DATA', attributes('#EXT-X-SESSION-DATA', playlist.sessionData)],
+      ['#EXT-X-SESSION-KEY', attributes('#EXT-X-SESSION-KEY', playlist.sessionKeys)]
+    ]);
+  }
+  return new Map([
+    ['#EXT-X-VERSION', value('#EXT-X-VERSION', playlist.version)],
+    ['#EXT-X-TARGETDURATION', value('#EXT-X-TARGETDURATION', playlist.targetDuration)],
+    ['#EXT-X-MEDIA-SEQUENCE', value('#EXT-X-MEDIA-SEQUENCE', playlist.mediaSequence)],
+    ['#EXT-X-DISCONTINUITY-SEQUENCE', value('#EXT-X-DISCONTINUITY-SEQUENCE', playlist.discontinuitySequence)],
+    ['#EXT-X-PLAYLIST-TYPE', value('#EXT-X-PLAYLIST-TYPE', playlist.playlistType)],
+    ['#EXT-X-I-FRAMES-ONLY', flag('#EXT-X-I-FRAMES-ONLY', playlist.iFramesOnly)],
+    ...common,
+    ['#EXT-X-SERVER-CONTROL', attributes('#EXT-X-SERVER-CONTROL', playlist.serverControl)],
+    ['#EXT-X-PART-INF', attributes('#EXT-X-PART-INF', playlist.partInf)]
+  ]);
+}
+
+/**
+ * Write a segment's tags and URI; keys, map and bitrate only where they
+ * differ from the previous segment's
+ */
+function writeSegment(segment, previous, lines) {
+  if (segment.discontinuity) lines.push('#EXT-X-DISCONTINUITY');
+
+  const previousKeys = previous ? previous.keys : [];
+  if (segment.keys !== previousKeys && (segment.keys.length > 0 || previousKeys.length > 0)) {
+    if (segment.keys.length === 0) lines.push('#EXT-X-KEY:METHOD=NONE');
+    for (const attrs of segment.keys) lines.push(`#EXT-X-KEY:${formatAttributes(attrs)}`);
+  }
+  if (segment.map && segment.map !== previous?.map) {
+    lines.push(`#EXT-X-MAP:${formatAttributes(segment.map)}`);
+  }
+  if (segment.programDateTime) lines.push(`#EXT-X-PROGRAM-DATE-TIME:${segment.programDateTime}`);
+  for (const attrs of segment.dateRanges) lines.push(`#EXT-X-DATERANGE:${formatAttributes(attrs)}`);
+  lines.push(...segment.tags);
+  if (segment.gap) lines.push('#EXT-X-GAP');
+  if (segment.bitrate !== null && segment.bitrate !== previous?.bitrate) {
+    lines.push(`#EXT-X-BITRATE:${segment.bitrate}`);
+  }
+  for (const attrs of segment.parts) lines.push(`#EXT-X-PART:${formatAttributes(attrs)}`);
+
+  const written = durationText.get(segment);
+  const duration = written !== undefined && parseFloat(written) === segment.duration
+    ? written
+    : segment.duration.toFixed(6);
+  lines.push(`#EXTINF:${duration},${segment.title}`);
+  if (segment.byteRange) {
+    const { length, offset } = segment.byteRange;
+    lines.push(`#EXT-X-BYTERANGE:${length}${offset !== null && offset !== undefined ? `@${offset}` : ''}`);
+  }
+  lines.push(segment.uri);
+}
+
+// ============================================
+// Parsing
+// ============================================
+
+const MASTER_TAGS = ['#EXT-X-STREAM-INF:', '#EXT-X-I-FRAME-STREAM-INF:', '#EXT-X-MEDIA:'];
+
+/** Tags describing the next segment */
+const SEGMENT_TAGS = new Set([
+  '#EXTINF', '#EXT-X-BYTERANGE', '#EXT-X-DISCONTINUITY', '#EXT-X-KEY', '#EXT-X-MAP',
+  '#EXT-X-PROGRAM-DATE-TIME', '#EXT-X-DATERANGE', '#EXT-X-GAP', '#EXT-X-BITRATE', '#EXT-X-PART'
+]);
+
+/**
+ * Parse a master or media playlist
+ * URIs are kept as written; resolve them against the playlist URL as needed.
+ *
+ * @param {string} text - Playlist content
+ * @returns {M3U8}
+ * @throws {Error} If the text doesn't start with #EXTM3U
+ */
+export function parseM3u8(text) {
+  const lines = text.replace(/^\uFEFF/, '').split(/\r?\n/).map(l => l.trim()).filter(Boolean);
+  if (lines[0] !== '#EXTM3U') {
+    throw new Error('Invalid playlist: missing #EXTM3U header');
+  }
+
+  const isMaster = lines.some(line => MASTER_TAGS.some(tag => line.startsWith(tag)));
+  const playlist = new M3U8({ type: isMaster ? 'master' : 'media' });
+  const parseLine = isMaster ? parseMasterLine : parseMediaLine;
+  const state = { pending: [], streamInf: null, block: null, keys: [], map: null, bitrate: null };
+  const names = new Set();
+
+  for (const line of lines.slice(1)) {
+    const colon = line.indexOf(':');
+    const name = line.startsWith('#') && colon !== -1 ? line.substring(0, colon) : line;
+    const value = colon !== -1 ? line.substring(colon + 1) : null;
+    if (line.startsWith('#')) names.add(name);
+    if (parseCommonLine(playlist, name, value)) continue;
+    parseLine(playlist, state, line, name, value);
+  }
+
+  // Lines after the last segment or variant
+  if (state.block) state.pending = state.block.lines;
+  const target = (isMaster ? playlist.variants : playlist.segments).length > 0 ? playlist.trailingTags : playlist.tags;
+  target.push(...state.pending);
+  headerOrder.set(playlist, [...names]);
+  return playlist;
+}
+
+/**
+ * Tags allowed in both kinds of playlist
+ * @returns {boolean} Whether the tag was one of them
+ */
+function parseCommonLine(playlist, name, value) {
+  switch (name) {
+    case '#EXT-X-VERSION': playlist.version = parseInt(value); return true;
+    case '#EXT-X-INDEPENDENT-SEGMENTS': playlist.independentSegments = true; return true;
+    case '#EXT-X-START': playlist.start = parseAttributes(value); return true;
+    case '#EXT-X-DEFINE': playlist.defines.push(parseAttributes(value)); return true;
+    default: return false;
+  }
+}
+
+function parseMasterLine(playlist, state, line, name, value) {
+  switch (name) {
+    case '#EXT-X-STREAM-INF':
+      state.streamInf = parseAttributes(value);
+      return;
+    case '#EXT-X-I-FRAME-STREAM-INF': playlist.iframeVariants.push(parseAttributes(value)); break;
+    case '#EXT-X-MEDIA': playlist.renditions.push(parseAttributes(value)); break;
+    case '#EXT-X-SESSION-DATA': playlist.sessionData.push(parseAttributes(value)); break;
+    case '#EXT-X-SESSION-KEY': playlist.sessionKeys.push(parseAttributes(value)); break;
+    case '#EXT-X-CONTENT-STEERING': playlist.contentSteering = parseAttributes(value); break;
+    default:
+      if (state.streamInf && !line.startsWith('#')) {
+        playlist.variants.push(new M3U8Variant({ uri: line, attributes: state.streamInf, tags: state.pending }));
+        state.streamInf = null;
+        state.pending = [];
+      } else {
+        state.pending.push(line);
+      }
+      return;
+  }
+  // Lines ahead of the renditions, before any variant, belong to the playlist
+  if (playlist.variants.length === 0) {
+    playlist.tags.push(...state.pending);
+    state.pending = [];
+  }
+}
+
+function parseMediaLine(playlist, state, line, name, value) {
+  switch (name) {
+    case '#EXT-X-TARGETDURATION': playlist.targetDuration = parseInt(value); return;
+    case '#EXT-X-MEDIA-SEQUENCE': playlist.mediaSequence = parseInt(value); return;
+    case '#EXT-X-DISCONTINUITY-SEQUENCE': playlist.discontinuitySequence = parseInt(value); return;
+    case '#EXT-X-PLAYLIST-TYPE': playlist.playlistType = value; return;
+    case '#EXT-X-I-FRAMES-ONLY': playlist.iFramesOnly = true; return;
+    case '#EXT-X-SERVER-CONTROL': playlist.serverControl = parseAttributes(value); return;
+    case '#EXT-X-PART-INF': playlist.partInf = parseAttributes(value); return;
+    case '#EXT-X-SKIP': playlist.skip = parseAttributes(value); return;
+    case '#EXT-X-PRELOAD-HINT': playlist.preloadHints.push(parseAttributes(value)); return;
+    case '#EXT-X-RENDITION-REPORT': playlist.renditionReports.push(parseAttributes(value)); return;
+    case '#EXT-X-ENDLIST': playlist.endList = true; return;
+  }
+
+  const isUri = !line.startsWith('#');
+
+  // Other lines ahead of a segment's own tags: the playlist's before the
+  // first segment, the next segment's after that
+  if (!state.block && !isUri && !SEGMENT_TAGS.has(name)) {
+    (playlist.segments.length === 0 ? playlist.tags : state.pending).push(line);
+    return;
+  }
+
+  // Everything from here up to the URI describes the next segment
+  if (!state.block) {
+    state.block = { lines: [...state.pending], segment: new M3U8Segment({ tags: state.pending }), keys: null };
+    state.pending = [];
+  }
+  const block = state.block;
+  const { segment } = block;
+  block.lines.push(line);
+
+  switch (name) {
+    case '#EXTINF': {
+      const comma = value.indexOf(',');
+      const duration = comma === -1 ? value : value.substring(0, comma);
+      segment.duration = parseFloat(duration) || 0;
+      segment.title = comma === -1 ? '' : value.substring(comma + 1);
+      durationText.set(segment, duration);
+      return;
+    }
+    case '#EXT-X-BYTERANGE': {
+      const [length, offset] = value.split('@');
+      segment.byteRange = { length: parseInt(length), offset: offset !== undefined ? parseInt(offset) : null };
+      return;
+    }
+    case '#EXT-X-DISCONTINUITY': segment.discontinuity = true; return;
+    case '#EXT-X-KEY': (block.keys ||= []).push(parseAttributes(value)); return;
+    case '#EXT-X-MAP': state.map = parseAttributes(value); return;
+    case '#EXT-X-PROGRAM-DATE-TIME': segment.programDateTime = value; return;
+    case '#EXT-X-DATERANGE': segment.dateRanges.push(parseAttributes(value)); return;
+    case '#EXT-X-GAP': segment.gap = true; return;
+    case '#EXT-X-BITRATE': state.bitrate = parseInt(value); return;
+    case '#EXT-X-PART': segment.parts.push(parseAttributes(value)); return;
+  }
+
+  if (!isUri) {
+    segment.tags.push(line);
+    return;
+  }
+
+  // The URI completes the segment
+  if (block.keys) state.keys = block.keys;
+  segment.uri = line;
+  segment.keys = state.keys;
+  segment.map = state.map;
+  segment.bitrate = state.bitrate;
+  playlist.segments.push(segment);
+  state.block = null;
+}
+
+export default parseM3u8;
@@ -14,14 +14,15 @@ import {
     parseChildBoxes,
     createBox,
     getMovieTimescale,
+    assembleMp4,
 } from './fmp4/utils.js';
 import {
     applyClipToTracks,
+    applySmartCut,
     rebuildMdatContent,
     calculateMovieDuration,
     rebuildTrak,
     rebuildMvhd,
-    updateStcoOffsets,
 } from './fmp4/converter.js';
 
 /**
@@ -40,6 +41,21 @@ function convertSamples(parserSamples, timescale) {
     }));
 }
 
+/**
+ * ID3 tags of the timed metadata track that start inside the clip range
+ */
+function collectCues(parser, options) {
+    const startTime = options.startTime || 0;
+    const endTime = options.endTime ?? Infinity;
+    const samples = parser.getMetadataSamples().filter(s => s.size > 0 && s.pts >= startTime && s.pts < endTime);
+    return parser.getSampleData(samples).map(s => ({
+        time: s.pts,
+        clipTime: s.pts - startTime,
+        type: 'id3',
+        payload: s.data,
+    }));
+}
+
 /**
  * Clip a standard MP4 to a time range.
  *
@@ -47,9 +63,37 @@ function convertSamples(parserSamples, timescale) {
  * @param {object} [options]
  * @param {number} [options.startTime] - Start time in seconds
  * @param {number} [options.endTime] - End time in seconds
+ * @param {function} [options.onCues] - Called with the ID3 tags of the timed metadata track that start
+ *   inside the clip: [{ time, clipTime, type: 'id3', payload }], in seconds from the source's start and
+ *   from startTime (the metadata track itself is not kept)
  * @returns {Uint8Array} Clipped MP4 data
  */
 export function clipMp4(mp4Data, options = {}) {
+    if (options.precise) {
+        throw new Error('Precise clipping re-encodes asynchronously: use clipMp4Precise() or toMp4()');
+    }
+    const { clippedTracks, build } = prepareClip(mp4Data, options);
+    return build(clippedTracks);
+}
+
+/**
+ * Clip a standard MP4 to a time range, starting exactly at startTime by
+ * re-encoding the frames up to the next keyframe (see smart-cut.js)
+ *
+ * @param {Uint8Array} mp4Data - Standard MP4 data
+ * @param {object} [options] - clipMp4 options, plus:
+ * @param {function} [options.reencode] - Re-encoding hook (default: WebCodecs)
+ * @returns {Promise<Uint8Array>} Clipped MP4 data
+ */
+export async function clipMp4Precise(mp4Data, options = {}) {
+    const { tracks, clippedTracks, moov, build } = prepareClip(mp4Data, options);
+    return build(await applySmartCut(tracks, clippedTracks, moov, mp4Data, options));
+}
+
+/**
+ * Collect and clip an MP4's samples; build() writes the clipped MP4
+ */
+function prepareClip(mp4Data, options) {
     const parser = new MP4Parser(mp4Data);
     const videoTrack = parser.videoTrack;
     const audioTrack = parser.audioTrack;
@@ -86,6 +130,8 @@ export function clipMp4(mp4Data, options = {}) {
         trackOrder.push(audioTrack.trackId);
     }
 
+    if (options.onCues) options.onCues(collectCues(parser, options));
+
     // Clip samples (reuses fMP4 converter's logic, including A/V sync fix)
     const clippedTracks = applyClipToTracks(tracks, options);
     if (clippedTracks.size === 0) throw new Error('Clip range produced no samples');
@@ -98,35 +144,33 @@ export function clipMp4(mp4Data, options = {}) {
 
     const movieTimescale = getMovieTimescale(moov);
 
-    // Rebuild mdat — sample byteOffsets are absolute file offsets, so pass the
-    // entire file as the source buffer
-    const rebuiltMdat = rebuildMdatContent(clippedTracks, trackOrder, mp4Data);
-    const maxMovieDuration = calculateMovieDuration(clippedTracks, movieTimescale);
-
-    // Rebuild moov with clipped timing
-    const moovChildren = parseChildBoxes(moov);
-    const newMoovParts = [];
-    for (const child of moovChildren) {
-        if (child.type === 'mvex') continue;
-        if (child.type === 'trak') {
-            const trak = rebuildTrak(child, clippedTracks, maxMovieDuration);
-            if (trak) newMoovParts.push(trak);
-        } else if (child.type === 'mvhd') {
-            newMoovParts.push(rebuildMvhd(child, maxMovieDuration));
-        } else {
-            newMoovParts.push(child.data);
+    const build = (clipped) => {
+        // Rebuild mdat — sample byteOffsets are absolute file offsets, so pass the
+        // entire file as the source buffer
+        const rebuiltMdat = rebuildMdatContent(clipped, trackOrder, mp4Data);
+        const maxMovieDuration = calculateMovieDuration(clipped, movieTimescale);
+
+        // Rebuild moov with clipped timing
+        const moovChildren = parseChildBoxes(moov);
+        const newMoovParts = [];
+        for (const child of moovChildren) {
+            if (child.type === 'mvex') continue;
+            if (child.type === 'trak') {
+                const trak = rebuildTrak(child, clipped, maxMovieDuration);
+                if (trak) newMoovParts.push(trak);
+            } else if (child.type === 'mvhd') {
+                newMoovParts.push(rebuildMvhd(child, maxMovieDuration));
+            } else {
+                newMoovParts.push(child.data);
+            }
         }
-    }
 
-    // Assemble final MP4: ftyp + moov + mdat
-    const newMoov = createBox('moov', ...newMoovParts);
-    const newMdat = createBox('mdat', rebuiltMdat);
-    const output = new Uint8Array(ftyp.size + newMoov.byteLength + newMdat.byteLength);
-    output.set(ftyp.data, 0);
-    output.set(newMoov, ftyp.size);
-    output.set(newMdat, ftyp.size + newMoov.byteLength);
-    updateStcoOffsets(output, ftyp.size, newMoov.byteLength);
-    return output;
+        // Assemble final MP4: ftyp + moov + mdat
+        const newMoov = createBox('moov', ...newMoovParts);
+        return assembleMp4(ftyp.data, newMoov, rebuiltMdat);
+    };
+
+    return { tracks, clippedTracks, moov, build };
 }
 
 export default clipMp4;
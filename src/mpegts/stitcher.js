@@ -4,8 +4,9 @@
  * Pure JavaScript - no dependencies
  */
 
-import { TSParser } from '../parsers/mpegts.js';
+import { TSParser, isKeyframe, getCodecInfo } from '../parsers/mpegts.js';
 import { MP4Muxer } from '../muxers/mp4.js';
+import { createFragmentedMp4, joinFragmentedMp4 } from '../muxers/fmp4.js';
 import { TSMuxer } from '../muxers/mpegts.js';
 
 // ============================================
@@ -22,17 +23,6 @@ function normalizeInput(input) {
   return input;
 }
 
-/**
- * Check if a video access unit contains a keyframe (IDR NAL unit)
- */
-function isKeyframe(accessUnit) {
-  for (const nalUnit of accessUnit.nalUnits) {
-    const nalType = nalUnit[0] & 0x1F;
-    if (nalType === 5) return true; // IDR slice
-  }
-  return false;
-}
-
 /**
  * Calculate segment duration from timestamps
  * Returns duration in PTS ticks (90kHz)
@@ -54,9 +44,10 @@ function getSegmentDuration(timestamps) {
  * @param {number} dataLength - Length of AAC data (without header)
  * @param {number} sampleRate - Audio sample rate
  * @param {number} channels - Number of audio channels
+ * @param {number} [objectType=2] - AAC audio object type (1-4; default AAC-LC)
  * @returns {Uint8Array} 7-byte ADTS header
  */
-function buildAdtsHeader(dataLength, sampleRate, channels) {
+function buildAdtsHeader(dataLength, sampleRate, channels, objectType = 2) {
   const SAMPLE_RATES = [96000, 88200, 64000, 48000, 44100, 32000, 24000, 22050, 16000, 12000, 11025, 8000, 7350];
   const samplingFreqIndex = SAMPLE_RATES.indexOf(sampleRate);
   const freqIndex = samplingFreqIndex >= 0 ? samplingFreqIndex : 3; // Default to 48000
@@ -66,7 +57,7 @@ function buildAdtsHeader(dataLength, sampleRate, channels) {
   const header = new Uint8Array(7);
   header[0] = 0xFF; // Sync word
   header[1] = 0xF1; // MPEG-4, Layer 0, no CRC
-  header[2] = (1 << 6) | (freqIndex << 2) | ((channels >> 2) & 0x01); // AAC-LC, freq index, channel config high bit
+  header[2] = ((objectType - 1) << 6) | (freqIndex << 2) | ((channels >> 2) & 0x01); // Profile, freq index, channel config high bit
   header[3] = ((channels & 0x03) << 6) | ((frameLength >> 11) & 0x03);
   header[4] = (frameLength >> 3) & 0xFF;
   header[5] = ((frameLength & 0x07) << 5) | 0x1F;
@@ -76,7 +67,26 @@ function buildAdtsHeader(dataLength, sampleRate, channels) {
 }
 
 /**
- * Extract SPS and PPS from video access units
+ * AAC object type for the ADTS headers of a parser's audio, for muxing it
+ * back into TS. ADTS input has no audioConfig; LATM input is already split
+ * into raw AAC frames, so it can be written as ADTS too when ADTS can
+ * signal its object type (1-4).
+ * @param {object|null} audioConfig - TSParser audioConfig
+ * @param {string} message - Error for audio that isn't AAC
+ * @returns {number}
+ */
+function adtsObjectType(audioConfig, message) {
+  if (!audioConfig) return 2;
+  if (audioConfig.codec !== 'aac') throw new Error(message);
+  if (audioConfig.objectType > 4) {
+    throw new Error(`AAC-LATM audio object type ${audioConfig.objectType} cannot be rewritten as ADTS for MPEG-TS output`);
+  }
+  return audioConfig.objectType;
+}
+
+/**
+ * Extract SPS and PPS from H.264 video access units
+ * TSMuxer writes H.264 only, so callers check the stream type first.
  */
 function extractSpsPps(videoAccessUnits) {
   let sps = null;
@@ -101,16 +111,46 @@ function extractSpsPps(videoAccessUnits) {
 /**
  * Parse multiple TS segments and combine with continuous timestamps
  *
+ * Consecutive segments with the same discontinuity sequence form a run
+ * sharing one timeline: they keep their original spacing. Each run starts
+ * where the previous one ended, whatever its own timestamps are. Without
+ * discontinuity sequences every segment is a run of its own.
+ *
  * @param {Uint8Array[]} segments - Array of TS segment data
+ * @param {object} [options]
+ * @param {number[]} [options.discontinuitySequences] - HLS discontinuity sequence of each segment
  * @returns {object} Combined parser-like object compatible with MP4Muxer
  */
-function parseAndCombineSegments(segments) {
+function parseAndCombineSegments(segments, options = {}) {
   if (!segments || segments.length === 0) {
     throw new Error('stitchTs: At least one segment is required');
   }
+  const sequences = options.discontinuitySequences;
+  if (sequences && sequences.length !== segments.length) {
+    throw new Error('stitchTs: discontinuitySequences must have one entry per segment');
+  }
 
   let runningVideoPts = 0;
   let runningAudioPts = 0;
+  // Carried between segments so a 33-bit PTS rollover at a segment
+  // boundary unwraps the same way as one inside a segment
+  let timestampReference = null;
+
+  // Current run: its sequence, first source timestamp, where it was placed,
+  // and its length so far (from its first timestamp to the end of its last segment)
+  let run = null;
+  const endRun = () => {
+    if (!run) return;
+    runningVideoPts = run.video.base + run.video.duration;
+    runningAudioPts = run.audio.base + run.audio.duration;
+    run = null;
+  };
+  const extendRun = (track, timestamps, offset) => {
+    if (timestamps.length === 0) return;
+    const start = timestamps[0] + offset;
+    if (track.start === null) track.start = start;
+    track.duration = start - track.start + getSegmentDuration(timestamps);
+  };
 
   const combined = {
     videoAccessUnits: [],
@@ -121,16 +161,24 @@ function parseAndCombineSegments(segments) {
     // Metadata from first segment with data
     audioSampleRate: null,
     audioChannels: null,
+    audioFrameSize: null,
+    audioConfig: null,
     videoStreamType: null,
     audioStreamType: null
   };
 
   for (let i = 0; i < segments.length; i++) {
     const segmentData = normalizeInput(segments[i]);
+    const sequence = sequences ? sequences[i] : i;
+    if (run && run.sequence !== sequence) endRun();
+    // Timestamps after a discontinuity are unrelated to the ones before
+    if (sequences && i > 0 && sequence !== sequences[i - 1]) timestampReference = null;
 
     const parser = new TSParser();
+    parser.timestampReference = timestampReference;
     parser.parse(segmentData);
     parser.finalize();
+    timestampReference = parser.timestampReference;
 
     // Skip empty segments
     if (parser.videoAccessUnits.length === 0 && parser.audioAccessUnits.length === 0) {
@@ -141,6 +189,8 @@ function parseAndCombineSegments(segments) {
     if (combined.audioSampleRate === null && parser.audioSampleRate) {
       combined.audioSampleRate = parser.audioSampleRate;
       combined.audioChannels = parser.audioChannels;
+      combined.audioFrameSize = parser.audioFrameSize;
+      combined.audioConfig = parser.audioConfig;
     }
     if (combined.videoStreamType === null && parser.videoStreamType) {
       combined.videoStreamType = parser.videoStreamType;
@@ -149,34 +199,43 @@ function parseAndCombineSegments(segments) {
       combined.audioStreamType = parser.audioStreamType;
     }
 
-    // Calculate this segment's duration for next offset
-    const segmentVideoDuration = getSegmentDuration(parser.videoDts);
-    const segmentAudioDuration = getSegmentDuration(parser.audioPts);
+    // finalize() rebased this segment to zero; undo that relative to the run's first segment
+    const timestampOffset = parser.debug.timestampOffset || 0;
+    if (!run) {
+      run = {
+        sequence,
+        origin: timestampOffset,
+        video: { base: runningVideoPts, start: null, duration: 0 },
+        audio: { base: runningAudioPts, start: null, duration: 0 }
+      };
+    }
+    const videoOffset = run.video.base + timestampOffset - run.origin;
+    const audioOffset = run.audio.base + timestampOffset - run.origin;
 
     // Offset and append video access units
     for (const au of parser.videoAccessUnits) {
       combined.videoAccessUnits.push({
         nalUnits: au.nalUnits,
-        pts: au.pts + runningVideoPts,
-        dts: au.dts + runningVideoPts
+        pts: au.pts + videoOffset,
+        dts: au.dts + videoOffset
       });
-      combined.videoPts.push(au.pts + runningVideoPts);
-      combined.videoDts.push(au.dts + runningVideoPts);
+      combined.videoPts.push(au.pts + videoOffset);
+      combined.videoDts.push(au.dts + videoOffset);
     }
 
     // Offset and append audio access units
     for (const au of parser.audioAccessUnits) {
       combined.audioAccessUnits.push({
         data: au.data,
-        pts: au.pts + runningAudioPts
+        pts: au.pts + audioOffset
       });
-      combined.audioPts.push(au.pts + runningAudioPts);
+      combined.audioPts.push(au.pts + audioOffset);
     }
 
-    // Advance running offsets for next segment
-    runningVideoPts += segmentVideoDuration;
-    runningAudioPts += segmentAudioDuration;
+    extendRun(run.video, parser.videoDts, videoOffset);
+    extendRun(run.audio, parser.audioPts, audioOffset);
   }
+  endRun();
 
   if (combined.videoAccessUnits.length === 0) {
     throw new Error('stitchTs: No video frames found in any segment');
@@ -193,28 +252,44 @@ function parseAndCombineSegments(segments) {
  * Stitch multiple MPEG-TS segments into a single standard MP4
  *
  * @param {(Uint8Array | ArrayBuffer)[]} segments - Array of TS segment data
+ * @param {object} [options]
+ * @param {'mp4'|'fmp4'} [options.output='mp4'] - 'fmp4' writes an init segment plus one fragment per GOP
+ * @param {number[]} [options.discontinuitySequences] - HLS discontinuity sequence of each segment;
+ *   segments sharing one keep their original spacing instead of being butted together
  * @returns {Uint8Array} MP4 data
  *
  * @example
  * const mp4Data = stitchTs([segment1, segment2, segment3]);
  */
-export function stitchTs(segments) {
-  const combined = parseAndCombineSegments(segments);
+export function stitchTs(segments, options = {}) {
+  const combined = parseAndCombineSegments(segments, options);
+  if (options.output === 'fmp4') {
+    return joinFragmentedMp4(createFragmentedMp4(combined));
+  }
   const muxer = new MP4Muxer(combined);
   return muxer.build();
 }
 
 /**
  * Concatenate multiple MPEG-TS segments into a single continuous TS stream
+ * Video must be H.264. AAC audio is written as ADTS, LATM included; H.265,
+ * MPEG-2 video, MP3 and AC-3 audio need stitchTs.
  *
  * @param {(Uint8Array | ArrayBuffer)[]} segments - Array of TS segment data
+ * @param {object} [options]
+ * @param {number[]} [options.discontinuitySequences] - HLS discontinuity sequence of each segment (see stitchTs)
  * @returns {Uint8Array} Combined MPEG-TS data with continuous timestamps
  *
  * @example
  * const tsData = concatTs([segment1, segment2, segment3]);
  */
-export function concatTs(segments) {
-  const combined = parseAndCombineSegments(segments);
+export function concatTs(segments, options = {}) {
+  const combined = parseAndCombineSegments(segments, options);
+  const objectType = adtsObjectType(combined.audioConfig,
+    'concatTs: only AAC audio can be rewritten as TS - use stitchTs for MP3/AC-3 audio');
+  if (combined.videoStreamType !== 0x1B) {
+    throw new Error(`concatTs: ${getCodecInfo(combined.videoStreamType).name} video cannot be rewritten as TS - use stitchTs`);
+  }
   const { sps, pps } = extractSpsPps(combined.videoAccessUnits);
 
   const muxer = new TSMuxer();
@@ -230,7 +305,7 @@ export function concatTs(segments) {
 
   for (const au of combined.audioAccessUnits) {
     // Build ADTS frame from raw AAC data
-    const header = buildAdtsHeader(au.data.length, sampleRate, channels);
+    const header = buildAdtsHeader(au.data.length, sampleRate, channels, objectType);
     const adtsFrame = new Uint8Array(header.length + au.data.length);
     adtsFrame.set(header, 0);
     adtsFrame.set(au.data, header.length);
@@ -239,7 +314,7 @@ export function concatTs(segments) {
 
   // Add video samples using NAL units directly
   for (const au of combined.videoAccessUnits) {
-    const isKey = isKeyframe(au);
+    const isKey = isKeyframe(au, combined.videoStreamType);
     muxer.addVideoNalUnits(au.nalUnits, isKey, au.pts, au.dts);
   }
 
@@ -247,5 +322,5 @@ export function concatTs(segments) {
   return muxer.build();
 }
 
-export { parseAndCombineSegments, isKeyframe, extractSpsPps };
+export { parseAndCombineSegments, isKeyframe, extractSpsPps, buildAdtsHeader, adtsObjectType };
 export default stitchTs;
@@ -3,13 +3,18 @@
  *
  * Creates CMAF-compliant fMP4 init segments and media fragments
  * from parsed TS data (NAL units + AAC frames). Used by the HLS
- * clipper to produce frame-accurate fMP4/CMAF output.
+ * clipper to produce frame-accurate fMP4/CMAF output, and by
+ * toMp4's `output: 'fmp4'` mode via createFragmentedMp4().
  *
  * @module muxers/fmp4
  */
 
-import { createBox } from '../fmp4/utils.js';
-import { parseSPS } from './mp4.js';
+import { createBox, parseBoxes } from '../fmp4/utils.js';
+import {
+  parseSPS, parseHevcSPS, parseMpeg2SequenceHeader, buildHvcC, buildAudioSampleEntry, buildMpeg2SampleEntry,
+  prefixNalUnit, collectSampleDescriptions
+} from './mp4.js';
+import { isKeyframe } from '../parsers/mpegts.js';
 
 // ── helpers ───────────────────────────────────────────────
 
@@ -26,6 +31,13 @@ function strToBytes(s) {
   return new Uint8Array([...s].map(c => c.charCodeAt(0)));
 }
 
+function concatBytes(parts) {
+  const result = new Uint8Array(parts.reduce((sum, part) => sum + part.byteLength, 0));
+  let offset = 0;
+  for (const part of parts) { result.set(part, offset); offset += part.byteLength; }
+  return result;
+}
+
 // ── init segment ──────────────────────────────────────────
 
 /**
@@ -62,54 +74,46 @@ function buildAvcC(sps, pps) {
   return createBox('avcC', data);
 }
 
-/**
- * Build an esds box for AAC audio.
- */
-function buildEsds(sampleRate, channels) {
-  const SAMPLE_RATE_INDEX = {
-    96000: 0, 88200: 1, 64000: 2, 48000: 3, 44100: 4, 32000: 5,
-    24000: 6, 22050: 7, 16000: 8, 12000: 9, 11025: 10, 8000: 11, 7350: 12
-  };
-  const samplingFreqIndex = SAMPLE_RATE_INDEX[sampleRate] ?? 4;
-  const audioConfig = ((2 << 11) | (samplingFreqIndex << 7) | (channels << 3)) & 0xFFFF;
-
-  const data = new Uint8Array([
-    0x00, 0x00, 0x00, 0x00,
-    0x03, 0x19, 0x00, 0x02, 0x00,
-    0x04, 0x11, 0x40, 0x15,
-    0x00, 0x00, 0x00,
-    0x00, 0x01, 0xF4, 0x00,
-    0x00, 0x01, 0xF4, 0x00,
-    0x05, 0x02,
-    (audioConfig >> 8) & 0xFF, audioConfig & 0xFF,
-    0x06, 0x01, 0x02
-  ]);
-  return createBox('esds', data);
-}
-
 /**
  * Create a CMAF init segment (ftyp + moov) from codec parameters.
  *
  * @param {object} codecInfo
- * @param {Uint8Array} codecInfo.sps - H.264 SPS NAL unit
- * @param {Uint8Array} codecInfo.pps - H.264 PPS NAL unit
+ * @param {Uint8Array} codecInfo.sps - H.264 or H.265 SPS NAL unit (MPEG-2: sequence header)
+ * @param {Uint8Array} codecInfo.pps - H.264 or H.265 PPS NAL unit (MPEG-2: sequence extension)
+ * @param {Uint8Array} [codecInfo.vps] - H.265 VPS NAL unit
+ * @param {Array<{sps: Uint8Array, pps: Uint8Array, vps?: Uint8Array}>} [codecInfo.sampleDescriptions] - One video
+ *   sample entry per parameter set (fragments pick one via sampleDescriptionIndex); defaults to [{ sps, pps, vps }]
+ * @param {'avc'|'hevc'|'mpeg2'} [codecInfo.videoCodec='avc']
+ * @param {'hvc1'|'hev1'} [codecInfo.hevcSampleEntry='hvc1']
  * @param {number} [codecInfo.audioSampleRate=48000]
  * @param {number} [codecInfo.audioChannels=2]
+ * @param {object|null} [codecInfo.audioConfig] - TSParser audioConfig for MP3/AC-3/E-AC-3/LATM AAC; null for ADTS AAC
  * @param {boolean} [codecInfo.hasAudio=true]
  * @param {number} [codecInfo.videoTimescale=90000]
  * @param {number} [codecInfo.audioTimescale] - defaults to audioSampleRate
+ * @param {number} [codecInfo.videoMediaTime=0] - Video edit list start (in videoTimescale ticks)
+ * @param {number} [codecInfo.videoPlaybackDuration=0] - Edit list duration in milliseconds
  * @returns {Uint8Array}
  */
 export function createInitSegment(codecInfo) {
   const {
-    sps, pps,
+    sps, pps, vps,
+    videoCodec = 'avc',
+    hevcSampleEntry = 'hvc1',
     audioSampleRate = 48000,
     audioChannels = 2,
     hasAudio = true,
     videoTimescale = 90000,
+    videoMediaTime = 0,
+    videoPlaybackDuration = 0,
   } = codecInfo;
   const audioTimescale = codecInfo.audioTimescale || audioSampleRate;
-  const { width, height } = parseSPS(sps);
+  const isHevc = videoCodec === 'hevc';
+  const isMpeg2 = videoCodec === 'mpeg2';
+  const sampleDescriptions = codecInfo.sampleDescriptions || [{ sps, pps, vps }];
+  const dimensions = (d) => isMpeg2 ? parseMpeg2SequenceHeader(d.sps, d.pps)
+    : isHevc ? parseHevcSPS(d.sps) : parseSPS(d.sps);
+  const { width, height } = dimensions(sampleDescriptions[0]);
 
   const VIDEO_TRACK_ID = 1;
   const AUDIO_TRACK_ID = 2;
@@ -127,29 +131,27 @@ export function createInitSegment(codecInfo) {
   const mvhd = createFullBox('mvhd', 0, 0, mvhdData);
 
   // ── video trak ──
-  const videoTrak = buildInitTrak(VIDEO_TRACK_ID, 'vide', videoTimescale, width, height, () => {
-    const avcC = buildAvcC(sps, pps);
-    const avc1Data = new Uint8Array(78 + avcC.byteLength);
-    const v = new DataView(avc1Data.buffer);
-    v.setUint16(6, 1); v.setUint16(24, width); v.setUint16(26, height);
+  const videoTrak = buildInitTrak(VIDEO_TRACK_ID, 'vide', videoTimescale, width, height, () => sampleDescriptions.map(d => {
+    if (isMpeg2) return buildMpeg2SampleEntry(d);
+    const config = isHevc
+      ? buildHvcC(d.vps ? [d.vps] : [], [d.sps], [d.pps], hevcSampleEntry === 'hvc1')
+      : buildAvcC(d.sps, d.pps);
+    const dims = dimensions(d);
+    const entryData = new Uint8Array(78 + config.byteLength);
+    const v = new DataView(entryData.buffer);
+    v.setUint16(6, 1); v.setUint16(24, dims.width); v.setUint16(26, dims.height);
     v.setUint32(28, 0x00480000); v.setUint32(32, 0x00480000);
     v.setUint16(40, 1); v.setUint16(74, 0x0018); v.setInt16(76, -1);
-    avc1Data.set(avcC, 78);
-    return createBox('avc1', avc1Data);
-  });
+    entryData.set(config, 78);
+    return createBox(isHevc ? hevcSampleEntry : 'avc1', entryData);
+  }), buildEdts(videoMediaTime, videoPlaybackDuration));
 
   // ── audio trak ──
   let audioTrak = null;
   if (hasAudio) {
-    audioTrak = buildInitTrak(AUDIO_TRACK_ID, 'soun', audioTimescale, 0, 0, () => {
-      const esds = buildEsds(audioSampleRate, audioChannels);
-      const mp4aData = new Uint8Array(28 + esds.byteLength);
-      const v = new DataView(mp4aData.buffer);
-      v.setUint16(6, 1); v.setUint16(16, audioChannels); v.setUint16(18, 16);
-      v.setUint32(24, audioTimescale << 16);
-      mp4aData.set(esds, 28);
-      return createBox('mp4a', mp4aData);
-    });
+    audioTrak = buildInitTrak(AUDIO_TRACK_ID, 'soun', audioTimescale, 0, 0, () => [
+      buildAudioSampleEntry({ timescale: audioTimescale, channels: audioChannels, config: codecInfo.audioConfig })
+    ]);
   }
 
   // ── mvex (track extends for fragmented mode) ──
@@ -170,10 +172,25 @@ export function createInitSegment(codecInfo) {
   return result;
 }
 
+/**
+ * Build an edts box that starts presentation at mediaTime, or null if not needed.
+ */
+function buildEdts(mediaTime, playbackDuration) {
+  if (!mediaTime) return null;
+  const elstData = new Uint8Array(16);
+  const view = new DataView(elstData.buffer);
+  view.setUint32(0, 1);                // entry_count
+  view.setUint32(4, playbackDuration); // segment_duration (movie timescale)
+  view.setInt32(8, mediaTime);         // media_time
+  view.setUint16(12, 1);               // media_rate_integer
+  return createBox('edts', createFullBox('elst', 0, 0, elstData));
+}
+
 /**
  * Build a trak box for the init segment (empty sample tables).
+ * buildSampleEntries returns the stsd entries, in sample description index order.
  */
-function buildInitTrak(trackId, handlerType, timescale, width, height, buildSampleEntry) {
+function buildInitTrak(trackId, handlerType, timescale, width, height, buildSampleEntries, edts = null) {
   // tkhd
   const tkhdData = new Uint8Array(80);
   const tkhdView = new DataView(tkhdData.buffer);
@@ -210,10 +227,10 @@ function buildInitTrak(trackId, handlerType, timescale, width, height, buildSamp
   const dinf = createBox('dinf', dref);
 
   // stbl (empty sample tables for init segment)
-  const sampleEntry = buildSampleEntry();
+  const sampleEntries = buildSampleEntries();
   const stsdHeader = new Uint8Array(4);
-  new DataView(stsdHeader.buffer).setUint32(0, 1);
-  const stsd = createFullBox('stsd', 0, 0, stsdHeader, sampleEntry);
+  new DataView(stsdHeader.buffer).setUint32(0, sampleEntries.length);
+  const stsd = createFullBox('stsd', 0, 0, stsdHeader, ...sampleEntries);
 
   const emptyStts = createFullBox('stts', 0, 0, new Uint8Array(4));
   const emptyStsc = createFullBox('stsc', 0, 0, new Uint8Array(4));
@@ -223,7 +240,7 @@ function buildInitTrak(trackId, handlerType, timescale, width, height, buildSamp
 
   const minf = createBox('minf', xmhd, dinf, stbl);
   const mdia = createBox('mdia', mdhd, hdlr, minf);
-  return createBox('trak', tkhd, mdia);
+  return edts ? createBox('trak', tkhd, edts, mdia) : createBox('trak', tkhd, mdia);
 }
 
 /**
@@ -256,7 +273,9 @@ function buildTrex(trackId) {
  * @param {number} [opts.audioTimescale=48000] - Audio timescale
  * @param {number} [opts.videoBaseTime=0] - Video base decode time (in videoTimescale ticks)
  * @param {number} [opts.audioBaseTime=0] - Audio base decode time (in audioTimescale ticks)
- * @param {number} [opts.audioSampleDuration=1024] - AAC frame duration in audio timescale
+ * @param {number} [opts.audioSampleDuration=1024] - Audio frame duration in audio timescale (1024 for AAC)
+ * @param {number} [opts.videoStreamType=0x1B] - TS stream type, for keyframe detection and sample data format
+ * @param {number} [opts.sampleDescriptionIndex=1] - Video stsd entry (1-based) the samples decode with
  * @returns {Uint8Array} moof + mdat
  */
 export function createFragment(opts) {
@@ -269,6 +288,8 @@ export function createFragment(opts) {
     videoBaseTime = 0,
     audioBaseTime = 0,
     audioSampleDuration = 1024,
+    videoStreamType = 0x1B,
+    sampleDescriptionIndex = 1,
   } = opts;
 
   const VIDEO_TRACK_ID = 1;
@@ -282,19 +303,13 @@ export function createFragment(opts) {
     let sampleSize = 0;
     const parts = [];
     for (const nalUnit of au.nalUnits) {
-      const prefixed = new Uint8Array(4 + nalUnit.length);
-      new DataView(prefixed.buffer).setUint32(0, nalUnit.length);
-      prefixed.set(nalUnit, 4);
+      const prefixed = prefixNalUnit(nalUnit, videoStreamType);
       parts.push(prefixed);
       sampleSize += prefixed.length;
     }
     videoChunks.push(parts);
 
-    // Detect keyframe (IDR NAL type 5)
-    let isKeyframe = false;
-    for (const nalUnit of au.nalUnits) {
-      if ((nalUnit[0] & 0x1F) === 5) { isKeyframe = true; break; }
-    }
+    const keyframe = isKeyframe(au, videoStreamType);
 
     const duration = i < videoSamples.length - 1
       ? videoSamples[i + 1].dts - au.dts
@@ -304,7 +319,7 @@ export function createFragment(opts) {
     videoMeta.push({
       size: sampleSize,
       duration,
-      flags: isKeyframe ? 0x02000000 : 0x01010000,
+      flags: keyframe ? 0x02000000 : 0x01010000,
       compositionTimeOffset,
     });
   }
@@ -329,7 +344,7 @@ export function createFragment(opts) {
   // 2. Measure moof size
   // 3. Patch data_offsets
 
-  const videoTraf = buildTraf(VIDEO_TRACK_ID, videoBaseTime, videoMeta, true);
+  const videoTraf = buildTraf(VIDEO_TRACK_ID, videoBaseTime, videoMeta, true, 0, sampleDescriptionIndex);
   const audioTraf = audioMeta.length > 0
     ? buildTraf(AUDIO_TRACK_ID, audioBaseTime, audioMeta, false, audioSampleDuration)
     : null;
@@ -376,11 +391,14 @@ export function createFragment(opts) {
 /**
  * Build a traf box for one track.
  */
-function buildTraf(trackId, baseDecodeTime, sampleMeta, isVideo, defaultDuration = 0) {
-  // tfhd: track_id only, no defaults in header
-  const tfhdFlags = 0x020000; // default-base-is-moof
-  const tfhdData = new Uint8Array(4);
-  new DataView(tfhdData.buffer).setUint32(0, trackId);
+function buildTraf(trackId, baseDecodeTime, sampleMeta, isVideo, defaultDuration = 0, sampleDescriptionIndex = 1) {
+  // tfhd: track_id, plus sample_description_index when it isn't trex's default
+  const hasIndex = sampleDescriptionIndex !== 1;
+  const tfhdFlags = 0x020000 | (hasIndex ? 0x000002 : 0); // default-base-is-moof
+  const tfhdData = new Uint8Array(hasIndex ? 8 : 4);
+  const tfhdView = new DataView(tfhdData.buffer);
+  tfhdView.setUint32(0, trackId);
+  if (hasIndex) tfhdView.setUint32(4, sampleDescriptionIndex);
   const tfhd = createFullBox('tfhd', 0, tfhdFlags, tfhdData);
 
   // tfdt: base media decode time
@@ -490,4 +508,177 @@ function patchTrunDataOffset(moof, targetTrackId, dataOffset) {
   }
 }
 
-export default { createInitSegment, createFragment, createCmafFtyp };
+// ── event messages ────────────────────────────────────────
+
+/** emsg scheme for ID3 tags (AOM "Carriage of ID3 Timed Metadata in CMAF") */
+const ID3_SCHEME = 'https://aomedia.org/emsg/ID3';
+
+/**
+ * Build a version 1 emsg box carrying an ID3 tag
+ * @param {Uint8Array} tag - ID3 tag
+ * @param {number} presentationTime - On the video track's timeline, in 90kHz ticks
+ * @param {number} id - Event id, unique within the stream
+ * @returns {Uint8Array}
+ */
+export function createId3Emsg(tag, presentationTime, id) {
+  const scheme = strToBytes(ID3_SCHEME);
+  // timescale, presentation_time (64-bit), event_duration (unknown), id,
+  // scheme_id_uri and an empty value, both null-terminated
+  const fields = new Uint8Array(20 + scheme.length + 2);
+  const view = new DataView(fields.buffer);
+  view.setUint32(0, 90000);
+  view.setUint32(4, Math.floor(presentationTime / 0x100000000));
+  view.setUint32(8, presentationTime >>> 0);
+  view.setUint32(12, 0xFFFFFFFF);
+  view.setUint32(16, id);
+  fields.set(scheme, 20);
+  return createFullBox('emsg', 1, 0, fields, tag);
+}
+
+// ── whole-file fragmentation ──────────────────────────────
+
+/**
+ * Remux parsed TS data into a fragmented MP4: init segment + one
+ * fragment per GOP. Takes the same parser-shaped input as MP4Muxer.
+ * ID3 tags in the parser's metadataEvents go into emsg boxes ahead of
+ * the fragment they fall in.
+ *
+ * @param {object} parser - TSParser (or combined segments) after finalize()
+ * @param {object} [options]
+ * @param {number} [options.preroll=0] - Pre-roll in 90kHz ticks, hidden via edit list
+ * @param {'hvc1'|'hev1'} [options.hevcSampleEntry='hvc1']
+ * @param {number[]} [options.fragmentStarts] - Video access units that start a fragment
+ *   (default: every keyframe), e.g. to cut whole HLS segments
+ * @returns {{ init: Uint8Array, fragments: Uint8Array[], starts: number[] }}
+ *   starts: the first video access unit of each fragment
+ */
+export function createFragmentedMp4(parser, options = {}) {
+  const videoAUs = parser.videoAccessUnits;
+  const audioAUs = parser.audioAccessUnits;
+  const streamType = parser.videoStreamType || 0x1B;
+  const isHevc = streamType === 0x24;
+  const isMpeg2 = streamType === 0x02;
+  if (videoAUs.length === 0) {
+    throw new Error('No video frames to fragment');
+  }
+
+  // One sample entry per distinct set of parameter sets in the stream
+  const { descriptions, runs } = collectSampleDescriptions(videoAUs, streamType);
+  // (MPEG-1 video has a sequence header but no sequence extension)
+  if (descriptions.length === 0 || descriptions.some(d => !d.sps || (!d.pps && !isMpeg2))) {
+    throw new Error('Video stream has no SPS/PPS - cannot build fMP4 init segment');
+  }
+
+  const sampleRate = parser.audioSampleRate || 48000;
+  const audioSampleDuration = parser.audioFrameSize || 1024;
+  const hasAudio = audioAUs.length > 0;
+
+  // tfdt can't be negative: shift both tracks if B-frames pushed DTS below zero
+  const shift = Math.min(0, videoAUs[0].dts);
+  const preroll = options.preroll || 0;
+  const mediaTime = (preroll > 0 ? preroll : videoAUs[0].pts) - shift;
+  const lastAU = videoAUs[videoAUs.length - 1];
+  const frameDuration = videoAUs.length > 1 ? lastAU.dts - videoAUs[videoAUs.length - 2].dts : 3003;
+  const totalDuration = lastAU.dts + frameDuration - videoAUs[0].dts;
+  const playbackMs = Math.round(Math.max(0, totalDuration - preroll) / 90);
+
+  const init = createInitSegment({
+    sampleDescriptions: descriptions,
+    videoCodec: isMpeg2 ? 'mpeg2' : isHevc ? 'hevc' : 'avc',
+    hevcSampleEntry: options.hevcSampleEntry,
+    audioSampleRate: sampleRate,
+    audioChannels: parser.audioChannels || 2,
+    audioConfig: parser.audioConfig ?? null,
+    hasAudio,
+    videoMediaTime: mediaTime,
+    videoPlaybackDuration: playbackMs,
+  });
+
+  // GOP boundaries (the first fragment starts at 0 even without a keyframe);
+  // a fragment also ends wherever the sample description changes
+  const runStarts = new Set(runs.map(run => run.start));
+  const fragmentStarts = options.fragmentStarts ? new Set(options.fragmentStarts) : null;
+  const gopStarts = [0];
+  for (let i = 1; i < videoAUs.length; i++) {
+    const starts = fragmentStarts ? fragmentStarts.has(i) : isKeyframe(videoAUs[i], streamType);
+    if (starts || runStarts.has(i)) gopStarts.push(i);
+  }
+  const runIndexAt = (i) => runs.findLast(run => run.start <= i).index;
+
+  const id3 = (parser.metadataEvents || []).filter(event => event.type === 'id3');
+  let id3Index = 0;
+
+  const fragments = [];
+  let audioIndex = 0;
+  let audioBaseTime = hasAudio ? Math.max(0, Math.round((audioAUs[0].pts - shift) * sampleRate / 90000)) : 0;
+  for (let g = 0; g < gopStarts.length; g++) {
+    const videoSamples = videoAUs.slice(gopStarts[g], gopStarts[g + 1] ?? videoAUs.length);
+    // Audio up to the next GOP's first DTS; the last fragment takes the rest
+    const endDts = g + 1 < gopStarts.length ? videoAUs[gopStarts[g + 1]].dts : Infinity;
+    const audioStart = audioIndex;
+    while (audioIndex < audioAUs.length && audioAUs[audioIndex].pts < endDts) audioIndex++;
+    const audioSamples = audioAUs.slice(audioStart, audioIndex);
+
+    const emsgs = [];
+    while (id3Index < id3.length && id3[id3Index].pts < endDts) {
+      const event = id3[id3Index];
+      emsgs.push(createId3Emsg(event.payload, Math.max(0, Math.round(event.pts - shift)), id3Index++));
+    }
+
+    const fragment = createFragment({
+      videoSamples,
+      audioSamples,
+      sequenceNumber: g + 1,
+      videoTimescale: 90000,
+      audioTimescale: sampleRate,
+      videoBaseTime: videoSamples[0].dts - shift,
+      audioBaseTime,
+      audioSampleDuration,
+      videoStreamType: streamType,
+      sampleDescriptionIndex: runIndexAt(gopStarts[g]) + 1,
+    });
+    fragments.push(emsgs.length > 0 ? concatBytes([...emsgs, fragment]) : fragment);
+    audioBaseTime += audioSamples.length * audioSampleDuration;
+  }
+
+  return { init, fragments, starts: gopStarts };
+}
+
+/**
+ * Join an init segment and fragments into a single fragmented MP4 file.
+ *
+ * @param {{ init: Uint8Array, fragments: Uint8Array[] }} parts
+ * @returns {Uint8Array}
+ */
+export function joinFragmentedMp4({ init, fragments }) {
+  let size = init.byteLength;
+  for (const f of fragments) size += f.byteLength;
+  const result = new Uint8Array(size);
+  result.set(init, 0);
+  let offset = init.byteLength;
+  for (const f of fragments) { result.set(f, offset); offset += f.byteLength; }
+  return result;
+}
+
+/**
+ * Split a fragmented MP4 file into its init segment (everything before
+ * the first moof/styp) and fragments (each moof/styp up to the next).
+ *
+ * @param {Uint8Array} data - Fragmented MP4
+ * @returns {{ init: Uint8Array, fragments: Uint8Array[] }}
+ */
+export function splitFragmentedMp4(data) {
+  const starts = [];
+  let prevType = null;
+  for (const { type, offset } of parseBoxes(data)) {
+    // styp and emsg boxes belong with the moof that follows them
+    const leads = prevType === 'styp' || prevType === 'emsg';
+    if ((type === 'styp' || type === 'emsg' || type === 'moof') && !leads) starts.push(offset);
+    prevType = type;
+  }
+  if (starts.length === 0) return { init: data, fragments: [] };
+  const fragments = starts.map((start, i) => data.subarray(start, starts[i + 1] ?? data.byteLength));
+  return { init: data.subarray(0, starts[0]), fragments };
+}
+
+export default { createInitSegment, createFragment, createCmafFtyp, createId3Emsg, createFragmentedMp4, joinFragmentedMp4, splitFragmentedMp4 };
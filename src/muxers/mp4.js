@@ -18,6 +18,9 @@
  * @module muxers/mp4
  */
 
+import { getParameterSetType, isKeyframe } from '../parsers/mpegts.js';
+import { MAX_UINT32, createChunkOffsetBox, createMdatHeader, readUint64, writeUint64 } from '../fmp4/utils.js';
+
 // ============================================
 // MP4 BOX HELPERS
 // ============================================
@@ -139,6 +142,556 @@ export function parseSPS(sps) {
   return result;
 }
 
+// ============================================
+// H.265 SPS Parser
+// ============================================
+
+/**
+ * Remove emulation prevention bytes (00 00 03 → 00 00) from a NAL unit
+ * @param {Uint8Array} nalUnit - NAL unit payload
+ * @returns {Uint8Array} RBSP bytes
+ */
+export function removeEmulationPrevention(nalUnit) {
+  const out = new Uint8Array(nalUnit.length);
+  let length = 0;
+  let zeros = 0;
+  for (let i = 0; i < nalUnit.length; i++) {
+    if (zeros >= 2 && nalUnit[i] === 3) {
+      zeros = 0;
+      continue;
+    }
+    zeros = nalUnit[i] === 0 ? zeros + 1 : 0;
+    out[length++] = nalUnit[i];
+  }
+  return out.subarray(0, length);
+}
+
+/**
+ * Parse H.265 SPS to extract video dimensions and the profile/tier/level
+ * fields needed for the hvcC box
+ * @param {Uint8Array} sps - SPS NAL unit (including 2-byte NAL header)
+ * @returns {object} { width, height, profileSpace, tierFlag, profileIdc, profileCompatibility,
+ *   constraintFlags, levelIdc, chromaFormatIdc, bitDepthLuma, bitDepthChroma,
+ *   numTemporalLayers, temporalIdNested }
+ */
+export function parseHevcSPS(sps) {
+  const result = {
+    width: 1920, height: 1080,
+    profileSpace: 0, tierFlag: 0, profileIdc: 1, profileCompatibility: 0x60000000,
+    constraintFlags: new Uint8Array([0x90, 0, 0, 0, 0, 0]), levelIdc: 93,
+    chromaFormatIdc: 1, bitDepthLuma: 8, bitDepthChroma: 8,
+    numTemporalLayers: 1, temporalIdNested: 1
+  };
+  if (!sps || sps.length < 16) return result;
+
+  const rbsp = removeEmulationPrevention(sps);
+  let bitPos = 16; // skip 2-byte NAL header
+  const getBit = () => (rbsp[Math.floor(bitPos / 8)] >> (7 - (bitPos++ % 8))) & 1;
+  const getBits = (n) => {
+    let val = 0;
+    for (let i = 0; i < n; i++) val = val * 2 + getBit();
+    return val;
+  };
+  const readUE = () => {
+    let zeros = 0;
+    while (bitPos < rbsp.length * 8 && getBit() === 0) zeros++;
+    let val = (1 << zeros) - 1;
+    for (let i = 0; i < zeros; i++) val += getBit() << (zeros - 1 - i);
+    return val;
+  };
+
+  try {
+    getBits(4); // sps_video_parameter_set_id
+    const maxSubLayersMinus1 = getBits(3);
+    result.numTemporalLayers = maxSubLayersMinus1 + 1;
+    result.temporalIdNested = getBit();
+
+    // profile_tier_level(1, sps_max_sub_layers_minus1)
+    result.profileSpace = getBits(2);
+    result.tierFlag = getBit();
+    result.profileIdc = getBits(5);
+    result.profileCompatibility = getBits(32) >>> 0;
+    const constraintFlags = new Uint8Array(6);
+    for (let i = 0; i < 6; i++) constraintFlags[i] = getBits(8);
+    result.constraintFlags = constraintFlags;
+    result.levelIdc = getBits(8);
+
+    const subLayerProfilePresent = [];
+    const subLayerLevelPresent = [];
+    for (let i = 0; i < maxSubLayersMinus1; i++) {
+      subLayerProfilePresent.push(getBit());
+      subLayerLevelPresent.push(getBit());
+    }
+    if (maxSubLayersMinus1 > 0) {
+      for (let i = maxSubLayersMinus1; i < 8; i++) getBits(2);
+    }
+    for (let i = 0; i < maxSubLayersMinus1; i++) {
+      if (subLayerProfilePresent[i]) getBits(88);
+      if (subLayerLevelPresent[i]) getBits(8);
+    }
+
+    readUE(); // sps_seq_parameter_set_id
+    const chromaFormatIdc = readUE();
+    result.chromaFormatIdc = chromaFormatIdc;
+    if (chromaFormatIdc === 3) getBit(); // separate_colour_plane_flag
+
+    const picWidth = readUE();
+    const picHeight = readUE();
+
+    let cropLeft = 0, cropRight = 0, cropTop = 0, cropBottom = 0;
+    if (getBit()) { // conformance_window_flag
+      cropLeft = readUE();
+      cropRight = readUE();
+      cropTop = readUE();
+      cropBottom = readUE();
+    }
+
+    result.bitDepthLuma = readUE() + 8;
+    result.bitDepthChroma = readUE() + 8;
+
+    const subWidthC = (chromaFormatIdc === 1 || chromaFormatIdc === 2) ? 2 : 1;
+    const subHeightC = chromaFormatIdc === 1 ? 2 : 1;
+    result.width = picWidth - (cropLeft + cropRight) * subWidthC;
+    result.height = picHeight - (cropTop + cropBottom) * subHeightC;
+  } catch (e) {
+    // Fall back to defaults
+  }
+
+  return result;
+}
+
+// ============================================
+// MPEG-2 Sequence Header Parser
+// ============================================
+
+/**
+ * Parse an MPEG-2 video sequence header (and sequence extension)
+ * Without a sequence extension the stream is MPEG-1 video.
+ * @param {Uint8Array} sequenceHeader - Sequence header, from its start code value (0xB3)
+ * @param {Uint8Array|null} [sequenceExtension] - Sequence extension, from 0xB5
+ * @returns {{width: number, height: number, pixelAspect: number[], bitRate: number, objectType: number}}
+ *   pixelAspect is [hSpacing, vSpacing] for pasp; objectType the MPEG-4 objectTypeIndication
+ */
+export function parseMpeg2SequenceHeader(sequenceHeader, sequenceExtension = null) {
+  const h = sequenceHeader;
+  let width = (h[1] << 4) | (h[2] >> 4);
+  let height = ((h[2] & 0x0F) << 8) | h[3];
+  const aspectRatio = h[4] >> 4;
+  let bitRateValue = (h[5] << 10) | (h[6] << 2) | (h[7] >> 6);
+
+  // MPEG-1 video
+  let objectType = 0x6A;
+  if (sequenceExtension) {
+    const e = sequenceExtension;
+    const profileAndLevel = ((e[1] & 0x0F) << 4) | (e[2] >> 4);
+    width |= (((e[2] & 0x01) << 1) | (e[3] >> 7)) << 12;
+    height |= ((e[3] >> 5) & 0x03) << 12;
+    bitRateValue += (((e[3] & 0x1F) << 7) | (e[4] >> 1)) * 2 ** 18;
+    // Simple, Main, SNR, Spatial, High by profile_identification; escaped
+    // profiles are 4:2:2 (0x82, 0x85) or multiview, a Main profile extension
+    const PROFILE_OBJECT_TYPES = { 1: 0x64, 2: 0x63, 3: 0x62, 4: 0x61, 5: 0x60 };
+    objectType = profileAndLevel & 0x80
+      ? ((profileAndLevel & 0x0F) === 0x02 || (profileAndLevel & 0x0F) === 0x05 ? 0x65 : 0x61)
+      : PROFILE_OBJECT_TYPES[(profileAndLevel >> 4) & 0x07] ?? 0x61;
+  }
+
+  // MPEG-2 gives the display aspect ratio (1 means square samples); MPEG-1's
+  // pel aspect codes are left as square
+  const DISPLAY_ASPECT = { 2: [4, 3], 3: [16, 9], 4: [221, 100] };
+  let pixelAspect = [1, 1];
+  if (sequenceExtension && DISPLAY_ASPECT[aspectRatio] && width > 0 && height > 0) {
+    const [dw, dh] = DISPLAY_ASPECT[aspectRatio];
+    const gcd = (a, b) => b === 0 ? a : gcd(b, a % b);
+    const divisor = gcd(dw * height, dh * width);
+    pixelAspect = [dw * height / divisor, dh * width / divisor];
+  }
+
+  return { width, height, pixelAspect, bitRate: bitRateValue * 400, objectType };
+}
+
+/**
+ * Build an avcC (AVC decoder configuration) box
+ * @param {Uint8Array} sps - SPS NAL unit
+ * @param {Uint8Array} pps - PPS NAL unit
+ * @returns {Uint8Array}
+ */
+export function buildAvcC(sps, pps) {
+  const data = new Uint8Array(11 + sps.length + pps.length);
+  const view = new DataView(data.buffer);
+  data[0] = 1; data[1] = sps[1]; data[2] = sps[2]; data[3] = sps[3]; data[4] = 0xFF; data[5] = 0xE1;
+  view.setUint16(6, sps.length); data.set(sps, 8);
+  data[8 + sps.length] = 1; view.setUint16(9 + sps.length, pps.length); data.set(pps, 11 + sps.length);
+  return createBox('avcC', data);
+}
+
+/**
+ * Build an hvcC (HEVC decoder configuration) box
+ * @param {Uint8Array[]} vps - VPS NAL units
+ * @param {Uint8Array[]} sps - SPS NAL units
+ * @param {Uint8Array[]} pps - PPS NAL units
+ * @param {boolean} [arrayCompleteness=true] - All parameter sets are in the box (hvc1); false for hev1
+ * @returns {Uint8Array}
+ */
+export function buildHvcC(vps, sps, pps, arrayCompleteness = true) {
+  const info = parseHevcSPS(sps[0]);
+  const arrays = [
+    { type: 32, units: vps },
+    { type: 33, units: sps },
+    { type: 34, units: pps }
+  ].filter(a => a.units.length > 0);
+
+  let size = 23;
+  for (const a of arrays) {
+    size += 3;
+    for (const u of a.units) size += 2 + u.length;
+  }
+
+  const data = new Uint8Array(size);
+  const view = new DataView(data.buffer);
+  data[0] = 1; // configurationVersion
+  data[1] = (info.profileSpace << 6) | (info.tierFlag << 5) | info.profileIdc;
+  view.setUint32(2, info.profileCompatibility);
+  data.set(info.constraintFlags, 6);
+  data[12] = info.levelIdc;
+  view.setUint16(13, 0xF000);                       // min_spatial_segmentation_idc = 0
+  data[15] = 0xFC;                                  // parallelismType = 0
+  data[16] = 0xFC | info.chromaFormatIdc;
+  data[17] = 0xF8 | (info.bitDepthLuma - 8);
+  data[18] = 0xF8 | (info.bitDepthChroma - 8);
+  view.setUint16(19, 0);                            // avgFrameRate
+  data[21] = (info.numTemporalLayers << 3) | (info.temporalIdNested << 2) | 0x03; // lengthSizeMinusOne = 3
+  data[22] = arrays.length;
+
+  let offset = 23;
+  for (const a of arrays) {
+    data[offset++] = (arrayCompleteness ? 0x80 : 0) | a.type;
+    view.setUint16(offset, a.units.length); offset += 2;
+    for (const u of a.units) {
+      view.setUint16(offset, u.length); offset += 2;
+      data.set(u, offset); offset += u.length;
+    }
+  }
+  return createBox('hvcC', data);
+}
+
+/**
+ * Pack [value, bitCount] fields MSB-first into bytes (zero-padded)
+ */
+function packBits(fields) {
+  const bitCount = fields.reduce((sum, [, bits]) => sum + bits, 0);
+  const data = new Uint8Array(Math.ceil(bitCount / 8));
+  let offset = 0;
+  for (const [value, bits] of fields) {
+    for (let i = bits - 1; i >= 0; i--, offset++) {
+      if ((value >> i) & 1) data[offset >> 3] |= 0x80 >> (offset & 7);
+    }
+  }
+  return data;
+}
+
+/**
+ * MPEG-4 descriptor: tag, expandable size, payload
+ */
+function descriptor(tag, payload) {
+  const size = [payload.length & 0x7F];
+  for (let rest = payload.length >> 7; rest > 0; rest >>= 7) size.unshift(0x80 | (rest & 0x7F));
+  return [tag, ...size, ...payload];
+}
+
+/**
+ * Build an esds box: an MPEG-4 ES descriptor
+ * @param {number} objectType - objectTypeIndication: 0x40 AAC, 0x6B MPEG-1 audio, 0x69 MPEG-2 audio, 0x60-0x65 MPEG-2 video
+ * @param {ArrayLike<number>|null} [decoderSpecificInfo] - e.g. the AAC AudioSpecificConfig
+ * @param {number} [streamType=0x15] - Descriptor streamType byte: 0x15 audio, 0x11 visual
+ * @param {number} [bitRate=128000] - Max and average bitrate
+ */
+function buildEsds(objectType, decoderSpecificInfo = null, streamType = 0x15, bitRate = 128000) {
+  const bitRateBytes = [bitRate >>> 24, (bitRate >> 16) & 0xFF, (bitRate >> 8) & 0xFF, bitRate & 0xFF];
+  const decoderConfig = descriptor(0x04, [
+    objectType,
+    streamType,
+    0x00, 0x00, 0x00,
+    ...bitRateBytes,
+    ...bitRateBytes,
+    ...(decoderSpecificInfo ? descriptor(0x05, Array.from(decoderSpecificInfo)) : [])
+  ]);
+  const data = new Uint8Array([
+    0x00, 0x00, 0x00, 0x00,
+    ...descriptor(0x03, [0x00, 0x02, 0x00, ...decoderConfig, ...descriptor(0x06, [0x02])])
+  ]);
+  return createBox('esds', data);
+}
+
+/**
+ * Build the audio sample entry for a track
+ * AAC and MPEG audio (MP3/MP2) go in mp4a with an esds, AC-3 in ac-3 with
+ * a dac3 and E-AC-3 in ec-3 with a dec3 (ETSI TS 102 366 Annex F).
+ * @param {object} track
+ * @param {number} track.timescale - Sample rate
+ * @param {number} [track.channels=2]
+ * @param {object|null} [track.config] - TSParser audioConfig; null for ADTS AAC
+ * @returns {Uint8Array}
+ */
+export function buildAudioSampleEntry({ timescale, channels, config = null }) {
+  const SAMPLE_RATE_INDEX = {
+    96000: 0, 88200: 1, 64000: 2, 48000: 3, 44100: 4, 32000: 5,
+    24000: 6, 22050: 7, 16000: 8, 12000: 9, 11025: 10, 8000: 11, 7350: 12
+  };
+
+  let type = 'mp4a';
+  let configBox;
+  if (config?.codec === 'mpeg') {
+    configBox = buildEsds(config.objectType);
+  } else if (config?.codec === 'aac') {
+    // LATM carries the stream's own AudioSpecificConfig
+    configBox = buildEsds(0x40, config.audioSpecificConfig);
+  } else if (config?.codec === 'ac-3') {
+    type = 'ac-3';
+    configBox = createBox('dac3', packBits([
+      [config.fscod, 2], [config.bsid, 5], [config.bsmod, 3], [config.acmod, 3], [config.lfeon, 1],
+      [config.bitRateCode, 5], [0, 5]
+    ]));
+  } else if (config?.codec === 'ec-3') {
+    type = 'ec-3';
+    const fields = [[config.dataRate, 13], [config.substreams.length - 1, 3]];
+    for (const sub of config.substreams) {
+      fields.push([sub.fscod, 2], [sub.bsid, 5], [0, 1], [0, 1], [sub.bsmod, 3], [sub.acmod, 3], [sub.lfeon, 1],
+        [0, 3], [sub.dependents, 4], sub.dependents > 0 ? [sub.chanLoc, 9] : [0, 1]);
+    }
+    configBox = createBox('dec3', packBits(fields));
+  } else {
+    // AudioSpecificConfig: AAC-LC, sampling frequency index, channel configuration
+    const samplingFreqIndex = SAMPLE_RATE_INDEX[timescale] ?? 4;
+    const audioConfig = ((2 << 11) | (samplingFreqIndex << 7) | ((channels || 2) << 3)) & 0xFFFF;
+    configBox = buildEsds(0x40, [(audioConfig >> 8) & 0xFF, audioConfig & 0xFF]);
+  }
+
+  const data = new Uint8Array(28 + configBox.byteLength);
+  const view = new DataView(data.buffer);
+  view.setUint16(6, 1);
+  view.setUint16(16, channels || 2);
+  view.setUint16(18, 16);
+  view.setUint32(24, timescale << 16);
+  data.set(configBox, 28);
+  return createBox(type, data);
+}
+
+/**
+ * Build an mp4v sample entry for MPEG-2 (or MPEG-1) video
+ * The esds carries the sequence header and extension as decoder specific info.
+ * @param {{sps: Uint8Array|null, pps: Uint8Array|null}} description - Sequence header and sequence extension
+ *   (see collectSampleDescriptions)
+ * @returns {Uint8Array}
+ */
+export function buildMpeg2SampleEntry({ sps, pps }) {
+  if (!sps) {
+    throw new Error('MPEG-2 video stream has no sequence header - cannot build mp4v');
+  }
+  const info = parseMpeg2SequenceHeader(sps, pps);
+  const startCode = [0x00, 0x00, 0x01];
+  const config = [...startCode, ...sps, ...(pps ? [...startCode, ...pps] : [])];
+  const esds = buildEsds(info.objectType, config, 0x11, info.bitRate);
+  const paspData = new Uint8Array(8);
+  const paspView = new DataView(paspData.buffer);
+  paspView.setUint32(0, info.pixelAspect[0]); paspView.setUint32(4, info.pixelAspect[1]);
+  const pasp = createBox('pasp', paspData);
+  const data = new Uint8Array(78 + esds.byteLength + pasp.byteLength);
+  const view = new DataView(data.buffer);
+  view.setUint16(6, 1); view.setUint16(24, info.width); view.setUint16(26, info.height);
+  view.setUint32(28, 0x00480000); view.setUint32(32, 0x00480000);
+  view.setUint16(40, 1); view.setUint16(74, 0x0018); view.setInt16(76, -1);
+  data.set(esds, 78); data.set(pasp, 78 + esds.byteLength);
+  return createBox('mp4v', data);
+}
+
+/**
+ * One NAL unit as MP4 sample data: a 4-byte length and the unit for
+ * H.264/H.265. MPEG-2 video samples keep their start codes instead,
+ * written as 00 00 00 01 (a zero-stuffed start code, same size).
+ * @param {Uint8Array} nalUnit - NAL unit (or MPEG-2 start code unit) without start code
+ * @param {number} streamType - MPEG-TS stream type of the video stream
+ * @returns {Uint8Array}
+ */
+export function prefixNalUnit(nalUnit, streamType) {
+  const prefixed = new Uint8Array(4 + nalUnit.length);
+  if (streamType === 0x02) prefixed[3] = 1;
+  else new DataView(prefixed.buffer).setUint32(0, nalUnit.length);
+  prefixed.set(nalUnit, 4);
+  return prefixed;
+}
+
+/**
+ * Build a tx3g (3GPP timed text) sample entry: centered at the bottom,
+ * white text on a transparent background
+ * @returns {Uint8Array}
+ */
+function buildTx3gSampleEntry() {
+  const ftab = createBox('ftab', new Uint8Array([0x00, 0x01, 0x00, 0x01, 0x05, ...[...'Serif'].map(c => c.charCodeAt(0))]));
+  const data = new Uint8Array(38 + ftab.byteLength);
+  data[7] = 1;     // data_reference_index
+  data[12] = 1;    // horizontal justification: center
+  data[13] = 0xFF; // vertical justification: bottom
+  // Default style: font 1, 18 px, opaque white
+  data.set([0x00, 0x01, 0x00, 0x12, 0xFF, 0xFF, 0xFF, 0xFF], 30);
+  data.set(ftab, 38);
+  return createBox('tx3g', data);
+}
+
+/**
+ * tx3g samples for caption cues: each cue's text, with empty samples
+ * filling the gaps between cues
+ * @param {Array<{start: number, end: number, text: string}>} cues - Times in seconds
+ * @returns {Array<{data: Uint8Array, duration: number}>} Durations in milliseconds
+ */
+function buildTextSamples(cues) {
+  const encoder = new TextEncoder();
+  const samples = [];
+  let time = 0;
+  const addSample = (text, end) => {
+    if (end <= time) return;
+    const bytes = encoder.encode(text);
+    const data = new Uint8Array(2 + bytes.length);
+    data[0] = bytes.length >> 8;
+    data[1] = bytes.length & 0xFF;
+    data.set(bytes, 2);
+    samples.push({ data, duration: end - time });
+    time = end;
+  };
+  for (const cue of cues) {
+    addSample('', Math.round(cue.start * 1000));
+    addSample(cue.text, Math.round(cue.end * 1000));
+  }
+  return samples;
+}
+
+/**
+ * Build a mett (text metadata) sample entry for ID3 tags
+ * @returns {Uint8Array}
+ */
+function buildId3SampleEntry() {
+  const mime = new TextEncoder().encode('application/id3');
+  // SampleEntry, then an empty content_encoding and the mime_format, both null-terminated
+  const data = new Uint8Array(8 + 1 + mime.length + 1);
+  data[7] = 1; // data_reference_index
+  data.set(mime, 9);
+  return createBox('mett', data);
+}
+
+/**
+ * Samples for ID3 tags: each lasts until the next tag (the last until the
+ * end), tags at the same time share a sample and an empty sample fills
+ * the time before the first
+ * @param {Array<{pts: number, payload: Uint8Array}>} events - Times in 90kHz ticks, in order
+ * @param {number} end - End of the track in 90kHz ticks
+ * @returns {Array<{data: Uint8Array, duration: number}>}
+ */
+function buildMetadataSamples(events, end) {
+  const groups = [];
+  for (const event of events) {
+    const pts = Math.max(0, Math.round(event.pts));
+    const last = groups[groups.length - 1];
+    if (last && last.pts === pts) last.payloads.push(event.payload);
+    else groups.push({ pts, payloads: [event.payload] });
+  }
+  const samples = [];
+  if (groups.length > 0 && groups[0].pts > 0) samples.push({ data: new Uint8Array(0), duration: groups[0].pts });
+  groups.forEach((group, i) => {
+    const next = i + 1 < groups.length ? groups[i + 1].pts : Math.max(end, group.pts + 1);
+    const data = new Uint8Array(group.payloads.reduce((sum, payload) => sum + payload.length, 0));
+    let offset = 0;
+    for (const payload of group.payloads) { data.set(payload, offset); offset += payload.length; }
+    samples.push({ data, duration: next - group.pts });
+  });
+  return samples;
+}
+
+// ISO 639-1 codes (as in HLS LANGUAGE attributes) of common languages, as ISO 639-2
+const ISO_639_2 = {
+  ar: 'ara', cs: 'cze', da: 'dan', de: 'ger', el: 'gre', en: 'eng', es: 'spa', fi: 'fin', fr: 'fre',
+  he: 'heb', hi: 'hin', hu: 'hun', id: 'ind', it: 'ita', ja: 'jpn', ko: 'kor', nl: 'dut', no: 'nor',
+  pl: 'pol', pt: 'por', ro: 'rum', ru: 'rus', sv: 'swe', th: 'tha', tr: 'tur', uk: 'ukr', vi: 'vie', zh: 'chi'
+};
+
+/**
+ * Pack an ISO 639-2 code into the 15 bits of an mdhd language field
+ * @param {string|null} language - e.g. 'eng', or a language tag such as 'en' or 'es-MX' whose
+ *   language is listed in ISO_639_2; anything else is written as 'und'
+ * @returns {number}
+ */
+export function encodeLanguage(language) {
+  const primary = (language || '').split('-')[0].toLowerCase();
+  const code = /^[a-z]{3}$/.test(primary) ? primary : ISO_639_2[primary] || 'und';
+  return ((code.charCodeAt(0) - 0x60) << 10) | ((code.charCodeAt(1) - 0x60) << 5) | (code.charCodeAt(2) - 0x60);
+}
+
+// ============================================
+// Sample Descriptions
+// ============================================
+
+function bytesEqual(a, b) {
+  if (a === b) return true;
+  if (!a || !b || a.length !== b.length) return false;
+  for (let i = 0; i < a.length; i++) if (a[i] !== b[i]) return false;
+  return true;
+}
+
+function sameParameterSets(a, b) {
+  return bytesEqual(a.vps, b.vps) && bytesEqual(a.sps, b.sps) && bytesEqual(a.pps, b.pps);
+}
+
+/**
+ * Group video access units by the parameter sets they decode with
+ * A new sample description starts wherever the in-band SPS/PPS (and VPS
+ * for H.265) change, e.g. at an HLS discontinuity with a new encoder
+ * config. Switching back to earlier parameter sets reuses their entry.
+ * For MPEG-2 video, sps and pps are the sequence header and extension.
+ *
+ * @param {Array} videoAccessUnits - Access units with nalUnits
+ * @param {number} streamType - 0x1B (H.264), 0x24 (H.265) or 0x02 (MPEG-2)
+ * @returns {{ descriptions: Array<{vps: Uint8Array|null, sps: Uint8Array|null, pps: Uint8Array|null}>, runs: Array<{start: number, count: number, index: number}> }}
+ *   Unique parameter sets, and consecutive samples sharing one (index into descriptions)
+ */
+export function collectSampleDescriptions(videoAccessUnits, streamType) {
+  const descriptions = [];
+  const runs = [];
+  let index = -1;
+
+  for (let i = 0; i < videoAccessUnits.length; i++) {
+    let vps = null, sps = null, pps = null;
+    for (const nalUnit of videoAccessUnits[i].nalUnits) {
+      const type = getParameterSetType(nalUnit, streamType);
+      if (type === 'vps' && !vps) vps = nalUnit;
+      if (type === 'sps' && !sps) sps = nalUnit;
+      if (type === 'pps' && !pps) pps = nalUnit;
+    }
+
+    if (vps || sps || pps) {
+      const current = descriptions[index];
+      const next = {
+        vps: vps || current?.vps || null,
+        sps: sps || current?.sps || null,
+        pps: pps || current?.pps || null
+      };
+      if (current && ['vps', 'sps', 'pps'].every(k => !current[k] || bytesEqual(current[k], next[k]))) {
+        // Parameter sets spread over several access units complete one description
+        Object.assign(current, next);
+      } else if (!current || !sameParameterSets(current, next)) {
+        let match = descriptions.findIndex(d => sameParameterSets(d, next));
+        if (match < 0) match = descriptions.push(next) - 1;
+        // Samples before the first parameter sets decode with the first ones
+        if (index < 0 && runs.length > 0) runs[0].index = match;
+        else runs.push({ start: i, count: 0, index: match });
+        index = match;
+      }
+    }
+
+    if (runs.length === 0) runs.push({ start: 0, count: 0, index: 0 });
+    runs[runs.length - 1].count++;
+  }
+
+  return { descriptions, runs };
+}
+
 // ============================================
 // MP4 Muxer
 // ============================================
@@ -151,57 +704,143 @@ export class MP4Muxer {
    * @param {TSParser} parser - Parser with video/audio access units
    * @param {Object} [options] - Muxer options
    * @param {number} [options.preroll=0] - Pre-roll time in 90kHz ticks (for edit list)
+   * @param {'hvc1'|'hev1'} [options.hevcSampleEntry='hvc1'] - Sample entry type for H.265 video
+   * @param {Array<{start: number, end: number, text: string}>} [options.captions] - Caption cues written
+   *   as a tx3g subtitle track, in seconds from the first video sample's decode time
+   * @param {Array<{language: string|null, cues: Array<{start: number, end: number, text: string}>}>} [options.subtitles]
+   *   Further tx3g tracks after the captions, timed like them
+   *
+   * ID3 tags in the parser's metadataEvents become a timed metadata track.
    */
   constructor(parser, options = {}) {
     this.parser = parser;
     this.videoTimescale = 90000;
     this.audioTimescale = parser.audioSampleRate || 48000;
-    this.audioSampleDuration = 1024;
+    this.audioSampleDuration = 1024;  // AAC; other codecs take TSParser's audioFrameSize
     this.videoDimensions = null;
     this.preroll = options.preroll || 0;  // Pre-roll for precise clipping
+    this.isHevc = parser.videoStreamType === 0x24;
+    this.isMpeg2 = parser.videoStreamType === 0x02;
+    this.hevcSampleEntry = options.hevcSampleEntry || 'hvc1';
+    this.largeOffsets = false;  // co64 chunk offsets, for files over 4 GB
+    this.captions = options.captions || null;
+    this.subtitles = options.subtitles || [];
   }
 
   getVideoDimensions() {
     if (this.videoDimensions) return this.videoDimensions;
 
-    for (const au of this.parser.videoAccessUnits) {
-      for (const nalUnit of au.nalUnits) {
-        const nalType = nalUnit[0] & 0x1F;
-        if (nalType === 7) {
-          this.videoDimensions = parseSPS(nalUnit);
-          return this.videoDimensions;
-        }
-      }
+    const description = this.getSampleDescriptions().descriptions.find(d => d.sps);
+    if (description) {
+      const { sps, pps } = description;
+      const { width, height } = this.isMpeg2 ? parseMpeg2SequenceHeader(sps, pps)
+        : this.isHevc ? parseHevcSPS(sps) : parseSPS(sps);
+      this.videoDimensions = { width, height };
+      return this.videoDimensions;
     }
 
     this.videoDimensions = { width: 1920, height: 1080 };
     return this.videoDimensions;
   }
 
+  /**
+   * Parameter sets per sample description, and the sample runs using each
+   * (see collectSampleDescriptions)
+   */
+  getSampleDescriptions() {
+    if (!this.sampleDescriptions) {
+      this.sampleDescriptions = collectSampleDescriptions(this.parser.videoAccessUnits, this.parser.videoStreamType);
+    }
+    return this.sampleDescriptions;
+  }
+
   /**
    * Build complete MP4 file
    * @returns {Uint8Array}
    */
   build() {
     const mdatContent = this.buildMdatContent();
-    const moov = this.buildMoov(mdatContent.byteLength);
+    const header = this.buildHeader(mdatContent.byteLength);
+    const result = new Uint8Array(header.byteLength + mdatContent.byteLength);
+    result.set(header, 0);
+    result.set(mdatContent, header.byteLength);
+    return result;
+  }
+
+  /**
+   * Build everything that precedes the mdat payload: ftyp + moov + mdat header
+   * Requires sample sizes from buildMdatContent() or setSampleSizes().
+   * @param {number} mdatSize - Size of the mdat payload in bytes
+   * @returns {Uint8Array}
+   */
+  buildHeader(mdatSize) {
     const ftyp = this.buildFtyp();
-    const mdatOffset = ftyp.byteLength + moov.byteLength + 8;
+    let moov = this.buildMoov(mdatSize);
+    // Offsets past 4 GB need co64, which makes the moov bigger
+    if (!this.largeOffsets && ftyp.byteLength + moov.byteLength + 8 + mdatSize > MAX_UINT32) {
+      this.largeOffsets = true;
+      moov = this.buildMoov(mdatSize);
+    }
+    const mdatHeader = createMdatHeader(mdatSize);
+    const mdatOffset = ftyp.byteLength + moov.byteLength + mdatHeader.byteLength;
     this.updateChunkOffsets(moov, mdatOffset);
-    const mdat = createBox('mdat', mdatContent);
-    const result = new Uint8Array(ftyp.byteLength + moov.byteLength + mdat.byteLength);
+    const result = new Uint8Array(mdatOffset);
     result.set(ftyp, 0);
     result.set(moov, ftyp.byteLength);
-    result.set(mdat, ftyp.byteLength + moov.byteLength);
+    result.set(mdatHeader, ftyp.byteLength + moov.byteLength);
     return result;
   }
 
+  /**
+   * Use sample sizes for payload written elsewhere instead of buildMdatContent()
+   * The payload layout must match buildMdatContent(): every video sample
+   * (4-byte length-prefixed NAL units), then every audio sample, then each
+   * extra audio track's samples in parser.extraAudioTracks order.
+   * @param {number[]} videoSampleSizes - Size of each video sample in bytes
+   * @param {number[]} audioSampleSizes - Size of each audio sample in bytes
+   * @param {number[][]} [extraAudioSampleSizes] - Sample sizes per parser.extraAudioTracks entry
+   */
+  setSampleSizes(videoSampleSizes, audioSampleSizes, extraAudioSampleSizes = []) {
+    const total = sizes => sizes.reduce((sum, size) => sum + size, 0);
+    this.videoSampleSizes = videoSampleSizes;
+    this.audioSampleSizes = audioSampleSizes;
+    this.videoChunkOffset = 0;
+    this.audioChunkOffset = total(videoSampleSizes);
+    this.extraAudio = [];
+    let offset = this.audioChunkOffset + total(audioSampleSizes);
+    (this.parser.extraAudioTracks || []).forEach((track, i) => {
+      const sampleSizes = extraAudioSampleSizes[i] || [];
+      if (sampleSizes.length === 0) return;
+      this.extraAudio.push(this.extraAudioTrack(track, sampleSizes, offset));
+      offset += total(sampleSizes);
+    });
+    this.textTracks = [];
+    this.metadataTrack = null;
+  }
+
+  /**
+   * Track entry for one of parser.extraAudioTracks (see getAudioTracks)
+   */
+  extraAudioTrack(track, sampleSizes, chunkOffset) {
+    return {
+      pts: track.audioPts,
+      sampleSizes,
+      timescale: track.audioSampleRate || 48000,
+      sampleDuration: track.audioFrameSize || this.audioSampleDuration,
+      channels: track.audioChannels,
+      config: track.audioConfig ?? null,
+      chunkOffset,
+      language: track.language
+    };
+  }
+
   buildFtyp() {
     const data = new Uint8Array(16);
     data[0] = 'i'.charCodeAt(0); data[1] = 's'.charCodeAt(0); data[2] = 'o'.charCodeAt(0); data[3] = 'm'.charCodeAt(0);
     data[7] = 1;
     data[8] = 'i'.charCodeAt(0); data[9] = 's'.charCodeAt(0); data[10] = 'o'.charCodeAt(0); data[11] = 'm'.charCodeAt(0);
-    data[12] = 'a'.charCodeAt(0); data[13] = 'v'.charCodeAt(0); data[14] = 'c'.charCodeAt(0); data[15] = '1'.charCodeAt(0);
+    const brand = this.isHevc ? this.hevcSampleEntry : this.isMpeg2 ? 'mp41' : 'avc1';
+    for (let i = 0; i < 4; i++) data[12 + i] = brand.charCodeAt(i);
     return createBox('ftyp', data);
   }
 
@@ -214,9 +853,7 @@ export class MP4Muxer {
       this.videoSampleOffsets.push(currentOffset);
       let sampleSize = 0;
       for (const nalUnit of au.nalUnits) {
-        const prefixed = new Uint8Array(4 + nalUnit.length);
-        new DataView(prefixed.buffer).setUint32(0, nalUnit.length);
-        prefixed.set(nalUnit, 4);
+        const prefixed = prefixNalUnit(nalUnit, this.parser.videoStreamType);
         chunks.push(prefixed);
         sampleSize += prefixed.length;
       }
@@ -231,6 +868,38 @@ export class MP4Muxer {
       this.audioSampleSizes.push(frame.data.length);
       currentOffset += frame.data.length;
     }
+    // Further audio tracks (TSParser allAudio) follow, one chunk each
+    this.extraAudio = [];
+    for (const track of this.parser.extraAudioTracks || []) {
+      if (track.audioAccessUnits.length === 0) continue;
+      const extra = this.extraAudioTrack(track, [], currentOffset);
+      for (const frame of track.audioAccessUnits) {
+        chunks.push(frame.data);
+        extra.sampleSizes.push(frame.data.length);
+        currentOffset += frame.data.length;
+      }
+      this.extraAudio.push(extra);
+    }
+    // Caption and subtitle text and ID3 tags come last, one chunk each
+    const addTimedTrack = (samples, track) => {
+      if (samples.length === 0) return null;
+      for (const sample of samples) chunks.push(sample.data);
+      const sampleSizes = samples.map(sample => sample.data.length);
+      const result = { ...track, sampleSizes, durations: samples.map(sample => sample.duration), chunkOffset: currentOffset };
+      currentOffset += sampleSizes.reduce((sum, size) => sum + size, 0);
+      return result;
+    };
+    const texts = [{ cues: this.captions || [], language: null }, ...this.subtitles];
+    this.textTracks = texts.map(({ cues, language }) => addTimedTrack(buildTextSamples(cues), {
+      handlerType: 'sbtl', timescale: 1000, sampleEntry: buildTx3gSampleEntry(), language
+    })).filter(Boolean);
+    const origin = this.parser.videoAccessUnits[0]?.dts || 0;
+    const id3 = (this.parser.metadataEvents || [])
+      .filter(event => event.type === 'id3')
+      .map(event => ({ pts: event.pts - origin, payload: event.payload }));
+    this.metadataTrack = addTimedTrack(buildMetadataSamples(id3, this.calculateVideoDuration()), {
+      handlerType: 'meta', timescale: 90000, sampleEntry: buildId3SampleEntry()
+    });
     const totalSize = chunks.reduce((sum, c) => sum + c.length, 0);
     const result = new Uint8Array(totalSize);
     let offset = 0;
@@ -238,16 +907,48 @@ export class MP4Muxer {
     return result;
   }
 
+  /**
+   * Audio tracks to write, in trak order: the parser's primary audio, then
+   * the extra tracks laid out by buildMdatContent(). Tracks without samples
+   * are left out.
+   * @returns {Array<{trackId: number, pts: number[], sampleSizes: number[], timescale: number, sampleDuration: number,
+   *   channels: number, config: object|null, chunkOffset: number, language: string|null}>}
+   */
+  getAudioTracks() {
+    const tracks = [];
+    if (this.audioSampleSizes.length > 0) {
+      tracks.push({
+        pts: this.parser.audioPts,
+        sampleSizes: this.audioSampleSizes,
+        timescale: this.audioTimescale,
+        sampleDuration: this.parser.audioFrameSize || this.audioSampleDuration,
+        channels: this.parser.audioChannels,
+        config: this.parser.audioConfig ?? null,
+        chunkOffset: this.audioChunkOffset,
+        language: this.parser.audioLanguage ?? null
+      });
+    }
+    tracks.push(...(this.extraAudio || []));
+    return tracks.map((track, i) => ({ ...track, trackId: 257 + i }));
+  }
+
+  /**
+   * Caption, subtitle and metadata tracks laid out by buildMdatContent(), in trak order
+   * @returns {Array<{handlerType: string, timescale: number, sampleEntry: Uint8Array, sampleSizes: number[],
+   *   durations: number[], chunkOffset: number, language?: string|null}>}
+   */
+  getTimedTracks() {
+    return [...this.textTracks, this.metadataTrack].filter(Boolean);
+  }
+
   buildMoov(mdatSize) {
     const mvhd = this.buildMvhd();
     const videoTrak = this.buildVideoTrak();
     const udta = this.buildUdta();
-    // Only include audio track if there are audio samples
-    if (this.audioSampleSizes.length > 0) {
-      const audioTrak = this.buildAudioTrak();
-      return createBox('moov', mvhd, videoTrak, audioTrak, udta);
-    }
-    return createBox('moov', mvhd, videoTrak, udta);
+    const audioTracks = this.getAudioTracks();
+    const audioTraks = audioTracks.map((track, i) => this.buildAudioTrak(track, i, audioTracks.length));
+    const timedTraks = this.getTimedTracks().map((track, i) => this.buildTimedTrak(track, 257 + audioTracks.length + i));
+    return createBox('moov', mvhd, videoTrak, ...audioTraks, ...timedTraks, udta);
   }
 
   buildUdta() {
@@ -278,7 +979,7 @@ export class MP4Muxer {
     view.setUint32(32, 0x00010000);
     view.setUint32(48, 0x00010000);
     view.setUint32(64, 0x40000000);
-    view.setUint32(92, 258);
+    view.setUint32(92, 257 + Math.max(1, this.getAudioTracks().length + this.getTimedTracks().length));
     return createFullBox('mvhd', 0, 0, data);
   }
 
@@ -400,8 +1101,21 @@ export class MP4Muxer {
   }
 
   buildVideoStsd() {
-    const { width, height } = this.getVideoDimensions();
-    const avcC = this.buildAvcC();
+    const { descriptions } = this.getSampleDescriptions();
+    // No in-band parameter sets: a single entry with buildAvcC()'s fallback
+    const entries = (descriptions.length > 0 ? descriptions : [{ vps: null, sps: null, pps: null }])
+      .map(description => this.buildVideoSampleEntry(description));
+    const stsdHeader = new Uint8Array(4);
+    new DataView(stsdHeader.buffer).setUint32(0, entries.length);
+    return createFullBox('stsd', 0, 0, stsdHeader, ...entries);
+  }
+
+  buildVideoSampleEntry(description) {
+    if (this.isMpeg2) return buildMpeg2SampleEntry(description);
+    const { width, height } = description.sps
+      ? (this.isHevc ? parseHevcSPS(description.sps) : parseSPS(description.sps))
+      : this.getVideoDimensions();
+    const avcC = this.isHevc ? this.buildHevcConfig(description) : this.buildAvcC(description);
     const btrtData = new Uint8Array(12);
     const btrtView = new DataView(btrtData.buffer);
     btrtView.setUint32(4, 2000000); btrtView.setUint32(8, 2000000);
@@ -416,33 +1130,23 @@ export class MP4Muxer {
     view.setUint32(28, 0x00480000); view.setUint32(32, 0x00480000);
     view.setUint16(40, 1); view.setUint16(74, 0x0018); view.setInt16(76, -1);
     avc1Data.set(avcC, 78); avc1Data.set(btrt, 78 + avcC.byteLength); avc1Data.set(pasp, 78 + avcC.byteLength + btrt.byteLength);
-    const avc1 = createBox('avc1', avc1Data);
-    const stsdHeader = new Uint8Array(4);
-    new DataView(stsdHeader.buffer).setUint32(0, 1);
-    return createFullBox('stsd', 0, 0, stsdHeader, avc1);
+    return createBox(this.isHevc ? this.hevcSampleEntry : 'avc1', avc1Data);
   }
 
-  buildAvcC() {
-    let sps = null, pps = null;
-    for (const au of this.parser.videoAccessUnits) {
-      for (const nalUnit of au.nalUnits) {
-        const nalType = nalUnit[0] & 0x1F;
-        if (nalType === 7 && !sps) sps = nalUnit;
-        if (nalType === 8 && !pps) pps = nalUnit;
-        if (sps && pps) break;
-      }
-      if (sps && pps) break;
+  buildHevcConfig({ vps, sps, pps }) {
+    if (!sps) {
+      throw new Error('H.265 stream has no SPS - cannot build hvcC');
     }
+    return buildHvcC(vps ? [vps] : [], [sps], pps ? [pps] : [], this.hevcSampleEntry === 'hvc1');
+  }
+
+  buildAvcC(description) {
+    let { sps, pps } = description;
     if (!sps || !pps) {
       sps = new Uint8Array([0x67, 0x64, 0x00, 0x1f, 0xac, 0xd9, 0x40, 0x78, 0x02, 0x27, 0xe5, 0xc0, 0x44, 0x00, 0x00, 0x03, 0x00, 0x04, 0x00, 0x00, 0x03, 0x00, 0xf0, 0x3c, 0x60, 0xc6, 0x58]);
       pps = new Uint8Array([0x68, 0xeb, 0xe3, 0xcb, 0x22, 0xc0]);
     }
-    const data = new Uint8Array(11 + sps.length + pps.length);
-    const view = new DataView(data.buffer);
-    data[0] = 1; data[1] = sps[1]; data[2] = sps[2]; data[3] = sps[3]; data[4] = 0xFF; data[5] = 0xE1;
-    view.setUint16(6, sps.length); data.set(sps, 8);
-    data[8 + sps.length] = 1; view.setUint16(9 + sps.length, pps.length); data.set(pps, 11 + sps.length);
-    return createBox('avcC', data);
+    return buildAvcC(sps, pps);
   }
 
   buildVideoStts() {
@@ -484,10 +1188,15 @@ export class MP4Muxer {
     return createFullBox('ctts', 0, 0, data);
   }
 
+  /** One chunk per sample description run */
   buildVideoStsc() {
-    const data = new Uint8Array(4 + 12);
+    const { runs } = this.getSampleDescriptions();
+    const data = new Uint8Array(4 + runs.length * 12);
     const view = new DataView(data.buffer);
-    view.setUint32(0, 1); view.setUint32(4, 1); view.setUint32(8, this.videoSampleSizes.length); view.setUint32(12, 1);
+    view.setUint32(0, runs.length);
+    runs.forEach((run, i) => {
+      view.setUint32(4 + i * 12, i + 1); view.setUint32(8 + i * 12, run.count); view.setUint32(12 + i * 12, run.index + 1);
+    });
     return createFullBox('stsc', 0, 0, data);
   }
 
@@ -499,19 +1208,22 @@ export class MP4Muxer {
     return createFullBox('stsz', 0, 0, data);
   }
 
+  /** Chunk offsets relative to the video data; updateChunkOffsets() makes them absolute */
   buildVideoStco() {
-    const data = new Uint8Array(8);
-    const view = new DataView(data.buffer);
-    view.setUint32(0, 1); view.setUint32(4, 0);
-    return createFullBox('stco', 0, 0, data);
+    const { runs } = this.getSampleDescriptions();
+    const offsets = [];
+    let offset = 0, sample = 0;
+    for (const run of runs) {
+      for (; sample < run.start; sample++) offset += this.videoSampleSizes[sample];
+      offsets.push(offset);
+    }
+    return createChunkOffsetBox(offsets, this.largeOffsets);
   }
 
   buildVideoStss() {
     const keyframes = [];
     for (let i = 0; i < this.parser.videoAccessUnits.length; i++) {
-      for (const nalUnit of this.parser.videoAccessUnits[i].nalUnits) {
-        if ((nalUnit[0] & 0x1F) === 5) { keyframes.push(i + 1); break; }
-      }
+      if (isKeyframe(this.parser.videoAccessUnits[i], this.parser.videoStreamType)) keyframes.push(i + 1);
     }
     if (keyframes.length === 0) return null;
     const data = new Uint8Array(4 + keyframes.length * 4);
@@ -521,28 +1233,33 @@ export class MP4Muxer {
     return createFullBox('stss', 0, 0, data);
   }
 
-  buildAudioTrak() {
-    const edts = this.buildAudioEdts();
+  /**
+   * @param {object} track - Entry of getAudioTracks()
+   * @param {number} index - Position among the audio tracks
+   * @param {number} count - Number of audio tracks
+   */
+  buildAudioTrak(track, index, count) {
+    const edts = this.buildAudioEdts(track);
     if (edts) {
-      return createBox('trak', this.buildAudioTkhd(), edts, this.buildAudioMdia());
+      return createBox('trak', this.buildAudioTkhd(track, index, count), edts, this.buildAudioMdia(track));
     }
-    return createBox('trak', this.buildAudioTkhd(), this.buildAudioMdia());
+    return createBox('trak', this.buildAudioTkhd(track, index, count), this.buildAudioMdia(track));
   }
 
-  buildAudioEdts() {
-    if (this.parser.audioPts.length === 0) return null;
+  buildAudioEdts(track) {
+    if (track.pts.length === 0) return null;
 
-    const firstAudioPts = this.parser.audioPts[0];
-    const audioDuration = this.audioSampleSizes.length * this.audioSampleDuration;
+    const firstAudioPts = track.pts[0];
+    const audioDuration = track.sampleSizes.length * track.sampleDuration;
 
     // Determine media_time: when clipping with preroll, audio shares the
     // same timeline as video (both normalized from keyframe), so the audio
     // edit list must skip the same preroll to stay in sync.
     let mediaTime;
     if (this.preroll > 0) {
-      mediaTime = Math.round(this.preroll * this.audioTimescale / 90000);
+      mediaTime = Math.round(this.preroll * track.timescale / 90000);
     } else if (firstAudioPts !== 0) {
-      mediaTime = Math.round(firstAudioPts * this.audioTimescale / 90000);
+      mediaTime = Math.round(firstAudioPts * track.timescale / 90000);
     } else {
       return null; // No offset, no preroll — no edit list needed
     }
@@ -552,7 +1269,7 @@ export class MP4Muxer {
     const elstData = new Uint8Array(16);
     const view = new DataView(elstData.buffer);
     view.setUint32(0, 1);
-    view.setUint32(4, Math.round(playbackDuration * this.videoTimescale / this.audioTimescale));
+    view.setUint32(4, Math.round(playbackDuration * this.videoTimescale / track.timescale));
     view.setInt32(8, mediaTime);
     view.setUint16(12, 1);
     view.setUint16(14, 0);
@@ -561,25 +1278,27 @@ export class MP4Muxer {
     return createBox('edts', elst);
   }
 
-  buildAudioTkhd() {
+  buildAudioTkhd(track, index, count) {
     const data = new Uint8Array(80);
     const view = new DataView(data.buffer);
-    view.setUint32(8, 257);
+    view.setUint32(8, track.trackId);
     // Use playback duration to match video track (for proper sync with preroll)
     view.setUint32(16, this.calculatePlaybackDuration());
+    // Several audio tracks are alternatives to each other; only the first is enabled
+    if (count > 1) view.setUint16(30, 1);
     view.setUint16(32, 0x0100);
     view.setUint32(36, 0x00010000); view.setUint32(52, 0x00010000); view.setUint32(68, 0x40000000);
-    return createFullBox('tkhd', 0, 3, data);
+    return createFullBox('tkhd', 0, index === 0 ? 3 : 2, data);
   }
 
-  buildAudioMdia() { return createBox('mdia', this.buildAudioMdhd(), this.buildAudioHdlr(), this.buildAudioMinf()); }
+  buildAudioMdia(track) { return createBox('mdia', this.buildAudioMdhd(track), this.buildAudioHdlr(), this.buildAudioMinf(track)); }
 
-  buildAudioMdhd() {
+  buildAudioMdhd(track) {
     const data = new Uint8Array(20);
     const view = new DataView(data.buffer);
-    view.setUint32(8, this.audioTimescale);
-    view.setUint32(12, this.audioSampleSizes.length * this.audioSampleDuration);
-    view.setUint16(16, 0x55C4);
+    view.setUint32(8, track.timescale);
+    view.setUint32(12, track.sampleSizes.length * track.sampleDuration);
+    view.setUint16(16, encodeLanguage(track.language));
     return createFullBox('mdhd', 0, 0, data);
   }
 
@@ -589,70 +1308,28 @@ export class MP4Muxer {
     return createFullBox('hdlr', 0, 0, data);
   }
 
-  buildAudioMinf() { return createBox('minf', this.buildSmhd(), this.buildDinf(), this.buildAudioStbl()); }
+  buildAudioMinf(track) { return createBox('minf', this.buildSmhd(), this.buildDinf(), this.buildAudioStbl(track)); }
   buildSmhd() { return createFullBox('smhd', 0, 0, new Uint8Array(4)); }
 
-  buildAudioStbl() {
-    return createBox('stbl', this.buildAudioStsd(), this.buildAudioStts(), this.buildAudioStsc(), this.buildAudioStsz(), this.buildAudioStco());
-  }
-
-  buildAudioStsd() {
-    const esds = this.buildEsds();
-    const channels = this.parser.audioChannels || 2;
-    const mp4aData = new Uint8Array(28 + esds.byteLength);
-    const view = new DataView(mp4aData.buffer);
-    view.setUint16(6, 1);
-    view.setUint16(16, channels);
-    view.setUint16(18, 16);
-    view.setUint32(24, this.audioTimescale << 16);
-    mp4aData.set(esds, 28);
-    const mp4a = createBox('mp4a', mp4aData);
+  buildAudioStbl(track) {
+    return createBox('stbl', this.buildAudioStsd(track), this.buildAudioStts(track), this.buildAudioStsc(track), this.buildAudioStsz(track), this.buildAudioStco());
+  }
+
+  buildAudioStsd(track) {
     const stsdHeader = new Uint8Array(4);
     new DataView(stsdHeader.buffer).setUint32(0, 1);
-    return createFullBox('stsd', 0, 0, stsdHeader, mp4a);
+    return createFullBox('stsd', 0, 0, stsdHeader, buildAudioSampleEntry(track));
   }
 
-  buildEsds() {
-    const SAMPLE_RATE_INDEX = {
-      96000: 0, 88200: 1, 64000: 2, 48000: 3, 44100: 4, 32000: 5,
-      24000: 6, 22050: 7, 16000: 8, 12000: 9, 11025: 10, 8000: 11, 7350: 12
-    };
-
-    const sampleRate = this.audioTimescale;
-    const channels = this.parser.audioChannels || 2;
-    const samplingFreqIndex = SAMPLE_RATE_INDEX[sampleRate] ?? 4;
-
-    const audioConfig = ((2 << 11) | (samplingFreqIndex << 7) | (channels << 3)) & 0xFFFF;
-    const audioConfigHigh = (audioConfig >> 8) & 0xFF;
-    const audioConfigLow = audioConfig & 0xFF;
-
-    const data = new Uint8Array([
-      0x00, 0x00, 0x00, 0x00,
-      0x03, 0x19,
-      0x00, 0x02,
-      0x00,
-      0x04, 0x11,
-      0x40,
-      0x15,
-      0x00, 0x00, 0x00,
-      0x00, 0x01, 0xF4, 0x00,
-      0x00, 0x01, 0xF4, 0x00,
-      0x05, 0x02,
-      audioConfigHigh, audioConfigLow,
-      0x06, 0x01, 0x02
-    ]);
-    return createBox('esds', data);
-  }
-
-  buildAudioStts() {
-    const audioPts = this.parser.audioPts;
+  buildAudioStts(track) {
+    const audioPts = track.pts;
 
     if (audioPts.length < 2) {
       const data = new Uint8Array(12);
       const view = new DataView(data.buffer);
       view.setUint32(0, 1);
-      view.setUint32(4, this.audioSampleSizes.length);
-      view.setUint32(8, this.audioSampleDuration);
+      view.setUint32(4, track.sampleSizes.length);
+      view.setUint32(8, track.sampleDuration);
       return createFullBox('stts', 0, 0, data);
     }
 
@@ -663,13 +1340,13 @@ export class MP4Muxer {
       let duration;
       if (i < audioPts.length - 1) {
         const ptsDiff = audioPts[i + 1] - audioPts[i];
-        duration = Math.round(ptsDiff * this.audioTimescale / 90000);
+        duration = Math.round(ptsDiff * track.timescale / 90000);
       } else {
-        duration = this.audioSampleDuration;
+        duration = track.sampleDuration;
       }
 
-      if (duration <= 0 || duration > this.audioSampleDuration * 2) {
-        duration = this.audioSampleDuration;
+      if (duration <= 0 || duration > track.sampleDuration * 2) {
+        duration = track.sampleDuration;
       }
 
       if (duration === lastDuration) {
@@ -692,42 +1369,136 @@ export class MP4Muxer {
     return createFullBox('stts', 0, 0, data);
   }
 
-  buildAudioStsc() {
+  buildAudioStsc(track) {
     const data = new Uint8Array(4 + 12);
     const view = new DataView(data.buffer);
-    view.setUint32(0, 1); view.setUint32(4, 1); view.setUint32(8, this.audioSampleSizes.length); view.setUint32(12, 1);
+    view.setUint32(0, 1); view.setUint32(4, 1); view.setUint32(8, track.sampleSizes.length); view.setUint32(12, 1);
     return createFullBox('stsc', 0, 0, data);
   }
 
-  buildAudioStsz() {
-    const data = new Uint8Array(8 + this.audioSampleSizes.length * 4);
+  buildAudioStsz(track) {
+    const sizes = track.sampleSizes;
+    const data = new Uint8Array(8 + sizes.length * 4);
     const view = new DataView(data.buffer);
-    view.setUint32(0, 0); view.setUint32(4, this.audioSampleSizes.length);
-    for (let i = 0; i < this.audioSampleSizes.length; i++) view.setUint32(8 + i * 4, this.audioSampleSizes[i]);
+    view.setUint32(0, 0); view.setUint32(4, sizes.length);
+    for (let i = 0; i < sizes.length; i++) view.setUint32(8 + i * 4, sizes[i]);
     return createFullBox('stsz', 0, 0, data);
   }
 
   buildAudioStco() {
-    const data = new Uint8Array(8);
+    return createChunkOffsetBox([0], this.largeOffsets);
+  }
+
+  // ── caption and metadata tracks ──
+
+  buildTimedTrak(track, trackId) {
+    const edts = this.buildTimedEdts(track);
+    const tkhd = this.buildTimedTkhd(track, trackId);
+    const mdia = createBox('mdia', this.buildTimedMdhd(track), this.buildTimedHdlr(track), this.buildTimedMinf(track));
+    return edts ? createBox('trak', tkhd, edts, mdia) : createBox('trak', tkhd, mdia);
+  }
+
+  /** Same edit as the video track, so captions and tags stay on the video's timeline */
+  buildTimedEdts(track) {
+    const mediaTime = this.preroll > 0 ? this.preroll : this.parser.videoAccessUnits[0]?.pts;
+    if (!mediaTime) return null;
+    const elstData = new Uint8Array(16);
+    const view = new DataView(elstData.buffer);
+    view.setUint32(0, 1);
+    view.setUint32(4, this.calculatePlaybackDuration());
+    view.setInt32(8, Math.round(mediaTime * track.timescale / 90000));
+    view.setUint16(12, 1);
+    return createBox('edts', createFullBox('elst', 0, 0, elstData));
+  }
+
+  buildTimedTkhd(track, trackId) {
+    const data = new Uint8Array(80);
     const view = new DataView(data.buffer);
-    view.setUint32(0, 1); view.setUint32(4, 0);
-    return createFullBox('stco', 0, 0, data);
+    view.setUint32(8, trackId);
+    view.setUint32(16, this.calculatePlaybackDuration());
+    view.setUint32(36, 0x00010000); view.setUint32(52, 0x00010000); view.setUint32(68, 0x40000000);
+    // Subtitles are laid over the video
+    if (track.handlerType === 'sbtl') {
+      const { width, height } = this.getVideoDimensions();
+      view.setUint32(72, width << 16);
+      view.setUint32(76, height << 16);
+    }
+    return createFullBox('tkhd', 0, 3, data);
+  }
+
+  buildTimedMdhd(track) {
+    const data = new Uint8Array(20);
+    const view = new DataView(data.buffer);
+    view.setUint32(8, track.timescale);
+    view.setUint32(12, track.durations.reduce((sum, duration) => sum + duration, 0));
+    view.setUint16(16, encodeLanguage(track.language));
+    return createFullBox('mdhd', 0, 0, data);
+  }
+
+  buildTimedHdlr(track) {
+    const data = new Uint8Array(21);
+    for (let i = 0; i < 4; i++) data[4 + i] = track.handlerType.charCodeAt(i);
+    return createFullBox('hdlr', 0, 0, data);
+  }
+
+  buildTimedMinf(track) {
+    const nmhd = createFullBox('nmhd', 0, 0, new Uint8Array(0));
+    return createBox('minf', nmhd, this.buildDinf(), this.buildTimedStbl(track));
   }
 
-  updateChunkOffsets(moov, mdatOffset) { this.updateStcoInBox(moov, mdatOffset, 0); }
+  buildTimedStbl(track) {
+    const { sampleSizes, durations } = track;
+    const stsdHeader = new Uint8Array(4);
+    new DataView(stsdHeader.buffer).setUint32(0, 1);
+    const stsd = createFullBox('stsd', 0, 0, stsdHeader, track.sampleEntry);
 
-  updateStcoInBox(data, mdatOffset, trackIndex) {
+    const entries = [];
+    for (const duration of durations) {
+      const last = entries[entries.length - 1];
+      if (last && last.duration === duration) last.count++;
+      else entries.push({ count: 1, duration });
+    }
+    const sttsData = new Uint8Array(4 + entries.length * 8);
+    const sttsView = new DataView(sttsData.buffer);
+    sttsView.setUint32(0, entries.length);
+    entries.forEach((entry, i) => { sttsView.setUint32(4 + i * 8, entry.count); sttsView.setUint32(8 + i * 8, entry.duration); });
+    const stts = createFullBox('stts', 0, 0, sttsData);
+
+    const stsc = this.buildAudioStsc({ sampleSizes });
+    const stsz = this.buildAudioStsz({ sampleSizes });
+    return createBox('stbl', stsd, stts, stsc, stsz, createChunkOffsetBox([0], this.largeOffsets));
+  }
+
+  updateChunkOffsets(moov, mdatOffset) {
+    const bases = [this.videoChunkOffset, ...this.getAudioTracks().map(track => track.chunkOffset)];
+    for (const track of this.getTimedTracks()) bases.push(track.chunkOffset);
+    this.updateStcoInBox(moov, bases.map(base => mdatOffset + base), 0);
+  }
+
+  /**
+   * Add each trak's payload position to its stco entries
+   * @param {Uint8Array} data - Box contents to search
+   * @param {number[]} bases - File offset of each track's data, in trak order
+   * @param {number} trackIndex - Index of the next stco's track
+   * @returns {number} Index after the last stco found
+   */
+  updateStcoInBox(data, bases, trackIndex) {
     let offset = 8;
     while (offset < data.byteLength - 8) {
       const view = new DataView(data.buffer, data.byteOffset + offset);
       const size = view.getUint32(0);
       const type = String.fromCharCode(data[offset + 4], data[offset + 5], data[offset + 6], data[offset + 7]);
       if (size < 8 || offset + size > data.byteLength) break;
-      if (type === 'stco') {
-        view.setUint32(16, trackIndex === 0 ? mdatOffset + this.videoChunkOffset : mdatOffset + this.audioChunkOffset);
+      if (type === 'stco' || type === 'co64') {
+        const base = bases[trackIndex];
+        const entryCount = view.getUint32(12);
+        for (let i = 0; i < entryCount; i++) {
+          if (type === 'co64') writeUint64(view, 16 + i * 8, base + readUint64(view, 16 + i * 8));
+          else view.setUint32(16 + i * 4, base + view.getUint32(16 + i * 4));
+        }
         trackIndex++;
       } else if (['moov', 'trak', 'mdia', 'minf', 'stbl'].includes(type)) {
-        trackIndex = this.updateStcoInBox(data.subarray(offset, offset + size), mdatOffset, trackIndex);
+        trackIndex = this.updateStcoInBox(data.subarray(offset, offset + size), bases, trackIndex);
       }
       offset += size;
     }
@@ -23,13 +23,13 @@
 // ============================================================================
 
 export function readUint32(data, offset) {
-  return (data[offset] << 24) | (data[offset + 1] << 16) | 
-         (data[offset + 2] << 8) | data[offset + 3];
+  return ((data[offset] << 24) | (data[offset + 1] << 16) | 
+         (data[offset + 2] << 8) | data[offset + 3]) >>> 0;
 }
 
 export function readUint64(data, offset) {
-  // For simplicity, only handle lower 32 bits (files < 4GB)
-  return readUint32(data, offset + 4);
+  // Exact up to 2^53, well past any real file size
+  return readUint32(data, offset) * 0x100000000 + readUint32(data, offset + 4);
 }
 
 export function readInt32(data, offset) {
@@ -62,10 +62,11 @@ export function findBox(data, type, start = 0, end = data.length) {
     const size = readUint32(data, offset);
     const btype = boxType(data, offset + 4);
     
-    if (size === 0 || size > end - offset) break;
-    
+    // size 1: 64-bit largesize follows the type; size 0: box runs to the end
     const headerSize = size === 1 ? 16 : 8;
-    const actualSize = size === 1 ? readUint64(data, offset + 8) : size;
+    const actualSize = size === 1 ? readUint64(data, offset + 8) : size === 0 ? end - offset : size;
+    
+    if (actualSize < headerSize || actualSize > end - offset) break;
     
     if (btype === type) {
       return { offset, size: actualSize, headerSize };
@@ -85,10 +86,11 @@ export function findAllBoxes(data, type, start = 0, end = data.length) {
     const size = readUint32(data, offset);
     const btype = boxType(data, offset + 4);
     
-    if (size === 0 || size > end - offset) break;
-    
+    // size 1: 64-bit largesize follows the type; size 0: box runs to the end
     const headerSize = size === 1 ? 16 : 8;
-    const actualSize = size === 1 ? readUint64(data, offset + 8) : size;
+    const actualSize = size === 1 ? readUint64(data, offset + 8) : size === 0 ? end - offset : size;
+    
+    if (actualSize < headerSize || actualSize > end - offset) break;
     
     if (btype === type) {
       boxes.push({ offset, size: actualSize, headerSize });
@@ -474,7 +476,8 @@ export function buildSegments(videoSamples, targetDuration = 4) {
   
   for (let i = 0; i < keyframes.length; i++) {
     const start = keyframes[i];
-    const end = keyframes[i + 1] || videoSamples[videoSamples.length - 1];
+    // The last segment runs to the end of the last sample
+    const end = keyframes[i + 1];
     
     const videoStart = start.index;
     const videoEnd = end ? end.index : videoSamples.length;
@@ -558,8 +561,10 @@ export class MP4Parser {
     this.moov = null;
     this.videoTrack = null;
     this.audioTrack = null;
+    this.metadataTrack = null;
     this.videoSamples = [];
     this.audioSamples = [];
+    this.metadataSamples = [];
     
     this._parse();
   }
@@ -587,6 +592,9 @@ export class MP4Parser {
         } else if (track.type === 'soun' && !this.audioTrack) {
           this.audioTrack = track;
           this.audioSamples = buildSampleTable(track);
+        } else if (track.type === 'meta' && !this.metadataTrack) {
+          this.metadataTrack = track;
+          this.metadataSamples = buildSampleTable(track);
         }
       }
       trackOffset = trak.offset + trak.size;
@@ -647,6 +655,14 @@ export class MP4Parser {
   getAudioSamples() {
     return this.audioSamples;
   }
+
+  /**
+   * Get timed metadata samples (e.g. ID3 tags)
+   * @returns {Array} Metadata sample table
+   */
+  getMetadataSamples() {
+    return this.metadataSamples;
+  }
   
   /**
    * Build HLS-style segments
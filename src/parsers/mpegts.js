@@ -2,7 +2,10 @@
  * MPEG-TS Parser
  * 
  * Parses MPEG Transport Stream data and extracts video/audio access units.
- * Supports H.264/H.265 video and AAC audio.
+ * Supports H.264/H.265/MPEG-2 video and AAC, MPEG audio (MP2/MP3), AC-3 and E-AC-3.
+ * MPEG-2 video access units are split at start codes like NAL units, so
+ * each "NAL unit" there is a header, extension or slice, starting with
+ * its start code value.
  * 
  * @example
  * import { TSParser } from 'tomp4';
@@ -14,6 +17,21 @@
  * console.log(parser.videoAccessUnits.length); // Number of video frames
  * console.log(parser.audioAccessUnits.length); // Number of audio frames
  * 
+ * // Incremental parsing (chunks may split TS packets anywhere)
+ * const parser = new TSParser();
+ * for await (const chunk of stream) parser.push(chunk);
+ * parser.end();
+ *
+ * // Multi-program captures: pick a program and keep every audio stream
+ * const parser = new TSParser({ program: 2, allAudio: true });
+ * parser.parse(tsData);
+ * parser.finalize();
+ * console.log(parser.programs);    // [{ number, pmtPid, streams: [{ pid, streamType, codec, language }] }]
+ * console.log(parser.audioTracks); // [{ pid, language, audioAccessUnits, ... }]
+ *
+ * // Timed metadata: ID3 tags (stream type 0x15) and SCTE-35 splice info (0x86)
+ * console.log(parser.metadataEvents); // [{ pid, pts, type: 'id3'|'scte35', payload, scte35? }]
+ * 
  * @module parsers/mpegts
  */
 
@@ -25,18 +43,39 @@ const TS_PACKET_SIZE = 188;
 const TS_SYNC_BYTE = 0x47;
 const PAT_PID = 0x0000;
 
+const VIDEO_STREAM_TYPES = [0x01, 0x02, 0x1B, 0x24, 0xDB];
+const AUDIO_STREAM_TYPES = [0x03, 0x04, 0x0F, 0x11, 0x81, 0x87, 0xCF];
+const MPEG_AUDIO_STREAM_TYPES = [0x03, 0x04];
+const AC3_STREAM_TYPES = [0x81, 0x87];
+/** AAC in LOAS/LATM framing (DVB, ISDB) instead of ADTS */
+const LATM_STREAM_TYPE = 0x11;
+/** ID3 tags in PES packets (metadata stream) and SCTE-35 splice info sections */
+const ID3_STREAM_TYPE = 0x15;
+const SCTE35_STREAM_TYPE = 0x86;
+
+/** ES info descriptor tag carrying ISO 639 language codes */
+const ISO_639_DESCRIPTOR = 0x0A;
+
+/** PTS/DTS are 33-bit 90kHz counters that roll over every ~26.5 hours */
+export const PTS_WRAP = 2 ** 33;
+
 // Stream type info
 export const STREAM_TYPES = {
   0x01: { name: 'MPEG-1 Video', supported: false },
-  0x02: { name: 'MPEG-2 Video', supported: false },
-  0x03: { name: 'MPEG-1 Audio (MP3)', supported: false },
-  0x04: { name: 'MPEG-2 Audio', supported: false },
+  0x02: { name: 'MPEG-2 Video', supported: true },
+  0x03: { name: 'MPEG-1 Audio (MP3)', supported: true },
+  0x04: { name: 'MPEG-2 Audio', supported: true },
   0x0F: { name: 'AAC', supported: true },
   0x11: { name: 'AAC-LATM', supported: true },
+  0x15: { name: 'ID3 Timed Metadata', supported: true },
   0x1B: { name: 'H.264/AVC', supported: true },
   0x24: { name: 'H.265/HEVC', supported: true },
-  0x81: { name: 'AC-3 (Dolby)', supported: false },
-  0x87: { name: 'E-AC-3', supported: false }
+  0x81: { name: 'AC-3 (Dolby)', supported: true },
+  0x86: { name: 'SCTE-35', supported: true },
+  0x87: { name: 'E-AC-3', supported: true },
+  // HLS SAMPLE-AES: parsed so segments can be decrypted, not convertible as-is
+  0xCF: { name: 'AAC (SAMPLE-AES encrypted)', supported: false },
+  0xDB: { name: 'H.264/AVC (SAMPLE-AES encrypted)', supported: false }
 };
 
 // ============================================
@@ -48,7 +87,16 @@ export const STREAM_TYPES = {
  * Extracts video and audio access units from MPEG Transport Stream data.
  */
 export class TSParser {
-  constructor() {
+  /**
+   * @param {object} [options]
+   * @param {number} [options.program] - Program number to demux (default: first program in the PAT)
+   * @param {boolean} [options.allAudio=false] - Also demux the program's other audio streams (see audioTracks)
+   */
+  constructor(options = {}) {
+    this.requestedProgram = options.program ?? null;
+    this.allAudio = !!options.allAudio;
+    this.programs = [];
+    this.programNumber = null;
     this.pmtPid = null;
     this.videoPid = null;
     this.audioPid = null;
@@ -62,30 +110,54 @@ export class TSParser {
     this.videoDts = [];
     this.audioPts = [];
     this.lastAudioPts = null;
-    this.adtsPartial = null;
+    this.audioPartial = null;
     this.audioSampleRate = null;
     this.audioChannels = null;
+    // Samples per audio frame (null: 1024, AAC) and, for codecs other than
+    // ADTS AAC, what their sample entry needs (see extractMpegAudioFrames,
+    // extractAc3Frames and extractLatmFrames)
+    this.audioFrameSize = null;
+    this.audioConfig = null;
+    // Last LATM StreamMuxConfig, for frames that reuse it (see extractLatmFrames)
+    this.latmConfig = null;
+    this.audioLanguage = null;
+    // Further audio streams of the program (allAudio), each with its own
+    // pesBuffer/audioAccessUnits/audioPts/... like the primary track's
+    this.extraAudioTracks = [];
+    // ID3 and SCTE-35 streams of the program, and what they carried:
+    // { pid, pts, type: 'id3'|'scte35', payload, scte35? } in pts order after finalize()
+    this.metadataStreams = [];
+    this.metadataEvents = [];
     this.videoWidth = null;
     this.videoHeight = null;
+    this.pendingBytes = null;
+    // Last unwrapped PTS/DTS of each PID, so one stream's timestamps never
+    // shift another's across a rollover
+    this.timestampReferences = new Map();
+    // Program clock: the video PID's last unwrapped PTS/DTS (any stream's
+    // without video). New PIDs start from it; set before parsing to continue
+    // the timeline of a previous segment
+    this.timestampReference = null;
     this.debug = { packets: 0, patFound: false, pmtFound: false };
   }
 
   /**
    * Parse MPEG-TS data
    * @param {Uint8Array} data - MPEG-TS data
+   * @returns {number} Offset of the first byte not consumed (a trailing partial packet)
    */
   parse(data) {
     let offset = 0;
     // Find first sync byte
     while (offset < data.byteLength && data[offset] !== TS_SYNC_BYTE) offset++;
-    if (offset > 0) this.debug.skippedBytes = offset;
+    if (offset > 0) this.debug.skippedBytes = (this.debug.skippedBytes || 0) + offset;
 
     // Parse all packets
     while (offset + TS_PACKET_SIZE <= data.byteLength) {
       if (data[offset] !== TS_SYNC_BYTE) {
         // Try to resync
         const nextSync = data.indexOf(TS_SYNC_BYTE, offset + 1);
-        if (nextSync === -1) break;
+        if (nextSync === -1) return data.byteLength;
         offset = nextSync;
         continue;
       }
@@ -93,6 +165,32 @@ export class TSParser {
       this.debug.packets++;
       offset += TS_PACKET_SIZE;
     }
+    return offset;
+  }
+
+  /**
+   * Parse a chunk of a larger MPEG-TS stream
+   * A packet split across chunks is held back until the next push().
+   * Call end() after the last chunk.
+   * @param {Uint8Array} chunk - Next piece of MPEG-TS data
+   */
+  push(chunk) {
+    let data = chunk;
+    if (this.pendingBytes) {
+      data = this.concatenateBuffers([this.pendingBytes, chunk]);
+      this.pendingBytes = null;
+    }
+    const consumed = this.parse(data);
+    if (consumed < data.byteLength) this.pendingBytes = data.slice(consumed);
+  }
+
+  /**
+   * Finish incremental parsing started with push()
+   * Drops any incomplete trailing packet, then finalizes.
+   */
+  end() {
+    this.pendingBytes = null;
+    this.finalize();
   }
 
   parsePacket(packet) {
@@ -112,9 +210,15 @@ export class TSParser {
     if (payload.length === 0) return;
 
     if (pid === PAT_PID) this.parsePAT(payload);
-    else if (pid === this.pmtPid) this.parsePMT(payload);
     else if (pid === this.videoPid) this.collectPES(payload, payloadStart, 'video');
     else if (pid === this.audioPid) this.collectPES(payload, payloadStart, 'audio');
+    else if (this.programs.some(p => p.pmtPid === pid)) this.parsePMT(payload);
+    else {
+      const track = this.extraAudioTracks.find(t => t.pid === pid);
+      if (track) this.collectExtraAudioPES(payload, payloadStart, track);
+      const stream = !track && this.metadataStreams.find(m => m.pid === pid);
+      if (stream) this.collectMetadata(payload, payloadStart, stream);
+    }
   }
 
   parsePAT(payload) {
@@ -122,18 +226,30 @@ export class TSParser {
     let offset = payload[0] + 1;
     if (offset + 8 > payload.length) return;
 
+    const sectionLength = ((payload[offset + 1] & 0x0F) << 8) | payload[offset + 2];
+    const sectionEnd = Math.min(payload.length - 4, offset + 3 + sectionLength - 4);
     offset += 8;
 
-    while (offset + 4 <= payload.length - 4) {
+    while (offset + 4 <= sectionEnd) {
       const programNum = (payload[offset] << 8) | payload[offset + 1];
       const pmtPid = ((payload[offset + 2] & 0x1F) << 8) | payload[offset + 3];
-      if (programNum !== 0 && pmtPid !== 0) {
-        this.pmtPid = pmtPid;
-        this.debug.patFound = true;
-        break;
+      // Program 0 points at the network PID, not a PMT
+      if (programNum !== 0 && pmtPid !== 0 && !this.programs.some(p => p.number === programNum)) {
+        this.programs.push({ number: programNum, pmtPid, streams: [] });
       }
       offset += 4;
     }
+
+    if (this.pmtPid === null && this.programs.length > 0) {
+      const program = this.requestedProgram === null
+        ? this.programs[0]
+        : this.programs.find(p => p.number === this.requestedProgram);
+      if (program) {
+        this.programNumber = program.number;
+        this.pmtPid = program.pmtPid;
+        this.debug.patFound = true;
+      }
+    }
   }
 
   parsePMT(payload) {
@@ -144,9 +260,14 @@ export class TSParser {
     offset++;
     const sectionLength = ((payload[offset] & 0x0F) << 8) | payload[offset + 1];
     offset += 2;
+    const programNum = (payload[offset] << 8) | payload[offset + 1];
     offset += 5;
     offset += 2;
 
+    const program = this.programs.find(p => p.number === programNum);
+    if (!program) return;
+    const selected = programNum === this.programNumber;
+
     if (offset + 2 > payload.length) return;
     const programInfoLength = ((payload[offset] & 0x0F) << 8) | payload[offset + 1];
     offset += 2 + programInfoLength;
@@ -157,15 +278,31 @@ export class TSParser {
       const streamType = payload[offset];
       const elementaryPid = ((payload[offset + 1] & 0x1F) << 8) | payload[offset + 2];
       const esInfoLength = ((payload[offset + 3] & 0x0F) << 8) | payload[offset + 4];
+      const language = parseLanguage(payload.subarray(offset + 5, Math.min(offset + 5 + esInfoLength, sectionEnd)));
 
-      if (!this.videoPid && (streamType === 0x01 || streamType === 0x02 || streamType === 0x1B || streamType === 0x24)) {
-        this.videoPid = elementaryPid;
-        this.videoStreamType = streamType;
-        this.debug.pmtFound = true;
+      if (!program.streams.some(s => s.pid === elementaryPid)) {
+        program.streams.push({ pid: elementaryPid, streamType, codec: getCodecInfo(streamType).name, language });
       }
-      else if (!this.audioPid && (streamType === 0x03 || streamType === 0x04 || streamType === 0x0F || streamType === 0x11 || streamType === 0x81 || streamType === 0x87)) {
-        this.audioPid = elementaryPid;
-        this.audioStreamType = streamType;
+
+      if (selected) {
+        if (!this.videoPid && VIDEO_STREAM_TYPES.includes(streamType)) {
+          this.videoPid = elementaryPid;
+          this.videoStreamType = streamType;
+          this.debug.pmtFound = true;
+        }
+        else if (!this.audioPid && AUDIO_STREAM_TYPES.includes(streamType)) {
+          this.audioPid = elementaryPid;
+          this.audioStreamType = streamType;
+          this.audioLanguage = language;
+        }
+        else if (this.allAudio && AUDIO_STREAM_TYPES.includes(streamType) && elementaryPid !== this.audioPid &&
+          !this.extraAudioTracks.some(t => t.pid === elementaryPid)) {
+          this.extraAudioTracks.push(createAudioTrackState(elementaryPid, streamType, language));
+        }
+        else if ((streamType === ID3_STREAM_TYPE || streamType === SCTE35_STREAM_TYPE) &&
+          !this.metadataStreams.some(m => m.pid === elementaryPid)) {
+          this.metadataStreams.push({ pid: elementaryPid, streamType, buffer: [] });
+        }
       }
 
       offset += 5 + esInfoLength;
@@ -182,27 +319,123 @@ export class TSParser {
     buffer.push(payload.slice());
   }
 
-  processPES(pesData, type) {
+  collectExtraAudioPES(payload, isStart, track) {
+    if (isStart) {
+      if (track.pesBuffer.length > 0) this.processPES(this.concatenateBuffers(track.pesBuffer), 'audio', track);
+      track.pesBuffer.length = 0;
+    }
+    track.pesBuffer.push(payload.slice());
+  }
+
+  /**
+   * Collect an ID3 PES packet or SCTE-35 section of a metadata stream
+   * (both end where the next one starts)
+   */
+  collectMetadata(payload, isStart, stream) {
+    if (isStart) {
+      if (stream.buffer.length > 0) this.processMetadata(this.concatenateBuffers(stream.buffer), stream);
+      stream.buffer.length = 0;
+      // Sections start after the pointer field
+      if (stream.streamType === SCTE35_STREAM_TYPE) payload = payload.subarray(1 + payload[0]);
+    } else if (stream.buffer.length === 0) {
+      return;
+    }
+    stream.buffer.push(payload.slice());
+    // Sections are complete without waiting for the next one; handling them now
+    // keeps immediate splices at the current stream time
+    if (stream.streamType === SCTE35_STREAM_TYPE) {
+      const data = this.concatenateBuffers(stream.buffer);
+      let offset = 0;
+      while (offset + 3 <= data.length && data[offset] !== 0xFF) {
+        offset += 3 + (((data[offset + 1] & 0x0F) << 8) | data[offset + 2]);
+      }
+      if (offset === data.length || (offset < data.length && data[offset] === 0xFF)) {
+        this.processMetadata(data, stream);
+        stream.buffer.length = 0;
+      }
+    }
+  }
+
+  processMetadata(data, stream) {
+    if (stream.streamType === ID3_STREAM_TYPE) {
+      if (data.length < 9 || data[0] !== 0 || data[1] !== 0 || data[2] !== 1) return;
+      // Tags without a PTS apply from the last timestamp seen
+      const pts = data[7] & 0x80 ? this.unwrapTimestamp(this.parsePTS(data, 9), stream.pid) : this.timestampReference;
+      const payload = data.subarray(9 + data[8]);
+      if (pts !== null && payload.length > 0) {
+        this.metadataEvents.push({ pid: stream.pid, pts, type: 'id3', payload });
+      }
+      return;
+    }
+
+    // Several sections may share a packet, padded with 0xFF after the last
+    let offset = 0;
+    while (offset + 3 <= data.length && data[offset] !== 0xFF) {
+      const end = offset + 3 + (((data[offset + 1] & 0x0F) << 8) | data[offset + 2]);
+      if (end > data.length) break;
+      const section = data.subarray(offset, end);
+      const scte35 = parseScte35(section);
+      if (scte35) {
+        // Splice times are on the stream's clock; without one the splice is immediate
+        const pts = scte35.spliceTime !== null ? this.nearestTimestamp(scte35.spliceTime) : this.timestampReference;
+        if (pts !== null) this.metadataEvents.push({ pid: stream.pid, pts, type: 'scte35', payload: section, scte35 });
+      }
+      offset = end;
+    }
+  }
+
+  processPES(pesData, type, track = this) {
     if (pesData.length < 9) return;
     if (pesData[0] !== 0 || pesData[1] !== 0 || pesData[2] !== 1) return;
     const flags = pesData[7];
     const headerDataLength = pesData[8];
     let pts = null, dts = null;
-    if (flags & 0x80) pts = this.parsePTS(pesData, 9);
-    if (flags & 0x40) dts = this.parsePTS(pesData, 14);
+    const pid = type === 'video' ? this.videoPid : track === this ? this.audioPid : track.pid;
+    if (flags & 0x80) pts = this.unwrapTimestamp(this.parsePTS(pesData, 9), pid);
+    if (flags & 0x40) dts = this.unwrapTimestamp(this.parsePTS(pesData, 14), pid);
     const payload = pesData.subarray(9 + headerDataLength);
     if (type === 'video') this.processVideoPayload(payload, pts, dts);
-    else this.processAudioPayload(payload, pts);
+    else this.processAudioPayload(payload, pts, track);
   }
 
   parsePTS(data, offset) {
-    return ((data[offset] & 0x0E) << 29) |
-      ((data[offset + 1]) << 22) |
-      ((data[offset + 2] & 0xFE) << 14) |
-      ((data[offset + 3]) << 7) |
+    // 33 bits: multiply instead of shifting, bitwise ops truncate to 32-bit signed
+    return (data[offset] & 0x0E) * 0x20000000 +
+      data[offset + 1] * 0x400000 +
+      (data[offset + 2] & 0xFE) * 0x4000 +
+      data[offset + 3] * 0x80 +
       ((data[offset + 4] & 0xFE) >> 1);
   }
 
+  /**
+   * Map a raw 33-bit timestamp onto a continuous timeline
+   * Picks the 2^33 multiple closest to the PID's previous timestamp (the
+   * program clock for its first one), so values keep increasing across a
+   * rollover (and B-frame/audio jitter just before it doesn't jump a whole
+   * wrap back).
+   * @param {number} ts - Raw PTS/DTS from parsePTS()
+   * @param {number|null} [pid] - Stream the timestamp belongs to
+   * @returns {number} Unwrapped timestamp (may exceed 2^33 or go negative)
+   */
+  unwrapTimestamp(ts, pid = null) {
+    const reference = this.timestampReferences.get(pid) ?? this.timestampReference;
+    const value = reference === null ? ts : ts + Math.round((reference - ts) / PTS_WRAP) * PTS_WRAP;
+    this.timestampReferences.set(pid, value);
+    if (!this.videoPid || pid === this.videoPid || this.timestampReference === null) {
+      this.timestampReference = value;
+    }
+    return value;
+  }
+
+  /**
+   * Unwrap a timestamp like unwrapTimestamp() without moving the
+   * reference, for times that lie ahead of the streams (splice times)
+   */
+  nearestTimestamp(ts) {
+    const reference = this.timestampReference;
+    return reference === null ? ts : ts + Math.round((reference - ts) / PTS_WRAP) * PTS_WRAP;
+  }
+
   processVideoPayload(payload, pts, dts) {
     const nalUnits = this.extractNALUnits(payload);
     if (nalUnits.length > 0 && pts !== null) {
@@ -239,57 +472,74 @@ export class TSParser {
     return nalUnits;
   }
 
-  processAudioPayload(payload, pts) {
-    const frames = this.extractADTSFrames(payload);
+  /**
+   * @param {Uint8Array} payload - PES payload (ADTS, LOAS, MPEG audio or AC-3 frames)
+   * @param {number|null} pts - PES timestamp
+   * @param {object} [track=this] - Audio track state: the parser itself or one of extraAudioTracks
+   */
+  processAudioPayload(payload, pts, track = this) {
+    const streamType = track === this ? this.audioStreamType : track.streamType;
+    // The PES timestamp belongs to the first frame starting in this PES, not
+    // to one carried over from the previous PES: that continues its timeline
+    const continued = !!track.audioPartial?.length && track.lastAudioPts !== null;
+    const frames = MPEG_AUDIO_STREAM_TYPES.includes(streamType) ? this.extractMpegAudioFrames(payload, track)
+      : AC3_STREAM_TYPES.includes(streamType) ? this.extractAc3Frames(payload, track)
+        : streamType === LATM_STREAM_TYPE ? this.extractLatmFrames(payload, track)
+          : this.extractADTSFrames(payload, track);
 
-    this.debug.audioPesCount = (this.debug.audioPesCount || 0) + 1;
-    this.debug.audioFramesInPes = (this.debug.audioFramesInPes || 0) + frames.length;
+    if (track === this) {
+      this.debug.audioPesCount = (this.debug.audioPesCount || 0) + 1;
+      this.debug.audioFramesInPes = (this.debug.audioFramesInPes || 0) + frames.length;
+    }
 
-    if (pts !== null) {
-      this.lastAudioPts = pts;
-    } else if (this.lastAudioPts !== null) {
-      pts = this.lastAudioPts;
+    if (pts !== null && !continued) {
+      track.lastAudioPts = pts;
+    } else if (track.lastAudioPts !== null) {
+      pts = track.lastAudioPts;
     } else {
       this.debug.audioSkipped = (this.debug.audioSkipped || 0) + frames.length;
       return;
     }
 
-    const sampleRate = this.audioSampleRate || 48000;
-    const ptsIncrement = Math.round(1024 * 90000 / sampleRate);
+    const sampleRate = track.audioSampleRate || 48000;
+    const ptsIncrement = Math.round((track.audioFrameSize || 1024) * 90000 / sampleRate);
 
     for (const frame of frames) {
-      this.audioAccessUnits.push({ data: frame.data, pts });
-      this.audioPts.push(pts);
+      track.audioAccessUnits.push({ data: frame.data, pts });
+      track.audioPts.push(pts);
       pts += ptsIncrement;
-      this.lastAudioPts = pts;
+      track.lastAudioPts = pts;
     }
   }
 
-  extractADTSFrames(data) {
-    const SAMPLE_RATES = [96000, 88200, 64000, 48000, 44100, 32000, 24000, 22050, 16000, 12000, 11025, 8000, 7350];
+  /**
+   * Prepend the incomplete frame left over from the track's previous PES
+   */
+  takeAudioPartial(data, track) {
+    if (!track.audioPartial || track.audioPartial.length === 0) return data;
+    const combined = new Uint8Array(track.audioPartial.length + data.length);
+    combined.set(track.audioPartial);
+    combined.set(data, track.audioPartial.length);
+    track.audioPartial = null;
+    return combined;
+  }
 
+  extractADTSFrames(data, track = this) {
     const frames = [];
     let i = 0;
-
-    if (this.adtsPartial && this.adtsPartial.length > 0) {
-      const combined = new Uint8Array(this.adtsPartial.length + data.length);
-      combined.set(this.adtsPartial);
-      combined.set(data, this.adtsPartial.length);
-      data = combined;
-      this.adtsPartial = null;
-    }
+    data = this.takeAudioPartial(data, track);
 
     while (i < data.length - 7) {
       if (data[i] === 0xFF && (data[i + 1] & 0xF0) === 0xF0) {
         const protectionAbsent = data[i + 1] & 0x01;
         const frameLength = ((data[i + 3] & 0x03) << 11) | (data[i + 4] << 3) | ((data[i + 5] & 0xE0) >> 5);
 
-        if (!this.audioSampleRate && frameLength > 0) {
+        if (!track.audioSampleRate && frameLength > 0) {
           const samplingFreqIndex = ((data[i + 2] & 0x3C) >> 2);
           const channelConfig = ((data[i + 2] & 0x01) << 2) | ((data[i + 3] & 0xC0) >> 6);
-          if (samplingFreqIndex < SAMPLE_RATES.length) {
-            this.audioSampleRate = SAMPLE_RATES[samplingFreqIndex];
-            this.audioChannels = channelConfig;
+          if (samplingFreqIndex < AAC_SAMPLE_RATES.length) {
+            track.audioSampleRate = AAC_SAMPLE_RATES[samplingFreqIndex];
+            track.audioChannels = channelConfig;
           }
         }
 
@@ -300,7 +550,7 @@ export class TSParser {
             i += frameLength;
             continue;
           } else {
-            this.adtsPartial = data.slice(i);
+            track.audioPartial = data.slice(i);
             break;
           }
         }
@@ -310,6 +560,147 @@ export class TSParser {
     return frames;
   }
 
+  /**
+   * Split LOAS (AudioSyncStream, ISO/IEC 14496-3 1.7) into raw AAC
+   * access units, one per AudioMuxElement subframe
+   * Frames may reuse the last StreamMuxConfig seen; ones before the first
+   * config can't be decoded and are dropped. The first config sets
+   * audioConfig: { codec: 'aac', objectType, audioSpecificConfig }, whose
+   * AudioSpecificConfig goes into the esds as it is.
+   * @param {Uint8Array} data - PES payload
+   * @param {object} [track=this] - Audio track state
+   * @returns {Array<{data: Uint8Array}>}
+   */
+  extractLatmFrames(data, track = this) {
+    const frames = [];
+    let i = 0;
+    data = this.takeAudioPartial(data, track);
+
+    while (i + 1 < data.length) {
+      // syncword 0x2B7, then audioMuxLengthBytes (13 bits)
+      if (data[i] !== 0x56 || (data[i + 1] & 0xE0) !== 0xE0) {
+        i++;
+        continue;
+      }
+      const end = i + 3 + (((data[i + 1] & 0x1F) << 8) | data[i + 2]);
+      if (i + 3 > data.length || end > data.length) {
+        track.audioPartial = data.slice(i);
+        break;
+      }
+      const element = parseAudioMuxElement(data.subarray(i + 3, end), track.latmConfig);
+      track.latmConfig = element.config;
+      if (element.config && !track.audioConfig) {
+        const { objectType, sampleRate, channels, frameLength, audioSpecificConfig } = element.config;
+        track.audioSampleRate = sampleRate;
+        track.audioChannels = channels;
+        track.audioFrameSize = frameLength;
+        track.audioConfig = { codec: 'aac', objectType, audioSpecificConfig };
+      }
+      for (const payload of element.payloads) frames.push({ data: payload });
+      i = end;
+    }
+    return frames;
+  }
+
+  /**
+   * Split MPEG-1/2 audio (MP1/MP2/MP3) into frames
+   * MP4 keeps the frame headers, so each sample is a whole frame. The first
+   * frame sets the track's sample rate, channels, frame size and
+   * audioConfig: { codec: 'mpeg', objectType } (0x6B MPEG-1, 0x69 MPEG-2/2.5).
+   * @param {Uint8Array} data - PES payload
+   * @param {object} [track=this] - Audio track state
+   * @returns {Array<{data: Uint8Array}>}
+   */
+  extractMpegAudioFrames(data, track = this) {
+    const frames = [];
+    let i = 0;
+    data = this.takeAudioPartial(data, track);
+
+    while (i + 4 <= data.length) {
+      const header = parseMpegAudioHeader(data, i);
+      if (!header) {
+        i++;
+        continue;
+      }
+      if (i + header.frameLength > data.length) {
+        track.audioPartial = data.slice(i);
+        break;
+      }
+      if (!track.audioSampleRate) {
+        track.audioSampleRate = header.sampleRate;
+        track.audioChannels = header.channels;
+        track.audioFrameSize = header.samples;
+        track.audioConfig = { codec: 'mpeg', objectType: header.version === 1 ? 0x6B : 0x69 };
+      }
+      frames.push({ data: data.subarray(i, i + header.frameLength) });
+      i += header.frameLength;
+    }
+    return frames;
+  }
+
+  /**
+   * Split AC-3 / E-AC-3 into MP4 samples of 1536 audio samples each
+   * An AC-3 syncframe is one sample. E-AC-3 syncframes may hold fewer
+   * audio blocks, and a program can have dependent substreams (e.g. the
+   * extra channels of 7.1), so a sample runs from one independent
+   * substream 0 frame with six blocks' worth behind it up to the next.
+   * The first sample sets audioConfig: the dac3 fields ({ codec: 'ac-3',
+   * fscod, bsid, bsmod, acmod, lfeon, bitRateCode }) or the dec3 ones
+   * ({ codec: 'ec-3', dataRate, substreams: [{ fscod, bsid, bsmod, acmod, lfeon, dependents, chanLoc }] }).
+   * @param {Uint8Array} data - PES payload
+   * @param {object} [track=this] - Audio track state
+   * @returns {Array<{data: Uint8Array}>}
+   */
+  extractAc3Frames(data, track = this) {
+    const frames = [];
+    let group = null;
+    let incomplete = false;
+    let i = 0;
+    data = this.takeAudioPartial(data, track);
+
+    const closeGroup = (end) => {
+      if (!track.audioConfig) {
+        track.audioSampleRate = group.headers[0].sampleRate;
+        track.audioChannels = AC3_CHANNELS[group.headers[0].acmod] + group.headers[0].lfeon;
+        track.audioFrameSize = 1536;
+        track.audioConfig = ac3Config(group.headers, end - group.start);
+      }
+      frames.push({ data: data.subarray(group.start, end) });
+      group = null;
+    };
+
+    while (i + 8 <= data.length) {
+      const header = data[i] === 0x0B && data[i + 1] === 0x77 ? parseAc3Header(data, i) : null;
+      if (!header) {
+        i++;
+        continue;
+      }
+      const leading = header.independent && header.substreamId === 0;
+      if (group && leading && group.blocks >= 6) closeGroup(i);
+      if (i + header.frameLength > data.length) {
+        incomplete = true;
+        break;
+      }
+      if (!group) {
+        // Dependent substreams before any independent frame can't be decoded
+        if (!leading) {
+          i += header.frameLength;
+          continue;
+        }
+        group = { start: i, blocks: 0, headers: [] };
+      }
+      if (leading) group.blocks += header.blocks;
+      group.headers.push(header);
+      i += header.frameLength;
+    }
+
+    // A full sample ends with the PES, unless one of its dependent frames is cut off
+    if (group && group.blocks >= 6 && !incomplete) closeGroup(i);
+    const rest = group ? group.start : i;
+    if (rest < data.length) track.audioPartial = data.slice(rest);
+    return frames;
+  }
+
   concatenateBuffers(buffers) {
     const totalLength = buffers.reduce((sum, b) => sum + b.length, 0);
     const result = new Uint8Array(totalLength);
@@ -324,18 +715,49 @@ export class TSParser {
   finalize() {
     if (this.videoPesBuffer.length > 0) this.processPES(this.concatenateBuffers(this.videoPesBuffer), 'video');
     if (this.audioPesBuffer.length > 0) this.processPES(this.concatenateBuffers(this.audioPesBuffer), 'audio');
+    for (const track of this.extraAudioTracks) {
+      if (track.pesBuffer.length > 0) this.processPES(this.concatenateBuffers(track.pesBuffer), 'audio', track);
+      track.pesBuffer.length = 0;
+    }
+    for (const stream of this.metadataStreams) {
+      if (stream.buffer.length > 0) this.processMetadata(this.concatenateBuffers(stream.buffer), stream);
+      stream.buffer.length = 0;
+    }
+    this.metadataEvents.sort((a, b) => a.pts - b.pts);
 
     this.normalizeTimestamps();
   }
 
+  /**
+   * The selected program's audio tracks: the primary one (audioPid), then
+   * any extraAudioTracks. Each has pid, streamType, language,
+   * audioAccessUnits, audioPts, audioSampleRate, audioChannels,
+   * audioFrameSize and audioConfig.
+   * @type {object[]}
+   */
+  get audioTracks() {
+    const primary = this.audioPid === null ? [] : [{
+      pid: this.audioPid,
+      streamType: this.audioStreamType,
+      language: this.audioLanguage,
+      audioAccessUnits: this.audioAccessUnits,
+      audioPts: this.audioPts,
+      audioSampleRate: this.audioSampleRate,
+      audioChannels: this.audioChannels,
+      audioFrameSize: this.audioFrameSize,
+      audioConfig: this.audioConfig
+    }];
+    return primary.concat(this.extraAudioTracks);
+  }
+
   normalizeTimestamps() {
     let minPts = Infinity;
 
-    if (this.videoPts.length > 0) {
-      minPts = Math.min(minPts, Math.min(...this.videoPts));
-    }
-    if (this.audioPts.length > 0) {
-      minPts = Math.min(minPts, Math.min(...this.audioPts));
+    // Plain loops: spreading long streams' timestamp arrays overflows the call stack
+    for (const pts of this.videoPts) if (pts < minPts) minPts = pts;
+    for (const pts of this.audioPts) if (pts < minPts) minPts = pts;
+    for (const track of this.extraAudioTracks) {
+      for (const pts of track.audioPts) if (pts < minPts) minPts = pts;
     }
 
     if (minPts === Infinity || minPts === 0) return;
@@ -357,12 +779,433 @@ export class TSParser {
     for (const au of this.audioAccessUnits) {
       au.pts -= minPts;
     }
+    for (const track of this.extraAudioTracks) {
+      for (let i = 0; i < track.audioPts.length; i++) track.audioPts[i] -= minPts;
+      for (const au of track.audioAccessUnits) au.pts -= minPts;
+    }
+    for (const event of this.metadataEvents) {
+      event.pts -= minPts;
+    }
 
     this.debug.timestampOffset = minPts;
     this.debug.timestampNormalized = true;
   }
 }
 
+/**
+ * Fresh demux state for an additional audio stream
+ */
+function createAudioTrackState(pid, streamType, language) {
+  return {
+    pid,
+    streamType,
+    language,
+    pesBuffer: [],
+    audioAccessUnits: [],
+    audioPts: [],
+    lastAudioPts: null,
+    audioPartial: null,
+    audioSampleRate: null,
+    audioChannels: null,
+    audioFrameSize: null,
+    audioConfig: null,
+    latmConfig: null
+  };
+}
+
+/**
+ * Read the language from a stream's ES info descriptors
+ * @param {Uint8Array} esInfo - Descriptor loop of a PMT stream entry
+ * @returns {string|null} ISO 639-2 code (e.g. 'eng'), or null without an ISO 639 descriptor
+ */
+function parseLanguage(esInfo) {
+  let offset = 0;
+  while (offset + 2 <= esInfo.length) {
+    const tag = esInfo[offset];
+    const length = esInfo[offset + 1];
+    if (tag === ISO_639_DESCRIPTOR && length >= 3 && offset + 5 <= esInfo.length) {
+      const code = String.fromCharCode(esInfo[offset + 2], esInfo[offset + 3], esInfo[offset + 4]);
+      return /^[a-zA-Z]{3}$/.test(code) ? code.toLowerCase() : null;
+    }
+    offset += 2 + length;
+  }
+  return null;
+}
+
+// ============================================
+// SCTE-35
+// ============================================
+
+const SCTE35_COMMANDS = {
+  0x00: 'splice_null',
+  0x04: 'splice_schedule',
+  0x05: 'splice_insert',
+  0x06: 'time_signal',
+  0x07: 'bandwidth_reservation',
+  0xFF: 'private_command'
+};
+
+/** 33-bit value from the low bit of data[offset] and the four bytes after it */
+function read33(data, offset) {
+  return (data[offset] & 0x01) * 0x100000000 +
+    ((data[offset + 1] << 24) >>> 0) + (data[offset + 2] << 16) + (data[offset + 3] << 8) + data[offset + 4];
+}
+
+/**
+ * Parse an SCTE-35 splice_info_section
+ * Encrypted sections only report their command type.
+ *
+ * @param {Uint8Array} section - From table_id (0xFC) to the CRC
+ * @returns {{command: string, commandType: number, ptsAdjustment: number, spliceTime: number|null,
+ *   eventId: number|null, cancel: boolean, outOfNetwork: boolean|null, duration: number|null,
+ *   autoReturn: boolean|null}|null} Times in 90kHz ticks (spliceTime includes
+ *   pts_adjustment), null if it isn't a splice_info_section
+ */
+export function parseScte35(section) {
+  if (section.length < 17 || section[0] !== 0xFC) return null;
+  const ptsAdjustment = read33(section, 4);
+  const encrypted = (section[4] & 0x80) !== 0;
+  const commandType = section[13];
+  const info = {
+    command: SCTE35_COMMANDS[commandType] || 'unknown',
+    commandType,
+    ptsAdjustment,
+    spliceTime: null,
+    eventId: null,
+    cancel: false,
+    outOfNetwork: null,
+    duration: null,
+    autoReturn: null
+  };
+  if (encrypted) return info;
+
+  const command = section.subarray(14);
+  // splice_time(): time_specified_flag, then 33 bits of pts_time
+  const spliceTime = (offset) => command[offset] & 0x80 && offset + 5 <= command.length
+    ? (read33(command, offset) + ptsAdjustment) % PTS_WRAP
+    : null;
+
+  if (commandType === 0x06) {
+    info.spliceTime = spliceTime(0);
+  } else if (commandType === 0x05 && command.length >= 5) {
+    info.eventId = ((command[0] << 24) >>> 0) + (command[1] << 16) + (command[2] << 8) + command[3];
+    info.cancel = (command[4] & 0x80) !== 0;
+    if (info.cancel || command.length < 6) return info;
+    const flags = command[5];
+    info.outOfNetwork = (flags & 0x80) !== 0;
+    const programSplice = (flags & 0x40) !== 0;
+    const hasDuration = (flags & 0x20) !== 0;
+    const immediate = (flags & 0x10) !== 0;
+    let offset = 6;
+    if (programSplice && !immediate) {
+      info.spliceTime = spliceTime(offset);
+      offset += command[offset] & 0x80 ? 5 : 1;
+    } else if (!programSplice) {
+      // Component splices: component_tag and splice_time() each; the first one's time is used
+      const count = command[offset++];
+      for (let i = 0; i < count && offset < command.length; i++) {
+        offset++;
+        if (!immediate) {
+          if (info.spliceTime === null) info.spliceTime = spliceTime(offset);
+          offset += command[offset] & 0x80 ? 5 : 1;
+        }
+      }
+    }
+    if (hasDuration && offset + 5 <= command.length) {
+      info.autoReturn = (command[offset] & 0x80) !== 0;
+      info.duration = read33(command, offset);
+    }
+  }
+  return info;
+}
+
+// ============================================
+// Audio Frame Headers
+// ============================================
+
+/** kbit/s by bitrate index: MPEG-1 layers I-III, then MPEG-2/2.5 layer I and layers II/III */
+const MPEG_AUDIO_BITRATES = [
+  [0, 32, 64, 96, 128, 160, 192, 224, 256, 288, 320, 352, 384, 416, 448],
+  [0, 32, 48, 56, 64, 80, 96, 112, 128, 160, 192, 224, 256, 320, 384],
+  [0, 32, 40, 48, 56, 64, 80, 96, 112, 128, 160, 192, 224, 256, 320],
+  [0, 32, 48, 56, 64, 80, 96, 112, 128, 144, 160, 176, 192, 224, 256],
+  [0, 8, 16, 24, 32, 40, 48, 56, 64, 80, 96, 112, 128, 144, 160]
+];
+
+const AC3_SAMPLE_RATES = [48000, 44100, 32000];
+/** kbit/s by frmsizecod >> 1 */
+const AC3_BITRATES = [32, 40, 48, 56, 64, 80, 96, 112, 128, 160, 192, 224, 256, 320, 384, 448, 512, 576, 640];
+/** Full-bandwidth channels by acmod (LFE comes on top) */
+const AC3_CHANNELS = [2, 1, 2, 3, 3, 4, 4, 5];
+
+/** AAC sampling frequencies by samplingFrequencyIndex */
+const AAC_SAMPLE_RATES = [96000, 88200, 64000, 48000, 44100, 32000, 24000, 22050, 16000, 12000, 11025, 8000, 7350];
+/** AAC audio object types carried in a GASpecificConfig (Main, LC, SSR, LTP, Scalable, TwinVQ) */
+const AAC_GA_OBJECT_TYPES = [1, 2, 3, 4, 6, 7];
+
+/**
+ * Read bits MSB-first; bits past the end of data read as 0
+ */
+function readBits(data, bitOffset, count) {
+  let value = 0;
+  for (let n = 0; n < count; n++, bitOffset++) {
+    value = (value << 1) | ((data[bitOffset >> 3] >> (7 - (bitOffset & 7))) & 1);
+  }
+  return value;
+}
+
+/**
+ * Sequential reader over readBits()
+ */
+function bitReader(data, bit = 0) {
+  return {
+    bit,
+    read(count) {
+      const value = readBits(data, this.bit, count);
+      this.bit += count;
+      return value;
+    }
+  };
+}
+
+/**
+ * Copy `count` bits starting at bitOffset into bytes, zero-padding the last one
+ */
+function copyBits(data, bitOffset, count) {
+  const bytes = new Uint8Array(Math.ceil(count / 8));
+  for (let i = 0; i < bytes.length; i++) {
+    const bits = Math.min(8, count - i * 8);
+    bytes[i] = readBits(data, bitOffset + i * 8, bits) << (8 - bits);
+  }
+  return bytes;
+}
+
+/** LatmGetValue(): 1-4 bytes, preceded by their count less one */
+function readLatmValue(reader) {
+  let value = 0;
+  for (let n = reader.read(2); n >= 0; n--) value = value * 256 + reader.read(8);
+  return value;
+}
+
+/**
+ * Parse an AudioSpecificConfig up to the end of its GASpecificConfig
+ * Explicitly signalled SBR/PS (object types 5 and 29) is followed to the
+ * core object type; the stream is still timed in core frames.
+ * @returns {{objectType: number, sampleRate: number, channels: number, frameLength: number}}
+ */
+function parseAudioSpecificConfig(reader) {
+  const objectType = () => {
+    const type = reader.read(5);
+    return type === 31 ? 32 + reader.read(6) : type;
+  };
+  const sampleRate = () => {
+    const index = reader.read(4);
+    return index === 15 ? reader.read(24) : AAC_SAMPLE_RATES[index];
+  };
+
+  const type = objectType();
+  const rate = sampleRate();
+  const channelConfig = reader.read(4);
+  let coreType = type;
+  if (type === 5 || type === 29) {
+    sampleRate(); // extensionSamplingFrequency
+    coreType = objectType();
+  }
+  if (!AAC_GA_OBJECT_TYPES.includes(coreType)) {
+    throw new Error(`Unsupported AAC-LATM stream: audio object type ${coreType}`);
+  }
+  if (channelConfig === 0) {
+    throw new Error('Unsupported AAC-LATM stream: channel layout in a program_config_element');
+  }
+  const frameLength = reader.read(1) ? 960 : 1024;
+  if (reader.read(1)) reader.read(14); // coreCoderDelay
+  const extensionFlag = reader.read(1);
+  if (coreType === 6) reader.read(3); // layerNr
+  if (extensionFlag) reader.read(1); // extensionFlag3
+  return { objectType: type, sampleRate: rate, channels: channelConfig === 7 ? 8 : channelConfig, frameLength };
+}
+
+/**
+ * Parse a LATM StreamMuxConfig with one program of one layer
+ * @returns {object} parseAudioSpecificConfig() fields, plus numSubFrames
+ *   and the AudioSpecificConfig bytes (audioSpecificConfig)
+ */
+function parseStreamMuxConfig(data, reader) {
+  const audioMuxVersion = reader.read(1);
+  if (audioMuxVersion && reader.read(1)) {
+    throw new Error('Unsupported AAC-LATM stream: audioMuxVersionA 1');
+  }
+  if (audioMuxVersion) readLatmValue(reader); // taraBufferFullness
+  const allStreamsSameTimeFraming = reader.read(1);
+  const numSubFrames = reader.read(6);
+  const numProgram = reader.read(4);
+  const numLayer = reader.read(3);
+  if (numProgram !== 0 || numLayer !== 0) {
+    throw new Error('Unsupported AAC-LATM stream: more than one program or layer');
+  }
+  if (!allStreamsSameTimeFraming) {
+    throw new Error('Unsupported AAC-LATM stream: allStreamsSameTimeFraming 0');
+  }
+
+  // Version 1 gives the AudioSpecificConfig's length; version 0 ends it with the GASpecificConfig
+  const ascLength = audioMuxVersion ? readLatmValue(reader) : null;
+  const start = reader.bit;
+  const config = parseAudioSpecificConfig(reader);
+  if (ascLength !== null) reader.bit = start + ascLength;
+  config.audioSpecificConfig = copyBits(data, start, reader.bit - start);
+  config.numSubFrames = numSubFrames;
+
+  const frameLengthType = reader.read(3);
+  if (frameLengthType !== 0) {
+    throw new Error(`Unsupported AAC-LATM stream: frameLengthType ${frameLengthType}`);
+  }
+  reader.read(8); // latmBufferFullness
+  // otherData follows the payloads, so only its length field needs skipping
+  if (reader.read(1)) {
+    if (audioMuxVersion) {
+      readLatmValue(reader);
+    } else {
+      while (reader.read(1)) reader.read(8);
+      reader.read(8);
+    }
+  }
+  if (reader.read(1)) reader.read(8); // crcCheckSum
+  return config;
+}
+
+/**
+ * Parse a LOAS frame's AudioMuxElement (muxConfigPresent)
+ * @param {Uint8Array} data - The element, after the 3-byte LOAS header
+ * @param {object|null} config - StreamMuxConfig in effect, for useSameStreamMux
+ * @returns {{config: object|null, payloads: Uint8Array[]}} Config in effect and the raw AAC access units
+ */
+function parseAudioMuxElement(data, config) {
+  const reader = bitReader(data);
+  if (!reader.read(1)) config = parseStreamMuxConfig(data, reader); // useSameStreamMux
+  const payloads = [];
+  if (!config) return { config, payloads };
+
+  for (let i = 0; i <= config.numSubFrames; i++) {
+    // PayloadLengthInfo: MuxSlotLengthBytes, 255 meaning more follow
+    let length = 0;
+    let slot;
+    do {
+      slot = reader.read(8);
+      length += slot;
+    } while (slot === 255);
+    if (reader.bit + length * 8 > data.length * 8) break;
+    payloads.push(copyBits(data, reader.bit, length * 8));
+    reader.bit += length * 8;
+  }
+  return { config, payloads };
+}
+
+/**
+ * Parse an MPEG-1/2/2.5 audio frame header
+ * @returns {{version: number, layer: number, sampleRate: number, channels: number, samples: number, frameLength: number}|null}
+ *   null if there's no valid header at offset (free-format streams included)
+ */
+function parseMpegAudioHeader(data, offset) {
+  if (data[offset] !== 0xFF || (data[offset + 1] & 0xE0) !== 0xE0) return null;
+  const versionBits = (data[offset + 1] >> 3) & 0x03; // 0: MPEG-2.5, 2: MPEG-2, 3: MPEG-1
+  const layerBits = (data[offset + 1] >> 1) & 0x03;
+  const bitrateIndex = data[offset + 2] >> 4;
+  const rateIndex = (data[offset + 2] >> 2) & 0x03;
+  if (versionBits === 1 || layerBits === 0 || bitrateIndex === 0 || bitrateIndex === 15 || rateIndex === 3) return null;
+
+  const version = versionBits === 3 ? 1 : 2;
+  const layer = 4 - layerBits;
+  const bitrate = MPEG_AUDIO_BITRATES[version === 1 ? layer - 1 : Math.min(layer, 2) + 2][bitrateIndex] * 1000;
+  const sampleRate = [44100, 48000, 32000][rateIndex] / (versionBits === 3 ? 1 : versionBits === 2 ? 2 : 4);
+  const padding = (data[offset + 2] >> 1) & 0x01;
+  const samples = layer === 1 ? 384 : layer === 3 && version !== 1 ? 576 : 1152;
+  const frameLength = layer === 1
+    ? (Math.floor(12 * bitrate / sampleRate) + padding) * 4
+    : Math.floor(samples / 8 * bitrate / sampleRate) + padding;
+  const channels = (data[offset + 3] >> 6) === 3 ? 1 : 2;
+  return { version, layer, sampleRate, channels, samples, frameLength };
+}
+
+/**
+ * Parse an AC-3 (bsid <= 10) or E-AC-3 (bsid 11-16) syncframe header
+ * @returns {object|null} Frame length, audio blocks, substream and the
+ *   fields dac3/dec3 need; null if there's no valid header at offset
+ */
+function parseAc3Header(data, offset) {
+  const bsid = data[offset + 5] >> 3;
+  if (bsid <= 10) {
+    const fscod = data[offset + 4] >> 6;
+    const frmsizecod = data[offset + 4] & 0x3F;
+    if (fscod === 3 || frmsizecod > 37) return null;
+    const bitrate = AC3_BITRATES[frmsizecod >> 1];
+    // 16-bit words per 1536-sample frame; 44.1 kHz pads odd frame size codes by one
+    const words = fscod === 0 ? bitrate * 2 : fscod === 1 ? Math.floor(bitrate * 320 / 147) + (frmsizecod & 1) : bitrate * 3;
+    const acmod = data[offset + 6] >> 5;
+    let bit = (offset + 6) * 8 + 3;
+    if ((acmod & 0x01) && acmod !== 1) bit += 2; // cmixlev
+    if (acmod & 0x04) bit += 2; // surmixlev
+    if (acmod === 2) bit += 2; // dsurmod
+    return {
+      sampleRate: AC3_SAMPLE_RATES[fscod], frameLength: words * 2, blocks: 6, independent: true, substreamId: 0,
+      fscod, bsid, bsmod: data[offset + 5] & 0x07, acmod, lfeon: readBits(data, bit, 1), bitRateCode: frmsizecod >> 1
+    };
+  }
+  if (bsid > 16) return null;
+
+  const strmtyp = data[offset + 2] >> 6;
+  const fscod = data[offset + 4] >> 6;
+  const numblkscod = (data[offset + 4] >> 4) & 0x03; // fscod2 when fscod is 3
+  if (strmtyp === 3 || (fscod === 3 && numblkscod === 3)) return null;
+  const acmod = (data[offset + 4] >> 1) & 0x07;
+  const header = {
+    sampleRate: fscod === 3 ? AC3_SAMPLE_RATES[numblkscod] / 2 : AC3_SAMPLE_RATES[fscod],
+    frameLength: ((((data[offset + 2] & 0x07) << 8) | data[offset + 3]) + 1) * 2,
+    blocks: fscod === 3 ? 6 : [1, 2, 3, 6][numblkscod],
+    independent: strmtyp !== 1,
+    substreamId: (data[offset + 2] >> 3) & 0x07,
+    fscod, bsid, bsmod: 0, acmod, lfeon: data[offset + 4] & 0x01, chanmap: 0
+  };
+  if (!header.independent) {
+    let bit = (offset + 5) * 8 + 10; // past bsid and dialnorm
+    if (readBits(data, bit++, 1)) bit += 8; // compr
+    if (acmod === 0) {
+      bit += 5; // dialnorm2
+      if (readBits(data, bit++, 1)) bit += 8; // compr2
+    }
+    if (readBits(data, bit++, 1)) header.chanmap = readBits(data, bit, 16);
+  }
+  return header;
+}
+
+/**
+ * Sample entry fields for an AC-3 / E-AC-3 track, from the syncframe
+ * headers of its first sample
+ * @param {object[]} headers - parseAc3Header() results, in stream order
+ * @param {number} bytes - Size of the sample
+ */
+function ac3Config(headers, bytes) {
+  const [first] = headers;
+  if (first.bsid <= 10) {
+    const { fscod, bsid, bsmod, acmod, lfeon, bitRateCode } = first;
+    return { codec: 'ac-3', fscod, bsid, bsmod, acmod, lfeon, bitRateCode };
+  }
+  // One entry per independent substream, counting the dependent ones behind it
+  const substreams = [];
+  for (let i = 0; i < headers.length; i++) {
+    const header = headers[i];
+    if (i > 0 && header.independent && header.substreamId === 0) break;
+    if (header.independent) {
+      const { fscod, bsid, bsmod, acmod, lfeon } = header;
+      substreams.push({ fscod, bsid, bsmod, acmod, lfeon, dependents: 0, chanLoc: 0 });
+    } else {
+      const substream = substreams[substreams.length - 1];
+      substream.dependents++;
+      substream.chanLoc |= (header.chanmap >> 5) & 0x1FF;
+    }
+  }
+  return { codec: 'ec-3', dataRate: Math.round(bytes * 8 * first.sampleRate / 1536 / 1000), substreams };
+}
+
 /**
  * Get codec info for a stream type
  * @param {number} streamType - MPEG-TS stream type
@@ -372,5 +1215,59 @@ export function getCodecInfo(streamType) {
   return STREAM_TYPES[streamType] || { name: `Unknown (0x${streamType?.toString(16)})`, supported: false };
 }
 
+/**
+ * Get the NAL unit type of an H.264 or H.265 NAL unit
+ * H.264 uses a 1-byte header (type in the low 5 bits), H.265 a 2-byte
+ * header (type in bits 1-6 of the first byte). For MPEG-2 video it is the
+ * start code value (0x00 picture, 0xB3 sequence header, 0xB5 extension, ...).
+ * @param {Uint8Array} nalUnit - NAL unit without start code
+ * @param {number} streamType - MPEG-TS stream type of the video stream
+ * @returns {number} NAL unit type
+ */
+export function getNalType(nalUnit, streamType) {
+  if (streamType === 0x02) return nalUnit[0];
+  return streamType === 0x24 ? (nalUnit[0] >> 1) & 0x3F : nalUnit[0] & 0x1F;
+}
+
+/**
+ * Which parameter set a NAL unit is, if any
+ * MPEG-2 video's sequence header and sequence extension take the places
+ * of SPS and PPS.
+ * @param {Uint8Array} nalUnit - NAL unit without start code
+ * @param {number} streamType - MPEG-TS stream type of the video stream
+ * @returns {'vps'|'sps'|'pps'|null}
+ */
+export function getParameterSetType(nalUnit, streamType) {
+  const nalType = getNalType(nalUnit, streamType);
+  if (streamType === 0x02) {
+    if (nalType === 0xB3) return 'sps';
+    return nalType === 0xB5 && (nalUnit[1] >> 4) === 1 ? 'pps' : null;
+  }
+  if (streamType === 0x24) return nalType === 32 ? 'vps' : nalType === 33 ? 'sps' : nalType === 34 ? 'pps' : null;
+  return nalType === 7 ? 'sps' : nalType === 8 ? 'pps' : null;
+}
+
+/**
+ * Check if a video access unit is a random access point
+ * H.264: IDR slice (type 5). H.265: IRAP picture (types 16-23: BLA, IDR, CRA).
+ * MPEG-2: I picture (picture_coding_type 1).
+ * @param {{nalUnits: Uint8Array[]}} accessUnit - Video access unit
+ * @param {number} streamType - MPEG-TS stream type of the video stream
+ * @returns {boolean}
+ */
+export function isKeyframe(accessUnit, streamType) {
+  for (const nalUnit of accessUnit.nalUnits) {
+    const nalType = getNalType(nalUnit, streamType);
+    if (streamType === 0x02) {
+      if (nalType === 0x00) return ((nalUnit[2] >> 3) & 0x07) === 1;
+    } else if (streamType === 0x24) {
+      if (nalType >= 16 && nalType <= 23) return true;
+    } else if (nalType === 5) {
+      return true;
+    }
+  }
+  return false;
+}
+
 export default TSParser;
 
@@ -20,18 +20,18 @@
  */
 
 import {
-  readUint32, boxType, findBox,
+  readUint32, readUint64, boxType, findBox,
   analyzeTrack, buildSampleTable, buildSegments, calculateByteRanges
 } from '../parsers/mp4.js';
 
 import { TSMuxer } from '../muxers/mpegts.js';
+import { fetchWithRetry } from '../hls-fetch.js';
 
 // ============================================================================
 // Configuration
 // ============================================================================
 
 const DEFAULT_SEGMENT_DURATION = 4; // seconds
-const FETCH_TIMEOUT = 30000; // 30 seconds
 const MAX_HEADER_SIZE = 256 * 1024; // 256KB for initial probe
 const MAX_TAIL_SIZE = 2 * 1024 * 1024; // 2MB for moov at end
 
@@ -39,38 +39,18 @@ const MAX_TAIL_SIZE = 2 * 1024 * 1024; // 2MB for moov at end
 // Fetch Utilities
 // ============================================================================
 
-async function fetchWithTimeout(url, options = {}) {
-  const controller = new AbortController();
-  const timeout = setTimeout(() => controller.abort(), FETCH_TIMEOUT);
-
-  try {
-    const response = await fetch(url, {
-      ...options,
-      signal: controller.signal
-    });
-    return response;
-  } catch (err) {
-    if (err.name === 'AbortError') {
-      throw new Error(`Fetch timeout after ${FETCH_TIMEOUT}ms`);
-    }
-    throw err;
-  } finally {
-    clearTimeout(timeout);
-  }
-}
-
-async function fetchRange(url, start, end) {
-  const response = await fetchWithTimeout(url, {
+async function fetchRange(url, start, end, options) {
+  const response = await fetchWithRetry(url, {
     headers: { 'Range': `bytes=${start}-${end}` }
-  });
+  }, options);
   if (!response.ok && response.status !== 206) {
     throw new Error(`HTTP ${response.status}`);
   }
   return new Uint8Array(await response.arrayBuffer());
 }
 
-async function fetchFileSize(url) {
-  const response = await fetchWithTimeout(url, { method: 'HEAD' });
+async function fetchFileSize(url, options) {
+  const response = await fetchWithRetry(url, { method: 'HEAD' }, options);
   return parseInt(response.headers.get('content-length'), 10);
 }
 
@@ -110,6 +90,9 @@ export class RemoteMp4 {
    * @param {object} options - Options
    * @param {number} options.segmentDuration - Target segment duration (default 4s)
    * @param {function} options.onProgress - Progress callback
+   * @param {AbortSignal} [options.signal] - Cancels every request, including later getSegment() calls
+   * @param {number} [options.retries] - Retries for network errors, timeouts and 408/429/5xx responses (default: 2)
+   * @param {number} [options.timeout] - Milliseconds a request attempt may go without receiving data (default: 30000)
    * @returns {Promise<RemoteMp4>}
    */
   static async fromUrl(url, options = {}) {
@@ -122,6 +105,7 @@ export class RemoteMp4 {
     this.url = url;
     this.segmentDuration = options.segmentDuration || DEFAULT_SEGMENT_DURATION;
     this.onProgress = options.onProgress || (() => { });
+    this.fetchOptions = { signal: options.signal, retries: options.retries, timeout: options.timeout };
 
     // Populated by _init()
     this.fileSize = 0;
@@ -144,7 +128,7 @@ export class RemoteMp4 {
     this.onProgress('Fetching metadata...');
 
     // Get file size
-    this.fileSize = await fetchFileSize(this.url);
+    this.fileSize = await fetchFileSize(this.url, this.fetchOptions);
 
 
     // Find and fetch moov box
@@ -211,22 +195,25 @@ export class RemoteMp4 {
 
   async _findMoov() {
     const headerSize = Math.min(MAX_HEADER_SIZE, this.fileSize);
-    const header = await fetchRange(this.url, 0, headerSize - 1);
+    const header = await fetchRange(this.url, 0, headerSize - 1, this.fetchOptions);
 
     // Scan header for boxes
     let offset = 0;
     while (offset < header.length - 8) {
-      const size = readUint32(header, offset);
+      let size = readUint32(header, offset);
       const type = boxType(header, offset + 4);
 
-      if (size === 0 || size > this.fileSize) break;
+      // 64-bit largesize (e.g. an mdat over 4 GB), or a box running to the end of the file
+      if (size === 1 && offset + 16 <= header.length) size = readUint64(header, offset + 8);
+      else if (size === 0) size = this.fileSize - offset;
+      if (size < 8 || size > this.fileSize) break;
 
       if (type === 'moov') {
         // moov in header - fetch complete if needed
         if (offset + size <= header.length) {
           return header.slice(offset, offset + size);
         }
-        return fetchRange(this.url, offset, offset + size - 1);
+        return fetchRange(this.url, offset, offset + size - 1, this.fetchOptions);
       }
 
       if (type === 'mdat') {
@@ -234,14 +221,14 @@ export class RemoteMp4 {
         const moovOffset = offset + size;
         if (moovOffset < this.fileSize) {
           const tailSize = Math.min(MAX_TAIL_SIZE, this.fileSize - moovOffset);
-          const tail = await fetchRange(this.url, moovOffset, moovOffset + tailSize - 1);
+          const tail = await fetchRange(this.url, moovOffset, moovOffset + tailSize - 1, this.fetchOptions);
           const moov = findBox(tail, 'moov');
           if (moov) {
             if (moov.size <= tail.length) {
               return tail.slice(moov.offset, moov.offset + moov.size);
             }
             return fetchRange(this.url, moovOffset + moov.offset,
-              moovOffset + moov.offset + moov.size - 1);
+              moovOffset + moov.offset + moov.size - 1, this.fetchOptions);
           }
         }
         break;
@@ -252,12 +239,12 @@ export class RemoteMp4 {
 
     // Try end of file as fallback
     const tailSize = Math.min(MAX_TAIL_SIZE, this.fileSize);
-    const tail = await fetchRange(this.url, this.fileSize - tailSize, this.fileSize - 1);
+    const tail = await fetchRange(this.url, this.fileSize - tailSize, this.fileSize - 1, this.fetchOptions);
     const moov = findBox(tail, 'moov');
 
     if (moov) {
       const moovStart = this.fileSize - tailSize + moov.offset;
-      return fetchRange(this.url, moovStart, moovStart + moov.size - 1);
+      return fetchRange(this.url, moovStart, moovStart + moov.size - 1, this.fetchOptions);
     }
 
     // Check for fragmented MP4
@@ -399,7 +386,7 @@ ${baseUrl}playlist.m3u8
 
     // Fetch ranges in parallel
     await Promise.all(ranges.map(async range => {
-      const data = await fetchRange(this.url, range.start, range.end - 1);
+      const data = await fetchRange(this.url, range.start, range.end - 1, this.fetchOptions);
       results.set(range, data);
     }));
 
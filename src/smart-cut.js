@@ -0,0 +1,325 @@
+/**
+ * Smart-Cut Clipping
+ * Frame-accurate clip starts that re-encode only the partial GOP
+ *
+ * Regular clipping starts decoding at the keyframe before the requested
+ * start and hides the extra frames with an edit list, which many editors,
+ * social platforms and players ignore. Smart-cut decodes the GOP holding
+ * the start instead, re-encodes its frames from the start onwards (the
+ * first one becoming a keyframe), and stream-copies everything from the
+ * next keyframe on. The re-encoded frames decode with the encoder's
+ * parameter sets, so they get a sample description of their own. When
+ * that keyframe is an HEVC CRA picture (open GOP), its RASL pictures
+ * reference the re-encoded GOP and are dropped.
+ *
+ * Re-encoding uses WebCodecs where available (browsers). Elsewhere, pass
+ * a `reencode` hook, e.g. one backed by ffmpeg:
+ *
+ *   reencode({ format, codec, description, width, height, timescale, frames, startPts })
+ *     → Promise<{ description, frames: [{ data, pts, keyframe }] }>
+ *
+ * `frames` is the GOP in decode order, starting at its keyframe, as
+ * length-prefixed NAL units (MP4 sample data) described by `description`
+ * (avcC/hvcC payload). The hook returns the frames with pts >= startPts,
+ * encoded without B-frames so decode order is presentation order, plus
+ * the avcC/hvcC payload of its output. Times are in `timescale` units.
+ *
+ * @module smart-cut
+ */
+
+import { isWebCodecsSupported } from './transcode.js';
+
+// ============================================
+// Decoder Configuration
+// ============================================
+
+/**
+ * RFC 6381 codec string for an avcC/hvcC payload, as WebCodecs expects it
+ * @param {'avc'|'hevc'} format
+ * @param {Uint8Array} description - avcC or hvcC payload (without box header)
+ * @returns {string} e.g. 'avc1.64001f' or 'hvc1.1.6.L93.b0'
+ */
+export function codecString(format, description) {
+  const hex = byte => byte.toString(16).padStart(2, '0');
+  if (format === 'avc') {
+    return `avc1.${hex(description[1])}${hex(description[2])}${hex(description[3])}`;
+  }
+  const view = new DataView(description.buffer, description.byteOffset, description.byteLength);
+  const profileSpace = ['', 'A', 'B', 'C'][description[1] >> 6];
+  const tier = description[1] & 0x20 ? 'H' : 'L';
+  const profileIdc = description[1] & 0x1F;
+  // Compatibility flags are written bit-reversed
+  const flags = view.getUint32(2);
+  let compatibility = 0;
+  for (let i = 0; i < 32; i++) compatibility |= ((flags >>> i) & 1) << (31 - i);
+  const constraints = Array.from(description.subarray(6, 12));
+  while (constraints.length > 0 && constraints[constraints.length - 1] === 0) constraints.pop();
+  return [`hvc1.${profileSpace}${profileIdc}`, (compatibility >>> 0).toString(16), `${tier}${description[12]}`,
+    ...constraints.map(byte => byte.toString(16))].join('.');
+}
+
+/**
+ * Parameter set NAL units (VPS, SPS, PPS) stored in an avcC/hvcC payload
+ * @param {'avc'|'hevc'} format
+ * @param {Uint8Array} description - avcC or hvcC payload
+ * @returns {Uint8Array[]}
+ */
+export function parameterSets(format, description) {
+  const nalUnits = [];
+  const read = (pos) => {
+    const length = (description[pos] << 8) | description[pos + 1];
+    nalUnits.push(description.slice(pos + 2, pos + 2 + length));
+    return pos + 2 + length;
+  };
+  if (format === 'avc') {
+    let pos = 6;
+    for (let i = description[5] & 0x1F; i > 0; i--) pos = read(pos);
+    for (let i = description[pos++]; i > 0; i--) pos = read(pos);
+    return nalUnits;
+  }
+  let pos = 23;
+  for (let array = description[22]; array > 0; array--) {
+    const count = (description[pos + 1] << 8) | description[pos + 2];
+    pos += 3;
+    for (let i = 0; i < count; i++) pos = read(pos);
+  }
+  return nalUnits;
+}
+
+/**
+ * Size of the NAL unit length prefixes that go with an avcC/hvcC payload
+ * @param {'avc'|'hevc'} format
+ * @param {Uint8Array} description
+ * @returns {number}
+ */
+export function nalLengthSize(format, description) {
+  return (description[format === 'avc' ? 4 : 21] & 0x03) + 1;
+}
+
+/**
+ * Join NAL units into MP4 sample data with 4-byte length prefixes
+ * @param {Uint8Array[]} nalUnits
+ * @returns {Uint8Array}
+ */
+export function joinNalUnits(nalUnits) {
+  const data = new Uint8Array(nalUnits.reduce((sum, nal) => sum + 4 + nal.length, 0));
+  const view = new DataView(data.buffer);
+  let offset = 0;
+  for (const nal of nalUnits) {
+    view.setUint32(offset, nal.length);
+    data.set(nal, offset + 4);
+    offset += 4 + nal.length;
+  }
+  return data;
+}
+
+/**
+ * Split length-prefixed MP4 sample data into NAL units
+ * @param {Uint8Array} data
+ * @param {number} [lengthSize=4]
+ * @returns {Uint8Array[]}
+ */
+export function splitNalUnits(data, lengthSize = 4) {
+  const nalUnits = [];
+  let offset = 0;
+  while (offset + lengthSize <= data.length) {
+    let length = 0;
+    for (let i = 0; i < lengthSize; i++) length = length * 256 + data[offset + i];
+    offset += lengthSize;
+    if (length === 0 || offset + length > data.length) break;
+    nalUnits.push(data.subarray(offset, offset + length));
+    offset += length;
+  }
+  return nalUnits;
+}
+
+// ============================================
+// WebCodecs Re-encoder
+// ============================================
+
+/**
+ * Default reencode hook: decode the GOP with VideoDecoder and encode the
+ * frames from startPts on with VideoEncoder, at the GOP's own bitrate
+ */
+async function reencodeWithWebCodecs({ format, codec, description, width, height, timescale, frames, startPts }) {
+  const toMicros = ticks => Math.round(ticks * 1_000_000 / timescale);
+  const ptsByTimestamp = new Map(frames.map(frame => [toMicros(frame.pts), frame.pts]));
+  const startTimestamp = toMicros(startPts);
+  const encoded = [];
+  let outputDescription = null;
+  let failure = null;
+
+  const encoder = new VideoEncoder({
+    output: (chunk, meta) => {
+      const config = meta?.decoderConfig?.description;
+      if (config) {
+        outputDescription = ArrayBuffer.isView(config)
+          ? new Uint8Array(config.buffer, config.byteOffset, config.byteLength).slice()
+          : new Uint8Array(config).slice();
+      }
+      const data = new Uint8Array(chunk.byteLength);
+      chunk.copyTo(data);
+      const pts = ptsByTimestamp.get(chunk.timestamp) ?? Math.round(chunk.timestamp * timescale / 1_000_000);
+      encoded.push({ data, pts, keyframe: chunk.type === 'key' });
+    },
+    error: e => { failure = failure || e; }
+  });
+
+  const bytes = frames.reduce((sum, frame) => sum + frame.data.length, 0);
+  const last = frames[frames.length - 1];
+  const seconds = (last.dts - frames[0].dts + (last.duration || 0)) / timescale || frames.length / 30;
+  encoder.configure({
+    codec,
+    width,
+    height,
+    bitrate: Math.max(100_000, Math.round(bytes * 8 / seconds)),
+    [format]: { format }
+  });
+
+  let first = true;
+  const decoder = new VideoDecoder({
+    output: (frame) => {
+      if (frame.timestamp >= startTimestamp && !failure) {
+        encoder.encode(frame, { keyFrame: first });
+        first = false;
+      }
+      frame.close();
+    },
+    error: e => { failure = failure || e; }
+  });
+  decoder.configure({ codec, description, codedWidth: width, codedHeight: height });
+
+  try {
+    for (const frame of frames) {
+      decoder.decode(new EncodedVideoChunk({
+        type: frame.keyframe ? 'key' : 'delta',
+        timestamp: toMicros(frame.pts),
+        duration: frame.duration ? toMicros(frame.duration) : undefined,
+        data: frame.data
+      }));
+    }
+    await decoder.flush();
+    await encoder.flush();
+  } catch (e) {
+    failure = failure || e;
+  } finally {
+    if (decoder.state !== 'closed') decoder.close();
+    if (encoder.state !== 'closed') encoder.close();
+  }
+
+  if (failure) {
+    throw new Error(`Re-encoding failed: ${failure.message}`);
+  }
+  return { description: outputDescription, frames: encoded };
+}
+
+// ============================================
+// Smart Cut
+// ============================================
+
+/**
+ * HEVC NAL unit type of a frame's first slice
+ * @param {Uint8Array} data - Length-prefixed sample data
+ * @param {number} lengthSize
+ * @returns {number} -1 when the frame holds no slice
+ */
+function hevcSliceType(data, lengthSize) {
+  for (const nal of splitNalUnits(data, lengthSize)) {
+    const type = (nal[0] >> 1) & 0x3F;
+    if (type < 32) return type;
+  }
+  return -1;
+}
+
+/**
+ * Drop the RASL pictures (NAL types 8-9) leading a CRA picture (21)
+ * @param {Array<{data: Uint8Array}>} frames - Frames in decode order, starting at the copied keyframe
+ * @param {number} lengthSize
+ * @returns {Array} frames, without the CRA's RASL pictures
+ */
+function dropRaslPictures(frames, lengthSize) {
+  if (frames.length === 0 || hevcSliceType(frames[0].data, lengthSize) !== 21) return frames;
+  // Leading pictures (RADL 6-7, RASL 8-9) directly follow their IRAP in decode order
+  let end = 1;
+  while (end < frames.length) {
+    const type = hevcSliceType(frames[end].data, lengthSize);
+    if (type < 6 || type > 9) break;
+    end++;
+  }
+  const leading = frames.slice(1, end).filter(frame => {
+    const type = hevcSliceType(frame.data, lengthSize);
+    return type !== 8 && type !== 9;
+  });
+  return [frames[0], ...leading, ...frames.slice(end)];
+}
+
+/**
+ * Re-encode the head of a clip so that it starts exactly at startPts
+ *
+ * @param {Array<{data: Uint8Array, pts: number, dts: number, duration?: number, keyframe: boolean}>} frames
+ *   Video frames in decode order, starting at the keyframe at or before startPts
+ * @param {object} config - Source stream: { format: 'avc'|'hevc', description, width, height, timescale }
+ * @param {number} startPts - First presentation time to keep
+ * @param {object} [options]
+ * @param {function} [options.reencode] - Re-encoding hook (default: WebCodecs)
+ * @returns {Promise<{frames: Array, description: Uint8Array|null, reencoded: number, cutPts: number}|null>}
+ *   The new frames (re-encoded ones first, marked `reencoded`, then the copied
+ *   ones as passed in, less the RASL pictures of an HEVC CRA picture that
+ *   follows the re-encoded GOP), the re-encoded frames' avcC/hvcC payload, their count,
+ *   and the presentation time the clip now starts at; null when the frames
+ *   already start at startPts
+ */
+export async function smartCut(frames, config, startPts, options = {}) {
+  if (frames.length === 0 || frames[0].pts >= startPts) return null;
+
+  let gopEnd = frames.findIndex((frame, i) => i > 0 && frame.keyframe);
+  if (gopEnd < 0) gopEnd = frames.length;
+  const gop = frames.slice(0, gopEnd);
+  const rest = frames.slice(gopEnd);
+
+  // The start falls after the GOP's last frame: the next keyframe is exact enough
+  if (!gop.some(frame => frame.pts >= startPts)) {
+    return { frames: rest, description: null, reencoded: 0, cutPts: rest.length > 0 ? rest[0].pts : startPts };
+  }
+
+  const reencode = options.reencode || (isWebCodecsSupported() ? reencodeWithWebCodecs : null);
+  if (!reencode) {
+    throw new Error('Precise clipping needs WebCodecs or an options.reencode hook to re-encode the first GOP');
+  }
+  const result = await reencode({
+    ...config,
+    codec: codecString(config.format, config.description),
+    frames: gop,
+    startPts
+  });
+  if (!result?.description || !result.frames?.length) {
+    throw new Error('Precise clipping: re-encoding returned no frames');
+  }
+  if (!result.frames[0].keyframe) {
+    throw new Error('Precise clipping: the first re-encoded frame must be a keyframe');
+  }
+
+  // RASL pictures of an open-GOP CRA reference the GOP that was re-encoded
+  // and would decode corrupted; drop them as a decoder starting there would
+  const copied = config.format === 'hevc' ? dropRaslPictures(rest, nalLengthSize('hevc', config.description)) : rest;
+
+  // Re-encoded frames have no reordering; giving them the copied frames'
+  // decode delay keeps DTS increasing across the splice
+  const delay = copied.length > 0 ? Math.max(0, copied[0].pts - copied[0].dts) : 0;
+  const reencoded = result.frames.map(frame => ({
+    data: frame.data,
+    pts: frame.pts,
+    dts: frame.pts - delay,
+    keyframe: !!frame.keyframe,
+    reencoded: true
+  }));
+
+  return {
+    frames: [...reencoded, ...copied],
+    description: result.description,
+    reencoded: reencoded.length,
+    cutPts: reencoded[0].pts
+  };
+}
+
+export default smartCut;
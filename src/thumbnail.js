@@ -19,7 +19,8 @@ import toMp4 from './index.js';
 import { convertTsToMp4 } from './ts-to-mp4.js';
 import { TSParser } from './parsers/mpegts.js';
 import { MP4Muxer } from './muxers/mp4.js';
-import { parseHls, downloadHls, parsePlaylistText, toAbsoluteUrl } from './hls.js';
+import { parseHls, downloadHls, parsePlaylistText, toAbsoluteUrl, fetchSegment } from './hls.js';
+import { fetchWithRetry } from './hls-fetch.js';
 
 const PTS_PER_SECOND = 90000;
 
@@ -418,6 +419,9 @@ async function captureFrame(video, timeSeconds, { maxWidth, mimeType, quality })
  * @param {string} [options.hlsQuality='lowest'] - Variant selection
  * @param {number} [options.concurrency=4] - Max segments fetched in parallel
  * @param {function} [options.onThumbnail] - Called as each thumbnail completes: (time, imageResult) => void
+ * @param {AbortSignal} [options.signal] - Cancels the playlist and segment requests
+ * @param {number} [options.retries] - Retries for network errors, timeouts and 408/429/5xx responses (default: 2)
+ * @param {number} [options.timeout] - Milliseconds a request attempt may go without receiving data (default: 30000)
  * @param {boolean} [options.accurate=false] - If true, always fetch full media
  *   segments and extract the exact frame at each requested time. Use this
  *   when you need the thumbnail to match what the player shows at time `t`
@@ -439,7 +443,11 @@ export async function thumbnails(input, options = {}) {
     concurrency = 4,
     onThumbnail,
     accurate = false,
+    signal,
+    retries,
+    timeout,
   } = options;
+  const fetchOptions = { signal, retries, timeout };
 
   if (!times || !times.length) return new Map();
 
@@ -447,7 +455,7 @@ export async function thumbnails(input, options = {}) {
     // Step 1: Parse the HLS playlist once
     let stream = input;
     if (typeof input === 'string') {
-      stream = await parseHls(input);
+      stream = await parseHls(input, fetchOptions);
     }
 
     // Step 2: Resolve to media segments.
@@ -455,17 +463,23 @@ export async function thumbnails(input, options = {}) {
     // ~9KB vs ~280KB, no seeking needed).
     let segments;
     let isIframeMode = false;
+    let iframeInit = null; // EXT-X-MAP of the I-frame playlist (PAT/PMT for byte-range I-frames)
 
     if (!accurate && stream.isMaster && stream.iframeVariants && stream.iframeVariants.length > 0) {
       // Use I-frame playlist — pick lowest bandwidth variant
       const sorted = [...stream.iframeVariants].sort((a, b) => a.bandwidth - b.bandwidth);
       const iframeVariant = sorted[0];
-      const resp = await fetch(iframeVariant.url);
+      const resp = await fetchWithRetry(iframeVariant.url, {}, fetchOptions);
       if (!resp.ok) throw new Error(`Failed to fetch I-frame playlist: ${resp.status}`);
       const text = await resp.text();
       const parsed = parsePlaylistText(text, iframeVariant.url);
       segments = parsed.segments;
       isIframeMode = segments.length > 0;
+      if (isIframeMode && parsed.initSegmentUrl) {
+        const init = await fetchSegment(parsed.initSegmentUrl, parsed.initSegmentByteRange, fetchOptions);
+        if (!init.ok) throw new Error(`Init segment fetch failed: ${init.status}`);
+        iframeInit = new Uint8Array(await init.arrayBuffer());
+      }
     }
 
     if (!isIframeMode) {
@@ -473,7 +487,7 @@ export async function thumbnails(input, options = {}) {
       if (stream.isMaster) {
         stream.select(hlsQuality);
         const variant = stream.selected;
-        const resp = await fetch(variant.url);
+        const resp = await fetchWithRetry(variant.url, {}, fetchOptions);
         if (!resp.ok) throw new Error(`Failed to fetch media playlist: ${resp.status}`);
         const text = await resp.text();
         const parsed = parsePlaylistText(text, variant.url);
@@ -526,11 +540,13 @@ export async function thumbnails(input, options = {}) {
     // In I-frame mode these are ~9KB each; in regular mode ~280KB each.
     const groups = [...segmentGroups.values()];
     const fetchPromises = groups.map(({ segment }) =>
-      fetch(segment.url).then(r => {
+      fetchSegment(segment.url, segment.byteRange, fetchOptions).then(r => {
         if (!r.ok) throw new Error(`Segment fetch failed: ${r.status}`);
         return r.arrayBuffer();
       })
     );
+    // Workers stop at the first failure; the prefetches they never await must not go unhandled
+    for (const promise of fetchPromises) promise.catch(() => {});
 
     // Step 5: Process with a concurrent worker pool.
     // Each worker owns one reusable video element and canvas.
@@ -571,7 +587,14 @@ export async function thumbnails(input, options = {}) {
           let timeline = null;
           let mp4Data;
           if (isIframeMode) {
-            mp4Data = convertTsToMp4(new Uint8Array(buf));
+            let tsData = new Uint8Array(buf);
+            if (iframeInit) {
+              const joined = new Uint8Array(iframeInit.length + tsData.length);
+              joined.set(iframeInit, 0);
+              joined.set(tsData, iframeInit.length);
+              tsData = joined;
+            }
+            mp4Data = convertTsToMp4(tsData);
           } else {
             const parser = new TSParser();
             parser.parse(new Uint8Array(buf));
@@ -73,16 +73,24 @@ class MP4Parser {
     let moov = null, mdat = null, mdatOffset = 0;
     
     while (offset + 8 <= data.length) {
-      const size = this.view.getUint32(offset);
+      let size = this.view.getUint32(offset);
+      let headerSize = 8;
       const type = this.readString(offset + 4, 4);
       
-      if (size < 8) break;
+      // 64-bit largesize (mdat over 4 GB), or a last box running to the end
+      if (size === 1 && offset + 16 <= data.length) {
+        size = Number(this.view.getBigUint64(offset + 8));
+        headerSize = 16;
+      } else if (size === 0) {
+        size = data.length - offset;
+      }
+      if (size < headerSize) break;
       
       if (type === 'moov') {
         moov = { offset, size };
       } else if (type === 'mdat') {
         mdat = { offset, size };
-        mdatOffset = offset + 8;
+        mdatOffset = offset + headerSize;
       }
       
       offset += size;
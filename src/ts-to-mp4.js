@@ -7,36 +7,29 @@
  * Video:
  *   ✅ H.264/AVC  (0x1B)
  *   ✅ H.265/HEVC (0x24)
+ *   ✅ MPEG-2 Video (0x02) → mp4v, OTI 0x60-0x65 by profile
  * 
  * Audio:
  *   ✅ AAC        (0x0F)
  *   ✅ AAC-LATM   (0x11)
+ *   ✅ MPEG-1 Audio (MP3) (0x03) → mp4a, OTI 0x6B
+ *   ✅ MPEG-2 Audio (0x04) → mp4a, OTI 0x69 (0x6B for MPEG-1 frames)
+ *   ✅ AC-3/Dolby   (0x81) → ac-3 + dac3
+ *   ✅ E-AC-3       (0x87) → ec-3 + dec3
  * 
  * NOT SUPPORTED (requires transcoding):
  * ─────────────────────────────────────
  *   ❌ MPEG-1 Video (0x01)
- *   ❌ MPEG-2 Video (0x02)
- *   ❌ MPEG-1 Audio (0x03)
- *   ❌ MPEG-2 Audio (0x04)
- *   ❌ AC-3/Dolby   (0x81)
- *   ❌ E-AC-3       (0x87)
  */
 
-import { TSParser, getCodecInfo } from './parsers/mpegts.js';
-import { MP4Muxer } from './muxers/mp4.js';
+import { TSParser, getCodecInfo, getNalType, getParameterSetType, isKeyframe } from './parsers/mpegts.js';
+import { MP4Muxer, collectSampleDescriptions, buildAvcC, buildHvcC, parseSPS, parseHevcSPS, prefixNalUnit } from './muxers/mp4.js';
+import { createFragmentedMp4, joinFragmentedMp4 } from './muxers/fmp4.js';
+import { smartCut, joinNalUnits, splitNalUnits, parameterSets, nalLengthSize } from './smart-cut.js';
+import { collectCaptions } from './captions.js';
+import { plainText } from './webvtt.js';
 
 
-/**
- * Check if a video access unit contains a keyframe (IDR NAL unit)
- */
-function isKeyframe(accessUnit) {
-  for (const nalUnit of accessUnit.nalUnits) {
-    const nalType = nalUnit[0] & 0x1F;
-    if (nalType === 5) return true; // IDR slice
-  }
-  return false;
-}
-
 /**
  * Clip access units to a time range, snapping to keyframes for decode
  * but using edit list for precise playback timing
@@ -45,9 +38,11 @@ function isKeyframe(accessUnit) {
  * @param {Array} audioAUs - Audio access units  
  * @param {number} startTime - Start time in seconds
  * @param {number} endTime - End time in seconds
+ * @param {number} videoStreamType - MPEG-TS stream type (for keyframe detection)
+ * @param {Array[]} [extraAudioAUs=[]] - Access units of further audio tracks, clipped like audioAUs
  * @returns {object} Clipped access units and info
  */
-function clipAccessUnits(videoAUs, audioAUs, startTime, endTime) {
+function clipAccessUnits(videoAUs, audioAUs, startTime, endTime, videoStreamType, extraAudioAUs = []) {
   const PTS_PER_SECOND = 90000;
   const startPts = startTime * PTS_PER_SECOND;
   const endPts = endTime * PTS_PER_SECOND;
@@ -56,7 +51,7 @@ function clipAccessUnits(videoAUs, audioAUs, startTime, endTime) {
   let keyframeIdx = 0;
   for (let i = 0; i < videoAUs.length; i++) {
     if (videoAUs[i].pts > startPts) break;
-    if (isKeyframe(videoAUs[i])) keyframeIdx = i;
+    if (isKeyframe(videoAUs[i], videoStreamType)) keyframeIdx = i;
   }
 
   // Find first frame at or after endTime
@@ -75,6 +70,7 @@ function clipAccessUnits(videoAUs, audioAUs, startTime, endTime) {
     return {
       video: [],
       audio: [],
+      extraAudio: extraAudioAUs.map(() => []),
       actualStartTime: startTime,
       actualEndTime: endTime,
       offset: 0,
@@ -95,7 +91,9 @@ function clipAccessUnits(videoAUs, audioAUs, startTime, endTime) {
   // audio preroll on compliant players, just like it does for video.
   const audioStartPts = keyframePts;
   const audioEndPts = Math.min(endPts, lastFramePts + 90000);
-  const clippedAudio = audioAUs.filter(au => au.pts >= audioStartPts && au.pts < audioEndPts);
+  const clipAudio = aus => aus.filter(au => au.pts >= audioStartPts && au.pts < audioEndPts);
+  const clippedAudio = clipAudio(audioAUs);
+  const clippedExtraAudio = extraAudioAUs.map(clipAudio);
 
   // Normalize both video and audio to the same base (keyframe PTS)
   // so they share a common timeline regardless of edit list support
@@ -105,13 +103,14 @@ function clipAccessUnits(videoAUs, audioAUs, startTime, endTime) {
     au.dts -= offset;
   }
 
-  for (const au of clippedAudio) {
+  for (const au of [clippedAudio, ...clippedExtraAudio].flat()) {
     au.pts -= offset;
   }
 
   return {
     video: clippedVideo,
     audio: clippedAudio,
+    extraAudio: clippedExtraAudio,
     actualStartTime: keyframePts / PTS_PER_SECOND,  // Where decode starts (keyframe)
     actualEndTime: lastFramePts / PTS_PER_SECOND,
     requestedStartTime: startTime,                   // Where playback should start
@@ -122,25 +121,106 @@ function clipAccessUnits(videoAUs, audioAUs, startTime, endTime) {
 }
 
 /**
- * Convert MPEG-TS data to MP4
- * 
- * @param {Uint8Array} tsData - MPEG-TS data
- * @param {object} options - Optional settings
- * @param {function} options.onProgress - Progress callback
- * @param {number} options.startTime - Start time in seconds (snaps to nearest keyframe)
- * @param {number} options.endTime - End time in seconds
- * @returns {Uint8Array} MP4 data
- * @throws {Error} If codecs are unsupported or no video found
+ * Smart-cut clipped access units so video starts exactly at the requested
+ * time (see smart-cut.js): the partial GOP is re-encoded, audio and
+ * metadata events and subtitles before the cut are dropped, and all timestamps are
+ * rebased to the cut, so no edit list is needed. The first re-encoded access unit carries the encoder's
+ * parameter sets and the first copied one the source's, which gives each
+ * their own sample description (see collectSampleDescriptions).
+ *
+ * @param {TSParser} parser - Parser holding the output of clipAccessUnits()
+ * @param {number} startPts - Requested start, relative to the clip's keyframe (its preroll)
+ * @param {object} options - convertTsToMp4Precise options ({ reencode })
+ * @returns {Promise<number>} Number of re-encoded frames
  */
+async function smartCutAccessUnits(parser, startPts, options) {
+  const streamType = parser.videoStreamType;
+  if (streamType === 0x02) {
+    throw new Error('Precise clipping supports H.264 and H.265 video only');
+  }
+  const format = streamType === 0x24 ? 'hevc' : 'avc';
+  const source = collectSampleDescriptions(parser.videoAccessUnits, streamType).descriptions[0];
+  if (!source?.sps || !source.pps) {
+    throw new Error('Precise clipping needs in-band SPS/PPS to decode the first GOP');
+  }
+  const configBox = format === 'hevc'
+    ? buildHvcC(source.vps ? [source.vps] : [], [source.sps], [source.pps])
+    : buildAvcC(source.sps, source.pps);
+  const { width, height } = format === 'hevc' ? parseHevcSPS(source.sps) : parseSPS(source.sps);
+
+  const videoAUs = parser.videoAccessUnits;
+  const frames = videoAUs.map((au, i) => ({
+    data: joinNalUnits(au.nalUnits),
+    pts: au.pts,
+    dts: au.dts,
+    duration: i + 1 < videoAUs.length ? videoAUs[i + 1].dts - au.dts : undefined,
+    keyframe: isKeyframe(au, streamType),
+    au
+  }));
+  const cut = await smartCut(frames, { format, description: configBox.subarray(8), width, height, timescale: 90000 }, startPts, options);
+  if (!cut) return 0;
+
+  const lengthSize = cut.description ? nalLengthSize(format, cut.description) : 4;
+  const accessUnits = cut.frames.map((frame, i) => {
+    if (!frame.reencoded) return frame.au;
+    const nalUnits = splitNalUnits(frame.data, lengthSize);
+    return {
+      nalUnits: i === 0 ? [...parameterSets(format, cut.description), ...nalUnits] : nalUnits,
+      pts: frame.pts,
+      dts: frame.dts
+    };
+  });
+
+  // Stream copy resumes with the source's parameter sets
+  const resumed = accessUnits[cut.reencoded];
+  const spsType = format === 'hevc' ? 33 : 7;
+  if (cut.reencoded > 0 && resumed && !resumed.nalUnits.some(nal => getNalType(nal, streamType) === spsType)) {
+    resumed.nalUnits = [source.vps, source.sps, source.pps].filter(Boolean).concat(resumed.nalUnits);
+  }
+
+  const cutPts = cut.cutPts;
+  for (const au of accessUnits) {
+    au.pts -= cutPts;
+    au.dts -= cutPts;
+  }
+  const trimToCut = aus => aus.filter(au => au.pts >= cutPts).map(au => {
+    au.pts -= cutPts;
+    return au;
+  });
+
+  parser.videoAccessUnits = accessUnits;
+  parser.videoPts = accessUnits.map(au => au.pts);
+  parser.videoDts = accessUnits.map(au => au.dts);
+  parser.audioAccessUnits = trimToCut(parser.audioAccessUnits);
+  parser.audioPts = parser.audioAccessUnits.map(au => au.pts);
+  for (const track of parser.extraAudioTracks) {
+    track.audioAccessUnits = trimToCut(track.audioAccessUnits);
+    track.audioPts = track.audioAccessUnits.map(au => au.pts);
+  }
+  parser.metadataEvents = trimToCut(parser.metadataEvents);
+  for (const track of parser.subtitleTracks) {
+    track.cues = track.cues.filter(cue => cue.end > cutPts).map(cue => ({
+      ...cue,
+      start: Math.max(0, cue.start - cutPts),
+      end: cue.end - cutPts
+    }));
+  }
+  return cut.reencoded;
+}
+
 /**
  * Analyze MPEG-TS data without converting
- * Returns duration, keyframe positions, and stream info
+ * Returns duration, keyframe positions, stream info, and the ID3 and
+ * SCTE-35 events of the program (`events`, with `time` in seconds on the
+ * same timeline as the keyframes)
  * 
  * @param {Uint8Array} tsData - MPEG-TS data
+ * @param {object} [options]
+ * @param {number} [options.program] - Program number to analyze (default: first in the PAT)
  * @returns {object} Analysis results
  */
-export function analyzeTsData(tsData) {
-  const parser = new TSParser();
+export function analyzeTsData(tsData, options = {}) {
+  const parser = new TSParser({ program: options.program, allAudio: true });
   parser.parse(tsData);
   parser.finalize();
 
@@ -149,7 +229,7 @@ export function analyzeTsData(tsData) {
   // Find keyframes and their timestamps
   const keyframes = [];
   for (let i = 0; i < parser.videoAccessUnits.length; i++) {
-    if (isKeyframe(parser.videoAccessUnits[i])) {
+    if (isKeyframe(parser.videoAccessUnits[i], parser.videoStreamType)) {
       keyframes.push({
         index: i,
         time: parser.videoAccessUnits[i].pts / PTS_PER_SECOND
@@ -174,18 +254,118 @@ export function analyzeTsData(tsData) {
     videoCodec: getCodecInfo(parser.videoStreamType).name,
     audioCodec: getCodecInfo(parser.audioStreamType).name,
     audioSampleRate: parser.audioSampleRate,
-    audioChannels: parser.audioChannels
+    audioChannels: parser.audioChannels,
+    audioTracks: parser.audioTracks.map(track => ({
+      pid: track.pid,
+      codec: getCodecInfo(track.streamType).name,
+      language: track.language,
+      frames: track.audioAccessUnits.length,
+      sampleRate: track.audioSampleRate,
+      channels: track.audioChannels
+    })),
+    program: parser.programNumber,
+    programs: parser.programs,
+    events: parser.metadataEvents.map(event => ({ ...event, time: event.pts / PTS_PER_SECOND }))
   };
 }
 
+/**
+ * Keep the audio tracks matching a list of languages/PIDs
+ * The first match becomes the parser's primary audio track, the rest its
+ * extraAudioTracks.
+ */
+function selectAudioTracks(parser, wanted) {
+  const tracks = parser.audioTracks;
+  const selected = tracks.filter(track => wanted.includes(track.pid) || (track.language && wanted.includes(track.language)));
+  if (selected.length === 0) {
+    const available = tracks.map(track => `PID ${track.pid}${track.language ? ` (${track.language})` : ''}`).join(', ') || 'none';
+    throw new Error(`No audio track matches ${wanted.join(', ')} (available: ${available})`);
+  }
+  const [primary, ...extra] = selected;
+  parser.audioPid = primary.pid;
+  parser.audioStreamType = primary.streamType;
+  parser.audioLanguage = primary.language;
+  parser.audioAccessUnits = primary.audioAccessUnits;
+  parser.audioPts = primary.audioPts;
+  parser.audioSampleRate = primary.audioSampleRate;
+  parser.audioChannels = primary.audioChannels;
+  parser.audioFrameSize = primary.audioFrameSize;
+  parser.audioConfig = primary.audioConfig;
+  parser.extraAudioTracks = extra;
+}
+
+/**
+ * Convert MPEG-TS data to MP4
+ * 
+ * Every audio track of the program becomes its own trak (one alternate
+ * group, first track enabled). Fragmented output keeps the first audio
+ * track only.
+ * 
+ * @param {Uint8Array} tsData - MPEG-TS data
+ * @param {object} options - Optional settings
+ * @param {function} options.onProgress - Progress callback
+ * @param {number} options.startTime - Start time in seconds (snaps to nearest keyframe)
+ * @param {number} options.endTime - End time in seconds
+ * @param {'hvc1'|'hev1'} options.hevcSampleEntry - Sample entry for H.265 video (default 'hvc1')
+ * @param {'mp4'|'fmp4'} options.output - 'fmp4' writes an init segment plus one fragment per GOP
+ * @param {number} options.program - Program number for multi-program streams (default: first in the PAT)
+ * @param {'all'|'first'|Array<string|number>} options.audioTracks - Audio tracks to include: 'all' (default),
+ *   'first', or a list of ISO 639 languages and/or PIDs (the first match becomes the primary track)
+ * @param {boolean|string} options.captions - Write CEA-608/708 captions as a tx3g subtitle track: true for
+ *   the first channel found, or a channel ('CC1'-'CC4', 'SERVICE1'-'SERVICE63'); MP4 output only
+ * @param {Array<{language: string|null, cues: Array<{start: number, end: number, text: string}>}>} options.subtitles
+ *   Subtitles (e.g. SubtitleTracks from WebVTT) written as tx3g tracks after any captions, with cue times in
+ *   seconds on the same timeline as startTime/endTime and WebVTT markup dropped; MP4 output only
+ * @returns {Uint8Array} MP4 data
+ * @throws {Error} If codecs are unsupported, no video is found, or the program/audio tracks don't exist
+ */
 export function convertTsToMp4(tsData, options = {}) {
+  if (options.precise) {
+    throw new Error('Precise clipping re-encodes asynchronously: use convertTsToMp4Precise() or toMp4()');
+  }
+  const log = options.onProgress || (() => { });
+  const { parser, clipPreroll } = parseAndClipTs(tsData, options, log);
+  return muxParsedTs(parser, clipPreroll, options, log);
+}
+
+/**
+ * Convert MPEG-TS data to MP4, starting exactly at startTime by re-encoding
+ * the frames up to the next keyframe instead of relying on an edit list
+ * (see smart-cut.js)
+ *
+ * @param {Uint8Array} tsData - MPEG-TS data
+ * @param {object} options - convertTsToMp4 options, plus:
+ * @param {function} options.reencode - Re-encoding hook (default: WebCodecs)
+ * @returns {Promise<Uint8Array>} MP4 data
+ */
+export async function convertTsToMp4Precise(tsData, options = {}) {
   const log = options.onProgress || (() => { });
+  const { parser, clipPreroll } = parseAndClipTs(tsData, options, log);
+  if (clipPreroll > 0) {
+    const reencoded = await smartCutAccessUnits(parser, clipPreroll, options);
+    log(`Precise cut: re-encoded ${reencoded} frames`, { phase: 'convert', percent: 82 });
+  }
+  return muxParsedTs(parser, 0, options, log);
+}
 
+/**
+ * Parse MPEG-TS data, check its streams and apply options.startTime/endTime
+ * @returns {{parser: TSParser, clipPreroll: number}} The parser holding the
+ *   clipped access units, and the ticks to hide from the keyframe to the start
+ */
+function parseAndClipTs(tsData, options, log) {
   log(`Parsing...`, { phase: 'convert', percent: 52 });
-  const parser = new TSParser();
+  const parser = new TSParser({ program: options.program, allAudio: options.audioTracks !== 'first' });
   parser.parse(tsData);
   parser.finalize();
 
+  if (options.program !== undefined && parser.programs.length > 0 && parser.programNumber === null) {
+    throw new Error(`Program ${options.program} not found (available: ${parser.programs.map(p => p.number).join(', ')})`);
+  }
+  if (Array.isArray(options.audioTracks)) {
+    selectAudioTracks(parser, options.audioTracks);
+  }
+
   const debug = parser.debug;
   const videoInfo = getCodecInfo(parser.videoStreamType);
   const audioInfo = getCodecInfo(parser.audioStreamType);
@@ -197,7 +377,18 @@ export function convertTsToMp4(tsData, options = {}) {
   const audioDetails = [];
   if (parser.audioSampleRate) audioDetails.push(`${parser.audioSampleRate}Hz`);
   if (parser.audioChannels) audioDetails.push(`${parser.audioChannels}ch`);
-  log(`Audio: ${parser.audioPid ? `PID ${parser.audioPid}` : 'none'} → ${audioInfo.name}${audioDetails.length ? ` (${audioDetails.join(', ')})` : ''}`);
+  log(`Audio: ${parser.audioPid ? `PID ${parser.audioPid}${parser.audioLanguage ? ` (${parser.audioLanguage})` : ''}` : 'none'} → ${audioInfo.name}${audioDetails.length ? ` (${audioDetails.join(', ')})` : ''}`);
+
+  // Further audio tracks are kept when their codec is supported too, and skipped otherwise
+  parser.extraAudioTracks = parser.extraAudioTracks.filter(track => {
+    const info = getCodecInfo(track.streamType);
+    log(`Audio: PID ${track.pid}${track.language ? ` (${track.language})` : ''} → ${info.name}${info.supported ? '' : ' (unsupported, skipped)'}`);
+    return info.supported;
+  });
+  if (parser.metadataEvents.length > 0) {
+    const count = type => parser.metadataEvents.filter(event => event.type === type).length;
+    log(`Metadata: ${count('id3')} ID3, ${count('scte35')} SCTE-35 events`);
+  }
 
   // Check for structural issues first
   if (!debug.patFound) {
@@ -212,7 +403,7 @@ export function convertTsToMp4(tsData, options = {}) {
   if (parser.videoStreamType && !videoInfo.supported) {
     throw new Error(
       `Unsupported video codec: ${videoInfo.name}\n` +
-      `This library only supports H.264 and H.265 video.\n` +
+      `This library supports H.264, H.265 and MPEG-2 video.\n` +
       `Your file needs to be transcoded to H.264 first.`
     );
   }
@@ -221,7 +412,7 @@ export function convertTsToMp4(tsData, options = {}) {
   if (parser.audioStreamType && !audioInfo.supported) {
     throw new Error(
       `Unsupported audio codec: ${audioInfo.name}\n` +
-      `This library only supports AAC audio.\n` +
+      `This library supports AAC, MP3, AC-3 and E-AC-3 audio.\n` +
       `Your file needs to be transcoded to AAC first.`
     );
   }
@@ -230,13 +421,13 @@ export function convertTsToMp4(tsData, options = {}) {
   if (!parser.videoPid) {
     throw new Error(
       'No supported video stream found in MPEG-TS.\n' +
-      'This library supports: H.264/AVC, H.265/HEVC'
+      'This library supports: H.264/AVC, H.265/HEVC, MPEG-2 Video'
     );
   }
 
   log(`Frames: ${parser.videoAccessUnits.length} video, ${parser.audioAccessUnits.length} audio`, { phase: 'convert', percent: 60 });
   if (debug.audioPesStarts) {
-    log(`Audio: ${debug.audioPesStarts} PES starts → ${debug.audioPesCount || 0} processed → ${debug.audioFramesInPes || 0} ADTS frames${debug.audioSkipped ? ` (${debug.audioSkipped} skipped)` : ''}`);
+    log(`Audio: ${debug.audioPesStarts} PES starts → ${debug.audioPesCount || 0} processed → ${debug.audioFramesInPes || 0} frames${debug.audioSkipped ? ` (${debug.audioSkipped} skipped)` : ''}`);
   }
 
   if (parser.videoAccessUnits.length === 0) {
@@ -249,6 +440,12 @@ export function convertTsToMp4(tsData, options = {}) {
     log(`Timestamps normalized: -${offsetMs}ms offset`);
   }
 
+  // Subtitle cues follow the access units through clipping in 90kHz ticks
+  parser.subtitleTracks = (options.subtitles || []).map(track => ({
+    language: track.language ?? null,
+    cues: track.cues.map(cue => ({ start: cue.start * 90000, end: cue.end * 90000, text: plainText(cue.text) }))
+  }));
+
   log(`Processing...`, { phase: 'convert', percent: 70 });
 
   // Track preroll for edit list (used for precise clipping)
@@ -263,12 +460,31 @@ export function convertTsToMp4(tsData, options = {}) {
       parser.videoAccessUnits,
       parser.audioAccessUnits,
       startTime,
-      endTime
+      endTime,
+      parser.videoStreamType,
+      parser.extraAudioTracks.map(track => track.audioAccessUnits)
     );
 
     parser.videoAccessUnits = clipResult.video;
     parser.audioAccessUnits = clipResult.audio;
     clipPreroll = clipResult.preroll;
+    parser.extraAudioTracks.forEach((track, i) => {
+      track.audioAccessUnits = clipResult.extraAudio[i];
+      track.audioPts = clipResult.extraAudio[i].map(au => au.pts);
+    });
+
+    // ID3 and SCTE-35 events from the keyframe on, like audio
+    const endPts = endTime * 90000;
+    parser.metadataEvents = parser.metadataEvents
+      .filter(event => event.pts >= clipResult.offset && event.pts < endPts)
+      .map(event => ({ ...event, pts: event.pts - clipResult.offset }));
+    // Subtitles shown in the requested range
+    const startPts = startTime * 90000;
+    for (const track of parser.subtitleTracks) {
+      track.cues = track.cues
+        .filter(cue => cue.end > startPts && cue.start < endPts)
+        .map(cue => ({ ...cue, start: cue.start - clipResult.offset, end: Math.min(cue.end, endPts) - clipResult.offset }));
+    }
 
     // Update PTS arrays to match
     parser.videoPts = clipResult.video.map(au => au.pts);
@@ -283,8 +499,57 @@ export function convertTsToMp4(tsData, options = {}) {
     log(`Clipped: ${clipResult.requestedStartTime.toFixed(2)}s - ${endTimeStr} (${clipDuration}s, ${prerollMs}ms preroll)`, { phase: 'convert', percent: 80 });
   }
 
+  return { parser, clipPreroll };
+}
+
+/**
+ * Caption track to write for options.captions (true: the first one found)
+ * Cue times start at the first video sample's decode time, like the
+ * video track's media timeline.
+ */
+function selectCaptions(parser, wanted) {
+  const tracks = collectCaptions(parser.videoAccessUnits, parser.videoStreamType, parser.videoAccessUnits[0].dts);
+  if (wanted === true) return tracks[0] || null;
+  const track = tracks.find(t => t.channel === wanted);
+  if (!track) {
+    throw new Error(`No ${wanted} captions found (available: ${tracks.map(t => t.channel).join(', ') || 'none'})`);
+  }
+  return track;
+}
+
+/**
+ * Mux a parsed (and possibly clipped) TS into MP4 or fragmented MP4
+ */
+function muxParsedTs(parser, clipPreroll, options, log) {
+  if (options.output === 'fmp4') {
+    if (options.captions) {
+      throw new Error('Caption tracks are written to MP4 output only - use extractCaptions() with fMP4');
+    }
+    if (parser.subtitleTracks.length > 0) {
+      throw new Error('Subtitle tracks are written to MP4 output only');
+    }
+    log(`Building fragmented MP4...`, { phase: 'convert', percent: 85 });
+    const parts = createFragmentedMp4(parser, { preroll: clipPreroll, hevcSampleEntry: options.hevcSampleEntry });
+    log(`Complete: ${parts.fragments.length} fragments`, { phase: 'convert', percent: 100 });
+    return joinFragmentedMp4(parts);
+  }
+
   log(`Building MP4...`, { phase: 'convert', percent: 85 });
-  const muxer = new MP4Muxer(parser, { preroll: clipPreroll });
+  const captions = options.captions ? selectCaptions(parser, options.captions) : null;
+  if (captions) log(`Captions: ${captions.channel} (${captions.cues.length} cues)`);
+  // Text tracks are timed from the first video sample's decode time
+  const origin = parser.videoAccessUnits[0].dts;
+  const subtitles = parser.subtitleTracks.map(track => ({
+    language: track.language,
+    cues: track.cues.map(cue => ({ start: (cue.start - origin) / 90000, end: (cue.end - origin) / 90000, text: cue.text }))
+  }));
+  for (const track of subtitles) log(`Subtitles: ${track.language || 'und'} (${track.cues.length} cues)`);
+  const muxer = new MP4Muxer(parser, {
+    preroll: clipPreroll,
+    hevcSampleEntry: options.hevcSampleEntry,
+    captions: captions?.cues,
+    subtitles
+  });
   const { width, height } = muxer.getVideoDimensions();
   log(`Dimensions: ${width}x${height}`);
 
@@ -293,6 +558,222 @@ export function convertTsToMp4(tsData, options = {}) {
   return result;
 }
 
+// ── streaming conversion ─────────────────────────────────
+
+/**
+ * In-memory sample sink (the default for convertTsStreamToMp4)
+ * It keeps every sample until the output is read, so memory still grows
+ * with the input. Supply your own sink backed by a file or OPFS to keep
+ * memory bounded.
+ * @returns {{ write: function(Uint8Array): void, read: function(): AsyncIterable<Uint8Array> }}
+ */
+export function createMemorySink() {
+  const chunks = [];
+  return {
+    write(chunk) { chunks.push(chunk); },
+    async *read() { yield* chunks; }
+  };
+}
+
+/**
+ * Iterate a ReadableStream or async iterable of Uint8Array chunks
+ * ReadableStream is read through its reader, since not every browser
+ * makes it async-iterable.
+ */
+async function* readChunks(source) {
+  if (source && typeof source.getReader === 'function') {
+    const reader = source.getReader();
+    try {
+      while (true) {
+        const { done, value } = await reader.read();
+        if (done) return;
+        yield value;
+      }
+    } finally {
+      reader.releaseLock();
+    }
+  }
+  if (source && typeof source[Symbol.asyncIterator] === 'function') {
+    yield* source;
+    return;
+  }
+  throw new Error('convertTsStreamToMp4 expects a ReadableStream or async iterable of Uint8Array chunks');
+}
+
+/**
+ * Reduce an access unit to what MP4Muxer still needs once its payload is
+ * in the sink: full parameter sets (stsd) and NAL headers (stss)
+ */
+function stripAccessUnit(au, streamType) {
+  // MPEG-2 picture headers have the picture type in their third byte
+  const headerSize = streamType === 0x02 ? 3 : 2;
+  au.nalUnits = au.nalUnits.map(nal =>
+    getParameterSetType(nal, streamType) ? nal.slice() : nal.slice(0, headerSize)
+  );
+}
+
+/**
+ * Convert an MPEG-TS stream to MP4 without holding the whole input in memory
+ *
+ * Pass 1 parses the input chunk by chunk and moves sample payloads into
+ * a sink per track, keeping only the sample tables. Pass 2 emits ftyp +
+ * moov + mdat header followed by the sink contents, in the same layout
+ * convertTsToMp4() produces. Every audio track of the program with a
+ * supported codec is written, as convertTsToMp4() does by default.
+ *
+ * Only the input is streamed: the default sink keeps all sample data in
+ * memory until the output has been read. Pass options.createSink to store
+ * it elsewhere for inputs that don't fit in memory.
+ *
+ * Clipping is not supported here and ID3 tags are left out; use
+ * convertTsToMp4() for those.
+ *
+ * @param {ReadableStream<Uint8Array>|AsyncIterable<Uint8Array>} source - MPEG-TS byte stream
+ * @param {object} [options]
+ * @param {function} [options.createSink] - Returns { write(chunk), read() } storage for sample data,
+ *   called once per track (default: createMemorySink, which holds everything in memory)
+ * @param {'hvc1'|'hev1'} [options.hevcSampleEntry] - Sample entry type for H.265 output
+ * @param {number} [options.program] - Program number for multi-program streams (default: first in the PAT)
+ * @param {function} [options.onProgress] - Progress callback
+ * @returns {Promise<{ stream: ReadableStream<Uint8Array>, size: number }>} MP4 output and its total size
+ *
+ * @example
+ * const response = await fetch('https://example.com/long.ts');
+ * const { stream } = await convertTsStreamToMp4(response.body);
+ * const blob = await new Response(stream).blob();
+ */
+export async function convertTsStreamToMp4(source, options = {}) {
+  const log = options.onProgress || (() => { });
+  if (options.startTime !== undefined || options.endTime !== undefined) {
+    throw new Error('convertTsStreamToMp4 does not support clipping - use convertTsToMp4 with startTime/endTime');
+  }
+
+  const createSink = options.createSink || createMemorySink;
+  const videoSink = createSink();
+  const audioSink = createSink();
+  const videoSampleSizes = [];
+  const audioSampleSizes = [];
+  let videoDrained = 0;
+  let audioDrained = 0;
+  let videoBytes = 0;
+  let audioBytes = 0;
+  // Further audio tracks get a sink each once the PMT lists them
+  const extraAudio = new Map();
+
+  const parser = new TSParser({ program: options.program, allAudio: true });
+
+  // Move completed access units' payloads out of the parser
+  const drain = async () => {
+    const videoAUs = parser.videoAccessUnits;
+    for (; videoDrained < videoAUs.length; videoDrained++) {
+      const au = videoAUs[videoDrained];
+      let sampleSize = 0;
+      for (const nalUnit of au.nalUnits) {
+        const prefixed = prefixNalUnit(nalUnit, parser.videoStreamType);
+        await videoSink.write(prefixed);
+        sampleSize += prefixed.length;
+      }
+      videoSampleSizes.push(sampleSize);
+      videoBytes += sampleSize;
+      stripAccessUnit(au, parser.videoStreamType);
+    }
+    const audioAUs = parser.audioAccessUnits;
+    for (; audioDrained < audioAUs.length; audioDrained++) {
+      const au = audioAUs[audioDrained];
+      await audioSink.write(au.data);
+      audioSampleSizes.push(au.data.length);
+      audioBytes += au.data.length;
+      au.data = null;
+    }
+    for (const track of parser.extraAudioTracks) {
+      if (!getCodecInfo(track.streamType).supported) continue;
+      if (!extraAudio.has(track)) extraAudio.set(track, { sink: createSink(), sampleSizes: [], drained: 0 });
+      const extra = extraAudio.get(track);
+      for (; extra.drained < track.audioAccessUnits.length; extra.drained++) {
+        const au = track.audioAccessUnits[extra.drained];
+        await extra.sink.write(au.data);
+        extra.sampleSizes.push(au.data.length);
+        audioBytes += au.data.length;
+        au.data = null;
+      }
+    }
+  };
+
+  log(`Parsing stream...`, { phase: 'convert', percent: 0 });
+  let bytesRead = 0;
+  for await (const chunk of readChunks(source)) {
+    parser.push(chunk);
+    bytesRead += chunk.byteLength;
+    await drain();
+    log(`Read ${(bytesRead / 1024 / 1024).toFixed(1)} MB`, { phase: 'convert', bytes: bytesRead });
+  }
+  parser.end();
+  await drain();
+
+  const debug = parser.debug;
+  if (!debug.patFound) {
+    throw new Error('Invalid MPEG-TS: No PAT (Program Association Table) found. File may be corrupted or not MPEG-TS format.');
+  }
+  if (!debug.pmtFound) {
+    throw new Error('Invalid MPEG-TS: No PMT (Program Map Table) found. File may be corrupted or missing stream info.');
+  }
+  const videoInfo = getCodecInfo(parser.videoStreamType);
+  if (parser.videoStreamType && !videoInfo.supported) {
+    throw new Error(`Unsupported video codec: ${videoInfo.name}`);
+  }
+  const audioInfo = getCodecInfo(parser.audioStreamType);
+  if (parser.audioStreamType && !audioInfo.supported) {
+    throw new Error(`Unsupported audio codec: ${audioInfo.name}`);
+  }
+  if (!parser.videoPid || parser.videoAccessUnits.length === 0) {
+    throw new Error('No supported video frames found in MPEG-TS stream.');
+  }
+  // Further audio tracks are kept when their codec is supported too, and skipped otherwise
+  for (const track of parser.extraAudioTracks) {
+    if (!extraAudio.has(track)) log(`Audio: PID ${track.pid} → ${getCodecInfo(track.streamType).name} (unsupported, skipped)`);
+  }
+  parser.extraAudioTracks = parser.extraAudioTracks.filter(track => extraAudio.has(track));
+
+  log(`Frames: ${parser.videoAccessUnits.length} video, ${parser.audioAccessUnits.length} audio`, { phase: 'convert', percent: 90 });
+
+  const muxer = new MP4Muxer(parser, { hevcSampleEntry: options.hevcSampleEntry });
+  muxer.setSampleSizes(videoSampleSizes, audioSampleSizes,
+    parser.extraAudioTracks.map(track => extraAudio.get(track).sampleSizes));
+  const header = muxer.buildHeader(videoBytes + audioBytes);
+  const size = header.byteLength + videoBytes + audioBytes;
+
+  let iterator = null;
+  const sinks = [videoSink, audioSink, ...parser.extraAudioTracks.map(track => extraAudio.get(track).sink)];
+  const stream = new ReadableStream({
+    start(controller) {
+      controller.enqueue(header);
+    },
+    async pull(controller) {
+      while (true) {
+        if (!iterator) {
+          if (sinks.length === 0) {
+            log(`Complete`, { phase: 'convert', percent: 100 });
+            controller.close();
+            return;
+          }
+          iterator = sinks.shift().read()[Symbol.asyncIterator]();
+        }
+        const { done, value } = await iterator.next();
+        if (!done) {
+          controller.enqueue(value);
+          return;
+        }
+        iterator = null;
+      }
+    },
+    async cancel() {
+      if (iterator && iterator.return) await iterator.return();
+    }
+  });
+
+  return { stream, size };
+}
+
 export { TSParser };
 export default convertTsToMp4;
 
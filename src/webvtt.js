@@ -0,0 +1,212 @@
+/**
+ * WebVTT Subtitles
+ * Parses and writes WebVTT, and merges the segmented WebVTT of HLS
+ * subtitle renditions into one list of cues
+ *
+ * HLS WebVTT segments carry cue times on their own clock and map it to
+ * the MPEG-TS clock of the video with an X-TIMESTAMP-MAP header
+ * (`X-TIMESTAMP-MAP=MPEGTS:900000,LOCAL:00:00:00.000`); segments without
+ * one are taken as LOCAL 0 = MPEGTS 0. Cues that span a segment boundary
+ * are repeated in both segments and come out once.
+ *
+ * @module webvtt
+ */
+
+const PTS_WRAP = 0x200000000; // 2^33
+
+// ============================================
+// Timestamps
+// ============================================
+
+/**
+ * Seconds as HH:MM:SS.mmm (WebVTT) or HH:MM:SS,mmm (SRT)
+ * @param {number} seconds
+ * @param {string} [separator='.'] - Before the milliseconds
+ * @returns {string}
+ */
+export function formatTimestamp(seconds, separator = '.') {
+  const ms = Math.max(0, Math.round(seconds * 1000));
+  const pad = (value, length = 2) => String(value).padStart(length, '0');
+  return `${pad(Math.floor(ms / 3600000))}:${pad(Math.floor(ms / 60000) % 60)}:${pad(Math.floor(ms / 1000) % 60)}${separator}${pad(ms % 1000, 3)}`;
+}
+
+/**
+ * WebVTT timestamp ([hh:]mm:ss.ttt) in seconds
+ * @returns {number|null} null if it isn't one
+ */
+function parseTimestamp(text) {
+  const match = text.trim().match(/^(?:(\d+):)?(\d{2}):(\d{2})[.,](\d{3})$/);
+  if (!match) return null;
+  const [, hours = '0', minutes, seconds, ms] = match;
+  return parseInt(hours) * 3600 + parseInt(minutes) * 60 + parseInt(seconds) + parseInt(ms) / 1000;
+}
+
+// ============================================
+// Parsing
+// ============================================
+
+/**
+ * Parse a WebVTT document
+ * Cue text keeps its markup (<i>, <v Speaker>, entities); see plainText().
+ *
+ * @param {string} text - WebVTT document
+ * @returns {{ cues: Array<{id: string|null, start: number, end: number, settings: string, text: string}>,
+ *   timestampMap: {mpegts: number, local: number}|null }} Times in seconds
+ * @throws {Error} If the document doesn't start with WEBVTT
+ */
+export function parseWebVtt(text) {
+  const lines = text.replace(/^\uFEFF/, '').split(/\r\n|\r|\n/);
+  if (!/^WEBVTT(?:[ \t]|$)/.test(lines[0])) {
+    throw new Error('Invalid WebVTT: missing WEBVTT header');
+  }
+
+  // Header block: up to the first blank line
+  let i = 1;
+  let timestampMap = null;
+  for (; i < lines.length && lines[i].trim() !== ''; i++) {
+    if (lines[i].startsWith('X-TIMESTAMP-MAP=')) {
+      const mpegts = lines[i].match(/MPEGTS:(\d+)/);
+      const local = lines[i].match(/LOCAL:([\d:.]+)/);
+      timestampMap = {
+        mpegts: mpegts ? parseInt(mpegts[1]) : 0,
+        local: local ? parseTimestamp(local[1]) ?? 0 : 0
+      };
+    }
+  }
+
+  const cues = [];
+  while (i < lines.length) {
+    // Blocks are separated by blank lines
+    if (lines[i].trim() === '') { i++; continue; }
+    const block = [];
+    while (i < lines.length && lines[i].trim() !== '') block.push(lines[i++]);
+
+    // NOTE, STYLE and REGION blocks have no timing line
+    const timing = block.findIndex(line => line.includes('-->'));
+    if (timing < 0 || timing > 1) continue;
+    const [startText, rest = ''] = block[timing].split('-->');
+    const [endText, ...settings] = rest.trim().split(/[ \t]+/);
+    const start = parseTimestamp(startText);
+    const end = parseTimestamp(endText);
+    if (start === null || end === null) continue;
+    cues.push({
+      id: timing === 1 ? block[0] : null,
+      start,
+      end,
+      settings: settings.join(' '),
+      text: block.slice(timing + 1).join('\n')
+    });
+  }
+
+  return { cues, timestampMap };
+}
+
+/**
+ * Cue text without WebVTT markup: tags removed, entities decoded
+ * @param {string} text
+ * @returns {string}
+ */
+export function plainText(text) {
+  const entities = { amp: '&', lt: '<', gt: '>', nbsp: '\u00A0', lrm: '\u200E', rlm: '\u200F' };
+  return text
+    .replace(/<[^>]*>/g, '')
+    .replace(/&(amp|lt|gt|nbsp|lrm|rlm);/g, (_, name) => entities[name]);
+}
+
+/**
+ * Merge the WebVTT segments of an HLS subtitle playlist
+ * Each segment's X-TIMESTAMP-MAP puts its cues on the MPEG-TS clock,
+ * measured from `origin` (across a 2^33 wrap if need be).
+ *
+ * @param {string[]} documents - WebVTT segments in playlist order
+ * @param {number} [origin=0] - 90kHz MPEG-TS time that becomes 0
+ * @returns {Array<{id: string|null, start: number, end: number, settings: string, text: string}>}
+ *   Cues in start order, times in seconds
+ */
+export function mergeWebVttSegments(documents, origin = 0) {
+  const cues = [];
+  const seen = new Set();
+  for (const document of documents) {
+    const { cues: segmentCues, timestampMap } = parseWebVtt(document);
+    const map = timestampMap || { mpegts: 0, local: 0 };
+    // Offset from the segment's clock to the origin, within ±2^32 ticks
+    let offset = (map.mpegts - origin) % PTS_WRAP;
+    if (offset >= PTS_WRAP / 2) offset -= PTS_WRAP;
+    if (offset < -PTS_WRAP / 2) offset += PTS_WRAP;
+    const shift = offset / 90000 - map.local;
+
+    for (const cue of segmentCues) {
+      const start = Math.round((cue.start + shift) * 1000) / 1000;
+      const end = Math.round((cue.end + shift) * 1000) / 1000;
+      const key = `${start}|${end}|${cue.text}`;
+      if (seen.has(key)) continue;
+      seen.add(key);
+      cues.push({ ...cue, start, end });
+    }
+  }
+  return cues.sort((a, b) => a.start - b.start);
+}
+
+// ============================================
+// Subtitle Tracks
+// ============================================
+
+/**
+ * Subtitles of one language, e.g. an HLS subtitle rendition
+ */
+export class SubtitleTrack {
+  /**
+   * @param {object} info
+   * @param {string|null} [info.language] - e.g. 'en', 'es-MX'
+   * @param {string|null} [info.name] - Rendition NAME
+   * @param {Array<{start: number, end: number, text: string, id?: string|null, settings?: string}>} info.cues
+   *   Times in seconds, text with WebVTT markup
+   */
+  constructor({ language = null, name = null, cues }) {
+    this.language = language;
+    this.name = name;
+    this.cues = cues;
+  }
+
+  /**
+   * Cues shown between startTime and endTime, cut to that range and
+   * moved so startTime becomes 0
+   * @param {number} startTime - Seconds
+   * @param {number} [endTime=Infinity] - Seconds
+   * @returns {SubtitleTrack}
+   */
+  slice(startTime, endTime = Infinity) {
+    const cues = this.cues
+      .filter(cue => cue.end > startTime && cue.start < endTime)
+      .map(cue => ({
+        ...cue,
+        start: Math.max(cue.start, startTime) - startTime,
+        end: Math.min(cue.end, endTime) - startTime
+      }));
+    return new SubtitleTrack({ language: this.language, name: this.name, cues });
+  }
+
+  /**
+   * @returns {string} WebVTT document
+   */
+  toWebVtt() {
+    return 'WEBVTT\n\n' + this.cues
+      .map(cue => {
+        const id = cue.id ? `${cue.id}\n` : '';
+        const settings = cue.settings ? ` ${cue.settings}` : '';
+        return `${id}${formatTimestamp(cue.start)} --> ${formatTimestamp(cue.end)}${settings}\n${cue.text}\n`;
+      })
+      .join('\n');
+  }
+
+  /**
+   * @returns {string} SubRip document (plain text)
+   */
+  toSrt() {
+    return this.cues
+      .map((cue, i) => `${i + 1}\n${formatTimestamp(cue.start, ',')} --> ${formatTimestamp(cue.end, ',')}\n${plainText(cue.text)}\n`)
+      .join('\n');
+  }
+}
+
+export default parseWebVtt;
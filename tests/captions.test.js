@@ -0,0 +1,290 @@
+/**
+ * Closed Caption Tests
+ *
+ * Checks that CEA-608 and CEA-708 captions carried in H.264 SEI, H.265
+ * SEI and MPEG-2 user data decode into cues (pop-on, roll-up, field 2
+ * channels, special characters, 708 windows), in presentation order,
+ * render as WebVTT and SRT, and can be written into converted MP4s as a
+ * tx3g subtitle track.
+ *
+ * Run: node tests/captions.test.js
+ */
+
+import { convertTsToMp4, extractCaptions } from '../src/index.js';
+import toMp4 from '../src/index.js';
+import { analyzeTrack, buildSampleTable } from '../src/parsers/mp4.js';
+import { parseBoxes, findBox, parseChildBoxes } from '../src/fmp4/utils.js';
+import {
+  buildTs, annexB, h264Frames, aacFrames, mpeg2Frames, captionSei, concat,
+  H264_SPS, H264_PPS, HEVC_VPS, HEVC_SPS, HEVC_PPS
+} from './ts-fixtures.js';
+
+let passed = 0;
+let failed = 0;
+
+function test(name, fn) {
+  return { name, fn };
+}
+
+function assert(condition, message) {
+  if (!condition) throw new Error(message || 'Assertion failed');
+}
+
+// ── helpers ───────────────────────────────────────────────
+
+/** Set bit 7 so the byte has odd parity, as line 21 data does */
+function parity(byte) {
+  let ones = 0;
+  for (let b = byte; b; b >>= 1) ones += b & 1;
+  return ones % 2 ? byte : byte | 0x80;
+}
+
+/** CEA-608 control codes are sent twice */
+const control = (b1, b2) => [[b1, b2], [b1, b2]];
+
+/** CEA-608 text as byte pairs */
+function text(string) {
+  const pairs = [];
+  for (let i = 0; i < string.length; i += 2) {
+    pairs.push([string.charCodeAt(i), i + 1 < string.length ? string.charCodeAt(i + 1) : 0]);
+  }
+  return pairs;
+}
+
+const RCL = control(0x14, 0x20);
+const EOC = control(0x14, 0x2F);
+const EDM = control(0x14, 0x2C);
+const CR = control(0x14, 0x2D);
+const RU2 = control(0x14, 0x25);
+const PAC_ROW_15 = control(0x14, 0x70);
+
+/**
+ * One cc_data triplet per frame: the byte pairs of a CEA-608 field
+ * @param {Array<number[]|null>} pairs - null: padding
+ * @param {number} field - 0 (CC1/CC2) or 1 (CC3/CC4)
+ */
+function field(pairs, fieldNumber = 0) {
+  return pairs.map(pair => pair ? [[0xFC | fieldNumber, parity(pair[0]), parity(pair[1])]] : []);
+}
+
+/** Padding frames */
+const pause = count => new Array(count).fill(null);
+
+/** 30 fps H.264 with the frames' caption data in SEI, plus AAC */
+function captioned(perFrame, frameCount = 90) {
+  const frames = h264Frames(frameCount).map((frame, i) => perFrame[i]?.length
+    ? { ...frame, data: concat([annexB([captionSei(perFrame[i])]), frame.data]) }
+    : frame);
+  return buildTs([
+    { pid: 0x101, streamType: 0x1B, streamId: 0xE0, frames },
+    { pid: 0x102, streamType: 0x0F, streamId: 0xC0, frames: aacFrames(140) },
+  ]);
+}
+
+/** A DTVCC packet carrying one service block, as cc_data triplets */
+function dtvcc(serviceNumber, block, sequence = 0) {
+  const packet = [0, (serviceNumber << 5) | block.length, ...block];
+  if (packet.length % 2) packet.push(0);
+  packet[0] = (sequence << 6) | (packet.length / 2);
+  const triplets = [];
+  for (let i = 0; i < packet.length; i += 2) triplets.push([i === 0 ? 0xFF : 0xFE, packet[i], packet[i + 1]]);
+  return triplets;
+}
+
+const cueList = track => track.cues.map(cue => `${cue.start.toFixed(3)}-${cue.end.toFixed(3)} ${cue.text}`);
+
+/** Handler, sample entry and sample texts of the MP4's subtitle trak */
+function textTrak(mp4) {
+  const moov = findBox(parseBoxes(mp4), 'moov');
+  const trak = parseChildBoxes(moov).filter(b => b.type === 'trak').find(t => {
+    const hdlr = findBox(parseChildBoxes(findBox(parseChildBoxes(t), 'mdia')), 'hdlr');
+    return String.fromCharCode(...hdlr.data.subarray(16, 20)) === 'sbtl';
+  });
+  if (!trak) return null;
+  const mdia = parseChildBoxes(findBox(parseChildBoxes(trak), 'mdia'));
+  const stbl = parseChildBoxes(findBox(parseChildBoxes(findBox(mdia, 'minf')), 'stbl'));
+  const [entry] = parseChildBoxes(findBox(stbl, 'stsd'), 16);
+  const track = analyzeTrack(moov.data, trak.offset, trak.size);
+  const decoder = new TextDecoder();
+  return {
+    entry: entry.type,
+    timescale: track.timescale,
+    samples: buildSampleTable(track).map(s => ({
+      time: Math.round(s.dts * 1000),
+      duration: Math.round(s.duration * 1000),
+      text: decoder.decode(mp4.subarray(s.offset + 2, s.offset + s.size))
+    }))
+  };
+}
+
+// ── tests ─────────────────────────────────────────────────
+
+const popOn = [
+  ...RCL, ...control(0x14, 0x2E), ...PAC_ROW_15, ...text('HELLO'), ...EOC, // shown at frame 9
+  ...pause(19), ...EDM // erased at frame 30
+];
+
+const tests = [
+  test('CEA-608 pop-on captions appear at end-of-caption', () => {
+    const [cc1, ...others] = extractCaptions(captioned(field(popOn)));
+    assert(others.length === 0, `Unexpected tracks ${others.map(t => t.channel)}`);
+    assert(cc1.channel === 'CC1' && cc1.type === '608', `Track ${cc1.channel}`);
+    assert(cueList(cc1).join('|') === '0.300-1.000 HELLO', `Cues ${cueList(cc1)}`);
+  }),
+
+  test('cues render as WebVTT and SRT', () => {
+    const pairs = [...RCL, ...PAC_ROW_15, ...text('A<B'), ...EOC, ...pause(5), ...RCL, ...PAC_ROW_15, ...text('C'), ...EOC];
+    const [cc1] = extractCaptions(captioned(field(pairs)));
+    assert(cc1.toWebVtt() === 'WEBVTT\n\n00:00:00.200 --> 00:00:00.600\nA&lt;B\n\n00:00:00.600 --> 00:00:03.000\nC\n',
+      `WebVTT:\n${cc1.toWebVtt()}`);
+    assert(cc1.toSrt() === '1\n00:00:00,200 --> 00:00:00,600\nA<B\n\n2\n00:00:00,600 --> 00:00:03,000\nC\n',
+      `SRT:\n${cc1.toSrt()}`);
+  }),
+
+  test('roll-up captions show each line as it arrives and keep two rows', () => {
+    const pairs = [
+      ...RU2, ...PAC_ROW_15, ...text('ONE'), ...CR, // 'ONE' from frame 4, rolls up at 6
+      ...text('TWO'), ...CR,                        // 'TWO' from frame 8, 'ONE' rolls off at 10
+      ...text('THREE'), ...CR                       // 'THREE' from frame 12, 'TWO' rolls off at 15
+    ];
+    const [cc1] = extractCaptions(captioned(field(pairs)));
+    const expected = ['0.133-0.267 ONE', '0.267-0.333 ONE\nTWO', '0.333-0.400 TWO', '0.400-0.500 TWO\nTHREE', '0.500-3.000 THREE'];
+    assert(cueList(cc1).join('|') === expected.join('|'), `Cues ${cueList(cc1)}`);
+  }),
+
+  test('second channel and field 2 channels become CC2 and CC3', () => {
+    // The same codes address data channel 2 with 0x1C instead of 0x14
+    const second = b1 => [...control(b1, 0x20), ...control(b1, 0x70), ...text('SECOND'), ...control(b1, 0x2F)];
+    const perFrame = field(popOn).map((triplets, i) => [...triplets, ...(field(second(0x14), 1)[i] || [])]);
+    const tracks = extractCaptions(captioned(perFrame));
+    assert(tracks.map(t => t.channel).join() === 'CC1,CC3', `Tracks ${tracks.map(t => t.channel)}`);
+    const [cc1, cc3] = tracks;
+    assert(cc1.cues[0].text === 'HELLO', 'Field 1 stays on CC1');
+    assert(cueList(cc3).join('|') === '0.233-3.000 SECOND', `CC3 cues ${cueList(cc3)}`);
+
+    const [onlyCc2] = extractCaptions(captioned(field(second(0x1C))));
+    assert(onlyCc2.channel === 'CC2' && onlyCc2.cues[0].text === 'SECOND', 'Data channel 2 of field 1 is CC2');
+  }),
+
+  test('special and extended characters', () => {
+    // 'caf' 'e'→'é' (basic 0x5C), '♪' (special), then 'A' replaced by 'Ü' (extended)
+    const pairs = [...RCL, ...PAC_ROW_15, ...text('caf\\ '), ...control(0x11, 0x37), ...text(' A'), ...control(0x12, 0x24), ...EOC];
+    const [cc1] = extractCaptions(captioned(field(pairs)));
+    assert(cc1.cues[0].text === 'café ♪ Ü', `Text '${cc1.cues[0].text}'`);
+  }),
+
+  test('captions follow presentation order with B-frames', () => {
+    // Presentation order RCL RCL PAC PAC 'AB' 'CD' EOC EOC; decoded I P B P B ...
+    const pairs = [...RCL, ...PAC_ROW_15, ...text('AB'), ...text('CD'), ...EOC];
+    const decodeOrder = [0, 2, 1, 4, 3, 6, 5, 7];
+    const frames = decodeOrder.map((p, d) => {
+      const nalUnits = [captionSei([[0xFC, parity(pairs[p][0]), parity(pairs[p][1])]])];
+      if (d === 0) nalUnits.push(H264_SPS, H264_PPS, new Uint8Array([0x65, 0x88, 0x84, 0x00]));
+      else nalUnits.push(new Uint8Array([0x41, 0x9A, 0x02, 0x00]));
+      return { data: annexB(nalUnits), pts: 93000 + p * 3000, dts: 90000 + d * 3000 };
+    });
+    const [cc1] = extractCaptions(buildTs([{ pid: 0x101, streamType: 0x1B, streamId: 0xE0, frames }]));
+    assert(cc1.cues[0].text === 'ABCD', `Text '${cc1.cues[0].text}'`);
+    assert(cc1.cues[0].start.toFixed(3) === '0.200', `Start ${cc1.cues[0].start}`);
+  }),
+
+  test('CEA-708 windows become cues', () => {
+    const perFrame = [];
+    // DF0: hidden, 2 rows of 32 columns; then the text
+    perFrame[3] = dtvcc(1, [0x98, 0x00, 0x00, 0x00, 0x01, 0x1F, 0x00, ...[...'Hi there'].map(c => c.charCodeAt(0))], 0);
+    perFrame[15] = dtvcc(1, [0x89, 0x01], 1);                                       // DSW window 0
+    perFrame[30] = dtvcc(1, [0x0D, ...[...'again'].map(c => c.charCodeAt(0))], 2); // CR, second row
+    perFrame[45] = dtvcc(1, [0x88, 0x01], 3);                                       // CLW window 0
+    const [service] = extractCaptions(captioned(perFrame));
+    assert(service.channel === 'SERVICE1' && service.type === '708', `Track ${service.channel}`);
+    assert(cueList(service).join('|') === '0.500-1.000 Hi there|1.000-1.500 Hi there\nagain', `Cues ${cueList(service)}`);
+  }),
+
+  test('captions in H.265 SEI and MPEG-2 user data', () => {
+    const pairs = [...RCL, ...PAC_ROW_15, ...text('HEVC'), ...EOC];
+    const hevcFrames = field(pairs).map((triplets, i) => {
+      // The H.264 SEI payload behind an H.265 prefix SEI header (type 39)
+      const sei = concat([new Uint8Array([39 << 1, 0x01]), captionSei(triplets).subarray(1)]);
+      const slice = i === 0 ? [HEVC_VPS, HEVC_SPS, HEVC_PPS, new Uint8Array([0x26, 0x01, 0xAF, 0x10])] : [new Uint8Array([0x02, 0x01, 0xD0, 0x20])];
+      return { data: annexB([sei, ...slice]), pts: i * 3000, dts: i * 3000 };
+    });
+    const hevcTracks = extractCaptions(buildTs([{ pid: 0x101, streamType: 0x24, streamId: 0xE0, frames: hevcFrames }]));
+    assert(hevcTracks[0]?.cues[0]?.text === 'HEVC', 'H.265 prefix SEI');
+
+    const mpeg2Pairs = [...RCL, ...PAC_ROW_15, ...text('MPEG-2'), ...EOC];
+    const frames = mpeg2Frames(25).map((frame, i) => {
+      const [triplet] = field(mpeg2Pairs)[i] || [];
+      if (!triplet) return frame;
+      const userData = new Uint8Array([0, 0, 1, 0xB2, 0x47, 0x41, 0x39, 0x34, 0x03, 0x41, 0xFF, ...triplet, 0xFF]);
+      return { ...frame, data: concat([frame.data, userData]) };
+    });
+    const [cc1] = extractCaptions(buildTs([{ pid: 0x101, streamType: 0x02, streamId: 0xE0, frames }]));
+    assert(cc1?.cues[0]?.text === 'MPEG-2', 'MPEG-2 user data');
+  }),
+
+  test('captions option writes a tx3g subtitle track', () => {
+    const ts = captioned(field(popOn));
+    const mp4 = convertTsToMp4(ts, { captions: true });
+    const track = textTrak(mp4);
+    assert(track, 'No sbtl trak');
+    assert(track.entry === 'tx3g' && track.timescale === 1000, `Sample entry ${track.entry}, timescale ${track.timescale}`);
+    const samples = track.samples.map(s => `${s.time}+${s.duration} ${s.text}`);
+    assert(samples.join('|') === '0+300 |300+700 HELLO', `Samples ${samples}`);
+    assert(!textTrak(convertTsToMp4(ts)), 'No subtitle track unless asked for');
+
+    const moov = findBox(parseBoxes(mp4), 'moov');
+    const mvhd = findBox(parseChildBoxes(moov), 'mvhd');
+    const traks = parseChildBoxes(moov).filter(b => b.type === 'trak');
+    assert(traks.length === 3, `Expected video, audio and text traks, got ${traks.length}`);
+    assert(new DataView(mvhd.data.buffer, mvhd.data.byteOffset).getUint32(12 + 92) === 259, 'next_track_ID');
+  }),
+
+  test('captions option picks a channel and reports what is there', async () => {
+    const ts = captioned(field(popOn));
+    const mp4 = await toMp4(ts, { captions: 'CC1' });
+    assert(textTrak(mp4.data).samples[1].text === 'HELLO', 'CC1 written');
+    let error = null;
+    try { convertTsToMp4(ts, { captions: 'CC3' }); } catch (e) { error = e; }
+    assert(error && error.message.includes('No CC3 captions found (available: CC1)'), `Error: ${error?.message}`);
+    error = null;
+    try { convertTsToMp4(ts, { captions: true, output: 'fmp4' }); } catch (e) { error = e; }
+    assert(error && error.message.includes('MP4 output only'), `Error: ${error?.message}`);
+  }),
+
+  test('toMp4.extractCaptions takes an ArrayBuffer', () => {
+    const ts = captioned(field(popOn));
+    const buffer = ts.buffer.slice(ts.byteOffset, ts.byteOffset + ts.byteLength);
+    const [cc1] = toMp4.extractCaptions(buffer);
+    assert(cc1.cues[0].text === 'HELLO', 'Cue text');
+    assert(extractCaptions(buildTs([{ pid: 0x101, streamType: 0x1B, streamId: 0xE0, frames: h264Frames(30) }])).length === 0,
+      'No tracks without caption data');
+  }),
+];
+
+// ── runner ─────────────────────────────────────────────────
+
+async function runTests(tests) {
+  console.log('\n' + '═'.repeat(60));
+  console.log('   Closed Caption Tests');
+  console.log('═'.repeat(60) + '\n');
+
+  for (const { name, fn } of tests) {
+    try {
+      await fn();
+      console.log(`✅ ${name}`);
+      passed++;
+    } catch (err) {
+      console.log(`❌ ${name}`);
+      console.log(`   Error: ${err.message}`);
+      failed++;
+    }
+  }
+
+  console.log('\n' + '─'.repeat(60));
+  console.log(`Results: ${passed} passed, ${failed} failed`);
+  console.log('─'.repeat(60) + '\n');
+
+  process.exit(failed > 0 ? 1 : 0);
+}
+
+runTests(tests);
@@ -0,0 +1,315 @@
+/**
+ * MPEG-DASH Tests
+ *
+ * Parses MPDs with each kind of segment addressing (SegmentTemplate with
+ * $Number$/$Time$ and SegmentTimeline, SegmentList, SegmentBase with a
+ * sidx), and - with a mocked fetch() serving the fMP4 samples - checks
+ * representation selection, time-range downloads and multi-period
+ * stitching through toMp4().
+ *
+ * Run: node tests/dash.test.js
+ */
+
+import toMp4, { parseDash, downloadDash, isDashUrl } from '../src/index.js';
+import { parseMpdText, resolveSegments } from '../src/dash.js';
+import { analyzeTrack, buildSampleTable } from '../src/parsers/mp4.js';
+import { parseBoxes, findBox, parseChildBoxes } from '../src/fmp4/utils.js';
+import { readFileSync } from 'node:fs';
+import { fileURLToPath } from 'node:url';
+import path from 'node:path';
+
+let passed = 0;
+let failed = 0;
+
+function test(name, fn) {
+  return { name, fn };
+}
+
+function assert(condition, message) {
+  if (!condition) throw new Error(message || 'Assertion failed');
+}
+
+// ── helpers ───────────────────────────────────────────────
+
+const BASE = 'https://cdn.test/';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const sample = (name) => new Uint8Array(readFileSync(path.join(__dirname, 'fmp4-samples', name)));
+const SAMPLE_MPD = new TextDecoder().decode(sample('manifest.mpd'));
+
+function makeResponse(body, status = 200) {
+  const bytes = typeof body === 'string' ? new TextEncoder().encode(body) : body;
+  return {
+    ok: status >= 200 && status < 300,
+    status,
+    statusText: String(status),
+    async text() { return new TextDecoder().decode(bytes); },
+    async arrayBuffer() { return bytes.slice().buffer; },
+  };
+}
+
+/** Serve a map of path → body, honoring Range headers; returns the requests made */
+function mockFetch(routes) {
+  const requests = [];
+  globalThis.fetch = async (url, init = {}) => {
+    const name = String(url).replace(BASE, '');
+    const range = init.headers?.Range;
+    requests.push(range ? `${name} ${range}` : name);
+    const body = routes[name];
+    if (body === undefined) return makeResponse('', 404);
+    if (!range) return makeResponse(body);
+    const [, first, last] = range.match(/bytes=(\d+)-(\d+)/);
+    return makeResponse(body.subarray(Number(first), Number(last) + 1), 206);
+  };
+  return requests;
+}
+
+/** The sample MPD's init and media segments that are in the repo */
+function sampleRoutes(extra = {}) {
+  const routes = { 'manifest.mpd': SAMPLE_MPD, 'init_0.m4s': sample('init_0.m4s'), 'segment_0_4.m4s': sample('segment_0_4.m4s'), 'init_1.m4s': sample('init_1.m4s') };
+  for (let i = 1; i <= 8; i++) routes[`segment_1_${i}.m4s`] = sample(`segment_1_${i}.m4s`);
+  return { ...routes, ...extra };
+}
+
+/** Audio segment durations of the sample MPD, at 48kHz */
+const AUDIO_DURATIONS = [192504, 192512, 192512, 192512, 192512, 192512, 192512, 78848];
+
+function sidxBox(timescale, earliestPresentationTime, references) {
+  const box = new Uint8Array(32 + references.length * 12);
+  const view = new DataView(box.buffer);
+  view.setUint32(0, box.length);
+  box.set([0x73, 0x69, 0x64, 0x78], 4); // 'sidx', version 0
+  view.setUint32(12, 1);                // reference_ID
+  view.setUint32(16, timescale);
+  view.setUint32(20, earliestPresentationTime);
+  view.setUint16(30, references.length);
+  references.forEach(([size, duration], i) => {
+    view.setUint32(32 + i * 12, size);
+    view.setUint32(36 + i * 12, duration);
+    view.setUint32(40 + i * 12, 0x90000000); // starts with SAP type 1
+  });
+  return box;
+}
+
+function concat(arrays) {
+  const out = new Uint8Array(arrays.reduce((sum, a) => sum + a.length, 0));
+  let offset = 0;
+  for (const a of arrays) { out.set(a, offset); offset += a.length; }
+  return out;
+}
+
+/** Handler type and duration in seconds of each trak in an MP4 */
+function tracks(mp4) {
+  const moov = findBox(parseBoxes(mp4), 'moov');
+  return parseChildBoxes(moov).filter(b => b.type === 'trak').map(trak => {
+    const hdlr = findBox(parseChildBoxes(findBox(parseChildBoxes(trak), 'mdia')), 'hdlr');
+    const samples = buildSampleTable(analyzeTrack(moov.data, trak.offset, trak.size));
+    return {
+      handler: String.fromCharCode(...hdlr.data.subarray(16, 20)),
+      duration: samples.reduce((sum, s) => sum + s.duration, 0)
+    };
+  });
+}
+
+const segmentList = (media) => media.segments.map(s => `${s.url.replace(/^https:\/\/[^/]+\//, '')}@${+s.startTime.toFixed(3)}`).join(' ');
+
+// ── tests ─────────────────────────────────────────────────
+
+const tests = [
+  test('parses SegmentTimeline templates from the sample MPD', async () => {
+    const { type, duration, periods } = parseMpdText(SAMPLE_MPD, BASE + 'dash/manifest.mpd');
+    assert(type === 'static' && duration === 30 && periods.length === 1, `MPD: ${type} ${duration}s, ${periods.length} periods`);
+    const [video, audio] = periods[0].representations;
+    assert(video.contentType === 'video' && video.resolution === '1920x1080' && video.codecs === 'avc1.42c028', 'Video representation');
+    assert(audio.contentType === 'audio' && audio.audioChannels === '2' && audio.name === '128kbps', 'Audio representation');
+
+    const videoMedia = await resolveSegments(video);
+    assert(videoMedia.initSegmentUrl === BASE + 'dash/init_0.m4s', `Init: ${videoMedia.initSegmentUrl}`);
+    assert(segmentList(videoMedia) === 'dash/segment_0_1.m4s@0 dash/segment_0_2.m4s@8.342 dash/segment_0_3.m4s@16.683 dash/segment_0_4.m4s@25.025',
+      `Video segments: ${segmentList(videoMedia)}`);
+    const audioMedia = await resolveSegments(audio);
+    assert(audioMedia.segments.length === 8 && audioMedia.segments[0].startTime === 14048 / 48000, 'Audio timeline starts at t');
+  }),
+
+  test('resolves $Number$/$Time$ templates, inheritance and BaseURLs', async () => {
+    const { periods } = parseMpdText(`<?xml version="1.0"?>
+<!-- comment with <Period> inside -->
+<mpd:MPD xmlns:mpd="urn:mpeg:dash:schema:mpd:2011" type="static" mediaPresentationDuration="PT0H0M9.5S">
+  <BaseURL>https://media.test/root/</BaseURL>
+  <Period id="p0">
+    <BaseURL>p0/</BaseURL>
+    <SegmentTemplate timescale="1000" duration="4000" startNumber="0"/>
+    <AdaptationSet mimeType="video/mp4" lang="en">
+      <BaseURL>video/</BaseURL>
+      <SegmentTemplate media="$RepresentationID$/seg-$Number%05d$.m4s?a=1&amp;b=$$" initialization="$RepresentationID$/init.mp4"/>
+      <Representation id="v1" bandwidth="500000" width="640" height="360"/>
+      <Representation id="v2" bandwidth="900000" width="1280" height="720">
+        <SegmentTemplate presentationTimeOffset="500" media="$Bandwidth$/$Time$.m4s">
+          <SegmentTimeline><S t="500" d="2000" r="-1"/></SegmentTimeline>
+        </SegmentTemplate>
+      </Representation>
+    </AdaptationSet>
+  </Period>
+</mpd:MPD>`, BASE + 'manifest.mpd');
+    const [v1, v2] = periods[0].representations;
+    assert(v1.language === 'en' && v1.contentType === 'video', 'Attributes inherited from the AdaptationSet');
+
+    const media1 = await resolveSegments(v1);
+    assert(media1.initSegmentUrl === 'https://media.test/root/p0/video/v1/init.mp4', `Init: ${media1.initSegmentUrl}`);
+    assert(segmentList(media1) === 'root/p0/video/v1/seg-00000.m4s?a=1&b=$@0 root/p0/video/v1/seg-00001.m4s?a=1&b=$@4 root/p0/video/v1/seg-00002.m4s?a=1&b=$@8',
+      `Number segments: ${segmentList(media1)}`);
+    assert(media1.segments[2].duration === 1.5, 'Last segment ends with the period');
+
+    const media2 = await resolveSegments(v2);
+    assert(segmentList(media2) === 'root/p0/video/900000/500.m4s@0 root/p0/video/900000/2500.m4s@2 root/p0/video/900000/4500.m4s@4 ' +
+      'root/p0/video/900000/6500.m4s@6 root/p0/video/900000/8500.m4s@8', `Time segments: ${segmentList(media2)}`);
+  }),
+
+  test('resolves SegmentList media ranges', async () => {
+    const { periods } = parseMpdText(`<MPD mediaPresentationDuration="PT6S"><Period>
+  <AdaptationSet contentType="audio"><Representation id="a" bandwidth="64000">
+    <BaseURL>audio.mp4</BaseURL>
+    <SegmentList timescale="10" duration="20">
+      <Initialization range="0-99"/>
+      <SegmentURL mediaRange="100-199"/><SegmentURL mediaRange="200-299"/><SegmentURL media="tail.m4s"/>
+    </SegmentList>
+  </Representation></AdaptationSet>
+</Period></MPD>`, BASE + 'dash/manifest.mpd');
+    const media = await resolveSegments(periods[0].representations[0]);
+    assert(media.initSegmentUrl === BASE + 'dash/audio.mp4' && media.initSegmentByteRange.length === 100, 'Init range');
+    assert(segmentList(media) === 'dash/audio.mp4@0 dash/audio.mp4@2 dash/tail.m4s@4', `Segments: ${segmentList(media)}`);
+    assert(media.segments[1].byteRange.offset === 200 && media.segments[1].byteRange.length === 100, 'Media range');
+  }),
+
+  test('select and selectAudio mirror HlsStream', async () => {
+    mockFetch({ 'manifest.mpd': `<MPD mediaPresentationDuration="PT4S"><Period>
+  <AdaptationSet contentType="video">
+    <SegmentTemplate media="v$Number$.m4s" duration="4"/>
+    <Representation id="low" bandwidth="400000" width="640" height="360"/>
+    <Representation id="high" bandwidth="2000000" width="1920" height="1080"/>
+  </AdaptationSet>
+  <AdaptationSet contentType="audio" lang="es"><SegmentTemplate media="es$Number$.m4s" duration="4"/><Representation id="es" bandwidth="96000"/></AdaptationSet>
+  <AdaptationSet contentType="audio" lang="en"><Role schemeIdUri="urn:mpeg:dash:role:2011" value="main"/><Label>English</Label>
+    <SegmentTemplate media="en$Number$.m4s" duration="4"/><Representation id="en" bandwidth="64000"/></AdaptationSet>
+</Period></MPD>` });
+    const stream = await parseDash(BASE + 'manifest.mpd');
+    assert(stream.selected.id === 'high' && stream.lowest.id === 'low', 'Highest by default');
+    assert(stream.select('lowest').selected.id === 'low', 'lowest');
+    assert(stream.select(1900000).selected.id === 'high', 'Closest bandwidth');
+    assert(stream.select('640x360').selected.id === 'low' && stream.select('high').selected.id === 'high', 'Resolution and id');
+    assert(stream.selectedAudio.id === 'en' && stream.selectedAudio.name === 'English', 'Role main is the default audio');
+    assert(stream.selectAudio('es').selectedAudio.id === 'es', 'Language selects audio');
+
+    let error = null;
+    try { stream.selectAudio('fr'); } catch (err) { error = err; }
+    assert(error && error.message === 'No audio rendition matches "fr" (available: es, en)', `Unexpected error: ${error?.message}`);
+
+    assert(stream.select('720p').selected.id === 'low', 'Height label');
+    error = null;
+    try { stream.select('medium'); } catch (err) { error = err; }
+    assert(error?.message.startsWith('Unknown quality: medium'), `Unknown selector: ${error?.message}`);
+    error = null;
+    try { stream.select('1024x576'); } catch (err) { error = err; }
+    assert(error?.message.startsWith('No quality matches 1024x576') && error.message.includes('640x360'), `Unmatched resolution: ${error?.message}`);
+    assert(stream.selected.id === 'low', 'Selection kept after an unknown selector');
+  }),
+
+  test('toMp4 downloads only the segments in the time range', async () => {
+    const requests = mockFetch(sampleRoutes());
+    const mp4 = await toMp4(BASE + 'manifest.mpd', { startTime: 26, endTime: 29 });
+    const fetched = requests.filter(r => r !== 'manifest.mpd').sort().join(' ');
+    assert(fetched === 'init_0.m4s init_1.m4s segment_0_4.m4s segment_1_7.m4s segment_1_8.m4s', `Requests: ${fetched}`);
+    assert(mp4.filename === 'manifest.mp4', `Filename: ${mp4.filename}`);
+    const handlers = tracks(mp4.data).map(t => t.handler).join();
+    assert(handlers === 'vide,soun', `Tracks: ${handlers}`);
+    // Media from the segment's keyframe at 25.025s to 29s; the edit list skips to 26s
+    const [video] = tracks(mp4.data);
+    assert(Math.abs(video.duration - (29 - 25.025)) < 0.05, `Clipped video duration: ${video.duration}`);
+  }),
+
+  test('SegmentBase reads its segments from the sidx', async () => {
+    const init = sample('init_1.m4s');
+    const media = [1, 2, 3].map(i => sample(`segment_1_${i}.m4s`));
+    const sidx = sidxBox(48000, 14048, media.map((m, i) => [m.length, AUDIO_DURATIONS[i]]));
+    const file = concat([init, sidx, ...media]);
+    const indexEnd = init.length + sidx.length - 1;
+    const requests = mockFetch({
+      'manifest.mpd': `<MPD mediaPresentationDuration="PT12.3S"><Period><AdaptationSet mimeType="audio/mp4">
+  <Representation id="a" bandwidth="128000"><BaseURL>audio.mp4</BaseURL><SegmentBase indexRange="${init.length}-${indexEnd}"/></Representation>
+</AdaptationSet></Period></MPD>`,
+      'audio.mp4': file,
+    });
+    const data = await downloadDash(BASE + 'manifest.mpd', { startTime: 5 });
+    assert(requests.includes(`audio.mp4 bytes=${init.length}-${indexEnd}`), `Index request: ${requests}`);
+    assert(requests.includes(`audio.mp4 bytes=0-${init.length - 1}`), `Init request: ${requests}`);
+    const segmentRequests = requests.filter(r => r.startsWith('audio.mp4') && !r.includes(`bytes=0-`) && !r.includes(`-${indexEnd}`));
+    assert(segmentRequests.length === 2, `Segments before 5s are skipped: ${segmentRequests}`);
+    assert(data._hlsTimeRange.actualStart === 0, `fMP4 keeps the MPD timeline: ${data._hlsTimeRange.actualStart}`);
+
+    const mp4 = await toMp4(BASE + 'manifest.mpd');
+    const [audio] = tracks(mp4.data);
+    assert(audio.handler === 'soun' && Math.abs(audio.duration - 12.03) < 0.05, `Audio: ${audio.handler} ${audio.duration}s`);
+  }),
+
+  test('periods are stitched one after another', async () => {
+    const period = (id, first) => `<Period id="${id}" duration="PT8.022S"><AdaptationSet contentType="audio" lang="en">
+    <Representation id="a-${id}" bandwidth="128000"><SegmentList duration="4">
+      <Initialization sourceURL="init_1.m4s"/><SegmentURL media="segment_1_${first}.m4s"/><SegmentURL media="segment_1_${first + 1}.m4s"/>
+    </SegmentList></Representation>
+  </AdaptationSet></Period>`;
+    const requests = mockFetch(sampleRoutes({
+      'manifest.mpd': `<MPD type="static">${period('main', 1)}${period('ad', 5)}</MPD>`,
+    }));
+    const stream = await parseDash(BASE + 'manifest.mpd');
+    assert(stream.periods.map(p => `${p.id}@${p.start}`).join() === 'main@0,ad@8.022', 'Period starts follow durations');
+
+    const mp4 = await toMp4(stream);
+    assert(['segment_1_1.m4s', 'segment_1_2.m4s', 'segment_1_5.m4s', 'segment_1_6.m4s'].every(s => requests.includes(s)), `Requests: ${requests}`);
+    const [audio] = tracks(mp4.data);
+    assert(Math.abs(audio.duration - 16.04) < 0.05, `Stitched duration: ${audio.duration}`);
+  }),
+
+  test('rejects DRM and recognizes MPD URLs', async () => {
+    mockFetch({ 'manifest.mpd': `<MPD mediaPresentationDuration="PT4S"><Period><AdaptationSet contentType="video">
+  <ContentProtection schemeIdUri="urn:uuid:edef8ba9-79d6-4ace-a3c8-27dcd51d21ed"/>
+  <SegmentTemplate media="v$Number$.m4s" initialization="init.mp4" duration="4"/><Representation id="v" bandwidth="1"/>
+</AdaptationSet></Period></MPD>` });
+    let error = null;
+    try { await toMp4(BASE + 'manifest.mpd'); } catch (err) { error = err; }
+    assert(error && error.message.includes('ContentProtection'), `Unexpected error: ${error?.message}`);
+
+    assert(isDashUrl('https://a.test/live/manifest.mpd?token=1') && isDashUrl('https://a.test/x.MPD'), 'MPD URLs');
+    assert(!isDashUrl('https://a.test/index.m3u8') && !isDashUrl('https://a.test/mpdfiles/video.ts'), 'Other URLs');
+  }),
+];
+
+// ── runner ─────────────────────────────────────────────────
+
+async function runTests(tests) {
+  console.log('\n' + '═'.repeat(60));
+  console.log('   MPEG-DASH Tests');
+  console.log('═'.repeat(60) + '\n');
+
+  const originalFetch = globalThis.fetch;
+  for (const { name, fn } of tests) {
+    try {
+      await fn();
+      console.log(`✅ ${name}`);
+      passed++;
+    } catch (err) {
+      console.log(`❌ ${name}`);
+      console.log(`   Error: ${err.message}`);
+      failed++;
+    } finally {
+      globalThis.fetch = originalFetch;
+    }
+  }
+
+  console.log('\n' + '─'.repeat(60));
+  console.log(`Results: ${passed} passed, ${failed} failed`);
+  console.log('─'.repeat(60) + '\n');
+
+  process.exit(failed > 0 ? 1 : 0);
+}
+
+runTests(tests);
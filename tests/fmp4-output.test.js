@@ -0,0 +1,173 @@
+/**
+ * Fragmented MP4 Output Tests
+ *
+ * Checks `output: 'fmp4'` for convertTsToMp4, stitchTs and toMp4 using
+ * synthetic transport streams: init segment layout, one fragment per GOP,
+ * continuous decode times, and a round trip back through convertFmp4ToMp4.
+ *
+ * Run: node tests/fmp4-output.test.js
+ */
+
+import toMp4, { convertTsToMp4, convertFmp4ToMp4, stitchTs } from '../src/index.js';
+import { splitFragmentedMp4 } from '../src/muxers/fmp4.js';
+import { buildTs, annexB, h264Frames, aacFrames, HEVC_VPS, HEVC_SPS, HEVC_PPS } from './ts-fixtures.js';
+
+let passed = 0;
+let failed = 0;
+
+function test(name, fn) {
+  return { name, fn };
+}
+
+function assert(condition, message) {
+  if (!condition) throw new Error(message || 'Assertion failed');
+}
+
+// ── MP4 inspection ────────────────────────────────────────
+
+const CONTAINERS = ['moov', 'trak', 'mdia', 'minf', 'stbl', 'moof', 'traf', 'mvex', 'edts'];
+
+function findBoxes(data, type, offset = 0, end = data.byteLength, out = []) {
+  const view = new DataView(data.buffer, data.byteOffset, data.byteLength);
+  while (offset + 8 <= end) {
+    const size = view.getUint32(offset);
+    if (size < 8) break;
+    const boxType = String.fromCharCode(data[offset + 4], data[offset + 5], data[offset + 6], data[offset + 7]);
+    if (boxType === type) out.push(data.subarray(offset, offset + size));
+    if (CONTAINERS.includes(boxType)) findBoxes(data, type, offset + 8, offset + size, out);
+    if (boxType === 'stsd') findBoxes(data, type, offset + 16, offset + size, out);
+    // Visual sample entries: 8-byte header + 78 bytes of fields before child boxes
+    if (['avc1', 'hvc1', 'hev1'].includes(boxType)) findBoxes(data, type, offset + 86, offset + size, out);
+    offset += size;
+  }
+  return out;
+}
+
+function topLevelTypes(data) {
+  const view = new DataView(data.buffer, data.byteOffset, data.byteLength);
+  const types = [];
+  let offset = 0;
+  while (offset + 8 <= data.byteLength) {
+    const size = view.getUint32(offset);
+    types.push(String.fromCharCode(data[offset + 4], data[offset + 5], data[offset + 6], data[offset + 7]));
+    offset += size;
+  }
+  return types;
+}
+
+function u32(box, offset) {
+  return new DataView(box.buffer, box.byteOffset, box.byteLength).getUint32(offset);
+}
+
+function tfdtTimes(data) {
+  return findBoxes(data, 'tfdt').map(b => u32(b, 12) * 0x100000000 + u32(b, 16));
+}
+
+function avTs() {
+  return buildTs([
+    { pid: 0x101, streamType: 0x1B, streamId: 0xE0, frames: h264Frames(90, { start: 90000 }) },
+    { pid: 0x102, streamType: 0x0F, streamId: 0xC0, frames: aacFrames(140, { start: 90000 }) },
+  ]);
+}
+
+// ── tests ─────────────────────────────────────────────────
+
+const tests = [
+  test('convertTsToMp4 output fmp4 writes init + one fragment per GOP', async () => {
+    const data = convertTsToMp4(avTs(), { output: 'fmp4' });
+    const types = topLevelTypes(data);
+    assert(types.slice(0, 2).join() === 'ftyp,moov', `Starts with ftyp,moov, got ${types.slice(0, 2)}`);
+    assert(types.filter(t => t === 'moof').length === 3, `Expected 3 moofs, got ${types.join()}`);
+    assert(findBoxes(data, 'mvex').length === 1, 'Init has mvex');
+    assert(findBoxes(data, 'avc1').length === 1, 'Init has avc1');
+    assert(findBoxes(data, 'mp4a').length === 1, 'Init has mp4a');
+  }),
+
+  test('fragment decode times are continuous', async () => {
+    const data = convertTsToMp4(avTs(), { output: 'fmp4' });
+    const { fragments } = splitFragmentedMp4(data);
+    const video = fragments.map(f => tfdtTimes(f)[0]);
+    assert(video.join() === '0,90000,180000', `Video tfdt should step by one GOP, got ${video}`);
+    const audio = fragments.map(f => tfdtTimes(f)[1]);
+    for (let i = 1; i < audio.length; i++) {
+      assert(audio[i] > audio[i - 1] && audio[i] % 1024 === 0, `Audio tfdt should advance in whole frames, got ${audio}`);
+    }
+  }),
+
+  test('fragmented output round-trips through convertFmp4ToMp4', async () => {
+    const ts = avTs();
+    const fragmented = convertTsToMp4(ts, { output: 'fmp4' });
+    const flat = convertFmp4ToMp4(fragmented);
+    const direct = convertTsToMp4(ts);
+    const counts = mp4 => findBoxes(mp4, 'stsz').map(b => u32(b, 16)).join();
+    assert(counts(flat) === counts(direct), `Sample counts ${counts(flat)} should match ${counts(direct)}`);
+  }),
+
+  test('Mp4Result.getSegments splits init and fragments', async () => {
+    const mp4 = await toMp4(avTs(), { output: 'fmp4' });
+    const { init, fragments } = mp4.getSegments();
+    assert(topLevelTypes(init).join() === 'ftyp,moov', 'Init is ftyp + moov');
+    assert(fragments.length === 3, `Expected 3 fragments, got ${fragments.length}`);
+    assert(fragments.every(f => topLevelTypes(f).join() === 'moof,mdat'), 'Each fragment is moof + mdat');
+  }),
+
+  test('stitchTs output fmp4 spans all segments', async () => {
+    const seg = start => buildTs([
+      { pid: 0x101, streamType: 0x1B, streamId: 0xE0, frames: h264Frames(60, { start }) },
+    ]);
+    const data = stitchTs([seg(90000), seg(90000 + 60 * 3000)], { output: 'fmp4' });
+    const { fragments } = splitFragmentedMp4(data);
+    assert(fragments.length === 4, `Expected 4 GOP fragments, got ${fragments.length}`);
+    const total = findBoxes(data, 'trun').reduce((sum, b) => sum + u32(b, 12), 0);
+    assert(total === 120, `Expected 120 samples, got ${total}`);
+  }),
+
+  test('HEVC input produces hvc1 init segment', async () => {
+    const frames = [];
+    for (let i = 0; i < 20; i++) {
+      const key = i % 10 === 0;
+      const slice = new Uint8Array([(key ? 19 : 1) << 1, 0x01, 0xAF, i]);
+      frames.push({ data: annexB(key ? [HEVC_VPS, HEVC_SPS, HEVC_PPS, slice] : [slice]), pts: i * 3000 });
+    }
+    const data = convertTsToMp4(buildTs([{ pid: 0x101, streamType: 0x24, streamId: 0xE0, frames }]), { output: 'fmp4' });
+    assert(findBoxes(data, 'hvc1').length === 1, 'Init has hvc1');
+    assert(findBoxes(data, 'hvcC').length === 1, 'hvc1 has hvcC');
+    assert(splitFragmentedMp4(data).fragments.length === 2, 'Two GOP fragments');
+  }),
+
+  test('clip preroll is hidden with an edit list', async () => {
+    const data = convertTsToMp4(avTs(), { output: 'fmp4', startTime: 0.5 });
+    const elst = findBoxes(data, 'elst');
+    assert(elst.length === 1, 'Video trak has elst');
+    const mediaTime = new DataView(elst[0].buffer, elst[0].byteOffset).getInt32(20);
+    assert(mediaTime > 0, `media_time should skip preroll, got ${mediaTime}`);
+  }),
+];
+
+// ── runner ─────────────────────────────────────────────────
+
+async function runTests(tests) {
+  console.log('\n' + '═'.repeat(60));
+  console.log('   Fragmented MP4 Output Tests');
+  console.log('═'.repeat(60) + '\n');
+
+  for (const { name, fn } of tests) {
+    try {
+      await fn();
+      console.log(`✅ ${name}`);
+      passed++;
+    } catch (err) {
+      console.log(`❌ ${name}`);
+      console.log(`   Error: ${err.message}`);
+      failed++;
+    }
+  }
+
+  console.log('\n' + '─'.repeat(60));
+  console.log(`Results: ${passed} passed, ${failed} failed`);
+  console.log('─'.repeat(60) + '\n');
+
+  process.exit(failed > 0 ? 1 : 0);
+}
+
+runTests(tests);
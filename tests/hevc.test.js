@@ -0,0 +1,167 @@
+/**
+ * H.265/HEVC Remux Tests
+ *
+ * Builds a synthetic HEVC transport stream and checks that the MP4 output
+ * carries an hvc1/hev1 sample entry with an hvcC config, correct dimensions,
+ * and IRAP-based sync samples.
+ *
+ * Run: node tests/hevc.test.js
+ */
+
+import { convertTsToMp4, analyzeTsData, concatTs, packageHls } from '../src/index.js';
+import { parseHevcSPS } from '../src/muxers/mp4.js';
+import { buildTs, annexB, HEVC_VPS, HEVC_SPS, HEVC_PPS } from './ts-fixtures.js';
+
+let passed = 0;
+let failed = 0;
+
+function test(name, fn) {
+  return { name, fn };
+}
+
+function assert(condition, message) {
+  if (!condition) throw new Error(message || 'Assertion failed');
+}
+
+// ── MP4 inspection ────────────────────────────────────────
+
+function findBoxDeep(data, path, offset = 0, end = data.byteLength) {
+  const view = new DataView(data.buffer, data.byteOffset, data.byteLength);
+  const [type, ...rest] = path;
+  while (offset + 8 <= end) {
+    const size = view.getUint32(offset);
+    if (size < 8) break;
+    const boxType = String.fromCharCode(data[offset + 4], data[offset + 5], data[offset + 6], data[offset + 7]);
+    if (boxType === type) {
+      if (rest.length === 0) return data.subarray(offset, offset + size);
+      // stsd has an 8-byte (fullbox + entry_count) prefix, sample entries are 78 (video) bytes in
+      const headerSize = boxType === 'stsd' ? 16 : (boxType === 'hvc1' || boxType === 'hev1' ? 86 : 8);
+      return findBoxDeep(data, rest, offset + headerSize, offset + size);
+    }
+    offset += size;
+  }
+  return null;
+}
+
+function hevcFrames(count, gop = 10) {
+  const frames = [];
+  for (let i = 0; i < count; i++) {
+    const key = i % gop === 0;
+    // IDR_W_RADL (19) for keyframes, TRAIL_R (1) otherwise
+    const slice = key
+      ? new Uint8Array([19 << 1, 0x01, 0xAF, 0x10, i & 0xFF])
+      : new Uint8Array([1 << 1, 0x01, 0xD0, 0x20, i & 0xFF]);
+    const nals = key ? [HEVC_VPS, HEVC_SPS, HEVC_PPS, slice] : [slice];
+    frames.push({ data: annexB(nals), pts: 90000 + i * 3000 });
+  }
+  return frames;
+}
+
+function hevcTs(count = 30) {
+  return buildTs([{ pid: 0x101, streamType: 0x24, streamId: 0xE0, frames: hevcFrames(count) }]);
+}
+
+// ── tests ─────────────────────────────────────────────────
+
+const tests = [
+  test('parseHevcSPS reads dimensions and profile/tier/level', async () => {
+    const info = parseHevcSPS(HEVC_SPS);
+    assert(info.width === 1280 && info.height === 720, `Expected 1280x720, got ${info.width}x${info.height}`);
+    assert(info.profileIdc === 1, 'Main profile');
+    assert(info.levelIdc === 93, 'Level 3.1');
+    assert(info.chromaFormatIdc === 1, '4:2:0 chroma');
+  }),
+
+  test('convertTsToMp4 writes hvc1 sample entry with hvcC', async () => {
+    const mp4 = convertTsToMp4(hevcTs());
+    const hvc1 = findBoxDeep(mp4, ['moov', 'trak', 'mdia', 'minf', 'stbl', 'stsd', 'hvc1']);
+    assert(hvc1, 'Should have hvc1 sample entry');
+    assert(!findBoxDeep(mp4, ['moov', 'trak', 'mdia', 'minf', 'stbl', 'stsd', 'avc1']), 'Should not write avc1');
+
+    const view = new DataView(hvc1.buffer, hvc1.byteOffset, hvc1.byteLength);
+    assert(view.getUint16(32) === 1280 && view.getUint16(34) === 720, 'Sample entry dimensions should be 1280x720');
+
+    const hvcC = findBoxDeep(mp4, ['moov', 'trak', 'mdia', 'minf', 'stbl', 'stsd', 'hvc1', 'hvcC']);
+    assert(hvcC, 'Should have hvcC');
+    assert(hvcC[8] === 1, 'configurationVersion = 1');
+    assert((hvcC[8 + 1] & 0x1F) === 1, 'general_profile_idc = 1');
+    assert(hvcC[8 + 12] === 93, 'general_level_idc = 93');
+    assert((hvcC[8 + 21] & 0x03) === 3, 'lengthSizeMinusOne = 3');
+    assert(hvcC[8 + 22] === 3, 'Should contain VPS, SPS and PPS arrays');
+    assert((hvcC[8 + 23] & 0x3F) === 32 && (hvcC[8 + 23] & 0x80), 'First array is complete VPS array');
+  }),
+
+  test('hevcSampleEntry option selects hev1', async () => {
+    const { TSParser, MP4Muxer } = await import('../src/index.js');
+    const parser = new TSParser();
+    parser.parse(hevcTs());
+    parser.finalize();
+    const mp4 = new MP4Muxer(parser, { hevcSampleEntry: 'hev1' }).build();
+    const hvcC = findBoxDeep(mp4, ['moov', 'trak', 'mdia', 'minf', 'stbl', 'stsd', 'hev1', 'hvcC']);
+    assert(hvcC, 'Should have hev1 sample entry with hvcC');
+    assert(!(hvcC[8 + 23] & 0x80), 'hev1 arrays are not marked complete');
+  }),
+
+  test('stss marks IRAP pictures as sync samples', async () => {
+    const mp4 = convertTsToMp4(hevcTs(30));
+    const stss = findBoxDeep(mp4, ['moov', 'trak', 'mdia', 'minf', 'stbl', 'stss']);
+    assert(stss, 'Should have stss');
+    const view = new DataView(stss.buffer, stss.byteOffset, stss.byteLength);
+    const count = view.getUint32(12);
+    const entries = [];
+    for (let i = 0; i < count; i++) entries.push(view.getUint32(16 + i * 4));
+    assert(entries.join(',') === '1,11,21', `Expected sync samples 1,11,21, got ${entries.join(',')}`);
+  }),
+
+  test('analyzeTsData finds HEVC keyframes', async () => {
+    const info = analyzeTsData(hevcTs(30));
+    assert(info.videoCodec === 'H.265/HEVC', 'Codec name');
+    assert(info.keyframeCount === 3, `Expected 3 keyframes, got ${info.keyframeCount}`);
+  }),
+
+  test('clipping snaps to HEVC keyframes', async () => {
+    const mp4 = convertTsToMp4(hevcTs(30), { startTime: 0.45, endTime: 0.9 });
+    const stsz = findBoxDeep(mp4, ['moov', 'trak', 'mdia', 'minf', 'stbl', 'stsz']);
+    const count = new DataView(stsz.buffer, stsz.byteOffset, stsz.byteLength).getUint32(16);
+    // Keyframe at frame 10 (0.333s) through frame 26 (0.867s)
+    assert(count === 17, `Expected 17 samples from keyframe 10, got ${count}`);
+  }),
+
+  test('H.264-only TS and MP4 paths reject HEVC', async () => {
+    let error = null;
+    try { concatTs([hevcTs(30), hevcTs(30)]); } catch (err) { error = err; }
+    assert(error?.message === 'concatTs: H.265/HEVC video cannot be rewritten as TS - use stitchTs', `concatTs: ${error?.message}`);
+
+    error = null;
+    try { packageHls(convertTsToMp4(hevcTs(30))); } catch (err) { error = err; }
+    assert(error?.message.startsWith('Packaging MP4 sources supports H.264 video only'), `packageHls: ${error?.message}`);
+  }),
+];
+
+// ── runner ─────────────────────────────────────────────────
+
+async function runTests(tests) {
+  console.log('\n' + '═'.repeat(60));
+  console.log('   H.265/HEVC Tests');
+  console.log('═'.repeat(60) + '\n');
+
+  for (const { name, fn } of tests) {
+    try {
+      await fn();
+      console.log(`✅ ${name}`);
+      passed++;
+    } catch (err) {
+      console.log(`❌ ${name}`);
+      console.log(`   Error: ${err.message}`);
+      failed++;
+    }
+  }
+
+  console.log('\n' + '─'.repeat(60));
+  console.log(`Results: ${passed} passed, ${failed} failed`);
+  console.log('─'.repeat(60) + '\n');
+
+  process.exit(failed > 0 ? 1 : 0);
+}
+
+runTests(tests);
@@ -0,0 +1,246 @@
+/**
+ * HLS Alternate Audio Rendition Tests
+ *
+ * Mocks fetch() to serve master playlists whose variants play with
+ * #EXT-X-MEDIA:TYPE=AUDIO renditions, and checks that audio is selected,
+ * downloaded alongside the video and muxed into the output.
+ *
+ * Run: node tests/hls-audio.test.js
+ */
+
+import toMp4, { parseHls } from '../src/index.js';
+import { TSParser } from '../src/parsers/mpegts.js';
+import { parseBoxes, findBox, parseChildBoxes } from '../src/fmp4/utils.js';
+import { buildTs, concat, h264Frames, aacFrames, adtsFrame } from './ts-fixtures.js';
+import { readFileSync } from 'node:fs';
+import { fileURLToPath } from 'node:url';
+import path from 'node:path';
+
+let passed = 0;
+let failed = 0;
+
+function test(name, fn) {
+  return { name, fn };
+}
+
+function assert(condition, message) {
+  if (!condition) throw new Error(message || 'Assertion failed');
+}
+
+// ── helpers ───────────────────────────────────────────────
+
+const BASE = 'https://cdn.test/';
+
+function makeResponse(body, status = 200) {
+  const bytes = typeof body === 'string' ? new TextEncoder().encode(body) : body;
+  return {
+    ok: status >= 200 && status < 300,
+    status,
+    statusText: String(status),
+    async text() { return new TextDecoder().decode(bytes); },
+    async arrayBuffer() { return bytes.slice().buffer; },
+  };
+}
+
+/** Serve a map of path → body; returns the list of requested paths */
+function mockFetch(routes) {
+  const requests = [];
+  globalThis.fetch = async (url) => {
+    const name = String(url).replace(BASE, '');
+    requests.push(name);
+    return routes[name] === undefined ? makeResponse('', 404) : makeResponse(routes[name]);
+  };
+  return requests;
+}
+
+function mediaPlaylist(segments, { map } = {}) {
+  const lines = ['#EXTM3U', '#EXT-X-TARGETDURATION:10'];
+  if (map) lines.push(`#EXT-X-MAP:URI="${map}"`);
+  for (const [name, duration] of segments) lines.push(`#EXTINF:${duration},`, name);
+  lines.push('#EXT-X-ENDLIST');
+  return lines.join('\n');
+}
+
+const MASTER = `#EXTM3U
+#EXT-X-MEDIA:TYPE=AUDIO,GROUP-ID="aac",LANGUAGE="en",NAME="English",DEFAULT=YES,AUTOSELECT=YES,URI="audio/en.m3u8"
+#EXT-X-MEDIA:TYPE=AUDIO,GROUP-ID="aac",LANGUAGE="es-MX",NAME="Español",CHANNELS="6",URI="audio/es.m3u8"
+#EXT-X-STREAM-INF:BANDWIDTH=800000,RESOLUTION=640x360,CODECS="avc1.42c01e,mp4a.40.2",AUDIO="aac"
+video/360.m3u8
+`;
+
+/** Two seconds of video-only TS and matching audio-only TS, starting at 10s */
+function tsRenditions() {
+  const start = 900000;
+  const video = buildTs([{ pid: 0x101, streamType: 0x1B, streamId: 0xE0, frames: h264Frames(60, { start }) }]);
+  const audio = buildTs([{ pid: 0x102, streamType: 0x0F, streamId: 0xC0, frames: aacFrames(94, { start }) }]);
+  return { video, audioEn: audio, audioEs: audio };
+}
+
+/** ADTS frames preceded by an ID3 tag carrying their MPEG-TS timestamp */
+function packedAudio(pts, count) {
+  const owner = new TextEncoder().encode('com.apple.streaming.transportStreamTimestamp');
+  const priv = new Uint8Array(owner.length + 9);
+  priv.set(owner, 0);
+  priv[owner.length + 4] = Math.floor(pts / 0x100000000) & 0x01;
+  new DataView(priv.buffer).setUint32(owner.length + 5, pts >>> 0);
+  const frame = concat([new TextEncoder().encode('PRIV'), new Uint8Array([0, 0, 0, priv.length, 0, 0]), priv]);
+  const tag = concat([new Uint8Array([0x49, 0x44, 0x33, 4, 0, 0, 0, 0, 0, frame.length]), frame]);
+  const frames = [];
+  for (let i = 0; i < count; i++) frames.push(adtsFrame(new Uint8Array([0x21, 0x10, 0x04, i & 0xFF])));
+  return concat([tag, ...frames]);
+}
+
+/** Handler types of the traks in an MP4 */
+function trackHandlers(mp4) {
+  const moov = findBox(parseBoxes(mp4), 'moov');
+  return parseChildBoxes(moov).filter(b => b.type === 'trak').map(trak => {
+    const mdia = findBox(parseChildBoxes(trak), 'mdia');
+    const hdlr = findBox(parseChildBoxes(mdia), 'hdlr');
+    return String.fromCharCode(...hdlr.data.subarray(16, 20));
+  });
+}
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const sample = (name) => new Uint8Array(readFileSync(path.join(__dirname, 'fmp4-samples', name)));
+
+// ── tests ─────────────────────────────────────────────────
+
+const tests = [
+  test('parseHls exposes audio renditions and variant groups', async () => {
+    mockFetch({ 'master.m3u8': MASTER });
+    const stream = await parseHls(BASE + 'master.m3u8');
+    const [en, es] = stream.audioRenditions;
+    assert(stream.audioRenditions.length === 2, `Expected 2 renditions, got ${stream.audioRenditions.length}`);
+    assert(en.language === 'en' && en.name === 'English' && en.group === 'aac' && en.default, 'English rendition attributes');
+    assert(es.language === 'es-MX' && es.channels === '6' && !es.default, 'Spanish rendition attributes');
+    assert(es.url === BASE + 'audio/es.m3u8', `Rendition URL: ${es.url}`);
+    assert(stream.variants[0].audioGroup === 'aac', 'Variant AUDIO group');
+    assert(stream.selectedAudio === en, 'DEFAULT=YES is selected by default');
+    assert(stream.selectAudio('es').selectedAudio === es, 'Language prefix selects es-MX');
+    assert(stream.selectAudio('english').selectedAudio === en, 'NAME selects too');
+  }),
+
+  test('selectAudio rejects unknown languages', async () => {
+    mockFetch({ 'master.m3u8': MASTER });
+    const stream = await parseHls(BASE + 'master.m3u8');
+    let error = null;
+    try { stream.selectAudio('fr'); } catch (err) { error = err; }
+    assert(error && error.message.includes('available: en, es-MX'), `Unexpected error: ${error?.message}`);
+  }),
+
+  test('toMp4 muxes the default TS audio rendition', async () => {
+    const { video, audioEn, audioEs } = tsRenditions();
+    const requests = mockFetch({
+      'master.m3u8': MASTER,
+      'video/360.m3u8': mediaPlaylist([['v.ts', 2]]),
+      'audio/en.m3u8': mediaPlaylist([['en.ts', 2]]),
+      'audio/es.m3u8': mediaPlaylist([['es.ts', 2]]),
+      'video/v.ts': video, 'audio/en.ts': audioEn, 'audio/es.ts': audioEs,
+    });
+    const mp4 = await toMp4(BASE + 'master.m3u8');
+    assert(requests.includes('audio/en.ts') && !requests.includes('audio/es.ts'), `Requests: ${requests}`);
+    const handlers = trackHandlers(mp4.data);
+    assert(handlers.join() === 'vide,soun', `Tracks: ${handlers}`);
+  }),
+
+  test('audio option picks a rendition by language', async () => {
+    const { video, audioEn, audioEs } = tsRenditions();
+    const requests = mockFetch({
+      'master.m3u8': MASTER,
+      'video/360.m3u8': mediaPlaylist([['v.ts', 2]]),
+      'audio/en.m3u8': mediaPlaylist([['en.ts', 2]]),
+      'audio/es.m3u8': mediaPlaylist([['es.ts', 2]]),
+      'video/v.ts': video, 'audio/en.ts': audioEn, 'audio/es.ts': audioEs,
+    });
+    const data = await toMp4.downloadHls(BASE + 'master.m3u8', { audio: 'es' });
+    assert(requests.includes('audio/es.ts') && !requests.includes('audio/en.ts'), `Requests: ${requests}`);
+
+    const parser = new TSParser();
+    parser.parse(data);
+    parser.finalize();
+    assert(parser.videoAccessUnits.length === 60, `Video frames: ${parser.videoAccessUnits.length}`);
+    assert(parser.audioAccessUnits.length === 94, `Audio frames: ${parser.audioAccessUnits.length}`);
+    assert(parser.audioAccessUnits[0].pts === 0, 'Audio stays aligned with video');
+  }),
+
+  test('audio: false downloads video only', async () => {
+    const { video } = tsRenditions();
+    const requests = mockFetch({
+      'master.m3u8': MASTER,
+      'video/360.m3u8': mediaPlaylist([['v.ts', 2]]),
+      'video/v.ts': video,
+    });
+    const mp4 = await toMp4(BASE + 'master.m3u8', { audio: false });
+    assert(!requests.some(r => r.startsWith('audio/')), `Requests: ${requests}`);
+    assert(trackHandlers(mp4.data).join() === 'vide', 'Video track only');
+  }),
+
+  test('packed ADTS audio is timed from its ID3 tags', async () => {
+    const { video } = tsRenditions();
+    // Second segment's tag is 1s after the first: its frames don't follow on
+    const audio = concat([packedAudio(900000 + 4500, 47), packedAudio(900000 + 90000, 47)]);
+    mockFetch({
+      'master.m3u8': MASTER,
+      'video/360.m3u8': mediaPlaylist([['v.ts', 2]]),
+      'audio/en.m3u8': mediaPlaylist([['a1.aac', 1], ['a2.aac', 1]]),
+      'video/v.ts': video,
+      'audio/a1.aac': audio.subarray(0, audio.length / 2),
+      'audio/a2.aac': audio.subarray(audio.length / 2),
+    });
+    const data = await toMp4.downloadHls(BASE + 'master.m3u8');
+    const parser = new TSParser();
+    parser.parse(data);
+    parser.finalize();
+    const pts = parser.audioAccessUnits.map(au => au.pts);
+    assert(pts.length === 94, `Audio frames: ${pts.length}`);
+    assert(pts[0] === 4500, `First audio PTS: ${pts[0]}`);
+    assert(pts[47] === 90000, `Second segment PTS: ${pts[47]}`);
+  }),
+
+  test('fMP4 renditions are merged into one moov', async () => {
+    mockFetch({
+      'master.m3u8': MASTER,
+      'video/360.m3u8': mediaPlaylist([['segment_0_4.m4s', 5]], { map: 'init_0.m4s' }),
+      'audio/en.m3u8': mediaPlaylist([['segment_1_1.m4s', 4], ['segment_1_2.m4s', 4]], { map: 'init_1.m4s' }),
+      'video/init_0.m4s': sample('init_0.m4s'),
+      'video/segment_0_4.m4s': sample('segment_0_4.m4s'),
+      'audio/init_1.m4s': sample('init_1.m4s'),
+      'audio/segment_1_1.m4s': sample('segment_1_1.m4s'),
+      'audio/segment_1_2.m4s': sample('segment_1_2.m4s'),
+    });
+    const mp4 = await toMp4(BASE + 'master.m3u8');
+    const handlers = trackHandlers(mp4.data);
+    assert(handlers.join() === 'vide,soun', `Tracks: ${handlers}`);
+  }),
+];
+
+// ── runner ─────────────────────────────────────────────────
+
+async function runTests(tests) {
+  console.log('\n' + '═'.repeat(60));
+  console.log('   HLS Audio Rendition Tests');
+  console.log('═'.repeat(60) + '\n');
+
+  const originalFetch = globalThis.fetch;
+  for (const { name, fn } of tests) {
+    try {
+      await fn();
+      console.log(`✅ ${name}`);
+      passed++;
+    } catch (err) {
+      console.log(`❌ ${name}`);
+      console.log(`   Error: ${err.message}`);
+      failed++;
+    } finally {
+      globalThis.fetch = originalFetch;
+    }
+  }
+
+  console.log('\n' + '─'.repeat(60));
+  console.log(`Results: ${passed} passed, ${failed} failed`);
+  console.log('─'.repeat(60) + '\n');
+
+  process.exit(failed > 0 ? 1 : 0);
+}
+
+runTests(tests);
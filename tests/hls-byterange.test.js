@@ -0,0 +1,157 @@
+/**
+ * HLS EXT-X-BYTERANGE Tests
+ *
+ * Mocks fetch() to serve a single-file HLS package (one .ts with byte
+ * ranges per segment) and checks parsing, Range requests, and that
+ * clipHls() carries the ranges into its playlists.
+ *
+ * Run: node tests/hls-byterange.test.js
+ */
+
+import { downloadHls, clipHls } from '../src/index.js';
+import { parsePlaylistText } from '../src/hls.js';
+import { buildTs, concat, h264Frames } from './ts-fixtures.js';
+
+let passed = 0;
+let failed = 0;
+
+function test(name, fn) {
+  return { name, fn };
+}
+
+function assert(condition, message) {
+  if (!condition) throw new Error(message || 'Assertion failed');
+}
+
+// ── helpers ───────────────────────────────────────────────
+
+function sameBytes(a, b) {
+  return a.length === b.length && a.every((v, i) => v === b[i]);
+}
+
+function makeResponse(body, status = 200) {
+  const bytes = typeof body === 'string' ? new TextEncoder().encode(body) : body;
+  return {
+    ok: status >= 200 && status < 300,
+    status,
+    statusText: String(status),
+    async text() { return new TextDecoder().decode(bytes); },
+    async arrayBuffer() { return bytes.slice().buffer; },
+  };
+}
+
+/**
+ * Serve routes from fetch(); binary routes honour Range unless ignoreRange
+ * @returns {Array<{url: string, range: string|null}>} Requests made
+ */
+function mockFetch(routes, { ignoreRange = false } = {}) {
+  const requests = [];
+  globalThis.fetch = async (url, init = {}) => {
+    const range = init.headers?.Range || null;
+    requests.push({ url: String(url), range });
+    const body = routes[String(url)];
+    if (body === undefined) return makeResponse('', 404);
+    if (range && !ignoreRange && typeof body !== 'string') {
+      const [, start, end] = range.match(/bytes=(\d+)-(\d+)/);
+      return makeResponse(body.slice(Number(start), Number(end) + 1), 206);
+    }
+    return makeResponse(body);
+  };
+  return requests;
+}
+
+/** Three 1-second TS segments packed into one file */
+function singleFile() {
+  const segs = [0, 1, 2].map(i => buildTs([
+    { pid: 0x101, streamType: 0x1B, streamId: 0xE0, frames: h264Frames(30, { start: 90000 * (i + 1) }) },
+  ]));
+  const file = concat(segs);
+  const playlist = [
+    '#EXTM3U', '#EXT-X-VERSION:4', '#EXT-X-TARGETDURATION:1',
+    '#EXTINF:1,', `#EXT-X-BYTERANGE:${segs[0].length}@0`, 'all.ts',
+    '#EXTINF:1,', `#EXT-X-BYTERANGE:${segs[1].length}`, 'all.ts',
+    '#EXTINF:1,', `#EXT-X-BYTERANGE:${segs[2].length}`, 'all.ts',
+    '#EXT-X-ENDLIST'
+  ].join('\n');
+  return { segs, file, playlist };
+}
+
+// ── tests ─────────────────────────────────────────────────
+
+const tests = [
+  test('parsePlaylistText reads byte ranges and continues offsets', async () => {
+    const text = [
+      '#EXTM3U',
+      '#EXT-X-MAP:URI="main.mp4",BYTERANGE="720@0"',
+      '#EXTINF:4,', '#EXT-X-BYTERANGE:1000@720', 'main.mp4',
+      '#EXTINF:4,', '#EXT-X-BYTERANGE:2000', 'main.mp4',
+      '#EXTINF:4,', '#EXT-X-BYTERANGE:500', 'other.mp4',
+      '#EXTINF:4,', 'plain.mp4',
+    ].join('\n');
+    const parsed = parsePlaylistText(text, 'https://cdn.test/v/index.m3u8');
+    const ranges = parsed.segments.map(s => s.byteRange && `${s.byteRange.length}@${s.byteRange.offset}`);
+    assert(ranges.join() === '1000@720,2000@1720,500@0,', `Unexpected ranges: ${ranges.join()}`);
+    assert(parsed.initSegmentUrl === 'https://cdn.test/v/main.mp4', 'MAP URI');
+    assert(parsed.initSegmentByteRange.offset === 0 && parsed.initSegmentByteRange.length === 720, 'MAP BYTERANGE');
+  }),
+
+  test('downloadHls issues Range requests for each segment', async () => {
+    const { segs, file, playlist } = singleFile();
+    const requests = mockFetch({ 'https://cdn.test/index.m3u8': playlist, 'https://cdn.test/all.ts': file });
+    const data = await downloadHls('https://cdn.test/index.m3u8');
+    const ranges = requests.filter(r => r.url.endsWith('all.ts')).map(r => r.range);
+    const a = segs[0].length, b = a + segs[1].length;
+    assert(ranges.join() === `bytes=0-${a - 1},bytes=${a}-${b - 1},bytes=${b}-${file.length - 1}`, `Ranges: ${ranges}`);
+    assert(sameBytes(data, file), 'Combined segments should equal the file');
+  }),
+
+  test('servers that ignore Range are sliced locally', async () => {
+    const { file, playlist } = singleFile();
+    mockFetch({ 'https://cdn.test/index.m3u8': playlist, 'https://cdn.test/all.ts': file }, { ignoreRange: true });
+    const data = await downloadHls('https://cdn.test/index.m3u8', { startTime: 1.2, endTime: 1.8 });
+    const { segs } = singleFile();
+    assert(sameBytes(data, segs[1]), 'Only the second segment should be returned');
+  }),
+
+  test('clipHls emits EXT-X-BYTERANGE lines', async () => {
+    const { playlist } = singleFile();
+    mockFetch({ 'https://cdn.test/index.m3u8': playlist });
+    const clip = await clipHls('https://cdn.test/index.m3u8', { startTime: 0.5, endTime: 2.5 });
+    const m3u8 = clip.getMediaPlaylist(0);
+    assert(m3u8.includes('#EXT-X-VERSION:4'), 'Byte ranges need version 4');
+    const lines = m3u8.split('\n').filter(l => l.startsWith('#EXT-X-BYTERANGE:'));
+    assert(lines.length === 3, `Expected 3 byte range lines, got ${lines.length}`);
+    assert(lines.every(l => /^#EXT-X-BYTERANGE:\d+@\d+$/.test(l)), 'Ranges carry explicit offsets');
+  }),
+];
+
+// ── runner ─────────────────────────────────────────────────
+
+async function runTests(tests) {
+  console.log('\n' + '═'.repeat(60));
+  console.log('   HLS Byte Range Tests');
+  console.log('═'.repeat(60) + '\n');
+
+  const originalFetch = globalThis.fetch;
+  for (const { name, fn } of tests) {
+    try {
+      await fn();
+      console.log(`✅ ${name}`);
+      passed++;
+    } catch (err) {
+      console.log(`❌ ${name}`);
+      console.log(`   Error: ${err.message}`);
+      failed++;
+    } finally {
+      globalThis.fetch = originalFetch;
+    }
+  }
+
+  console.log('\n' + '─'.repeat(60));
+  console.log(`Results: ${passed} passed, ${failed} failed`);
+  console.log('─'.repeat(60) + '\n');
+
+  process.exit(failed > 0 ? 1 : 0);
+}
+
+runTests(tests);
@@ -0,0 +1,210 @@
+/**
+ * HLS Clip Playlist Tests
+ *
+ * Clips mocked CMAF and MPEG-TS streams with clipHls() and checks that
+ * the generated playlists keep what players need: init segments, keys,
+ * byte ranges, media sequence numbers, variant attributes and the
+ * alternate audio renditions.
+ *
+ * Run: node tests/hls-clip-playlists.test.js
+ */
+
+import { clipHls, parseM3u8 } from '../src/index.js';
+
+let passed = 0;
+let failed = 0;
+
+function test(name, fn) {
+  return { name, fn };
+}
+
+function assert(condition, message) {
+  if (!condition) throw new Error(message || 'Assertion failed');
+}
+
+// ── fixtures ──────────────────────────────────────────────
+
+const BASE = 'https://cdn.test/show/';
+
+function makeResponse(body, status = 200) {
+  const bytes = new TextEncoder().encode(body);
+  return {
+    ok: status >= 200 && status < 300,
+    status,
+    statusText: String(status),
+    async text() { return new TextDecoder().decode(bytes); },
+    async arrayBuffer() { return bytes.slice().buffer; },
+  };
+}
+
+/** Serve a map of path → playlist; returns the list of requested paths */
+function mockFetch(routes) {
+  const requests = [];
+  globalThis.fetch = async (url) => {
+    const name = String(url).replace(BASE, '');
+    requests.push(name);
+    return routes[name] === undefined ? makeResponse('', 404) : makeResponse(routes[name]);
+  };
+  return requests;
+}
+
+const MASTER = `#EXTM3U
+#EXT-X-VERSION:6
+#EXT-X-INDEPENDENT-SEGMENTS
+#EXT-X-MEDIA:TYPE=AUDIO,GROUP-ID="aac",LANGUAGE="en",NAME="English",DEFAULT=YES,AUTOSELECT=YES,CHANNELS="2",URI="audio/en.m3u8"
+#EXT-X-MEDIA:TYPE=AUDIO,GROUP-ID="aac",LANGUAGE="de",NAME="Deutsch",AUTOSELECT=YES,CHANNELS="2",URI="audio/de.m3u8"
+#EXT-X-MEDIA:TYPE=AUDIO,GROUP-ID="other",NAME="Unused",URI="audio/other.m3u8"
+#EXT-X-MEDIA:TYPE=CLOSED-CAPTIONS,GROUP-ID="cc",NAME="English",LANGUAGE="en",INSTREAM-ID="CC1"
+#EXT-X-STREAM-INF:BANDWIDTH=2800000,AVERAGE-BANDWIDTH=2500000,RESOLUTION=1280x720,CODECS="avc1.64001f,mp4a.40.2",FRAME-RATE=29.970,AUDIO="aac",CLOSED-CAPTIONS="cc"
+video/720p.m3u8
+#EXT-X-STREAM-INF:BANDWIDTH=1200000,RESOLUTION=854x480,CODECS="avc1.4d401e,mp4a.40.2",FRAME-RATE=29.970,AUDIO="aac",CLOSED-CAPTIONS="cc"
+video/480p.m3u8
+`;
+
+/** fMP4 media playlist of 4s segments: encrypted, with a key rotation at 8s */
+function cmafPlaylist(prefix, count = 6) {
+  const lines = [
+    '#EXTM3U', '#EXT-X-VERSION:6', '#EXT-X-TARGETDURATION:4', '#EXT-X-MEDIA-SEQUENCE:50',
+    '#EXT-X-PLAYLIST-TYPE:VOD', '#EXT-X-MAP:URI="init.mp4"',
+    '#EXT-X-KEY:METHOD=AES-128,URI="../keys/k1.bin"',
+    '#EXT-X-PROGRAM-DATE-TIME:2024-05-01T10:00:00.000Z',
+  ];
+  for (let i = 0; i < count; i++) {
+    if (i === 2) lines.push('#EXT-X-KEY:METHOD=AES-128,URI="../keys/k2.bin",IV=0x000000000000000000000000000000FF');
+    lines.push('#EXTINF:4.000,', `${prefix}${i}.m4s`);
+  }
+  lines.push('#EXT-X-ENDLIST');
+  return lines.join('\n');
+}
+
+function routes() {
+  return {
+    'master.m3u8': MASTER,
+    'video/720p.m3u8': cmafPlaylist('720p_'),
+    'video/480p.m3u8': cmafPlaylist('480p_'),
+    'audio/en.m3u8': cmafPlaylist('en_'),
+    'audio/de.m3u8': cmafPlaylist('de_'),
+  };
+}
+
+// ── tests ─────────────────────────────────────────────────
+
+const tests = [
+  test('media playlists keep the init segment and keys', async () => {
+    mockFetch(routes());
+    const clip = await clipHls(BASE + 'master.m3u8', { startTime: 5, endTime: 13 });
+    const playlist = parseM3u8(clip.getMediaPlaylist(0));
+    assert(playlist.version === 6, `Version ${playlist.version}`);
+    assert(playlist.segments.length === 3 && playlist.segments[0].uri === BASE + 'video/720p_1.m4s', 'Segments 1-3');
+    assert(playlist.segments.every(seg => seg.map.URI === BASE + 'video/init.mp4'), 'Absolute init segment');
+    const [first, second] = playlist.segments;
+    assert(first.keys[0].URI === BASE + 'keys/k1.bin' && second.keys[0].URI === BASE + 'keys/k2.bin', 'Keys in effect');
+    assert(second.keys[0].IV === '0x000000000000000000000000000000FF', 'IV kept');
+    assert(playlist.mediaSequence === 51, `Media sequence ${playlist.mediaSequence} (keys without an IV decrypt with it)`);
+    assert(first.programDateTime === '2024-05-01T10:00:04.000Z', `Date ${first.programDateTime}`);
+    assert(playlist.playlistType === 'VOD' && playlist.endList, 'VOD');
+
+    const text = clip.getMediaPlaylist(0);
+    assert(text.match(/#EXT-X-MAP/g).length === 1 && text.match(/#EXT-X-KEY/g).length === 2, `Tags written once:\n${text}`);
+  }),
+
+  test('master playlist keeps variant attributes and alternate audio', async () => {
+    mockFetch(routes());
+    const clip = await clipHls(BASE + 'master.m3u8', { startTime: 5, endTime: 13 });
+    const master = parseM3u8(clip.masterPlaylist);
+    assert(master.independentSegments && master.version === 6, 'Master header');
+
+    const [hd, sd] = master.variants;
+    assert(hd.uri === 'variant-0.m3u8' && sd.uri === 'variant-1.m3u8', 'Variant URIs');
+    assert(hd.attributes.CODECS === 'avc1.64001f,mp4a.40.2' && hd.attributes['FRAME-RATE'] === '29.970', 'Codecs and frame rate');
+    assert(hd.attributes['AVERAGE-BANDWIDTH'] === '2500000' && hd.attributes.RESOLUTION === '1280x720', 'Bandwidth and resolution');
+    assert(hd.attributes.AUDIO === 'aac' && hd.attributes['CLOSED-CAPTIONS'] === 'cc', 'Rendition groups');
+
+    const names = master.renditions.map(r => `${r.TYPE}:${r.NAME}:${r.URI || '-'}`).join();
+    assert(names === 'AUDIO:English:audio-0.m3u8,AUDIO:Deutsch:audio-1.m3u8,CLOSED-CAPTIONS:English:-', `Renditions ${names}`);
+    assert(master.renditions[0].DEFAULT === 'YES' && master.renditions[0].CHANNELS === '2', 'Rendition attributes');
+
+    assert(clip.audioCount === 2, `Audio count ${clip.audioCount}`);
+    const audio = parseM3u8(clip.getAudioPlaylist(1));
+    assert(audio.segments.map(seg => seg.uri.replace(BASE, '')).join() === 'audio/de_1.m4s,audio/de_2.m4s,audio/de_3.m4s', 'Clipped audio');
+    assert(audio.segments[0].map.URI === BASE + 'audio/init.mp4', 'Audio init segment');
+  }),
+
+  test('quality selection clips one variant with its audio', async () => {
+    const requests = mockFetch(routes());
+    const clip = await clipHls(BASE + 'master.m3u8', { startTime: 0, endTime: 4, quality: '480p' });
+    assert(clip.variantCount === 1 && !requests.includes('video/720p.m3u8'), `Requests: ${requests}`);
+    assert(!requests.includes('audio/other.m3u8'), 'Unused groups are not fetched');
+    const master = clip.masterPlaylist;
+    assert(master.includes('#EXT-X-STREAM-INF:') && master.includes('audio-0.m3u8'), `Master:\n${master}`);
+  }),
+
+  test('media playlist sources keep their tags', async () => {
+    mockFetch(routes());
+    const clip = await clipHls(BASE + 'video/720p.m3u8', { startTime: 9, endTime: 11 });
+    const text = clip.masterPlaylist;
+    assert(text === clip.getMediaPlaylist(0), 'Single variant: the media playlist');
+    const playlist = parseM3u8(text);
+    assert(playlist.segments.length === 1 && playlist.mediaSequence === 52, 'Segment 2');
+    assert(playlist.segments[0].map.URI === BASE + 'video/init.mp4', 'Init segment');
+    assert(playlist.segments[0].keys[0].URI === BASE + 'keys/k2.bin', 'Rotated key');
+  }),
+
+  test('discontinuities and byte ranges', async () => {
+    mockFetch({
+      'index.m3u8': [
+        '#EXTM3U', '#EXT-X-VERSION:4', '#EXT-X-TARGETDURATION:2', '#EXT-X-DISCONTINUITY-SEQUENCE:3',
+        '#EXTINF:2.0,', '#EXT-X-BYTERANGE:1000@0', 'all.ts',
+        '#EXT-X-DISCONTINUITY',
+        '#EXTINF:2.0,', '#EXT-X-BYTERANGE:1500', 'all.ts',
+        '#EXT-X-CUE-OUT:2',
+        '#EXTINF:2.0,', '#EXT-X-BYTERANGE:800', 'all.ts',
+        '#EXT-X-DISCONTINUITY',
+        '#EXTINF:2.0,', '#EXT-X-BYTERANGE:900', 'all.ts',
+        '#EXT-X-ENDLIST',
+      ].join('\n'),
+    });
+    const clip = await clipHls(BASE + 'index.m3u8', { startTime: 2.5, endTime: 7 });
+    const playlist = parseM3u8(clip.getMediaPlaylist(0));
+    assert(playlist.discontinuitySequence === 4, `Discontinuity sequence ${playlist.discontinuitySequence}`);
+    const [first, second, third] = playlist.segments;
+    assert(!first.discontinuity && !second.discontinuity && third.discontinuity, 'Only the later discontinuity is written');
+    const ranges = playlist.segments.map(seg => `${seg.byteRange.length}@${seg.byteRange.offset}`).join();
+    assert(ranges === '1500@1000,800@2500,900@3300', `Ranges ${ranges}`);
+    assert(second.tags.join() === '#EXT-X-CUE-OUT:2', 'Cue tags kept');
+    assert(playlist.version === 4, `Version ${playlist.version}`);
+  }),
+];
+
+// ── runner ─────────────────────────────────────────────────
+
+async function runTests(tests) {
+  console.log('\n' + '═'.repeat(60));
+  console.log('   HLS Clip Playlist Tests');
+  console.log('═'.repeat(60) + '\n');
+
+  const originalFetch = globalThis.fetch;
+  try {
+    for (const { name, fn } of tests) {
+      try {
+        await fn();
+        console.log(`✅ ${name}`);
+        passed++;
+      } catch (err) {
+        console.log(`❌ ${name}`);
+        console.log(`   Error: ${err.message}`);
+        failed++;
+      }
+    }
+  } finally {
+    globalThis.fetch = originalFetch;
+  }
+
+  console.log('\n' + '─'.repeat(60));
+  console.log(`Results: ${passed} passed, ${failed} failed`);
+  console.log('─'.repeat(60) + '\n');
+
+  process.exit(failed > 0 ? 1 : 0);
+}
+
+runTests(tests);
@@ -0,0 +1,241 @@
+/**
+ * HLS Clip Trim-Edges Tests
+ *
+ * Clips packaged MPEG-TS and fMP4 streams served through a mocked fetch()
+ * with clipHls({ mode: 'trim-edges' }) and checks that only the first and
+ * last segments are downloaded and remuxed: they start at the keyframe
+ * before startTime and end at endTime on the source timeline, while the
+ * segments between keep their CDN URLs.
+ *
+ * Run: node tests/hls-clip-trim.test.js
+ */
+
+import { createCipheriv } from 'crypto';
+import { clipHls, packageHls, parseM3u8 } from '../src/index.js';
+import { TSParser } from '../src/parsers/mpegts.js';
+import { fragmentStartTimes } from '../src/hls.js';
+import { convertFmp4ToMp4 } from '../src/fmp4/index.js';
+import { MP4Parser } from '../src/parsers/mp4.js';
+import { parseBoxes } from '../src/fmp4/utils.js';
+import { buildTs, annexB, h264Frames, aacFrames, concat, HEVC_VPS, HEVC_SPS, HEVC_PPS } from './ts-fixtures.js';
+
+let passed = 0;
+let failed = 0;
+
+function test(name, fn) {
+  return { name, fn };
+}
+
+function assert(condition, message) {
+  if (!condition) throw new Error(message || 'Assertion failed');
+}
+
+// ── fixtures ──────────────────────────────────────────────
+
+const BASE = 'https://cdn.test/vod/';
+const KEY = new Uint8Array(16).map((_, i) => i * 17);
+
+/** 8s of 30fps H.264 (a keyframe every 0.5s) with AAC in 2s segments */
+const SOURCE = buildTs([
+  { pid: 0x101, streamType: 0x1B, streamId: 0xE0, frames: h264Frames(240, { gop: 15 }) },
+  { pid: 0x102, streamType: 0x0F, streamId: 0xC0, frames: aacFrames(375) },
+]);
+const TS = packageHls(SOURCE, { format: 'ts', segmentDuration: 2.1 });
+const FMP4 = packageHls(SOURCE, { format: 'fmp4', segmentDuration: 2.1 });
+
+/** 6s of 30fps H.265 MPEG-TS in three 2s segments, which TSMuxer can't write */
+function hevcRoutes() {
+  const frames = (first) => Array.from({ length: 60 }, (_, n) => {
+    const i = first + n;
+    const key = i % 15 === 0;
+    const slice = new Uint8Array([(key ? 19 : 1) << 1, 0x01, 0xAF, i & 0xFF]);
+    return { data: annexB(key ? [HEVC_VPS, HEVC_SPS, HEVC_PPS, slice] : [slice]), pts: i * 3000 };
+  });
+  const routes = {
+    'hevc.m3u8': ['#EXTM3U', '#EXT-X-TARGETDURATION:2', '#EXTINF:2,', 'hevc0.ts', '#EXTINF:2,', 'hevc1.ts',
+      '#EXTINF:2,', 'hevc2.ts', '#EXT-X-ENDLIST'].join('\n')
+  };
+  for (let i = 0; i < 3; i++) {
+    routes[`hevc${i}.ts`] = buildTs([{ pid: 0x101, streamType: 0x24, streamId: 0xE0, frames: frames(i * 60) }]);
+  }
+  return routes;
+}
+
+function makeResponse(body, status = 200) {
+  const bytes = typeof body === 'string' ? new TextEncoder().encode(body) : body;
+  return {
+    ok: status >= 200 && status < 300,
+    status,
+    statusText: String(status),
+    async text() { return new TextDecoder().decode(bytes); },
+    async arrayBuffer() { return bytes.slice().buffer; },
+  };
+}
+
+/** Serve a package's files (plus extra routes); returns the list of requested names */
+function serve(pkg, routes = {}) {
+  const files = new Map(pkg.files.map(file => [file.name, file.data]));
+  for (const [name, data] of Object.entries(routes)) files.set(name, data);
+  const requests = [];
+  globalThis.fetch = async (url) => {
+    const name = String(url).replace(BASE, '');
+    requests.push(name);
+    return files.has(name) ? makeResponse(files.get(name)) : makeResponse('', 404);
+  };
+  return requests;
+}
+
+function parseTs(data) {
+  const parser = new TSParser();
+  parser.parse(data);
+  parser.finalize();
+  return parser;
+}
+
+async function rejection(promise) {
+  try { await promise; } catch (err) { return err; }
+  return null;
+}
+
+const near = (a, b) => Math.abs(a - b) < 1e-6;
+
+// ── tests ─────────────────────────────────────────────────
+
+const tests = [
+  test('MPEG-TS: the first and last segments are remuxed to the range', async () => {
+    const requests = serve(TS);
+    const clip = await clipHls(BASE + 'playlist.m3u8', { startTime: 2.7, endTime: 7.3, mode: 'trim-edges' });
+    assert(!requests.includes('segment0.ts') && !requests.includes('segment2.ts'), `Requests: ${requests}`);
+
+    const playlist = parseM3u8(clip.getMediaPlaylist(0));
+    const uris = playlist.segments.map(seg => seg.uri.replace(BASE, '')).join();
+    assert(uris === 'variant-0-segment-0.ts,segment2.ts,variant-0-segment-2.ts', `URIs ${uris}`);
+    const durations = playlist.segments.map(seg => seg.duration);
+    assert(near(durations[0], 1.5) && near(durations[1], 2) && near(durations[2], 1.3), `Durations ${durations}`);
+    assert(near(clip.prerollDuration, 0.2) && near(clip.playbackEnd, 4.8), `Preroll ${clip.prerollDuration}`);
+    assert(near(clip.mediaDuration, 4.8), `Media duration ${clip.mediaDuration}`);
+
+    const variant = clip._variants[0];
+    assert(variant.segments.map(seg => seg.isBoundary).join() === 'true,false,true', 'Boundary flags');
+    assert(clip.getInitSegment(0) === null, 'No init segment for TS');
+
+    // Keyframe at 2.5s (75 frames in) through the last frame before 7.3s
+    const head = parseTs(clip.getSegment(0, 0));
+    assert(head.videoAccessUnits.length === 45, `Head frames ${head.videoAccessUnits.length}`);
+    assert(head.debug.timestampOffset === 75 * 3000, `Head starts at ${head.debug.timestampOffset}`);
+    const tail = parseTs(clip.getSegment(0, 2));
+    assert(tail.videoAccessUnits.length === 39, `Tail frames ${tail.videoAccessUnits.length}`);
+    assert(tail.debug.timestampOffset === 180 * 3000, `Tail starts at ${tail.debug.timestampOffset}`);
+    const lastAudio = tail.audioAccessUnits.at(-1).pts + tail.debug.timestampOffset;
+    assert(lastAudio < 7.3 * 90000, `Audio ends at ${lastAudio}`);
+
+    let error = null;
+    try { clip.getSegment(0, 1); } catch (err) { error = err; }
+    assert(error?.message.includes(BASE + 'segment2.ts'), `Error: ${error?.message}`);
+  }),
+
+  test('fMP4: trimmed fragments get their own init segment', async () => {
+    serve(FMP4);
+    const clip = await clipHls(BASE + 'playlist.m3u8', { startTime: 2.7, endTime: 7.3, mode: 'trim-edges' });
+    const text = clip.getMediaPlaylist(0);
+    const maps = text.match(/#EXT-X-MAP:.*/g).map(line => line.replace(BASE, '')).join();
+    assert(maps === '#EXT-X-MAP:URI="variant-0-init.mp4",#EXT-X-MAP:URI="init.mp4",#EXT-X-MAP:URI="variant-0-init.mp4"', `Maps ${maps}`);
+
+    const init = clip.getInitSegment(0);
+    assert(parseBoxes(init).map(box => box.type).join() === 'ftyp,moov', 'ftyp + moov');
+    const head = clip.getSegment(0, 0);
+    assert(parseBoxes(head).map(box => box.type).join() === 'moof,mdat', 'moof + mdat');
+
+    // Decode times stay on the source timeline next to the CDN segments
+    const times = fragmentStartTimes(concat([init, head]));
+    assert(times.get('vide') === 75 * 3000, `Video tfdt ${times.get('vide')}`);
+    assert(Math.abs(times.get('soun') - times.get('vide')) < 1920, `Audio tfdt ${times.get('soun')}`);
+    const tail = new MP4Parser(convertFmp4ToMp4(concat([init, clip.getSegment(0, 2)])));
+    assert(tail.getVideoSamples().length === 39, `Tail frames ${tail.getVideoSamples().length}`);
+  }),
+
+  test('encrypted segments are served clear between keyed CDN segments', async () => {
+    const iv = new Uint8Array(16).fill(3);
+    const routes = { 'key.bin': KEY };
+    for (const segment of TS.segments) {
+      const cipher = createCipheriv('aes-128-cbc', KEY, iv);
+      routes[segment.name] = new Uint8Array(Buffer.concat([cipher.update(segment.data), cipher.final()]));
+    }
+    const playlist = TS.files.find(file => file.name === 'playlist.m3u8').data
+      .replace('#EXTINF', `#EXT-X-KEY:METHOD=AES-128,URI="key.bin",IV=0x${'03'.repeat(16)}\n#EXTINF`);
+    serve(TS, { ...routes, 'playlist.m3u8': playlist });
+
+    const clip = await clipHls(BASE + 'playlist.m3u8', { startTime: 2.7, endTime: 7.3, mode: 'trim-edges' });
+    const keys = clip.getMediaPlaylist(0).match(/#EXT-X-KEY:.*/g);
+    assert(keys.length === 2 && keys[0].includes(BASE + 'key.bin') && keys[1] === '#EXT-X-KEY:METHOD=NONE', `Keys:\n${keys.join('\n')}`);
+    assert(parseM3u8(clip.getMediaPlaylist(0)).segments[0].keys.length === 0, 'First segment clear');
+    assert(parseTs(clip.getSegment(0, 0)).videoAccessUnits.length === 45, 'Decrypted before remuxing');
+  }),
+
+  test('a range inside one segment trims it at both ends', async () => {
+    serve(TS);
+    const clip = await clipHls(BASE + 'master.m3u8', { startTime: 4.2, endTime: 5, mode: 'trim-edges' });
+    const [segment] = parseM3u8(clip.masterPlaylist).segments;
+    assert(segment.uri === 'variant-0-segment-0.ts' && near(segment.duration, 1), `Segment ${segment.uri} ${segment.duration}`);
+    assert(near(clip.prerollDuration, 0.2), `Preroll ${clip.prerollDuration}`);
+    assert(parseTs(clip.getSegment(0, 0)).videoAccessUnits.length === 30, 'Frames 4.0s-5.0s');
+  }),
+
+  test('variants that cannot be remuxed keep whole segments', async () => {
+    serve({ files: [] }, hevcRoutes());
+    const messages = [];
+    const clip = await clipHls(BASE + 'hevc.m3u8', {
+      startTime: 2.7, endTime: 5.3, mode: 'trim-edges', onProgress: message => messages.push(message)
+    });
+    const uris = parseM3u8(clip.getMediaPlaylist(0)).segments.map(seg => seg.uri.replace(BASE, '')).join();
+    assert(uris === 'hevc1.ts,hevc2.ts', `URIs ${uris}`);
+    assert(clip._variants[0].segments.every(seg => !seg.isBoundary), 'No generated segments');
+    assert(near(clip.prerollDuration, 0.7), `Preroll ${clip.prerollDuration}`);
+    assert(messages.includes('Keeping whole segments: trim-edges remuxes MPEG-TS segments with H.264 video and AAC audio only'),
+      `Messages: ${messages.join(' | ')}`);
+  }),
+
+  test('segment-aligned ranges download nothing', async () => {
+    const requests = serve(TS);
+    const clip = await clipHls(BASE + 'playlist.m3u8', { startTime: 2, endTime: 6, mode: 'trim-edges' });
+    assert(!requests.some(name => name.endsWith('.ts')), `Requests: ${requests}`);
+    assert(clip._variants[0].segments.every(seg => !seg.isBoundary), 'No generated segments');
+    assert(clip.prerollDuration === 0, 'No preroll');
+
+    const err = await rejection(clipHls(BASE + 'playlist.m3u8', { startTime: 2, endTime: 6, mode: 'exact' }));
+    assert(err?.message === "Unknown clip mode: exact (expected 'trim-edges')", `Error: ${err?.message}`);
+  }),
+];
+
+// ── runner ─────────────────────────────────────────────────
+
+async function runTests(tests) {
+  console.log('\n' + '═'.repeat(60));
+  console.log('   HLS Clip Trim-Edges Tests');
+  console.log('═'.repeat(60) + '\n');
+
+  const originalFetch = globalThis.fetch;
+  try {
+    for (const { name, fn } of tests) {
+      try {
+        await fn();
+        console.log(`✅ ${name}`);
+        passed++;
+      } catch (err) {
+        console.log(`❌ ${name}`);
+        console.log(`   Error: ${err.message}`);
+        failed++;
+      }
+    }
+  } finally {
+    globalThis.fetch = originalFetch;
+  }
+
+  console.log('\n' + '─'.repeat(60));
+  console.log(`Results: ${passed} passed, ${failed} failed`);
+  console.log('─'.repeat(60) + '\n');
+
+  process.exit(failed > 0 ? 1 : 0);
+}
+
+runTests(tests);
@@ -0,0 +1,291 @@
+/**
+ * HLS Decryption Tests
+ *
+ * Mocks fetch() and serves AES-128 and SAMPLE-AES encrypted synthetic
+ * segments, checking that downloads decrypt back to the clear stream.
+ *
+ * Run: node tests/hls-decrypt.test.js
+ */
+
+import { createCipheriv } from 'node:crypto';
+import { downloadHls, TSParser } from '../src/index.js';
+import { parsePlaylistText } from '../src/hls.js';
+import { decryptSegment, ivFromSequence } from '../src/hls-decrypt.js';
+import { buildTs, annexB, adtsFrame, concat, h264Frames, aacFrames, mp3Frames, ac3Frames, H264_SPS, H264_PPS } from './ts-fixtures.js';
+
+let passed = 0;
+let failed = 0;
+
+function test(name, fn) {
+  return { name, fn };
+}
+
+function assert(condition, message) {
+  if (!condition) throw new Error(message || 'Assertion failed');
+}
+
+// ── helpers ───────────────────────────────────────────────
+
+const KEY = new Uint8Array([0x00, 0x11, 0x22, 0x33, 0x44, 0x55, 0x66, 0x77, 0x88, 0x99, 0xAA, 0xBB, 0xCC, 0xDD, 0xEE, 0xFF]);
+const IV = new Uint8Array(16).fill(7);
+
+function aesCbc(data, iv, padding = true) {
+  const cipher = createCipheriv('aes-128-cbc', KEY, iv);
+  cipher.setAutoPadding(padding);
+  return new Uint8Array(Buffer.concat([cipher.update(data), cipher.final()]));
+}
+
+function sameBytes(a, b) {
+  return a.length === b.length && a.every((v, i) => v === b[i]);
+}
+
+function makeResponse(body, { status = 200 } = {}) {
+  const bytes = typeof body === 'string' ? new TextEncoder().encode(body) : body;
+  return {
+    ok: status >= 200 && status < 300,
+    status,
+    statusText: String(status),
+    async text() { return new TextDecoder().decode(bytes); },
+    async arrayBuffer() { return bytes.slice().buffer; },
+  };
+}
+
+/** Serve a map of URL → body from fetch(), recording requested URLs */
+function mockFetch(routes) {
+  const requested = [];
+  globalThis.fetch = async (url) => {
+    requested.push(String(url));
+    const body = routes[String(url)];
+    return body === undefined ? makeResponse('', { status: 404 }) : makeResponse(body);
+  };
+  return requested;
+}
+
+function clearSegments() {
+  const seg = start => buildTs([
+    { pid: 0x101, streamType: 0x1B, streamId: 0xE0, frames: h264Frames(30, { start }) },
+    { pid: 0x102, streamType: 0x0F, streamId: 0xC0, frames: aacFrames(45, { start }) },
+  ]);
+  return [seg(90000), seg(90000 + 90000)];
+}
+
+// ── SAMPLE-AES fixture encryption ─────────────────────────
+
+function addEmulationPrevention(data) {
+  const out = [];
+  let zeros = 0;
+  for (const byte of data) {
+    if (zeros >= 2 && byte <= 3) {
+      out.push(3);
+      zeros = 0;
+    }
+    out.push(byte);
+    zeros = byte === 0 ? zeros + 1 : 0;
+  }
+  return new Uint8Array(out);
+}
+
+function encryptAvcNal(nal) {
+  const nalType = nal[0] & 0x1F;
+  if ((nalType !== 1 && nalType !== 5) || nal.length <= 48) return nal;
+  const data = nal.slice();
+  const positions = [];
+  for (let pos = 32; pos < data.length - 16; pos += 160) positions.push(pos);
+  const clear = concat(positions.map(pos => data.subarray(pos, pos + 16)));
+  const encrypted = aesCbc(clear, IV, false);
+  positions.forEach((pos, i) => data.set(encrypted.subarray(i * 16, i * 16 + 16), pos));
+  return addEmulationPrevention(data);
+}
+
+function encryptAacFrame(frame) {
+  if (frame.length <= 16) return frame;
+  const end = frame.length - (frame.length % 16);
+  const data = frame.slice();
+  data.set(aesCbc(frame.subarray(16, end), IV, false), 16);
+  return data;
+}
+
+/** Slice payload without 00 00 runs, so the clear NAL needs no emulation prevention */
+function slicePayload(type, length, seed) {
+  const nal = new Uint8Array(length);
+  nal[0] = type;
+  for (let i = 1; i < length; i++) nal[i] = ((i * 31 + seed * 7) % 250) + 1;
+  return nal;
+}
+
+function sampleAesFixture() {
+  const clearFrames = [];
+  const encryptedFrames = [];
+  for (let i = 0; i < 10; i++) {
+    const key = i % 5 === 0;
+    const nals = key
+      ? [H264_SPS, H264_PPS, slicePayload(0x65, 400, i)]
+      : [slicePayload(0x41, 120 + i, i)];
+    const pts = 90000 + i * 3000;
+    clearFrames.push({ nals, pts });
+    encryptedFrames.push({ data: annexB(nals.map(encryptAvcNal)), pts, dts: pts });
+  }
+  const clearAudio = [];
+  const encryptedAudio = [];
+  for (let i = 0; i < 15; i++) {
+    const raw = slicePayload(0x21, 60 + i, i);
+    clearAudio.push(raw);
+    encryptedAudio.push({ data: adtsFrame(encryptAacFrame(raw)), pts: 90000 + i * 1920 });
+  }
+  const ts = buildTs([
+    { pid: 0x101, streamType: 0xDB, streamId: 0xE0, frames: encryptedFrames },
+    { pid: 0x102, streamType: 0xCF, streamId: 0xC0, frames: encryptedAudio },
+  ]);
+  return { ts, clearFrames, clearAudio };
+}
+
+// ── tests ─────────────────────────────────────────────────
+
+const tests = [
+  test('parsePlaylistText attaches keys and media sequence to segments', async () => {
+    const text = [
+      '#EXTM3U',
+      '#EXT-X-MEDIA-SEQUENCE:40',
+      '#EXT-X-KEY:METHOD=AES-128,URI="keys/a.key",IV=0x000102030405060708090a0b0c0d0e0f',
+      '#EXTINF:4,', 'seg40.ts',
+      '#EXT-X-KEY:METHOD=AES-128,URI="keys/b.key"',
+      '#EXTINF:4,', 'seg41.ts',
+      '#EXT-X-KEY:METHOD=NONE',
+      '#EXTINF:4,', 'seg42.ts',
+    ].join('\n');
+    const { segments } = parsePlaylistText(text, 'https://cdn.test/v/index.m3u8');
+    assert(segments.map(s => s.mediaSequence).join() === '40,41,42', 'Media sequence numbers');
+    assert(segments[0].key.method === 'AES-128', 'First segment AES-128');
+    assert(segments[0].key.uri === 'https://cdn.test/v/keys/a.key', 'Key URI resolved');
+    assert(segments[0].key.iv[15] === 0x0F && segments[0].key.iv[1] === 0x01, 'IV parsed');
+    assert(segments[1].key.uri.endsWith('b.key') && segments[1].key.iv === null, 'Second key has no IV');
+    assert(segments[2].key === null, 'METHOD=NONE clears the key');
+  }),
+
+  test('ivFromSequence is a big-endian 128-bit sequence number', async () => {
+    const iv = ivFromSequence(0x1234);
+    assert(iv[14] === 0x12 && iv[15] === 0x34 && iv.slice(0, 14).every(b => b === 0), 'IV bytes');
+  }),
+
+  test('downloadHls decrypts AES-128 segments (explicit and derived IVs)', async () => {
+    const [seg0, seg1] = clearSegments();
+    mockFetch({
+      'https://cdn.test/index.m3u8': [
+        '#EXTM3U', '#EXT-X-TARGETDURATION:1', '#EXT-X-MEDIA-SEQUENCE:7',
+        '#EXT-X-KEY:METHOD=AES-128,URI="k.bin",IV=0x07070707070707070707070707070707',
+        '#EXTINF:1,', 's0.ts',
+        '#EXT-X-KEY:METHOD=AES-128,URI="k.bin"',
+        '#EXTINF:1,', 's1.ts', '#EXT-X-ENDLIST'
+      ].join('\n'),
+      'https://cdn.test/k.bin': KEY,
+      'https://cdn.test/s0.ts': aesCbc(seg0, IV),
+      'https://cdn.test/s1.ts': aesCbc(seg1, ivFromSequence(8)),
+    });
+    const data = await downloadHls('https://cdn.test/index.m3u8');
+    assert(sameBytes(data, concat([seg0, seg1])), 'Decrypted bytes should match the clear segments');
+  }),
+
+  test('keyLoader hook replaces key fetching', async () => {
+    const [seg0] = clearSegments();
+    const requested = mockFetch({
+      'https://cdn.test/index.m3u8': [
+        '#EXTM3U', '#EXT-X-KEY:METHOD=AES-128,URI="skd://license/123",IV=0x07070707070707070707070707070707',
+        '#EXTINF:1,', 's0.ts', '#EXT-X-ENDLIST'
+      ].join('\n'),
+      'https://cdn.test/s0.ts': aesCbc(seg0, IV),
+    });
+    const loaded = [];
+    const data = await downloadHls('https://cdn.test/index.m3u8', {
+      keyLoader: async (uri) => { loaded.push(uri); return KEY; }
+    });
+    assert(loaded.join() === 'skd://license/123', 'Loader called once with the key URI');
+    assert(!requested.some(u => u.startsWith('skd:')), 'Key URI not fetched');
+    assert(sameBytes(data, seg0), 'Decrypted with loader key');
+  }),
+
+  test('SAMPLE-AES TS segments decrypt to clear H.264 and AAC', async () => {
+    const { ts, clearFrames, clearAudio } = sampleAesFixture();
+    const clear = await decryptSegment(ts, { key: { method: 'SAMPLE-AES', uri: 'k', iv: IV, keyFormat: 'identity' }, mediaSequence: 0 }, {
+      keyLoader: () => KEY
+    });
+    const parser = new TSParser();
+    parser.parse(clear);
+    parser.finalize();
+    assert(parser.videoStreamType === 0x1B && parser.audioStreamType === 0x0F, 'Output uses clear stream types');
+    assert(parser.videoAccessUnits.length === clearFrames.length, 'All video frames');
+    parser.videoAccessUnits.forEach((au, i) => {
+      const slices = au.nalUnits.filter(n => [1, 5].includes(n[0] & 0x1F));
+      const expected = clearFrames[i].nals.filter(n => [1, 5].includes(n[0] & 0x1F));
+      assert(slices.length === 1 && sameBytes(slices[0], expected[0]), `Frame ${i} slice should decrypt`);
+    });
+    assert(parser.audioAccessUnits.length === clearAudio.length, 'All audio frames');
+    parser.audioAccessUnits.forEach((au, i) => {
+      assert(sameBytes(au.data, clearAudio[i]), `Audio frame ${i} should decrypt`);
+    });
+  }),
+
+  test('SAMPLE-AES rejects audio other than AAC', async () => {
+    const { clearFrames } = sampleAesFixture();
+    const video = clearFrames.map(({ nals, pts }) => ({ data: annexB(nals), pts, dts: pts }));
+    for (const [codec, audio] of [
+      ['MPEG-1 Audio', { streamType: 0x03, frames: mp3Frames(10) }],
+      ['AC-3', { streamType: 0xC1, frames: ac3Frames(10) }],
+      ['E-AC-3', { streamType: 0xC2, frames: ac3Frames(10) }],
+    ]) {
+      const ts = buildTs([
+        { pid: 0x101, streamType: 0xDB, streamId: 0xE0, frames: video },
+        { pid: 0x102, streamId: 0xC0, ...audio },
+      ]);
+      let error = null;
+      try {
+        await decryptSegment(ts, { key: { method: 'SAMPLE-AES', uri: 'k', iv: IV, keyFormat: 'identity' }, mediaSequence: 0 }, {
+          keyLoader: () => KEY
+        });
+      } catch (err) {
+        error = err;
+      }
+      assert(error?.message.startsWith('SAMPLE-AES supports AAC audio only') && error.message.includes(codec), `${codec}: ${error?.message}`);
+    }
+  }),
+
+  test('non-identity key formats require a keyLoader', async () => {
+    let error = null;
+    try {
+      await decryptSegment(new Uint8Array(16), { key: { method: 'SAMPLE-AES', uri: 'skd://x', iv: IV, keyFormat: 'com.apple.streamingkeydelivery' } });
+    } catch (err) {
+      error = err;
+    }
+    assert(error && /keyLoader/.test(error.message), 'Should ask for a keyLoader');
+  }),
+];
+
+// ── runner ─────────────────────────────────────────────────
+
+async function runTests(tests) {
+  console.log('\n' + '═'.repeat(60));
+  console.log('   HLS Decryption Tests');
+  console.log('═'.repeat(60) + '\n');
+
+  const originalFetch = globalThis.fetch;
+  for (const { name, fn } of tests) {
+    try {
+      await fn();
+      console.log(`✅ ${name}`);
+      passed++;
+    } catch (err) {
+      console.log(`❌ ${name}`);
+      console.log(`   Error: ${err.message}`);
+      failed++;
+    } finally {
+      globalThis.fetch = originalFetch;
+    }
+  }
+
+  console.log('\n' + '─'.repeat(60));
+  console.log(`Results: ${passed} passed, ${failed} failed`);
+  console.log('─'.repeat(60) + '\n');
+
+  process.exit(failed > 0 ? 1 : 0);
+}
+
+runTests(tests);
@@ -0,0 +1,214 @@
+/**
+ * HLS Discontinuity Tests
+ *
+ * Checks #EXT-X-DISCONTINUITY parsing, timestamp rebasing in stitchTs()
+ * and stitchFmp4(), extra sample descriptions when SPS/PPS change, and
+ * downloadHls() on a playlist with an ad-break style discontinuity.
+ *
+ * Run: node tests/hls-discontinuity.test.js
+ */
+
+import { downloadHls, stitchTs, stitchFmp4 } from '../src/index.js';
+import { parsePlaylistText } from '../src/hls.js';
+import { TSParser } from '../src/parsers/mpegts.js';
+import { createFragmentedMp4, joinFragmentedMp4 } from '../src/muxers/fmp4.js';
+import { analyzeTrack, buildSampleTable } from '../src/parsers/mp4.js';
+import { parseBoxes, findBox, parseChildBoxes } from '../src/fmp4/utils.js';
+import { buildTs, annexB, h264Frames, aacFrames } from './ts-fixtures.js';
+
+let passed = 0;
+let failed = 0;
+
+function test(name, fn) {
+  return { name, fn };
+}
+
+function assert(condition, message) {
+  if (!condition) throw new Error(message || 'Assertion failed');
+}
+
+// ── helpers ───────────────────────────────────────────────
+
+const BASE = 'https://cdn.test/';
+
+/** 1920x1080 High profile parameter sets, different from the fixtures' 320x240 ones */
+const SPS_1080 = new Uint8Array([0x67, 0x64, 0x00, 0x1F, 0xAC, 0xD9, 0x40, 0x78, 0x02, 0x27, 0xE5, 0xC0, 0x44, 0x00, 0x00, 0x03, 0x00, 0x04, 0x00, 0x00, 0x03, 0x00, 0xF0, 0x3C, 0x60, 0xC6, 0x58]);
+const PPS_1080 = new Uint8Array([0x68, 0xEB, 0xE3, 0xCB, 0x22, 0xC0]);
+
+function makeResponse(body, status = 200) {
+  const bytes = typeof body === 'string' ? new TextEncoder().encode(body) : body;
+  return {
+    ok: status >= 200 && status < 300,
+    status,
+    statusText: String(status),
+    async text() { return new TextDecoder().decode(bytes); },
+    async arrayBuffer() { return bytes.slice().buffer; },
+  };
+}
+
+function mockFetch(routes) {
+  globalThis.fetch = async (url) => {
+    const body = routes[String(url).replace(BASE, '')];
+    return body === undefined ? makeResponse('', 404) : makeResponse(body);
+  };
+}
+
+/** One second (30 frames) of H.264 TS starting at `start` ticks, optionally with other parameter sets */
+function tsSegment(start, { sps, pps, audio = false } = {}) {
+  let frames = h264Frames(30, { start });
+  if (sps) {
+    frames = frames.map((f, i) => i === 0
+      ? { ...f, data: annexB([sps, pps, new Uint8Array([0x65, 0x88, 0x84, 0x00, 0x21])]) }
+      : f);
+  }
+  const streams = [{ pid: 0x101, streamType: 0x1B, streamId: 0xE0, frames }];
+  if (audio) streams.push({ pid: 0x102, streamType: 0x0F, streamId: 0xC0, frames: aacFrames(47, { start }) });
+  return buildTs(streams);
+}
+
+/** Sample descriptions, chunk table and sample times of the MP4's video track */
+function videoTrack(mp4) {
+  const moov = findBox(parseBoxes(mp4), 'moov');
+  const trak = parseChildBoxes(moov).find(b => b.type === 'trak');
+  const track = analyzeTrack(moov.data, trak.offset, trak.size);
+  const mdia = findBox(parseChildBoxes(trak), 'mdia');
+  const minf = findBox(parseChildBoxes(mdia), 'minf');
+  const stsd = findBox(parseChildBoxes(findBox(parseChildBoxes(minf), 'stbl')), 'stsd');
+  const entries = parseChildBoxes(stsd, 16);
+  return { track, entries, samples: buildSampleTable(track) };
+}
+
+const near = (a, b) => Math.abs(a - b) < 0.001;
+
+// ── tests ─────────────────────────────────────────────────
+
+const tests = [
+  test('parsePlaylistText tracks discontinuity sequences and maps', async () => {
+    const text = [
+      '#EXTM3U',
+      '#EXT-X-TARGETDURATION:4',
+      '#EXT-X-DISCONTINUITY-SEQUENCE:5',
+      '#EXT-X-MAP:URI="main.mp4"',
+      '#EXTINF:4,', 'a.m4s',
+      '#EXTINF:4,', 'b.m4s',
+      '#EXT-X-DISCONTINUITY',
+      '#EXT-X-MAP:URI="ad.mp4"',
+      '#EXTINF:4,', 'ad.m4s',
+    ].join('\n');
+    const { segments } = parsePlaylistText(text, `${BASE}index.m3u8`);
+    assert(segments.map(s => s.discontinuitySequence).join() === '5,5,6', 'Sequences');
+    assert(segments.map(s => s.discontinuity).join() === 'false,false,true', 'Discontinuity flags');
+    assert(segments[0].map === segments[1].map, 'Segments share their map');
+    assert(segments[2].map.url === `${BASE}ad.mp4`, 'Map after the discontinuity');
+  }),
+
+  test('stitchTs keeps spacing within a run and rebases across runs', async () => {
+    // 1s at 10s, 1s at 11.5s (same run, 0.5s gap), then 1s at 500s (new run)
+    const segments = [tsSegment(900000), tsSegment(1035000), tsSegment(45000000)];
+    const { samples } = videoTrack(stitchTs(segments, { discontinuitySequences: [0, 0, 1] }));
+    assert(samples.length === 90, `Expected 90 samples, got ${samples.length}`);
+    assert(near(samples[30].dts, 1.5), `Second segment should keep its 0.5s gap, got ${samples[30].dts}`);
+    assert(near(samples[60].dts, 2.5), `Third segment should follow the second, got ${samples[60].dts}`);
+
+    const { samples: butted } = videoTrack(stitchTs(segments));
+    assert(near(butted[30].dts, 1.0), 'Without sequences every segment is butted to the last');
+  }),
+
+  test('a parameter set change adds a sample description', async () => {
+    const mp4 = stitchTs([tsSegment(0), tsSegment(90000, { sps: SPS_1080, pps: PPS_1080 }), tsSegment(180000)],
+      { discontinuitySequences: [0, 1, 2] });
+    const { track, entries, samples } = videoTrack(mp4);
+    assert(entries.length === 2, `Expected 2 stsd entries, got ${entries.length}`);
+    const indexes = track.stsc.map(e => `${e.samplesPerChunk}x${e.sampleDescriptionIndex}`);
+    assert(indexes.join() === '30x1,30x2,30x1', `Unexpected stsc: ${indexes}`);
+    assert(track.stco.length === 3, 'One chunk per run');
+
+    // Sample data still lines up with the chunk offsets
+    const first = samples[30];
+    const nalLength = new DataView(mp4.buffer, mp4.byteOffset + first.offset, 4).getUint32(0);
+    assert(nalLength === SPS_1080.length && mp4[first.offset + 4] === 0x67, 'Chunk 2 should start with the new SPS');
+  }),
+
+  test('fragmented output switches sample description per fragment', async () => {
+    const fmp4 = stitchTs([tsSegment(0), tsSegment(90000, { sps: SPS_1080, pps: PPS_1080 })],
+      { discontinuitySequences: [0, 1], output: 'fmp4' });
+    const boxes = parseBoxes(fmp4);
+    const indexes = boxes.filter(b => b.type === 'moof').map(moof => {
+      const tfhd = findBox(parseChildBoxes(findBox(parseChildBoxes(moof), 'traf')), 'tfhd');
+      return tfhd.data[11] & 0x02 ? new DataView(tfhd.data.buffer, tfhd.data.byteOffset).getUint32(16) : 1;
+    });
+    assert(indexes.join() === '1,2', `Unexpected sample description indexes: ${indexes}`);
+  }),
+
+  test('stitchFmp4 merges segments with a different init', async () => {
+    const fragmented = (ts) => {
+      const parser = new TSParser();
+      parser.parse(ts);
+      parser.finalize();
+      return joinFragmentedMp4(createFragmentedMp4(parser));
+    };
+    const main = fragmented(tsSegment(0, { audio: true }));
+    const ad = fragmented(tsSegment(0, { sps: SPS_1080, pps: PPS_1080, audio: true }));
+    const { track, entries, samples } = videoTrack(stitchFmp4([main, ad, main]));
+    assert(entries.length === 2, `Expected 2 stsd entries, got ${entries.length}`);
+    assert(track.stsc.map(e => e.sampleDescriptionIndex).join() === '1,2,1', `Unexpected stsc: ${JSON.stringify(track.stsc)}`);
+    assert(samples.length === 90 && near(samples[60].dts, 2.0), 'Timeline runs on across inits');
+  }),
+
+  test('downloadHls stitches a discontinuous playlist into an MP4', async () => {
+    const playlist = [
+      '#EXTM3U', '#EXT-X-TARGETDURATION:1',
+      '#EXTINF:1,', 'main0.ts',
+      '#EXTINF:1,', 'main1.ts',
+      '#EXT-X-DISCONTINUITY',
+      '#EXTINF:1,', 'ad0.ts',
+      '#EXT-X-DISCONTINUITY',
+      '#EXTINF:1,', 'main2.ts',
+      '#EXT-X-ENDLIST'
+    ].join('\n');
+    mockFetch({
+      'index.m3u8': playlist,
+      'main0.ts': tsSegment(900000, { audio: true }),
+      'main1.ts': tsSegment(990000, { audio: true }),
+      'ad0.ts': tsSegment(0, { sps: SPS_1080, pps: PPS_1080, audio: true }),
+      'main2.ts': tsSegment(1080000, { audio: true }),
+    });
+    const mp4 = await downloadHls(`${BASE}index.m3u8`);
+    assert(String.fromCharCode(...mp4.subarray(4, 8)) === 'ftyp', 'Should return an MP4');
+    const { entries, samples } = videoTrack(mp4);
+    assert(samples.length === 120, `Expected 120 samples, got ${samples.length}`);
+    assert(near(samples[90].dts, 3.0), `Last segment should start at 3s, got ${samples[90].dts}`);
+    assert(entries.length === 2, 'The ad gets its own sample description');
+  }),
+];
+
+// ── runner ─────────────────────────────────────────────────
+
+async function runTests(tests) {
+  console.log('\n' + '═'.repeat(60));
+  console.log('   HLS Discontinuity Tests');
+  console.log('═'.repeat(60) + '\n');
+
+  const originalFetch = globalThis.fetch;
+  for (const { name, fn } of tests) {
+    try {
+      await fn();
+      console.log(`✅ ${name}`);
+      passed++;
+    } catch (err) {
+      console.log(`❌ ${name}`);
+      console.log(`   Error: ${err.message}`);
+      failed++;
+    } finally {
+      globalThis.fetch = originalFetch;
+    }
+  }
+
+  console.log('\n' + '─'.repeat(60));
+  console.log(`Results: ${passed} passed, ${failed} failed`);
+  console.log('─'.repeat(60) + '\n');
+
+  process.exit(failed > 0 ? 1 : 0);
+}
+
+runTests(tests);
@@ -0,0 +1,312 @@
+/**
+ * HLS Fetch Resilience Tests
+ *
+ * Serves a packaged HLS stream through a mocked fetch() that fails,
+ * stalls or counts requests, and checks retries, the concurrency cap,
+ * cancellation and skipFailedSegments.
+ *
+ * Run: node tests/hls-fetch.test.js
+ */
+
+import toMp4, { packageHls } from '../src/index.js';
+import { fetchWithRetry, createLimiter } from '../src/hls-fetch.js';
+import { analyzeTrack, buildSampleTable } from '../src/parsers/mp4.js';
+import { parseBoxes, findBox, parseChildBoxes } from '../src/fmp4/utils.js';
+import { buildTs, h264Frames, aacFrames } from './ts-fixtures.js';
+
+let passed = 0;
+let failed = 0;
+
+function test(name, fn) {
+  return { name, fn };
+}
+
+function assert(condition, message) {
+  if (!condition) throw new Error(message || 'Assertion failed');
+}
+
+// ── helpers ───────────────────────────────────────────────
+
+const BASE = 'https://cdn.test/vod/';
+const FAST = { retryDelay: 1 };
+
+/** 8 one-second MPEG-TS segments of H.264 with AAC */
+const PACKAGE = packageHls(buildTs([
+  { pid: 0x101, streamType: 0x1B, streamId: 0xE0, frames: h264Frames(240, { start: 90000 }) },
+  { pid: 0x102, streamType: 0x0F, streamId: 0xC0, frames: aacFrames(375, { start: 90000 }) },
+]), { format: 'ts', segmentDuration: 1.5 });
+
+function makeResponse(body, status = 200) {
+  const bytes = typeof body === 'string' ? new TextEncoder().encode(body) : body;
+  return {
+    ok: status >= 200 && status < 300,
+    status,
+    statusText: String(status),
+    async text() { return new TextDecoder().decode(bytes); },
+    async arrayBuffer() { return bytes.slice().buffer; },
+  };
+}
+
+/**
+ * Serve the package; `handle(name, count, init)` may return a response
+ * (or a promise of one) to override a request. Returns request stats.
+ */
+function serve(handle = () => null) {
+  const files = new Map(PACKAGE.files.map(file => [file.name, file.data]));
+  const stats = { requests: [], inFlight: 0, maxInFlight: 0 };
+  const counts = new Map();
+  globalThis.fetch = async (url, init = {}) => {
+    const name = String(url).replace(BASE, '');
+    const count = (counts.get(name) || 0) + 1;
+    counts.set(name, count);
+    stats.requests.push(name);
+    stats.inFlight++;
+    stats.maxInFlight = Math.max(stats.maxInFlight, stats.inFlight);
+    try {
+      await new Promise(resolve => setTimeout(resolve, 2));
+      const override = await handle(name, count, init);
+      if (override) return override;
+      return files.has(name) ? makeResponse(files.get(name)) : makeResponse('', 404);
+    } finally {
+      stats.inFlight--;
+    }
+  };
+  return stats;
+}
+
+/** A fetch() that never answers until its signal aborts */
+function stall(init) {
+  return new Promise((resolve, reject) => {
+    if (init.signal?.aborted) return reject(init.signal.reason);
+    init.signal?.addEventListener('abort', () => reject(init.signal.reason), { once: true });
+  });
+}
+
+function videoSamples(mp4) {
+  const moov = findBox(parseBoxes(mp4), 'moov');
+  const trak = parseChildBoxes(moov).find(b => b.type === 'trak');
+  return buildSampleTable(analyzeTrack(moov.data, trak.offset, trak.size)).length;
+}
+
+async function rejection(promise) {
+  try { await promise; } catch (err) { return err; }
+  return null;
+}
+
+// ── tests ─────────────────────────────────────────────────
+
+const tests = [
+  test('the package has 8 segments', async () => {
+    assert(PACKAGE.segments.length === 8, `Segments: ${PACKAGE.segments.length}`);
+  }),
+
+  test('5xx and 429 responses are retried', async () => {
+    const stats = serve((name, count) => {
+      if (name === 'segment2.ts' && count === 1) return makeResponse('', 503);
+      if (name === 'playlist.m3u8' && count === 1) return makeResponse('', 429);
+    });
+    const mp4 = await toMp4(BASE + 'master.m3u8', FAST);
+    assert(videoSamples(mp4.data) === 240, 'Every frame downloaded');
+    assert(stats.requests.filter(name => name === 'segment2.ts').length === 2, 'Failed segment requested again');
+    assert(mp4.gaps.length === 0, 'No gaps');
+  }),
+
+  test('other 4xx responses fail without retrying', async () => {
+    const stats = serve(name => name === 'segment5.ts' ? makeResponse('', 404) : null);
+    const err = await rejection(toMp4(BASE + 'master.m3u8', FAST));
+    assert(err?.message.includes('failed: 404'), `Error: ${err?.message}`);
+    assert(stats.requests.filter(name => name === 'segment5.ts').length === 1, 'Requested once');
+  }),
+
+  test('gives up after the configured retries', async () => {
+    const stats = serve(name => name === 'segment1.ts' ? makeResponse('', 500) : null);
+    const err = await rejection(toMp4(BASE + 'master.m3u8', { ...FAST, retries: 3 }));
+    assert(err?.message.includes('failed: 500'), `Error: ${err?.message}`);
+    assert(stats.requests.filter(name => name === 'segment1.ts').length === 4, 'First attempt plus 3 retries');
+  }),
+
+  test('network errors and timeouts are retried', async () => {
+    serve((name, count, init) => {
+      if (name === 'segment0.ts' && count === 1) throw new TypeError('fetch failed');
+      if (name === 'segment3.ts' && count === 1) return stall(init);
+    });
+    const mp4 = await toMp4(BASE + 'master.m3u8', { ...FAST, timeout: 50 });
+    assert(videoSamples(mp4.data) === 240, 'Every frame downloaded');
+
+    serve((name, count, init) => stall(init));
+    const err = await rejection(fetchWithRetry(BASE + 'master.m3u8', {}, { ...FAST, timeout: 20, retries: 1 }));
+    assert(err?.message.includes('Fetch timeout after 20ms'), `Error: ${err?.message}`);
+  }),
+
+  test('bodies that stall after the headers time out and are retried', async () => {
+    // Headers arrive at once; the body never does until the request is aborted
+    const stalledBody = (init) => ({ ...makeResponse(''), arrayBuffer: () => stall(init), text: () => stall(init) });
+    const stats = serve((name, count, init) => name === 'segment4.ts' && count === 1 ? stalledBody(init) : null);
+    const mp4 = await toMp4(BASE + 'master.m3u8', { ...FAST, timeout: 50 });
+    assert(videoSamples(mp4.data) === 240, 'Every frame downloaded');
+    assert(stats.requests.filter(name => name === 'segment4.ts').length === 2, 'Stalled segment requested again');
+
+    serve((name, count, init) => stalledBody(init));
+    const err = await rejection(fetchWithRetry(BASE + 'master.m3u8', {}, { ...FAST, timeout: 20, retries: 1 }));
+    assert(err?.message.includes('Fetch timeout after 20ms'), `Error: ${err?.message}`);
+
+    const controller = new AbortController();
+    serve((name, count, init) => name === 'segment1.ts' ? stalledBody(init) : null);
+    setTimeout(() => controller.abort(), 30);
+    const aborted = await rejection(toMp4(BASE + 'master.m3u8', { timeout: 0, signal: controller.signal }));
+    assert(aborted?.name === 'AbortError', `Error: ${aborted?.name} ${aborted?.message}`);
+  }),
+
+  test('slow bodies that keep progressing are not timed out', async () => {
+    // 10 chunks 30ms apart: 300ms in all, with a 100ms timeout. Like
+    // fetch(), aborting the request errors the body.
+    const slowBody = (init) => {
+      let sent = 0;
+      return new Response(new ReadableStream({
+        start(controller) {
+          init.signal.addEventListener('abort', () => controller.error(init.signal.reason), { once: true });
+        },
+        async pull(controller) {
+          await new Promise(resolve => setTimeout(resolve, 30));
+          if (init.signal.aborted) return;
+          if (sent === 10) return controller.close();
+          controller.enqueue(new Uint8Array(100).fill(++sent));
+        }
+      }));
+    };
+    const stats = serve((name, count, init) => slowBody(init));
+    const response = await fetchWithRetry(BASE + 'long.ts', {}, { ...FAST, timeout: 100 });
+    const bytes = new Uint8Array(await response.arrayBuffer());
+    assert(stats.requests.length === 1, `Requests: ${stats.requests.length}`);
+    assert(bytes.length === 1000 && bytes[999] === 10, `Body: ${bytes.length} bytes`);
+  }),
+
+  test('retried responses have their body cancelled', async () => {
+    let cancelled = 0;
+    serve((name, count) => name === 'segment0.ts' && count === 1
+      ? { ...makeResponse('', 503), body: { cancel: async () => { cancelled++; } } }
+      : null);
+    await toMp4(BASE + 'master.m3u8', FAST);
+    assert(cancelled === 1, `Cancelled ${cancelled}`);
+
+    // The last attempt's response is returned with its body
+    serve(() => makeResponse('busy', 503));
+    const response = await fetchWithRetry(BASE + 'master.m3u8', {}, { ...FAST, retries: 1 });
+    assert(response.status === 503 && await response.text() === 'busy', 'Last response readable');
+  }),
+
+  test('concurrency caps segment requests in flight', async () => {
+    for (const concurrency of [1, 3]) {
+      const stats = serve();
+      await toMp4(BASE + 'master.m3u8', { concurrency });
+      assert(stats.maxInFlight === concurrency, `concurrency ${concurrency}: ${stats.maxInFlight} in flight`);
+    }
+    const stats = serve();
+    await toMp4(BASE + 'master.m3u8');
+    assert(stats.maxInFlight === 6, `Default: ${stats.maxInFlight} in flight`);
+  }),
+
+  test('queued segments are not requested after a failure', async () => {
+    const stats = serve(name => name === 'segment0.ts' ? makeResponse('', 403) : null);
+    await rejection(toMp4(BASE + 'master.m3u8', { concurrency: 1 }));
+    assert(!stats.requests.includes('segment1.ts'), `Requests: ${stats.requests}`);
+  }),
+
+  test('an AbortSignal cancels the download', async () => {
+    const controller = new AbortController();
+    const stats = serve((name, count, init) => {
+      if (name === 'segment1.ts') {
+        controller.abort();
+        return stall(init);
+      }
+    });
+    const err = await rejection(toMp4(BASE + 'master.m3u8', { concurrency: 1, signal: controller.signal }));
+    assert(err?.name === 'AbortError', `Error: ${err?.name} ${err?.message}`);
+    assert(!stats.requests.includes('segment2.ts'), 'Nothing requested after the abort');
+
+    const aborted = await rejection(toMp4.parseHls(BASE + 'master.m3u8', { signal: AbortSignal.abort() }));
+    assert(aborted?.name === 'AbortError', 'Already-aborted signals reject parseHls');
+
+    // ...and pending retries
+    const retrying = new AbortController();
+    serve(() => makeResponse('', 503));
+    const pending = fetchWithRetry(BASE + 'master.m3u8', {}, { signal: retrying.signal, retryDelay: 60000 });
+    setTimeout(() => retrying.abort(), 20);
+    assert((await rejection(pending))?.name === 'AbortError', 'Aborts the backoff wait');
+  }),
+
+  test('skipFailedSegments leaves failing segments out and records gaps', async () => {
+    serve(name => ['segment3.ts', 'segment6.ts'].includes(name) ? makeResponse('', 502) : null);
+    const mp4 = await toMp4(BASE + 'master.m3u8', { ...FAST, skipFailedSegments: true });
+    assert(videoSamples(mp4.data) === 180, `Frames: ${videoSamples(mp4.data)}`);
+    assert(mp4.gaps.length === 2, `Gaps: ${mp4.gaps.length}`);
+    const [gap] = mp4.gaps;
+    assert(gap.url === BASE + 'segment3.ts' && gap.startTime === 3 && gap.endTime === 4, `Gap: ${JSON.stringify(gap)}`);
+    assert(gap.error.includes('502'), `Gap error: ${gap.error}`);
+    assert(mp4.gaps[1].startTime === 6, 'Gaps in playlist order');
+
+    serve(name => name.startsWith('segment') ? makeResponse('', 500) : null);
+    const err = await rejection(toMp4(BASE + 'master.m3u8', { ...FAST, retries: 0, skipFailedSegments: true }));
+    assert(err?.message === 'Every segment failed to download', `Error: ${err?.message}`);
+  }),
+
+  test('clips start from the first segment that downloaded', async () => {
+    serve(name => name === 'segment2.ts' ? makeResponse('', 500) : null);
+    const mp4 = await toMp4(BASE + 'master.m3u8', { ...FAST, retries: 0, skipFailedSegments: true, startTime: 2, endTime: 5 });
+    assert(mp4.gaps.length === 1, 'One gap');
+    assert(videoSamples(mp4.data) === 60, `Frames: ${videoSamples(mp4.data)}`);
+  }),
+
+  test('createLimiter runs tasks in order within the limit', async () => {
+    const limit = createLimiter(2);
+    const started = [];
+    let active = 0;
+    let peak = 0;
+    const results = await Promise.all([0, 1, 2, 3, 4].map(i => limit(async () => {
+      started.push(i);
+      peak = Math.max(peak, ++active);
+      await new Promise(resolve => setTimeout(resolve, 5));
+      active--;
+      return i * 10;
+    })));
+    assert(results.join() === '0,10,20,30,40', `Results: ${results}`);
+    assert(started.join() === '0,1,2,3,4' && peak === 2, `Started ${started}, peak ${peak}`);
+
+    let error = null;
+    try { createLimiter(0); } catch (err) { error = err; }
+    assert(error?.message.includes('Invalid concurrency'), 'Rejects concurrency below 1');
+  }),
+];
+
+// ── runner ─────────────────────────────────────────────────
+
+async function runTests(tests) {
+  console.log('\n' + '═'.repeat(60));
+  console.log('   HLS Fetch Resilience Tests');
+  console.log('═'.repeat(60) + '\n');
+
+  const originalFetch = globalThis.fetch;
+  try {
+    for (const { name, fn } of tests) {
+      try {
+        await fn();
+        console.log(`✅ ${name}`);
+        passed++;
+      } catch (err) {
+        console.log(`❌ ${name}`);
+        console.log(`   Error: ${err.message}`);
+        failed++;
+      }
+    }
+  } finally {
+    globalThis.fetch = originalFetch;
+  }
+
+  console.log('\n' + '─'.repeat(60));
+  console.log(`Results: ${passed} passed, ${failed} failed`);
+  console.log('─'.repeat(60) + '\n');
+
+  process.exit(failed > 0 ? 1 : 0);
+}
+
+runTests(tests);
@@ -0,0 +1,220 @@
+/**
+ * HLS/DASH Packaging Tests
+ *
+ * Packages synthetic MPEG-TS (and MP4 made from it) with packageHls(),
+ * checks the segments, playlists and DASH manifest, and plays the package
+ * back through toMp4() with a mocked fetch() serving its files.
+ *
+ * Run: node tests/hls-package.test.js
+ */
+
+import toMp4, { packageHls, convertTsToMp4 } from '../src/index.js';
+import { analyzeTrack, buildSampleTable } from '../src/parsers/mp4.js';
+import { parseBoxes, findBox, parseChildBoxes } from '../src/fmp4/utils.js';
+import { buildTs, annexB, h264Frames, aacFrames, ac3Frames, HEVC_VPS, HEVC_SPS, HEVC_PPS } from './ts-fixtures.js';
+
+let passed = 0;
+let failed = 0;
+
+function test(name, fn) {
+  return { name, fn };
+}
+
+function assert(condition, message) {
+  if (!condition) throw new Error(message || 'Assertion failed');
+}
+
+// ── helpers ───────────────────────────────────────────────
+
+const BASE = 'https://cdn.test/clip/';
+
+/** 10s of H.264 (a keyframe every second) with AAC */
+function avTs() {
+  return buildTs([
+    { pid: 0x101, streamType: 0x1B, streamId: 0xE0, frames: h264Frames(300, { start: 90000 }) },
+    { pid: 0x102, streamType: 0x0F, streamId: 0xC0, frames: aacFrames(469, { start: 90000 }) },
+  ]);
+}
+
+function makeResponse(body, status = 200) {
+  const bytes = typeof body === 'string' ? new TextEncoder().encode(body) : body;
+  return {
+    ok: status >= 200 && status < 300,
+    status,
+    statusText: String(status),
+    async text() { return new TextDecoder().decode(bytes); },
+    async arrayBuffer() { return bytes.slice().buffer; },
+  };
+}
+
+/** Serve a package's files; returns the names requested */
+function servePackage(pkg) {
+  const files = new Map(pkg.files.map(file => [file.name, file.data]));
+  const requests = [];
+  globalThis.fetch = async (url) => {
+    const name = String(url).replace(BASE, '');
+    requests.push(name);
+    return files.has(name) ? makeResponse(files.get(name)) : makeResponse('', 404);
+  };
+  return requests;
+}
+
+function tracks(mp4) {
+  const moov = findBox(parseBoxes(mp4), 'moov');
+  return parseChildBoxes(moov).filter(b => b.type === 'trak').map(trak => {
+    const track = analyzeTrack(moov.data, trak.offset, trak.size);
+    const samples = buildSampleTable(track);
+    return { type: track.type, samples: samples.length, duration: samples.reduce((sum, s) => sum + s.duration, 0) };
+  });
+}
+
+// ── tests ─────────────────────────────────────────────────
+
+const tests = [
+  test('segments start at keyframes and cover every frame', async () => {
+    const pkg = packageHls(avTs(), { segmentDuration: 4, format: 'ts' });
+    // One-second GOPs combine while they stay under the target: 3+3+3+1
+    assert(pkg.segments.map(s => s.duration).join() === '3,3,3,1', `Durations: ${pkg.segments.map(s => s.duration)}`);
+    assert(pkg.segments.map(s => s.startTime).join() === '0,3,6,9', `Starts: ${pkg.segments.map(s => s.startTime)}`);
+    assert(pkg.segments.map(s => s.name).join() === 'segment0.ts,segment1.ts,segment2.ts,segment3.ts', 'Segment names');
+    assert(pkg.duration === 10, `Duration: ${pkg.duration}`);
+    assert(pkg.init === null, 'TS packages have no init segment');
+
+    for (const segment of pkg.segments) {
+      assert(segment.data[0] === 0x47 && segment.data.length % 188 === 0, `${segment.name} is MPEG-TS`);
+      const [video, audio] = tracks(convertTsToMp4(segment.data));
+      assert(video.samples === segment.duration * 30, `${segment.name}: ${video.samples} video frames`);
+      assert(audio.type === 'soun' && audio.samples > 0, `${segment.name} carries audio`);
+    }
+  }),
+
+  test('HLS playlists describe the package', async () => {
+    const pkg = packageHls(avTs(), { format: 'fmp4' });
+    const master = pkg.masterPlaylist;
+    assert(master.includes('CODECS="avc1.42c00d,mp4a.40.2"'), `Codecs: ${master}`);
+    assert(master.includes('RESOLUTION=320x240'), 'Resolution');
+    assert(master.includes(`BANDWIDTH=${pkg.bandwidth},AVERAGE-BANDWIDTH=${pkg.averageBandwidth}`), 'Bandwidths');
+    assert(pkg.bandwidth >= pkg.averageBandwidth, 'BANDWIDTH is the peak');
+
+    const media = pkg.mediaPlaylist;
+    assert(media.includes('#EXT-X-VERSION:6') && media.includes('#EXT-X-MAP:URI="init.mp4"'), 'fMP4 playlists map the init segment');
+    assert(media.includes('#EXT-X-TARGETDURATION:3'), 'Target duration');
+    assert(media.includes('#EXTINF:1.000000,\nsegment3.m4s\n#EXT-X-ENDLIST'), `Media playlist: ${media}`);
+
+    const names = pkg.files.map(f => f.name);
+    assert(names.join() === 'master.m3u8,playlist.m3u8,manifest.mpd,init.mp4,segment0.m4s,segment1.m4s,segment2.m4s,segment3.m4s',
+      `Files: ${names}`);
+    assert(pkg.files.find(f => f.name === 'manifest.mpd').contentType === 'application/dash+xml', 'Content types');
+  }),
+
+  test('fMP4 segments are one fragment each', async () => {
+    const pkg = packageHls(avTs());
+    const init = parseBoxes(pkg.init).map(b => b.type);
+    assert(init.join() === 'ftyp,moov', `Init: ${init}`);
+    for (const segment of pkg.segments) {
+      const types = parseBoxes(segment.data).map(b => b.type);
+      assert(types.join() === 'moof,mdat', `${segment.name}: ${types}`);
+    }
+  }),
+
+  test('DASH manifest uses a SegmentTimeline on the fragments timeline', async () => {
+    const pkg = packageHls(avTs());
+    const mpd = pkg.dashManifest;
+    assert(mpd.includes('mediaPresentationDuration="PT10S"'), 'Duration');
+    assert(mpd.includes('codecs="avc1.42c00d,mp4a.40.2"') && mpd.includes('width="320" height="240"'), 'Representation');
+    assert(mpd.includes('initialization="init.mp4" media="segment$Number$.m4s" startNumber="0"'), 'Template');
+    assert(mpd.includes('<S t="0" d="270000" r="2"/>') && mpd.includes('<S d="90000"/>'), `Timeline: ${mpd}`);
+
+    let error = null;
+    try { packageHls(avTs(), { format: 'ts' }).dashManifest; } catch (err) { error = err; }
+    assert(error?.message.includes("format: 'fmp4'"), `TS packages have no DASH manifest: ${error?.message}`);
+  }),
+
+  test('packages play back through toMp4 as HLS and DASH', async () => {
+    for (const [format, entry] of [['ts', 'master.m3u8'], ['fmp4', 'master.m3u8'], ['fmp4', 'manifest.mpd']]) {
+      const pkg = packageHls(avTs(), { format });
+      const requests = servePackage(pkg);
+      const mp4 = await toMp4(BASE + entry);
+      const [video, audio] = tracks(mp4.data);
+      assert(video.samples === 300, `${format} ${entry}: ${video.samples} video frames`);
+      assert(Math.abs(audio.duration - 10) < 0.05, `${format} ${entry}: audio ${audio.duration}s`);
+      const segments = requests.filter(name => name.startsWith('segment'));
+      assert(segments.length === 4, `${format} ${entry} fetched ${requests}`);
+    }
+  }),
+
+  test('MP4 sources are packaged from their samples', async () => {
+    const mp4 = convertTsToMp4(avTs());
+    for (const format of ['ts', 'fmp4']) {
+      const pkg = packageHls(mp4, { format, segmentDuration: 2.5 });
+      assert(pkg.segments.length === 5, `${format}: ${pkg.segments.length} segments`);
+      assert(pkg.codecs === 'avc1.42c00d,mp4a.40.2', `${format}: ${pkg.codecs}`);
+      servePackage(pkg);
+      const [video] = tracks((await toMp4(BASE + 'master.m3u8')).data);
+      assert(video.samples === 300, `${format}: ${video.samples} video frames`);
+    }
+    // fMP4 in, fMP4 out
+    const fmp4 = convertTsToMp4(avTs(), { output: 'fmp4' });
+    assert(packageHls(fmp4.buffer).segments.length === 4, 'Fragmented MP4 sources');
+  }),
+
+  test('HEVC and AC-3 keep their codecs in fMP4', async () => {
+    const frames = [];
+    for (let i = 0; i < 60; i++) {
+      const key = i % 30 === 0;
+      const slice = new Uint8Array([(key ? 19 : 1) << 1, 0x01, 0xAF, i]);
+      frames.push({ data: annexB(key ? [HEVC_VPS, HEVC_SPS, HEVC_PPS, slice] : [slice]), pts: i * 3000 });
+    }
+    const ts = buildTs([
+      { pid: 0x101, streamType: 0x24, streamId: 0xE0, frames },
+      { pid: 0x102, streamType: 0x81, streamId: 0xBD, frames: ac3Frames(62) },
+    ]);
+    const pkg = packageHls(ts, { segmentDuration: 1 });
+    assert(pkg.segments.length === 2, `Segments: ${pkg.segments.length}`);
+    assert(pkg.codecs === 'hvc1.1.6.L93.90,ac-3', `Codecs: ${pkg.codecs}`);
+    assert(parseBoxes(pkg.init).some(b => b.type === 'moov'), 'Init segment');
+
+    let error = null;
+    try { packageHls(ts, { format: 'ts' }); } catch (err) { error = err; }
+    assert(error?.message.includes('H.264 video with AAC audio'), `TS segments need H.264/AAC: ${error?.message}`);
+  }),
+
+  test('rejects unknown formats', async () => {
+    let error = null;
+    try { packageHls(avTs(), { format: 'webm' }); } catch (err) { error = err; }
+    assert(error?.message.includes('Unknown package format: webm'), `Error: ${error?.message}`);
+  }),
+];
+
+// ── runner ─────────────────────────────────────────────────
+
+async function runTests(tests) {
+  console.log('\n' + '═'.repeat(60));
+  console.log('   HLS/DASH Packaging Tests');
+  console.log('═'.repeat(60) + '\n');
+
+  const originalFetch = globalThis.fetch;
+  try {
+    for (const { name, fn } of tests) {
+      try {
+        await fn();
+        console.log(`✅ ${name}`);
+        passed++;
+      } catch (err) {
+        console.log(`❌ ${name}`);
+        console.log(`   Error: ${err.message}`);
+        failed++;
+      }
+    }
+  } finally {
+    globalThis.fetch = originalFetch;
+  }
+
+  console.log('\n' + '─'.repeat(60));
+  console.log(`Results: ${passed} passed, ${failed} failed`);
+  console.log('─'.repeat(60) + '\n');
+
+  process.exit(failed > 0 ? 1 : 0);
+}
+
+runTests(tests);
@@ -0,0 +1,214 @@
+/**
+ * HLS Live Recording Tests
+ *
+ * Serves a rolling live playlist from a local HTTP server (the window
+ * advances one segment per playlist request) and records it.
+ *
+ * Run: node tests/hls-record.test.js
+ */
+
+import http from 'node:http';
+import toMp4 from '../src/index.js';
+import { MP4Parser } from '../src/parsers/mp4.js';
+import { buildTs, h264Frames, aacFrames } from './ts-fixtures.js';
+
+let passed = 0;
+let failed = 0;
+
+function test(name, fn) {
+  return { name, fn };
+}
+
+function assert(condition, message) {
+  if (!condition) throw new Error(message || 'Assertion failed');
+}
+
+// ── live stream stub ──────────────────────────────────────
+
+const WINDOW = 3;
+
+/** One second of A/V for media sequence n */
+function segment(n) {
+  const start = 90000 * (n + 1);
+  return buildTs([
+    { pid: 0x101, streamType: 0x1B, streamId: 0xE0, frames: h264Frames(30, { start }) },
+    { pid: 0x102, streamType: 0x0F, streamId: 0xC0, frames: aacFrames(47, { start }) },
+  ]);
+}
+
+/**
+ * Start a server whose playlist gains a segment on every request
+ * @param {object} [options]
+ * @param {number} [options.endAfter] - Add #EXT-X-ENDLIST once this many segments exist
+ * @param {number} [options.stall] - Segment whose response never comes
+ * @param {number} [options.resetAt] - Restart the stream once this many segments exist:
+ *   media sequence numbers start over at 0, with new segment names (restart-segN.ts)
+ * @param {number} [options.failAfter] - Answer playlist requests after this many with 500
+ */
+async function startLiveServer({ endAfter = Infinity, stall = null, resetAt = Infinity, failAfter = Infinity } = {}) {
+  const state = { playlistRequests: 0, segmentRequests: [] };
+  let available = WINDOW;
+  let prefix = 'seg';
+
+  const server = http.createServer((req, res) => {
+    if (req.url === '/live.m3u8') {
+      state.playlistRequests++;
+      if (state.playlistRequests > failAfter) {
+        res.statusCode = 500;
+        res.end();
+        return;
+      }
+      if (prefix === 'seg' && available >= resetAt) {
+        prefix = 'restart-seg';
+        available = 1;
+      }
+      const first = Math.max(0, available - WINDOW);
+      const lines = ['#EXTM3U', '#EXT-X-VERSION:3', '#EXT-X-TARGETDURATION:1', `#EXT-X-MEDIA-SEQUENCE:${first}`];
+      for (let n = first; n < available; n++) lines.push('#EXTINF:1.0,', `${prefix}${n}.ts`);
+      if (available >= endAfter) lines.push('#EXT-X-ENDLIST');
+      res.end(lines.join('\n'));
+      available = Math.min(available + 1, endAfter);
+      return;
+    }
+    const match = req.url.match(/^\/(restart-)?seg(\d+)\.ts$/);
+    if (match) {
+      const n = Number(match[2]);
+      state.segmentRequests.push(match[1] ? `r${n}` : n);
+      if (n === stall && !match[1]) return;
+      res.end(Buffer.from(segment(n)));
+      return;
+    }
+    res.statusCode = 404;
+    res.end();
+  });
+
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  state.url = `http://127.0.0.1:${server.address().port}/live.m3u8`;
+  state.close = () => {
+    server.closeAllConnections();
+    return new Promise(resolve => server.close(resolve));
+  };
+  return state;
+}
+
+function videoFrameCount(mp4Data) {
+  const parser = new MP4Parser(mp4Data);
+  return parser.getVideoSamples().length;
+}
+
+// ── tests ─────────────────────────────────────────────────
+
+const tests = [
+  test('records from the live edge without duplicates', async () => {
+    const live = await startLiveServer();
+    try {
+      const mp4 = await toMp4.recordHls(live.url, { duration: 3 });
+      assert(live.segmentRequests.join() === '2,3,4', `Segments fetched: ${live.segmentRequests}`);
+      assert(live.playlistRequests === 3, `Playlist loads: ${live.playlistRequests}`);
+      assert(videoFrameCount(mp4.data) === 90, `Video frames: ${videoFrameCount(mp4.data)}`);
+    } finally {
+      await live.close();
+    }
+  }),
+
+  test('fromStart records the whole first window', async () => {
+    const live = await startLiveServer();
+    try {
+      await toMp4.recordHls(live.url, { duration: 4, fromStart: true });
+      assert(live.segmentRequests.join() === '0,1,2,3', `Segments fetched: ${live.segmentRequests}`);
+    } finally {
+      await live.close();
+    }
+  }),
+
+  test('AbortSignal stops recording and keeps what was recorded', async () => {
+    const live = await startLiveServer();
+    try {
+      const controller = new AbortController();
+      setTimeout(() => controller.abort(), 1500);
+      const started = Date.now();
+      const mp4 = await toMp4.recordHls(live.url, { duration: 60, signal: controller.signal });
+      assert(Date.now() - started < 2500, 'Recording should stop soon after abort');
+      assert(live.segmentRequests.join() === '2,3', `Segments fetched: ${live.segmentRequests}`);
+      assert(videoFrameCount(mp4.data) === 60, `Video frames: ${videoFrameCount(mp4.data)}`);
+    } finally {
+      await live.close();
+    }
+  }),
+
+  test('AbortSignal cancels a segment request in flight', async () => {
+    const live = await startLiveServer({ stall: 3 });
+    try {
+      const controller = new AbortController();
+      setTimeout(() => controller.abort(), 1500);
+      const started = Date.now();
+      const mp4 = await toMp4.recordHls(live.url, { duration: 60, signal: controller.signal });
+      assert(Date.now() - started < 2500, `Stopped after ${Date.now() - started}ms`);
+      assert(live.segmentRequests.join() === '2,3', `Segments fetched: ${live.segmentRequests}`);
+      assert(videoFrameCount(mp4.data) === 30, `Video frames: ${videoFrameCount(mp4.data)}`);
+    } finally {
+      await live.close();
+    }
+  }),
+
+  test('a media sequence reset continues after a discontinuity', async () => {
+    const live = await startLiveServer({ resetAt: 5 });
+    try {
+      const mp4 = await toMp4.recordHls(live.url, { duration: 5 });
+      assert(live.segmentRequests.join() === '2,3,r0,r1,r2', `Segments fetched: ${live.segmentRequests}`);
+      assert(videoFrameCount(mp4.data) === 150, `Video frames: ${videoFrameCount(mp4.data)}`);
+    } finally {
+      await live.close();
+    }
+  }),
+
+  test('a failing reload ends the recording with what was recorded', async () => {
+    const live = await startLiveServer({ failAfter: 3 });
+    try {
+      const mp4 = await toMp4.recordHls(live.url, { duration: 60, retries: 1, retryDelay: 1 });
+      assert(live.playlistRequests === 5, `Playlist loads: ${live.playlistRequests} (one retry)`);
+      assert(live.segmentRequests.join() === '2,3,4', `Segments fetched: ${live.segmentRequests}`);
+      assert(videoFrameCount(mp4.data) === 90, `Video frames: ${videoFrameCount(mp4.data)}`);
+    } finally {
+      await live.close();
+    }
+  }),
+
+  test('#EXT-X-ENDLIST ends the recording', async () => {
+    const live = await startLiveServer({ endAfter: 5 });
+    try {
+      await toMp4.recordHls(live.url, { fromStart: true });
+      assert(live.segmentRequests.join() === '0,1,2,3,4', `Segments fetched: ${live.segmentRequests}`);
+    } finally {
+      await live.close();
+    }
+  }),
+];
+
+// ── runner ─────────────────────────────────────────────────
+
+async function runTests(tests) {
+  console.log('\n' + '═'.repeat(60));
+  console.log('   HLS Live Recording Tests');
+  console.log('═'.repeat(60) + '\n');
+
+  for (const { name, fn } of tests) {
+    try {
+      await fn();
+      console.log(`✅ ${name}`);
+      passed++;
+    } catch (err) {
+      console.log(`❌ ${name}`);
+      console.log(`   Error: ${err.message}`);
+      failed++;
+    }
+  }
+
+  console.log('\n' + '─'.repeat(60));
+  console.log(`Results: ${passed} passed, ${failed} failed`);
+  console.log('─'.repeat(60) + '\n');
+
+  process.exit(failed > 0 ? 1 : 0);
+}
+
+runTests(tests);
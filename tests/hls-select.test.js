@@ -0,0 +1,173 @@
+/**
+ * HLS Variant Selection Tests
+ *
+ * Parses a master playlist's #EXT-X-STREAM-INF attributes into
+ * HlsVariant and checks HlsStream.select() with height labels, quality
+ * criteria and the older selectors, plus the same selectors on DASH.
+ *
+ * Run: node tests/hls-select.test.js
+ */
+
+import { HlsStream, parsePlaylistText } from '../src/hls.js';
+import { DashStream, parseMpdText } from '../src/dash.js';
+
+let passed = 0;
+let failed = 0;
+
+function test(name, fn) {
+  return { name, fn };
+}
+
+function assert(condition, message) {
+  if (!condition) throw new Error(message || 'Assertion failed');
+}
+
+// ── fixtures ──────────────────────────────────────────────
+
+const BASE = 'https://cdn.test/show/master.m3u8';
+
+const MASTER = `#EXTM3U
+#EXT-X-INDEPENDENT-SEGMENTS
+#EXT-X-MEDIA:TYPE=AUDIO,GROUP-ID="aac",LANGUAGE="en",NAME="English",DEFAULT=YES,URI="audio/en.m3u8"
+#EXT-X-MEDIA:TYPE=SUBTITLES,GROUP-ID="subs",LANGUAGE="en",NAME="English",URI="subs/en.m3u8"
+#EXT-X-STREAM-INF:BANDWIDTH=12000000,RESOLUTION=3840x2160,CODECS="hvc1.2.4.L153.B0,mp4a.40.2",FRAME-RATE=59.940,HDCP-LEVEL=TYPE-1,VIDEO-RANGE=PQ,AUDIO="aac",SUBTITLES="subs"
+hevc/2160p.m3u8
+#EXT-X-STREAM-INF:BANDWIDTH=6000000,RESOLUTION=1920x1080,CODECS="hvc1.2.4.L123.B0,mp4a.40.2",FRAME-RATE=29.970,VIDEO-RANGE=SDR,AUDIO="aac",SUBTITLES="subs"
+hevc/1080p.m3u8
+#EXT-X-STREAM-INF:BANDWIDTH=8000000,RESOLUTION=1920x1080,CODECS="avc1.640028,mp4a.40.2",FRAME-RATE=59.940,HDCP-LEVEL=TYPE-0,VIDEO-RANGE=SDR,AUDIO="aac"
+avc/1080p60.m3u8
+#EXT-X-STREAM-INF:BANDWIDTH=5000000,RESOLUTION=1920x1080,CODECS="avc1.640028,mp4a.40.2",FRAME-RATE=29.970,AUDIO="aac"
+avc/1080p.m3u8
+#EXT-X-STREAM-INF:BANDWIDTH=2800000,RESOLUTION=1280x720,CODECS="avc1.64001f,mp4a.40.2",FRAME-RATE=29.970,AUDIO="aac"
+avc/720p.m3u8
+#EXT-X-STREAM-INF:BANDWIDTH=1200000,RESOLUTION=854x480,CODECS="avc1.4d401e,mp4a.40.2",FRAME-RATE=29.970,AUDIO="aac"
+avc/480p.m3u8
+#EXT-X-STREAM-INF:BANDWIDTH=64000,CODECS="mp4a.40.2",AUDIO="aac"
+audio-only.m3u8
+#EXT-X-I-FRAME-STREAM-INF:BANDWIDTH=300000,RESOLUTION=1280x720,CODECS="avc1.64001f",VIDEO-RANGE=SDR,URI="avc/720p-iframes.m3u8"
+`;
+
+function master() {
+  const { variants, iframeVariants, renditions } = parsePlaylistText(MASTER, BASE);
+  const stream = new HlsStream(BASE, variants);
+  stream.iframeVariants = iframeVariants;
+  stream.renditions = renditions;
+  return stream;
+}
+
+const path = stream => stream.selected.url.replace('https://cdn.test/show/', '');
+
+function throws(fn) {
+  try { fn(); } catch (err) { return err; }
+  return null;
+}
+
+// ── tests ─────────────────────────────────────────────────
+
+const tests = [
+  test('STREAM-INF attributes are parsed into HlsVariant', () => {
+    const [uhd, , avc60] = master().variants;
+    assert(uhd.bandwidth === 12000000 && uhd.resolution === '3840x2160', 'Bandwidth and resolution');
+    assert(uhd.width === 3840 && uhd.height === 2160, `Dimensions ${uhd.width}x${uhd.height}`);
+    assert(uhd.codecs === 'hvc1.2.4.L153.B0,mp4a.40.2', `Codecs ${uhd.codecs}`);
+    assert(uhd.frameRate === 59.94, `Frame rate ${uhd.frameRate}`);
+    assert(uhd.hdcpLevel === 'TYPE-1' && uhd.videoRange === 'PQ', `${uhd.hdcpLevel} ${uhd.videoRange}`);
+    assert(uhd.audioGroup === 'aac' && uhd.subtitleGroup === 'subs', 'Rendition groups');
+    assert(uhd.url === 'https://cdn.test/show/hevc/2160p.m3u8', `URL ${uhd.url}`);
+    assert(avc60.subtitleGroup === null && avc60.hdcpLevel === 'TYPE-0', 'Missing attributes are null');
+
+    const audioOnly = master().variants.at(-1);
+    assert(audioOnly.resolution === null && audioOnly.height === null && audioOnly.frameRate === null, 'Audio-only variant');
+  }),
+
+  test('I-frame variants share the attribute parsing', () => {
+    const [iframes] = master().iframeVariants;
+    assert(iframes.url === 'https://cdn.test/show/avc/720p-iframes.m3u8', `URL ${iframes.url}`);
+    assert(iframes.height === 720 && iframes.videoRange === 'SDR' && iframes.bandwidth === 300000, 'Attributes');
+  }),
+
+  test("'NNNp' picks the best variant up to that height", () => {
+    assert(path(master().select('720p')) === 'avc/720p.m3u8', '720p');
+    assert(path(master().select('1080p')) === 'avc/1080p60.m3u8', '1080p: highest bandwidth at 1080 lines');
+    assert(path(master().select('900p')) === 'avc/720p.m3u8', '900p falls back to 720p');
+    const err = throws(() => master().select('240p'));
+    assert(err?.message.includes('No quality matches') && err.message.includes('1280x720'), `Error: ${err?.message}`);
+  }),
+
+  test('criteria combine height, bandwidth, codec and frame rate caps', () => {
+    assert(path(master().select({ maxHeight: 1080, codecs: 'hvc1' })) === 'hevc/1080p.m3u8', 'HEVC up to 1080p');
+    assert(path(master().select({ codecs: 'hvc1' })) === 'hevc/2160p.m3u8', 'Best HEVC');
+    assert(path(master().select({ codecs: 'hev1' })) === 'hevc/2160p.m3u8', 'hev1 matches hvc1');
+    assert(path(master().select({ codecs: 'avc1', frameRate: 30 })) === 'avc/1080p.m3u8', 'H.264 at 29.97');
+    assert(path(master().select({ frameRate: 60, maxBandwidth: 10000000 })) === 'avc/1080p60.m3u8', '60 fps under 10 Mbit/s');
+    assert(path(master().select({ maxBandwidth: 3000000 })) === 'avc/720p.m3u8', 'Bandwidth cap');
+    assert(path(master().select({ minHeight: 720, maxHeight: 720 })) === 'avc/720p.m3u8', 'Height range');
+    assert(path(master().select({ minHeight: 1080, maxBandwidth: 5500000 })) === 'avc/1080p.m3u8', 'Height floor');
+    assert(throws(() => master().select({ codecs: 'vp09' }))?.message.includes('No quality matches'), 'No match throws');
+  }),
+
+  test('existing selectors keep working', () => {
+    assert(path(master().select('highest')) === 'hevc/2160p.m3u8', 'highest');
+    assert(path(master().select('lowest')) === 'audio-only.m3u8', 'lowest');
+    assert(path(master().select(2500000)) === 'avc/720p.m3u8', 'Closest bandwidth');
+    assert(path(master().select('854x480')) === 'avc/480p.m3u8', 'Resolution');
+    const err = throws(() => master().select('1024x576'));
+    assert(err?.message.includes('No quality matches 1024x576') && err.message.includes('854x480'), `Unmatched resolution: ${err?.message}`);
+    const stream = master();
+    assert(path(stream.select(stream.variants[3])) === 'avc/1080p.m3u8', 'Variant object');
+    assert(throws(() => master().select('best'))?.message.includes('Unknown quality: best'), 'Unknown strings throw');
+  }),
+
+  test('media playlists ignore quality selectors', () => {
+    const { segments } = parsePlaylistText('#EXTM3U\n#EXT-X-TARGETDURATION:4\n#EXTINF:4,\na.ts\n#EXT-X-ENDLIST\n', BASE);
+    const stream = new HlsStream(BASE, [], segments);
+    assert(stream.select('720p').select({ maxHeight: 480 }).selected === null, 'Nothing to select');
+  }),
+
+  test('DashStream.select takes the same labels and criteria', () => {
+    const mpd = `<?xml version="1.0"?>
+<MPD xmlns="urn:mpeg:dash:schema:mpd:2011" type="static" mediaPresentationDuration="PT10S">
+  <Period>
+    <AdaptationSet contentType="video" mimeType="video/mp4">
+      <SegmentTemplate media="$RepresentationID$/$Number$.m4s" initialization="$RepresentationID$/init.mp4" duration="4" />
+      <Representation id="hevc-1080" codecs="hev1.1.6.L120.90" bandwidth="4000000" width="1920" height="1080" frameRate="30000/1001" />
+      <Representation id="avc-1080" codecs="avc1.640028" bandwidth="5000000" width="1920" height="1080" frameRate="60" />
+      <Representation id="avc-720" codecs="avc1.64001f" bandwidth="2500000" width="1280" height="720" frameRate="30000/1001" />
+    </AdaptationSet>
+  </Period>
+</MPD>`;
+    const dash = () => new DashStream('https://cdn.test/show/manifest.mpd', parseMpdText(mpd, 'https://cdn.test/show/manifest.mpd'));
+    assert(dash().select('720p').selected.id === 'avc-720', '720p');
+    assert(dash().select({ codecs: 'hvc1' }).selected.id === 'hevc-1080', 'hvc1 matches hev1');
+    assert(dash().select({ maxHeight: 1080, frameRate: 30 }).selected.id === 'hevc-1080', 'N/D frame rates');
+    assert(dash().select('avc-720').selected.id === 'avc-720', 'Representation ids still work');
+  }),
+];
+
+// ── runner ─────────────────────────────────────────────────
+
+async function runTests(tests) {
+  console.log('\n' + '═'.repeat(60));
+  console.log('   HLS Variant Selection Tests');
+  console.log('═'.repeat(60) + '\n');
+
+  for (const { name, fn } of tests) {
+    try {
+      await fn();
+      console.log(`✅ ${name}`);
+      passed++;
+    } catch (err) {
+      console.log(`❌ ${name}`);
+      console.log(`   Error: ${err.message}`);
+      failed++;
+    }
+  }
+
+  console.log('\n' + '─'.repeat(60));
+  console.log(`Results: ${passed} passed, ${failed} failed`);
+  console.log('─'.repeat(60) + '\n');
+
+  process.exit(failed > 0 ? 1 : 0);
+}
+
+runTests(tests);
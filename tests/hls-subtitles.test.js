@@ -0,0 +1,297 @@
+/**
+ * HLS Subtitle Rendition Tests
+ *
+ * Checks WebVTT parsing and writing, merging of segmented WebVTT on the
+ * X-TIMESTAMP-MAP clock, and - with a mocked fetch() - that downloadHls(),
+ * toMp4() and clipHls() pick up #EXT-X-MEDIA:TYPE=SUBTITLES renditions,
+ * clip their cues and write them into the MP4 as a tx3g track.
+ *
+ * Run: node tests/hls-subtitles.test.js
+ */
+
+import toMp4, { parseHls, clipHls, parseWebVtt, SubtitleTrack } from '../src/index.js';
+import { mergeWebVttSegments } from '../src/webvtt.js';
+import { analyzeTrack, buildSampleTable } from '../src/parsers/mp4.js';
+import { parseBoxes, findBox, parseChildBoxes } from '../src/fmp4/utils.js';
+import { buildTs, h264Frames } from './ts-fixtures.js';
+import { readFileSync } from 'node:fs';
+import { fileURLToPath } from 'node:url';
+import path from 'node:path';
+
+let passed = 0;
+let failed = 0;
+
+function test(name, fn) {
+  return { name, fn };
+}
+
+function assert(condition, message) {
+  if (!condition) throw new Error(message || 'Assertion failed');
+}
+
+// ── helpers ───────────────────────────────────────────────
+
+const BASE = 'https://cdn.test/';
+
+function makeResponse(body, status = 200) {
+  const bytes = typeof body === 'string' ? new TextEncoder().encode(body) : body;
+  return {
+    ok: status >= 200 && status < 300,
+    status,
+    statusText: String(status),
+    async text() { return new TextDecoder().decode(bytes); },
+    async arrayBuffer() { return bytes.slice().buffer; },
+  };
+}
+
+/** Serve a map of path → body; returns the list of requested paths */
+function mockFetch(routes) {
+  const requests = [];
+  globalThis.fetch = async (url) => {
+    const name = String(url).replace(BASE, '');
+    requests.push(name);
+    return routes[name] === undefined ? makeResponse('', 404) : makeResponse(routes[name]);
+  };
+  return requests;
+}
+
+function mediaPlaylist(segments, { map } = {}) {
+  const lines = ['#EXTM3U', '#EXT-X-TARGETDURATION:10'];
+  if (map) lines.push(`#EXT-X-MAP:URI="${map}"`);
+  for (const [name, duration] of segments) lines.push(`#EXTINF:${duration},`, name);
+  lines.push('#EXT-X-ENDLIST');
+  return lines.join('\n');
+}
+
+const MASTER = `#EXTM3U
+#EXT-X-MEDIA:TYPE=SUBTITLES,GROUP-ID="subs",LANGUAGE="en",NAME="English",DEFAULT=YES,AUTOSELECT=YES,URI="subs/en.m3u8"
+#EXT-X-MEDIA:TYPE=SUBTITLES,GROUP-ID="subs",LANGUAGE="fr",NAME="Français",URI="subs/fr.m3u8"
+#EXT-X-STREAM-INF:BANDWIDTH=800000,RESOLUTION=640x360,CODECS="avc1.42c01e",SUBTITLES="subs"
+video/360.m3u8
+`;
+
+// Two 1s WebVTT segments on a clock where MPEG-TS 900000 (10s) is 0;
+// the cue crossing the boundary is repeated in both
+const EN_1 = `WEBVTT
+X-TIMESTAMP-MAP=MPEGTS:900000,LOCAL:00:00:00.000
+
+1
+00:00:00.200 --> 00:00:00.800 line:90%
+<i>Hello</i> &amp; welcome
+
+00:00:00.900 --> 00:00:01.400
+Across
+`;
+
+const EN_2 = `WEBVTT
+X-TIMESTAMP-MAP=MPEGTS:990000,LOCAL:00:00:01.000
+
+00:00:00.900 --> 00:00:01.400
+Across
+
+00:00:01.500 --> 00:00:01.900
+Bye
+`;
+
+/** Routes for the master playlist with two 1s video segments starting at 10s */
+function routes(extra = {}) {
+  const frames = h264Frames(60, { start: 900000 });
+  const ts = (slice) => buildTs([{ pid: 0x101, streamType: 0x1B, streamId: 0xE0, frames: slice }]);
+  return {
+    'master.m3u8': MASTER,
+    'video/360.m3u8': mediaPlaylist([['v1.ts', 1], ['v2.ts', 1]]),
+    'video/v1.ts': ts(frames.slice(0, 30)),
+    'video/v2.ts': ts(frames.slice(30)),
+    'subs/en.m3u8': mediaPlaylist([['en1.vtt', 1], ['en2.vtt', 1]]),
+    'subs/en1.vtt': EN_1,
+    'subs/en2.vtt': EN_2,
+    ...extra,
+  };
+}
+
+/** Language and non-empty samples of the MP4's subtitle trak */
+function textTrak(mp4) {
+  const moov = findBox(parseBoxes(mp4), 'moov');
+  const trak = parseChildBoxes(moov).filter(b => b.type === 'trak').find(t => {
+    const hdlr = findBox(parseChildBoxes(findBox(parseChildBoxes(t), 'mdia')), 'hdlr');
+    return String.fromCharCode(...hdlr.data.subarray(16, 20)) === 'sbtl';
+  });
+  if (!trak) return null;
+  const mdhd = findBox(parseChildBoxes(findBox(parseChildBoxes(trak), 'mdia')), 'mdhd');
+  const code = (mdhd.data[28] << 8) | mdhd.data[29];
+  const track = analyzeTrack(moov.data, trak.offset, trak.size);
+  const decoder = new TextDecoder();
+  return {
+    language: String.fromCharCode(((code >> 10) & 0x1F) + 0x60, ((code >> 5) & 0x1F) + 0x60, (code & 0x1F) + 0x60),
+    samples: buildSampleTable(track)
+      .map(s => ({
+        time: Math.round(s.dts * 1000),
+        duration: Math.round(s.duration * 1000),
+        text: decoder.decode(mp4.subarray(s.offset + 2, s.offset + s.size))
+      }))
+      .filter(s => s.text)
+  };
+}
+
+const cueList = (cues) => cues.map(c => `${c.start}-${c.end} ${c.text}`).join('|');
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const sample = (name) => new Uint8Array(readFileSync(path.join(__dirname, 'fmp4-samples', name)));
+
+// ── tests ─────────────────────────────────────────────────
+
+const tests = [
+  test('parseWebVtt reads cues, ids, settings and the timestamp map', () => {
+    const { cues, timestampMap } = parseWebVtt('\uFEFFWEBVTT - captions\r\n' +
+      'X-TIMESTAMP-MAP=LOCAL:00:00:01.000,MPEGTS:183000\r\n\r\n' +
+      'NOTE a comment\r\n-->\r\n\r\n' +
+      'STYLE\r\n::cue { color: yellow }\r\n\r\n' +
+      'intro\r\n00:01.500 --> 00:00:03.250 align:start size:50%\r\nTwo\r\nlines\r\n\r\n' +
+      '01:00:00.000 --> 01:00:01.000\r\nLater\r\n');
+    assert(timestampMap.mpegts === 183000 && timestampMap.local === 1, `Map: ${JSON.stringify(timestampMap)}`);
+    assert(cues.length === 2, `Expected 2 cues, got ${cues.length}`);
+    assert(cues[0].id === 'intro' && cues[0].start === 1.5 && cues[0].end === 3.25, 'First cue timing and id');
+    assert(cues[0].settings === 'align:start size:50%' && cues[0].text === 'Two\nlines', 'First cue settings and text');
+    assert(cues[1].id === null && cues[1].start === 3600, 'Hours');
+
+    let error = null;
+    try { parseWebVtt('1\n00:00:00.000 --> 00:00:01.000\nNo header'); } catch (err) { error = err; }
+    assert(error && error.message.includes('missing WEBVTT header'), `Unexpected error: ${error?.message}`);
+  }),
+
+  test('mergeWebVttSegments maps segments to the MPEG-TS clock', () => {
+    const cues = mergeWebVttSegments([EN_1, EN_2], 900000);
+    assert(cueList(cues) === '0.2-0.8 <i>Hello</i> &amp; welcome|0.9-1.4 Across|1.5-1.9 Bye', `Cues: ${cueList(cues)}`);
+
+    // A video clock about to wrap, subtitles already past it
+    const wrapped = mergeWebVttSegments(['WEBVTT\nX-TIMESTAMP-MAP=MPEGTS:0,LOCAL:00:00:00.000\n\n00:00:00.000 --> 00:00:01.000\nWrapped'],
+      0x200000000 - 90000);
+    assert(cueList(wrapped) === '1-2 Wrapped', `Wrapped cues: ${cueList(wrapped)}`);
+  }),
+
+  test('SubtitleTrack slices and writes WebVTT and SRT', () => {
+    const track = new SubtitleTrack({ language: 'en', cues: mergeWebVttSegments([EN_1, EN_2], 900000) });
+    const clip = track.slice(0.5, 1.6);
+    assert(clip.language === 'en', 'Keeps the language');
+    assert(cueList(clip.cues.map(c => ({ ...c, start: +c.start.toFixed(3), end: +c.end.toFixed(3) }))) ===
+      '0-0.3 <i>Hello</i> &amp; welcome|0.4-0.9 Across|1-1.1 Bye', `Sliced: ${cueList(clip.cues)}`);
+
+    const vtt = track.toWebVtt();
+    assert(vtt.startsWith('WEBVTT\n\n1\n00:00:00.200 --> 00:00:00.800 line:90%\n<i>Hello</i> &amp; welcome\n'), `WebVTT:\n${vtt}`);
+    assert(parseWebVtt(vtt).cues.length === 3, 'WebVTT round-trips');
+    const srt = track.toSrt();
+    assert(srt.startsWith('1\n00:00:00,200 --> 00:00:00,800\nHello & welcome\n\n2\n'), `SRT:\n${srt}`);
+  }),
+
+  test('parseHls exposes subtitle renditions, selected on request', async () => {
+    mockFetch({ 'master.m3u8': MASTER });
+    const stream = await parseHls(BASE + 'master.m3u8');
+    const [en, fr] = stream.subtitleRenditions;
+    assert(stream.subtitleRenditions.length === 2, `Expected 2 renditions, got ${stream.subtitleRenditions.length}`);
+    assert(en.url === BASE + 'subs/en.m3u8' && en.group === 'subs', 'English rendition');
+    assert(stream.variants[0].subtitleGroup === 'subs', 'Variant SUBTITLES group');
+    assert(stream.selectedSubtitles === null, 'No subtitles unless selected');
+    assert(stream.selectSubtitles(true).selectedSubtitles === en, 'true selects the DEFAULT');
+    assert(stream.selectSubtitles('français').selectedSubtitles === fr, 'NAME selects too');
+    assert(stream.selectSubtitles(false).selectedSubtitles === null, 'false clears the selection');
+
+    let error = null;
+    try { stream.selectSubtitles('de'); } catch (err) { error = err; }
+    assert(error && error.message === 'No subtitle rendition matches "de" (available: en, fr)', `Unexpected error: ${error?.message}`);
+  }),
+
+  test('toMp4 writes the selected rendition as a tx3g track', async () => {
+    const requests = mockFetch(routes());
+    const plain = await toMp4(BASE + 'master.m3u8');
+    assert(!requests.some(r => r.startsWith('subs/')), `Subtitles fetched without being asked for: ${requests}`);
+    assert(!textTrak(plain.data) && plain.subtitles.length === 0, 'No subtitles by default');
+
+    const mp4 = await toMp4(BASE + 'master.m3u8', { subtitles: 'en' });
+    const track = textTrak(mp4.data);
+    assert(track, 'No sbtl trak');
+    assert(track.language === 'eng', `Language: ${track.language}`);
+    const samples = track.samples.map(s => `${s.time}+${s.duration} ${s.text}`).join('|');
+    assert(samples === '200+600 Hello & welcome|900+500 Across|1500+400 Bye', `Samples: ${samples}`);
+
+    assert(mp4.subtitles.length === 1 && mp4.subtitles[0].language === 'en', 'Returned next to the MP4');
+    assert(cueList(mp4.subtitles[0].cues) === '0.2-0.8 <i>Hello</i> &amp; welcome|0.9-1.4 Across|1.5-1.9 Bye',
+      `Cues: ${cueList(mp4.subtitles[0].cues)}`);
+  }),
+
+  test('toMp4 clips subtitles with the video', async () => {
+    const requests = mockFetch(routes());
+    const mp4 = await toMp4(BASE + 'master.m3u8', { subtitles: true, startTime: 1.2, endTime: 2 });
+    assert(!requests.includes('subs/en1.vtt') && requests.includes('subs/en2.vtt'), `Requests: ${requests}`);
+
+    // Only the second segment is downloaded: its keyframe starts the media, and
+    // the text track shares the video's edit list skipping the first 200ms
+    const samples = textTrak(mp4.data).samples.map(s => `${s.time}+${s.duration} ${s.text}`).join('|');
+    assert(samples === '0+400 Across|500+400 Bye', `Samples: ${samples}`);
+    const cues = mp4.subtitles[0].cues.map(c => `${c.start.toFixed(3)}-${c.end.toFixed(3)} ${c.text}`).join('|');
+    assert(cues === '0.000-0.200 Across|0.300-0.700 Bye', `Cues: ${cues}`);
+  }),
+
+  test('fMP4 sources return subtitles next to the MP4', async () => {
+    // The video's first tfdt is 750750/30000s = 2252250 in 90kHz ticks
+    mockFetch({
+      'master.m3u8': MASTER,
+      'video/360.m3u8': mediaPlaylist([['segment_0_4.m4s', 5]], { map: 'init_0.m4s' }),
+      'video/init_0.m4s': sample('init_0.m4s'),
+      'video/segment_0_4.m4s': sample('segment_0_4.m4s'),
+      'subs/en.m3u8': mediaPlaylist([['en.vtt', 5]]),
+      'subs/en.vtt': 'WEBVTT\nX-TIMESTAMP-MAP=MPEGTS:2252250,LOCAL:00:00:00.000\n\n00:00:00.500 --> 00:00:01.500\nfMP4\n',
+    });
+    const mp4 = await toMp4(BASE + 'master.m3u8', { subtitles: true });
+    assert(!textTrak(mp4.data), 'fMP4 conversion has no subtitle trak');
+    assert(cueList(mp4.subtitles[0].cues) === '0.5-1.5 fMP4', `Cues: ${cueList(mp4.subtitles[0].cues)}`);
+  }),
+
+  test('clipHls carries the subtitle rendition and its clipped cues', async () => {
+    const requests = mockFetch(routes());
+    const clip = await clipHls(BASE + 'master.m3u8', { startTime: 1.2, endTime: 2, subtitles: 'en' });
+    assert(requests.includes('video/v2.ts') && !requests.includes('video/v1.ts'), `Requests: ${requests}`);
+
+    const cues = clip.subtitles[0].cues.map(c => `${c.start.toFixed(3)}-${c.end.toFixed(3)} ${c.text}`).join('|');
+    assert(cues === '0.000-0.200 Across|0.300-0.700 Bye', `Cues: ${cues}`);
+
+    const master = clip.masterPlaylist;
+    assert(master.includes('#EXT-X-MEDIA:TYPE=SUBTITLES,GROUP-ID="subs",NAME="English",LANGUAGE="en"'), `Master:\n${master}`);
+    assert(master.includes('SUBTITLES="subs"') && master.includes('variant-0.m3u8'), `Master:\n${master}`);
+    const playlist = clip.getSubtitlePlaylist();
+    assert(playlist.includes(BASE + 'subs/en2.vtt') && !playlist.includes('en1.vtt'), `Subtitle playlist:\n${playlist}`);
+
+    const without = await clipHls(BASE + 'master.m3u8', { startTime: 1.2, endTime: 2 });
+    assert(without.subtitles.length === 0 && !without.masterPlaylist.includes('SUBTITLES'), 'No subtitles unless asked for');
+  }),
+];
+
+// ── runner ─────────────────────────────────────────────────
+
+async function runTests(tests) {
+  console.log('\n' + '═'.repeat(60));
+  console.log('   HLS Subtitle Rendition Tests');
+  console.log('═'.repeat(60) + '\n');
+
+  const originalFetch = globalThis.fetch;
+  for (const { name, fn } of tests) {
+    try {
+      await fn();
+      console.log(`✅ ${name}`);
+      passed++;
+    } catch (err) {
+      console.log(`❌ ${name}`);
+      console.log(`   Error: ${err.message}`);
+      failed++;
+    } finally {
+      globalThis.fetch = originalFetch;
+    }
+  }
+
+  console.log('\n' + '─'.repeat(60));
+  console.log(`Results: ${passed} passed, ${failed} failed`);
+  console.log('─'.repeat(60) + '\n');
+
+  process.exit(failed > 0 ? 1 : 0);
+}
+
+runTests(tests);
@@ -0,0 +1,262 @@
+/**
+ * M3U8 Object Model Tests
+ *
+ * Parses master, media and low-latency playlists with parseM3u8(),
+ * checks the fields every tag lands in, and that toString() writes them
+ * back - byte for byte, and after slicing and editing.
+ *
+ * Run: node tests/m3u8.test.js
+ */
+
+import { parseM3u8, M3U8, M3U8Segment, M3U8Variant, formatAttributes } from '../src/m3u8.js';
+import { packageHls } from '../src/index.js';
+import { buildTs, h264Frames, aacFrames } from './ts-fixtures.js';
+
+let passed = 0;
+let failed = 0;
+
+function test(name, fn) {
+  return { name, fn };
+}
+
+function assert(condition, message) {
+  if (!condition) throw new Error(message || 'Assertion failed');
+}
+
+// ── fixtures ──────────────────────────────────────────────
+
+const MEDIA = `#EXTM3U
+#EXT-X-VERSION:7
+#EXT-X-TARGETDURATION:4
+#EXT-X-MEDIA-SEQUENCE:100
+#EXT-X-DISCONTINUITY-SEQUENCE:2
+#EXT-X-PLAYLIST-TYPE:VOD
+#EXT-X-INDEPENDENT-SEGMENTS
+#EXT-X-START:TIME-OFFSET=2.5,PRECISE=YES
+#EXT-X-ALLOW-CACHE:NO
+#EXT-X-KEY:METHOD=SAMPLE-AES,URI="skd://key1",KEYFORMAT="com.apple.streamingkeydelivery",KEYFORMATVERSIONS="1"
+#EXT-X-KEY:METHOD=SAMPLE-AES,URI="data:text/plain;base64,AAAA",KEYFORMAT="urn:uuid:edef8ba9-79d6-4ace-a3c8-27dcd51d21ed"
+#EXT-X-MAP:URI="init.mp4",BYTERANGE="720@0"
+#EXT-X-PROGRAM-DATE-TIME:2024-05-01T10:00:00.000Z
+#EXT-X-DATERANGE:ID="ad1",START-DATE="2024-05-01T10:00:04.000Z",DURATION=30,SCTE35-OUT=0xFC30,X-COM-EXAMPLE="x",X-NUM=12
+#EXT-X-CUE-OUT:30
+#EXT-X-BITRATE:2000
+#EXTINF:4.000,first
+#EXT-X-BYTERANGE:1000@720
+media.mp4
+#EXTINF:4.000,
+#EXT-X-BYTERANGE:1000
+media.mp4
+#EXT-X-DISCONTINUITY
+#EXT-X-KEY:METHOD=NONE
+#EXT-X-MAP:URI="init2.mp4"
+#EXT-X-CUE-IN
+#EXT-X-GAP
+#EXTINF:3.5,
+gap.mp4
+#EXT-X-BITRATE:1800
+#EXTINF:4.000,
+last.mp4
+# written by the packager
+#EXT-X-ENDLIST
+`;
+
+const MASTER = `#EXTM3U
+#EXT-X-VERSION:6
+#EXT-X-INDEPENDENT-SEGMENTS
+#EXT-X-DEFINE:NAME="cdn",VALUE="https://cdn.test"
+#EXT-X-CONTENT-STEERING:SERVER-URI="/steering",PATHWAY-ID="CDN-A"
+#EXT-X-SESSION-DATA:DATA-ID="com.example.title",VALUE="Show"
+#EXT-X-SESSION-KEY:METHOD=SAMPLE-AES,URI="skd://key1",KEYFORMAT="com.apple.streamingkeydelivery"
+# audio
+#EXT-X-MEDIA:TYPE=AUDIO,GROUP-ID="aac",LANGUAGE="en",NAME="English",DEFAULT=YES,AUTOSELECT=YES,CHANNELS="2",URI="audio/en.m3u8"
+#EXT-X-MEDIA:TYPE=CLOSED-CAPTIONS,GROUP-ID="cc",NAME="CC1",INSTREAM-ID="CC1"
+#EXT-X-STREAM-INF:BANDWIDTH=2800000,AVERAGE-BANDWIDTH=2500000,RESOLUTION=1280x720,CODECS="avc1.64001f,mp4a.40.2",FRAME-RATE=29.970,AUDIO="aac",CLOSED-CAPTIONS="cc"
+720p.m3u8
+#EXT-X-VENDOR-HINT:prefetch
+#EXT-X-STREAM-INF:BANDWIDTH=1200000,RESOLUTION=854x480,CODECS="avc1.4d401e,mp4a.40.2",CLOSED-CAPTIONS=NONE
+480p.m3u8
+#EXT-X-I-FRAME-STREAM-INF:BANDWIDTH=300000,RESOLUTION=1280x720,CODECS="avc1.64001f",URI="720p-iframes.m3u8"
+`;
+
+const LOW_LATENCY = `#EXTM3U
+#EXT-X-VERSION:9
+#EXT-X-TARGETDURATION:4
+#EXT-X-MEDIA-SEQUENCE:266
+#EXT-X-SERVER-CONTROL:CAN-BLOCK-RELOAD=YES,CAN-SKIP-UNTIL=24.0,PART-HOLD-BACK=3.012
+#EXT-X-PART-INF:PART-TARGET=1.004
+#EXT-X-SKIP:SKIPPED-SEGMENTS=3
+#EXT-X-MAP:URI="init.mp4"
+#EXT-X-PROGRAM-DATE-TIME:2024-05-01T10:00:16.000Z
+#EXT-X-PART:DURATION=1.0,URI="filePart269.0.mp4",INDEPENDENT=YES
+#EXT-X-PART:DURATION=1.0,URI="filePart269.1.mp4"
+#EXTINF:4.00008,
+fileSequence269.mp4
+#EXT-X-PART:DURATION=1.0,URI="filePart270.0.mp4",INDEPENDENT=YES
+#EXT-X-PRELOAD-HINT:TYPE=PART,URI="filePart270.1.mp4"
+#EXT-X-RENDITION-REPORT:URI="../1M/waitForMSN.php",LAST-MSN=270,LAST-PART=0
+`;
+
+// ── tests ─────────────────────────────────────────────────
+
+const tests = [
+  test('media playlists round-trip byte for byte', () => {
+    const out = parseM3u8(MEDIA).toString();
+    assert(out === MEDIA, `Written:\n${out}`);
+  }),
+
+  test('media playlist tags land in fields', () => {
+    const playlist = parseM3u8(MEDIA);
+    assert(playlist.type === 'media' && !playlist.isMaster, 'Media playlist');
+    assert(playlist.version === 7 && playlist.targetDuration === 4, 'Version and target duration');
+    assert(playlist.mediaSequence === 100 && playlist.discontinuitySequence === 2, 'Sequence numbers');
+    assert(playlist.playlistType === 'VOD' && playlist.endList && playlist.independentSegments, 'VOD flags');
+    assert(playlist.start['TIME-OFFSET'] === '2.5' && playlist.start.PRECISE === 'YES', 'EXT-X-START');
+    assert(playlist.tags.join() === '#EXT-X-ALLOW-CACHE:NO', `Playlist tags: ${playlist.tags}`);
+    assert(playlist.trailingTags.join() === '# written by the packager', `Trailing: ${playlist.trailingTags}`);
+    assert(playlist.segments.length === 4 && playlist.duration === 15.5, `Duration ${playlist.duration}`);
+
+    const [first, second, gap, last] = playlist.segments;
+    assert(first.uri === 'media.mp4' && first.duration === 4 && first.title === 'first', 'EXTINF');
+    assert(first.byteRange.length === 1000 && first.byteRange.offset === 720, 'Byte range');
+    assert(second.byteRange.offset === null, 'Byte range without offset');
+    assert(first.keys.length === 2 && first.keys[1].KEYFORMAT.startsWith('urn:uuid:'), 'Both keys');
+    assert(second.keys === first.keys && second.map === first.map, 'Keys and map stay in effect');
+    assert(first.map.URI === 'init.mp4' && first.map.BYTERANGE === '720@0', 'Map');
+    assert(first.programDateTime === '2024-05-01T10:00:00.000Z' && second.programDateTime === null, 'Date only where written');
+    assert(first.dateRanges[0].ID === 'ad1' && first.dateRanges[0].DURATION === '30', 'Date range');
+    assert(first.tags.join() === '#EXT-X-CUE-OUT:30' && gap.tags.join() === '#EXT-X-CUE-IN', 'Vendor tags');
+    assert(gap.discontinuity && gap.gap && gap.keys[0].METHOD === 'NONE' && gap.map.URI === 'init2.mp4', 'Discontinuity');
+    assert(first.bitrate === 2000 && gap.bitrate === 2000 && last.bitrate === 1800, 'Bitrate in effect');
+  }),
+
+  test('master playlists round-trip byte for byte', () => {
+    const playlist = parseM3u8(MASTER);
+    assert(playlist.toString() === MASTER, `Written:\n${playlist}`);
+    assert(playlist.isMaster && playlist.variants.length === 2, 'Two variants');
+    const [hd, sd] = playlist.variants;
+    assert(hd.uri === '720p.m3u8' && hd.attributes.BANDWIDTH === '2800000', 'Variant attributes');
+    assert(hd.attributes['FRAME-RATE'] === '29.970' && hd.attributes.CODECS === 'avc1.64001f,mp4a.40.2', 'Values as written');
+    assert(sd.tags.join() === '#EXT-X-VENDOR-HINT:prefetch' && playlist.tags.join() === '# audio', 'Other lines');
+    assert(playlist.renditions[0].TYPE === 'AUDIO' && playlist.renditions[0]['GROUP-ID'] === 'aac', 'Renditions');
+    assert(playlist.iframeVariants[0].URI === '720p-iframes.m3u8', 'I-frame variants');
+    assert(playlist.sessionData[0].VALUE === 'Show' && playlist.sessionKeys[0].METHOD === 'SAMPLE-AES', 'Session tags');
+    assert(playlist.contentSteering['PATHWAY-ID'] === 'CDN-A' && playlist.defines[0].NAME === 'cdn', 'Steering and define');
+  }),
+
+  test('low-latency playlists round-trip', () => {
+    const playlist = parseM3u8(LOW_LATENCY);
+    assert(playlist.toString() === LOW_LATENCY, `Written:\n${playlist}`);
+    assert(playlist.serverControl['CAN-BLOCK-RELOAD'] === 'YES' && playlist.partInf['PART-TARGET'] === '1.004', 'Server control');
+    assert(playlist.skip['SKIPPED-SEGMENTS'] === '3', 'Skip');
+    assert(playlist.segments[0].parts.length === 2 && playlist.segments[0].parts[0].INDEPENDENT === 'YES', 'Parts');
+    assert(playlist.trailingTags[0].startsWith('#EXT-X-PART:'), 'Parts of the segment in progress');
+    assert(playlist.preloadHints[0].TYPE === 'PART' && playlist.renditionReports[0]['LAST-MSN'] === '270', 'Hints and reports');
+  }),
+
+  test('sliced segments carry their keys and map along', () => {
+    const playlist = parseM3u8(MEDIA);
+    playlist.segments = playlist.segments.slice(1);
+    playlist.mediaSequence += 1;
+    const out = parseM3u8(playlist.toString());
+    const [first, gap, last] = out.segments;
+    assert(out.mediaSequence === 101, 'Media sequence');
+    assert(first.keys.length === 2 && first.map.URI === 'init.mp4' && first.bitrate === 2000, 'Tags in effect written again');
+    assert(gap.map.URI === 'init2.mp4' && gap.keys[0].METHOD === 'NONE' && last.bitrate === 1800, 'Later changes kept');
+    assert(first.dateRanges.length === 0 && first.tags.length === 0, "Other segments' tags stay behind");
+
+    // Dropping the keys altogether
+    const clear = parseM3u8(MEDIA);
+    clear.segments[1].keys = [];
+    assert(clear.toString().includes('first\n#EXT-X-BYTERANGE:1000@720\nmedia.mp4\n#EXT-X-KEY:METHOD=NONE\n'), 'METHOD=NONE where keys end');
+  }),
+
+  test('edited fields are written', () => {
+    const playlist = parseM3u8(MEDIA);
+    const [first, second] = playlist.segments;
+    first.duration = 3.9;
+    second.title = 'second';
+    second.byteRange = { length: 500, offset: 1720 };
+    playlist.playlistType = 'EVENT';
+    playlist.endList = false;
+    const out = playlist.toString();
+    assert(out.includes('#EXTINF:3.900000,first') && out.includes('#EXTINF:4.000,second'), 'EXTINF');
+    assert(out.includes('#EXT-X-BYTERANGE:500@1720') && out.includes('#EXT-X-PLAYLIST-TYPE:EVENT'), 'Byte range and type');
+    assert(!out.includes('#EXT-X-ENDLIST'), 'No ENDLIST');
+
+    const master = parseM3u8(MASTER);
+    master.variants[0].attributes.BANDWIDTH = 3000000;
+    master.variants[0].attributes['X-VENDOR'] = 'new';
+    master.variants[1].attributes['CLOSED-CAPTIONS'] = 'cc';
+    const written = master.toString();
+    assert(written.includes('#EXT-X-STREAM-INF:BANDWIDTH=3000000,') && written.includes(',X-VENDOR="new"'), `Master:\n${written}`);
+    assert(written.includes(',CLOSED-CAPTIONS="cc"\n480p.m3u8'), 'CLOSED-CAPTIONS quoted unless NONE');
+  }),
+
+  test('playlists can be built from scratch', () => {
+    const key = [{ METHOD: 'AES-128', URI: 'key.bin', IV: '0x00000000000000000000000000000001' }];
+    const playlist = new M3U8();
+    playlist.version = 3;
+    playlist.targetDuration = 4;
+    playlist.segments = [
+      new M3U8Segment({ uri: 'a.ts', duration: 4, keys: key }),
+      new M3U8Segment({ uri: 'b.ts', duration: 2.5, keys: key, tags: ['#EXT-X-CUE-OUT:10'] })
+    ];
+    playlist.endList = true;
+    assert(playlist.toString() === [
+      '#EXTM3U', '#EXT-X-VERSION:3', '#EXT-X-TARGETDURATION:4',
+      '#EXT-X-KEY:METHOD=AES-128,URI="key.bin",IV=0x00000000000000000000000000000001',
+      '#EXTINF:4.000000,', 'a.ts', '#EXT-X-CUE-OUT:10', '#EXTINF:2.500000,', 'b.ts', '#EXT-X-ENDLIST', ''
+    ].join('\n'), `Written:\n${playlist}`);
+
+    const master = new M3U8({ type: 'master' });
+    master.variants.push(new M3U8Variant({ uri: 'v.m3u8', attributes: { BANDWIDTH: 800000, CODECS: 'avc1.42e01e' } }));
+    assert(master.toString() === '#EXTM3U\n#EXT-X-STREAM-INF:BANDWIDTH=800000,CODECS="avc1.42e01e"\nv.m3u8\n', 'Master');
+    assert(formatAttributes({ TYPE: 'AUDIO', NAME: 'English', LANGUAGE: null }) === 'TYPE=AUDIO,NAME="English"', 'Null attributes left out');
+  }),
+
+  test("our own packager's playlists round-trip", () => {
+    const pkg = packageHls(buildTs([
+      { pid: 0x101, streamType: 0x1B, streamId: 0xE0, frames: h264Frames(120, { start: 90000 }) },
+      { pid: 0x102, streamType: 0x0F, streamId: 0xC0, frames: aacFrames(188, { start: 90000 }) },
+    ]), { segmentDuration: 2 });
+    for (const text of [pkg.masterPlaylist, pkg.mediaPlaylist]) {
+      assert(parseM3u8(text).toString() === text, `Written:\n${parseM3u8(text)}`);
+    }
+  }),
+
+  test('text that is not a playlist is rejected', () => {
+    let error = null;
+    try { parseM3u8('<MPD/>'); } catch (err) { error = err; }
+    assert(error?.message.includes('missing #EXTM3U'), `Error: ${error?.message}`);
+    assert(parseM3u8('﻿#EXTM3U\r\n#EXTINF:1,\r\na.ts\r\n').segments[0].uri === 'a.ts', 'BOM and CRLF');
+  }),
+];
+
+// ── runner ─────────────────────────────────────────────────
+
+async function runTests(tests) {
+  console.log('\n' + '═'.repeat(60));
+  console.log('   M3U8 Object Model Tests');
+  console.log('═'.repeat(60) + '\n');
+
+  for (const { name, fn } of tests) {
+    try {
+      await fn();
+      console.log(`✅ ${name}`);
+      passed++;
+    } catch (err) {
+      console.log(`❌ ${name}`);
+      console.log(`   Error: ${err.message}`);
+      failed++;
+    }
+  }
+
+  console.log('\n' + '─'.repeat(60));
+  console.log(`Results: ${passed} passed, ${failed} failed`);
+  console.log('─'.repeat(60) + '\n');
+
+  process.exit(failed > 0 ? 1 : 0);
+}
+
+runTests(tests);
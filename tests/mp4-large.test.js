@@ -0,0 +1,201 @@
+/**
+ * Large File Tests
+ *
+ * Checks 64-bit box sizes (largesize and size-0 boxes) when reading, and
+ * co64 chunk offsets plus a 64-bit mdat header when writing past 4 GB.
+ * Outputs that big can't be built in a test, so the writers are driven
+ * through sample sizes (MP4Muxer) or their box helpers.
+ *
+ * Run: node tests/mp4-large.test.js
+ */
+
+import { convertTsToMp4, convertFmp4ToMp4, stitchFmp4 } from '../src/index.js';
+import { TSParser } from '../src/parsers/mpegts.js';
+import { MP4Muxer } from '../src/muxers/mp4.js';
+import { createFragmentedMp4, joinFragmentedMp4, splitFragmentedMp4 } from '../src/muxers/fmp4.js';
+import { MP4Parser } from '../src/parsers/mp4.js';
+import { parseBoxes, findBox, parseChildBoxes, createChunkOffsetBox, createMdatHeader } from '../src/fmp4/utils.js';
+import { buildTs, concat, h264Frames, aacFrames } from './ts-fixtures.js';
+
+let passed = 0;
+let failed = 0;
+
+function test(name, fn) {
+  return { name, fn };
+}
+
+function assert(condition, message) {
+  if (!condition) throw new Error(message || 'Assertion failed');
+}
+
+// ── helpers ───────────────────────────────────────────────
+
+const GB = 1024 ** 3;
+
+function parsedTs() {
+  const parser = new TSParser();
+  parser.parse(buildTs([
+    { pid: 0x101, streamType: 0x1B, streamId: 0xE0, frames: h264Frames(60) },
+    { pid: 0x102, streamType: 0x0F, streamId: 0xC0, frames: aacFrames(94) },
+  ]));
+  parser.finalize();
+  return parser;
+}
+
+/** Rewrite every top-level mdat with a 16-byte largesize header */
+function withLargesizeMdats(data) {
+  return concat(parseBoxes(data).map(box => {
+    if (box.type !== 'mdat') return box.data;
+    const header = new Uint8Array(16);
+    const view = new DataView(header.buffer);
+    view.setUint32(0, 1);
+    header.set([0x6D, 0x64, 0x61, 0x74], 4);
+    view.setUint32(12, box.size + 8);
+    return concat([header, box.data.subarray(8)]);
+  }));
+}
+
+/** Fragments' trun data offsets are relative to the moof, so they move with the mdat payload */
+function withLargesizeFragments(fmp4) {
+  const { init, fragments } = splitFragmentedMp4(fmp4.slice());
+  return concat([init, ...fragments.map(fragment => {
+    const boxes = parseBoxes(fragment);
+    for (const moof of boxes.filter(b => b.type === 'moof')) {
+      for (const traf of parseChildBoxes(moof).filter(b => b.type === 'traf')) {
+        const trun = findBox(parseChildBoxes(traf), 'trun');
+        const view = new DataView(trun.data.buffer, trun.data.byteOffset);
+        if (trun.data[11] & 0x01) view.setInt32(16, view.getInt32(16) + 8);
+      }
+    }
+    return withLargesizeMdats(fragment);
+  })]);
+}
+
+function trakBoxes(mp4) {
+  const moov = findBox(parseBoxes(mp4), 'moov');
+  return parseChildBoxes(moov).filter(b => b.type === 'trak').map(trak => {
+    const stbl = findBox(parseChildBoxes(findBox(parseChildBoxes(findBox(parseChildBoxes(trak), 'mdia')), 'minf')), 'stbl');
+    return { moov, trak, stbl: parseChildBoxes(stbl) };
+  });
+}
+
+// ── tests ─────────────────────────────────────────────────
+
+const tests = [
+  test('parseBoxes reads largesize and to-the-end boxes', async () => {
+    const free = new Uint8Array([0, 0, 0, 8, 0x66, 0x72, 0x65, 0x65]);
+    const large = withLargesizeMdats(concat([free, new Uint8Array([0, 0, 0, 12, 0x6D, 0x64, 0x61, 0x74, 1, 2, 3, 4])]));
+    const toEnd = new Uint8Array([0, 0, 0, 0, 0x6D, 0x64, 0x61, 0x74, 9, 9, 9]);
+    const boxes = parseBoxes(concat([large, toEnd]));
+    assert(boxes.map(b => b.type).join() === 'free,mdat,mdat', `Unexpected boxes: ${boxes.map(b => b.type)}`);
+    assert(boxes[1].size === 20 && boxes[1].headerSize === 16, 'Largesize mdat');
+    assert(boxes[1].data.subarray(boxes[1].headerSize).join() === '1,2,3,4', 'Largesize payload');
+    assert(boxes[2].size === 11 && boxes[2].headerSize === 8, 'Size 0 runs to the end');
+  }),
+
+  test('64-bit helpers switch to co64 and largesize', async () => {
+    const small = createChunkOffsetBox([0, 100]);
+    assert(String.fromCharCode(...small.subarray(4, 8)) === 'stco' && small.length === 24, 'stco under 4 GB');
+    const big = createChunkOffsetBox([0, 5 * GB]);
+    const view = new DataView(big.buffer);
+    assert(String.fromCharCode(...big.subarray(4, 8)) === 'co64' && big.length === 32, 'co64 past 4 GB');
+    assert(view.getUint32(24) * 2 ** 32 + view.getUint32(28) === 5 * GB, '64-bit entry');
+
+    assert(createMdatHeader(100).length === 8, '8-byte mdat header under 4 GB');
+    const header = createMdatHeader(5 * GB);
+    const headerView = new DataView(header.buffer);
+    assert(header.length === 16 && headerView.getUint32(0) === 1, '16-byte mdat header past 4 GB');
+    assert(headerView.getUint32(8) * 2 ** 32 + headerView.getUint32(12) === 5 * GB + 16, 'largesize covers the header');
+  }),
+
+  test('MP4Muxer writes co64 and a 64-bit mdat past 4 GB', async () => {
+    const parser = parsedTs();
+    const muxer = new MP4Muxer(parser);
+    // 60 video samples of 100 MB, then the audio: ~6 GB of mdat
+    const videoSizes = parser.videoAccessUnits.map(() => 100 * 1024 * 1024);
+    const audioSizes = parser.audioAccessUnits.map(() => 1000);
+    const mdatSize = videoSizes.reduce((a, b) => a + b, 0) + audioSizes.reduce((a, b) => a + b, 0);
+    muxer.setSampleSizes(videoSizes, audioSizes);
+    const header = muxer.buildHeader(mdatSize);
+
+    const boxes = parseBoxes(header);
+    const mdatStart = boxes[0].size + boxes[1].size;
+    const view = new DataView(header.buffer);
+    assert(view.getUint32(mdatStart) === 1 && header.length === mdatStart + 16, 'mdat header should be 16 bytes');
+    assert(view.getUint32(mdatStart + 8) * 2 ** 32 + view.getUint32(mdatStart + 12) === mdatSize + 16, 'mdat largesize');
+
+    const [video, audio] = trakBoxes(header);
+    assert(findBox(video.stbl, 'co64') && !findBox(video.stbl, 'stco'), 'Video uses co64');
+    const co64 = findBox(audio.stbl, 'co64');
+    const audioOffset = new DataView(co64.data.buffer, co64.data.byteOffset).getBigUint64(16);
+    assert(Number(audioOffset) === header.length + 60 * 100 * 1024 * 1024, `Audio chunk at ${audioOffset}`);
+  }),
+
+  test('MP4Muxer keeps stco under 4 GB', async () => {
+    const [video] = trakBoxes(convertTsToMp4(buildTs([{ pid: 0x101, streamType: 0x1B, frames: h264Frames(30) }])));
+    assert(findBox(video.stbl, 'stco') && !findBox(video.stbl, 'co64'), 'Small files keep stco');
+  }),
+
+  test('MP4Parser reads co64 and a largesize mdat', async () => {
+    const muxer = new MP4Muxer(parsedTs());
+    muxer.largeOffsets = true;
+    const mp4 = muxer.build();
+    const reference = new MP4Parser(convertTsToMp4(buildTs([
+      { pid: 0x101, streamType: 0x1B, streamId: 0xE0, frames: h264Frames(60) },
+      { pid: 0x102, streamType: 0x0F, streamId: 0xC0, frames: aacFrames(94) },
+    ])));
+    const parsed = new MP4Parser(mp4);
+    assert(parsed.videoSamples.length === 60 && parsed.audioSamples.length === 94, 'All samples found');
+    const first = parsed.videoSamples[0];
+    assert(mp4.subarray(first.offset, first.offset + first.size).join() ===
+      reference.data.subarray(reference.videoSamples[0].offset, reference.videoSamples[0].offset + first.size).join(),
+      'co64 offsets point at the sample data');
+
+    // moov at the end, after a largesize mdat
+    const [ftyp, moov, mdat] = parseBoxes(mp4);
+    const moovLast = concat([ftyp.data, withLargesizeMdats(mdat.data), moov.data]);
+    assert(new MP4Parser(moovLast).videoSamples.length === 60, 'moov found after a largesize mdat');
+  }),
+
+  test('convertFmp4ToMp4 and stitchFmp4 accept largesize mdats', async () => {
+    const fmp4 = joinFragmentedMp4(createFragmentedMp4(parsedTs()));
+    const large = withLargesizeFragments(fmp4);
+    const expected = convertFmp4ToMp4(fmp4);
+    const converted = convertFmp4ToMp4(large);
+    assert(converted.join() === expected.join(), 'Converted output should not depend on the mdat header size');
+    const stitched = stitchFmp4([large, large]);
+    const samples = new MP4Parser(stitched).videoSamples;
+    assert(samples.length === 120, `Expected 120 stitched samples, got ${samples.length}`);
+    const a = samples[0], b = samples[60];
+    assert(stitched.subarray(a.offset, a.offset + a.size).join() === stitched.subarray(b.offset, b.offset + b.size).join(),
+      'Both copies point at the same sample data');
+  }),
+];
+
+// ── runner ─────────────────────────────────────────────────
+
+async function runTests(tests) {
+  console.log('\n' + '═'.repeat(60));
+  console.log('   Large File Tests');
+  console.log('═'.repeat(60) + '\n');
+
+  for (const { name, fn } of tests) {
+    try {
+      await fn();
+      console.log(`✅ ${name}`);
+      passed++;
+    } catch (err) {
+      console.log(`❌ ${name}`);
+      console.log(`   Error: ${err.message}`);
+      failed++;
+    }
+  }
+
+  console.log('\n' + '─'.repeat(60));
+  console.log(`Results: ${passed} passed, ${failed} failed`);
+  console.log('─'.repeat(60) + '\n');
+
+  process.exit(failed > 0 ? 1 : 0);
+}
+
+runTests(tests);
@@ -0,0 +1,170 @@
+/**
+ * 33-bit PTS / Rollover Tests
+ *
+ * Builds transport streams whose timestamps sit above 2^32 or cross the
+ * 2^33 rollover and checks parsing, unwrapping and resulting durations.
+ *
+ * Run: node tests/pts-wrap.test.js
+ */
+
+import { analyzeTsData, TSParser } from '../src/index.js';
+import { PTS_WRAP } from '../src/parsers/mpegts.js';
+import { parseAndCombineSegments } from '../src/mpegts/index.js';
+import { buildTs, pesPacket, h264Frames, aacFrames } from './ts-fixtures.js';
+
+let passed = 0;
+let failed = 0;
+
+function test(name, fn) {
+  return { name, fn };
+}
+
+function assert(condition, message) {
+  if (!condition) throw new Error(message || 'Assertion failed');
+}
+
+// ── helpers ───────────────────────────────────────────────
+
+/** Wrap fixture frame timestamps into the 33-bit range */
+function wrapped(frames) {
+  return frames.map(f => ({
+    ...f,
+    time: f.dts ?? f.pts,
+    pts: f.pts % PTS_WRAP,
+    dts: f.dts === undefined ? undefined : f.dts % PTS_WRAP
+  }));
+}
+
+function avTs(start) {
+  return buildTs([
+    { pid: 0x101, streamType: 0x1B, streamId: 0xE0, frames: wrapped(h264Frames(120, { start })) },
+    { pid: 0x102, streamType: 0x0F, streamId: 0xC0, frames: wrapped(aacFrames(180, { start })) },
+  ]);
+}
+
+function parse(ts) {
+  const parser = new TSParser();
+  parser.parse(ts);
+  parser.finalize();
+  return parser;
+}
+
+function isIncreasing(values) {
+  return values.every((v, i) => i === 0 || v > values[i - 1]);
+}
+
+// ── tests ─────────────────────────────────────────────────
+
+const tests = [
+  test('parsePTS reads all 33 bits', async () => {
+    const parser = new TSParser();
+    for (const value of [0, 0x7FFFFFFF, 0x80000000, 0x123456789, PTS_WRAP - 1]) {
+      const pes = pesPacket(0xE0, new Uint8Array(1), value);
+      const parsed = parser.parsePTS(pes, 9);
+      assert(parsed === value, `Expected ${value}, got ${parsed}`);
+    }
+  }),
+
+  test('timestamps above 2^32 keep correct spacing', async () => {
+    const parser = parse(avTs(0x150000000));
+    assert(isIncreasing(parser.videoPts), 'Video PTS should increase');
+    assert(parser.videoPts[1] - parser.videoPts[0] === 3000, 'Frame spacing should be 3000 ticks');
+  }),
+
+  test('rollover inside a stream is unwrapped', async () => {
+    // 4 seconds of media starting 2 seconds before the wrap
+    const parser = parse(avTs(PTS_WRAP - 180000));
+    assert(isIncreasing(parser.videoPts), 'Video PTS should increase across the wrap');
+    assert(isIncreasing(parser.audioPts), 'Audio PTS should increase across the wrap');
+    assert(parser.videoPts[0] === 0 && parser.audioPts[0] === 0, 'A/V should still start together');
+
+    const info = analyzeTsData(avTs(PTS_WRAP - 180000));
+    assert(Math.abs(info.duration - 3.97) < 0.05, `Expected ~3.97s duration, got ${info.duration}`);
+    assert(info.keyframeCount === 4, `Expected 4 keyframes, got ${info.keyframeCount}`);
+  }),
+
+  test('audio before the wrap and video after it stay in sync', async () => {
+    // Audio starts 100ms before the rollover, video 100ms after
+    const ts = buildTs([
+      { pid: 0x101, streamType: 0x1B, streamId: 0xE0, frames: wrapped(h264Frames(30, { start: PTS_WRAP + 9000 })) },
+      { pid: 0x102, streamType: 0x0F, streamId: 0xC0, frames: wrapped(aacFrames(50, { start: PTS_WRAP - 9000 })) },
+    ]);
+    const parser = parse(ts);
+    assert(parser.audioPts[0] === 0, 'Audio is first');
+    assert(parser.videoPts[0] === 18000, `Video should start 200ms later, got ${parser.videoPts[0]}`);
+  }),
+
+  test('programs and streams with far-apart clocks unwrap independently', async () => {
+    // Program 1 crosses the rollover and carries ID3 tags on a clock just
+    // under half a wrap behind its video when they're read (each tag is
+    // flushed by the next, 0.5s later); program 2 runs at 2^32
+    const start = PTS_WRAP - 180000;
+    const id3 = new Uint8Array([0x49, 0x44, 0x33, 4, 0, 0, 0, 0, 0, 0]);
+    const tags = Array.from({ length: 8 }, (_, i) => ({ data: id3, time: start + i * 45000 + 1, pts: (start + i * 45000 + 2 ** 32 + 43500) % PTS_WRAP }));
+    const ts = buildTs(null, {
+      programs: [
+        {
+          number: 1, pmtPid: 0x100, streams: [
+            { pid: 0x101, streamType: 0x1B, streamId: 0xE0, frames: wrapped(h264Frames(120, { start })) },
+            { pid: 0x102, streamType: 0x0F, streamId: 0xC0, frames: wrapped(aacFrames(180, { start })) },
+            { pid: 0x103, streamType: 0x15, streamId: 0xBD, frames: tags },
+          ]
+        },
+        {
+          number: 2, pmtPid: 0x200, streams: [
+            { pid: 0x201, streamType: 0x1B, streamId: 0xE0, frames: wrapped(h264Frames(120, { start: 2 ** 32 })).map(f => ({ ...f, time: f.time - 2 ** 32 + start })) },
+            { pid: 0x202, streamType: 0x0F, streamId: 0xC0, frames: wrapped(aacFrames(180, { start: 2 ** 32 })).map(f => ({ ...f, time: f.time - 2 ** 32 + start })) },
+          ]
+        },
+      ]
+    });
+    for (const program of [1, 2]) {
+      const parser = new TSParser({ program });
+      parser.parse(ts);
+      parser.finalize();
+      assert(parser.videoAccessUnits.length === 120 && parser.audioAccessUnits.length === 180, `Program ${program}: all frames`);
+      assert(isIncreasing(parser.videoDts) && isIncreasing(parser.audioPts), `Program ${program}: timestamps should increase`);
+      assert(parser.videoPts[0] === 0 && parser.audioPts[0] === 0, `Program ${program}: A/V should start together`);
+      assert(parser.videoDts[119] - parser.videoDts[0] === 119 * 3000, `Program ${program}: video spans ${parser.videoDts[119] - parser.videoDts[0]}`);
+    }
+  }),
+
+  test('parseAndCombineSegments handles a rollover at a segment boundary', async () => {
+    const start = PTS_WRAP - 120 * 3000;
+    const frames = wrapped(h264Frames(240, { start }));
+    const seg = list => buildTs([{ pid: 0x101, streamType: 0x1B, streamId: 0xE0, frames: list }]);
+    const combined = parseAndCombineSegments([seg(frames.slice(0, 120)), seg(frames.slice(120))]);
+    assert(combined.videoAccessUnits.length === 240, 'All frames kept');
+    assert(isIncreasing(combined.videoDts), 'Combined DTS should increase');
+    const last = combined.videoDts[combined.videoDts.length - 1];
+    assert(last === 239 * 3000, `Expected continuous timeline ending at ${239 * 3000}, got ${last}`);
+  }),
+];
+
+// ── runner ─────────────────────────────────────────────────
+
+async function runTests(tests) {
+  console.log('\n' + '═'.repeat(60));
+  console.log('   33-bit PTS / Rollover Tests');
+  console.log('═'.repeat(60) + '\n');
+
+  for (const { name, fn } of tests) {
+    try {
+      await fn();
+      console.log(`✅ ${name}`);
+      passed++;
+    } catch (err) {
+      console.log(`❌ ${name}`);
+      console.log(`   Error: ${err.message}`);
+      failed++;
+    }
+  }
+
+  console.log('\n' + '─'.repeat(60));
+  console.log(`Results: ${passed} passed, ${failed} failed`);
+  console.log('─'.repeat(60) + '\n');
+
+  process.exit(failed > 0 ? 1 : 0);
+}
+
+runTests(tests);
@@ -0,0 +1,135 @@
+/**
+ * RemoteMp4 Segmentation Tests
+ *
+ * Serves a synthetic MP4 through a mocked fetch() (HEAD and Range
+ * requests) and checks RemoteMp4's segments: one per GOP group, with the
+ * last one running to the end of the last frame so every sample is served.
+ * Requests go through fetchWithRetry() with the source's signal, retries
+ * and timeout.
+ *
+ * Run: node tests/remote-mp4.test.js
+ */
+
+import { RemoteMp4, convertTsToMp4 } from '../src/index.js';
+import { TSParser } from '../src/parsers/mpegts.js';
+import { buildTs, h264Frames, aacFrames } from './ts-fixtures.js';
+
+let passed = 0;
+let failed = 0;
+
+function test(name, fn) {
+  return { name, fn };
+}
+
+function assert(condition, message) {
+  if (!condition) throw new Error(message || 'Assertion failed');
+}
+
+// ── fixtures ──────────────────────────────────────────────
+
+const URL = 'https://cdn.test/video.mp4';
+
+/** 3s of 30fps H.264 (a keyframe every second) with AAC */
+const MP4 = convertTsToMp4(buildTs([
+  { pid: 0x101, streamType: 0x1B, streamId: 0xE0, frames: h264Frames(90) },
+  { pid: 0x102, streamType: 0x0F, streamId: 0xC0, frames: aacFrames(140) },
+]));
+
+/** Answer HEAD with the size and GETs with the requested byte range, after `failures` 503s */
+function serve(data, { failures = 0 } = {}) {
+  const requests = [];
+  globalThis.fetch = async (url, init = {}) => {
+    requests.push(init);
+    if (requests.length <= failures) return new Response(null, { status: 503 });
+    if (init.method === 'HEAD') {
+      return new Response(null, { headers: { 'content-length': String(data.length) } });
+    }
+    const [, start, end] = init.headers.Range.match(/bytes=(\d+)-(\d+)/).map(Number);
+    return new Response(data.slice(start, end + 1), { status: 206 });
+  };
+  return requests;
+}
+
+function videoFrames(ts) {
+  const parser = new TSParser();
+  parser.parse(ts);
+  parser.finalize();
+  return parser.videoAccessUnits.length;
+}
+
+// The muxer rounds the last frame's duration
+const near = (a, b) => Math.abs(a - b) < 1e-3;
+
+// ── tests ─────────────────────────────────────────────────
+
+const tests = [
+  test('the last segment includes the last frame', async () => {
+    serve(MP4);
+    const source = await RemoteMp4.fromUrl(URL, { segmentDuration: 1 });
+    const segments = source.getSegments();
+    assert(segments.length === 3, `Segments: ${segments.length}`);
+    assert(source.segments.at(-1).videoEnd === source.videoSamples.length, `Last segment ends at sample ${source.segments.at(-1).videoEnd}`);
+    assert(segments.every(seg => near(seg.duration, 1)), `Durations ${segments.map(seg => seg.duration)}`);
+    assert(near(segments.at(-1).endTime, source.duration), `Ends at ${segments.at(-1).endTime} of ${source.duration}`);
+
+    const counts = [];
+    for (let i = 0; i < segments.length; i++) counts.push(videoFrames(await source.getSegment(i)));
+    assert(counts.join() === '30,30,30', `Frames per segment: ${counts}`);
+  }),
+
+  test('short GOPs are combined up to the target duration', async () => {
+    serve(MP4);
+    const source = await RemoteMp4.fromUrl(URL, { segmentDuration: 2.5 });
+    const durations = source.getSegments().map(seg => seg.duration);
+    assert(durations.length === 2 && near(durations[0], 2) && near(durations[1], 1), `Durations ${durations}`);
+    const extinf = source.getMediaPlaylist().match(/#EXTINF:[\d.]+/g).map(line => Number(line.slice(8)));
+    assert(near(extinf[0], 2) && near(extinf[1], 1), `Playlist durations ${extinf}`);
+  }),
+
+  test('requests are retried and carry the signal', async () => {
+    const requests = serve(MP4, { failures: 1 });
+    const controller = new AbortController();
+    const source = await RemoteMp4.fromUrl(URL, { segmentDuration: 1, signal: controller.signal, retries: 1 });
+    assert(requests[0].method === 'HEAD' && requests[1].method === 'HEAD', 'The failed HEAD is retried');
+    assert(requests.every(init => init.signal), 'Every request can be cancelled');
+    assert(videoFrames(await source.getSegment(0)) === 30, 'Segment served');
+
+    controller.abort();
+    let error = null;
+    try { await source.getSegment(1); } catch (err) { error = err; }
+    assert(error?.name === 'AbortError', `Aborted segment fetch: ${error?.name} ${error?.message}`);
+  }),
+];
+
+// ── runner ─────────────────────────────────────────────────
+
+async function runTests(tests) {
+  console.log('\n' + '═'.repeat(60));
+  console.log('   RemoteMp4 Segmentation Tests');
+  console.log('═'.repeat(60) + '\n');
+
+  const originalFetch = globalThis.fetch;
+  try {
+    for (const { name, fn } of tests) {
+      try {
+        await fn();
+        console.log(`✅ ${name}`);
+        passed++;
+      } catch (err) {
+        console.log(`❌ ${name}`);
+        console.log(`   Error: ${err.message}`);
+        failed++;
+      }
+    }
+  } finally {
+    globalThis.fetch = originalFetch;
+  }
+
+  console.log('\n' + '─'.repeat(60));
+  console.log(`Results: ${passed} passed, ${failed} failed`);
+  console.log('─'.repeat(60) + '\n');
+
+  process.exit(failed > 0 ? 1 : 0);
+}
+
+runTests(tests);
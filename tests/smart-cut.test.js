@@ -0,0 +1,241 @@
+/**
+ * Smart-Cut Clipping Tests
+ *
+ * Checks precise: true clipping of MPEG-TS, fMP4 and MP4 input: only the
+ * frames from the requested start to the next keyframe go through the
+ * reencode hook, they get their own sample description, the rest is
+ * stream-copied, and audio starts at the cut with no edit list to skip.
+ * Node has no WebCodecs, so a fake hook stands in for the encoder.
+ *
+ * Run: node tests/smart-cut.test.js
+ */
+
+import { toMp4, convertTsToMp4, convertTsToMp4Precise, convertFmp4ToMp4Precise, clipMp4, clipMp4Precise } from '../src/index.js';
+import { TSParser } from '../src/parsers/mpegts.js';
+import { buildAvcC, buildHvcC } from '../src/muxers/mp4.js';
+import { createFragmentedMp4, joinFragmentedMp4 } from '../src/muxers/fmp4.js';
+import { analyzeTrack, buildSampleTable } from '../src/parsers/mp4.js';
+import { parseBoxes, findBox, parseChildBoxes } from '../src/fmp4/utils.js';
+import { smartCut, joinNalUnits, splitNalUnits, parameterSets, codecString } from '../src/smart-cut.js';
+import { buildTs, annexB, h264Frames, aacFrames, H264_SPS, HEVC_VPS, HEVC_SPS, HEVC_PPS } from './ts-fixtures.js';
+
+let passed = 0;
+let failed = 0;
+
+function test(name, fn) {
+  return { name, fn };
+}
+
+function assert(condition, message) {
+  if (!condition) throw new Error(message || 'Assertion failed');
+}
+
+// ── helpers ───────────────────────────────────────────────
+
+/** Parameter sets the fake encoder "outputs", different from the fixtures' */
+const ENCODER_SPS = new Uint8Array([0x67, 0x64, 0x00, 0x1F, 0xAC, 0xD9, 0x40, 0x78, 0x02, 0x27, 0xE5, 0xC0, 0x44, 0x00, 0x00, 0x03, 0x00, 0x04, 0x00, 0x00, 0x03, 0x00, 0xF0, 0x3C, 0x60, 0xC6, 0x58]);
+const ENCODER_PPS = new Uint8Array([0x68, 0xEB, 0xE3, 0xCB, 0x22, 0xC0]);
+const ENCODER_CONFIG = buildAvcC(ENCODER_SPS, ENCODER_PPS).subarray(8);
+
+/** 3 seconds of 30 fps video (a keyframe every second) with AAC */
+function source({ inBandAt2s = true } = {}) {
+  let frames = h264Frames(90);
+  if (!inBandAt2s) {
+    // The keyframe at 2s comes without SPS/PPS
+    frames = frames.map((frame, i) => i === 60
+      ? { ...frame, data: annexB([new Uint8Array([0x65, 0x88, 0x84, i, 0x21])]) }
+      : frame);
+  }
+  return buildTs([
+    { pid: 0x101, streamType: 0x1B, streamId: 0xE0, frames },
+    { pid: 0x102, streamType: 0x0F, streamId: 0xC0, frames: aacFrames(141) },
+  ]);
+}
+
+/** Fake reencode hook: one IDR then P slices for the frames from startPts, recording its requests */
+function fakeEncoder() {
+  const requests = [];
+  const reencode = async (request) => {
+    requests.push(request);
+    const frames = request.frames
+      .filter(frame => frame.pts >= request.startPts)
+      .sort((a, b) => a.pts - b.pts)
+      .map((frame, i) => ({
+        data: joinNalUnits([i === 0 ? new Uint8Array([0x65, 0xB8, 0x00, i, 0x10]) : new Uint8Array([0x41, 0xE0, 0x00, i, 0x10])]),
+        pts: frame.pts,
+        keyframe: i === 0
+      }));
+    return { description: ENCODER_CONFIG, frames };
+  };
+  return { requests, reencode };
+}
+
+function fragmented(ts) {
+  const parser = new TSParser();
+  parser.parse(ts);
+  parser.finalize();
+  return joinFragmentedMp4(createFragmentedMp4(parser));
+}
+
+/** Sample descriptions, edit list media time and samples of each trak */
+function traks(mp4) {
+  const moov = findBox(parseBoxes(mp4), 'moov');
+  return parseChildBoxes(moov).filter(b => b.type === 'trak').map(trak => {
+    const children = parseChildBoxes(trak);
+    const edts = findBox(children, 'edts');
+    const elst = edts && findBox(parseChildBoxes(edts), 'elst');
+    const mdia = parseChildBoxes(findBox(children, 'mdia'));
+    const stbl = parseChildBoxes(findBox(parseChildBoxes(findBox(mdia, 'minf')), 'stbl'));
+    const track = analyzeTrack(moov.data, trak.offset, trak.size);
+    return {
+      entries: parseChildBoxes(findBox(stbl, 'stsd'), 16),
+      mediaTime: elst ? new DataView(elst.data.buffer, elst.data.byteOffset).getInt32(20) : 0,
+      stsc: track.stsc.map(e => `${e.samplesPerChunk}x${e.sampleDescriptionIndex}`).join(),
+      samples: buildSampleTable(track)
+    };
+  });
+}
+
+function sampleNalUnits(mp4, sample) {
+  return splitNalUnits(mp4.subarray(sample.offset, sample.offset + sample.size));
+}
+
+const near = (a, b) => Math.abs(a - b) < 0.001;
+
+// ── tests ─────────────────────────────────────────────────
+
+const tests = [
+  test('convertTsToMp4Precise re-encodes only up to the next keyframe', async () => {
+    const { requests, reencode } = fakeEncoder();
+    const mp4 = await convertTsToMp4Precise(source(), { startTime: 1.5, reencode });
+
+    assert(requests.length === 1, 'One GOP re-encoded');
+    const [request] = requests;
+    assert(request.frames.length === 30 && request.frames[0].keyframe, 'The hook gets the whole GOP from its keyframe');
+    assert(request.startPts === 45000 && request.timescale === 90000, `Start ${request.startPts}`);
+    assert(request.format === 'avc' && request.codec === codecString('avc', request.description), 'Codec string');
+    assert(parameterSets('avc', request.description)[0].join() === H264_SPS.join(), 'Source avcC');
+    assert(splitNalUnits(request.frames[0].data)[0].join() === H264_SPS.join(), 'Frames are length-prefixed');
+
+    const [video] = traks(mp4);
+    assert(video.samples.length === 45, `Expected 15 re-encoded + 30 copied samples, got ${video.samples.length}`);
+    assert(video.samples[0].pts === 0 && video.samples[0].isKeyframe, 'Starts with a keyframe at 0');
+    assert(video.mediaTime === 0, 'No preroll to skip');
+    assert(video.entries.length === 2 && video.stsc === '15x1,30x2', `Unexpected stsc: ${video.stsc}`);
+    assert(video.samples[15].isKeyframe && near(video.samples[15].pts, 0.5), 'Stream copy resumes at the next keyframe');
+  }),
+
+  test('audio starts at the cut', async () => {
+    const { reencode } = fakeEncoder();
+    const [, audio] = traks(await convertTsToMp4Precise(source(), { startTime: 1.5, reencode }));
+    const expected = aacFrames(141).filter(frame => frame.pts >= 135000).length;
+    assert(audio.samples.length === expected, `Expected ${expected} audio samples, got ${audio.samples.length}`);
+    assert(audio.mediaTime < 1920, 'At most part of one AAC frame to skip');
+  }),
+
+  test('stream copy resumes with the source parameter sets', async () => {
+    const { reencode } = fakeEncoder();
+    const mp4 = await convertTsToMp4Precise(source({ inBandAt2s: false }), { startTime: 1.5, reencode });
+    const [video] = traks(mp4);
+    assert(video.stsc === '15x1,30x2', `Unexpected stsc: ${video.stsc}`);
+    assert(sampleNalUnits(mp4, video.samples[0])[0].join() === ENCODER_SPS.join(), 'Re-encoded frames lead with the encoder SPS');
+    assert(sampleNalUnits(mp4, video.samples[15])[0].join() === H264_SPS.join(), 'The first copied keyframe gets the source SPS back');
+  }),
+
+  test('a start on a keyframe re-encodes nothing', async () => {
+    const { requests, reencode } = fakeEncoder();
+    const mp4 = await convertTsToMp4Precise(source(), { startTime: 1, endTime: 2, reencode });
+    assert(requests.length === 0, 'Hook not called');
+    assert(mp4.join() === convertTsToMp4(source(), { startTime: 1, endTime: 2 }).join(), 'Same as a keyframe clip');
+  }),
+
+  test('without WebCodecs or a hook precise clipping rejects', async () => {
+    let error = null;
+    try { await convertTsToMp4Precise(source(), { startTime: 1.5 }); } catch (e) { error = e; }
+    assert(error?.message.includes('needs WebCodecs or an options.reencode hook'), `Unexpected error: ${error?.message}`);
+  }),
+
+  test('convertFmp4ToMp4Precise and clipMp4Precise splice a second sample description', async () => {
+    for (const [name, clip, input] of [
+      ['fMP4', convertFmp4ToMp4Precise, fragmented(source())],
+      ['MP4', clipMp4Precise, convertTsToMp4(source())],
+    ]) {
+      const { requests, reencode } = fakeEncoder();
+      const mp4 = await clip(input, { startTime: 1.5, endTime: 2.5, reencode });
+      assert(requests.length === 1 && requests[0].frames.length === 30, `${name}: one GOP re-encoded`);
+
+      const [video, audio] = traks(mp4);
+      assert(video.samples.length === 30, `${name}: expected 30 samples, got ${video.samples.length}`);
+      assert(video.entries.length === 2 && video.stsc === '15x2,15x1', `${name}: unexpected stsc ${video.stsc}`);
+      const avcC = findBox(parseChildBoxes(video.entries[1], 86), 'avcC');
+      assert(avcC.data.subarray(8).join() === ENCODER_CONFIG.join(), `${name}: second entry holds the encoder's avcC`);
+      assert(video.samples[0].isKeyframe && !video.samples[1].isKeyframe && video.samples[15].isKeyframe, `${name}: sync samples`);
+      assert(sampleNalUnits(mp4, video.samples[0])[0][0] === 0x65, `${name}: re-encoded data written to mdat`);
+      assert(video.mediaTime === 0 && audio.mediaTime === 0, `${name}: nothing to skip (${video.mediaTime}, ${audio.mediaTime})`);
+      const expected = aacFrames(141).filter(frame => frame.pts >= 135000 && frame.pts < 225000).length;
+      assert(audio.samples.length === expected, `${name}: expected ${expected} audio samples from the cut, got ${audio.samples.length}`);
+    }
+  }),
+
+  test('RASL pictures of an HEVC CRA after the cut are dropped', async () => {
+    // IDR GOP of 8 frames, then an open-GOP CRA with two RASL and one RADL leading picture
+    const slice = (type, i) => ({ data: joinNalUnits([new Uint8Array([type << 1, 0x01, 0xAF, i])]) });
+    const frames = [
+      ...Array.from({ length: 8 }, (_, i) => ({ ...slice(i === 0 ? 19 : 1, i), pts: i * 3000 + 3000, dts: i * 3000, keyframe: i === 0 })),
+      { ...slice(21, 8), pts: 36000, dts: 24000, keyframe: true },
+      { ...slice(8, 9), pts: 27000, dts: 27000, keyframe: false },
+      { ...slice(9, 10), pts: 30000, dts: 30000, keyframe: false },
+      { ...slice(7, 11), pts: 33000, dts: 33000, keyframe: false },
+      { ...slice(1, 12), pts: 39000, dts: 36000, keyframe: false },
+    ];
+    const config = { format: 'hevc', description: buildHvcC([HEVC_VPS], [HEVC_SPS], [HEVC_PPS]).subarray(8), width: 1280, height: 720, timescale: 90000 };
+    const { reencode } = fakeEncoder();
+    const cut = await smartCut(frames, config, 15000, { reencode });
+
+    assert(cut.reencoded === 4, `Re-encoded ${cut.reencoded}`);
+    const copied = cut.frames.slice(cut.reencoded).map(frame => splitNalUnits(frame.data)[0][0] >> 1);
+    assert(copied.join() === '21,7,1', `Copied NAL types ${copied}`);
+  }),
+
+  test('toMp4 accepts precise, the synchronous converters reject it', async () => {
+    const { reencode } = fakeEncoder();
+    for (const input of [source(), fragmented(source()), convertTsToMp4(source())]) {
+      const result = await toMp4(input, { startTime: 1.5, endTime: 2.5, precise: true, reencode });
+      const [video] = traks(result.data);
+      assert(video.samples.length === 30 && video.entries.length === 2, `toMp4 output: ${video.samples.length} samples, stsc ${video.stsc}`);
+    }
+    for (const convert of [toMp4.fromTs, convertTsToMp4, clipMp4]) {
+      let error = null;
+      try { convert(source(), { startTime: 1.5, precise: true, reencode }); } catch (e) { error = e; }
+      assert(error?.message.includes('re-encodes asynchronously'), `Unexpected error: ${error?.message}`);
+    }
+  }),
+];
+
+// ── runner ─────────────────────────────────────────────────
+
+async function runTests(tests) {
+  console.log('\n' + '═'.repeat(60));
+  console.log('   Smart-Cut Clipping Tests');
+  console.log('═'.repeat(60) + '\n');
+
+  for (const { name, fn } of tests) {
+    try {
+      await fn();
+      console.log(`✅ ${name}`);
+      passed++;
+    } catch (err) {
+      console.log(`❌ ${name}`);
+      console.log(`   Error: ${err.message}`);
+      failed++;
+    }
+  }
+
+  console.log('\n' + '─'.repeat(60));
+  console.log(`Results: ${passed} passed, ${failed} failed`);
+  console.log('─'.repeat(60) + '\n');
+
+  process.exit(failed > 0 ? 1 : 0);
+}
+
+runTests(tests);
@@ -0,0 +1,287 @@
+/**
+ * MPEG-TS Audio Codec Tests
+ *
+ * Checks that MP3 (MPEG audio), AC-3, E-AC-3 and LATM AAC streams remux
+ * into MP4 and fMP4 with the right sample entries (mp4a with OTI
+ * 0x6B/0x69, ac-3 with dac3, ec-3 with dec3, mp4a with the LATM stream's
+ * AudioSpecificConfig), whole syncframes or raw AAC access units as
+ * samples and their own frame durations, including frames split across
+ * PES packets.
+ *
+ * Run: node tests/ts-audio-codecs.test.js
+ */
+
+import { convertTsToMp4, convertFmp4ToMp4, analyzeTsData, packageHls, concatTs } from '../src/index.js';
+import { TSParser } from '../src/parsers/mpegts.js';
+import { createFragmentedMp4, joinFragmentedMp4 } from '../src/muxers/fmp4.js';
+import { analyzeTrack, buildSampleTable } from '../src/parsers/mp4.js';
+import { parseBoxes, findBox, parseChildBoxes } from '../src/fmp4/utils.js';
+import {
+  buildTs, h264Frames, aacFrames, mp3Frame, mp3Frames, ac3Frame, ac3Frames, eac3Frame, latmFrames, loasFrame, concat
+} from './ts-fixtures.js';
+
+let passed = 0;
+let failed = 0;
+
+function test(name, fn) {
+  return { name, fn };
+}
+
+function assert(condition, message) {
+  if (!condition) throw new Error(message || 'Assertion failed');
+}
+
+// ── helpers ───────────────────────────────────────────────
+
+/** 2 seconds of video with one audio stream */
+function source(streamType, frames) {
+  return buildTs([
+    { pid: 0x101, streamType: 0x1B, streamId: 0xE0, frames: h264Frames(60) },
+    { pid: 0x102, streamType, streamId: streamType === 0x03 || streamType === 0x04 ? 0xC0 : 0xBD, frames },
+  ]);
+}
+
+/** Sample entry, config box payload, timescale, durations and samples of each audio trak */
+function audioTraks(mp4) {
+  const moov = findBox(parseBoxes(mp4), 'moov');
+  return parseChildBoxes(moov).filter(b => b.type === 'trak').slice(1).map(trak => {
+    const mdia = parseChildBoxes(findBox(parseChildBoxes(trak), 'mdia'));
+    const stbl = parseChildBoxes(findBox(parseChildBoxes(findBox(mdia, 'minf')), 'stbl'));
+    const [entry] = parseChildBoxes(findBox(stbl, 'stsd'), 16);
+    const [config] = parseChildBoxes(entry, 36);
+    const track = analyzeTrack(moov.data, trak.offset, trak.size);
+    return {
+      type: entry.type,
+      channels: new DataView(entry.data.buffer, entry.data.byteOffset).getUint16(24),
+      config: config.type,
+      configData: config.data.subarray(8),
+      timescale: track.timescale,
+      stts: track.stts.map(e => `${e.sampleCount}x${e.sampleDelta}`).join(),
+      samples: buildSampleTable(track)
+    };
+  });
+}
+
+function sampleData(mp4, sample) {
+  return mp4.subarray(sample.offset, sample.offset + sample.size);
+}
+
+/** DecoderSpecificInfo (AudioSpecificConfig) bytes of an esds payload */
+function decoderSpecificInfo(esds) {
+  const tag = esds.indexOf(0x05, 13);
+  return Array.from(esds.subarray(tag + 2, tag + 2 + esds[tag + 1]));
+}
+
+/** Split a byte stream into PES payloads of the given size, timestamped by the caller */
+function chunks(data, size) {
+  const result = [];
+  for (let offset = 0; offset < data.length; offset += size) result.push(data.subarray(offset, offset + size));
+  return result;
+}
+
+// ── tests ─────────────────────────────────────────────────
+
+const tests = [
+  test('MP3 remuxes into mp4a with object type 0x6B', () => {
+    const mp4 = convertTsToMp4(source(0x03, mp3Frames(83)));
+    const [audio] = audioTraks(mp4);
+    assert(audio.type === 'mp4a' && audio.config === 'esds', `Unexpected sample entry ${audio.type}/${audio.config}`);
+    // ES descriptor, then the DecoderConfigDescriptor's objectTypeIndication, and no DecoderSpecificInfo
+    assert(audio.configData[4] === 0x03 && audio.configData[9] === 0x04 && audio.configData[11] === 0x6B, 'Object type 0x6B');
+    assert(audio.configData[10] === 13, 'No DecoderSpecificInfo');
+    assert(audio.timescale === 48000 && audio.channels === 2, `${audio.timescale} Hz, ${audio.channels} channels`);
+    assert(audio.stts === '83x1152', `Unexpected stts ${audio.stts}`);
+    assert(sampleData(mp4, audio.samples[5]).join() === mp3Frame(5).join(), 'Samples are whole frames, header included');
+  }),
+
+  test('MPEG-2 audio at half rate gets object type 0x69 and 576-sample frames', () => {
+    // MPEG-2 Layer III, 64 kbit/s, 24 kHz, mono: 192 bytes
+    const frame = new Uint8Array(192);
+    frame.set([0xFF, 0xF3, 0x84, 0xC0]);
+    const frames = Array.from({ length: 20 }, (_, i) => ({ data: frame, pts: i * 2160 }));
+    const [audio] = audioTraks(convertTsToMp4(source(0x04, frames)));
+    assert(audio.type === 'mp4a' && audio.configData[11] === 0x69, 'Object type 0x69');
+    assert(audio.timescale === 24000 && audio.channels === 1, `${audio.timescale} Hz, ${audio.channels} channels`);
+    assert(audio.stts === '20x576', `Unexpected stts ${audio.stts}`);
+  }),
+
+  test('AC-3 remuxes into ac-3 with dac3', () => {
+    const mp4 = convertTsToMp4(source(0x81, ac3Frames(62)));
+    const [audio] = audioTraks(mp4);
+    assert(audio.type === 'ac-3' && audio.config === 'dac3', `Unexpected sample entry ${audio.type}/${audio.config}`);
+    // fscod 0, bsid 8, bsmod 0, acmod 7, lfeon 1, bit_rate_code 10 (192 kbit/s)
+    assert(audio.configData.join() === [0x10, 0x3D, 0x40].join(), `dac3 ${Array.from(audio.configData)}`);
+    assert(audio.channels === 6, `Expected 5.1, got ${audio.channels} channels`);
+    assert(audio.stts === '62x1536', `Unexpected stts ${audio.stts}`);
+    assert(sampleData(mp4, audio.samples[61]).join() === ac3Frame(61).join(), 'Samples are whole syncframes');
+  }),
+
+  test('E-AC-3 remuxes into ec-3 with dec3', () => {
+    const frames = Array.from({ length: 62 }, (_, i) => ({ data: eac3Frame(), pts: i * 2880 }));
+    const [audio] = audioTraks(convertTsToMp4(source(0x87, frames)));
+    assert(audio.type === 'ec-3' && audio.config === 'dec3', `Unexpected sample entry ${audio.type}/${audio.config}`);
+    // data_rate 128 kbit/s, one independent substream: bsid 16, acmod 7, lfeon 1, no dependents
+    assert(audio.configData.join() === [0x04, 0x00, 0x20, 0x0F, 0x00].join(), `dec3 ${Array.from(audio.configData)}`);
+    assert(audio.stts === '62x1536', `Unexpected stts ${audio.stts}`);
+  }),
+
+  test('E-AC-3 frames with fewer blocks and a dependent substream group into 1536-sample samples', () => {
+    // 7.1: each 2-block independent frame is followed by a dependent one carrying Lrs/Rrs
+    const unit = concat([eac3Frame({ blocks: 2, size: 256 }), eac3Frame({ blocks: 2, size: 128, chanmap: 0x0200 })]);
+    const frames = Array.from({ length: 60 }, (_, i) => ({ data: unit, pts: i * 960 }));
+    const mp4 = convertTsToMp4(source(0x87, frames));
+    const [audio] = audioTraks(mp4);
+    assert(audio.samples.length === 20, `Expected 20 samples of three frame pairs, got ${audio.samples.length}`);
+    assert(audio.samples.every(s => s.size === 3 * unit.length), 'Each sample holds three independent and three dependent frames');
+    assert(audio.stts === '20x1536', `Unexpected stts ${audio.stts}`);
+    // data_rate 288 kbit/s; num_dep_sub 1 with chan_loc 0x010 (chanmap >> 5)
+    assert(audio.configData.join() === [0x09, 0x00, 0x20, 0x0F, 0x02, 0x10].join(), `dec3 ${Array.from(audio.configData)}`);
+  }),
+
+  test('syncframes split across PES packets keep their timeline', () => {
+    // 768-byte syncframes in 500-byte PES payloads, each stamped with the first frame starting in it
+    const stream = concat(Array.from({ length: 40 }, (_, i) => ac3Frame(i)));
+    const frames = chunks(stream, 500).map((data, i) => {
+      const firstStart = Math.ceil(i * 500 / 768) * 768;
+      return { data, pts: firstStart < (i + 1) * 500 ? firstStart / 768 * 2880 : null, time: i * 500 / 768 * 2880 };
+    });
+    const mp4 = convertTsToMp4(source(0x81, frames));
+    const [audio] = audioTraks(mp4);
+    assert(audio.samples.length === 40, `Expected 40 samples, got ${audio.samples.length}`);
+    assert(audio.stts === '40x1536', `Unexpected stts ${audio.stts}`);
+    assert(audio.samples.every((s, i) => sampleData(mp4, s).join() === ac3Frame(i).join()), 'Frames reassembled');
+  }),
+
+  test('fragmented output carries the sample entry and frame duration', () => {
+    const parser = new TSParser();
+    parser.parse(source(0x81, ac3Frames(62)));
+    parser.finalize();
+    const fmp4 = joinFragmentedMp4(createFragmentedMp4(parser));
+    const [audio] = audioTraks(convertFmp4ToMp4(fmp4));
+    assert(audio.type === 'ac-3' && audio.configData.join() === [0x10, 0x3D, 0x40].join(), 'ac-3 sample entry in the init segment');
+    assert(audio.stts === '62x1536', `Unexpected stts ${audio.stts}`);
+  }),
+
+  test('LATM AAC remuxes into mp4a with the stream\'s AudioSpecificConfig', () => {
+    const frames = latmFrames(94);
+    const ts = source(0x11, frames);
+    const [info] = analyzeTsData(ts).audioTracks;
+    assert(info.codec === 'AAC-LATM' && info.sampleRate === 48000 && info.channels === 2, `Track info: ${JSON.stringify(info)}`);
+
+    const mp4 = convertTsToMp4(ts);
+    const [audio] = audioTraks(mp4);
+    assert(audio.type === 'mp4a' && audio.configData[11] === 0x40, 'mp4a with object type 0x40');
+    // AAC-LC, 48 kHz, stereo
+    assert(decoderSpecificInfo(audio.configData).join() === [0x11, 0x90].join(), `ASC ${decoderSpecificInfo(audio.configData)}`);
+    assert(audio.timescale === 48000 && audio.stts === '94x1024', `${audio.timescale} Hz, stts ${audio.stts}`);
+    // Frames between StreamMuxConfigs reuse the last one
+    assert(audio.samples.every((s, i) => sampleData(mp4, s).join() === frames[i].aac.join()), 'Samples are the raw AAC payloads');
+  }),
+
+  test('LOAS frames split across PES packets are reassembled', () => {
+    const frames = latmFrames(40);
+    let offset = 0;
+    const starts = frames.map(f => (offset += f.data.length) - f.data.length);
+    // 200-byte PES payloads, each stamped with the first frame starting in it
+    const pes = chunks(concat(frames.map(f => f.data)), 200).map((data, i) => {
+      const first = starts.findIndex(start => start >= i * 200 && start < (i + 1) * 200);
+      return { data, pts: first >= 0 ? frames[first].pts : null, time: i };
+    });
+    const mp4 = convertTsToMp4(source(0x11, pes));
+    const [audio] = audioTraks(mp4);
+    assert(audio.samples.length === 40, `Expected 40 samples, got ${audio.samples.length}`);
+    assert(audio.stts === '40x1024', `Unexpected stts ${audio.stts}`);
+    assert(audio.samples.every((s, i) => sampleData(mp4, s).join() === frames[i].aac.join()), 'Frames reassembled');
+  }),
+
+  test('LATM audioMuxVersion 1 with several subframes per frame', () => {
+    const aac = Array.from({ length: 40 }, (_, i) => new Uint8Array(30 + i).fill(i));
+    const frames = Array.from({ length: 20 }, (_, i) => ({
+      data: loasFrame([aac[2 * i], aac[2 * i + 1]], { audioMuxVersion: 1, config: i === 0 }),
+      pts: i * 3840
+    }));
+    const mp4 = convertTsToMp4(source(0x11, frames));
+    const [audio] = audioTraks(mp4);
+    assert(audio.samples.length === 40 && audio.stts === '40x1024', `Samples ${audio.samples.length}, stts ${audio.stts}`);
+    assert(audio.samples.every((s, i) => sampleData(mp4, s).join() === aac[i].join()), 'One sample per subframe');
+    assert(decoderSpecificInfo(audio.configData).join() === [0x11, 0x90].join(), 'ASC');
+  }),
+
+  test('HE-AAC LATM keeps its explicit SBR config and core timing', () => {
+    const frames = latmFrames(47, { asc: { objectType: 5, sampleRateIndex: 6 } }).map((f, i) => ({ ...f, pts: i * 3840 }));
+    const ts = source(0x11, frames);
+    const [audio] = audioTraks(convertTsToMp4(ts));
+    // SBR, 24 kHz core, stereo, 48 kHz extension, AAC-LC
+    assert(decoderSpecificInfo(audio.configData).join() === [0x2B, 0x11, 0x88, 0x00].join(), `ASC ${decoderSpecificInfo(audio.configData)}`);
+    assert(audio.timescale === 24000 && audio.stts === '47x1024', `${audio.timescale} Hz, stts ${audio.stts}`);
+    assert(packageHls(ts).codecs === 'avc1.42c00d,mp4a.40.5', 'HLS codecs signal HE-AAC');
+  }),
+
+  test('concatTs rewrites LATM AAC as ADTS', () => {
+    const frames = latmFrames(94);
+    const ts = source(0x11, frames);
+    const parser = new TSParser();
+    parser.parse(concatTs([ts, ts]));
+    parser.finalize();
+    assert(parser.audioStreamType === 0x0F && parser.audioConfig === null, `Stream type 0x${parser.audioStreamType.toString(16)}`);
+    assert(parser.audioSampleRate === 48000 && parser.audioChannels === 2, `${parser.audioSampleRate} Hz, ${parser.audioChannels} channels`);
+    assert(parser.audioAccessUnits.length === 188, `${parser.audioAccessUnits.length} frames`);
+    assert(parser.audioAccessUnits.every((au, i) => au.data.join() === frames[i % 94].aac.join()), 'Raw AAC frames kept');
+
+    const segments = packageHls(ts, { format: 'ts' }).segments;
+    assert(segments.length > 0, 'TS packaging takes LATM too');
+
+    const heAac = source(0x11, latmFrames(47, { asc: { objectType: 5, sampleRateIndex: 6 } }));
+    let error = null;
+    try { concatTs([heAac]); } catch (err) { error = err; }
+    assert(error?.message === 'AAC-LATM audio object type 5 cannot be rewritten as ADTS for MPEG-TS output', `Error: ${error?.message}`);
+  }),
+
+  test('LATM configs it cannot demux are reported', () => {
+    let error = null;
+    try { convertTsToMp4(source(0x11, latmFrames(10, { asc: { objectType: 23 } }))); } catch (err) { error = err; }
+    assert(error?.message === 'Unsupported AAC-LATM stream: audio object type 23', `Error: ${error?.message}`);
+  }),
+
+  test('AC-3 next to AAC: both tracks kept and reported', () => {
+    const ts = buildTs([
+      { pid: 0x101, streamType: 0x1B, streamId: 0xE0, frames: h264Frames(60) },
+      { pid: 0x102, streamType: 0x0F, streamId: 0xC0, frames: aacFrames(94) },
+      { pid: 0x103, streamType: 0x81, streamId: 0xBD, frames: ac3Frames(62) },
+    ]);
+    const info = analyzeTsData(ts);
+    const ac3 = info.audioTracks.find(t => t.pid === 0x103);
+    assert(ac3 && ac3.codec === 'AC-3 (Dolby)' && ac3.sampleRate === 48000 && ac3.channels === 6, 'AC-3 track info');
+    const [aac, dolby] = audioTraks(convertTsToMp4(ts));
+    assert(aac.type === 'mp4a' && aac.stts === '94x1024', `AAC track: ${aac.type} ${aac.stts}`);
+    assert(dolby.type === 'ac-3' && dolby.stts === '62x1536', `AC-3 track: ${dolby.type} ${dolby.stts}`);
+  }),
+];
+
+// ── runner ─────────────────────────────────────────────────
+
+async function runTests(tests) {
+  console.log('\n' + '═'.repeat(60));
+  console.log('   MPEG-TS Audio Codec Tests');
+  console.log('═'.repeat(60) + '\n');
+
+  for (const { name, fn } of tests) {
+    try {
+      await fn();
+      console.log(`✅ ${name}`);
+      passed++;
+    } catch (err) {
+      console.log(`❌ ${name}`);
+      console.log(`   Error: ${err.message}`);
+      failed++;
+    }
+  }
+
+  console.log('\n' + '─'.repeat(60));
+  console.log(`Results: ${passed} passed, ${failed} failed`);
+  console.log('─'.repeat(60) + '\n');
+
+  process.exit(failed > 0 ? 1 : 0);
+}
+
+runTests(tests);
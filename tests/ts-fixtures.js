@@ -0,0 +1,431 @@
+/**
+ * Synthetic MPEG-TS fixtures for offline tests
+ *
+ * Builds small transport streams from elementary stream frames so codec
+ * and container paths can be tested without network access or sample files.
+ *
+ * @example
+ * const ts = buildTs([
+ *   { pid: 0x101, streamType: 0x1B, streamId: 0xE0, frames: [{ data: annexB(nals), pts: 0 }] },
+ * ]);
+ */
+
+const TS_PACKET_SIZE = 188;
+
+function crc32(data) {
+  let crc = 0xFFFFFFFF;
+  for (let i = 0; i < data.length; i++) {
+    crc ^= data[i] << 24;
+    for (let j = 0; j < 8; j++) {
+      crc = (crc & 0x80000000) ? ((crc << 1) ^ 0x04C11DB7) : (crc << 1);
+    }
+  }
+  return crc >>> 0;
+}
+
+export function concat(arrays) {
+  const len = arrays.reduce((s, a) => s + a.length, 0);
+  const r = new Uint8Array(len);
+  let o = 0;
+  for (const a of arrays) { r.set(a, o); o += a.length; }
+  return r;
+}
+
+/** Join NAL units into an Annex B byte stream (4-byte start codes) */
+export function annexB(nalUnits) {
+  const parts = [];
+  for (const nal of nalUnits) {
+    parts.push(new Uint8Array([0, 0, 0, 1]), nal);
+  }
+  return concat(parts);
+}
+
+/** Wrap raw AAC data in a 7-byte ADTS header */
+export function adtsFrame(aac, sampleRateIndex = 3, channels = 2) {
+  const frameLength = aac.length + 7;
+  const header = new Uint8Array([
+    0xFF, 0xF1,
+    (1 << 6) | (sampleRateIndex << 2) | ((channels >> 2) & 0x01),
+    ((channels & 0x03) << 6) | ((frameLength >> 11) & 0x03),
+    (frameLength >> 3) & 0xFF,
+    ((frameLength & 0x07) << 5) | 0x1F,
+    0xFC
+  ]);
+  return concat([header, aac]);
+}
+
+/** Pack [value, bitCount] fields MSB-first, zero-padding the last byte */
+function packFields(fields) {
+  const bits = fields.flatMap(([value, count]) => Array.from({ length: count }, (_, i) => Math.floor(value / 2 ** (count - 1 - i)) & 1));
+  const bytes = new Uint8Array(Math.ceil(bits.length / 8));
+  bits.forEach((bit, i) => { bytes[i >> 3] |= bit << (7 - (i & 7)); });
+  return bytes;
+}
+
+/**
+ * AudioSpecificConfig fields: object type, sampling frequency index and
+ * channel configuration, then an empty GASpecificConfig. Object type 5
+ * (explicit SBR) wraps AAC-LC at twice the rate.
+ */
+export function audioSpecificConfigFields({ objectType = 2, sampleRateIndex = 3, channels = 2 } = {}) {
+  const fields = [[objectType, 5], [sampleRateIndex, 4], [channels, 4]];
+  if (objectType === 5) fields.push([sampleRateIndex - 3, 4], [2, 5]);
+  return fields.concat([[0, 1], [0, 1], [0, 1]]);
+}
+
+/**
+ * LOAS frame carrying raw AAC access units in one AudioMuxElement
+ * @param {Uint8Array[]} payloads - One per subframe
+ * @param {object} [options]
+ * @param {boolean} [options.config=true] - Include a StreamMuxConfig (false: useSameStreamMux)
+ * @param {0|1} [options.audioMuxVersion=0]
+ * @param {object} [options.asc] - audioSpecificConfigFields() options
+ */
+export function loasFrame(payloads, { config = true, audioMuxVersion = 0, asc = {} } = {}) {
+  const fields = [[config ? 0 : 1, 1]];
+  if (config) {
+    const ascFields = audioSpecificConfigFields(asc);
+    fields.push([audioMuxVersion, 1]);
+    if (audioMuxVersion) fields.push([0, 1], [0, 2], [0xFF, 8]); // audioMuxVersionA, taraBufferFullness
+    fields.push([1, 1], [payloads.length - 1, 6], [0, 4], [0, 3]);
+    if (audioMuxVersion) fields.push([0, 2], [ascFields.reduce((sum, [, count]) => sum + count, 0), 8]);
+    fields.push(...ascFields);
+    fields.push([0, 3], [0xFF, 8], [0, 1], [0, 1]); // frameLengthType, latmBufferFullness, no otherData or CRC
+  }
+  for (const payload of payloads) {
+    for (let left = payload.length; left >= 0; left -= 255) fields.push([Math.min(left, 255), 8]);
+    for (const byte of payload) fields.push([byte, 8]);
+  }
+  const element = packFields(fields);
+  return concat([new Uint8Array([0x56, 0xE0 | (element.length >> 8), element.length & 0xFF]), element]);
+}
+
+/** Write a 33-bit timestamp in PES format */
+function writeTimestamp(buf, offset, value, marker) {
+  const high = Math.floor(value / 0x40000000) & 0x07; // bits 32..30
+  const low = value % 0x40000000;                      // bits 29..0
+  buf[offset] = marker | (high << 1) | 1;
+  buf[offset + 1] = (low >> 22) & 0xFF;
+  buf[offset + 2] = (((low >> 15) & 0x7F) << 1) | 1;
+  buf[offset + 3] = (low >> 7) & 0xFF;
+  buf[offset + 4] = ((low & 0x7F) << 1) | 1;
+}
+
+/** Build a PES packet with PTS (and DTS when it differs) */
+export function pesPacket(streamId, payload, pts, dts = pts) {
+  const hasPts = pts !== null && pts !== undefined;
+  const hasDts = hasPts && dts !== pts;
+  const headerLen = hasDts ? 10 : (hasPts ? 5 : 0);
+  const pes = new Uint8Array(9 + headerLen + payload.length);
+  pes[2] = 1;
+  pes[3] = streamId;
+  const pesLen = 3 + headerLen + payload.length;
+  if (pesLen <= 0xFFFF && streamId !== 0xE0) {
+    pes[4] = (pesLen >> 8) & 0xFF;
+    pes[5] = pesLen & 0xFF;
+  }
+  pes[6] = 0x80;
+  pes[7] = hasDts ? 0xC0 : (hasPts ? 0x80 : 0);
+  pes[8] = headerLen;
+  if (hasPts) writeTimestamp(pes, 9, pts, hasDts ? 0x30 : 0x20);
+  if (hasDts) writeTimestamp(pes, 14, dts, 0x10);
+  pes.set(payload, 9 + headerLen);
+  return pes;
+}
+
+/** Split a payload into 188-byte TS packets, stuffing the last one */
+export function packetize(pid, data, cc, { payloadUnitStart = true } = {}) {
+  const packets = [];
+  let offset = 0;
+  let first = true;
+  while (offset < data.length) {
+    const pkt = new Uint8Array(TS_PACKET_SIZE);
+    pkt[0] = 0x47;
+    pkt[1] = ((first && payloadUnitStart) ? 0x40 : 0) | ((pid >> 8) & 0x1F);
+    pkt[2] = pid & 0xFF;
+    const remaining = data.length - offset;
+    const counter = cc.get(pid) || 0;
+    cc.set(pid, (counter + 1) & 0x0F);
+    if (remaining >= 184) {
+      pkt[3] = 0x10 | counter;
+      pkt.set(data.subarray(offset, offset + 184), 4);
+      offset += 184;
+    } else {
+      const afLen = 183 - remaining;
+      pkt[3] = 0x30 | counter;
+      pkt[4] = afLen;
+      if (afLen > 0) {
+        pkt[5] = 0;
+        pkt.fill(0xFF, 6, 5 + afLen);
+      }
+      pkt.set(data.subarray(offset), 5 + afLen);
+      offset = data.length;
+    }
+    packets.push(pkt);
+    first = false;
+  }
+  return packets;
+}
+
+/** Build a PSI section (table header + body + CRC) for the given table */
+export function psiSection(tableId, tableIdExtension, body) {
+  const sectionLength = 5 + body.length + 4;
+  const section = new Uint8Array(3 + sectionLength);
+  section[0] = tableId;
+  section[1] = 0xB0 | ((sectionLength >> 8) & 0x0F);
+  section[2] = sectionLength & 0xFF;
+  section[3] = (tableIdExtension >> 8) & 0xFF;
+  section[4] = tableIdExtension & 0xFF;
+  section[5] = 0xC1;
+  section[6] = 0;
+  section[7] = 0;
+  section.set(body, 8);
+  const crc = crc32(section.subarray(0, section.length - 4));
+  section[section.length - 4] = (crc >>> 24) & 0xFF;
+  section[section.length - 3] = (crc >>> 16) & 0xFF;
+  section[section.length - 2] = (crc >>> 8) & 0xFF;
+  section[section.length - 1] = crc & 0xFF;
+  return section;
+}
+
+function psiPacket(pid, section, cc) {
+  return packetize(pid, concat([new Uint8Array([0]), section]), cc);
+}
+
+/** PAT body for a list of { number, pmtPid } programs */
+export function patSection(programs) {
+  const body = new Uint8Array(programs.length * 4);
+  programs.forEach((p, i) => {
+    body[i * 4] = (p.number >> 8) & 0xFF;
+    body[i * 4 + 1] = p.number & 0xFF;
+    body[i * 4 + 2] = 0xE0 | ((p.pmtPid >> 8) & 0x1F);
+    body[i * 4 + 3] = p.pmtPid & 0xFF;
+  });
+  return psiSection(0x00, 1, body);
+}
+
+/** PMT section for a program's streams ({ pid, streamType, descriptors? }) */
+export function pmtSection(programNumber, streams) {
+  const parts = [];
+  const pcrPid = streams[0]?.pid ?? 0x1FFF;
+  parts.push(new Uint8Array([0xE0 | ((pcrPid >> 8) & 0x1F), pcrPid & 0xFF, 0xF0, 0x00]));
+  for (const s of streams) {
+    const esInfo = s.descriptors || new Uint8Array(0);
+    parts.push(new Uint8Array([
+      s.streamType,
+      0xE0 | ((s.pid >> 8) & 0x1F), s.pid & 0xFF,
+      0xF0 | ((esInfo.length >> 8) & 0x0F), esInfo.length & 0xFF
+    ]), esInfo);
+  }
+  return psiSection(0x02, programNumber, concat(parts));
+}
+
+/**
+ * Build a transport stream.
+ *
+ * Streams carry `frames` ({ data, pts, dts?, time? }) which are written as one
+ * PES each, interleaved in timestamp order (`time` overrides the sort key, e.g.
+ * for timestamps that wrap). Streams with `sections` instead carry
+ * raw PSI sections (e.g. SCTE-35) written with a pointer field.
+ *
+ * @param {Array} streams - [{ pid, streamType, streamId?, descriptors?, frames?, sections? }]
+ * @param {object} [options]
+ * @param {Array} [options.programs] - [{ number, pmtPid, streams }] for multi-program streams
+ * @returns {Uint8Array}
+ */
+export function buildTs(streams, options = {}) {
+  const cc = new Map();
+  const programs = options.programs || [{ number: 1, pmtPid: 0x100, streams }];
+  const allStreams = programs.flatMap(p => p.streams);
+
+  const packets = [];
+  packets.push(...psiPacket(0, patSection(programs), cc));
+  for (const p of programs) {
+    packets.push(...psiPacket(p.pmtPid, pmtSection(p.number, p.streams), cc));
+  }
+
+  const units = [];
+  for (const s of allStreams) {
+    for (const f of s.frames || []) {
+      units.push({ time: f.time ?? f.dts ?? f.pts ?? 0, pid: s.pid, data: pesPacket(s.streamId ?? 0xE0, f.data, f.pts, f.dts ?? f.pts) });
+    }
+    for (const sec of s.sections || []) {
+      units.push({ time: sec.time ?? 0, pid: s.pid, data: concat([new Uint8Array([0]), sec.data]) });
+    }
+  }
+  units.sort((a, b) => a.time - b.time);
+
+  for (const u of units) packets.push(...packetize(u.pid, u.data, cc));
+  return concat(packets);
+}
+
+// ============================================
+// Minimal codec bitstreams
+// ============================================
+
+/** H.264 parameter sets for a 320x240 baseline stream */
+export const H264_SPS = new Uint8Array([0x67, 0x42, 0xC0, 0x0D, 0xDA, 0x05, 0x07, 0xE8, 0x40, 0x00, 0x00, 0x03, 0x00, 0x40, 0x00, 0x00, 0x0F, 0x23, 0xC5, 0x0A, 0xA8]);
+export const H264_PPS = new Uint8Array([0x68, 0xCE, 0x0F, 0xC8]);
+
+/** H.265 parameter sets for a 1280x720 Main profile stream */
+export const HEVC_VPS = new Uint8Array([0x40, 0x01, 0x0C, 0x01, 0xFF, 0xFF, 0x01, 0x60, 0x00, 0x00, 0x03, 0x00, 0x90, 0x00, 0x00, 0x03, 0x00, 0x00, 0x03, 0x00, 0x5D, 0x95, 0x98, 0x09]);
+export const HEVC_SPS = new Uint8Array([0x42, 0x01, 0x01, 0x01, 0x60, 0x00, 0x00, 0x03, 0x00, 0x90, 0x00, 0x00, 0x03, 0x00, 0x00, 0x03, 0x00, 0x5D, 0xA0, 0x02, 0x80, 0x80, 0x2D, 0x16, 0x59, 0x59, 0xA4, 0x93, 0x2B, 0xC0, 0x5A, 0x70, 0x80, 0x00, 0x01, 0xF4, 0x80, 0x00, 0x3A, 0x98, 0x04]);
+export const HEVC_PPS = new Uint8Array([0x44, 0x01, 0xC1, 0x72, 0xB4, 0x62, 0x40]);
+
+/** MPEG-2 video sequence header and extension: 720x576, 16:9, 25 fps, Main profile @ Main level, 15 Mbit/s */
+export const MPEG2_SEQUENCE_HEADER = new Uint8Array([0xB3, 0x2D, 0x02, 0x40, 0x33, 0x24, 0x9F, 0x23, 0x80]);
+export const MPEG2_SEQUENCE_EXTENSION = new Uint8Array([0xB5, 0x14, 0x82, 0x00, 0x01, 0x00, 0x00]);
+
+/**
+ * Build a simple H.264 video stream: keyframe every `gop` frames
+ * @returns {Array<{data: Uint8Array, pts: number, dts: number}>}
+ */
+export function h264Frames(count, { gop = 30, frameDuration = 3000, start = 0 } = {}) {
+  const frames = [];
+  for (let i = 0; i < count; i++) {
+    const key = i % gop === 0;
+    const slice = key
+      ? new Uint8Array([0x65, 0x88, 0x84, i & 0xFF, 0x21])
+      : new Uint8Array([0x41, 0x9A, 0x02, i & 0xFF, 0x33]);
+    const nals = key ? [H264_SPS, H264_PPS, slice] : [slice];
+    const ts = start + i * frameDuration;
+    frames.push({ data: annexB(nals), pts: ts, dts: ts });
+  }
+  return frames;
+}
+
+/**
+ * Build a simple MPEG-2 video stream: an I picture every `gop` pictures
+ * (after a sequence header, extension and GOP header), P pictures between
+ * @returns {Array<{data: Uint8Array, pts: number, dts: number}>}
+ */
+export function mpeg2Frames(count, { gop = 12, frameDuration = 3600, start = 0 } = {}) {
+  const frames = [];
+  for (let i = 0; i < count; i++) {
+    const key = i % gop === 0;
+    // temporal_reference, picture_coding_type (1 = I, 2 = P), vbv_delay 0xFFFF
+    const temporalReference = i % gop;
+    const picture = new Uint8Array([0x00, temporalReference >> 2, ((temporalReference & 3) << 6) | ((key ? 1 : 2) << 3) | 0x07, 0xFF, 0xF8]);
+    const slice = new Uint8Array([0x01, 0x0A, i & 0xFF, 0x5C]);
+    const units = key
+      ? [MPEG2_SEQUENCE_HEADER, MPEG2_SEQUENCE_EXTENSION, new Uint8Array([0xB8, 0x00, 0x08, 0x00, 0x40]), picture, slice]
+      : [picture, slice];
+    const ts = start + i * frameDuration;
+    frames.push({ data: annexB(units), pts: ts, dts: ts });
+  }
+  return frames;
+}
+
+/**
+ * Build AAC frames wrapped in ADTS, one PES per frame
+ * @returns {Array<{data: Uint8Array, pts: number}>}
+ */
+export function aacFrames(count, { sampleRate = 48000, start = 0 } = {}) {
+  const frames = [];
+  const step = 1024 * 90000 / sampleRate;
+  for (let i = 0; i < count; i++) {
+    frames.push({ data: adtsFrame(new Uint8Array([0x21, 0x10, 0x04, i & 0xFF])), pts: Math.round(start + i * step) });
+  }
+  return frames;
+}
+
+/**
+ * H.264 SEI NAL unit carrying ATSC A/53 caption data
+ * @param {number[][]} triplets - cc_data triplets: [marker/valid/type, byte1, byte2]
+ * @returns {Uint8Array} NAL unit with emulation prevention bytes
+ */
+export function captionSei(triplets) {
+  const payload = [
+    0xB5, 0x00, 0x31,       // itu_t_t35 country (US) and provider (ATSC)
+    0x47, 0x41, 0x39, 0x34, // 'GA94'
+    0x03,                   // cc_data
+    0x40 | triplets.length, // process_cc_data_flag, cc_count
+    0xFF,                   // em_data
+    ...triplets.flat(),
+    0xFF                    // marker_bits
+  ];
+  const rbsp = [0x04, payload.length, ...payload, 0x80];
+  const nal = [0x06];
+  let zeros = 0;
+  for (const byte of rbsp) {
+    if (zeros >= 2 && byte <= 3) {
+      nal.push(3);
+      zeros = 0;
+    }
+    nal.push(byte);
+    zeros = byte === 0 ? zeros + 1 : 0;
+  }
+  return new Uint8Array(nal);
+}
+
+/** MPEG-1 Layer III frame: 128 kbit/s, 48 kHz, stereo (384 bytes, 1152 samples) */
+export function mp3Frame(i = 0) {
+  const frame = new Uint8Array(384);
+  frame.set([0xFF, 0xFB, 0x94, 0x00]);
+  frame.fill(i & 0xFF, 4);
+  return frame;
+}
+
+/** Build an MP3 stream, one frame per PES */
+export function mp3Frames(count, { start = 0 } = {}) {
+  const frames = [];
+  for (let i = 0; i < count; i++) frames.push({ data: mp3Frame(i), pts: Math.round(start + i * 2160) });
+  return frames;
+}
+
+/** AC-3 syncframe: 192 kbit/s, 48 kHz, 5.1 (768 bytes, 1536 samples) */
+export function ac3Frame(i = 0) {
+  const frame = new Uint8Array(768);
+  // fscod 0 + frmsizecod 20, bsid 8 + bsmod 0, acmod 7 + cmixlev + surmixlev + lfeon
+  frame.set([0x0B, 0x77, 0x00, 0x00, 0x14, 0x40, 0xE1]);
+  frame.fill(i & 0xFF, 7);
+  return frame;
+}
+
+/** Build an AC-3 stream, one syncframe per PES */
+export function ac3Frames(count, { start = 0 } = {}) {
+  const frames = [];
+  for (let i = 0; i < count; i++) frames.push({ data: ac3Frame(i), pts: Math.round(start + i * 2880) });
+  return frames;
+}
+
+/**
+ * Build a LOAS/LATM AAC stream at 48 kHz, one frame per PES; the first
+ * frame and every `configEvery`-th one carry the StreamMuxConfig
+ * @returns {Array<{data: Uint8Array, pts: number, aac: Uint8Array}>} PES frames, with the raw AAC they carry
+ */
+export function latmFrames(count, { start = 0, configEvery = 10, audioMuxVersion = 0, asc } = {}) {
+  const frames = [];
+  for (let i = 0; i < count; i++) {
+    const aac = new Uint8Array(i % 3 === 0 ? 300 : 20).fill(i & 0xFF);
+    const data = loasFrame([aac], { config: i % configEvery === 0, audioMuxVersion, asc });
+    frames.push({ data, pts: Math.round(start + i * 1920), aac });
+  }
+  return frames;
+}
+
+/**
+ * E-AC-3 syncframe at 48 kHz (bsid 16)
+ * @param {object} [options]
+ * @param {1|2|3|6} [options.blocks=6] - Audio blocks (256 samples each)
+ * @param {number} [options.chanmap] - Makes a dependent substream with this channel map
+ * @param {number} [options.size=512] - Frame size in bytes
+ */
+export function eac3Frame({ blocks = 6, chanmap, size = 512 } = {}) {
+  const frame = new Uint8Array(size);
+  const frmsiz = size / 2 - 1;
+  const dependent = chanmap !== undefined;
+  frame[0] = 0x0B; frame[1] = 0x77;
+  frame[2] = (dependent ? 0x40 : 0x00) | (frmsiz >> 8);
+  frame[3] = frmsiz & 0xFF;
+  // fscod 0, numblkscod, acmod 7 (3/2), lfeon 1
+  frame[4] = ([1, 2, 3, 6].indexOf(blocks) << 4) | (7 << 1) | 1;
+  frame[5] = 16 << 3; // bsid, then dialnorm
+  if (dependent) {
+    // dialnorm, compre 0, chanmape 1, chanmap (16 bits)
+    frame[6] = 0x10 | (chanmap >> 12);
+    frame[7] = (chanmap >> 4) & 0xFF;
+    frame[8] = (chanmap & 0x0F) << 4;
+  }
+  return frame;
+}
@@ -0,0 +1,285 @@
+/**
+ * Timed Metadata Tests
+ *
+ * Checks that ID3 (stream type 0x15) and SCTE-35 (0x86) streams come out
+ * of MPEG-TS as timed events, that ID3 tags are written to MP4 as a timed
+ * metadata track and to fMP4 as emsg boxes, and that clipMp4() and
+ * clipHls() report the cues inside the clip window.
+ *
+ * Run: node tests/ts-metadata.test.js
+ */
+
+import { convertTsToMp4, analyzeTsData, clipMp4, clipHls } from '../src/index.js';
+import { TSParser, parseScte35 } from '../src/parsers/mpegts.js';
+import { createFragmentedMp4, joinFragmentedMp4, splitFragmentedMp4 } from '../src/muxers/fmp4.js';
+import { analyzeTrack, buildSampleTable } from '../src/parsers/mp4.js';
+import { parseBoxes, findBox, parseChildBoxes } from '../src/fmp4/utils.js';
+import { buildTs, h264Frames } from './ts-fixtures.js';
+
+let passed = 0;
+let failed = 0;
+
+function test(name, fn) {
+  return { name, fn };
+}
+
+function assert(condition, message) {
+  if (!condition) throw new Error(message || 'Assertion failed');
+}
+
+// ── helpers ───────────────────────────────────────────────
+
+const START = 900000; // the source starts at 10s
+
+/** ID3v2.4 tag with one TIT2 frame */
+function id3Tag(text) {
+  const body = new TextEncoder().encode(text);
+  const frameSize = body.length + 1;
+  const frame = new Uint8Array([0x54, 0x49, 0x54, 0x32, 0, 0, 0, frameSize, 0, 0, 3, ...body]);
+  return new Uint8Array([0x49, 0x44, 0x33, 4, 0, 0, 0, 0, 0, frame.length, ...frame]);
+}
+
+/** 33-bit time as splice_time() with time_specified_flag set */
+function spliceTime(pts) {
+  return [0xFE | Math.floor(pts / 0x100000000), (pts >>> 24) & 0xFF, (pts >>> 16) & 0xFF, (pts >>> 8) & 0xFF, pts & 0xFF];
+}
+
+/** splice_info_section around a command (CRC left zero) */
+function scte35Section(commandType, command, ptsAdjustment = 0) {
+  const section = new Uint8Array(14 + command.length + 2 + 4);
+  const sectionLength = section.length - 3;
+  section.set([0xFC, 0x30 | (sectionLength >> 8), sectionLength & 0xFF, 0]);
+  section.set(spliceTime(ptsAdjustment), 4);
+  section[4] &= 0x01;
+  section.set([0x00, 0xFF, 0xF0 | (command.length >> 8), command.length & 0xFF, commandType], 9);
+  section.set(command, 14);
+  return section;
+}
+
+function spliceInsert({ eventId, outOfNetwork = true, pts = null, duration = null }) {
+  const flags = (outOfNetwork ? 0x80 : 0) | 0x40 | (duration !== null ? 0x20 : 0) | (pts === null ? 0x10 : 0) | 0x0F;
+  const command = [eventId >>> 24, (eventId >> 16) & 0xFF, (eventId >> 8) & 0xFF, eventId & 0xFF, 0x7F, flags];
+  if (pts !== null) command.push(...spliceTime(pts));
+  if (duration !== null) command.push(...spliceTime(duration));
+  command.push(0, 1, 0, 0);
+  return scte35Section(0x05, command);
+}
+
+const TAGS = [id3Tag('first'), id3Tag('second')];
+
+/** 2 seconds of video (a keyframe every second), ID3 tags at 0.5s and 1s, a splice out at 0.667s and a time signal at 1.333s */
+function source() {
+  return buildTs([
+    { pid: 0x101, streamType: 0x1B, streamId: 0xE0, frames: h264Frames(60, { start: START }) },
+    {
+      pid: 0x103, streamType: 0x15, streamId: 0xBD, frames: [
+        { pts: START + 45000, data: TAGS[0] },
+        { pts: START + 90000, data: TAGS[1] },
+      ]
+    },
+    {
+      pid: 0x104, streamType: 0x86, sections: [
+        { time: START + 30000, data: spliceInsert({ eventId: 42, pts: START + 60000, duration: 30 * 90000 }) },
+        { time: START + 90000, data: scte35Section(0x06, spliceTime(START + 120000)) },
+      ]
+    },
+  ]);
+}
+
+/** Handler, sample entry and samples (times in seconds) of the meta trak */
+function metadataTrak(mp4) {
+  const moov = findBox(parseBoxes(mp4), 'moov');
+  for (const trak of parseChildBoxes(moov).filter(b => b.type === 'trak')) {
+    const mdia = parseChildBoxes(findBox(parseChildBoxes(trak), 'mdia'));
+    const hdlr = findBox(mdia, 'hdlr').data;
+    if (String.fromCharCode(...hdlr.subarray(16, 20)) !== 'meta') continue;
+    const stbl = parseChildBoxes(findBox(parseChildBoxes(findBox(mdia, 'minf')), 'stbl'));
+    const [entry] = parseChildBoxes(findBox(stbl, 'stsd'), 16);
+    const samples = buildSampleTable(analyzeTrack(moov.data, trak.offset, trak.size));
+    return { entry, samples, data: samples.map(s => mp4.subarray(s.offset, s.offset + s.size)) };
+  }
+  return null;
+}
+
+function sameBytes(a, b) {
+  return a.length === b.length && a.every((v, i) => v === b[i]);
+}
+
+const round = (value) => Math.round(value * 1000) / 1000;
+
+/** emsg fields: timescale, presentation_time, id, scheme and message data */
+function emsgInfo(box) {
+  const data = box.data;
+  const view = new DataView(data.buffer, data.byteOffset);
+  const schemeEnd = data.indexOf(0, 32);
+  return {
+    version: data[8],
+    timescale: view.getUint32(12),
+    presentationTime: view.getUint32(16) * 0x100000000 + view.getUint32(20),
+    id: view.getUint32(28),
+    scheme: new TextDecoder().decode(data.subarray(32, schemeEnd)),
+    message: data.subarray(schemeEnd + 2)
+  };
+}
+
+function makeResponse(body, status = 200) {
+  return {
+    ok: status >= 200 && status < 300,
+    status,
+    statusText: String(status),
+    async text() { return body; },
+    async arrayBuffer() { return new TextEncoder().encode(body).buffer; },
+  };
+}
+
+// ── tests ─────────────────────────────────────────────────
+
+const tests = [
+  test('analyze reports ID3 and SCTE-35 events on the normalized timeline', () => {
+    const { events } = analyzeTsData(source());
+    assert(events.length === 4, `Expected 4 events, got ${events.length}`);
+    assert(events.map(e => e.type).join() === 'id3,scte35,id3,scte35', `Types ${events.map(e => e.type)}`);
+    assert(events.map(e => round(e.time)).join() === '0.5,0.667,1,1.333', `Times ${events.map(e => e.time)}`);
+    assert(events[0].pts === 45000 && events[0].pid === 0x103, `ID3 event ${events[0].pts} on ${events[0].pid}`);
+    assert(sameBytes(events[0].payload, TAGS[0]) && sameBytes(events[2].payload, TAGS[1]), 'ID3 payloads are the tags');
+    const splice = events[1].scte35;
+    assert(splice.command === 'splice_insert' && splice.eventId === 42, `Splice ${splice.command} ${splice.eventId}`);
+    assert(splice.outOfNetwork && splice.duration === 30 * 90000 && splice.autoReturn, 'Break duration and out of network');
+    assert(events[3].scte35.command === 'time_signal', `Command ${events[3].scte35.command}`);
+    assert(events[1].payload[0] === 0xFC, 'SCTE-35 payload is the splice_info_section');
+  }),
+
+  test('splice times include pts_adjustment and wrap at 2^33', () => {
+    const section = scte35Section(0x06, spliceTime(0x1FFFFFF00), 0x200);
+    const info = parseScte35(section);
+    assert(info.ptsAdjustment === 0x200, `Adjustment ${info.ptsAdjustment}`);
+    assert(info.spliceTime === 0x100, `Splice time ${info.spliceTime}`);
+    assert(parseScte35(new Uint8Array([0xFC, 0x30, 0x00])) === null, 'Truncated sections are ignored');
+  }),
+
+  test('an immediate splice takes the current stream time', () => {
+    const ts = buildTs([
+      { pid: 0x101, streamType: 0x1B, streamId: 0xE0, frames: h264Frames(30, { start: START }) },
+      { pid: 0x104, streamType: 0x86, sections: [{ time: START + 15000, data: spliceInsert({ eventId: 7, outOfNetwork: false }) }] },
+    ]);
+    const [event] = analyzeTsData(ts).events;
+    assert(event && event.scte35.spliceTime === null && !event.scte35.outOfNetwork, 'Immediate splice_insert');
+    // The last frame before the section is at 12000
+    assert(event.pts === 12000, `Expected pts 12000, got ${event.pts}`);
+  }),
+
+  test('MP4 output carries ID3 tags in a timed metadata track', () => {
+    const mp4 = convertTsToMp4(source());
+    const meta = metadataTrak(mp4);
+    assert(meta, 'meta trak present');
+    assert(meta.entry.type === 'mett', `Sample entry ${meta.entry.type}`);
+    assert(new TextDecoder().decode(meta.entry.data).includes('application/id3'), 'application/id3 mime format');
+    const timing = meta.samples.map(s => `${round(s.pts)}+${round(s.duration)}`).join();
+    assert(timing === '0+0.5,0.5+0.5,1+1', `Sample timing ${timing}`);
+    assert(meta.data[0].length === 0, 'Empty sample before the first tag');
+    assert(sameBytes(meta.data[1], TAGS[0]) && sameBytes(meta.data[2], TAGS[1]), 'Samples hold the tags');
+    assert(meta.samples.every(s => s.isKeyframe), 'Metadata samples are sync samples');
+  }),
+
+  test('clipping keeps the tags inside the window, shifted to the new start', () => {
+    const meta = metadataTrak(convertTsToMp4(source(), { startTime: 1, endTime: 2 }));
+    assert(meta.samples.length === 1, `Expected one sample, got ${meta.samples.length}`);
+    assert(round(meta.samples[0].pts) === 0 && sameBytes(meta.data[0], TAGS[1]), 'Second tag at the start of the clip');
+  }),
+
+  test('fMP4 output puts an emsg ahead of the fragment each tag falls in', () => {
+    const parser = new TSParser();
+    parser.parse(source());
+    parser.finalize();
+    const { init, fragments } = createFragmentedMp4(parser);
+    assert(fragments.length === 2, `Expected 2 fragments, got ${fragments.length}`);
+    const emsgs = fragments.map(f => parseBoxes(f).filter(b => b.type === 'emsg'));
+    assert(emsgs[0].length === 1 && emsgs[1].length === 1, 'One emsg per fragment');
+    assert(parseBoxes(fragments[1])[0].type === 'emsg' && parseBoxes(fragments[1])[1].type === 'moof', 'emsg leads the moof');
+
+    const first = emsgInfo(emsgs[0][0]);
+    const second = emsgInfo(emsgs[1][0]);
+    assert(first.version === 1 && first.timescale === 90000, `emsg v${first.version}, timescale ${first.timescale}`);
+    assert(first.scheme === 'https://aomedia.org/emsg/ID3', `Scheme ${first.scheme}`);
+    assert(first.presentationTime === 45000 && second.presentationTime === 90000, 'Presentation times');
+    assert(first.id !== second.id, 'Distinct ids');
+    assert(sameBytes(first.message, TAGS[0]) && sameBytes(second.message, TAGS[1]), 'Message data is the tag');
+
+    const split = splitFragmentedMp4(joinFragmentedMp4({ init, fragments }));
+    assert(split.fragments.length === 2 && sameBytes(split.fragments[1], fragments[1]), 'Split keeps emsg with its moof');
+    assert(sameBytes(split.init, init), 'Init segment unchanged');
+  }),
+
+  test('clipMp4 reports the ID3 cues inside the clip', () => {
+    const mp4 = convertTsToMp4(source());
+    let cues = null;
+    clipMp4(mp4, { startTime: 0.4, endTime: 0.9, onCues: (c) => { cues = c; } });
+    assert(cues && cues.length === 1, `Expected one cue, got ${cues?.length}`);
+    assert(round(cues[0].time) === 0.5 && round(cues[0].clipTime) === 0.1, `Cue at ${cues[0].time} (${cues[0].clipTime})`);
+    assert(cues[0].type === 'id3' && sameBytes(cues[0].payload, TAGS[0]), 'Cue carries the tag');
+  }),
+
+  test('clipHls reports cue markers and date ranges inside the clip', async () => {
+    const section = spliceInsert({ eventId: 9, pts: 450000, duration: 4 * 90000 });
+    const hex = '0x' + Array.from(section, b => b.toString(16).padStart(2, '0')).join('').toUpperCase();
+    const playlist = [
+      '#EXTM3U', '#EXT-X-VERSION:3', '#EXT-X-TARGETDURATION:2',
+      '#EXT-X-PROGRAM-DATE-TIME:2024-05-01T10:00:00.000Z',
+      '#EXTINF:2.0,', 'seg0.ts',
+      '#EXTINF:2.0,', 'seg1.ts',
+      '#EXT-X-CUE-OUT:DURATION=4',
+      '#EXTINF:2.0,', 'seg2.ts',
+      `#EXT-X-DATERANGE:ID="splice-9",START-DATE="2024-05-01T10:00:05.000Z",PLANNED-DURATION=4,SCTE35-OUT=${hex}`,
+      '#EXTINF:2.0,', 'seg3.ts',
+      '#EXT-X-CUE-IN',
+      '#EXTINF:2.0,', 'seg4.ts',
+      '#EXT-X-ENDLIST', ''
+    ].join('\n');
+    globalThis.fetch = async (url) => String(url) === 'https://cdn.test/index.m3u8'
+      ? makeResponse(playlist)
+      : makeResponse('', 404);
+
+    const clip = await clipHls('https://cdn.test/index.m3u8', { startTime: 3, endTime: 9 });
+    const summary = clip.cues.map(c => `${c.type}@${c.time}/${c.clipTime}`).join();
+    assert(summary === 'cue-out@4/1,cue-out@5/2,cue-in@8/5', `Cues ${summary}`);
+    assert(clip.cues[0].duration === 4, `CUE-OUT duration ${clip.cues[0].duration}`);
+    const range = clip.cues[1];
+    assert(range.id === 'splice-9' && range.duration === 4, `Date range ${range.id} ${range.duration}`);
+    assert(sameBytes(range.payload, section), 'SCTE35-OUT bytes decoded');
+    assert(range.scte35.eventId === 9 && range.scte35.spliceTime === 450000, 'SCTE35-OUT parsed');
+
+    const later = await clipHls('https://cdn.test/index.m3u8', { startTime: 8.5, endTime: 10 });
+    assert(later.cues.length === 0, 'Cues before the clip are left out');
+  }),
+];
+
+// ── runner ─────────────────────────────────────────────────
+
+async function runTests(tests) {
+  console.log('\n' + '═'.repeat(60));
+  console.log('   Timed Metadata Tests');
+  console.log('═'.repeat(60) + '\n');
+
+  const originalFetch = globalThis.fetch;
+  for (const { name, fn } of tests) {
+    try {
+      await fn();
+      console.log(`✅ ${name}`);
+      passed++;
+    } catch (err) {
+      console.log(`❌ ${name}`);
+      console.log(`   Error: ${err.message}`);
+      failed++;
+    } finally {
+      globalThis.fetch = originalFetch;
+    }
+  }
+
+  console.log('\n' + '─'.repeat(60));
+  console.log(`Results: ${passed} passed, ${failed} failed`);
+  console.log('─'.repeat(60) + '\n');
+
+  process.exit(failed > 0 ? 1 : 0);
+}
+
+runTests(tests);
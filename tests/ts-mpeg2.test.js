@@ -0,0 +1,198 @@
+/**
+ * MPEG-2 Video Tests
+ *
+ * Checks that MPEG-2 video (stream type 0x02) remuxes into an mp4v sample
+ * entry whose esds carries the profile's object type and the sequence
+ * header, with dimensions and pixel aspect from the sequence header, sync
+ * samples on I pictures and start-code delimited sample data, in MP4,
+ * fMP4 and streaming output.
+ *
+ * Run: node tests/ts-mpeg2.test.js
+ */
+
+import { convertTsToMp4, convertTsStreamToMp4, convertFmp4ToMp4, analyzeTsData } from '../src/index.js';
+import { TSParser } from '../src/parsers/mpegts.js';
+import { parseMpeg2SequenceHeader } from '../src/muxers/mp4.js';
+import { createFragmentedMp4, joinFragmentedMp4 } from '../src/muxers/fmp4.js';
+import { analyzeTrack, buildSampleTable } from '../src/parsers/mp4.js';
+import { parseBoxes, findBox, parseChildBoxes } from '../src/fmp4/utils.js';
+import {
+  buildTs, mpeg2Frames, aacFrames, concat, MPEG2_SEQUENCE_HEADER, MPEG2_SEQUENCE_EXTENSION
+} from './ts-fixtures.js';
+
+let passed = 0;
+let failed = 0;
+
+function test(name, fn) {
+  return { name, fn };
+}
+
+function assert(condition, message) {
+  if (!condition) throw new Error(message || 'Assertion failed');
+}
+
+// ── helpers ───────────────────────────────────────────────
+
+/** 2 seconds of 25 fps MPEG-2 video (an I picture every 12) with AAC */
+function source() {
+  return buildTs([
+    { pid: 0x101, streamType: 0x02, streamId: 0xE0, frames: mpeg2Frames(50) },
+    { pid: 0x102, streamType: 0x0F, streamId: 0xC0, frames: aacFrames(94) },
+  ]);
+}
+
+/** Sample entry, its child boxes, dimensions and samples of the video trak */
+function videoTrak(mp4) {
+  const moov = findBox(parseBoxes(mp4), 'moov');
+  const trak = parseChildBoxes(moov).find(b => b.type === 'trak');
+  const mdia = parseChildBoxes(findBox(parseChildBoxes(trak), 'mdia'));
+  const stbl = parseChildBoxes(findBox(parseChildBoxes(findBox(mdia, 'minf')), 'stbl'));
+  const [entry] = parseChildBoxes(findBox(stbl, 'stsd'), 16);
+  const view = new DataView(entry.data.buffer, entry.data.byteOffset);
+  return {
+    type: entry.type,
+    width: view.getUint16(32),
+    height: view.getUint16(34),
+    children: parseChildBoxes(entry, 86),
+    samples: buildSampleTable(analyzeTrack(moov.data, trak.offset, trak.size))
+  };
+}
+
+/** The esds payload: DecoderConfigDescriptor fields and DecoderSpecificInfo */
+function esdsInfo(esds) {
+  const data = esds.data.subarray(12);
+  // ES_Descriptor: tag, 1-byte size, ES_ID, flags, then the DecoderConfigDescriptor
+  assert(data[0] === 0x03 && data[5] === 0x04, 'ES and DecoderConfig descriptors');
+  const config = data.subarray(7);
+  const view = new DataView(config.buffer, config.byteOffset);
+  // DecoderSpecificInfo after the 13 fixed bytes, with a 1- or 2-byte size
+  let pos = 13;
+  assert(config[pos++] === 0x05, 'DecoderSpecificInfo tag');
+  let size = 0;
+  do size = (size << 7) | (config[pos] & 0x7F); while (config[pos++] & 0x80);
+  return {
+    objectType: config[0],
+    streamType: config[1],
+    bitRate: view.getUint32(9),
+    dsi: config.subarray(pos, pos + size)
+  };
+}
+
+function sampleData(mp4, sample) {
+  return mp4.subarray(sample.offset, sample.offset + sample.size);
+}
+
+async function collect(stream) {
+  const chunks = [];
+  const reader = stream.getReader();
+  while (true) {
+    const { done, value } = await reader.read();
+    if (done) break;
+    chunks.push(value);
+  }
+  return concat(chunks);
+}
+
+// ── tests ─────────────────────────────────────────────────
+
+const tests = [
+  test('MPEG-2 video remuxes into mp4v with a Main profile esds', () => {
+    const video = videoTrak(convertTsToMp4(source()));
+    assert(video.type === 'mp4v', `Unexpected sample entry ${video.type}`);
+    assert(video.width === 720 && video.height === 576, `Dimensions ${video.width}x${video.height}`);
+    const esds = esdsInfo(findBox(video.children, 'esds'));
+    assert(esds.objectType === 0x61 && esds.streamType === 0x11, `Object type ${esds.objectType}, stream type ${esds.streamType}`);
+    assert(esds.bitRate === 15000000, `Bitrate ${esds.bitRate}`);
+    const expected = concat([new Uint8Array([0, 0, 1]), MPEG2_SEQUENCE_HEADER, new Uint8Array([0, 0, 1]), MPEG2_SEQUENCE_EXTENSION]);
+    assert(esds.dsi.join() === expected.join(), 'DecoderSpecificInfo holds the sequence header and extension');
+  }),
+
+  test('16:9 display aspect becomes a pasp box', () => {
+    const pasp = findBox(videoTrak(convertTsToMp4(source())).children, 'pasp');
+    const view = new DataView(pasp.data.buffer, pasp.data.byteOffset);
+    // 720x576 shown at 16:9: 64:45 samples
+    assert(view.getUint32(8) === 64 && view.getUint32(12) === 45, `pasp ${view.getUint32(8)}:${view.getUint32(12)}`);
+  }),
+
+  test('I pictures are sync samples and sample data keeps start codes', () => {
+    const mp4 = convertTsToMp4(source());
+    const video = videoTrak(mp4);
+    assert(video.samples.length === 50, `Expected 50 samples, got ${video.samples.length}`);
+    const keyframes = video.samples.map((s, i) => s.isKeyframe ? i : -1).filter(i => i >= 0);
+    assert(keyframes.join() === '0,12,24,36,48', `Sync samples ${keyframes}`);
+    const first = sampleData(mp4, video.samples[0]);
+    assert(first.subarray(0, 5).join() === [0, 0, 0, 1, 0xB3].join(), 'Keyframe starts with the sequence header');
+    assert(first.length === mpeg2Frames(1)[0].data.length, 'Sample is the whole picture');
+  }),
+
+  test('profile and escaped profiles map to object types', () => {
+    const withProfile = (profileAndLevel) => {
+      const extension = MPEG2_SEQUENCE_EXTENSION.slice();
+      extension[1] = 0x10 | (profileAndLevel >> 4);
+      extension[2] = (profileAndLevel << 4) & 0xF0 | (extension[2] & 0x0F);
+      return parseMpeg2SequenceHeader(MPEG2_SEQUENCE_HEADER, extension).objectType;
+    };
+    assert(withProfile(0x58) === 0x60, 'Simple profile → 0x60');
+    assert(withProfile(0x48) === 0x61, 'Main profile → 0x61');
+    assert(withProfile(0x14) === 0x64, 'High profile → 0x64');
+    assert(withProfile(0x85) === 0x65, '4:2:2 profile → 0x65');
+    assert(parseMpeg2SequenceHeader(MPEG2_SEQUENCE_HEADER).objectType === 0x6A, 'No extension: MPEG-1 video');
+  }),
+
+  test('fragmented output carries the mp4v sample entry', () => {
+    const parser = new TSParser();
+    parser.parse(source());
+    parser.finalize();
+    const { init, fragments } = createFragmentedMp4(parser);
+    assert(fragments.length === 5, `Expected one fragment per GOP, got ${fragments.length}`);
+    const mp4 = convertFmp4ToMp4(joinFragmentedMp4({ init, fragments }));
+    const video = videoTrak(mp4);
+    assert(video.type === 'mp4v' && findBox(video.children, 'esds'), 'mp4v sample entry in the init segment');
+    assert(video.width === 720 && video.height === 576, `Dimensions ${video.width}x${video.height}`);
+    assert(video.samples.length === 50 && video.samples[12].isKeyframe && !video.samples[13].isKeyframe, 'Sync samples');
+    assert(sampleData(mp4, video.samples[1]).subarray(0, 5).join() === [0, 0, 0, 1, 0x00].join(), 'Start codes kept');
+  }),
+
+  test('streaming output matches convertTsToMp4', async () => {
+    const ts = source();
+    async function* chunks() {
+      for (let i = 0; i < ts.length; i += 1000) yield ts.subarray(i, i + 1000);
+    }
+    const { stream } = await convertTsStreamToMp4(chunks());
+    assert((await collect(stream)).join() === convertTsToMp4(ts).join(), 'Same bytes');
+  }),
+
+  test('analyze reports MPEG-2 video and its keyframes', () => {
+    const info = analyzeTsData(source());
+    assert(info.videoCodec === 'MPEG-2 Video', `Codec ${info.videoCodec}`);
+    assert(info.keyframes.length === 5, `Expected 5 keyframes, got ${info.keyframes.length}`);
+  }),
+];
+
+// ── runner ─────────────────────────────────────────────────
+
+async function runTests(tests) {
+  console.log('\n' + '═'.repeat(60));
+  console.log('   MPEG-2 Video Tests');
+  console.log('═'.repeat(60) + '\n');
+
+  for (const { name, fn } of tests) {
+    try {
+      await fn();
+      console.log(`✅ ${name}`);
+      passed++;
+    } catch (err) {
+      console.log(`❌ ${name}`);
+      console.log(`   Error: ${err.message}`);
+      failed++;
+    }
+  }
+
+  console.log('\n' + '─'.repeat(60));
+  console.log(`Results: ${passed} passed, ${failed} failed`);
+  console.log('─'.repeat(60) + '\n');
+
+  process.exit(failed > 0 ? 1 : 0);
+}
+
+runTests(tests);
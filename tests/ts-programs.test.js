@@ -0,0 +1,184 @@
+/**
+ * Multi-Program MPEG-TS Tests
+ *
+ * Checks the program/stream list from PAT and PMT, ISO 639 languages,
+ * program selection, and convertTsToMp4() writing one trak per audio track.
+ *
+ * Run: node tests/ts-programs.test.js
+ */
+
+import { convertTsToMp4, analyzeTsData } from '../src/index.js';
+import { TSParser } from '../src/parsers/mpegts.js';
+import { analyzeTrack, buildSampleTable } from '../src/parsers/mp4.js';
+import { parseBoxes, findBox, parseChildBoxes } from '../src/fmp4/utils.js';
+import { buildTs, h264Frames, aacFrames } from './ts-fixtures.js';
+
+let passed = 0;
+let failed = 0;
+
+function test(name, fn) {
+  return { name, fn };
+}
+
+function assert(condition, message) {
+  if (!condition) throw new Error(message || 'Assertion failed');
+}
+
+// ── helpers ───────────────────────────────────────────────
+
+/** ISO 639 language descriptor (tag 0x0A) with audio type 0 */
+function language(code) {
+  return new Uint8Array([0x0A, 4, ...[...code].map(c => c.charCodeAt(0)), 0]);
+}
+
+/** A two-program capture: program 1 with English and Spanish AAC, program 2 with video only */
+function broadcast() {
+  return buildTs(null, {
+    programs: [
+      {
+        number: 1, pmtPid: 0x100, streams: [
+          { pid: 0x101, streamType: 0x1B, streamId: 0xE0, frames: h264Frames(60) },
+          { pid: 0x102, streamType: 0x0F, streamId: 0xC0, descriptors: language('eng'), frames: aacFrames(94) },
+          { pid: 0x103, streamType: 0x0F, streamId: 0xC1, descriptors: language('spa'), frames: aacFrames(94) },
+        ]
+      },
+      {
+        number: 7, pmtPid: 0x200, streams: [
+          { pid: 0x201, streamType: 0x1B, streamId: 0xE0, frames: h264Frames(30) },
+        ]
+      },
+    ]
+  });
+}
+
+/** Every trak's handler, track ID, flags, alternate group, language and sample table */
+function traks(mp4) {
+  const moov = findBox(parseBoxes(mp4), 'moov');
+  return parseChildBoxes(moov).filter(b => b.type === 'trak').map(trak => {
+    const children = parseChildBoxes(trak);
+    const tkhd = findBox(children, 'tkhd').data;
+    const mdia = parseChildBoxes(findBox(children, 'mdia'));
+    const mdhd = findBox(mdia, 'mdhd').data;
+    const hdlr = findBox(mdia, 'hdlr').data;
+    const lang = (mdhd[28] << 8) | mdhd[29];
+    const track = analyzeTrack(moov.data, trak.offset, trak.size);
+    return {
+      handler: String.fromCharCode(...hdlr.subarray(16, 20)),
+      trackId: (tkhd[20] << 24 | tkhd[21] << 16 | tkhd[22] << 8 | tkhd[23]) >>> 0,
+      flags: tkhd[11],
+      alternateGroup: (tkhd[42] << 8) | tkhd[43],
+      language: String.fromCharCode(((lang >> 10) & 0x1F) + 0x60, ((lang >> 5) & 0x1F) + 0x60, (lang & 0x1F) + 0x60),
+      samples: buildSampleTable(track)
+    };
+  });
+}
+
+// ── tests ─────────────────────────────────────────────────
+
+const tests = [
+  test('TSParser lists every program and stream with languages', async () => {
+    const parser = new TSParser();
+    parser.parse(broadcast());
+    parser.finalize();
+    assert(parser.programs.map(p => p.number).join() === '1,7', 'Both programs listed');
+    const streams = parser.programs[0].streams;
+    assert(streams.map(s => s.pid).join() === '257,258,259', `Unexpected PIDs: ${streams.map(s => s.pid)}`);
+    assert(streams[1].language === 'eng' && streams[2].language === 'spa', 'ISO 639 languages');
+    assert(streams[0].language === null && streams[2].codec === 'AAC', 'Codec names, no language on video');
+    assert(parser.programNumber === 1 && parser.audioLanguage === 'eng', 'First program is the default');
+    assert(parser.extraAudioTracks.length === 0, 'Extra audio is only demuxed with allAudio');
+  }),
+
+  test('TSParser demuxes the requested program', async () => {
+    const parser = new TSParser({ program: 7 });
+    parser.parse(broadcast());
+    parser.finalize();
+    assert(parser.videoPid === 0x201, `Expected PID 0x201, got ${parser.videoPid}`);
+    assert(parser.videoAccessUnits.length === 30 && parser.audioAccessUnits.length === 0, 'Only program 7 frames');
+  }),
+
+  test('allAudio keeps every audio stream of the program', async () => {
+    const parser = new TSParser({ allAudio: true });
+    parser.parse(broadcast());
+    parser.finalize();
+    const tracks = parser.audioTracks;
+    assert(tracks.map(t => t.language).join() === 'eng,spa', 'Primary then extra tracks');
+    assert(tracks.every(t => t.audioAccessUnits.length === 94 && t.audioSampleRate === 48000), 'Both tracks demuxed');
+    assert(tracks[1].audioPts[0] === 0, 'Extra tracks are normalized with the rest');
+  }),
+
+  test('convertTsToMp4 writes one trak per audio track', async () => {
+    const [video, eng, spa, ...rest] = traks(convertTsToMp4(broadcast()));
+    assert(rest.length === 0 && video.handler === 'vide', 'Video plus two audio traks');
+    assert(eng.handler === 'soun' && spa.handler === 'soun', 'Both audio traks are sound');
+    assert(eng.trackId === 257 && spa.trackId === 258, `Track IDs ${eng.trackId}, ${spa.trackId}`);
+    assert(eng.language === 'eng' && spa.language === 'spa', `Languages ${eng.language}, ${spa.language}`);
+    assert(eng.alternateGroup === 1 && spa.alternateGroup === 1, 'Audio traks share an alternate group');
+    assert((eng.flags & 1) === 1 && (spa.flags & 1) === 0, 'Only the first audio trak is enabled');
+    assert(spa.samples.length === 94, `Expected 94 Spanish samples, got ${spa.samples.length}`);
+    assert(spa.samples[0].offset > eng.samples[93].offset, 'Spanish samples follow the English ones');
+  }),
+
+  test('audioTracks selects by language and PID', async () => {
+    const spanish = traks(convertTsToMp4(broadcast(), { audioTracks: ['spa'] }));
+    assert(spanish.length === 2 && spanish[1].language === 'spa', 'Only the Spanish trak');
+    assert(spanish[1].alternateGroup === 0 && spanish[1].flags === 3, 'A single audio trak stays ungrouped');
+
+    const byPid = traks(convertTsToMp4(broadcast(), { audioTracks: [0x103, 'eng'] }));
+    assert(byPid.slice(1).map(t => t.language).join() === 'eng,spa', 'Matches keep stream order');
+
+    const first = traks(convertTsToMp4(broadcast(), { audioTracks: 'first' }));
+    assert(first.length === 2 && first[1].language === 'eng', "'first' keeps the primary track");
+  }),
+
+  test('clipping applies to every audio track', async () => {
+    const [, eng, spa] = traks(convertTsToMp4(broadcast(), { startTime: 1, endTime: 1.5 }));
+    assert(eng.samples.length > 0 && eng.samples.length === spa.samples.length,
+      `Tracks clipped differently: ${eng.samples.length} vs ${spa.samples.length}`);
+  }),
+
+  test('unknown program or language throws', async () => {
+    let error = null;
+    try { convertTsToMp4(broadcast(), { program: 3 }); } catch (e) { error = e; }
+    assert(error?.message.includes('Program 3 not found (available: 1, 7)'), `Unexpected error: ${error?.message}`);
+
+    error = null;
+    try { convertTsToMp4(broadcast(), { audioTracks: ['fra'] }); } catch (e) { error = e; }
+    assert(error?.message.includes('No audio track matches fra'), `Unexpected error: ${error?.message}`);
+  }),
+
+  test('analyzeTsData reports programs and audio tracks', async () => {
+    const info = analyzeTsData(broadcast());
+    assert(info.program === 1 && info.programs.length === 2, 'Programs');
+    assert(info.audioTracks.map(t => `${t.pid}:${t.language}`).join() === '258:eng,259:spa', 'Audio tracks');
+    assert(analyzeTsData(broadcast(), { program: 7 }).videoFrames === 30, 'Program option');
+  }),
+];
+
+// ── runner ─────────────────────────────────────────────────
+
+async function runTests(tests) {
+  console.log('\n' + '═'.repeat(60));
+  console.log('   Multi-Program MPEG-TS Tests');
+  console.log('═'.repeat(60) + '\n');
+
+  for (const { name, fn } of tests) {
+    try {
+      await fn();
+      console.log(`✅ ${name}`);
+      passed++;
+    } catch (err) {
+      console.log(`❌ ${name}`);
+      console.log(`   Error: ${err.message}`);
+      failed++;
+    }
+  }
+
+  console.log('\n' + '─'.repeat(60));
+  console.log(`Results: ${passed} passed, ${failed} failed`);
+  console.log('─'.repeat(60) + '\n');
+
+  process.exit(failed > 0 ? 1 : 0);
+}
+
+runTests(tests);
@@ -0,0 +1,243 @@
+/**
+ * Streaming TS to MP4 Tests
+ *
+ * Feeds synthetic transport streams through TSParser.push(),
+ * convertTsStreamToMp4() and toMp4() of TS URLs in odd-sized chunks and
+ * checks the output matches the buffered convertTsToMp4() path byte for byte.
+ *
+ * Run: node tests/ts-stream.test.js
+ */
+
+import toMp4, { convertTsToMp4, convertTsStreamToMp4, createMemorySink, TSParser } from '../src/index.js';
+import { buildTs, concat, h264Frames, aacFrames } from './ts-fixtures.js';
+
+let passed = 0;
+let failed = 0;
+
+function test(name, fn) {
+  return { name, fn };
+}
+
+function assert(condition, message) {
+  if (!condition) throw new Error(message || 'Assertion failed');
+}
+
+// ── helpers ───────────────────────────────────────────────
+
+function avTs() {
+  return buildTs([
+    { pid: 0x101, streamType: 0x1B, streamId: 0xE0, frames: h264Frames(90, { start: 90000 }) },
+    { pid: 0x102, streamType: 0x0F, streamId: 0xC0, frames: aacFrames(140, { start: 90000 }) },
+  ]);
+}
+
+/** ISO 639 language descriptor (tag 0x0A) with audio type 0 */
+function language(code) {
+  return new Uint8Array([0x0A, 4, ...[...code].map(c => c.charCodeAt(0)), 0]);
+}
+
+/** Video with English and Spanish AAC */
+function dualAudioTs() {
+  return buildTs([
+    { pid: 0x101, streamType: 0x1B, streamId: 0xE0, frames: h264Frames(90) },
+    { pid: 0x102, streamType: 0x0F, streamId: 0xC0, descriptors: language('eng'), frames: aacFrames(140) },
+    { pid: 0x103, streamType: 0x0F, streamId: 0xC1, descriptors: language('spa'), frames: aacFrames(140) },
+  ]);
+}
+
+async function* chunked(data, size) {
+  for (let i = 0; i < data.length; i += size) {
+    yield data.subarray(i, i + size);
+  }
+}
+
+function readableFrom(data, size) {
+  let offset = 0;
+  return new ReadableStream({
+    pull(controller) {
+      if (offset >= data.length) return controller.close();
+      controller.enqueue(data.slice(offset, offset + size));
+      offset += size;
+    }
+  });
+}
+
+async function collect(stream) {
+  const chunks = [];
+  const reader = stream.getReader();
+  while (true) {
+    const { done, value } = await reader.read();
+    if (done) break;
+    chunks.push(value);
+  }
+  return concat(chunks);
+}
+
+function sameBytes(a, b) {
+  if (a.length !== b.length) return false;
+  for (let i = 0; i < a.length; i++) if (a[i] !== b[i]) return false;
+  return true;
+}
+
+// ── tests ─────────────────────────────────────────────────
+
+const tests = [
+  test('TSParser.push() across split packets matches parse()', async () => {
+    const ts = avTs();
+    const whole = new TSParser();
+    whole.parse(ts);
+    whole.finalize();
+
+    const pushed = new TSParser();
+    for await (const chunk of chunked(ts, 1000)) pushed.push(chunk);
+    pushed.end();
+
+    assert(pushed.videoAccessUnits.length === whole.videoAccessUnits.length, 'Same video frame count');
+    assert(pushed.audioAccessUnits.length === whole.audioAccessUnits.length, 'Same audio frame count');
+    assert(pushed.videoPts.join() === whole.videoPts.join(), 'Same video timestamps');
+    assert(pushed.debug.packets === whole.debug.packets, 'Same packet count');
+  }),
+
+  test('async iterable input produces the same MP4 as convertTsToMp4', async () => {
+    const ts = avTs();
+    const expected = convertTsToMp4(ts);
+    const { stream, size } = await convertTsStreamToMp4(chunked(ts, 777));
+    const actual = await collect(stream);
+    assert(size === expected.length, `Size ${size} should be ${expected.length}`);
+    assert(sameBytes(actual, expected), 'Output should match byte for byte');
+  }),
+
+  test('ReadableStream input is supported', async () => {
+    const ts = avTs();
+    const expected = convertTsToMp4(ts);
+    const { stream } = await convertTsStreamToMp4(readableFrom(ts, 4096));
+    assert(sameBytes(await collect(stream), expected), 'Output should match byte for byte');
+  }),
+
+  test('custom sinks receive all sample data', async () => {
+    const sinks = [];
+    const createSink = () => {
+      const sink = createMemorySink();
+      const counted = {
+        bytes: 0,
+        write(chunk) { counted.bytes += chunk.length; sink.write(chunk); },
+        read: () => sink.read()
+      };
+      sinks.push(counted);
+      return counted;
+    };
+    const { stream, size } = await convertTsStreamToMp4(chunked(avTs(), 5000), { createSink });
+    assert(sinks.length === 2, 'One sink per track');
+    assert(sinks[0].bytes > 0 && sinks[1].bytes > 0, 'Both sinks written');
+    const mp4 = await collect(stream);
+    assert(mp4.length === size, 'Stream length matches reported size');
+  }),
+
+  test('every audio track is written, like convertTsToMp4', async () => {
+    const ts = dualAudioTs();
+    const expected = convertTsToMp4(ts);
+    let sinks = 0;
+    const createSink = () => { sinks++; return createMemorySink(); };
+    const { stream, size } = await convertTsStreamToMp4(chunked(ts, 1000), { createSink });
+    assert(sinks === 3, `${sinks} sinks, expected one per track`);
+    assert(size === expected.length, `Size ${size} should be ${expected.length}`);
+    assert(sameBytes(await collect(stream), expected), 'Output should match byte for byte');
+  }),
+
+  test('fromTsStream fetches URLs with retries', async () => {
+    const ts = avTs();
+    const originalFetch = globalThis.fetch;
+    let requests = 0;
+    globalThis.fetch = async () => ++requests === 1
+      ? new Response(null, { status: 503 })
+      : new Response(readableFrom(ts, 4096));
+    try {
+      const { stream } = await toMp4.fromTsStream('https://example.com/long.ts', { retryDelay: 1 });
+      assert(requests === 2, `${requests} requests`);
+      assert(sameBytes(await collect(stream), convertTsToMp4(ts)), 'Output should match byte for byte');
+    } finally {
+      globalThis.fetch = originalFetch;
+    }
+  }),
+
+  test('toMp4 converts TS URLs as they download', async () => {
+    const ts = avTs();
+    const originalFetch = globalThis.fetch;
+    globalThis.fetch = async () => {
+      const response = new Response(readableFrom(ts, 4096));
+      response.arrayBuffer = () => { throw new Error('Body buffered'); };
+      return response;
+    };
+    try {
+      const mp4 = await toMp4('https://example.com/long.ts');
+      assert(mp4.filename === 'long.mp4', `Filename ${mp4.filename}`);
+      assert(sameBytes(mp4.data, convertTsToMp4(ts)), 'Output should match byte for byte');
+    } finally {
+      globalThis.fetch = originalFetch;
+    }
+  }),
+
+  test('toMp4 buffers TS URLs it clips, and MP4 URLs', async () => {
+    const ts = avTs();
+    const originalFetch = globalThis.fetch;
+    let body = ts;
+    globalThis.fetch = async () => new Response(readableFrom(body, 4096));
+    try {
+      const clipped = await toMp4('https://example.com/long.ts', { startTime: 1, endTime: 2 });
+      assert(sameBytes(clipped.data, convertTsToMp4(ts, { startTime: 1, endTime: 2 })), 'Clipped like convertTsToMp4');
+      body = convertTsToMp4(ts);
+      const mp4 = await toMp4('https://example.com/video.mp4');
+      assert(sameBytes(mp4.data, body), 'MP4 passed through');
+    } finally {
+      globalThis.fetch = originalFetch;
+    }
+  }),
+
+  test('rejects clipping options', async () => {
+    let error = null;
+    try {
+      await convertTsStreamToMp4(chunked(avTs(), 1000), { startTime: 1 });
+    } catch (err) {
+      error = err;
+    }
+    assert(error && /clipping/.test(error.message), 'Should explain clipping is unsupported');
+  }),
+
+  test('rejects non-TS input', async () => {
+    let error = null;
+    try {
+      await convertTsStreamToMp4(chunked(new Uint8Array(4000), 1000));
+    } catch (err) {
+      error = err;
+    }
+    assert(error && /PAT/.test(error.message), 'Should report missing PAT');
+  }),
+];
+
+// ── runner ─────────────────────────────────────────────────
+
+async function runTests(tests) {
+  console.log('\n' + '═'.repeat(60));
+  console.log('   Streaming TS → MP4 Tests');
+  console.log('═'.repeat(60) + '\n');
+
+  for (const { name, fn } of tests) {
+    try {
+      await fn();
+      console.log(`✅ ${name}`);
+      passed++;
+    } catch (err) {
+      console.log(`❌ ${name}`);
+      console.log(`   Error: ${err.message}`);
+      failed++;
+    }
+  }
+
+  console.log('\n' + '─'.repeat(60));
+  console.log(`Results: ${passed} passed, ${failed} failed`);
+  console.log('─'.repeat(60) + '\n');
+
+  process.exit(failed > 0 ? 1 : 0);
+}
+
+runTests(tests);